@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Run a local ACME test server, for trying out ACME renewals without a public CA:
+ *
+ *   node scripts/acme-test-server.js [port]        (default 14000)
+ *
+ * then add an ACME account for the directory URL it prints. http-01 challenges are fetched
+ * from 127.0.0.1 on ACME_TEST_HTTP_PORT (default: the backend's PORT, 8080), where the
+ * backend serves them. Set ACME_TEST_ALWAYS_VALID=true to accept every challenge, and
+ * ACME_TEST_EAB_KID with ACME_TEST_EAB_HMAC_KEY (base64url) to require external account binding.
+ */
+
+import { startAcmeTestServer } from '../tests/helpers/acmeTestServer.js';
+
+const port = parseInt(process.argv[2] || process.env.ACME_TEST_PORT || '14000', 10);
+const { ACME_TEST_EAB_KID: eabKid, ACME_TEST_EAB_HMAC_KEY: eabHmacKey } = process.env;
+
+const server = await startAcmeTestServer({
+  port,
+  alwaysValid: process.env.ACME_TEST_ALWAYS_VALID === 'true',
+  httpPort: parseInt(process.env.ACME_TEST_HTTP_PORT || process.env.PORT || '8080', 10),
+  resolveHost: () => '127.0.0.1',
+  eab: eabKid && eabHmacKey ? { [eabKid]: eabHmacKey } : null
+});
+
+console.log(`ACME test server directory: ${server.url}`);
+console.log('Certificates are issued by this root (valid until the server stops):');
+console.log(server.rootPem);
+console.log('Press Ctrl+C to stop');
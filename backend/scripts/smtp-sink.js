@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Run a local SMTP sink and print every message it receives, for trying out email
+ * notifications without a mail server:
+ *
+ *   node scripts/smtp-sink.js [port]        (default 2525)
+ *
+ * then set SMTP_HOST=127.0.0.1 and SMTP_PORT=2525 for the backend.
+ * Set SMTP_SINK_DIR to also save each message there as an .eml file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { startSmtpSink } from '../tests/helpers/smtpSink.js';
+
+const port = parseInt(process.argv[2] || process.env.SMTP_SINK_PORT || '2525', 10);
+const directory = process.env.SMTP_SINK_DIR;
+
+if (directory) {
+  fs.mkdirSync(directory, { recursive: true });
+}
+
+const sink = await startSmtpSink({
+  port,
+  onMessage: (message) => {
+    console.log('─'.repeat(72));
+    console.log(`From:    ${message.from}`);
+    console.log(`To:      ${message.to.join(', ')}`);
+    console.log(`Subject: ${message.headers.subject}`);
+    console.log('');
+    console.log(message.text);
+    if (directory) {
+      const file = path.join(directory, `${message.receivedAt.toISOString().replace(/[:.]/g, '-')}.eml`);
+      fs.writeFileSync(file, message.raw);
+      console.log(`(saved to ${file})`);
+    }
+  }
+});
+
+console.log(`SMTP sink listening on 127.0.0.1:${sink.port}; press Ctrl+C to stop`);
@@ -0,0 +1,17 @@
+-- Migration: Store issuer chains from PKCS#12 imports and vault private keys separately
+-- Private keys never go into certificates.pem_content; they are encrypted and kept
+-- in certificate_private_keys (or in Secret Manager, with only a reference here).
+
+ALTER TABLE certificates ADD COLUMN chain_pem TEXT;
+
+CREATE TABLE IF NOT EXISTS certificate_private_keys (
+    id TEXT PRIMARY KEY,
+    certificate_id TEXT NOT NULL UNIQUE REFERENCES certificates(id) ON DELETE CASCADE,
+    key_algorithm TEXT,
+    key_reference TEXT,      -- e.g. 'gcp-secret:certificate-key-<id>' when held in Secret Manager
+    encrypted_key TEXT,      -- AES-256-GCM ciphertext when held in the database
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_certificate_private_keys_certificate_id ON certificate_private_keys(certificate_id);
@@ -0,0 +1,10 @@
+-- Migration: Fingerprint certificates and link each one to its issuer record
+-- fingerprint_sha256 is the lowercase hex SHA-256 of the DER encoding; bundle imports
+-- use it to skip certificates that are already in the inventory.
+-- issuer_certificate_id points at the inventory record that signed this certificate.
+
+ALTER TABLE certificates ADD COLUMN fingerprint_sha256 TEXT;
+ALTER TABLE certificates ADD COLUMN issuer_certificate_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_certificates_fingerprint_sha256 ON certificates(fingerprint_sha256);
+CREATE INDEX IF NOT EXISTS idx_certificates_issuer_certificate_id ON certificates(issuer_certificate_id);
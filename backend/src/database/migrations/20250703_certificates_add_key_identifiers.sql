@@ -0,0 +1,8 @@
+-- Migration: Record subject/authority key identifiers so certificates imported from
+-- PEM bundles can be linked to their issuers by SKI/AKI rather than by name alone.
+
+ALTER TABLE certificates ADD COLUMN subject_key_identifier TEXT;
+ALTER TABLE certificates ADD COLUMN authority_key_identifier TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_certificates_subject_key_identifier ON certificates(subject_key_identifier);
+CREATE INDEX IF NOT EXISTS idx_certificates_authority_key_identifier ON certificates(authority_key_identifier);
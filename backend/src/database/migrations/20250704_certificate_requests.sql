@@ -0,0 +1,32 @@
+-- Migration: Pending certificate signing requests (CSRs)
+-- A CSR stays PENDING until a certificate with the same public key is uploaded;
+-- both sides are then linked (certificate_requests.certificate_id and
+-- certificates.certificate_request_id) and the request is marked ISSUED.
+
+CREATE TABLE IF NOT EXISTS certificate_requests (
+    id TEXT PRIMARY KEY,
+    common_name TEXT NOT NULL,
+    subject TEXT,
+    subject_alt_names TEXT,      -- JSON array of { type, value }
+    key_algorithm TEXT,
+    key_size INTEGER,
+    key_curve TEXT,
+    signature_algorithm TEXT,
+    signature_valid BOOLEAN DEFAULT 0,
+    public_key_sha256 TEXT NOT NULL,
+    pem_content TEXT NOT NULL,
+    status TEXT DEFAULT 'PENDING', -- PENDING, ISSUED
+    certificate_id TEXT REFERENCES certificates(id) ON DELETE SET NULL,
+    folder_id TEXT REFERENCES folders(id) ON DELETE SET NULL,
+    uploaded_by TEXT,
+    uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_certificate_requests_public_key_sha256 ON certificate_requests(public_key_sha256);
+CREATE INDEX IF NOT EXISTS idx_certificate_requests_status ON certificate_requests(status);
+
+ALTER TABLE certificates ADD COLUMN public_key_sha256 TEXT;
+ALTER TABLE certificates ADD COLUMN certificate_request_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_certificates_public_key_sha256 ON certificates(public_key_sha256);
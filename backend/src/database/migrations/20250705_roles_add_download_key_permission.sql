@@ -0,0 +1,7 @@
+-- Migration: Grant the private key download permission to the existing admin role
+-- Downloading a vaulted private key needs 'certificates:download-key'; new databases
+-- get it from the default roles, this adds it to databases created before.
+
+UPDATE roles
+SET permissions = REPLACE(permissions, '"certificates:renew"', '"certificates:renew","certificates:download-key"')
+WHERE id = 'admin' AND permissions NOT LIKE '%certificates:download-key%';
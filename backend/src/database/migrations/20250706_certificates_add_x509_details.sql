@@ -0,0 +1,28 @@
+-- Migration: Persist the X.509 details needed for search and audit
+-- List-valued extensions are stored as JSON arrays; SANs get their own table so
+-- they can be searched and joined on.
+
+ALTER TABLE certificates ADD COLUMN fingerprint_sha1 TEXT;
+ALTER TABLE certificates ADD COLUMN signature_algorithm TEXT;
+ALTER TABLE certificates ADD COLUMN key_algorithm TEXT;
+ALTER TABLE certificates ADD COLUMN key_size INTEGER;
+ALTER TABLE certificates ADD COLUMN key_curve TEXT;
+ALTER TABLE certificates ADD COLUMN is_ca BOOLEAN DEFAULT 0;
+ALTER TABLE certificates ADD COLUMN path_length INTEGER;
+ALTER TABLE certificates ADD COLUMN key_usage TEXT;               -- JSON array, e.g. ["digitalSignature","keyEncipherment"]
+ALTER TABLE certificates ADD COLUMN extended_key_usage TEXT;      -- JSON array of names (serverAuth, ...) or OIDs
+ALTER TABLE certificates ADD COLUMN crl_distribution_points TEXT; -- JSON array of URLs
+ALTER TABLE certificates ADD COLUMN ocsp_urls TEXT;               -- JSON array of URLs
+ALTER TABLE certificates ADD COLUMN ca_issuers_urls TEXT;         -- JSON array of URLs
+ALTER TABLE certificates ADD COLUMN certificate_policies TEXT;    -- JSON array of policy OIDs
+
+CREATE TABLE IF NOT EXISTS certificate_subject_alt_names (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    certificate_id TEXT NOT NULL REFERENCES certificates(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,   -- dns, ip, email, uri
+    value TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_certificate_sans_certificate_id ON certificate_subject_alt_names(certificate_id);
+CREATE INDEX IF NOT EXISTS idx_certificate_sans_value ON certificate_subject_alt_names(value);
+CREATE INDEX IF NOT EXISTS idx_certificates_fingerprint_sha1 ON certificates(fingerprint_sha1);
@@ -0,0 +1,14 @@
+-- Migration: Additional folder memberships for certificates
+-- A certificate keeps its primary folder in certificates.folder_id; re-uploading
+-- the same certificate (same SHA-256 fingerprint) with onDuplicate=attach lists the
+-- existing record in the upload's folder too, instead of creating a second record.
+
+CREATE TABLE IF NOT EXISTS certificate_folders (
+    certificate_id TEXT NOT NULL REFERENCES certificates(id) ON DELETE CASCADE,
+    folder_id TEXT NOT NULL REFERENCES folders(id) ON DELETE CASCADE,
+    added_by TEXT,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (certificate_id, folder_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_certificate_folders_folder_id ON certificate_folders(folder_id);
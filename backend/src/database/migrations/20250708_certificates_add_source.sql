@@ -0,0 +1,8 @@
+-- Migration: Record where each certificate came from
+-- source_type: 'upload' (file upload) or 'tls-endpoint' (captured during a TLS handshake)
+-- source_location: uploaded file name, or host:port of the endpoint
+-- source_details: JSON with type-specific details (SNI, TLS protocol, cipher, ...)
+
+ALTER TABLE certificates ADD COLUMN source_type TEXT;
+ALTER TABLE certificates ADD COLUMN source_location TEXT;
+ALTER TABLE certificates ADD COLUMN source_details TEXT;
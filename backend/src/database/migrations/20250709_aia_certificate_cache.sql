@@ -0,0 +1,10 @@
+-- Migration: Cache of issuer certificates downloaded from AIA (caIssuers) URLs
+-- Chain building only goes to the network when the inventory cannot supply an issuer
+-- and AIA fetching is enabled; each URL is fetched at most once per cache TTL.
+
+CREATE TABLE IF NOT EXISTS aia_certificate_cache (
+    url TEXT PRIMARY KEY,
+    certificates_pem TEXT,       -- Certificates served at the URL, as PEM
+    error TEXT,                  -- Why the last fetch failed, if it did
+    fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
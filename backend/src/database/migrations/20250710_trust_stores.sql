@@ -0,0 +1,28 @@
+-- Migration: Trust stores
+-- A trust store is a named set of trust anchors (root or intermediate CA certificates,
+-- e.g. "public web" or "corporate internal"). Each folder can be assigned one, and its
+-- certificates are validated against it.
+
+CREATE TABLE IF NOT EXISTS trust_stores (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    source_format TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS trust_store_certificates (
+    trust_store_id TEXT NOT NULL REFERENCES trust_stores(id) ON DELETE CASCADE,
+    fingerprint_sha256 TEXT NOT NULL,
+    common_name TEXT,
+    subject TEXT,
+    subject_key_identifier TEXT,
+    valid_to DATETIME,
+    pem_content TEXT NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (trust_store_id, fingerprint_sha256)
+);
+
+ALTER TABLE folders ADD COLUMN trust_store_id TEXT REFERENCES trust_stores(id);
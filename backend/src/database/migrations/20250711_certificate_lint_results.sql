@@ -0,0 +1,14 @@
+-- Migration: Certificate lint results
+-- Latest CA/Browser Forum Baseline Requirements lint run of each certificate, written on
+-- upload and by POST /api/certificates/:id/lint. findings is a JSON array of
+-- { ruleId, severity, message, description, reference }.
+
+CREATE TABLE IF NOT EXISTS certificate_lint_results (
+    certificate_id TEXT PRIMARY KEY REFERENCES certificates(id) ON DELETE CASCADE,
+    linter_version TEXT NOT NULL,
+    error_count INTEGER NOT NULL DEFAULT 0,
+    warning_count INTEGER NOT NULL DEFAULT 0,
+    passed_count INTEGER NOT NULL DEFAULT 0,
+    findings TEXT NOT NULL,
+    linted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
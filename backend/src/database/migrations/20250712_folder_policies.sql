@@ -0,0 +1,17 @@
+-- Migration: Folder issuance policies
+-- Rules on what certificates a folder may hold. In enforce mode uploads and moves that
+-- break them are rejected; in audit mode they go through and the violations are reported.
+-- List columns hold JSON arrays; NULL rules are not checked.
+
+CREATE TABLE IF NOT EXISTS folder_policies (
+    folder_id TEXT PRIMARY KEY REFERENCES folders(id) ON DELETE CASCADE,
+    mode TEXT NOT NULL DEFAULT 'audit',
+    allowed_issuers TEXT,
+    min_key_size INTEGER,
+    allowed_algorithms TEXT,
+    max_validity_days INTEGER,
+    required_san_domains TEXT,
+    allow_wildcards BOOLEAN,
+    updated_by TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,25 @@
+-- Migration: Revocation checking
+-- Outcome of the latest OCSP/CRL check of each certificate; revoked certificates also get
+-- status REVOKED. OCSP responses and CRLs are cached until their nextUpdate (capped by
+-- REVOCATION_CACHE_TTL_HOURS), so repeated checks do not hit the CA every time.
+
+ALTER TABLE certificates ADD COLUMN revocation_status TEXT;       -- good, revoked or unknown
+ALTER TABLE certificates ADD COLUMN revocation_reason TEXT;       -- RFC 5280 CRLReason name
+ALTER TABLE certificates ADD COLUMN revoked_at DATETIME;
+ALTER TABLE certificates ADD COLUMN revocation_source TEXT;       -- ocsp or crl
+ALTER TABLE certificates ADD COLUMN revocation_checked_at DATETIME;
+ALTER TABLE certificates ADD COLUMN revocation_error TEXT;        -- Why the check was inconclusive
+
+CREATE TABLE IF NOT EXISTS ocsp_response_cache (
+    cache_key TEXT PRIMARY KEY,  -- responder URL, issuer key hash and serial number
+    response_der TEXT NOT NULL,  -- Base64
+    next_update DATETIME,
+    fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS crl_cache (
+    url TEXT PRIMARY KEY,
+    crl_der TEXT NOT NULL,       -- Base64
+    next_update DATETIME,
+    fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,33 @@
+-- Migration: Certificate events and scheduled job history
+-- certificate_events records what happened to a certificate, starting with status changes
+-- (VALID -> EXPIRING_SOON -> EXPIRED, and to and from REVOKED). details is a JSON object.
+-- scheduled_job_runs keeps one row per run of a background job, scheduled or manual;
+-- summary is the job's JSON result.
+
+CREATE TABLE IF NOT EXISTS certificate_events (
+    id TEXT PRIMARY KEY,
+    certificate_id TEXT NOT NULL,     -- Not a foreign key: events outlive deleted certificates
+    event_type TEXT NOT NULL,         -- status_changed
+    from_status TEXT,
+    to_status TEXT,
+    details TEXT,
+    job_run_id TEXT,                  -- Run that caused the event, if any
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_certificate_events_certificate ON certificate_events (certificate_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_certificate_events_created ON certificate_events (created_at);
+
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+    id TEXT PRIMARY KEY,
+    job_name TEXT NOT NULL,
+    trigger_type TEXT NOT NULL,       -- schedule, startup or manual
+    triggered_by INTEGER,             -- User who started a manual run
+    status TEXT NOT NULL,             -- running, succeeded or failed
+    summary TEXT,
+    error TEXT,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job ON scheduled_job_runs (job_name, started_at);
@@ -0,0 +1,14 @@
+-- Migration: Expiry threshold overrides
+-- The global thresholds live in the system_config metadata (expiryThresholds). Folders and
+-- single certificates can override them here; a NULL column inherits from the next level
+-- (certificate -> folder -> global). notification_days is a JSON array of day counts.
+
+CREATE TABLE IF NOT EXISTS expiry_threshold_overrides (
+    scope TEXT NOT NULL,              -- folder or certificate
+    scope_id TEXT NOT NULL,           -- Folder or certificate ID
+    expiring_soon_days INTEGER,       -- Days before expiry a certificate becomes EXPIRING_SOON
+    notification_days TEXT,           -- Days before expiry to send expiry notifications
+    updated_by TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (scope, scope_id)
+);
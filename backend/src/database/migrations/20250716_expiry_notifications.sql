@@ -0,0 +1,46 @@
+-- Migration: Email expiry notifications
+-- notification_recipients says who is emailed about expiring certificates: a user (at the
+-- email of their account) or a plain address such as a team list, for every certificate or
+-- only for those in one folder. notification_deliveries records each email per certificate,
+-- expiry date, threshold and recipient, so a notice is sent once; a renewed certificate has a
+-- new expiry date and is notified again. notification_templates holds edited email templates;
+-- templates without a row use the built-in text.
+
+CREATE TABLE IF NOT EXISTS notification_recipients (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER,                  -- Either a user...
+    email TEXT,                       -- ...or an address
+    folder_id TEXT,                   -- NULL: every certificate
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_recipients_user ON notification_recipients (user_id);
+CREATE INDEX IF NOT EXISTS idx_notification_recipients_folder ON notification_recipients (folder_id);
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id TEXT PRIMARY KEY,
+    certificate_id TEXT NOT NULL,     -- Not a foreign key: the history outlives deleted certificates
+    valid_to DATETIME NOT NULL,
+    threshold_days INTEGER NOT NULL,
+    recipient TEXT NOT NULL,          -- Email address, lowercase
+    template_key TEXT NOT NULL,
+    subject TEXT,
+    status TEXT NOT NULL,             -- sent or failed (failed sends are retried on the next run)
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    job_run_id TEXT,
+    sent_at DATETIME NOT NULL,
+    UNIQUE (certificate_id, valid_to, threshold_days, recipient)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_sent ON notification_deliveries (sent_at);
+
+CREATE TABLE IF NOT EXISTS notification_templates (
+    template_key TEXT PRIMARY KEY,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    updated_by TEXT,
+    updated_at DATETIME
+);
@@ -0,0 +1,44 @@
+-- Migration: Webhook notifications
+-- webhook_subscriptions are endpoints that receive certificate events (uploaded, deleted,
+-- moved, renewed, expiring, expired, revoked) as generic JSON, Slack or Teams messages, for
+-- every certificate or only for those in one folder. The secret signs each payload (HMAC
+-- SHA-256) and is stored encrypted. webhook_deliveries records every delivery with its
+-- payload; failed deliveries are retried with exponential backoff until they succeed or run
+-- out of attempts, and can be sent again by hand (a new delivery pointing at the original).
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    url TEXT NOT NULL,
+    format TEXT NOT NULL DEFAULT 'generic', -- generic, slack or teams
+    encrypted_secret TEXT NOT NULL,
+    events TEXT NOT NULL,                   -- JSON array of event names
+    folder_id TEXT,                         -- NULL: every certificate
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_folder ON webhook_subscriptions (folder_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    subscription_id TEXT NOT NULL,
+    event_id TEXT,                          -- certificate_events row, NULL for test pings
+    event_type TEXT NOT NULL,
+    certificate_id TEXT,
+    payload TEXT NOT NULL,                  -- Body as sent
+    status TEXT NOT NULL,                   -- pending, succeeded or failed (no attempts left)
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME,
+    last_attempt_at DATETIME,
+    response_status INTEGER,
+    error TEXT,
+    redelivery_of TEXT,                     -- Delivery this one sends again
+    created_at DATETIME NOT NULL,
+    delivered_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
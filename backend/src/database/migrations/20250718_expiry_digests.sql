@@ -0,0 +1,25 @@
+-- Migration: Expiry digests
+-- A digest summarizes certificates expiring soon, newly expired and newly uploaded ones and
+-- folder policy violations, grouped by folder. Each digest_subscriptions row sends one to a
+-- user (at the email of their account), an address or a webhook subscription, for every
+-- certificate or only one folder's, every interval_days days. last_sent_at starts the period
+-- the next digest reports on.
+
+CREATE TABLE IF NOT EXISTS digest_subscriptions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER,                  -- One of a user...
+    email TEXT,                       -- ...an address...
+    webhook_subscription_id TEXT,     -- ...or a webhook
+    folder_id TEXT,                   -- NULL: every certificate
+    interval_days INTEGER NOT NULL DEFAULT 7,
+    days_ahead INTEGER NOT NULL DEFAULT 30, -- Report certificates expiring within this many days
+    enabled INTEGER NOT NULL DEFAULT 1,
+    last_sent_at DATETIME,
+    last_status TEXT,                 -- sent or failed
+    last_error TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_subscriptions_user ON digest_subscriptions (user_id);
+CREATE INDEX IF NOT EXISTS idx_digest_subscriptions_folder ON digest_subscriptions (folder_id);
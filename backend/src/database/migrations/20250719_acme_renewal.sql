@@ -0,0 +1,66 @@
+-- Migration: ACME renewal and certificate versions
+-- acme_accounts configures the ACME CA used to renew a folder's certificates (folder_id NULL:
+-- the default account for folders without their own). Keys, the EAB HMAC key and the solver
+-- configuration are encrypted like vaulted private keys. account_url is filled in once the
+-- account is registered with the CA.
+-- A renewal replaces the certificate in its record; the certificate it replaced is kept in
+-- certificate_versions. acme_orders is the history of renewal attempts.
+
+CREATE TABLE IF NOT EXISTS acme_accounts (
+    id TEXT PRIMARY KEY,
+    folder_id TEXT,
+    directory_url TEXT NOT NULL,
+    email TEXT,
+    eab_kid TEXT,
+    encrypted_eab_hmac_key TEXT,
+    encrypted_account_key TEXT NOT NULL,
+    account_url TEXT,
+    solver TEXT NOT NULL DEFAULT 'http-01',
+    encrypted_solver_config TEXT,       -- JSON object for the solver, e.g. { "webroot": "/var/www" }
+    key_policy TEXT NOT NULL DEFAULT 'new', -- new: a fresh key per renewal; reuse: keep the vaulted key
+    key_type TEXT,                      -- Type of new keys (rsa-2048, ec-p256, ...); NULL: as the current key
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_acme_accounts_folder ON acme_accounts (folder_id);
+
+CREATE TABLE IF NOT EXISTS certificate_versions (
+    id TEXT PRIMARY KEY,
+    certificate_id TEXT NOT NULL,
+    version INTEGER NOT NULL,           -- 1 for the certificate first stored in the record
+    common_name TEXT,
+    issuer TEXT,
+    serial_number TEXT,
+    valid_from DATETIME,
+    valid_to DATETIME,
+    fingerprint_sha256 TEXT,
+    public_key_sha256 TEXT,
+    pem_content TEXT,
+    chain_pem TEXT,
+    encrypted_private_key TEXT,         -- Kept when the renewal replaced the key
+    replaced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    replaced_by TEXT,
+    UNIQUE (certificate_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_certificate_versions_certificate ON certificate_versions (certificate_id);
+
+CREATE TABLE IF NOT EXISTS acme_orders (
+    id TEXT PRIMARY KEY,
+    certificate_id TEXT NOT NULL,
+    account_id TEXT,
+    status TEXT NOT NULL,               -- pending, valid or invalid
+    identifiers TEXT,                   -- JSON array of { type, value }
+    order_url TEXT,
+    solver TEXT,
+    key_reused INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_by TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_acme_orders_certificate ON acme_orders (certificate_id);
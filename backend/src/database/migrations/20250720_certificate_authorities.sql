@@ -0,0 +1,26 @@
+-- Migration: Internal certificate authorities
+-- certificate_authorities are CAs the app runs itself: self-signed roots, and intermediates
+-- signed by another internal CA (parent_id). Each CA certificate is also an inventory record
+-- (certificate_id) without a private key; the CA key is sealed by the private key vault,
+-- either in the secret manager (key_reference) or encrypted here (encrypted_key). Certificates
+-- a CA issues are stored in the inventory with source_type 'internal-ca' and linked to the
+-- CA certificate through issuer_certificate_id.
+
+CREATE TABLE IF NOT EXISTS certificate_authorities (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    type TEXT NOT NULL,                     -- root or intermediate
+    parent_id TEXT,                         -- Signing CA of an intermediate
+    certificate_id TEXT NOT NULL,           -- Inventory record of the CA certificate
+    key_type TEXT NOT NULL,                 -- e.g. ec-p384, rsa-4096
+    key_reference TEXT,                     -- Secret manager reference, or
+    encrypted_key TEXT,                     -- AES-256-GCM encrypted PKCS#8 key
+    path_length INTEGER,                    -- NULL: no path length constraint
+    enabled INTEGER NOT NULL DEFAULT 1,     -- Disabled CAs do not issue
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_certificate_authorities_parent ON certificate_authorities (parent_id);
+CREATE INDEX IF NOT EXISTS idx_certificate_authorities_certificate ON certificate_authorities (certificate_id);
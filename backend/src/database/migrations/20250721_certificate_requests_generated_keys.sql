@@ -0,0 +1,9 @@
+-- Migration: Key pairs generated with certificate requests
+-- CSRs generated by the app keep their private key sealed by the private key vault, either in
+-- the secret manager (key_reference) or encrypted here (encrypted_key), until the certificate
+-- for the request is stored; the key then moves to that certificate. renewal_of is the
+-- inventory certificate a renewal CSR copied its subject and SANs from.
+
+ALTER TABLE certificate_requests ADD COLUMN key_reference TEXT;
+ALTER TABLE certificate_requests ADD COLUMN encrypted_key TEXT;
+ALTER TABLE certificate_requests ADD COLUMN renewal_of TEXT REFERENCES certificates(id) ON DELETE SET NULL;
@@ -11,13 +11,21 @@ import { dirname, join } from 'path';
 // Import routes
 import authRoutes from './routes/auth.js';
 import certificateRoutes from './routes/certificates.js';
+import certificateRequestRoutes from './routes/certificateRequests.js';
 import folderRoutes from './routes/folders.js';
+import trustStoreRoutes from './routes/trustStores.js';
 import metadataRoutes from './routes/metadata.js';
 import userRoutes from './routes/users.js';
 import geminiRoutes from './routes/gemini.js';
 import aiRoutes from './routes/ai.js';
 import gcpDiagnosticsRoutes from './routes/gcp-diagnostics.js';
 import healthRoutes from './routes/health.js';
+import jobRoutes from './routes/jobs.js';
+import notificationRoutes from './routes/notifications.js';
+import webhookRoutes from './routes/webhooks.js';
+import acmeRoutes from './routes/acme.js';
+import acmeChallengeRoutes from './routes/acmeChallenges.js';
+import certificateAuthorityRoutes from './routes/certificateAuthorities.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -25,6 +33,9 @@ import { authMiddleware } from './middleware/auth.js';
 
 // Import flexible database initialization
 import { initializeDatabase } from './database/flexible-init.js';
+import schedulerService from './services/schedulerService.js';
+import certificateImportService from './services/certificateImportService.js';
+import webhookService from './services/webhookService.js';
 
 // Load environment variables
 dotenv.config();
@@ -67,12 +78,22 @@ app.get('/health', (req, res) => {
   });
 });
 
+// ACME http-01 challenge responses (served without authentication)
+app.use('/.well-known/acme-challenge', acmeChallengeRoutes);
+
 // API routes (body parsers must come before these)
 app.use('/api/auth', authRoutes);
 app.use('/api/certificates', authMiddleware, certificateRoutes);
+app.use('/api/certificate-requests', authMiddleware, certificateRequestRoutes);
 app.use('/api/folders', authMiddleware, folderRoutes);
+app.use('/api/trust-stores', authMiddleware, trustStoreRoutes);
 app.use('/api/metadata', authMiddleware, metadataRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
+app.use('/api/jobs', authMiddleware, jobRoutes);
+app.use('/api/notifications', authMiddleware, notificationRoutes);
+app.use('/api/webhooks', authMiddleware, webhookRoutes);
+app.use('/api/acme', authMiddleware, acmeRoutes);
+app.use('/api/certificate-authorities', authMiddleware, certificateAuthorityRoutes);
 app.use('/api/gemini', geminiRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/gcp-diagnostics', gcpDiagnosticsRoutes);
@@ -90,6 +111,11 @@ async function startServer() {
   try {
     await initializeDatabase();
     console.log('Database initialized successfully');
+
+    // Fingerprints, SANs and extension details of certificates stored before they were recorded
+    if (process.env.NODE_ENV !== 'test') {
+      await certificateImportService.backfillAllCertificateDetails();
+    }
     
     console.log('GOOGLE_CLIENT_ID:', process.env.GOOGLE_CLIENT_ID);
     
@@ -112,6 +138,12 @@ async function startServer() {
       console.warn('WARNING: GOOGLE_CALLBACK_URL may be incorrect:', process.env.GOOGLE_CALLBACK_URL);
     }
     
+    // Status recalculation, revocation checks, webhook retries and other background jobs
+    if (process.env.SCHEDULER_ENABLED !== 'false' && process.env.NODE_ENV !== 'test') {
+      schedulerService.start();
+      webhookService.start();
+    }
+
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
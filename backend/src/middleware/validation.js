@@ -17,9 +17,220 @@ const registerSchema = Joi.object({
 // Certificate upload validation schema
 const certificateUploadSchema = Joi.object({
   folderId: Joi.string().optional().allow(null),
+  password: Joi.string().optional().allow(''), // PKCS#12 container, keystore or encrypted private key password
+  keyPassword: Joi.string().optional().allow(''), // Keystore keys protected with a password of their own
+  onDuplicate: Joi.string().valid('reject', 'attach').optional(), // Certificate already in inventory
   certificate: Joi.any().optional()
 });
 
+// Import from TLS endpoint validation schema
+const endpointImportSchema = Joi.object({
+  host: Joi.alternatives().try(Joi.string().hostname(), Joi.string().ip()).required(),
+  port: Joi.number().integer().min(1).max(65535).default(443),
+  servername: Joi.string().hostname().optional().allow('', null), // SNI, defaults to host
+  folderId: Joi.string().optional().allow(null),
+  onDuplicate: Joi.string().valid('reject', 'attach').optional()
+});
+
+// Trust store import validation schema (multipart fields)
+const trustStoreImportSchema = Joi.object({
+  name: Joi.string().min(1).max(100),
+  description: Joi.string().max(500).optional().allow(''),
+  purpose: Joi.string().valid('server-auth', 'email-protection', 'code-signing').default('server-auth'), // certdata.txt trust bit
+  replace: Joi.boolean().default(false), // Drop anchors missing from the imported file
+  bundle: Joi.any().optional()
+});
+
+// Java keystore export validation schema
+const keyStoreExportSchema = Joi.object({
+  certificateIds: Joi.array().items(Joi.string()).min(1),
+  folderId: Joi.string(),
+  kind: Joi.string().valid('truststore', 'keystore').default('truststore'),
+  format: Joi.string().valid('jks', 'pkcs12').default('pkcs12'),
+  password: Joi.string().min(1).required(), // Store password (also protects JKS keys)
+  legacy: Joi.boolean().default(false) // 3DES/SHA-1 PKCS#12 for Java 8 and older
+}).xor('certificateIds', 'folderId');
+
+// Folder trust store assignment validation schema
+const folderTrustStoreSchema = Joi.object({
+  trustStoreId: Joi.string().required().allow(null)
+});
+
+// Folder issuance policy validation schema; omitted rules are not checked
+const folderPolicySchema = Joi.object({
+  mode: Joi.string().valid('enforce', 'audit').default('audit'),
+  allowedIssuers: Joi.array().items(Joi.string().min(1)).default([]), // Issuer DN or issuer CN
+  minKeySize: Joi.number().integer().min(512).max(16384).allow(null).default(null), // RSA/DSA bits
+  allowedAlgorithms: Joi.array().items(Joi.string().min(1)).default([]), // Key algorithm or curve: RSA, EC, Ed25519, P-256...
+  maxValidityDays: Joi.number().integer().min(1).allow(null).default(null),
+  requiredSanDomains: Joi.array().items(Joi.string().domain({ tlds: false })).default([]),
+  allowWildcards: Joi.boolean().allow(null).default(null)
+});
+
+// Expiry thresholds (global, folder or certificate); null inherits from the level above
+const expiryThresholdsSchema = Joi.object({
+  expiringSoonDays: Joi.number().integer().min(1).max(3650).allow(null).default(null),
+  notificationDays: Joi.array().items(Joi.number().integer().min(1).max(3650)).max(20).allow(null).default(null)
+});
+
+// System metadata update: only the sections this API manages are checked
+const metadataUpdateSchema = Joi.object({
+  tempFolder: Joi.object().unknown(true),
+  system: Joi.object().unknown(true),
+  expiryThresholds: expiryThresholdsSchema
+}).unknown(true);
+
+// Expiry notification recipient: a user or an address, for every certificate or one folder's
+const notificationRecipientSchema = Joi.object({
+  userId: Joi.number().integer().min(1),
+  email: Joi.string().email({ tlds: false }).max(254),
+  folderId: Joi.string().allow(null).default(null)
+}).xor('userId', 'email');
+
+// Expiry digest: to a user, an address or a webhook, for every certificate or one folder's
+const digestSubscriptionSchema = Joi.object({
+  userId: Joi.number().integer().min(1),
+  email: Joi.string().email({ tlds: false }).max(254),
+  webhookSubscriptionId: Joi.string(),
+  folderId: Joi.string().allow(null).default(null),
+  intervalDays: Joi.number().integer().min(1).max(365).default(7),
+  daysAhead: Joi.number().integer().min(1).max(3650).default(30)
+}).xor('userId', 'email', 'webhookSubscriptionId');
+
+const digestSubscriptionUpdateSchema = Joi.object({
+  enabled: Joi.boolean(),
+  intervalDays: Joi.number().integer().min(1).max(365),
+  daysAhead: Joi.number().integer().min(1).max(3650)
+}).min(1);
+
+// Edited notification email template
+const notificationTemplateSchema = Joi.object({
+  subject: Joi.string().trim().min(1).max(500).required(),
+  body: Joi.string().min(1).max(20000).required()
+});
+
+// Webhook subscription: where to post which certificate events, in which format
+const webhookEvents = Joi.array().items(Joi.string().valid(
+  'certificate.uploaded', 'certificate.deleted', 'certificate.moved', 'certificate.renewed',
+  'certificate.expiring', 'certificate.expired', 'certificate.revoked'
+)).min(1).unique();
+const webhookSubscriptionFields = {
+  name: Joi.string().trim().min(1).max(100),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+  format: Joi.string().valid('generic', 'slack', 'teams'),
+  events: webhookEvents,
+  folderId: Joi.string().allow(null),
+  enabled: Joi.boolean(),
+  secret: Joi.string().min(16).max(256)
+};
+const webhookSubscriptionSchema = Joi.object({
+  ...webhookSubscriptionFields,
+  name: webhookSubscriptionFields.name.required(),
+  url: webhookSubscriptionFields.url.required(),
+  format: webhookSubscriptionFields.format.default('generic'),
+  events: webhookEvents.required(),
+  folderId: webhookSubscriptionFields.folderId.default(null),
+  enabled: webhookSubscriptionFields.enabled.default(true)
+});
+const webhookSubscriptionUpdateSchema = Joi.object(webhookSubscriptionFields).min(1);
+
+// Key types keys can be generated with, and the ones public ACME CAs accept (see utils/csrGenerator.js)
+const KEY_TYPE_NAMES = ['rsa-2048', 'rsa-3072', 'rsa-4096', 'ec-p256', 'ec-p384', 'ed25519'];
+const ACME_KEY_TYPE_NAMES = KEY_TYPE_NAMES.filter(keyType => keyType !== 'ed25519');
+
+// ACME account: the CA that renews a folder's certificates (no folder: the default account)
+const acmeAccountFields = {
+  folderId: Joi.string().allow(null),
+  directoryUrl: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+  email: Joi.string().email({ tlds: false }).max(254).allow(null),
+  eabKid: Joi.string().max(500).allow(null),
+  eabHmacKey: Joi.string().pattern(/^[A-Za-z0-9_-]+={0,2}$/).max(500).allow(null),
+  solver: Joi.string().max(100),
+  solverConfig: Joi.object().unknown(true),
+  keyPolicy: Joi.string().valid('new', 'reuse'),
+  keyType: Joi.string().valid(...ACME_KEY_TYPE_NAMES).allow(null),
+  enabled: Joi.boolean()
+};
+const acmeAccountSchema = Joi.object({
+  ...acmeAccountFields,
+  folderId: acmeAccountFields.folderId.default(null),
+  directoryUrl: acmeAccountFields.directoryUrl.required(),
+  solver: acmeAccountFields.solver.default('http-01'),
+  solverConfig: acmeAccountFields.solverConfig.default({}),
+  keyPolicy: acmeAccountFields.keyPolicy.default('new'),
+  enabled: acmeAccountFields.enabled.default(true)
+}).and('eabKid', 'eabHmacKey');
+const acmeAccountUpdateSchema = Joi.object(acmeAccountFields).min(1);
+
+// Certificate renewal options
+const certificateRenewalSchema = Joi.object({
+  reuseKey: Joi.boolean()
+});
+
+// Internal CA: a self-signed root, or an intermediate signed by another internal CA
+const certificateSubjectFields = {
+  commonName: Joi.string().max(64),
+  organization: Joi.string().max(64),
+  organizationalUnit: Joi.string().max(64),
+  locality: Joi.string().max(128),
+  state: Joi.string().max(128),
+  country: Joi.string().length(2).uppercase()
+};
+const subjectAltNamesField = Joi.array().items(Joi.object({
+  type: Joi.string().valid('dns', 'ip', 'email', 'uri').required(),
+  value: Joi.alternatives().conditional('type', {
+    switch: [
+      { is: 'dns', then: Joi.string().pattern(/^(\*\.)?([a-z0-9-]+\.)*[a-z0-9-]+$/i).max(253) },
+      { is: 'ip', then: Joi.string().ip({ cidr: 'forbidden' }) },
+      { is: 'email', then: Joi.string().email({ tlds: false }).max(254) }
+    ],
+    otherwise: Joi.string().uri().max(2000)
+  }).required()
+})).max(100);
+const certificateAuthoritySchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  type: Joi.string().valid('root', 'intermediate').required(),
+  parentId: Joi.string().when('type', { is: 'intermediate', then: Joi.required(), otherwise: Joi.forbidden() }),
+  subject: Joi.object({ ...certificateSubjectFields, commonName: certificateSubjectFields.commonName.required() }).required(),
+  keyType: Joi.string().valid(...KEY_TYPE_NAMES),
+  validityDays: Joi.number().integer().min(1),
+  pathLength: Joi.number().integer().min(0).allow(null),
+  folderId: Joi.string().allow(null)
+});
+const certificateAuthorityUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(100),
+  enabled: Joi.boolean()
+}).min(1);
+
+// Certificate issued by an internal CA, for a new key (keyType) or a CSR
+const certificateIssueSchema = Joi.object({
+  profile: Joi.string().valid('server', 'client', 'code-signing').required(),
+  subject: Joi.object(certificateSubjectFields),
+  subjectAltNames: subjectAltNamesField,
+  validityDays: Joi.number().integer().min(1),
+  keyType: Joi.string().valid(...KEY_TYPE_NAMES),
+  csr: Joi.string().max(20000),
+  certificateRequestId: Joi.string(),
+  folderId: Joi.string().allow(null)
+}).oxor('keyType', 'csr', 'certificateRequestId');
+
+// Key pair and CSR generated by the server; a renewal CSR (certificateId) copies the subject
+// and SANs of that inventory certificate
+const KEY_USAGE_NAMES = [
+  'digitalSignature', 'nonRepudiation', 'keyEncipherment', 'dataEncipherment', 'keyAgreement',
+  'keyCertSign', 'cRLSign', 'encipherOnly', 'decipherOnly'
+];
+const EXTENDED_KEY_USAGE_NAMES = ['serverAuth', 'clientAuth', 'codeSigning', 'emailProtection', 'timeStamping', 'OCSPSigning'];
+const certificateRequestGenerateSchema = Joi.object({
+  certificateId: Joi.string(),
+  subject: Joi.object(certificateSubjectFields).when('certificateId', { is: Joi.exist(), then: Joi.forbidden() }),
+  subjectAltNames: subjectAltNamesField.when('certificateId', { is: Joi.exist(), then: Joi.forbidden() }),
+  keyType: Joi.string().valid(...KEY_TYPE_NAMES),
+  keyUsage: Joi.array().items(Joi.string().valid(...KEY_USAGE_NAMES)).unique(),
+  extendedKeyUsage: Joi.array().items(Joi.string().valid(...EXTENDED_KEY_USAGE_NAMES)).unique(),
+  folderId: Joi.string().allow(null)
+});
+
 // Folder creation validation schema
 const folderSchema = Joi.object({
   name: Joi.string().required().min(1).max(100),
@@ -65,6 +276,201 @@ export const validateCertificateUpload = (req, res, next) => {
   next();
 };
 
+export const validateEndpointImport = (req, res, next) => {
+  const { error, value } = endpointImportSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateTrustStoreImport = (req, res, next) => {
+  const { error, value } = trustStoreImportSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateKeyStoreExport = (req, res, next) => {
+  const { error, value } = keyStoreExportSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateFolderTrustStore = (req, res, next) => {
+  const { error } = folderTrustStoreSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  next();
+};
+
+export const validateFolderPolicy = (req, res, next) => {
+  const { error, value } = folderPolicySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateExpiryThresholds = (req, res, next) => {
+  const { error, value } = expiryThresholdsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateMetadataUpdate = (req, res, next) => {
+  const { error, value } = metadataUpdateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateNotificationRecipient = (req, res, next) => {
+  const { error, value } = notificationRecipientSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateDigestSubscription = (req, res, next) => {
+  const schema = req.method === 'POST' ? digestSubscriptionSchema : digestSubscriptionUpdateSchema;
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateNotificationTemplate = (req, res, next) => {
+  const { error, value } = notificationTemplateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateWebhookSubscription = (req, res, next) => {
+  const schema = req.method === 'POST' ? webhookSubscriptionSchema : webhookSubscriptionUpdateSchema;
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateAcmeAccount = (req, res, next) => {
+  const schema = req.method === 'POST' ? acmeAccountSchema : acmeAccountUpdateSchema;
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateCertificateRenewal = (req, res, next) => {
+  const { error, value } = certificateRenewalSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateCertificateAuthority = (req, res, next) => {
+  const schema = req.method === 'POST' ? certificateAuthoritySchema : certificateAuthorityUpdateSchema;
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateCertificateIssue = (req, res, next) => {
+  const { error, value } = certificateIssueSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: error.details.map(d => d.message)
+    });
+  }
+  req.body = value;
+  next();
+};
+
+export const validateCertificateRequestGenerate = (req, res, next) => {
+  const { error, value } = certificateRequestGenerateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: error.details.map(d => d.message)
+    });
+  }
+  req.body = value;
+  next();
+};
+
 export const validateFolder = (req, res, next) => {
   const { error } = folderSchema.validate(req.body);
   if (error) {
@@ -0,0 +1,68 @@
+import express from 'express';
+import acmeService, { KEY_POLICIES } from '../services/acmeService.js';
+import { listSolvers } from '../services/acmeSolvers.js';
+import { ACME_KEY_TYPES } from '../utils/csrGenerator.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateAcmeAccount } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const sendError = (res, error) => res.status(error.statusCode).json({ error: error.message });
+
+// Challenge solvers, key policies and key types accounts can choose from
+router.get('/options', (req, res) => {
+  res.json({ solvers: listSolvers(), keyPolicies: KEY_POLICIES, keyTypes: ACME_KEY_TYPES });
+});
+
+// Accounts hold CA credentials, so they are managed by administrators
+router.use(requirePermission('system:settings'));
+
+router.get('/accounts', async (req, res, next) => {
+  try {
+    res.json(await acmeService.listAccounts());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Registers the account with the CA before saving it
+router.post('/accounts', validateAcmeAccount, async (req, res, next) => {
+  try {
+    res.status(201).json(await acmeService.createAccount(req.body, { createdBy: req.user.id }));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+router.get('/accounts/:id', async (req, res, next) => {
+  try {
+    const account = await acmeService.getAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'ACME account not found' });
+    }
+    res.json(account);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/accounts/:id', validateAcmeAccount, async (req, res, next) => {
+  try {
+    res.json(await acmeService.updateAccount(req.params.id, req.body));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+router.delete('/accounts/:id', async (req, res, next) => {
+  try {
+    await acmeService.deleteAccount(req.params.id);
+    res.json({ message: 'ACME account removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { getHttpChallengeResponse } from '../services/acmeSolvers.js';
+
+const router = express.Router();
+
+// http-01 responses of pending ACME renewals; ACME servers fetch these without credentials
+router.get('/:token', (req, res) => {
+  const keyAuthorization = getHttpChallengeResponse(req.params.token);
+  if (!keyAuthorization) {
+    return res.status(404).type('text/plain').send('Not found');
+  }
+  res.type('text/plain').send(keyAuthorization);
+});
+
+export default router;
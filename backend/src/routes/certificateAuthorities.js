@@ -0,0 +1,102 @@
+import express from 'express';
+import certificateAuthorityService, { CA_TYPES } from '../services/certificateAuthorityService.js';
+import { CERTIFICATE_PROFILES } from '../utils/certificateIssuer.js';
+import { KEY_TYPES } from '../utils/csrGenerator.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateCertificateAuthority, validateCertificateIssue } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const sendError = (res, error) => res.status(error.statusCode).json({ error: error.message, policyViolations: error.policyViolations });
+
+// Certificate profiles, CA types and key types to choose from
+router.get('/profiles', (req, res) => {
+  res.json({
+    profiles: Object.entries(CERTIFICATE_PROFILES).map(([name, profile]) => ({
+      name,
+      description: profile.description,
+      subjectAltNameTypes: profile.subjectAltNameTypes,
+      requiresSubjectAltName: profile.requiresSubjectAltName,
+      defaultValidityDays: profile.defaultValidityDays,
+      maxValidityDays: profile.maxValidityDays
+    })),
+    caTypes: CA_TYPES,
+    keyTypes: Object.keys(KEY_TYPES)
+  });
+});
+
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await certificateAuthorityService.listAuthorities());
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const authority = await certificateAuthorityService.getAuthority(req.params.id);
+    if (!authority) {
+      return res.status(404).json({ error: 'Certificate authority not found' });
+    }
+    res.json(authority);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Certificates the CA signed, newest first
+router.get('/:id/certificates', async (req, res, next) => {
+  try {
+    const certificates = await certificateAuthorityService.listIssuedCertificates(req.params.id);
+    if (!certificates) {
+      return res.status(404).json({ error: 'Certificate authority not found' });
+    }
+    res.json(certificates);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issue a certificate into the inventory
+router.post('/:id/issue', requirePermission('certificates:write'), validateCertificateIssue, async (req, res, next) => {
+  try {
+    const { certificate, policyViolations } = await certificateAuthorityService.issue(req.params.id, req.body, { userId: req.user.id });
+    res.status(201).json(policyViolations.length > 0 ? { ...certificate, policyViolations } : certificate);
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+// Creating and removing CAs is for administrators
+router.post('/', requirePermission('system:settings'), validateCertificateAuthority, async (req, res, next) => {
+  try {
+    res.status(201).json(await certificateAuthorityService.createAuthority(req.body, { userId: req.user.id }));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+router.patch('/:id', requirePermission('system:settings'), validateCertificateAuthority, async (req, res, next) => {
+  try {
+    res.json(await certificateAuthorityService.updateAuthority(req.params.id, req.body));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+// Destroys the CA key; the CA certificate and the certificates it issued stay in the inventory
+router.delete('/:id', requirePermission('system:settings'), async (req, res, next) => {
+  try {
+    await certificateAuthorityService.deleteAuthority(req.params.id);
+    res.json({ message: 'Certificate authority deleted' });
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,110 @@
+import express from 'express';
+import multer from 'multer';
+import certificateRequestService from '../services/certificateRequestService.js';
+import { parseCertificateRequest } from '../utils/certificateParser.js';
+import { KEY_TYPES, KEY_USAGE_NAMES, EXTENDED_KEY_USAGE_NAMES } from '../utils/csrGenerator.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateCertificateRequestGenerate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const sendError = (res, error) => res.status(error.statusCode).json({ error: error.message });
+
+// Configure multer for CSR uploads
+const allowedExtensions = ['.csr', '.req', '.pem', '.der'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = file.originalname.toLowerCase().substring(file.originalname.lastIndexOf('.'));
+    if (allowedExtensions.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only certificate request files (.csr, .req, .pem, .der) are allowed'), false);
+    }
+  }
+});
+
+// Get all certificate requests
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, folderId } = req.query;
+    const requests = await certificateRequestService.listRequests({ status, folderId });
+    res.json(requests);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Key types and key usages a CSR can be generated with
+router.get('/options', (req, res) => {
+  res.json({ keyTypes: Object.keys(KEY_TYPES), keyUsages: KEY_USAGE_NAMES, extendedKeyUsages: EXTENDED_KEY_USAGE_NAMES });
+});
+
+// Get certificate request by ID
+router.get('/:id', async (req, res, next) => {
+  try {
+    const request = await certificateRequestService.getRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Certificate request not found' });
+    }
+    res.json(request);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload certificate request
+router.post('/', requirePermission('certificates:write'), upload.single('request'), async (req, res, next) => {
+  try {
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({ error: 'Certificate request file is required' });
+    }
+
+    let requestData;
+    try {
+      requestData = await parseCertificateRequest(file.buffer, file.originalname);
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    const request = await certificateRequestService.createRequest(requestData, {
+      folderId: req.body?.folderId,
+      userId: req.user?.id
+    });
+    res.status(201).json(request);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate a key pair and CSR; the key is vaulted with the request and moves to its certificate
+router.post('/generate', requirePermission('certificates:write'), validateCertificateRequestGenerate, async (req, res, next) => {
+  try {
+    res.status(201).json(await certificateRequestService.generateRequest(req.body, { userId: req.user?.id }));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+// Delete certificate request
+router.delete('/:id', requirePermission('certificates:delete'), async (req, res, next) => {
+  try {
+    const request = await certificateRequestService.getRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Certificate request not found' });
+    }
+
+    await certificateRequestService.deleteRequest(req.params.id);
+    res.json({ message: 'Certificate request deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,33 +1,145 @@
 import express from 'express';
 import multer from 'multer';
-import { v4 as uuidv4 } from 'uuid';
 import { getDatabase } from '../database/flexible-init.js';
 import gcpCertificateService from '../services/gcpCertificateService.js';
+import privateKeyVaultService from '../services/privateKeyVaultService.js';
+import certificateImportService from '../services/certificateImportService.js';
+import { readZipEntries, isZipArchive } from '../utils/zipArchive.js';
+import tlsEndpointService from '../services/tlsEndpointService.js';
+import chainBuilderService from '../services/chainBuilderService.js';
+import trustStoreService from '../services/trustStoreService.js';
+import certificateLintService from '../services/certificateLintService.js';
+import revocationService from '../services/revocationService.js';
+import certificateEventService from '../services/certificateEventService.js';
+import expiryThresholdService from '../services/expiryThresholdService.js';
+import certificateStatusService from '../services/certificateStatusService.js';
+import folderPolicyService from '../services/folderPolicyService.js';
+import acmeService from '../services/acmeService.js';
 import { parseCertificate } from '../utils/certificateParser.js';
-import { validateCertificateUpload } from '../middleware/validation.js';
+import certificateExportService, { EXPORT_FORMATS } from '../services/certificateExportService.js';
+import { validateCertificateUpload, validateEndpointImport, validateExpiryThresholds, validateKeyStoreExport, validateCertificateRenewal } from '../middleware/validation.js';
+import { requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Configure multer for file uploads
 const allowedExtensions = [
   '.pem', '.crt', '.cer', '.key', '.ca-bundle',
-  '.der', '.pfx', '.p12', '.p7b', '.p7c', '.csr'
+  '.der', '.pfx', '.p12', '.p7b', '.p7c', '.csr',
+  '.jks', '.keystore', '.truststore', '.ks'
 ];
+const archiveExtensions = ['.zip'];
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB default
+
+const getFileExtension = (fileName) => fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
+
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
+    fileSize: maxFileSize
   },
   fileFilter: (req, file, cb) => {
-    const ext = file.originalname.toLowerCase().substring(file.originalname.lastIndexOf('.'));
+    const ext = getFileExtension(file.originalname);
     if (allowedExtensions.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only certificate files (.pem, .crt, .cer, .key, .ca-bundle, .der, .pfx, .p12, .p7b, .p7c, .csr) are allowed'), false);
+      cb(new Error('Only certificate files (.pem, .crt, .cer, .key, .ca-bundle, .der, .pfx, .p12, .p7b, .p7c, .csr) and Java keystores (.jks, .keystore, .truststore, .ks) are allowed'), false);
     }
   }
 });
 
+// Bulk uploads accept every file; unsupported ones are reported per file instead of failing the request
+const bulkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSize,
+    files: parseInt(process.env.MAX_BULK_UPLOAD_FILES) || 500
+  }
+});
+
+// requirePermission for requests the condition picks out, e.g. exports that include private keys
+const requirePermissionWhen = (condition, permission) => {
+  const check = requirePermission(permission);
+  return (req, res, next) => (condition(req) ? check(req, res, next) : next());
+};
+
+/**
+ * Expand uploaded files into the list of files to import: ZIP archives are replaced by
+ * their entries (named archive.zip/path/in/archive).
+ * @param {Array} files - Multer files
+ * @returns {Array<Object>} [{ name, file: { buffer, originalname } } | { name, error }]
+ */
+const expandBulkFiles = (files) => {
+  const expanded = [];
+  for (const file of files) {
+    if (!archiveExtensions.includes(getFileExtension(file.originalname)) && !isZipArchive(file.buffer)) {
+      expanded.push({ name: file.originalname, file });
+      continue;
+    }
+
+    try {
+      for (const entry of readZipEntries(file.buffer, { maxEntrySize: maxFileSize })) {
+        const name = `${file.originalname}/${entry.name}`;
+        if (entry.error) {
+          expanded.push({ name, error: entry.error });
+        } else {
+          expanded.push({ name, file: { buffer: entry.buffer, originalname: entry.name.split('/').pop() } });
+        }
+      }
+    } catch (error) {
+      expanded.push({ name: file.originalname, error: error.message });
+    }
+  }
+  return expanded;
+};
+
+// Audit-mode issuance policy findings are only added to responses when there are some
+const withPolicyViolations = (body, policyViolations) => (
+  policyViolations?.length > 0 ? { ...body, policyViolations } : body
+);
+
+/**
+ * Turn an importFile() outcome into a bulk report entry
+ * @param {string} name - File name as uploaded
+ * @param {Object} result - importFile() outcome
+ * @returns {Object} { file, status: 'created' | 'duplicate', ... }
+ */
+const toBulkReportEntry = (name, result) => {
+  switch (result.type) {
+    case 'private-key':
+      return { file: name, status: 'created', kind: 'private-key', certificateIds: result.certificateIds };
+    case 'certificate-request':
+      return { file: name, status: 'created', kind: 'certificate-request', certificateRequestId: result.certificateRequest.id };
+    case 'bundle':
+      return {
+        file: name,
+        status: result.created.length > 0 ? 'created' : 'duplicate',
+        kind: 'bundle',
+        certificateIds: result.created,
+        duplicates: result.skipped
+      };
+    case 'keystore':
+      return {
+        file: name,
+        status: result.created.length > 0 ? 'created' : 'duplicate',
+        kind: 'keystore',
+        certificateIds: result.created.map(entry => entry.certificateId),
+        aliases: result.created.map(entry => entry.alias),
+        duplicates: result.skipped
+      };
+    case 'duplicate':
+      return {
+        file: name,
+        status: 'duplicate',
+        kind: 'certificate',
+        existingCertificateId: result.existing.id,
+        attachedToFolder: result.attachedToFolder
+      };
+    default:
+      return { file: name, status: 'created', kind: 'certificate', certificateIds: [result.certificateId] };
+  }
+};
+
 // Get all certificates
 router.get('/', async (req, res, next) => {
   try {
@@ -35,7 +147,8 @@ router.get('/', async (req, res, next) => {
     const { folderId, status, search } = req.query;
     
     let query = `
-      SELECT c.*, f.name as folder_name, u.username as uploaded_by_username
+      SELECT c.*, f.name as folder_name, u.username as uploaded_by_username,
+             (SELECT COUNT(*) FROM certificate_private_keys k WHERE k.certificate_id = c.id) as has_private_key
       FROM certificates c
       LEFT JOIN folders f ON c.folder_id = f.id
       LEFT JOIN users u ON c.uploaded_by = u.id
@@ -44,8 +157,8 @@ router.get('/', async (req, res, next) => {
     const params = [];
 
     if (folderId && folderId !== 'all-certificates') {
-      query += ' AND c.folder_id = ?';
-      params.push(folderId);
+      query += ' AND (c.folder_id = ? OR EXISTS (SELECT 1 FROM certificate_folders cf WHERE cf.certificate_id = c.id AND cf.folder_id = ?))';
+      params.push(folderId, folderId);
     }
 
     if (status) {
@@ -54,15 +167,88 @@ router.get('/', async (req, res, next) => {
     }
 
     if (search) {
-      query += ' AND (c.common_name LIKE ? OR c.issuer LIKE ? OR c.subject LIKE ?)';
+      query += ` AND (c.common_name LIKE ? OR c.issuer LIKE ? OR c.subject LIKE ?
+        OR EXISTS (SELECT 1 FROM certificate_subject_alt_names s WHERE s.certificate_id = c.id AND s.value LIKE ?))`;
       const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+      params.push(searchTerm, searchTerm, searchTerm, searchTerm);
     }
 
     query += ' ORDER BY c.uploaded_at DESC';
 
     const certificates = await db.allAsync(query, params);
-    res.json(certificates);
+
+    // Folders each certificate is listed in besides its own
+    const memberships = await db.allAsync(`
+      SELECT cf.certificate_id, f.id, f.name FROM certificate_folders cf
+      JOIN folders f ON cf.folder_id = f.id
+    `) || [];
+    const additionalFolders = {};
+    for (const { certificate_id: certificateId, id, name } of memberships) {
+      (additionalFolders[certificateId] ||= []).push({ id, name });
+    }
+    const thresholdsOf = await expiryThresholdService.createResolver();
+
+    res.json(certificates.map(certificate => ({
+      ...certificateImportService.formatCertificate(certificate),
+      additional_folders: additionalFolders[certificate.id] || [],
+      expiry_thresholds: thresholdsOf(certificate)
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List certificates stored more than once (admin only)
+router.get('/duplicates', requirePermission('system:settings'), async (req, res, next) => {
+  try {
+    const duplicates = await certificateImportService.findDuplicates();
+    res.json(duplicates);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Merge the records of a duplicated certificate into one (admin only)
+router.post('/duplicates/merge', requirePermission('system:settings'), async (req, res, next) => {
+  try {
+    const { fingerprintSha256, keepId } = req.body || {};
+    if (!fingerprintSha256) {
+      return res.status(400).json({ error: 'fingerprintSha256 is required' });
+    }
+
+    const { certificateId, mergedCertificateIds } = await certificateImportService.mergeDuplicates(
+      fingerprintSha256.toLowerCase(),
+      { keepId, userId: req.user?.id }
+    );
+    const certificate = await certificateImportService.getCertificateRecord(certificateId);
+
+    res.json({
+      message: `Merged ${mergedCertificateIds.length} duplicate(s) into ${certificate.common_name}`,
+      certificate,
+      mergedCertificateIds
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Recent certificate events, newest first (?type=status_changed&since=<ISO date>&limit=<n>)
+router.get('/events', async (req, res, next) => {
+  try {
+    const { type, since, limit } = req.query;
+    res.json(await certificateEventService.getEvents({ eventType: type, since, limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check every certificate's revocation status over OCSP/CRL now (admin only)
+router.post('/revocation/check', requirePermission('system:settings'), async (req, res, next) => {
+  try {
+    res.json(await revocationService.checkAll());
   } catch (error) {
     next(error);
   }
@@ -71,16 +257,9 @@ router.get('/', async (req, res, next) => {
 // Get certificate by ID
 router.get('/:id', async (req, res, next) => {
   try {
-    const db = getDatabase();
     const { id } = req.params;
     
-    const certificate = await db.getAsync(`
-      SELECT c.*, f.name as folder_name, u.username as uploaded_by_username
-      FROM certificates c
-      LEFT JOIN folders f ON c.folder_id = f.id
-      LEFT JOIN users u ON c.uploaded_by = u.id
-      WHERE c.id = ?
-    `, [id]);
+    const certificate = await certificateImportService.getCertificateRecord(id);
 
     if (!certificate) {
       return res.status(404).json({ error: 'Certificate not found' });
@@ -92,8 +271,201 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+// Build the certificate's chain (leaf -> root) from the inventory, optionally via AIA
+router.get('/:id/chain', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const db = getDatabase();
+
+    const certificate = await db.getAsync('SELECT id, pem_content, chain_pem FROM certificates WHERE id = ?', [id]);
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+    if (!certificate.pem_content) {
+      return res.status(422).json({ error: 'Certificate content is not available' });
+    }
+
+    const options = { candidates: certificate.chain_pem ? [certificate.chain_pem] : [] };
+    if (req.query.fetchAia !== undefined) {
+      options.fetchAia = req.query.fetchAia === 'true';
+    }
+    const result = await chainBuilderService.buildChain(certificate.pem_content, options);
+
+    res.json({ certificateId: id, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Validate a certificate against the trust store of its folder
+router.get('/:id/validation', async (req, res, next) => {
+  try {
+    const db = getDatabase();
+    const certificate = await db.getAsync(
+      'SELECT id, common_name, folder_id, pem_content, chain_pem FROM certificates WHERE id = ?',
+      [req.params.id]
+    );
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+    if (!certificate.pem_content) {
+      return res.status(422).json({ error: 'Certificate content is not available' });
+    }
+
+    const { fetchAia } = req.query;
+    const trustStore = await trustStoreService.getFolderTrustStore(certificate.folder_id);
+    const result = await trustStoreService.validateCertificate(certificate, trustStore, {
+      fetchAia: fetchAia === undefined ? undefined : fetchAia === 'true'
+    });
+    res.json({ folderId: certificate.folder_id, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Latest Baseline Requirements lint result (404 until the certificate is linted)
+router.get('/:id/lint', async (req, res, next) => {
+  try {
+    const result = await certificateLintService.getLintResult(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'This certificate has not been linted yet' });
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lint the certificate against the Baseline Requirements now and store the result
+router.post('/:id/lint', requirePermission('certificates:write'), async (req, res, next) => {
+  try {
+    const db = getDatabase();
+    const certificate = await db.getAsync('SELECT id, pem_content FROM certificates WHERE id = ?', [req.params.id]);
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+    if (!certificate.pem_content) {
+      return res.status(422).json({ error: 'Certificate content not found' });
+    }
+
+    res.json(await certificateLintService.lintRecord(certificate));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Events of one certificate, newest first
+router.get('/:id/events', async (req, res, next) => {
+  try {
+    const { type, since, limit } = req.query;
+    res.json(await certificateEventService.getEvents({ certificateId: req.params.id, eventType: type, since, limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Expiry thresholds of the certificate: its own override and the thresholds in effect
+router.get('/:id/expiry-thresholds', async (req, res, next) => {
+  try {
+    const db = getDatabase();
+    const certificate = await db.getAsync('SELECT id, folder_id FROM certificates WHERE id = ?', [req.params.id]);
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    res.json({
+      certificateId: certificate.id,
+      override: await expiryThresholdService.getOverride('certificate', certificate.id),
+      effective: await expiryThresholdService.getEffectiveThresholds(certificate)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Override the expiry thresholds of the certificate and recalculate its status
+router.put('/:id/expiry-thresholds', requirePermission('certificates:write'), validateExpiryThresholds, async (req, res, next) => {
+  try {
+    const db = getDatabase();
+    const certificate = await db.getAsync('SELECT id, folder_id FROM certificates WHERE id = ?', [req.params.id]);
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    const override = await expiryThresholdService.setOverride('certificate', certificate.id, req.body, { userId: req.user?.id });
+    await certificateStatusService.recalculateAll({ certificateId: certificate.id });
+    res.json({
+      certificateId: certificate.id,
+      override,
+      effective: await expiryThresholdService.getEffectiveThresholds(certificate)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove the certificate's override; its folder's or the global thresholds apply again
+router.delete('/:id/expiry-thresholds', requirePermission('certificates:write'), async (req, res, next) => {
+  try {
+    await expiryThresholdService.deleteOverride('certificate', req.params.id);
+    await certificateStatusService.recalculateAll({ certificateId: req.params.id });
+    res.json({ message: 'Certificate expiry thresholds removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stored outcome of the latest revocation check
+router.get('/:id/revocation', async (req, res, next) => {
+  try {
+    const db = getDatabase();
+    const certificate = await db.getAsync(`
+      SELECT id, status, revocation_status, revocation_reason, revoked_at, revocation_source,
+             revocation_checked_at, revocation_error
+      FROM certificates WHERE id = ?
+    `, [req.params.id]);
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    res.json({
+      certificateId: certificate.id,
+      certificateStatus: certificate.status,
+      status: certificate.revocation_status,
+      reason: certificate.revocation_reason,
+      revokedAt: certificate.revoked_at,
+      source: certificate.revocation_source,
+      checkedAt: certificate.revocation_checked_at,
+      error: certificate.revocation_error
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check the certificate's revocation status with its OCSP responder or CRLs now
+router.post('/:id/revocation', requirePermission('certificates:write'), async (req, res, next) => {
+  try {
+    const db = getDatabase();
+    const certificate = await db.getAsync(
+      'SELECT id, folder_id, valid_to, pem_content, chain_pem, status FROM certificates WHERE id = ?',
+      [req.params.id]
+    );
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+    if (!certificate.pem_content) {
+      return res.status(422).json({ error: 'Certificate content not found' });
+    }
+
+    res.json(await revocationService.checkCertificate(certificate));
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Upload certificate
-router.post('/', upload.single('certificate'), validateCertificateUpload, async (req, res, next) => {
+router.post('/', requirePermission('certificates:write'), upload.single('certificate'), validateCertificateUpload, async (req, res, next) => {
   console.log('=== CERTIFICATE UPLOAD DEBUG ===');
   console.log('Request headers authorization:', req.headers.authorization ? 'Present' : 'Missing');
   console.log('Request user:', req.user ? { id: req.user.id, username: req.user.username } : 'No user');
@@ -106,8 +478,7 @@ router.post('/', upload.single('certificate'), validateCertificateUpload, async
   } : 'No file');
   
   try {
-    const db = getDatabase();
-    const { folderId } = req.body || {};
+    const { folderId, password, keyPassword, onDuplicate = 'reject' } = req.body || {};
     const file = req.file;
     const userId = req.user?.id;
     
@@ -127,73 +498,69 @@ router.post('/', upload.single('certificate'), validateCertificateUpload, async
 
     // Parse certificate (pass buffer and originalname)
     console.log('[Route] Parsing certificate file:', file.originalname, 'Size:', file.buffer.length, 'bytes');
-    const certificateData = await parseCertificate(file.buffer, file.originalname);
-    console.log('[Route] Certificate parsed successfully. CN:', certificateData.commonName);
-    
-    // Pass raw buffer to GCP service (don't convert to UTF-8 for binary files)
-    console.log('[Route] Calling GCP service for certificate upload...');
-    const gcpResult = await gcpCertificateService.createCertificate(certificateData, file.buffer);
-    console.log('[Route] GCP service upload successful. ID:', gcpResult.id);
-
-    // Save to database
-    console.log('[Route] Saving to database...');
-    const certificateId = uuidv4();
-    const now = new Date().toISOString();
-    
-    // Get the normalized PEM content from GCP result or convert buffer to string for storage
-    let pemContentForDb;
-    if (gcpResult.normalizedPem) {
-      pemContentForDb = gcpResult.normalizedPem;
-    } else {
-      // Fallback: try to convert to string, but handle binary gracefully
-      try {
-        pemContentForDb = file.buffer.toString('utf8');
-      } catch (err) {
-        pemContentForDb = file.buffer.toString('base64'); // Store as base64 if UTF-8 fails
+    const result = await certificateImportService.importFile(file, { folderId, userId, password, keyPassword, onDuplicate });
+
+    if (result.type === 'private-key') {
+      const matchedCertificates = [];
+      for (const certificateId of result.certificateIds) {
+        matchedCertificates.push(await certificateImportService.getCertificateRecord(certificateId));
       }
+      return res.status(201).json({ privateKey: result.privateKey, matchedCertificates });
     }
-    
-    try {
-    await db.runAsync(`
-      INSERT INTO certificates (
-        id, common_name, issuer, subject, valid_from, valid_to, 
-        algorithm, serial_number, status, pem_content, folder_id, 
-        uploaded_by, uploaded_at, updated_at, renewal_count, gcp_certificate_name
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      certificateId,
-      certificateData.commonName,
-      certificateData.issuer,
-      certificateData.subject,
-      certificateData.validFrom,
-      certificateData.validTo,
-      certificateData.algorithm,
-      certificateData.serialNumber,
-      certificateData.status,
-      pemContentForDb,
-      folderId || null,
-      userId,
-      now,
-      now, // Set updated_at same as uploaded_at initially
-      0,   // Initial renewal count is 0
-      gcpResult.gcpCertificateName
-    ]);
-    console.log('[Route] Database insert successful');
-    } catch (insertError) {
-      console.error('[Route] Database insert error:', insertError);
-      throw insertError;
+
+    if (result.type === 'certificate-request') {
+      return res.status(201).json({ certificateRequest: result.certificateRequest });
+    }
+
+    if (result.type === 'bundle') {
+      const createdRecords = [];
+      for (const certificateId of result.created) {
+        createdRecords.push(await certificateImportService.getCertificateRecord(certificateId));
+      }
+      return res.status(result.created.length > 0 ? 201 : 200).json(withPolicyViolations({
+        message: `Imported ${result.created.length} of ${result.total} certificates from ${file.originalname}`,
+        created: createdRecords,
+        skipped: result.skipped
+      }, result.policyViolations));
+    }
+
+    if (result.type === 'keystore') {
+      const createdRecords = [];
+      for (const { alias, certificateId, warning } of result.created) {
+        const record = await certificateImportService.getCertificateRecord(certificateId);
+        createdRecords.push(warning ? { ...record, alias, warning } : { ...record, alias });
+      }
+      return res.status(result.created.length > 0 ? 201 : 200).json(withPolicyViolations({
+        message: `Imported ${result.created.length} of ${result.total} aliases from ${file.originalname}`,
+        format: result.format,
+        created: createdRecords,
+        skipped: result.skipped
+      }, result.policyViolations));
+    }
+
+    if (result.type === 'duplicate') {
+      if (result.rejected) {
+        return res.status(409).json({
+          error: `Certificate already exists in inventory as "${result.existing.common_name}"`,
+          existingCertificateId: result.existing.id
+        });
+      }
+
+      const certificate = await certificateImportService.getCertificateRecord(result.existing.id);
+      return res.status(200).json(withPolicyViolations({
+        message: result.attachedToFolder
+          ? 'Certificate already exists in inventory; added to this folder'
+          : 'Certificate already exists in inventory',
+        duplicate: true,
+        attachedToFolder: result.attachedToFolder,
+        certificate
+      }, result.policyViolations));
     }
 
     console.log('[Route] Querying database for inserted certificate...');
-    const certificate = await db.getAsync(`
-      SELECT c.*, f.name as folder_name, u.username as uploaded_by_username
-      FROM certificates c
-      LEFT JOIN folders f ON c.folder_id = f.id
-      LEFT JOIN users u ON c.uploaded_by = u.id
-      WHERE c.id = ?
-    `, [certificateId]);
+    const certificate = await certificateImportService.getCertificateRecord(result.certificateId);
     console.log('[Route] Database query successful, sending response...');
-    res.status(201).json(certificate);
+    res.status(201).json(withPolicyViolations(certificate, result.policyViolations));
   } catch (error) {
     console.error('[Route] Certificate upload error:', error);
     
@@ -201,7 +568,10 @@ router.post('/', upload.single('certificate'), validateCertificateUpload, async
     let errorMessage = 'Certificate upload failed';
     let statusCode = 400;
     
-    if (error.message.includes('Cloud Storage')) {
+    if (error.statusCode) {
+      errorMessage = error.message;
+      statusCode = error.statusCode;
+    } else if (error.message.includes('Cloud Storage')) {
       errorMessage = `GCP Cloud Storage error: ${error.message}`;
       statusCode = 503; // Service unavailable
     } else if (error.message.includes('timeout')) {
@@ -222,17 +592,212 @@ router.post('/', upload.single('certificate'), validateCertificateUpload, async
     
     res.status(statusCode).json({ 
       error: errorMessage,
+      policyViolations: error.policyViolations,
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
 });
 
+// Bulk upload: many files and/or ZIP archives, each run through the upload pipeline
+router.post('/bulk', requirePermission('certificates:write'), bulkUpload.array('certificates'), validateCertificateUpload, async (req, res, next) => {
+  try {
+    const { folderId, password, keyPassword, onDuplicate = 'reject' } = req.body || {};
+    const userId = req.user?.id;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one certificate file or ZIP archive is required' });
+    }
+
+    const entries = expandBulkFiles(req.files);
+    console.log('[Route] Bulk upload:', req.files.length, 'file(s),', entries.length, 'entries');
+
+    // Keys are imported last so they can attach to certificates from the same upload
+    const isKey = entry => entry.file && getFileExtension(entry.file.originalname) === '.key';
+    const ordered = [...entries.filter(entry => !isKey(entry)), ...entries.filter(isKey)];
+
+    const report = new Map();
+    for (const entry of ordered) {
+      if (entry.error) {
+        report.set(entry, { file: entry.name, status: 'failed', reason: entry.error });
+        continue;
+      }
+      if (!allowedExtensions.includes(getFileExtension(entry.file.originalname))) {
+        report.set(entry, { file: entry.name, status: 'failed', reason: 'Unsupported file type' });
+        continue;
+      }
+
+      try {
+        const result = await certificateImportService.importFile(entry.file, {
+          folderId,
+          userId,
+          password,
+          keyPassword,
+          onDuplicate,
+          source: { type: 'upload', location: entry.name }
+        });
+        report.set(entry, withPolicyViolations(toBulkReportEntry(entry.name, result), result.policyViolations));
+      } catch (error) {
+        console.warn('[Route] Bulk upload entry failed:', entry.name, error.message);
+        report.set(entry, withPolicyViolations({ file: entry.name, status: 'failed', reason: error.message }, error.policyViolations));
+      }
+    }
+
+    const results = entries.map(entry => report.get(entry));
+    const summary = { total: results.length, created: 0, duplicate: 0, failed: 0 };
+    for (const result of results) {
+      summary[result.status]++;
+    }
+
+    console.log('[Route] Bulk upload complete:', summary);
+    res.json({ summary, results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import the certificate chain presented by a live TLS endpoint
+router.post('/import-endpoint', requirePermission('certificates:write'), validateEndpointImport, async (req, res, next) => {
+  try {
+    const { host, port, servername, folderId, onDuplicate } = req.body;
+    const userId = req.user?.id;
+
+    let presented;
+    try {
+      presented = await tlsEndpointService.fetchCertificateChain({ host, port, servername: servername || undefined });
+    } catch (error) {
+      return res.status(502).json({ error: error.message });
+    }
+
+    const location = `${host}:${port}`;
+    const source = {
+      type: 'tls-endpoint',
+      location,
+      details: {
+        host,
+        port,
+        servername: servername || null,
+        protocol: presented.protocol,
+        cipher: presented.cipher,
+        authorized: presented.authorized,
+        authorizationError: presented.authorizationError
+      }
+    };
+
+    // Same path as a PEM upload of the chain: a bundle when the endpoint sent issuers too
+    const file = {
+      buffer: Buffer.from(presented.certificates.join('')),
+      originalname: `${host.replace(/[^a-zA-Z0-9.-]/g, '_')}_${port}.pem`
+    };
+    const result = await certificateImportService.importFile(file, { folderId, userId, onDuplicate, source });
+
+    let created = [];
+    let skipped = [];
+    if (result.type === 'bundle') {
+      ({ created, skipped } = result);
+    } else if (result.type === 'duplicate') {
+      skipped = [{
+        commonName: result.existing.common_name,
+        existingCertificateId: result.existing.id,
+        attachedToFolder: result.attachedToFolder,
+        reason: 'Certificate already exists in inventory'
+      }];
+    } else {
+      created = [result.certificateId];
+    }
+
+    const createdRecords = [];
+    for (const certificateId of created) {
+      createdRecords.push(await certificateImportService.getCertificateRecord(certificateId));
+    }
+
+    console.log('[Route] Endpoint import from', location, '- created:', created.length, 'skipped:', skipped.length);
+    res.status(created.length > 0 ? 201 : 200).json(withPolicyViolations({
+      message: `Imported ${created.length} of ${presented.certificates.length} certificates presented by ${location}`,
+      source,
+      created: createdRecords,
+      skipped
+    }, result.policyViolations));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, policyViolations: error.policyViolations });
+    }
+    next(error);
+  }
+});
+
+// Export selected certificates, or a folder, as a Java truststore or keystore.
+// Keystores carry the vaulted keys, so they need the certificates:download-key permission.
+router.post('/export/keystore', validateKeyStoreExport, requirePermissionWhen(req => req.body.kind === 'keystore', 'certificates:download-key'), async (req, res, next) => {
+  try {
+    const { certificateIds, folderId, kind, format, password, legacy } = req.body;
+    const db = getDatabase();
+
+    let certificates;
+    let name = kind;
+    if (folderId) {
+      const folder = await db.getAsync('SELECT id, name FROM folders WHERE id = ?', [folderId]);
+      if (!folder) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      name = `${folder.name}-${kind}`;
+      certificates = await db.allAsync(`
+        SELECT * FROM certificates c
+        WHERE c.folder_id = ? OR EXISTS (SELECT 1 FROM certificate_folders cf WHERE cf.certificate_id = c.id AND cf.folder_id = ?)
+        ORDER BY c.common_name
+      `, [folderId, folderId]) || [];
+    } else {
+      certificates = [];
+      for (const id of certificateIds) {
+        const certificate = await db.getAsync('SELECT * FROM certificates WHERE id = ?', [id]);
+        if (!certificate) {
+          return res.status(404).json({ error: `Certificate ${id} not found` });
+        }
+        certificates.push(certificate);
+      }
+    }
+
+    const exported = await certificateExportService.exportKeyStore(certificates.filter(c => c.pem_content), {
+      kind,
+      format,
+      password,
+      legacy,
+      name,
+      getPrivateKey: id => privateKeyVaultService.getPrivateKey(id)
+    });
+    const keyEntries = exported.entries.filter(entry => entry.type === 'private-key').length;
+    console.log(`[Route] ${format.toUpperCase()} ${kind} with ${exported.entries.length} entries (${keyEntries} keys) exported by user ${req.user?.id}`);
+
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.setHeader('X-Keystore-Entries', String(exported.entries.length));
+    res.send(exported.body);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
 // Download certificate PEM
-router.get('/:id/download', async (req, res, next) => {
+// ?format= pem (default), der, pkcs7, fullchain, chain or pkcs12. PKCS#12 needs the
+// certificates:download-key permission and the store password in X-Export-Password;
+// legacy=true writes 3DES/SHA-1 protection for older Windows and Java releases.
+router.get('/:id/download', requirePermissionWhen(req => req.query.format === 'pkcs12', 'certificates:download-key'), async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { format = 'pem', legacy } = req.query;
     const db = getDatabase();
-    
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported export format "${format}"; expected one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const password = req.get('X-Export-Password');
+    if (format === 'pkcs12' && !password) {
+      return res.status(400).json({ error: 'PKCS#12 export requires a password in the X-Export-Password header' });
+    }
+
     const certificate = await db.getAsync('SELECT * FROM certificates WHERE id = ?', [id]);
     if (!certificate) {
       return res.status(404).json({ error: 'Certificate not found' });
@@ -251,9 +816,56 @@ router.get('/:id/download', async (req, res, next) => {
       return res.status(404).json({ error: 'Certificate content not found' });
     }
 
+    let privateKeyPem = null;
+    if (format === 'pkcs12') {
+      privateKeyPem = await privateKeyVaultService.getPrivateKey(id);
+      if (!privateKeyPem) {
+        return res.status(404).json({ error: 'No private key is held for this certificate' });
+      }
+      console.log(`[Route] PKCS#12 with private key for certificate ${id} exported by user ${req.user?.id}`);
+    }
+
+    const exported = await certificateExportService.exportCertificate(certificate, pemContent, {
+      format,
+      privateKeyPem,
+      password,
+      legacy: legacy === 'true'
+    });
+
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    if (exported.chainComplete !== undefined) {
+      res.setHeader('X-Chain-Complete', String(exported.chainComplete));
+    }
+    res.send(exported.body);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Download the vaulted private key (PKCS#8 PEM)
+router.get('/:id/private-key', requirePermission('certificates:download-key'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const db = getDatabase();
+
+    const certificate = await db.getAsync('SELECT id, common_name FROM certificates WHERE id = ?', [id]);
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    const privateKeyPem = await privateKeyVaultService.getPrivateKey(id);
+    if (!privateKeyPem) {
+      return res.status(404).json({ error: 'No private key is held for this certificate' });
+    }
+
+    console.log(`[Route] Private key for certificate ${id} downloaded by user ${req.user?.id}`);
     res.setHeader('Content-Type', 'application/x-pem-file');
-    res.setHeader('Content-Disposition', `attachment; filename="${certificate.common_name}.pem"`);
-    res.send(pemContent);
+    res.setHeader('Content-Disposition', `attachment; filename="${certificate.common_name}.key"`);
+    res.send(privateKeyPem);
   } catch (error) {
     next(error);
   }
@@ -270,17 +882,19 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Certificate not found' });
     }
 
-    // Delete from GCP
-    if (certificate.gcp_certificate_name) {
-      try {
-        await gcpCertificateService.deleteCertificate(certificate.gcp_certificate_name);
-      } catch (gcpError) {
-        console.warn('Failed to delete certificate from GCP:', gcpError);
+    // Delete from GCP, the key vault and the database
+    await certificateImportService.deleteCertificateRecord(certificate);
+    await certificateEventService.recordEvent(id, 'deleted', {
+      fromStatus: certificate.status,
+      details: {
+        commonName: certificate.common_name,
+        serialNumber: certificate.serial_number,
+        issuer: certificate.issuer,
+        folderId: certificate.folder_id,
+        validTo: certificate.valid_to,
+        userId: req.user.id
       }
-    }
-
-    // Delete from database
-    await db.runAsync('DELETE FROM certificates WHERE id = ?', [id]);
+    });
 
     res.json({ message: 'Certificate deleted successfully' });
   } catch (error) {
@@ -288,8 +902,9 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
-// Renew certificate
-router.post('/:id/renew', async (req, res, next) => {
+// Renew certificate: through the ACME account of its folder when there is one, otherwise
+// (for Certificate Manager managed certificates) in GCP
+router.post('/:id/renew', requirePermission('certificates:write'), validateCertificateRenewal, async (req, res, next) => {
   try {
     const { id } = req.params;
     const db = getDatabase();
@@ -299,6 +914,16 @@ router.post('/:id/renew', async (req, res, next) => {
       return res.status(404).json({ error: 'Certificate not found' });
     }
 
+    if (await acmeService.findAccountRow(certificate.folder_id)) {
+      const renewal = await acmeService.renewCertificate(id, { reuseKey: req.body.reuseKey, userId: req.user.id });
+      return res.json({
+        message: `Certificate renewed; version ${renewal.version} is now current`,
+        certificate: renewal.certificate,
+        version: renewal.version,
+        order: renewal.order
+      });
+    }
+
     // Renew in GCP
     if (certificate.gcp_certificate_name) {
       try {
@@ -316,26 +941,52 @@ router.post('/:id/renew', async (req, res, next) => {
       'UPDATE certificates SET updated_at = ?, renewal_count = ? WHERE id = ?',
       [now, currentRenewalCount + 1, id]
     );
+    await certificateEventService.recordEvent(id, 'renewed', {
+      details: { commonName: certificate.common_name, folderId: certificate.folder_id, renewalCount: currentRenewalCount + 1, userId: req.user.id }
+    });
 
     // Get updated certificate data
-    const updatedCertificate = await db.getAsync(`
-      SELECT c.*, f.name as folder_name, u.username as uploaded_by_username
-      FROM certificates c
-      LEFT JOIN folders f ON c.folder_id = f.id
-      LEFT JOIN users u ON c.uploaded_by = u.id
-      WHERE c.id = ?
-    `, [id]);
+    const updatedCertificate = await certificateImportService.getCertificateRecord(id);
 
     res.json({ 
       message: 'Certificate renewal initiated',
       certificate: updatedCertificate
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     next(error);
   }
 });
 
-// Assign certificate to folder
+// Certificates the record held before its current one
+router.get('/:id/versions', async (req, res, next) => {
+  try {
+    const db = getDatabase();
+    const certificate = await db.getAsync('SELECT id, renewal_count FROM certificates WHERE id = ?', [req.params.id]);
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+    res.json({
+      currentVersion: (certificate.renewal_count || 0) + 1,
+      versions: await certificateImportService.getCertificateVersions(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ACME renewal attempts, newest first
+router.get('/:id/renewals', async (req, res, next) => {
+  try {
+    res.json(await acmeService.getOrders(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Assign certificate to folder (subject to the destination folder's issuance policy)
 router.patch('/:id/folder', async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -347,18 +998,29 @@ router.patch('/:id/folder', async (req, res, next) => {
       return res.status(404).json({ error: 'Certificate not found' });
     }
 
+    let policyViolations = [];
+    if (folderId && certificate.pem_content) {
+      const certificateData = await parseCertificate(Buffer.from(certificate.pem_content), `${id}.pem`);
+      policyViolations = await folderPolicyService.checkPlacement(folderId, [certificateData]);
+    }
+
     await db.runAsync('UPDATE certificates SET folder_id = ? WHERE id = ?', [folderId, id]);
+    await db.runAsync('DELETE FROM certificate_folders WHERE certificate_id = ? AND folder_id = ?', [id, folderId]);
+    if ((folderId || null) !== (certificate.folder_id || null)) {
+      await certificateEventService.recordEvent(id, 'moved', {
+        details: { commonName: certificate.common_name, folderId: folderId || null, previousFolderId: certificate.folder_id || null, userId: req.user.id }
+      });
+    }
+    // The destination folder may warn earlier or later
+    await certificateStatusService.recalculateAll({ certificateId: id });
 
-    const updatedCertificate = await db.getAsync(`
-      SELECT c.*, f.name as folder_name, u.username as uploaded_by_username
-      FROM certificates c
-      LEFT JOIN folders f ON c.folder_id = f.id
-      LEFT JOIN users u ON c.uploaded_by = u.id
-      WHERE c.id = ?
-    `, [id]);
+    const updatedCertificate = await certificateImportService.getCertificateRecord(id);
 
-    res.json(updatedCertificate);
+    res.json(withPolicyViolations(updatedCertificate, policyViolations));
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, policyViolations: error.policyViolations });
+    }
     next(error);
   }
 });
@@ -1,8 +1,14 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { getDatabase } from '../database/flexible-init.js';
-import { validateFolder, validateId } from '../middleware/validation.js';
+import { validateExpiryThresholds, validateFolder, validateFolderPolicy, validateFolderTrustStore, validateId } from '../middleware/validation.js';
 import { requirePermission } from '../middleware/auth.js';
+import certificateImportService from '../services/certificateImportService.js';
+import trustStoreService from '../services/trustStoreService.js';
+import folderExportService from '../services/folderExportService.js';
+import folderPolicyService from '../services/folderPolicyService.js';
+import expiryThresholdService from '../services/expiryThresholdService.js';
+import certificateStatusService from '../services/certificateStatusService.js';
 
 const router = express.Router();
 
@@ -44,6 +50,15 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// Certificates that break their folder's issuance policy (optionally one folder: ?folderId=)
+router.get('/policy-violations', async (req, res, next) => {
+  try {
+    res.json(await folderPolicyService.getViolationsReport({ folderId: req.query.folderId || null }));
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get folder by ID
 router.get('/:id', validateId, async (req, res, next) => {
   try {
@@ -206,6 +221,14 @@ router.delete('/:id', validateId, requirePermission('folders:delete'), async (re
       });
     }
 
+    await db.runAsync('DELETE FROM certificate_folders WHERE folder_id = ?', [id]);
+    await db.runAsync('DELETE FROM folder_policies WHERE folder_id = ?', [id]);
+    await db.runAsync("DELETE FROM expiry_threshold_overrides WHERE scope = 'folder' AND scope_id = ?", [id]);
+    await db.runAsync('DELETE FROM notification_recipients WHERE folder_id = ?', [id]);
+    await db.runAsync('DELETE FROM digest_subscriptions WHERE folder_id = ? OR webhook_subscription_id IN (SELECT id FROM webhook_subscriptions WHERE folder_id = ?)', [id, id]);
+    await db.runAsync('DELETE FROM webhook_deliveries WHERE subscription_id IN (SELECT id FROM webhook_subscriptions WHERE folder_id = ?)', [id]);
+    await db.runAsync('DELETE FROM webhook_subscriptions WHERE folder_id = ?', [id]);
+    await db.runAsync('DELETE FROM acme_accounts WHERE folder_id = ?', [id]);
     await db.runAsync('DELETE FROM folders WHERE id = ?', [id]);
 
     res.json({ message: 'Folder deleted successfully' });
@@ -215,36 +238,199 @@ router.delete('/:id', validateId, requirePermission('folders:delete'), async (re
 });
 
 // Get certificates in folder
+// recursive=true includes subfolders; each certificate then carries the folder_path it was found in
 router.get('/:id/certificates', validateId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, search, recursive } = req.query;
+
+    if (recursive === 'true') {
+      return res.json(await folderExportService.listFolderTreeCertificates(id, { recursive: true, status, search }));
+    }
+
+    const certificates = await folderExportService.listCertificates(id, { status, search });
+    res.json(certificates.map(certificate => certificateImportService.formatCertificate(certificate)));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Export the folder's certificates as a ZIP with a JSON and CSV manifest
+// ?format= pem (default), der, pkcs7 or fullchain; recursive=true walks subfolders
+router.get('/:id/export', validateId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { format = 'pem', recursive } = req.query;
+
+    const archive = await folderExportService.exportFolder(id, { format, recursive: recursive === 'true' });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${archive.filename}"`);
+    res.setHeader('X-Certificate-Count', String(archive.manifest.certificates.length));
+    res.send(archive.body);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Assign a trust store to the folder (trustStoreId: null clears it)
+router.put('/:id/trust-store', validateId, validateFolderTrustStore, requirePermission('folders:write'), async (req, res, next) => {
   try {
     const db = getDatabase();
     const { id } = req.params;
-    const { status, search } = req.query;
+    const { trustStoreId } = req.body;
 
-    let query = `
-      SELECT c.*, f.name as folder_name, u.username as uploaded_by_username
-      FROM certificates c
-      LEFT JOIN folders f ON c.folder_id = f.id
-      LEFT JOIN users u ON c.uploaded_by = u.id
-      WHERE c.folder_id = ?
-    `;
-    const params = [id];
+    const folder = await db.getAsync('SELECT id FROM folders WHERE id = ?', [id]);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    if (trustStoreId) {
+      const trustStore = await db.getAsync('SELECT id FROM trust_stores WHERE id = ?', [trustStoreId]);
+      if (!trustStore) {
+        return res.status(400).json({ error: 'Trust store not found' });
+      }
+    }
+
+    await trustStoreService.assignToFolder(id, trustStoreId);
+    res.json({ folderId: id, trustStoreId: trustStoreId || null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issuance policy of the folder
+router.get('/:id/policy', validateId, async (req, res, next) => {
+  try {
+    const policy = await folderPolicyService.getPolicy(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ error: 'This folder has no issuance policy' });
+    }
+    res.json(policy);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create or replace the issuance policy of the folder
+router.put('/:id/policy', validateId, validateFolderPolicy, requirePermission('folders:write'), async (req, res, next) => {
+  try {
+    const db = getDatabase();
+    const { id } = req.params;
+
+    const folder = await db.getAsync('SELECT id FROM folders WHERE id = ?', [id]);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    res.json(await folderPolicyService.setPolicy(id, req.body, { userId: req.user?.id }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove the issuance policy of the folder
+router.delete('/:id/policy', validateId, requirePermission('folders:write'), async (req, res, next) => {
+  try {
+    await folderPolicyService.deletePolicy(req.params.id);
+    res.json({ message: 'Folder policy removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Expiry thresholds of the folder: its own override and what applies to its certificates
+router.get('/:id/expiry-thresholds', validateId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    res.json({
+      folderId: id,
+      override: await expiryThresholdService.getOverride('folder', id),
+      effective: await expiryThresholdService.getEffectiveThresholds({ id: null, folder_id: id })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Override the expiry thresholds for the certificates filed in the folder
+router.put('/:id/expiry-thresholds', validateId, validateExpiryThresholds, requirePermission('folders:write'), async (req, res, next) => {
+  try {
+    const db = getDatabase();
+    const { id } = req.params;
 
-    if (status) {
-      query += ' AND c.status = ?';
-      params.push(status);
+    const folder = await db.getAsync('SELECT id FROM folders WHERE id = ?', [id]);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
     }
 
-    if (search) {
-      query += ' AND (c.common_name LIKE ? OR c.issuer LIKE ? OR c.subject LIKE ?)';
-      const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+    const override = await expiryThresholdService.setOverride('folder', id, req.body, { userId: req.user?.id });
+    const recalculated = await certificateStatusService.recalculateAll({ folderId: id });
+    res.json({
+      folderId: id,
+      override,
+      effective: await expiryThresholdService.getEffectiveThresholds({ id: null, folder_id: id }),
+      recalculated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove the folder's override; its certificates fall back to the global thresholds
+router.delete('/:id/expiry-thresholds', validateId, requirePermission('folders:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await expiryThresholdService.deleteOverride('folder', id);
+    const recalculated = await certificateStatusService.recalculateAll({ folderId: id });
+    res.json({ message: 'Folder expiry thresholds removed', recalculated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Validate every certificate in the folder against the folder's trust store
+router.get('/:id/validation', validateId, async (req, res, next) => {
+  try {
+    const db = getDatabase();
+    const { id } = req.params;
+
+    const folder = await db.getAsync('SELECT id, name FROM folders WHERE id = ?', [id]);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
     }
 
-    query += ' ORDER BY c.uploaded_at DESC';
+    const trustStore = await trustStoreService.getFolderTrustStore(id);
+    const certificates = await db.allAsync(`
+      SELECT c.id, c.common_name, c.pem_content, c.chain_pem
+      FROM certificates c
+      WHERE (c.folder_id = ? OR EXISTS (
+        SELECT 1 FROM certificate_folders cf WHERE cf.certificate_id = c.id AND cf.folder_id = ?
+      )) AND c.pem_content IS NOT NULL
+      ORDER BY c.common_name
+    `, [id, id]);
+
+    const results = [];
+    for (const certificate of certificates) {
+      results.push(await trustStoreService.validateCertificate(certificate, trustStore));
+    }
 
-    const certificates = await db.allAsync(query, params);
-    res.json(certificates);
+    res.json({
+      folderId: id,
+      trustStore: trustStore ? { id: trustStore.id, name: trustStore.name } : null,
+      summary: {
+        total: results.length,
+        trusted: results.filter(result => result.trusted === true).length,
+        untrusted: results.filter(result => result.trusted === false).length
+      },
+      results
+    });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,50 @@
+import express from 'express';
+import schedulerService from '../services/schedulerService.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Background jobs with their schedule and latest run
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await schedulerService.listJobs());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run history, newest first (?job=<name>&limit=<n>)
+router.get('/runs', async (req, res, next) => {
+  try {
+    res.json(await schedulerService.getRuns({ jobName: req.query.job, limit: req.query.limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One run
+router.get('/runs/:id', async (req, res, next) => {
+  try {
+    const run = await schedulerService.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Job run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run a job now and answer with the finished run (admin only)
+router.post('/:name/run', requirePermission('system:settings'), async (req, res, next) => {
+  try {
+    res.json(await schedulerService.runJob(req.params.name, { trigger: 'manual', userId: req.user?.id }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+export default router;
@@ -1,9 +1,23 @@
 import express from 'express';
 import { getDatabase } from '../database/flexible-init.js';
 import { requirePermission } from '../middleware/auth.js';
+import { validateMetadataUpdate } from '../middleware/validation.js';
+import expiryThresholdService from '../services/expiryThresholdService.js';
+import certificateStatusService from '../services/certificateStatusService.js';
+import certificateStatsService from '../services/certificateStatsService.js';
 
 const router = express.Router();
 
+// Stored statuses are only as current as the last status recalculation run
+const STATUS_STALE_AFTER = 24 * 60 * 60 * 1000;
+
+const getStatusRecalculatedAt = async (db) => {
+  const run = await db.getAsync(
+    "SELECT finished_at FROM scheduled_job_runs WHERE job_name = 'status-recalculation' AND status = 'succeeded' ORDER BY started_at DESC LIMIT 1"
+  );
+  return run?.finished_at || null;
+};
+
 // Get system metadata
 router.get('/', async (req, res, next) => {
   try {
@@ -24,6 +38,7 @@ router.get('/', async (req, res, next) => {
 
     res.json({
       ...config,
+      expiryThresholds: await expiryThresholdService.getGlobalThresholds(),
       stats
     });
   } catch (error) {
@@ -32,10 +47,10 @@ router.get('/', async (req, res, next) => {
 });
 
 // Update system metadata
-router.put('/', requirePermission('system:settings'), async (req, res, next) => {
+router.put('/', requirePermission('system:settings'), validateMetadataUpdate, async (req, res, next) => {
   try {
     const db = getDatabase();
-    const { tempFolder, system } = req.body;
+    const { tempFolder, system, expiryThresholds } = req.body;
 
     const currentMetadata = await db.getAsync('SELECT value FROM metadata WHERE key = ?', ['system_config']);
     const currentConfig = currentMetadata ? JSON.parse(currentMetadata.value) : {};
@@ -43,7 +58,8 @@ router.put('/', requirePermission('system:settings'), async (req, res, next) =>
     const updatedConfig = {
       ...currentConfig,
       tempFolder: tempFolder || currentConfig.tempFolder,
-      system: system || currentConfig.system
+      system: system || currentConfig.system,
+      expiryThresholds: expiryThresholds || currentConfig.expiryThresholds
     };
 
     await db.runAsync(
@@ -51,49 +67,37 @@ router.put('/', requirePermission('system:settings'), async (req, res, next) =>
       [JSON.stringify(updatedConfig), 'system_config']
     );
 
-    res.json(updatedConfig);
+    // Statuses depend on the EXPIRING_SOON threshold
+    if (expiryThresholds) {
+      await certificateStatusService.recalculateAll();
+    }
+
+    res.json({ ...updatedConfig, expiryThresholds: await expiryThresholdService.getGlobalThresholds() });
   } catch (error) {
     next(error);
   }
 });
 
-// Get system statistics
+// Get system statistics (certificate figures for one folder with ?folderId)
 router.get('/stats', async (req, res, next) => {
   try {
     const db = getDatabase();
     
-    const stats = await db.getAsync(`
+    const { statusBreakdown, monthlyTrend, ...certificateCounts } = await certificateStatsService.getStats({
+      folderIds: req.query.folderId ? [req.query.folderId] : null
+    });
+    const counts = await db.getAsync(`
       SELECT 
-        (SELECT COUNT(*) FROM certificates) as total_certificates,
-        (SELECT COUNT(*) FROM certificates WHERE status = 'VALID') as valid_certificates,
-        (SELECT COUNT(*) FROM certificates WHERE status = 'EXPIRED') as expired_certificates,
-        (SELECT COUNT(*) FROM certificates WHERE status = 'EXPIRING_SOON') as expiring_soon_certificates,
         (SELECT COUNT(*) FROM folders WHERE type = 'custom') as custom_folders,
         (SELECT COUNT(*) FROM folders WHERE type = 'system') as system_folders,
         (SELECT COUNT(*) FROM users WHERE active = ?) as active_users,
         (SELECT COUNT(*) FROM users WHERE active = ?) as inactive_users
     `, [1, 0]);
 
-    // Get certificates by status for chart
-    const statusBreakdown = await db.allAsync(`
-      SELECT status, COUNT(*) as count
-      FROM certificates
-      GROUP BY status
-    `);
-
-    // Get certificates by month for trend
-    const monthlyTrend = await db.allAsync(`
-      SELECT 
-        strftime('%Y-%m', uploaded_at) as month,
-        COUNT(*) as count
-      FROM certificates
-      WHERE uploaded_at >= date('now', '-12 months')
-      GROUP BY month
-      ORDER BY month
-    `);
-
     res.json({
-      ...stats,
+      ...certificateCounts,
+      ...counts,
+      status_recalculated_at: await getStatusRecalculatedAt(db),
       statusBreakdown,
       monthlyTrend
     });
@@ -111,10 +115,14 @@ router.get('/health', async (req, res, next) => {
     const dbHealth = await db.getAsync('SELECT 1 as health');
     
     // Check for expired certificates
-    const expiredCount = await db.getAsync('SELECT COUNT(*) as count FROM certificates WHERE status = "EXPIRED"');
+    const expiredCount = await db.getAsync('SELECT COUNT(*) as count FROM certificates WHERE status = ?', ['EXPIRED']);
     
     // Check for certificates expiring soon
-    const expiringSoonCount = await db.getAsync('SELECT COUNT(*) as count FROM certificates WHERE status = "EXPIRING_SOON"');
+    const expiringSoonCount = await db.getAsync('SELECT COUNT(*) as count FROM certificates WHERE status = ?', ['EXPIRING_SOON']);
+
+    // Counts are wrong if the statuses have not been recalculated lately
+    const statusRecalculatedAt = await getStatusRecalculatedAt(db);
+    const statusesStale = !statusRecalculatedAt || Date.now() - new Date(statusRecalculatedAt).getTime() > STATUS_STALE_AFTER;
 
     const health = {
       status: 'healthy',
@@ -122,11 +130,13 @@ router.get('/health', async (req, res, next) => {
       database: dbHealth ? 'connected' : 'disconnected',
       certificates: {
         expired: expiredCount.count,
-        expiringSoon: expiringSoonCount.count
+        expiringSoon: expiringSoonCount.count,
+        statusRecalculatedAt,
+        statusesStale
       }
     };
 
-    if (!dbHealth || expiredCount.count > 10 || expiringSoonCount.count > 20) {
+    if (!dbHealth || expiredCount.count > 10 || expiringSoonCount.count > 20 || statusesStale) {
       health.status = 'warning';
     }
 
@@ -0,0 +1,234 @@
+import express from 'express';
+import notificationService from '../services/notificationService.js';
+import notificationTemplateService from '../services/notificationTemplateService.js';
+import digestService from '../services/digestService.js';
+import mailService from '../services/mailService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateDigestSubscription, validateNotificationRecipient, validateNotificationTemplate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const isAdmin = (user) => Array.isArray(user?.permissions) && user.permissions.includes('system:settings');
+
+const sendError = (res, error) => res.status(error.statusCode).json({ error: error.message });
+
+// SMTP settings in use (without credentials)
+router.get('/smtp', requirePermission('system:settings'), (req, res) => {
+  res.json(mailService.describe());
+});
+
+// Send a test email to check the SMTP settings (defaults to the caller's address)
+router.post('/test', requirePermission('system:settings'), async (req, res, next) => {
+  try {
+    const to = req.body?.to || req.user.email;
+    if (!to) {
+      return res.status(400).json({ error: 'Recipient address (to) is required' });
+    }
+    res.json(await notificationService.sendTestEmail(to));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    res.status(502).json({ error: `Test email failed: ${error.message}` });
+  }
+});
+
+// Recipients: everyone's for administrators, otherwise the caller's own subscriptions
+router.get('/recipients', async (req, res, next) => {
+  try {
+    res.json(await notificationService.listRecipients(isAdmin(req.user) ? {} : { userId: req.user.id }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a recipient; without system settings permission users can only subscribe themselves
+router.post('/recipients', validateNotificationRecipient, async (req, res, next) => {
+  try {
+    if (!isAdmin(req.user) && req.body.userId !== req.user.id) {
+      return res.status(403).json({ error: 'INSUFFICIENT_PERMISSIONS', message: 'You can only subscribe yourself.' });
+    }
+    const recipient = await notificationService.addRecipient(req.body, { createdBy: req.user.id });
+    res.status(201).json(recipient);
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+const loadOwnRecipient = async (req, res) => {
+  const recipient = await notificationService.getRecipient(req.params.id);
+  if (!recipient || (!isAdmin(req.user) && recipient.userId !== req.user.id)) {
+    res.status(404).json({ error: 'Recipient not found' });
+    return null;
+  }
+  return recipient;
+};
+
+// Pause or resume a recipient ({ enabled })
+router.patch('/recipients/:id', async (req, res, next) => {
+  try {
+    if (typeof req.body?.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    if (!await loadOwnRecipient(req, res)) {
+      return;
+    }
+    res.json(await notificationService.setRecipientEnabled(req.params.id, req.body.enabled));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/recipients/:id', async (req, res, next) => {
+  try {
+    if (!await loadOwnRecipient(req, res)) {
+      return;
+    }
+    await notificationService.removeRecipient(req.params.id);
+    res.json({ message: 'Recipient removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Expiry digests: everyone's for administrators, otherwise the caller's own
+router.get('/digests', async (req, res, next) => {
+  try {
+    res.json(await digestService.listSubscriptions(isAdmin(req.user) ? {} : { userId: req.user.id }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a digest; without system settings permission users can only subscribe themselves
+router.post('/digests', validateDigestSubscription, async (req, res, next) => {
+  try {
+    if (!isAdmin(req.user) && req.body.userId !== req.user.id) {
+      return res.status(403).json({ error: 'INSUFFICIENT_PERMISSIONS', message: 'You can only subscribe yourself.' });
+    }
+    const subscription = await digestService.addSubscription(req.body, { createdBy: req.user.id });
+    res.status(201).json(subscription);
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+const loadOwnDigest = async (req, res) => {
+  const subscription = await digestService.getSubscription(req.params.id);
+  if (!subscription || (!isAdmin(req.user) && subscription.userId !== req.user.id)) {
+    res.status(404).json({ error: 'Digest subscription not found' });
+    return null;
+  }
+  return subscription;
+};
+
+// Pause or resume a digest, or change its interval or how far ahead it looks
+router.patch('/digests/:id', validateDigestSubscription, async (req, res, next) => {
+  try {
+    if (!await loadOwnDigest(req, res)) {
+      return;
+    }
+    res.json(await digestService.updateSubscription(req.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/digests/:id', async (req, res, next) => {
+  try {
+    if (!await loadOwnDigest(req, res)) {
+      return;
+    }
+    await digestService.removeSubscription(req.params.id);
+    res.json({ message: 'Digest subscription removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The digest that would be sent now, with its email subject and text
+router.get('/digests/:id/preview', async (req, res, next) => {
+  try {
+    const subscription = await loadOwnDigest(req, res);
+    if (!subscription) {
+      return;
+    }
+    res.json(await digestService.prepare(subscription));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a digest now instead of waiting for its interval
+router.post('/digests/:id/send', async (req, res, next) => {
+  try {
+    if (!await loadOwnDigest(req, res)) {
+      return;
+    }
+    res.json(await digestService.sendDigest(req.params.id));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+// Email templates with their placeholders
+router.get('/templates', async (req, res, next) => {
+  try {
+    res.json(await notificationTemplateService.listTemplates());
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/templates/:key', async (req, res, next) => {
+  try {
+    res.json(await notificationTemplateService.getTemplate(req.params.key));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+router.put('/templates/:key', requirePermission('system:settings'), validateNotificationTemplate, async (req, res, next) => {
+  try {
+    res.json(await notificationTemplateService.setTemplate(req.params.key, req.body, { userId: req.user.id }));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+// Back to the built-in text
+router.delete('/templates/:key', requirePermission('system:settings'), async (req, res, next) => {
+  try {
+    res.json(await notificationTemplateService.resetTemplate(req.params.key));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+// Render a template (the stored one, or { subject, body } being edited) with sample values
+router.post('/templates/:key/preview', async (req, res, next) => {
+  try {
+    const stored = await notificationTemplateService.getTemplate(req.params.key);
+    const template = { subject: req.body?.subject ?? stored.subject, body: req.body?.body ?? stored.body };
+    res.json(notificationTemplateService.render(template, { ...stored.sample, ...req.body?.values }));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+// Sent and failed notification emails (?certificateId&status&limit)
+router.get('/deliveries', async (req, res, next) => {
+  try {
+    const { certificateId, status, limit } = req.query;
+    res.json(await notificationService.getDeliveries({ certificateId, status, limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,166 @@
+import express from 'express';
+import multer from 'multer';
+import trustStoreService from '../services/trustStoreService.js';
+import { validateTrustStoreImport } from '../middleware/validation.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Configure multer for trust store files (PEM/PKCS#7 bundles, DER certificates, certdata.txt)
+const allowedExtensions = ['.pem', '.crt', '.cer', '.der', '.ca-bundle', '.p7b', '.p7c', '.txt'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = file.originalname.toLowerCase().substring(file.originalname.lastIndexOf('.'));
+    if (allowedExtensions.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only trust store files (.pem, .crt, .cer, .der, .ca-bundle, .p7b, .p7c, certdata .txt) are allowed'), false);
+    }
+  }
+});
+
+/**
+ * Parse an uploaded trust store file, answering 400 when it cannot be read
+ * @returns {Promise<Object|null>} parseTrustStoreFile() output, or null after responding
+ */
+const readUploadedStore = async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ error: 'Trust store file is required' });
+    return null;
+  }
+
+  try {
+    return await trustStoreService.parseTrustStoreFile(req.file.buffer, req.file.originalname, { purpose: req.body.purpose });
+  } catch (parseError) {
+    res.status(400).json({ error: parseError.message });
+    return null;
+  }
+};
+
+// Get all trust stores
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await trustStoreService.listTrustStores());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get trust store by ID, with its anchors and folders
+router.get('/:id', async (req, res, next) => {
+  try {
+    const trustStore = await trustStoreService.getTrustStore(req.params.id);
+    if (!trustStore) {
+      return res.status(404).json({ error: 'Trust store not found' });
+    }
+    res.json(trustStore);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare the anchors of two trust stores
+router.get('/:id/diff/:otherId', async (req, res, next) => {
+  try {
+    const [base, other] = await Promise.all([
+      trustStoreService.getTrustStore(req.params.id),
+      trustStoreService.getTrustStore(req.params.otherId)
+    ]);
+    if (!base || !other) {
+      return res.status(404).json({ error: 'Trust store not found' });
+    }
+    res.json(trustStoreService.diffTrustStores(base, other));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a trust store from an uploaded file
+router.post('/', requirePermission('system:settings'), upload.single('bundle'), validateTrustStoreImport, async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Trust store name is required' });
+    }
+
+    const parsed = await readUploadedStore(req, res);
+    if (!parsed) {
+      return;
+    }
+    if (parsed.certificates.length === 0) {
+      return res.status(400).json({ error: 'The file holds no trusted certificates', skipped: parsed.skipped });
+    }
+
+    const { trustStore, added } = await trustStoreService.createTrustStore({
+      name,
+      description: description || null,
+      format: parsed.format,
+      certificates: parsed.certificates
+    }, { userId: req.user?.id });
+
+    res.status(201).json({ trustStore, added, skipped: parsed.skipped });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Import anchors into an existing trust store (replace=true drops anchors missing from the file)
+router.post('/:id/certificates', requirePermission('system:settings'), upload.single('bundle'), validateTrustStoreImport, async (req, res, next) => {
+  try {
+    const trustStore = await trustStoreService.getTrustStore(req.params.id);
+    if (!trustStore) {
+      return res.status(404).json({ error: 'Trust store not found' });
+    }
+
+    const parsed = await readUploadedStore(req, res);
+    if (!parsed) {
+      return;
+    }
+
+    const result = await trustStoreService.importCertificates(req.params.id, parsed.certificates, {
+      replace: req.body.replace,
+      format: parsed.format
+    });
+    res.json({ ...result, skipped: parsed.skipped });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove one anchor from a trust store
+router.delete('/:id/certificates/:fingerprint', requirePermission('system:settings'), async (req, res, next) => {
+  try {
+    const removed = await trustStoreService.removeCertificate(req.params.id, req.params.fingerprint.toLowerCase());
+    if (!removed) {
+      return res.status(404).json({ error: 'Certificate not found in trust store' });
+    }
+    res.json({ message: 'Certificate removed from trust store' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete trust store
+router.delete('/:id', requirePermission('system:settings'), async (req, res, next) => {
+  try {
+    const trustStore = await trustStoreService.getTrustStore(req.params.id);
+    if (!trustStore) {
+      return res.status(404).json({ error: 'Trust store not found' });
+    }
+
+    await trustStoreService.deleteTrustStore(req.params.id);
+    res.json({ message: 'Trust store deleted successfully', unassignedFolders: trustStore.folders.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -153,6 +153,8 @@ router.delete('/:id', requirePermission('system:settings'), async (req, res, nex
       });
     }
 
+    await db.runAsync('DELETE FROM notification_recipients WHERE user_id = ?', [id]);
+    await db.runAsync('DELETE FROM digest_subscriptions WHERE user_id = ?', [id]);
     await db.runAsync('DELETE FROM users WHERE id = ?', [id]);
 
     res.json({ message: 'User deleted successfully' });
@@ -0,0 +1,115 @@
+import express from 'express';
+import webhookService, { WEBHOOK_EVENTS, WEBHOOK_FORMATS } from '../services/webhookService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateWebhookSubscription } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const sendError = (res, error) => res.status(error.statusCode).json({ error: error.message });
+
+// Events subscriptions can choose from, and the payload formats
+router.get('/events', (req, res) => {
+  res.json({
+    events: Object.entries(WEBHOOK_EVENTS).map(([name, description]) => ({ name, description })),
+    formats: WEBHOOK_FORMATS
+  });
+});
+
+// Webhook URLs often carry credentials (Slack and Teams), so everything else is for administrators
+router.use(requirePermission('system:settings'));
+
+router.get('/subscriptions', async (req, res, next) => {
+  try {
+    res.json(await webhookService.listSubscriptions());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The response includes the signing secret; it is not shown again
+router.post('/subscriptions', validateWebhookSubscription, async (req, res, next) => {
+  try {
+    const subscription = await webhookService.createSubscription(req.body, { createdBy: req.user.id });
+    res.status(201).json(subscription);
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+router.get('/subscriptions/:id', async (req, res, next) => {
+  try {
+    const subscription = await webhookService.getSubscription(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/subscriptions/:id', validateWebhookSubscription, async (req, res, next) => {
+  try {
+    res.json(await webhookService.updateSubscription(req.params.id, req.body));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+router.delete('/subscriptions/:id', async (req, res, next) => {
+  try {
+    if (!await webhookService.getSubscription(req.params.id)) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    await webhookService.deleteSubscription(req.params.id);
+    res.json({ message: 'Webhook subscription removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a webhook.ping event now and return the delivery
+router.post('/subscriptions/:id/test', async (req, res, next) => {
+  try {
+    res.json(await webhookService.sendTest(req.params.id));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+// Delivery log (?subscriptionId&certificateId&status&limit)
+router.get('/deliveries', async (req, res, next) => {
+  try {
+    const { subscriptionId, certificateId, status, limit } = req.query;
+    res.json(await webhookService.getDeliveries({ subscriptionId, certificateId, status, limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/deliveries/:id', async (req, res, next) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a delivery again with the same payload; the new delivery is returned after its first attempt
+router.post('/deliveries/:id/redeliver', async (req, res, next) => {
+  try {
+    res.status(201).json(await webhookService.redeliver(req.params.id));
+  } catch (error) {
+    if (error.statusCode) return sendError(res, error);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,490 @@
+/**
+ * ACME Service
+ * Renews certificates through an ACME CA. Each folder can have its own ACME account (directory
+ * URL, contact, external account binding, challenge solver and key policy); an account without
+ * a folder is the default for the others. A renewal orders a certificate for the record's DNS
+ * and IP names, answers the challenges with the account's solver, finalizes the order with a
+ * CSR for a new key (or the vaulted key, when reused) and stores the issued certificate as the
+ * record's next version. Attempts are logged in acme_orders.
+ *
+ * TLS to the directory can trust an extra CA bundle (ACME_CA_BUNDLE), e.g. Pebble's.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import privateKeyVaultService from './privateKeyVaultService.js';
+import certificateImportService from './certificateImportService.js';
+import certificateEventService from './certificateEventService.js';
+import { getSolver, dnsChallengeRecord } from './acmeSolvers.js';
+import { AcmeClient, AcmeError } from '../utils/acmeClient.js';
+import { ACME_KEY_TYPES, generatePrivateKey, createCsr, keyTypeOfCertificate } from '../utils/csrGenerator.js';
+import { parseCertificate, splitPemCertificates } from '../utils/certificateParser.js';
+
+export const KEY_POLICIES = ['new', 'reuse'];
+
+const SECRET_MASK = '********';
+const SECRET_FIELD = /token|secret|password|key/i;
+
+// Challenge tokens are base64url (RFC 8555 section 8.1); solvers use them in file names and URLs
+const CHALLENGE_TOKEN = /^[A-Za-z0-9_-]+$/;
+
+const withStatus = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const settings = () => ({
+  ca: process.env.ACME_CA_BUNDLE ? fs.readFileSync(process.env.ACME_CA_BUNDLE, 'utf8') : null,
+  rejectUnauthorized: process.env.ACME_TLS_INSECURE !== 'true',
+  pollIntervalMs: parseInt(process.env.ACME_POLL_INTERVAL_MS || '2000', 10),
+  pollTimeoutMs: parseInt(process.env.ACME_POLL_TIMEOUT_SECONDS || '300', 10) * 1000
+});
+
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Solver settings that look like credentials are never sent back
+const maskSolverConfig = (config) => Object.fromEntries(
+  Object.entries(config).map(([name, value]) => [name, SECRET_FIELD.test(name) && value ? SECRET_MASK : value])
+);
+
+const formatAccount = (row) => ({
+  id: row.id,
+  folderId: row.folder_id || null,
+  folderName: row.folder_name || null,
+  directoryUrl: row.directory_url,
+  email: row.email,
+  eabKid: row.eab_kid,
+  hasEabHmacKey: Boolean(row.encrypted_eab_hmac_key),
+  accountUrl: row.account_url,
+  solver: row.solver,
+  solverConfig: maskSolverConfig(parseJson(row.encrypted_solver_config && privateKeyVaultService.decrypt(row.encrypted_solver_config), {})),
+  keyPolicy: row.key_policy,
+  keyType: row.key_type,
+  enabled: Boolean(row.enabled),
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const formatOrder = (row) => ({
+  id: row.id,
+  certificateId: row.certificate_id,
+  accountId: row.account_id,
+  status: row.status,
+  identifiers: parseJson(row.identifiers, []),
+  orderUrl: row.order_url,
+  solver: row.solver,
+  keyReused: Boolean(row.key_reused),
+  error: row.error,
+  createdBy: row.created_by,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at
+});
+
+const ACCOUNT_QUERY = `
+  SELECT a.*, f.name AS folder_name
+  FROM acme_accounts a
+  LEFT JOIN folders f ON f.id = a.folder_id
+`;
+
+/**
+ * ACME identifiers for a certificate: its DNS and IP subject alternative names, and the
+ * common name when it is a host name
+ * @param {Object} certificate - Certificate row
+ * @param {Array<Object>} subjectAltNames - [{ type, value }]
+ * @returns {Array<Object>} [{ type: 'dns'|'ip', value }]
+ */
+export const identifiersFor = (certificate, subjectAltNames) => {
+  const identifiers = [];
+  const add = (type, value) => {
+    const normalized = type === 'dns' ? value.toLowerCase() : value;
+    if (!identifiers.some(identifier => identifier.type === type && identifier.value === normalized)) {
+      identifiers.push({ type, value: normalized });
+    }
+  };
+  if (/^(\*\.)?([a-z0-9-]+\.)+[a-z0-9-]+$/i.test(certificate.common_name || '')) {
+    add('dns', certificate.common_name);
+  }
+  for (const name of subjectAltNames) {
+    if (name.type === 'dns' || name.type === 'ip') {
+      add(name.type, name.value);
+    }
+  }
+  return identifiers;
+};
+
+class AcmeService {
+  /**
+   * Every ACME account
+   * @returns {Promise<Array<Object>>} Accounts (without keys; credential-like solver settings masked)
+   */
+  async listAccounts() {
+    const db = getDatabase();
+    const rows = await db.allAsync(`${ACCOUNT_QUERY} ORDER BY a.folder_id IS NOT NULL, f.name`) || [];
+    return rows.map(formatAccount);
+  }
+
+  async getAccount(id) {
+    const db = getDatabase();
+    const row = await db.getAsync(`${ACCOUNT_QUERY} WHERE a.id = ?`, [id]);
+    return row ? formatAccount(row) : null;
+  }
+
+  /**
+   * The account that renews a folder's certificates: its own, else the default one
+   * @param {string|null} folderId - Folder ID
+   * @returns {Promise<Object|undefined>} Enabled account row
+   */
+  async findAccountRow(folderId) {
+    const db = getDatabase();
+    if (folderId) {
+      const own = await db.getAsync('SELECT * FROM acme_accounts WHERE folder_id = ? AND enabled = 1', [folderId]);
+      if (own) {
+        return own;
+      }
+    }
+    return await db.getAsync('SELECT * FROM acme_accounts WHERE folder_id IS NULL AND enabled = 1');
+  }
+
+  async ensureUniqueFolder(folderId, exceptId = null) {
+    const db = getDatabase();
+    if (folderId && !await db.getAsync('SELECT id FROM folders WHERE id = ?', [folderId])) {
+      throw withStatus('Folder not found', 404);
+    }
+    const existing = await db.getAsync(
+      `SELECT id FROM acme_accounts WHERE ${folderId ? 'folder_id = ?' : 'folder_id IS NULL'} AND id != ?`,
+      folderId ? [folderId, exceptId || ''] : [exceptId || '']
+    );
+    if (existing) {
+      throw withStatus(folderId ? 'This folder already has an ACME account' : 'There already is a default ACME account', 409);
+    }
+  }
+
+  /**
+   * ACME client for an account row
+   * @param {Object} row - acme_accounts row
+   * @returns {AcmeClient} Client
+   */
+  clientFor(row) {
+    return new AcmeClient({
+      directoryUrl: row.directory_url,
+      accountKey: privateKeyVaultService.decrypt(row.encrypted_account_key),
+      accountUrl: row.account_url,
+      ...settings()
+    });
+  }
+
+  /**
+   * Register an account row with its CA (or find its existing registration) and keep its URL
+   * @param {Object} row - acme_accounts row
+   * @param {AcmeClient} client - Client for the row
+   * @returns {Promise<string>} Account URL
+   */
+  async register(row, client = this.clientFor(row)) {
+    const eab = row.eab_kid
+      ? { kid: row.eab_kid, hmacKey: privateKeyVaultService.decrypt(row.encrypted_eab_hmac_key) }
+      : null;
+    const account = await client.createAccount({ email: row.email, termsOfServiceAgreed: true, eab });
+    await getDatabase().runAsync('UPDATE acme_accounts SET account_url = ?, updated_at = ? WHERE id = ?', [account.url, new Date().toISOString(), row.id]);
+    console.log(`[ACME] Account ${row.id} registered at ${account.url}`);
+    return account.url;
+  }
+
+  /**
+   * Add an ACME account and register it with the CA
+   * @param {Object} account - folderId (null for the default account), directoryUrl, email,
+   *   eabKid and eabHmacKey, solver, solverConfig, keyPolicy, keyType and enabled
+   * @param {Object} options - createdBy
+   * @returns {Promise<Object>} Account
+   */
+  async createAccount({
+    folderId = null,
+    directoryUrl,
+    email = null,
+    eabKid = null,
+    eabHmacKey = null,
+    solver = 'http-01',
+    solverConfig = {},
+    keyPolicy = 'new',
+    keyType = null,
+    enabled = true
+  }, { createdBy = null } = {}) {
+    await this.ensureUniqueFolder(folderId);
+    getSolver(solver);
+
+    const db = getDatabase();
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const accountKey = await generatePrivateKey('ec-p256');
+    await db.runAsync(`
+      INSERT INTO acme_accounts (
+        id, folder_id, directory_url, email, eab_kid, encrypted_eab_hmac_key, encrypted_account_key,
+        solver, encrypted_solver_config, key_policy, key_type, enabled, created_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, folderId || null, directoryUrl, email || null, eabKid || null,
+      eabHmacKey ? privateKeyVaultService.encrypt(eabHmacKey) : null,
+      privateKeyVaultService.encrypt(accountKey),
+      solver, privateKeyVaultService.encrypt(JSON.stringify(solverConfig || {})),
+      keyPolicy, keyType || null, enabled ? 1 : 0, createdBy ? String(createdBy) : null, now, now
+    ]);
+
+    try {
+      await this.register(await db.getAsync('SELECT * FROM acme_accounts WHERE id = ?', [id]));
+    } catch (error) {
+      await db.runAsync('DELETE FROM acme_accounts WHERE id = ?', [id]);
+      throw withStatus(`The ACME server refused the account: ${error.message}`, 502);
+    }
+
+    return this.getAccount(id);
+  }
+
+  /**
+   * Change an ACME account. A new directory or EAB credentials register it again.
+   * @param {string} id - Account ID
+   * @param {Object} changes - Any of the createAccount() fields; masked solver settings are kept
+   * @returns {Promise<Object>} Updated account
+   */
+  async updateAccount(id, changes) {
+    const db = getDatabase();
+    const row = await db.getAsync('SELECT * FROM acme_accounts WHERE id = ?', [id]);
+    if (!row) {
+      throw withStatus('ACME account not found', 404);
+    }
+    if (changes.folderId !== undefined) {
+      await this.ensureUniqueFolder(changes.folderId, id);
+    }
+    if (changes.solver) {
+      getSolver(changes.solver);
+    }
+
+    let solverConfig;
+    if (changes.solverConfig) {
+      const current = parseJson(row.encrypted_solver_config && privateKeyVaultService.decrypt(row.encrypted_solver_config), {});
+      solverConfig = Object.fromEntries(
+        Object.entries(changes.solverConfig).map(([name, value]) => [name, value === SECRET_MASK ? current[name] : value])
+      );
+    }
+
+    const reRegister = (changes.directoryUrl && changes.directoryUrl !== row.directory_url)
+      || (changes.eabKid !== undefined && changes.eabKid !== row.eab_kid);
+    const columns = {
+      folder_id: changes.folderId === undefined ? undefined : changes.folderId || null,
+      directory_url: changes.directoryUrl,
+      email: changes.email,
+      eab_kid: changes.eabKid,
+      encrypted_eab_hmac_key: changes.eabHmacKey === undefined ? undefined
+        : changes.eabHmacKey ? privateKeyVaultService.encrypt(changes.eabHmacKey) : null,
+      account_url: reRegister ? null : undefined,
+      solver: changes.solver,
+      encrypted_solver_config: solverConfig && privateKeyVaultService.encrypt(JSON.stringify(solverConfig)),
+      key_policy: changes.keyPolicy,
+      key_type: changes.keyType,
+      enabled: changes.enabled === undefined ? undefined : changes.enabled ? 1 : 0
+    };
+    const set = Object.entries(columns).filter(([, value]) => value !== undefined);
+    await db.runAsync(
+      `UPDATE acme_accounts SET ${[...set.map(([column]) => `${column} = ?`), 'updated_at = ?'].join(', ')} WHERE id = ?`,
+      [...set.map(([, value]) => value), new Date().toISOString(), id]
+    );
+
+    return this.getAccount(id);
+  }
+
+  async deleteAccount(id) {
+    const db = getDatabase();
+    await db.runAsync('DELETE FROM acme_accounts WHERE id = ?', [id]);
+  }
+
+  /**
+   * Renewal attempts of a certificate, newest first
+   * @param {string} certificateId - Certificate ID
+   * @returns {Promise<Array<Object>>} Orders
+   */
+  async getOrders(certificateId) {
+    const db = getDatabase();
+    const rows = await db.allAsync(
+      'SELECT * FROM acme_orders WHERE certificate_id = ? ORDER BY started_at DESC',
+      [certificateId]
+    ) || [];
+    return rows.map(formatOrder);
+  }
+
+  /**
+   * Answer the authorizations of an order with the account's solver
+   * @param {AcmeClient} client - Client
+   * @param {Object} order - Order
+   * @param {Object} solver - Solver
+   * @param {Object} solverConfig - Solver settings
+   */
+  async authorize(client, order, solver, solverConfig) {
+    for (const authorizationUrl of order.authorizations) {
+      const authorization = await client.getAuthorization(authorizationUrl);
+      if (authorization.status === 'valid') {
+        continue;
+      }
+
+      const identifier = authorization.identifier.value;
+      const challenge = authorization.challenges.find(candidate => candidate.type === solver.type);
+      if (!challenge) {
+        throw withStatus(`The ACME server offers no ${solver.type} challenge for ${identifier}`, 502);
+      }
+      if (typeof challenge.token !== 'string' || !CHALLENGE_TOKEN.test(challenge.token)) {
+        throw withStatus(`The ACME server sent an invalid ${solver.type} challenge token for ${identifier}`, 502);
+      }
+
+      const keyAuthorization = client.keyAuthorization(challenge.token);
+      const details = { identifier, token: challenge.token, keyAuthorization, ...dnsChallengeRecord(identifier, keyAuthorization) };
+      await solver.present(details, solverConfig);
+      try {
+        await client.completeChallenge(challenge);
+        const result = await client.waitFor(authorizationUrl, ['pending']);
+        if (result.status !== 'valid') {
+          const failed = result.challenges?.find(candidate => candidate.type === solver.type);
+          throw new AcmeError(`${solver.type} validation of ${identifier} failed: ${failed?.error?.detail || result.status}`, { type: failed?.error?.type });
+        }
+      } finally {
+        try {
+          await solver.cleanup(details, solverConfig);
+        } catch (cleanupError) {
+          console.warn(`[ACME] Could not clean up the ${solver.type} challenge for ${identifier}:`, cleanupError.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Renew a certificate through the ACME account of its folder
+   * @param {string} certificateId - Certificate ID
+   * @param {Object} options - reuseKey (overrides the account's key policy) and userId
+   * @returns {Promise<Object>} { certificate, version, order }
+   */
+  async renewCertificate(certificateId, { reuseKey, userId = null } = {}) {
+    const db = getDatabase();
+    const certificate = await db.getAsync('SELECT * FROM certificates WHERE id = ?', [certificateId]);
+    if (!certificate) {
+      throw withStatus('Certificate not found', 404);
+    }
+
+    const account = await this.findAccountRow(certificate.folder_id);
+    if (!account) {
+      throw withStatus('No ACME account is configured for this certificate\'s folder', 409);
+    }
+
+    // Read through the import service, which backfills the SANs of records stored before they were extracted
+    const record = await certificateImportService.getCertificateRecord(certificateId);
+    if (certificate.pem_content && !record.fingerprint_sha1) {
+      throw withStatus('The names of the current certificate could not be read; renew it manually', 409);
+    }
+    const identifiers = identifiersFor(certificate, record.subject_alt_names || []);
+    if (identifiers.length === 0) {
+      throw withStatus('The certificate names no DNS names or IP addresses to order', 400);
+    }
+
+    const reuse = reuseKey ?? account.key_policy === 'reuse';
+    let privateKeyPem;
+    if (reuse) {
+      privateKeyPem = await privateKeyVaultService.getPrivateKey(certificateId);
+      if (!privateKeyPem) {
+        throw withStatus('No private key is held for this certificate to reuse', 409);
+      }
+    } else {
+      const currentKeyType = keyTypeOfCertificate(certificate);
+      privateKeyPem = await generatePrivateKey(account.key_type || (ACME_KEY_TYPES.includes(currentKeyType) ? currentKeyType : 'ec-p256'));
+    }
+
+    const solver = getSolver(account.solver);
+    const solverConfig = parseJson(account.encrypted_solver_config && privateKeyVaultService.decrypt(account.encrypted_solver_config), {});
+
+    const orderId = uuidv4();
+    await db.runAsync(`
+      INSERT INTO acme_orders (id, certificate_id, account_id, status, identifiers, solver, key_reused, created_by, started_at)
+      VALUES (?, ?, ?, 'pending', ?, ?, ?, ?, ?)
+    `, [orderId, certificateId, account.id, JSON.stringify(identifiers), account.solver, reuse ? 1 : 0, userId ? String(userId) : null, new Date().toISOString()]);
+    console.log(`[ACME] Renewing certificate ${certificateId} for ${identifiers.map(identifier => identifier.value).join(', ')}`);
+
+    let orderUrl = null;
+    try {
+      const client = this.clientFor(account);
+      if (!account.account_url) {
+        await this.register(account, client);
+      }
+
+      let order = await client.createOrder(identifiers);
+      orderUrl = order.url;
+      await db.runAsync('UPDATE acme_orders SET order_url = ? WHERE id = ?', [orderUrl, orderId]);
+
+      await this.authorize(client, order, solver, solverConfig);
+      order = await client.waitFor(order.url, ['pending']);
+      if (order.status !== 'ready' && order.status !== 'valid') {
+        throw new AcmeError(order.error?.detail || `The order is ${order.status}`, { type: order.error?.type });
+      }
+
+      const commonName = identifiers.some(identifier => identifier.value === certificate.common_name?.toLowerCase())
+        ? certificate.common_name
+        : identifiers[0].value;
+      const csr = await createCsr({ privateKeyPem, commonName, subjectAltNames: identifiers });
+      const finalized = order.status === 'valid' ? order : await client.finalizeOrder(order, csr.der);
+      const [leafPem, ...issuerPems] = splitPemCertificates(await client.getCertificate(finalized));
+
+      const certificateData = await parseCertificate(Buffer.from(leafPem), `${certificate.common_name}.pem`);
+      const chain = await Promise.all(issuerPems.map(pem => parseCertificate(Buffer.from(pem), 'issuer.pem')));
+      const issuedIdentifiers = identifiersFor({ common_name: certificateData.commonName }, certificateData.subjectAltNames || []);
+      if (identifiers.some(identifier => !issuedIdentifiers.some(issued => issued.type === identifier.type && issued.value === identifier.value))) {
+        throw new Error('The issued certificate does not cover every name of the current one');
+      }
+      const keySpki = crypto.createPublicKey(privateKeyPem).export({ type: 'spki', format: 'der' });
+      if (crypto.createHash('sha256').update(keySpki).digest('hex') !== certificateData.publicKeySha256) {
+        throw new Error('The issued certificate is not for the key the request was signed with');
+      }
+
+      const version = await certificateImportService.storeCertificateVersion(certificate, certificateData, {
+        chain,
+        privateKey: reuse ? null : privateKeyPem,
+        userId
+      });
+      await db.runAsync(
+        "UPDATE acme_orders SET status = 'valid', finished_at = ? WHERE id = ?",
+        [new Date().toISOString(), orderId]
+      );
+
+      const renewed = await certificateImportService.getCertificateRecord(certificateId);
+      await certificateEventService.recordEvent(certificateId, 'renewed', {
+        fromStatus: certificate.status,
+        toStatus: renewed.status,
+        details: {
+          commonName: renewed.common_name,
+          folderId: renewed.folder_id,
+          renewalCount: renewed.renewal_count,
+          version,
+          method: 'acme',
+          keyReused: reuse,
+          previousSerialNumber: certificate.serial_number,
+          serialNumber: renewed.serial_number,
+          validTo: renewed.valid_to,
+          userId
+        }
+      });
+      console.log(`[ACME] Certificate ${certificateId} renewed, now at version ${version}`);
+
+      return { certificate: renewed, version, order: formatOrder(await db.getAsync('SELECT * FROM acme_orders WHERE id = ?', [orderId])) };
+    } catch (error) {
+      console.error(`[ACME] Renewal of certificate ${certificateId} failed:`, error.message);
+      await db.runAsync(
+        "UPDATE acme_orders SET status = 'invalid', order_url = ?, error = ?, finished_at = ? WHERE id = ?",
+        [orderUrl, error.message, new Date().toISOString(), orderId]
+      );
+      if (error.statusCode) {
+        throw error;
+      }
+      throw withStatus(`ACME renewal failed: ${error.message}`, 502);
+    }
+  }
+}
+
+export default new AcmeService();
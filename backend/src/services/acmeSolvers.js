@@ -0,0 +1,150 @@
+/**
+ * ACME Challenge Solvers
+ * A solver proves control of an identifier for one challenge type: present() publishes the
+ * response before the ACME server is told to validate, cleanup() removes it afterwards.
+ * ACME accounts pick a solver by name and give it their solver_config. Built in:
+ *
+ *   http-01          served by this backend at /.well-known/acme-challenge/:token (route the
+ *                    domain's port 80 here)
+ *   http-01-webroot  written under config.webroot for another web server to serve
+ *   dns-01-webhook   the TXT record is created and deleted by posting to config.url (a DNS
+ *                    provider bridge), then config.propagationSeconds are waited for
+ *
+ * Other solvers (e.g. a DNS provider's API) are added with registerSolver().
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const solvers = new Map();
+
+// Key authorizations served by the http-01 solver, by token
+const httpChallengeResponses = new Map();
+
+/**
+ * Register a challenge solver
+ * @param {string} name - Name ACME accounts refer to
+ * @param {Object} solver - { type: 'http-01'|'dns-01', description,
+ *   present(challenge, config), cleanup(challenge, config) } where challenge is
+ *   { identifier, token, keyAuthorization, dnsName, dnsValue }
+ */
+export function registerSolver(name, solver) {
+  if (!['http-01', 'dns-01'].includes(solver.type)) {
+    throw new Error(`Solver ${name} must answer http-01 or dns-01 challenges`);
+  }
+  solvers.set(name, solver);
+}
+
+export function unregisterSolver(name) {
+  solvers.delete(name);
+}
+
+/**
+ * Look up a solver
+ * @param {string} name - Solver name
+ * @returns {Object} Solver
+ */
+export function getSolver(name) {
+  const solver = solvers.get(name);
+  if (!solver) {
+    const error = new Error(`Unknown ACME challenge solver ${name}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return solver;
+}
+
+/**
+ * @returns {Array<Object>} [{ name, type, description }]
+ */
+export function listSolvers() {
+  return Array.from(solvers, ([name, solver]) => ({ name, type: solver.type, description: solver.description || '' }));
+}
+
+/**
+ * Key authorization this backend serves for an http-01 token
+ * @param {string} token - Challenge token
+ * @returns {string|null} Key authorization, or null if no challenge is pending
+ */
+export function getHttpChallengeResponse(token) {
+  return httpChallengeResponses.get(token) || null;
+}
+
+/**
+ * Name and value of the TXT record answering a dns-01 challenge
+ * @param {string} identifier - Domain (a wildcard's base domain is used)
+ * @param {string} keyAuthorization - Key authorization of the challenge
+ * @returns {Object} { dnsName, dnsValue }
+ */
+export function dnsChallengeRecord(identifier, keyAuthorization) {
+  return {
+    dnsName: `_acme-challenge.${identifier.replace(/^\*\./, '')}`,
+    dnsValue: crypto.createHash('sha256').update(keyAuthorization).digest('base64url')
+  };
+}
+
+registerSolver('http-01', {
+  type: 'http-01',
+  description: 'Served by this backend at /.well-known/acme-challenge/',
+  async present({ token, keyAuthorization }) {
+    httpChallengeResponses.set(token, keyAuthorization);
+  },
+  async cleanup({ token }) {
+    httpChallengeResponses.delete(token);
+  }
+});
+
+registerSolver('http-01-webroot', {
+  type: 'http-01',
+  description: 'Written under a web server\'s document root (config: webroot)',
+  async present({ token, keyAuthorization }, config) {
+    if (!config.webroot) {
+      throw new Error('The http-01-webroot solver needs a webroot directory');
+    }
+    const directory = path.join(config.webroot, '.well-known', 'acme-challenge');
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, token), keyAuthorization);
+  },
+  async cleanup({ token }, config) {
+    await fs.rm(path.join(config.webroot, '.well-known', 'acme-challenge', token), { force: true });
+  }
+});
+
+/**
+ * Post a TXT record change to a DNS webhook
+ * @param {Object} config - url, optional token (sent as a bearer token) and timeoutMs
+ * @param {Object} body - { action: 'present'|'cleanup', identifier, name, value }
+ */
+async function postDnsWebhook(config, body) {
+  if (!config.url) {
+    throw new Error('The dns-01-webhook solver needs a url');
+  }
+  const response = await fetch(config.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(config.token ? { Authorization: `Bearer ${config.token}` } : {})
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(config.timeoutMs || 30000)
+  });
+  if (!response.ok) {
+    throw new Error(`DNS webhook ${body.action} for ${body.name} failed (HTTP ${response.status})`);
+  }
+}
+
+registerSolver('dns-01-webhook', {
+  type: 'dns-01',
+  description: 'TXT records created and deleted through a webhook (config: url, token, propagationSeconds)',
+  async present({ identifier, dnsName, dnsValue }, config) {
+    await postDnsWebhook(config, { action: 'present', identifier, name: dnsName, value: dnsValue });
+    const propagationSeconds = Number(config.propagationSeconds ?? 60);
+    if (propagationSeconds > 0) {
+      await new Promise(resolve => setTimeout(resolve, propagationSeconds * 1000));
+    }
+  },
+  async cleanup({ identifier, dnsName, dnsValue }, config) {
+    await postDnsWebhook(config, { action: 'cleanup', identifier, name: dnsName, value: dnsValue });
+  }
+});
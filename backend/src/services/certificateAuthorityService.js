@@ -0,0 +1,441 @@
+/**
+ * Certificate Authority Service
+ * Runs internal CAs: self-signed roots, and intermediates signed by another internal CA. A CA
+ * issues server, client and code-signing certificates (for a key it generates and vaults, or
+ * for a CSR) straight into the inventory. CA certificates are inventory records too, but
+ * their keys are sealed by the private key vault (the secret manager when enabled) and never
+ * stored with the certificate.
+ */
+
+import net from 'net';
+import crypto from 'crypto';
+import * as x509 from '@peculiar/x509';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import privateKeyVaultService from './privateKeyVaultService.js';
+import certificateImportService from './certificateImportService.js';
+import certificateRequestService from './certificateRequestService.js';
+import folderPolicyService from './folderPolicyService.js';
+import { generatePrivateKey } from '../utils/csrGenerator.js';
+import { CA_PROFILES, CERTIFICATE_PROFILES, issueCertificate } from '../utils/certificateIssuer.js';
+import { parseCertificate, parseCertificateRequest } from '../utils/certificateParser.js';
+
+export const CA_TYPES = Object.keys(CA_PROFILES);
+
+const DAY = 24 * 60 * 60 * 1000;
+// Backdating keeps new certificates valid for clients whose clocks run a little slow
+const BACKDATE_MS = 5 * 60 * 1000;
+const DEFAULT_CA_KEY_TYPE = 'ec-p384';
+const DEFAULT_LEAF_KEY_TYPE = 'ec-p256';
+
+const withStatus = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// The CA row outlived its certificate (e.g. removed from the database by hand)
+const missingCertificate = authority => withStatus(`The certificate of certificate authority "${authority.name}" is missing from the inventory`, 409);
+
+const isHostName = value => /^(\*\.)?([a-z0-9-]+\.)+[a-z0-9-]+$/i.test(value);
+
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const formatAuthority = (row) => ({
+  id: row.id,
+  name: row.name,
+  type: row.type,
+  parentId: row.parent_id || null,
+  parentName: row.parent_name || null,
+  certificateId: row.certificate_id,
+  commonName: row.common_name,
+  subject: row.subject,
+  serialNumber: row.serial_number,
+  validFrom: row.valid_from,
+  validTo: row.valid_to,
+  status: row.status,
+  folderId: row.folder_id || null,
+  keyType: row.key_type,
+  keyStorage: row.key_reference ? 'secret-manager' : 'database',
+  pathLength: row.path_length ?? null,
+  enabled: Boolean(row.enabled),
+  issuedCount: row.issued_count || 0,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const AUTHORITY_QUERY = `
+  SELECT ca.*, p.name AS parent_name, c.common_name, c.subject, c.serial_number, c.valid_from,
+    c.valid_to, c.status, c.folder_id, c.pem_content,
+    (SELECT COUNT(*) FROM certificates i WHERE i.issuer_certificate_id = ca.certificate_id) AS issued_count
+  FROM certificate_authorities ca
+  LEFT JOIN certificate_authorities p ON p.id = ca.parent_id
+  LEFT JOIN certificates c ON c.id = ca.certificate_id
+`;
+
+/**
+ * End of validity for a new certificate: the requested number of days, but never past the
+ * end of its issuer's validity
+ * @param {Date} notBefore - Start of validity
+ * @param {number} validityDays - Requested validity
+ * @param {Object|null} issuer - Issuing CA row (with valid_to), null for roots
+ * @returns {Date} End of validity
+ */
+const validityEnd = (notBefore, validityDays, issuer) => {
+  const requested = new Date(notBefore.getTime() + BACKDATE_MS + validityDays * DAY);
+  if (issuer && new Date(issuer.valid_to) < requested) {
+    return new Date(issuer.valid_to);
+  }
+  return requested;
+};
+
+class CertificateAuthorityService {
+  /**
+   * Every internal CA, roots first
+   * @returns {Promise<Array<Object>>} CAs (never their keys)
+   */
+  async listAuthorities() {
+    const db = getDatabase();
+    const rows = await db.allAsync(`${AUTHORITY_QUERY} ORDER BY ca.type = 'intermediate', ca.name`) || [];
+    return rows.map(formatAuthority);
+  }
+
+  async getAuthority(id) {
+    const row = await this.getAuthorityRow(id);
+    return row ? formatAuthority(row) : null;
+  }
+
+  async getAuthorityRow(id) {
+    const db = getDatabase();
+    return await db.getAsync(`${AUTHORITY_QUERY} WHERE ca.id = ?`, [id]);
+  }
+
+  /**
+   * Certificates to send along with ones a CA signs: the CA and its parents, without the root
+   * @param {Object} authority - CA row
+   * @returns {Promise<Array<Object>>} parseCertificate() outputs, nearest first
+   */
+  async getChain(authority) {
+    const chain = [];
+    for (let current = authority; current && current.type !== 'root'; current = await this.getAuthorityRow(current.parent_id)) {
+      if (!current.pem_content) {
+        throw missingCertificate(current);
+      }
+      chain.push(await parseCertificate(Buffer.from(current.pem_content)));
+    }
+    return chain;
+  }
+
+  /**
+   * Signing key and certificate of a CA that may issue now
+   * @param {Object} authority - CA row
+   * @returns {Promise<Object>} { certificatePem, privateKeyPem }
+   */
+  async signerFor(authority) {
+    if (!authority.pem_content) {
+      throw missingCertificate(authority);
+    }
+    if (!authority.enabled) {
+      throw withStatus(`Certificate authority "${authority.name}" is disabled`, 409);
+    }
+    if (new Date(authority.valid_to) <= new Date()) {
+      throw withStatus(`Certificate authority "${authority.name}" has expired`, 409);
+    }
+    return {
+      certificatePem: authority.pem_content,
+      privateKeyPem: await privateKeyVaultService.openSecret({
+        keyReference: authority.key_reference,
+        encryptedKey: authority.encrypted_key
+      })
+    };
+  }
+
+  /**
+   * Create a root, or an intermediate signed by another internal CA
+   * @param {Object} fields - name, type, parentId (intermediates), subject ({ commonName,
+   *   organization, ... }), keyType, validityDays, pathLength and folderId (where the CA
+   *   certificate is filed in the inventory)
+   * @param {Object} options - userId of the creator
+   * @returns {Promise<Object>} The new CA
+   */
+  async createAuthority(fields, { userId = null } = {}) {
+    const db = getDatabase();
+    const { name, type, subject, folderId = null } = fields;
+    const keyType = fields.keyType || DEFAULT_CA_KEY_TYPE;
+    const profile = CA_PROFILES[type];
+
+    if (await db.getAsync('SELECT id FROM certificate_authorities WHERE name = ?', [name])) {
+      throw withStatus('A certificate authority with this name already exists', 409);
+    }
+    if (folderId && !await db.getAsync('SELECT id FROM folders WHERE id = ?', [folderId])) {
+      throw withStatus('Folder not found', 404);
+    }
+
+    const validityDays = fields.validityDays || profile.defaultValidityDays;
+    if (validityDays > profile.maxValidityDays) {
+      throw withStatus(`${type === 'root' ? 'Root' : 'Intermediate'} CAs are valid for at most ${profile.maxValidityDays} days`, 400);
+    }
+
+    let parent = null;
+    let pathLength = fields.pathLength ?? null;
+    if (type === 'intermediate') {
+      parent = await this.getAuthorityRow(fields.parentId);
+      if (!parent) {
+        throw withStatus('Parent certificate authority not found', 404);
+      }
+      if (parent.path_length !== null && parent.path_length !== undefined) {
+        if (parent.path_length === 0) {
+          throw withStatus(`Certificate authority "${parent.name}" has a path length of 0 and cannot sign other CAs`, 400);
+        }
+        if (pathLength === null) {
+          pathLength = parent.path_length - 1;
+        } else if (pathLength > parent.path_length - 1) {
+          throw withStatus(`The path length can be at most ${parent.path_length - 1} under "${parent.name}"`, 400);
+        }
+      }
+    }
+
+    const id = uuidv4();
+    const privateKeyPem = await generatePrivateKey(keyType);
+    const notBefore = new Date(Date.now() - BACKDATE_MS);
+    const issued = await issueCertificate({
+      profile: type,
+      subject,
+      publicKeyDer: crypto.createPublicKey(privateKeyPem).export({ type: 'spki', format: 'der' }),
+      notBefore,
+      notAfter: validityEnd(notBefore, validityDays, parent),
+      pathLength,
+      issuer: parent ? await this.signerFor(parent) : { certificatePem: null, privateKeyPem }
+    });
+
+    const sealed = await privateKeyVaultService.sealSecret(`ca-key-${id}`, privateKeyPem, {
+      type: 'ca-private-key',
+      certificateAuthorityId: id,
+      description: `Private key of certificate authority ${name}`
+    });
+
+    // A CA that could not be stored must not leave its key or certificate behind
+    let certificateId = null;
+    try {
+      const certificateData = await parseCertificate(Buffer.from(issued.pem));
+      certificateId = await certificateImportService.createCertificateRecord(certificateData, {
+        folderId,
+        userId,
+        certificatePem: certificateData.pem,
+        chain: parent ? await this.getChain(parent) : [],
+        source: { type: 'internal-ca', location: name, details: { certificateAuthorityId: id, profile: type } }
+      });
+      await certificateImportService.linkIssuers([certificateId]);
+
+      const now = new Date().toISOString();
+      await db.runAsync(`
+        INSERT INTO certificate_authorities (
+          id, name, type, parent_id, certificate_id, key_type, key_reference, encrypted_key,
+          path_length, enabled, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+      `, [
+        id, name, type, parent ? parent.id : null, certificateId, keyType, sealed.keyReference, sealed.encryptedKey,
+        pathLength, userId ? String(userId) : null, now, now
+      ]);
+    } catch (error) {
+      if (certificateId) {
+        await certificateImportService.deleteCertificateRecord({ id: certificateId });
+      }
+      await privateKeyVaultService.deleteSecret(sealed.keyReference);
+      throw error;
+    }
+
+    console.log(`[CA] Created ${type} certificate authority ${name} (${id})`);
+    return this.getAuthority(id);
+  }
+
+  /**
+   * Rename, enable or disable a CA
+   * @param {string} id - CA ID
+   * @param {Object} changes - name and/or enabled
+   * @returns {Promise<Object>} The updated CA
+   */
+  async updateAuthority(id, changes) {
+    const db = getDatabase();
+    const authority = await this.getAuthorityRow(id);
+    if (!authority) {
+      throw withStatus('Certificate authority not found', 404);
+    }
+    if (changes.name !== undefined && changes.name !== authority.name
+      && await db.getAsync('SELECT id FROM certificate_authorities WHERE name = ?', [changes.name])) {
+      throw withStatus('A certificate authority with this name already exists', 409);
+    }
+
+    await db.runAsync(
+      'UPDATE certificate_authorities SET name = ?, enabled = ?, updated_at = ? WHERE id = ?',
+      [
+        changes.name ?? authority.name,
+        changes.enabled === undefined ? authority.enabled : (changes.enabled ? 1 : 0),
+        new Date().toISOString(),
+        id
+      ]
+    );
+    return this.getAuthority(id);
+  }
+
+  /**
+   * Delete a CA and destroy its key. Its certificate, and those it issued, stay in the inventory.
+   * @param {string} id - CA ID
+   */
+  async deleteAuthority(id) {
+    const db = getDatabase();
+    const authority = await this.getAuthorityRow(id);
+    if (!authority) {
+      throw withStatus('Certificate authority not found', 404);
+    }
+    if (await db.getAsync('SELECT id FROM certificate_authorities WHERE parent_id = ?', [id])) {
+      throw withStatus('Delete the intermediate CAs this CA signed first', 409);
+    }
+
+    await privateKeyVaultService.deleteSecret(authority.key_reference);
+    await db.runAsync('DELETE FROM certificate_authorities WHERE id = ?', [id]);
+    console.log(`[CA] Deleted certificate authority ${authority.name} (${id})`);
+  }
+
+  /**
+   * Issue a leaf certificate into the inventory
+   * @param {string} id - Issuing CA ID
+   * @param {Object} request - profile, subject, subjectAltNames, validityDays, folderId, and the
+   *   key: csr (PEM), certificateRequestId (a pending request in the inventory) or keyType (a
+   *   new key, vaulted with the certificate)
+   * @param {Object} options - userId of the requester
+   * @returns {Promise<Object>} { certificate, policyViolations }
+   */
+  async issue(id, request, { userId = null } = {}) {
+    const db = getDatabase();
+    const profile = CERTIFICATE_PROFILES[request.profile];
+    const authority = await this.getAuthorityRow(id);
+    if (!authority) {
+      throw withStatus('Certificate authority not found', 404);
+    }
+    if (request.folderId && !await db.getAsync('SELECT id FROM folders WHERE id = ?', [request.folderId])) {
+      throw withStatus('Folder not found', 404);
+    }
+
+    let csrPem = request.csr || null;
+    if (request.certificateRequestId) {
+      const pending = await certificateRequestService.getRequest(request.certificateRequestId);
+      if (!pending) {
+        throw withStatus('Certificate request not found', 404);
+      }
+      if (pending.status !== 'PENDING') {
+        throw withStatus('A certificate has already been issued for this request', 409);
+      }
+      csrPem = pending.pem_content;
+    }
+
+    let publicKeyDer;
+    let privateKeyPem = null;
+    const subject = { ...(request.subject || {}) };
+    let subjectAltNames = request.subjectAltNames;
+    if (csrPem) {
+      let csrData;
+      try {
+        csrData = await parseCertificateRequest(Buffer.from(csrPem));
+      } catch (error) {
+        throw withStatus(error.message, 400);
+      }
+      if (!csrData.signatureValid) {
+        throw withStatus('The CSR signature is not valid', 400);
+      }
+      const csr = new x509.Pkcs10CertificateRequest(csrData.pem);
+      publicKeyDer = Buffer.from(csr.publicKey.rawData);
+      subject.commonName = subject.commonName || csr.subjectName.getField('CN')[0];
+      subjectAltNames = subjectAltNames || csrData.subjectAltNames;
+    } else {
+      privateKeyPem = await generatePrivateKey(request.keyType || DEFAULT_LEAF_KEY_TYPE);
+      publicKeyDer = crypto.createPublicKey(privateKeyPem).export({ type: 'spki', format: 'der' });
+    }
+
+    subjectAltNames = [...(subjectAltNames || [])];
+    const disallowed = subjectAltNames.find(name => !profile.subjectAltNameTypes.includes(name.type));
+    if (disallowed) {
+      throw withStatus(`${request.profile} certificates cannot have ${disallowed.type} subject alternative names`, 400);
+    }
+    // Clients match server names against the SANs only, so the common name goes there too
+    if (request.profile === 'server' && subject.commonName
+      && (isHostName(subject.commonName) || net.isIP(subject.commonName))
+      && !subjectAltNames.some(name => name.value.toLowerCase() === subject.commonName.toLowerCase())) {
+      subjectAltNames.unshift({ type: isHostName(subject.commonName) ? 'dns' : 'ip', value: subject.commonName });
+    }
+    if (profile.requiresSubjectAltName && subjectAltNames.length === 0) {
+      throw withStatus(`${request.profile} certificates need at least one ${profile.subjectAltNameTypes.join(' or ')} name`, 400);
+    }
+    if (!subject.commonName) {
+      if (subjectAltNames.length === 0) {
+        throw withStatus('A common name or subject alternative name is required', 400);
+      }
+      subject.commonName = subjectAltNames[0].value;
+    }
+
+    const validityDays = request.validityDays || profile.defaultValidityDays;
+    if (validityDays > profile.maxValidityDays) {
+      throw withStatus(`${request.profile} certificates are valid for at most ${profile.maxValidityDays} days`, 400);
+    }
+
+    const notBefore = new Date(Date.now() - BACKDATE_MS);
+    const issued = await issueCertificate({
+      profile: request.profile,
+      subject,
+      subjectAltNames,
+      publicKeyDer,
+      notBefore,
+      notAfter: validityEnd(notBefore, validityDays, authority),
+      issuer: await this.signerFor(authority)
+    });
+
+    const folderId = request.folderId || null;
+    const certificateData = await parseCertificate(Buffer.from(issued.pem));
+    const policyViolations = await folderPolicyService.checkPlacement(folderId, [certificateData]);
+
+    const certificateId = await certificateImportService.createCertificateRecord(certificateData, {
+      folderId,
+      userId,
+      certificatePem: certificateData.pem,
+      chain: await this.getChain(authority),
+      privateKey: privateKeyPem,
+      source: {
+        type: 'internal-ca',
+        location: authority.name,
+        details: { certificateAuthorityId: authority.id, profile: request.profile }
+      }
+    });
+    await certificateImportService.linkIssuers([certificateId]);
+
+    console.log(`[CA] ${authority.name} issued ${request.profile} certificate ${issued.serialNumber} for ${subject.commonName}`);
+    return { certificate: await certificateImportService.getCertificateRecord(certificateId), policyViolations };
+  }
+
+  /**
+   * Certificates in the inventory a CA signed, newest first
+   * @param {string} id - CA ID
+   * @returns {Promise<Array<Object>|null>} Certificates, or null if the CA does not exist
+   */
+  async listIssuedCertificates(id) {
+    const db = getDatabase();
+    const authority = await this.getAuthorityRow(id);
+    if (!authority) {
+      return null;
+    }
+    const rows = await db.allAsync(`
+      SELECT id, common_name, serial_number, valid_from, valid_to, status, folder_id, source_type, source_details, uploaded_at
+      FROM certificates
+      WHERE issuer_certificate_id = ?
+      ORDER BY uploaded_at DESC
+    `, [authority.certificate_id]) || [];
+    return rows.map(({ source_type: sourceType, source_details: sourceDetails, ...row }) => ({
+      ...row,
+      profile: sourceType === 'internal-ca' ? parseJson(sourceDetails, {}).profile || null : null
+    }));
+  }
+}
+
+export default new CertificateAuthorityService();
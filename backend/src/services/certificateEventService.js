@@ -0,0 +1,101 @@
+/**
+ * Certificate Event Service
+ * Append-only log of what happened to each certificate. Status changes are recorded by
+ * the scheduled status recalculation and by revocation checks; uploads, deletions, moves
+ * and renewals by the actions themselves. Every event is offered to the webhook
+ * subscriptions.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import webhookService from './webhookService.js';
+
+const formatEvent = (row) => {
+  let details = null;
+  if (row.details) {
+    try {
+      details = JSON.parse(row.details);
+    } catch (error) {
+      console.warn(`[Events] Unreadable details stored for event ${row.id}`);
+    }
+  }
+  return {
+    id: row.id,
+    certificateId: row.certificate_id,
+    commonName: row.common_name ?? null,
+    eventType: row.event_type,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    details,
+    jobRunId: row.job_run_id,
+    createdAt: row.created_at
+  };
+};
+
+class CertificateEventService {
+  /**
+   * Record an event
+   * @param {string} certificateId - Certificate ID
+   * @param {string} eventType - Event type: status_changed, uploaded, deleted, moved or renewed
+   * @param {Object} options - fromStatus, toStatus, details, jobRunId and createdAt
+   * @returns {Promise<Object>} The event
+   */
+  async recordEvent(certificateId, eventType, { fromStatus = null, toStatus = null, details = null, jobRunId = null, createdAt = new Date() } = {}) {
+    const db = getDatabase();
+    const row = {
+      id: uuidv4(),
+      certificate_id: certificateId,
+      event_type: eventType,
+      from_status: fromStatus,
+      to_status: toStatus,
+      details: details ? JSON.stringify(details) : null,
+      job_run_id: jobRunId,
+      created_at: createdAt.toISOString()
+    };
+
+    await db.runAsync(`
+      INSERT INTO certificate_events (id, certificate_id, event_type, from_status, to_status, details, job_run_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [row.id, row.certificate_id, row.event_type, row.from_status, row.to_status, row.details, row.job_run_id, row.created_at]);
+
+    const event = formatEvent(row);
+    await webhookService.dispatch(event);
+    return event;
+  }
+
+  /**
+   * List events, newest first
+   * @param {Object} filters - certificateId, eventType, since (ISO date), limit (default 100, max 1000)
+   * @returns {Promise<Array<Object>>} Events, with the certificate's common name when it still exists
+   */
+  async getEvents({ certificateId, eventType, since, limit = 100 } = {}) {
+    const db = getDatabase();
+    const conditions = [];
+    const params = [];
+    if (certificateId) {
+      conditions.push('e.certificate_id = ?');
+      params.push(certificateId);
+    }
+    if (eventType) {
+      conditions.push('e.event_type = ?');
+      params.push(eventType);
+    }
+    if (since) {
+      conditions.push('e.created_at >= ?');
+      params.push(since);
+    }
+    params.push(Math.min(Math.max(parseInt(limit) || 100, 1), 1000));
+
+    const rows = await db.allAsync(`
+      SELECT e.*, c.common_name
+      FROM certificate_events e
+      LEFT JOIN certificates c ON c.id = e.certificate_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY e.created_at DESC
+      LIMIT ?
+    `, params) || [];
+    return rows.map(formatEvent);
+  }
+}
+
+export default new CertificateEventService();
@@ -0,0 +1,198 @@
+/**
+ * Certificate Export Service
+ * Renders a certificate in the formats different consumers expect: PEM and DER for
+ * most tools, a full-chain PEM for nginx/Apache, PKCS#7 for IIS and Java imports and
+ * a PKCS#12 store (certificate, chain and key) for IIS, F5 and Java key stores.
+ * Several certificates can also be packed into one Java truststore or keystore.
+ */
+
+import { X509Certificate } from 'crypto';
+import chainBuilderService from './chainBuilderService.js';
+import { buildPkcs12, buildPkcs12Store, encodePkcs7 } from '../utils/certificateEncoder.js';
+import { writeJavaKeyStore } from '../utils/javaKeyStore.js';
+
+export const EXPORT_FORMATS = ['pem', 'der', 'pkcs7', 'fullchain', 'chain', 'pkcs12'];
+export const KEYSTORE_FORMATS = ['jks', 'pkcs12'];
+
+const pemToDer = (pem) => new X509Certificate(pem).raw;
+
+class CertificateExportService {
+  /**
+   * File name safe for a Content-Disposition header
+   * @param {string} commonName - Certificate common name
+   * @returns {string} Name with wildcards and other unsafe characters replaced
+   */
+  fileBaseName(commonName) {
+    return (commonName || 'certificate').replace(/[^A-Za-z0-9._-]/g, '_');
+  }
+
+  /**
+   * Resolve the issuers of a certificate with the chain builder
+   * @param {string} pem - Certificate
+   * @param {string|null} chainPem - Chain stored with the certificate, tried first
+   * @returns {Promise<Object>} { intermediates: [PEM], root: PEM|null, complete }
+   */
+  async resolveChain(pem, chainPem) {
+    const result = await chainBuilderService.buildChain(pem, { candidates: chainPem ? [chainPem] : [] });
+    const issuers = result.chain.slice(1).map(link => link.pem);
+    // Without trust anchors a complete chain ends at a self-signed root
+    const endsAtRoot = result.complete && issuers.length > 0;
+
+    return {
+      intermediates: endsAtRoot ? issuers.slice(0, -1) : issuers,
+      root: endsAtRoot ? issuers[issuers.length - 1] : null,
+      complete: result.complete
+    };
+  }
+
+  /**
+   * Export a certificate.
+   * fullchain and chain hold the intermediates only (servers must not send the root);
+   * pkcs7 and pkcs12 carry the root too when it is known, so importers can build trust.
+   * @param {Object} certificate - Certificate row (common_name, chain_pem)
+   * @param {string} pem - Certificate PEM to export
+   * @param {Object} options - format, and for pkcs12: privateKeyPem, password and legacy
+   * @returns {Promise<Object>} { body, contentType, filename, chainComplete }
+   */
+  async exportCertificate(certificate, pem, { format = 'pem', privateKeyPem = null, password = null, legacy = false } = {}) {
+    const baseName = this.fileBaseName(certificate.common_name);
+
+    if (format === 'pem') {
+      return { body: pem, contentType: 'application/x-pem-file', filename: `${baseName}.pem` };
+    }
+    if (format === 'der') {
+      return { body: pemToDer(pem), contentType: 'application/pkix-cert', filename: `${baseName}.cer` };
+    }
+
+    const { intermediates, root, complete } = await this.resolveChain(pem, certificate.chain_pem);
+    const withRoot = root ? [...intermediates, root] : intermediates;
+    const joinPem = (pems) => pems.map(block => block.trim()).join('\n') + '\n';
+
+    switch (format) {
+      case 'fullchain':
+        return {
+          body: joinPem([pem, ...intermediates]),
+          contentType: 'application/x-pem-file',
+          filename: `${baseName}.fullchain.pem`,
+          chainComplete: complete
+        };
+      case 'chain':
+        if (intermediates.length === 0) {
+          const error = new Error('No intermediate certificates were found for this certificate');
+          error.statusCode = 404;
+          throw error;
+        }
+        return {
+          body: joinPem(intermediates),
+          contentType: 'application/x-pem-file',
+          filename: `${baseName}.chain.pem`,
+          chainComplete: complete
+        };
+      case 'pkcs7':
+        return {
+          body: encodePkcs7([pem, ...withRoot].map(pemToDer)),
+          contentType: 'application/x-pkcs7-certificates',
+          filename: `${baseName}.p7b`,
+          chainComplete: complete
+        };
+      case 'pkcs12':
+        return {
+          body: buildPkcs12({
+            privateKeyPem,
+            certificates: [pem, ...withRoot].map(pemToDer),
+            friendlyName: certificate.common_name,
+            password,
+            legacy
+          }),
+          contentType: 'application/x-pkcs12',
+          filename: `${baseName}.pfx`,
+          chainComplete: complete
+        };
+      default: {
+        const error = new Error(`Unsupported export format "${format}"; expected one of ${EXPORT_FORMATS.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Unique keystore alias for a certificate: keytool lowercases aliases, so names are
+   * compared case-insensitively and suffixed with -2, -3... on collision
+   * @param {string} commonName - Certificate common name
+   * @param {Set<string>} taken - Aliases already used in the store
+   * @returns {string} Alias
+   */
+  keyStoreAlias(commonName, taken) {
+    const base = this.fileBaseName(commonName).toLowerCase();
+    let alias = base;
+    for (let i = 2; taken.has(alias); i++) {
+      alias = `${base}-${i}`;
+    }
+    taken.add(alias);
+    return alias;
+  }
+
+  /**
+   * Pack certificates into a Java truststore or keystore.
+   * A truststore holds every certificate as a trusted entry. A keystore turns certificates
+   * with a vaulted key into key entries (with their chain) and the rest into trusted entries.
+   * @param {Array<Object>} certificates - Certificate rows (id, common_name, pem_content, chain_pem)
+   * @param {Object} options - kind ('truststore' or 'keystore'), format ('jks' or 'pkcs12'),
+   *   password, legacy (PKCS#12 only), name (file base name) and getPrivateKey(id) for keystores
+   * @returns {Promise<Object>} { body, contentType, filename, entries: [{ alias, certificateId, type }] }
+   */
+  async exportKeyStore(certificates, { kind = 'truststore', format = 'pkcs12', password, legacy = false, name = null, getPrivateKey = null } = {}) {
+    if (!KEYSTORE_FORMATS.includes(format)) {
+      const error = new Error(`Unsupported keystore format "${format}"; expected one of ${KEYSTORE_FORMATS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (certificates.length === 0) {
+      const error = new Error('No certificates to export');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const taken = new Set();
+    const entries = [];
+    for (const certificate of certificates) {
+      const alias = this.keyStoreAlias(certificate.common_name, taken);
+      const privateKeyPem = kind === 'keystore' && getPrivateKey ? await getPrivateKey(certificate.id) : null;
+
+      if (privateKeyPem) {
+        const { intermediates, root } = await this.resolveChain(certificate.pem_content, certificate.chain_pem);
+        const chain = root ? [...intermediates, root] : intermediates;
+        entries.push({
+          alias,
+          certificateId: certificate.id,
+          privateKeyPem,
+          certificates: [certificate.pem_content, ...chain].map(pemToDer)
+        });
+      } else {
+        entries.push({ alias, certificateId: certificate.id, certificates: [pemToDer(certificate.pem_content)] });
+      }
+    }
+
+    const body = format === 'jks'
+      ? writeJavaKeyStore(entries, password)
+      : buildPkcs12Store({
+        entries: entries.map(entry => ({ ...entry, friendlyName: entry.alias, trusted: !entry.privateKeyPem })),
+        password,
+        legacy
+      });
+
+    return {
+      body,
+      contentType: format === 'jks' ? 'application/x-java-keystore' : 'application/x-pkcs12',
+      filename: `${this.fileBaseName(name || kind)}.${format === 'jks' ? 'jks' : 'p12'}`,
+      entries: entries.map(entry => ({
+        alias: entry.alias,
+        certificateId: entry.certificateId,
+        type: entry.privateKeyPem ? 'private-key' : 'trusted-certificate'
+      }))
+    };
+  }
+}
+
+export default new CertificateExportService();
@@ -0,0 +1,902 @@
+/**
+ * Certificate Import Service
+ * Turns parsed certificates into inventory records: checks them against the destination
+ * folder's issuance policy, uploads to storage, inserts the database row, lints the
+ * certificate, vaults any private key and links certificates to their issuers and CSRs.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import gcpCertificateService from './gcpCertificateService.js';
+import privateKeyVaultService from './privateKeyVaultService.js';
+import certificateRequestService from './certificateRequestService.js';
+import certificateLintService from './certificateLintService.js';
+import folderPolicyService from './folderPolicyService.js';
+import expiryThresholdService from './expiryThresholdService.js';
+import certificateEventService from './certificateEventService.js';
+import {
+  isIssuedBy,
+  parseCertificate,
+  parseKeyStore,
+  parsePkcs12,
+  parsePkcs7,
+  parsePemBundle,
+  parseCertificateRequest,
+  parsePrivateKey,
+  splitPemCertificates
+} from '../utils/certificateParser.js';
+
+// Extension columns stored as JSON arrays
+const JSON_COLUMNS = [
+  'key_usage', 'extended_key_usage', 'crl_distribution_points',
+  'ocsp_urls', 'ca_issuers_urls', 'certificate_policies', 'source_details'
+];
+
+// Upload types that are not a single certificate
+const PKCS12_EXTENSIONS = ['.pfx', '.p12'];
+const PKCS7_EXTENSIONS = ['.p7b', '.p7c'];
+const CSR_EXTENSIONS = ['.csr'];
+const PRIVATE_KEY_EXTENSIONS = ['.key'];
+// Java keystores, JKS or PKCS#12, imported alias by alias
+const KEYSTORE_EXTENSIONS = ['.jks', '.keystore', '.truststore', '.ks'];
+
+const getFileExtension = (fileName) => fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
+
+class CertificateImportService {
+  /**
+   * Run one uploaded file through the parse/store pipeline, whatever it holds:
+   * a private key (attached to its certificates), a CSR (pending request), a PKCS#7 or
+   * multi-certificate PEM bundle, a Java keystore, a PKCS#12 container or a single certificate.
+   * @param {Object} file - { buffer, originalname }
+   * @param {Object} options - folderId, userId, password (PKCS#12, keystore or encrypted key),
+   *   keyPassword (keystore keys with their own password), onDuplicate ('reject' or 'attach') for certificates already in the inventory and
+   *   source ({ type, location, details }; defaults to an upload of the file)
+   * @returns {Promise<Object>} Outcome, by type:
+   *   'private-key' { privateKey, certificateIds }, 'certificate-request' { certificateRequest },
+   *   'bundle' { total, created, skipped }, 'keystore' { format, total, created, skipped }, 'duplicate' { existing, attachedToFolder, rejected },
+   *   'certificate' { certificateId }. Certificate outcomes also carry policyViolations, the
+   *   audit-mode findings of the folder's issuance policy (enforce mode throws a 422 instead).
+   */
+  async importFile(file, {
+    folderId = null,
+    userId,
+    password,
+    keyPassword,
+    onDuplicate = 'reject',
+    source = { type: 'upload', location: file.originalname }
+  } = {}) {
+    const extension = getFileExtension(file.originalname);
+
+    if (KEYSTORE_EXTENSIONS.includes(extension)) {
+      return this.importKeyStore(file, { folderId, userId, password, keyPassword, onDuplicate, source });
+    }
+
+    // Private keys are attached to the certificates they belong to, never stored on their own
+    if (PRIVATE_KEY_EXTENSIONS.includes(extension)) {
+      const parsedKey = parsePrivateKey(file.buffer, password, file.originalname);
+      const certificateIds = await privateKeyVaultService.attachPrivateKey(parsedKey, { userId });
+      console.log('[Import] Private key attached to certificates:', certificateIds);
+      return {
+        type: 'private-key',
+        privateKey: {
+          keyAlgorithm: parsedKey.keyAlgorithm,
+          keySize: parsedKey.keySize,
+          keyCurve: parsedKey.keyCurve,
+          publicKeySha256: parsedKey.publicKeySha256
+        },
+        certificateIds
+      };
+    }
+
+    // CSRs go to the pending-requests inventory, not the certificates table
+    if (CSR_EXTENSIONS.includes(extension) || file.buffer.toString('utf8').includes('CERTIFICATE REQUEST-----')) {
+      const requestData = await parseCertificateRequest(file.buffer, file.originalname);
+      const certificateRequest = await certificateRequestService.createRequest(requestData, { folderId, userId });
+      console.log('[Import] Certificate request stored:', certificateRequest.id);
+      return { type: 'certificate-request', certificateRequest };
+    }
+
+    // PKCS#7 and multi-certificate PEM files: every certificate becomes its own record
+    let bundleCertificates = null;
+    if (PKCS7_EXTENSIONS.includes(extension)) {
+      bundleCertificates = await parsePkcs7(file.buffer, file.originalname);
+    } else if (!PKCS12_EXTENSIONS.includes(extension) && splitPemCertificates(file.buffer.toString('utf8')).length > 1) {
+      bundleCertificates = await parsePemBundle(file.buffer, file.originalname);
+    }
+
+    if (bundleCertificates) {
+      console.log('[Import] Certificate bundle unpacked. Certificates:', bundleCertificates.length);
+      const { created, skipped, policyViolations } = await this.importBundle(bundleCertificates, { folderId, userId, onDuplicate, source });
+      console.log('[Import] Bundle import complete. Created:', created.length, 'Skipped:', skipped.length);
+      return { type: 'bundle', total: bundleCertificates.length, created, skipped, policyViolations };
+    }
+
+    let certificateData;
+    let chain = [];
+    let privateKey = null;
+    let storageContent = file.buffer;
+    let certificatePem;
+
+    if (PKCS12_EXTENSIONS.includes(extension)) {
+      // PKCS#12: leaf becomes the record, intermediates its chain, key goes to the vault
+      ({ certificate: certificateData, chain, privateKey } = await parsePkcs12(file.buffer, password, file.originalname));
+      storageContent = Buffer.from([certificateData.pem, ...chain.map(c => c.pem)].join(''));
+      certificatePem = certificateData.pem;
+      console.log('[Import] PKCS#12 unpacked. Chain length:', chain.length, 'Private key:', privateKey ? 'present' : 'absent');
+    } else {
+      certificateData = await parseCertificate(file.buffer, file.originalname);
+    }
+    console.log('[Import] Certificate parsed successfully. CN:', certificateData.commonName);
+
+    // The same certificate is never stored twice: reject, or list the existing record in this folder too
+    const existing = await this.findByFingerprint(certificateData.fingerprintSha256);
+    if (existing) {
+      console.log('[Import] Duplicate of certificate', existing.id, '- onDuplicate:', onDuplicate);
+      if (onDuplicate !== 'attach') {
+        return { type: 'duplicate', existing, attachedToFolder: false, rejected: true, policyViolations: [] };
+      }
+
+      const policyViolations = await folderPolicyService.checkPlacement(folderId, [certificateData]);
+      const attachedToFolder = await this.addToFolder(existing.id, folderId, { userId });
+      if (privateKey && !(await privateKeyVaultService.hasPrivateKey(existing.id))) {
+        await privateKeyVaultService.storePrivateKey(existing.id, privateKey, { userId });
+      }
+      return { type: 'duplicate', existing, attachedToFolder, rejected: false, policyViolations };
+    }
+
+    const policyViolations = await folderPolicyService.checkPlacement(folderId, [certificateData]);
+
+    // Pass raw buffer to GCP service (don't convert to UTF-8 for binary files)
+    const certificateId = await this.createCertificateRecord(certificateData, {
+      folderId,
+      userId,
+      storageContent,
+      certificatePem,
+      chain,
+      privateKey,
+      source
+    });
+    await this.linkIssuers([certificateId]);
+
+    return { type: 'certificate', certificateId, policyViolations };
+  }
+
+  /**
+   * Import a Java keystore: every alias becomes an inventory record, key entries with
+   * their chain and vaulted private key. An alias whose key cannot be recovered (own key
+   * password) is still imported, without its key, and reported with a warning.
+   * @param {Object} file - { buffer, originalname }
+   * @param {Object} options - folderId, userId, password (store), keyPassword, onDuplicate and source
+   * @returns {Promise<Object>} { type: 'keystore', format, total, created: [{ alias, certificateId, warning? }],
+   *   skipped: [{ alias, commonName, existingCertificateId, attachedToFolder, reason }], policyViolations }
+   */
+  async importKeyStore(file, { folderId = null, userId, password, keyPassword, onDuplicate = 'reject', source = null } = {}) {
+    const { format, entries } = await parseKeyStore(file.buffer, password, file.originalname, { keyPassword });
+    console.log(`[Import] ${format.toUpperCase()} keystore unpacked. Aliases:`, entries.length);
+
+    // Every alias that lands in the folder is checked before anything is stored
+    for (const entry of entries) {
+      entry.existing = await this.findByFingerprint(entry.certificate.fingerprintSha256);
+    }
+    const policyViolations = await folderPolicyService.checkPlacement(
+      folderId,
+      entries.filter(entry => !entry.existing || onDuplicate === 'attach').map(entry => entry.certificate)
+    );
+
+    const created = [];
+    const skipped = [];
+
+    for (const { alias, certificate: certificateData, chain, privateKey, error, existing } of entries) {
+      if (existing) {
+        console.log(`[Import] Skipping alias ${alias}: already in inventory as ${existing.id}`);
+        let attachedToFolder = false;
+        if (onDuplicate === 'attach') {
+          attachedToFolder = await this.addToFolder(existing.id, folderId, { userId });
+          if (privateKey && !(await privateKeyVaultService.hasPrivateKey(existing.id))) {
+            await privateKeyVaultService.storePrivateKey(existing.id, privateKey, { userId });
+          }
+        }
+        skipped.push({
+          alias,
+          commonName: certificateData.commonName,
+          existingCertificateId: existing.id,
+          attachedToFolder,
+          reason: 'Certificate already exists in inventory'
+        });
+        continue;
+      }
+
+      const certificateId = await this.createCertificateRecord(certificateData, {
+        folderId,
+        userId,
+        certificatePem: certificateData.pem,
+        chain,
+        privateKey,
+        source: source && { ...source, details: { ...source.details, format, alias } }
+      });
+      created.push(error ? { alias, certificateId, warning: error } : { alias, certificateId });
+    }
+
+    await this.linkIssuers(created.map(entry => entry.certificateId));
+    console.log('[Import] Keystore import complete. Created:', created.length, 'Skipped:', skipped.length);
+
+    return { type: 'keystore', format, total: entries.length, created, skipped, policyViolations };
+  }
+
+  /**
+   * Store one parsed certificate and create its inventory record
+   * @param {Object} certificateData - Output of parseCertificate()
+   * @param {Object} options - folderId, userId, storageContent (raw upload bytes), certificatePem
+   *   (PEM to keep in the database), chain (parsed issuers), privateKey (PEM) and
+   *   source ({ type, location, details } describing where the certificate came from)
+   * @returns {Promise<string>} ID of the new certificate record
+   */
+  async createCertificateRecord(certificateData, {
+    folderId = null,
+    userId,
+    storageContent,
+    certificatePem,
+    chain = [],
+    privateKey = null,
+    source = null
+  } = {}) {
+    const db = getDatabase();
+    const content = storageContent || Buffer.from(certificateData.pem);
+
+    console.log('[Import] Calling GCP service for certificate upload...');
+    const gcpResult = await gcpCertificateService.createCertificate(certificateData, content);
+    console.log('[Import] GCP service upload successful. ID:', gcpResult.id);
+
+    // Prefer the caller's PEM (e.g. the leaf of a container), then the normalized upload
+    const pemContent = certificatePem || gcpResult.normalizedPem || content.toString('utf8');
+
+    const certificateId = uuidv4();
+    const now = new Date().toISOString();
+    // The parser uses the default threshold; the destination folder may set another
+    const status = await expiryThresholdService.calculateStatus({ id: null, folder_id: folderId, valid_to: certificateData.validTo });
+
+    await db.runAsync(`
+      INSERT INTO certificates (
+        id, common_name, issuer, subject, valid_from, valid_to,
+        algorithm, serial_number, status, pem_content, folder_id,
+        uploaded_by, uploaded_at, updated_at, renewal_count, gcp_certificate_name, chain_pem,
+        fingerprint_sha256, subject_key_identifier, authority_key_identifier, public_key_sha256,
+        source_type, source_location, source_details
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      certificateId,
+      certificateData.commonName,
+      certificateData.issuer,
+      certificateData.subject,
+      certificateData.validFrom,
+      certificateData.validTo,
+      certificateData.algorithm,
+      certificateData.serialNumber,
+      status,
+      pemContent,
+      folderId || null,
+      userId,
+      now,
+      now, // Set updated_at same as uploaded_at initially
+      0,   // Initial renewal count is 0
+      gcpResult.gcpCertificateName,
+      chain.length > 0 ? chain.map(c => c.pem).join('') : null,
+      certificateData.fingerprintSha256 || null,
+      certificateData.subjectKeyIdentifier || null,
+      certificateData.authorityKeyIdentifier || null,
+      certificateData.publicKeySha256 || null,
+      source?.type || null,
+      source?.location || null,
+      source?.details ? JSON.stringify(source.details) : null
+    ]);
+    console.log('[Import] Database insert successful');
+
+    await this.saveCertificateDetails(certificateId, certificateData);
+
+    // Lint findings are informational; they never block an import
+    try {
+      await certificateLintService.lintAndStore(certificateId, certificateData);
+    } catch (lintError) {
+      console.warn(`[Import] Could not lint certificate ${certificateId}:`, lintError.message);
+    }
+
+    if (privateKey) {
+      try {
+        await privateKeyVaultService.storePrivateKey(certificateId, privateKey, { userId });
+      } catch (vaultError) {
+        console.error('[Import] Private key vault error:', vaultError);
+        await this.deleteCertificateRecord({ id: certificateId, gcp_certificate_name: gcpResult.gcpCertificateName });
+        throw new Error(`Failed to store private key: ${vaultError.message}`);
+      }
+    }
+
+    await certificateRequestService.linkCertificate(certificateId, certificateData.publicKeySha256);
+
+    await certificateEventService.recordEvent(certificateId, 'uploaded', {
+      toStatus: status,
+      details: {
+        commonName: certificateData.commonName,
+        serialNumber: certificateData.serialNumber,
+        folderId: folderId || null,
+        validTo: certificateData.validTo,
+        source: source?.type || 'upload',
+        userId
+      }
+    });
+
+    return certificateId;
+  }
+
+  /**
+   * Persist the parsed X.509 details (fingerprints, key, extensions, SANs) of a record
+   * @param {string} certificateId - Certificate ID
+   * @param {Object} certificateData - Output of parseCertificate()
+   */
+  async saveCertificateDetails(certificateId, certificateData) {
+    const db = getDatabase();
+    const toJson = value => JSON.stringify(value || []);
+
+    await db.runAsync(`
+      UPDATE certificates SET
+        fingerprint_sha1 = ?, signature_algorithm = ?, key_algorithm = ?, key_size = ?, key_curve = ?,
+        is_ca = ?, path_length = ?, key_usage = ?, extended_key_usage = ?,
+        crl_distribution_points = ?, ocsp_urls = ?, ca_issuers_urls = ?, certificate_policies = ?
+      WHERE id = ?
+    `, [
+      certificateData.fingerprintSha1 || null,
+      certificateData.signatureAlgorithm || null,
+      certificateData.keyAlgorithm || null,
+      certificateData.keySize || null,
+      certificateData.keyCurve || null,
+      certificateData.isCA ? 1 : 0,
+      certificateData.pathLength ?? null,
+      toJson(certificateData.keyUsage),
+      toJson(certificateData.extendedKeyUsage),
+      toJson(certificateData.crlDistributionPoints),
+      toJson(certificateData.ocspUrls),
+      toJson(certificateData.caIssuersUrls),
+      toJson(certificateData.certificatePolicies),
+      certificateId
+    ]);
+
+    await db.runAsync('DELETE FROM certificate_subject_alt_names WHERE certificate_id = ?', [certificateId]);
+    for (const name of certificateData.subjectAltNames || []) {
+      await db.runAsync(
+        'INSERT INTO certificate_subject_alt_names (certificate_id, type, value) VALUES (?, ?, ?)',
+        [certificateId, name.type, name.value]
+      );
+    }
+  }
+
+  /**
+   * Parse and persist X.509 details for a record stored before they were extracted
+   * @param {Object} certificate - Certificate row (needs id and pem_content)
+   * @returns {Promise<boolean>} True if details were backfilled
+   */
+  async backfillCertificateDetails(certificate) {
+    if (!certificate?.pem_content || certificate.fingerprint_sha1) {
+      return false;
+    }
+
+    try {
+      const certificateData = await parseCertificate(Buffer.from(certificate.pem_content), `${certificate.id}.pem`);
+      await this.saveCertificateDetails(certificate.id, certificateData);
+      await getDatabase().runAsync(`
+        UPDATE certificates SET
+          fingerprint_sha256 = COALESCE(fingerprint_sha256, ?),
+          public_key_sha256 = COALESCE(public_key_sha256, ?),
+          subject_key_identifier = COALESCE(subject_key_identifier, ?),
+          authority_key_identifier = COALESCE(authority_key_identifier, ?)
+        WHERE id = ?
+      `, [
+        certificateData.fingerprintSha256,
+        certificateData.publicKeySha256,
+        certificateData.subjectKeyIdentifier,
+        certificateData.authorityKeyIdentifier,
+        certificate.id
+      ]);
+      return true;
+    } catch (error) {
+      console.warn(`[Import] Could not backfill details for certificate ${certificate.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Backfill every record stored before X.509 details were extracted, so lookups by
+   * fingerprint and SAN see them. Runs at startup and again before duplicate checks, SAN
+   * searches and folder exports.
+   * @returns {Promise<number>} Number of records backfilled
+   */
+  async backfillAllCertificateDetails() {
+    const db = getDatabase();
+    const pending = await db.allAsync(
+      'SELECT * FROM certificates WHERE fingerprint_sha1 IS NULL AND pem_content IS NOT NULL'
+    ) || [];
+
+    let backfilled = 0;
+    for (const certificate of pending) {
+      if (await this.backfillCertificateDetails(certificate)) {
+        backfilled++;
+      }
+    }
+    if (backfilled > 0) {
+      console.log(`[Import] Backfilled details of ${backfilled} certificate(s)`);
+    }
+    return backfilled;
+  }
+
+  /**
+   * Shape a certificate row for the API: decode JSON extension columns and flags
+   * @param {Object} certificate - Raw row
+   * @returns {Object} Row for the API
+   */
+  formatCertificate(certificate) {
+    if (!certificate) {
+      return certificate;
+    }
+
+    const formatted = { ...certificate };
+    for (const column of JSON_COLUMNS) {
+      if (typeof formatted[column] === 'string') {
+        try {
+          formatted[column] = JSON.parse(formatted[column]);
+        } catch (error) {
+          formatted[column] = [];
+        }
+      }
+    }
+    if (formatted.is_ca !== undefined && formatted.is_ca !== null) {
+      formatted.is_ca = Boolean(formatted.is_ca);
+    }
+    return formatted;
+  }
+
+  /**
+   * Find an existing inventory record by SHA-256 fingerprint.
+   * Certificates stored before fingerprints were recorded are backfilled first.
+   * @param {string} fingerprintSha256 - Lowercase hex fingerprint
+   * @returns {Promise<Object|undefined>} Matching record (id, common_name, folder_id)
+   */
+  async findByFingerprint(fingerprintSha256) {
+    if (!fingerprintSha256) {
+      return undefined;
+    }
+    await this.backfillAllCertificateDetails();
+    const db = getDatabase();
+    return db.getAsync(
+      'SELECT id, common_name, folder_id FROM certificates WHERE fingerprint_sha256 = ?',
+      [fingerprintSha256]
+    );
+  }
+
+  /**
+   * Import every certificate of a bundle as its own record.
+   * Certificates already in the inventory are skipped (and, with onDuplicate 'attach', added
+   * to the upload's folder); the rest are linked to their issuers.
+   * @param {Array} certificates - Parsed certificates (parseCertificate() output)
+   * @param {Object} options - folderId, userId and source for the new records, onDuplicate ('reject' or 'attach')
+   * @returns {Promise<Object>} { created: [record IDs], skipped: [{ commonName, fingerprintSha256, existingCertificateId, attachedToFolder }],
+   *   policyViolations (audit mode findings; enforce mode rejects the whole bundle) }
+   */
+  async importBundle(certificates, { folderId = null, userId, onDuplicate = 'reject', source = null } = {}) {
+    const created = [];
+    const skipped = [];
+    const unique = [];
+    const seen = new Set();
+
+    for (const certificateData of certificates) {
+      if (!seen.has(certificateData.fingerprintSha256)) {
+        seen.add(certificateData.fingerprintSha256);
+        unique.push({ certificateData, existing: await this.findByFingerprint(certificateData.fingerprintSha256) });
+      }
+    }
+
+    // Every certificate that lands in the folder is checked before anything is stored
+    const policyViolations = await folderPolicyService.checkPlacement(
+      folderId,
+      unique.filter(({ existing }) => !existing || onDuplicate === 'attach').map(({ certificateData }) => certificateData)
+    );
+
+    for (const { certificateData, existing } of unique) {
+      if (existing) {
+        console.log(`[Import] Skipping ${certificateData.commonName}: already in inventory as ${existing.id}`);
+        const attachedToFolder = onDuplicate === 'attach'
+          ? await this.addToFolder(existing.id, folderId, { userId })
+          : false;
+        skipped.push({
+          commonName: certificateData.commonName,
+          fingerprintSha256: certificateData.fingerprintSha256,
+          existingCertificateId: existing.id,
+          attachedToFolder,
+          reason: 'Certificate already exists in inventory'
+        });
+        continue;
+      }
+
+      created.push(await this.createCertificateRecord(certificateData, {
+        folderId,
+        userId,
+        certificatePem: certificateData.pem,
+        source
+      }));
+    }
+
+    await this.linkIssuers(created);
+
+    return { created, skipped, policyViolations };
+  }
+
+  /**
+   * Link certificates to their issuers, in both directions: each certificate gets its
+   * issuer record (if held), and orphaned certificates it signed get linked to it.
+   * Candidates are found by key identifier (AKI -> SKI), falling back to the issuer name
+   * for certificates without identifiers; a link is only made when the issuer's key
+   * verifies the certificate's signature.
+   * @param {Array<string>} certificateIds - Records to link
+   */
+  async linkIssuers(certificateIds) {
+    const db = getDatabase();
+
+    for (const certificateId of certificateIds) {
+      const certificate = await db.getAsync(
+        `SELECT id, subject, issuer, subject_key_identifier, authority_key_identifier, pem_content
+         FROM certificates WHERE id = ?`,
+        [certificateId]
+      );
+      if (!certificate?.pem_content) {
+        continue;
+      }
+
+      if (!isIssuedBy(certificate.pem_content, certificate.pem_content)) {
+        const candidates = await db.allAsync(
+          'SELECT id, pem_content FROM certificates WHERE (subject_key_identifier = ? OR subject = ?) AND id != ?',
+          [certificate.authority_key_identifier, certificate.issuer, certificate.id]
+        ) || [];
+        const issuer = candidates.find(candidate => isIssuedBy(certificate.pem_content, candidate.pem_content));
+        if (issuer) {
+          await db.runAsync('UPDATE certificates SET issuer_certificate_id = ? WHERE id = ?', [issuer.id, certificate.id]);
+        }
+      }
+
+      const children = await db.allAsync(
+        `SELECT id, pem_content FROM certificates
+         WHERE (authority_key_identifier = ? OR issuer = ?) AND issuer_certificate_id IS NULL AND id != ?`,
+        [certificate.subject_key_identifier, certificate.subject, certificate.id]
+      ) || [];
+      for (const child of children) {
+        if (isIssuedBy(child.pem_content, certificate.pem_content)) {
+          await db.runAsync('UPDATE certificates SET issuer_certificate_id = ? WHERE id = ?', [certificate.id, child.id]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Load a certificate record the way the API returns it, with its SANs.
+   * Records stored before X.509 details were extracted are backfilled on first read.
+   * @param {string} certificateId - Certificate ID
+   * @returns {Promise<Object|undefined>} Certificate with folder and uploader names
+   */
+  async getCertificateRecord(certificateId) {
+    const db = getDatabase();
+    const query = `
+      SELECT c.*, f.name as folder_name, u.username as uploaded_by_username,
+             (SELECT COUNT(*) FROM certificate_private_keys k WHERE k.certificate_id = c.id) as has_private_key
+      FROM certificates c
+      LEFT JOIN folders f ON c.folder_id = f.id
+      LEFT JOIN users u ON c.uploaded_by = u.id
+      WHERE c.id = ?
+    `;
+
+    let certificate = await db.getAsync(query, [certificateId]);
+    if (!certificate) {
+      return undefined;
+    }
+
+    if (await this.backfillCertificateDetails(certificate)) {
+      certificate = await db.getAsync(query, [certificateId]);
+    }
+
+    const subjectAltNames = await db.allAsync(
+      'SELECT type, value FROM certificate_subject_alt_names WHERE certificate_id = ? ORDER BY id',
+      [certificateId]
+    );
+
+    const additionalFolders = await db.allAsync(
+      `SELECT f.id, f.name FROM certificate_folders cf
+       JOIN folders f ON cf.folder_id = f.id
+       WHERE cf.certificate_id = ? ORDER BY cf.added_at`,
+      [certificateId]
+    );
+
+    return {
+      ...this.formatCertificate(certificate),
+      subject_alt_names: subjectAltNames || [],
+      additional_folders: additionalFolders || []
+    };
+  }
+
+  /**
+   * List an existing record in an additional folder
+   * @param {string} certificateId - Certificate ID
+   * @param {string} folderId - Folder to add the certificate to
+   * @param {Object} options - Optional userId of the user adding it
+   * @returns {Promise<boolean>} True if the folder was added, false if already listed there
+   */
+  async addToFolder(certificateId, folderId, { userId = null } = {}) {
+    if (!folderId) {
+      return false;
+    }
+
+    const db = getDatabase();
+    const certificate = await db.getAsync('SELECT folder_id FROM certificates WHERE id = ?', [certificateId]);
+    if (!certificate || certificate.folder_id === folderId) {
+      return false;
+    }
+
+    const existing = await db.getAsync(
+      'SELECT certificate_id FROM certificate_folders WHERE certificate_id = ? AND folder_id = ?',
+      [certificateId, folderId]
+    );
+    if (existing) {
+      return false;
+    }
+
+    await db.runAsync(
+      'INSERT INTO certificate_folders (certificate_id, folder_id, added_by, added_at) VALUES (?, ?, ?, ?)',
+      [certificateId, folderId, userId, new Date().toISOString()]
+    );
+    console.log(`[Import] Certificate ${certificateId} added to folder ${folderId}`);
+    return true;
+  }
+
+  /**
+   * Find certificates stored more than once (same SHA-256 fingerprint).
+   * Records stored before fingerprints were recorded are backfilled first.
+   * @returns {Promise<Array>} [{ fingerprintSha256, commonName, certificates: [records, oldest first] }]
+   */
+  async findDuplicates() {
+    const db = getDatabase();
+
+    await this.backfillAllCertificateDetails();
+
+    const groups = await db.allAsync(`
+      SELECT fingerprint_sha256, COUNT(*) as count FROM certificates
+      WHERE fingerprint_sha256 IS NOT NULL
+      GROUP BY fingerprint_sha256
+      HAVING COUNT(*) > 1
+    `) || [];
+
+    const duplicates = [];
+    for (const group of groups) {
+      const certificates = await db.allAsync(`
+        SELECT c.id, c.common_name, c.folder_id, f.name as folder_name, c.uploaded_at,
+               u.username as uploaded_by_username,
+               (SELECT COUNT(*) FROM certificate_private_keys k WHERE k.certificate_id = c.id) as has_private_key
+        FROM certificates c
+        LEFT JOIN folders f ON c.folder_id = f.id
+        LEFT JOIN users u ON c.uploaded_by = u.id
+        WHERE c.fingerprint_sha256 = ?
+        ORDER BY c.uploaded_at ASC
+      `, [group.fingerprint_sha256]);
+
+      duplicates.push({
+        fingerprintSha256: group.fingerprint_sha256,
+        commonName: certificates[0]?.common_name,
+        certificates
+      });
+    }
+
+    return duplicates;
+  }
+
+  /**
+   * Merge every record of a fingerprint into one. The kept record (the oldest unless
+   * keepId is given) takes over the others' folders, private key, issuer links, CSR links
+   * and internal CA; the other records are then deleted.
+   * @param {string} fingerprintSha256 - Fingerprint shared by the duplicates
+   * @param {Object} options - keepId (record to keep) and userId of the admin merging
+   * @returns {Promise<Object>} { certificateId, mergedCertificateIds }
+   */
+  async mergeDuplicates(fingerprintSha256, { keepId = null, userId = null } = {}) {
+    const db = getDatabase();
+    const records = await db.allAsync(
+      'SELECT * FROM certificates WHERE fingerprint_sha256 = ? ORDER BY uploaded_at ASC',
+      [fingerprintSha256]
+    ) || [];
+
+    if (records.length < 2) {
+      const error = new Error('No duplicate certificates found for this fingerprint');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const kept = keepId ? records.find(record => record.id === keepId) : records[0];
+    if (!kept) {
+      const error = new Error('The certificate to keep is not one of the duplicates');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const mergedCertificateIds = [];
+    for (const duplicate of records.filter(record => record.id !== kept.id)) {
+      await this.addToFolder(kept.id, duplicate.folder_id, { userId });
+      const folders = await db.allAsync(
+        'SELECT folder_id FROM certificate_folders WHERE certificate_id = ?',
+        [duplicate.id]
+      ) || [];
+      for (const folder of folders) {
+        await this.addToFolder(kept.id, folder.folder_id, { userId });
+      }
+
+      if (!(await privateKeyVaultService.hasPrivateKey(kept.id))) {
+        const privateKey = await privateKeyVaultService.getPrivateKey(duplicate.id);
+        if (privateKey) {
+          await privateKeyVaultService.storePrivateKey(kept.id, privateKey, { userId });
+        }
+      }
+
+      await db.runAsync('UPDATE certificates SET issuer_certificate_id = ? WHERE issuer_certificate_id = ?', [kept.id, duplicate.id]);
+      await db.runAsync('UPDATE certificate_requests SET certificate_id = ? WHERE certificate_id = ?', [kept.id, duplicate.id]);
+      await db.runAsync('UPDATE certificate_authorities SET certificate_id = ? WHERE certificate_id = ?', [kept.id, duplicate.id]);
+      if (!kept.certificate_request_id && duplicate.certificate_request_id) {
+        kept.certificate_request_id = duplicate.certificate_request_id;
+        await db.runAsync('UPDATE certificates SET certificate_request_id = ? WHERE id = ?', [kept.certificate_request_id, kept.id]);
+      }
+
+      await this.deleteCertificateRecord(duplicate);
+      mergedCertificateIds.push(duplicate.id);
+    }
+
+    console.log(`[Import] Merged ${mergedCertificateIds.length} duplicate(s) into certificate ${kept.id}`);
+    return { certificateId: kept.id, mergedCertificateIds };
+  }
+
+  /**
+   * Replace the certificate held in a record by its renewal, as the record's next version.
+   * The replaced certificate is kept in certificate_versions, with its private key when the
+   * renewal comes with a new one.
+   * @param {Object} certificate - Current certificate row
+   * @param {Object} certificateData - Output of parseCertificate() for the renewed certificate
+   * @param {Object} options - chain (parsed issuers), privateKey (PEM of a new key; omit when
+   *   the vaulted key was reused) and userId
+   * @returns {Promise<number>} Version number the record now holds (1 is the first certificate)
+   */
+  async storeCertificateVersion(certificate, certificateData, { chain = [], privateKey = null, userId = null } = {}) {
+    const db = getDatabase();
+    const replacedVersion = (certificate.renewal_count || 0) + 1;
+    const now = new Date().toISOString();
+
+    const previousKey = privateKey ? await privateKeyVaultService.getPrivateKey(certificate.id) : null;
+    await db.runAsync(`
+      INSERT INTO certificate_versions (
+        id, certificate_id, version, common_name, issuer, serial_number, valid_from, valid_to,
+        fingerprint_sha256, public_key_sha256, pem_content, chain_pem, encrypted_private_key, replaced_at, replaced_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      uuidv4(), certificate.id, replacedVersion, certificate.common_name, certificate.issuer, certificate.serial_number,
+      certificate.valid_from, certificate.valid_to, certificate.fingerprint_sha256 || null, certificate.public_key_sha256 || null,
+      certificate.pem_content, certificate.chain_pem || null,
+      previousKey ? privateKeyVaultService.encrypt(previousKey) : null,
+      now, userId
+    ]);
+
+    // The certificate is already issued; keep it even if Cloud Storage cannot take it
+    let gcpCertificateName = certificate.gcp_certificate_name;
+    try {
+      const gcpResult = await gcpCertificateService.createCertificate(certificateData, Buffer.from(certificateData.pem));
+      gcpCertificateName = gcpResult.gcpCertificateName;
+      if (certificate.gcp_certificate_name) {
+        await gcpCertificateService.deleteCertificate(certificate.gcp_certificate_name);
+      }
+    } catch (gcpError) {
+      console.warn(`[Import] Could not store version ${replacedVersion + 1} of certificate ${certificate.id} in GCP:`, gcpError.message);
+    }
+
+    const status = await expiryThresholdService.calculateStatus({ id: certificate.id, folder_id: certificate.folder_id, valid_to: certificateData.validTo });
+    await db.runAsync(`
+      UPDATE certificates SET
+        common_name = ?, issuer = ?, subject = ?, valid_from = ?, valid_to = ?, algorithm = ?, serial_number = ?,
+        status = ?, pem_content = ?, chain_pem = ?, gcp_certificate_name = ?, updated_at = ?, renewal_count = ?,
+        fingerprint_sha256 = ?, subject_key_identifier = ?, authority_key_identifier = ?, public_key_sha256 = ?,
+        issuer_certificate_id = NULL, revocation_status = NULL, revocation_reason = NULL, revoked_at = NULL,
+        revocation_source = NULL, revocation_checked_at = NULL, revocation_error = NULL
+      WHERE id = ?
+    `, [
+      certificateData.commonName,
+      certificateData.issuer,
+      certificateData.subject,
+      certificateData.validFrom,
+      certificateData.validTo,
+      certificateData.algorithm,
+      certificateData.serialNumber,
+      status,
+      certificateData.pem,
+      chain.length > 0 ? chain.map(c => c.pem).join('') : null,
+      gcpCertificateName,
+      now,
+      replacedVersion,
+      certificateData.fingerprintSha256 || null,
+      certificateData.subjectKeyIdentifier || null,
+      certificateData.authorityKeyIdentifier || null,
+      certificateData.publicKeySha256 || null,
+      certificate.id
+    ]);
+
+    await this.saveCertificateDetails(certificate.id, certificateData);
+
+    try {
+      await certificateLintService.lintAndStore(certificate.id, certificateData);
+    } catch (lintError) {
+      console.warn(`[Import] Could not lint certificate ${certificate.id}:`, lintError.message);
+    }
+
+    if (privateKey) {
+      await privateKeyVaultService.storePrivateKey(certificate.id, privateKey, { userId });
+    }
+
+    await this.linkIssuers([certificate.id]);
+    await certificateRequestService.linkCertificate(certificate.id, certificateData.publicKeySha256);
+
+    return replacedVersion + 1;
+  }
+
+  /**
+   * Certificates a record held before its current one
+   * @param {string} certificateId - Certificate ID
+   * @returns {Promise<Array<Object>>} Versions, newest first (without their keys)
+   */
+  async getCertificateVersions(certificateId) {
+    const db = getDatabase();
+    const versions = await db.allAsync(`
+      SELECT id, version, common_name, issuer, serial_number, valid_from, valid_to, fingerprint_sha256,
+        public_key_sha256, pem_content, chain_pem, replaced_at, replaced_by,
+        CASE WHEN encrypted_private_key IS NULL THEN 0 ELSE 1 END AS has_private_key
+      FROM certificate_versions
+      WHERE certificate_id = ?
+      ORDER BY version DESC
+    `, [certificateId]) || [];
+    return versions.map(version => ({ ...version, has_private_key: Boolean(version.has_private_key) }));
+  }
+
+  /**
+   * Delete a certificate record with its stored object, vaulted key, SANs and folder links.
+   * Certificates it issued and requests it answered are kept, without the link to it. The
+   * certificate of an internal CA is refused while the CA exists.
+   * @param {Object} certificate - Certificate row (needs id and gcp_certificate_name)
+   */
+  async deleteCertificateRecord(certificate) {
+    const db = getDatabase();
+
+    const authority = await db.getAsync('SELECT name FROM certificate_authorities WHERE certificate_id = ?', [certificate.id]);
+    if (authority) {
+      const error = new Error(`This is the certificate of the internal CA "${authority.name}"; delete the CA first`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (certificate.gcp_certificate_name) {
+      try {
+        await gcpCertificateService.deleteCertificate(certificate.gcp_certificate_name);
+      } catch (gcpError) {
+        console.warn('Failed to delete certificate from GCP:', gcpError);
+      }
+    }
+
+    await privateKeyVaultService.deletePrivateKey(certificate.id);
+
+    await db.runAsync('DELETE FROM certificate_subject_alt_names WHERE certificate_id = ?', [certificate.id]);
+    await db.runAsync('DELETE FROM certificate_folders WHERE certificate_id = ?', [certificate.id]);
+    await db.runAsync('DELETE FROM certificate_lint_results WHERE certificate_id = ?', [certificate.id]);
+    await db.runAsync("DELETE FROM expiry_threshold_overrides WHERE scope = 'certificate' AND scope_id = ?", [certificate.id]);
+    await db.runAsync('DELETE FROM certificate_versions WHERE certificate_id = ?', [certificate.id]);
+    await db.runAsync('DELETE FROM acme_orders WHERE certificate_id = ?', [certificate.id]);
+    await db.runAsync('UPDATE certificates SET issuer_certificate_id = NULL WHERE issuer_certificate_id = ?', [certificate.id]);
+    await db.runAsync('UPDATE certificate_requests SET certificate_id = NULL WHERE certificate_id = ?', [certificate.id]);
+    await db.runAsync('UPDATE certificate_requests SET renewal_of = NULL WHERE renewal_of = ?', [certificate.id]);
+    await db.runAsync('DELETE FROM certificates WHERE id = ?', [certificate.id]);
+  }
+}
+
+export default new CertificateImportService();
@@ -0,0 +1,81 @@
+/**
+ * Certificate Lint Service
+ * Runs the Baseline Requirements linter on certificates and keeps the latest result of
+ * each one, so the inventory can show which certificates a public CA would not issue.
+ */
+
+import { getDatabase } from '../database/flexible-init.js';
+import { parseCertificate } from '../utils/certificateParser.js';
+import { lintCertificate } from '../utils/certificateLinter.js';
+
+class CertificateLintService {
+  /**
+   * Lint a certificate and store the result, replacing the previous run
+   * @param {string} certificateId - Certificate ID
+   * @param {Object} certificateData - parseCertificate() output
+   * @returns {Promise<Object>} Lint result (see lintCertificate)
+   */
+  async lintAndStore(certificateId, certificateData) {
+    const db = getDatabase();
+    const result = lintCertificate(certificateData);
+
+    await db.runAsync('DELETE FROM certificate_lint_results WHERE certificate_id = ?', [certificateId]);
+    await db.runAsync(`
+      INSERT INTO certificate_lint_results (
+        certificate_id, linter_version, error_count, warning_count, passed_count, findings, linted_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      certificateId,
+      result.linterVersion,
+      result.summary.errors,
+      result.summary.warnings,
+      result.summary.passed,
+      JSON.stringify(result.findings),
+      result.lintedAt
+    ]);
+
+    if (result.findings.length > 0) {
+      console.log(`[Lint] Certificate ${certificateId}: ${result.summary.errors} error(s), ${result.summary.warnings} warning(s)`);
+    }
+    return result;
+  }
+
+  /**
+   * Lint a stored certificate record on demand
+   * @param {Object} certificate - Certificate row (id, pem_content)
+   * @returns {Promise<Object>} { certificateId, ...lint result }
+   */
+  async lintRecord(certificate) {
+    const certificateData = await parseCertificate(Buffer.from(certificate.pem_content), `${certificate.id}.pem`);
+    return { certificateId: certificate.id, ...(await this.lintAndStore(certificate.id, certificateData)) };
+  }
+
+  /**
+   * Latest stored lint result of a certificate
+   * @param {string} certificateId - Certificate ID
+   * @returns {Promise<Object|null>} { certificateId, linterVersion, lintedAt, summary, findings } or null if never linted
+   */
+  async getLintResult(certificateId) {
+    const db = getDatabase();
+    const row = await db.getAsync('SELECT * FROM certificate_lint_results WHERE certificate_id = ?', [certificateId]);
+    if (!row) {
+      return null;
+    }
+
+    let findings = [];
+    try {
+      findings = JSON.parse(row.findings);
+    } catch (error) {
+      console.warn(`[Lint] Unreadable findings stored for certificate ${certificateId}`);
+    }
+    return {
+      certificateId,
+      linterVersion: row.linter_version,
+      lintedAt: row.linted_at,
+      summary: { errors: row.error_count, warnings: row.warning_count, passed: row.passed_count },
+      findings
+    };
+  }
+}
+
+export default new CertificateLintService();
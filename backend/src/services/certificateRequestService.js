@@ -0,0 +1,286 @@
+/**
+ * Certificate Request Service
+ * Keeps the inventory of pending certificate signing requests and links
+ * them to the certificates issued for them. Generates key pairs and CSRs on
+ * request; the generated key stays sealed with the request until its
+ * certificate is stored, and then moves to that certificate.
+ */
+
+import * as x509 from '@peculiar/x509';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import privateKeyVaultService from './privateKeyVaultService.js';
+import { generatePrivateKey, createCsr, keyTypeOfCertificate } from '../utils/csrGenerator.js';
+import { parseCertificate, parseCertificateRequest } from '../utils/certificateParser.js';
+
+const DEFAULT_KEY_TYPE = 'ec-p256';
+
+const withStatus = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+class CertificateRequestService {
+  /**
+   * Store a parsed CSR as a pending request
+   * @param {Object} requestData - Output of parseCertificateRequest()
+   * @param {Object} options - folderId and userId of the uploader; privateKey (PEM) of a
+   *   generated request, and renewalOf, the certificate a renewal CSR was generated for
+   * @returns {Promise<Object>} The stored request
+   */
+  async createRequest(requestData, { folderId = null, userId = null, privateKey = null, renewalOf = null } = {}) {
+    const db = getDatabase();
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    const { keyReference, encryptedKey } = privateKey
+      ? await privateKeyVaultService.sealSecret(`certificate-request-key-${id}`, privateKey, {
+        type: 'certificate-request-private-key',
+        certificateRequestId: id,
+        description: `Private key for certificate request ${id}`
+      })
+      : { keyReference: null, encryptedKey: null };
+
+    try {
+      await db.runAsync(`
+        INSERT INTO certificate_requests (
+          id, common_name, subject, subject_alt_names, key_algorithm, key_size, key_curve,
+          signature_algorithm, signature_valid, public_key_sha256, pem_content, status,
+          folder_id, uploaded_by, uploaded_at, updated_at, key_reference, encrypted_key, renewal_of
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        id,
+        requestData.commonName,
+        requestData.subject,
+        JSON.stringify(requestData.subjectAltNames || []),
+        requestData.keyAlgorithm,
+        requestData.keySize,
+        requestData.keyCurve,
+        requestData.signatureAlgorithm,
+        requestData.signatureValid ? 1 : 0,
+        requestData.publicKeySha256,
+        requestData.pem,
+        'PENDING',
+        folderId || null,
+        userId,
+        now,
+        now,
+        keyReference,
+        encryptedKey,
+        renewalOf
+      ]);
+    } catch (error) {
+      await privateKeyVaultService.deleteSecret(keyReference);
+      throw error;
+    }
+
+    console.log(`[CSR] Stored certificate request ${id} for ${requestData.commonName}`);
+    return this.getRequest(id);
+  }
+
+  /**
+   * Generate a key pair and a CSR for it, and store the CSR as a pending request with the key
+   * sealed alongside. A renewal CSR (certificateId) copies the subject and SANs of that
+   * inventory certificate, and by default its key type and folder.
+   * @param {Object} fields - subject, subjectAltNames, keyType, keyUsage, extendedKeyUsage,
+   *   folderId, or certificateId for a renewal
+   * @param {Object} options - userId of the requester
+   * @returns {Promise<Object>} The stored request, with the CSR in pem_content
+   */
+  async generateRequest(fields, { userId = null } = {}) {
+    const db = getDatabase();
+    let subject = fields.subject || {};
+    let subjectAltNames = fields.subjectAltNames || [];
+    let keyType = fields.keyType;
+    let folderId = fields.folderId;
+
+    if (fields.certificateId) {
+      const certificate = await db.getAsync('SELECT * FROM certificates WHERE id = ?', [fields.certificateId]);
+      if (!certificate) {
+        throw withStatus('Certificate not found', 404);
+      }
+      // Names come from the certificate itself: older records have no SAN rows yet
+      try {
+        subject = new x509.X509Certificate(certificate.pem_content).subjectName;
+        ({ subjectAltNames } = await parseCertificate(Buffer.from(certificate.pem_content), `${certificate.id}.pem`));
+      } catch (error) {
+        throw withStatus('The certificate\'s PEM is not held or cannot be read, so no renewal CSR can be generated from it', 422);
+      }
+      keyType = keyType || keyTypeOfCertificate(certificate);
+      folderId = folderId === undefined ? certificate.folder_id : folderId;
+    } else if (!subject.commonName && subjectAltNames.length === 0) {
+      throw withStatus('A CSR needs a common name or at least one subject alternative name', 400);
+    }
+
+    if (folderId && !(await db.getAsync('SELECT id FROM folders WHERE id = ?', [folderId]))) {
+      throw withStatus('Folder not found', 404);
+    }
+
+    keyType = keyType || DEFAULT_KEY_TYPE;
+    const privateKey = await generatePrivateKey(keyType);
+    const csr = await createCsr({
+      privateKeyPem: privateKey,
+      subject,
+      subjectAltNames,
+      keyUsage: fields.keyUsage || [],
+      extendedKeyUsage: fields.extendedKeyUsage || []
+    });
+    const requestData = await parseCertificateRequest(Buffer.from(csr.pem), 'generated.csr');
+    console.log(`[CSR] Generated ${keyType} key pair for ${requestData.commonName}${fields.certificateId ? ` (renewal of ${fields.certificateId})` : ''}`);
+
+    return this.createRequest(requestData, {
+      folderId,
+      userId,
+      privateKey,
+      renewalOf: fields.certificateId || null
+    });
+  }
+
+  /**
+   * Load a request with its SANs decoded
+   * @param {string} id - Request ID
+   * @returns {Promise<Object|undefined>} Request row
+   */
+  async getRequest(id) {
+    const db = getDatabase();
+    const request = await db.getAsync(`
+      SELECT r.*, f.name as folder_name, u.username as uploaded_by_username
+      FROM certificate_requests r
+      LEFT JOIN folders f ON r.folder_id = f.id
+      LEFT JOIN users u ON r.uploaded_by = u.id
+      WHERE r.id = ?
+    `, [id]);
+    return request ? this.formatRequest(request) : undefined;
+  }
+
+  /**
+   * List requests, newest first
+   * @param {Object} filters - Optional status and folderId
+   * @returns {Promise<Array>} Request rows
+   */
+  async listRequests({ status, folderId } = {}) {
+    const db = getDatabase();
+    let query = `
+      SELECT r.*, f.name as folder_name, u.username as uploaded_by_username
+      FROM certificate_requests r
+      LEFT JOIN folders f ON r.folder_id = f.id
+      LEFT JOIN users u ON r.uploaded_by = u.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' AND r.status = ?';
+      params.push(status);
+    }
+
+    if (folderId) {
+      query += ' AND r.folder_id = ?';
+      params.push(folderId);
+    }
+
+    query += ' ORDER BY r.uploaded_at DESC';
+
+    const requests = await db.allAsync(query, params);
+    return requests.map(request => this.formatRequest(request));
+  }
+
+  /**
+   * Link a newly stored certificate to the pending request for the same key pair
+   * @param {string} certificateId - Certificate ID
+   * @param {string} publicKeySha256 - Fingerprint of the certificate's public key
+   * @returns {Promise<string|null>} ID of the linked request, if any
+   */
+  async linkCertificate(certificateId, publicKeySha256) {
+    if (!publicKeySha256) {
+      return null;
+    }
+
+    const db = getDatabase();
+    const request = await db.getAsync(
+      `SELECT id, key_reference, encrypted_key FROM certificate_requests
+       WHERE public_key_sha256 = ? AND status = 'PENDING'
+       ORDER BY uploaded_at DESC`,
+      [publicKeySha256]
+    );
+
+    if (!request) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    await db.runAsync(
+      'UPDATE certificate_requests SET status = ?, certificate_id = ?, updated_at = ? WHERE id = ?',
+      ['ISSUED', certificateId, now, request.id]
+    );
+    await db.runAsync(
+      'UPDATE certificates SET certificate_request_id = ? WHERE id = ?',
+      [request.id, certificateId]
+    );
+
+    if (request.key_reference || request.encrypted_key) {
+      await this.moveKeyToCertificate(request, certificateId);
+    }
+
+    console.log(`[CSR] Certificate ${certificateId} issued for request ${request.id}`);
+    return request.id;
+  }
+
+  /**
+   * Hand the key generated with a request to the certificate issued for it, unless the
+   * certificate came with a key of its own. If that fails the key stays with the request.
+   * @param {Object} request - Request row with key_reference and encrypted_key
+   * @param {string} certificateId - Certificate ID
+   */
+  async moveKeyToCertificate(request, certificateId) {
+    const db = getDatabase();
+    try {
+      const held = await db.getAsync('SELECT id FROM certificate_private_keys WHERE certificate_id = ?', [certificateId]);
+      if (!held) {
+        const privateKey = await privateKeyVaultService.openSecret({
+          keyReference: request.key_reference,
+          encryptedKey: request.encrypted_key
+        });
+        await privateKeyVaultService.storePrivateKey(certificateId, privateKey);
+      }
+      await privateKeyVaultService.deleteSecret(request.key_reference);
+      await db.runAsync(
+        'UPDATE certificate_requests SET key_reference = NULL, encrypted_key = NULL WHERE id = ?',
+        [request.id]
+      );
+    } catch (error) {
+      console.error(`[CSR] Could not move the key of request ${request.id} to certificate ${certificateId}:`, error.message);
+    }
+  }
+
+  /**
+   * Delete a request
+   * @param {string} id - Request ID
+   */
+  async deleteRequest(id) {
+    const db = getDatabase();
+    const request = await db.getAsync('SELECT key_reference FROM certificate_requests WHERE id = ?', [id]);
+    await privateKeyVaultService.deleteSecret(request?.key_reference);
+    await db.runAsync('UPDATE certificates SET certificate_request_id = NULL WHERE certificate_request_id = ?', [id]);
+    await db.runAsync('DELETE FROM certificate_requests WHERE id = ?', [id]);
+  }
+
+  /**
+   * Decode stored JSON/boolean columns, and leave out the sealed key
+   * @param {Object} request - Raw row
+   * @returns {Object} Row for the API
+   */
+  formatRequest({ key_reference: keyReference, encrypted_key: encryptedKey, ...request }) {
+    let subjectAltNames = [];
+    try {
+      subjectAltNames = JSON.parse(request.subject_alt_names || '[]');
+    } catch (error) {
+      console.warn(`[CSR] Unreadable SANs on request ${request.id}`);
+    }
+    return {
+      ...request,
+      subject_alt_names: subjectAltNames,
+      signature_valid: Boolean(request.signature_valid),
+      has_private_key: Boolean(keyReference || encryptedKey)
+    };
+  }
+}
+
+export default new CertificateRequestService();
@@ -0,0 +1,125 @@
+/**
+ * Certificate Stats Service
+ * Certificate counts and lists behind the dashboard statistics (/api/metadata/stats) and the
+ * expiry digests, for the whole inventory or only the certificates in some folders. A
+ * certificate is in a folder when it is filed there or linked to it.
+ */
+
+import { getDatabase } from '../database/flexible-init.js';
+
+/**
+ * WHERE condition limiting certificates (alias c) to some folders
+ * @param {Array<string>|null} folderIds - Folder IDs; null or empty for every certificate
+ * @returns {Object} { sql, params }; sql is '1 = 1' without folders
+ */
+export const folderScope = (folderIds) => {
+  if (!folderIds || folderIds.length === 0) {
+    return { sql: '1 = 1', params: [] };
+  }
+  const placeholders = folderIds.map(() => '?').join(', ');
+  return {
+    sql: `(c.folder_id IN (${placeholders}) OR EXISTS (
+      SELECT 1 FROM certificate_folders cf WHERE cf.certificate_id = c.id AND cf.folder_id IN (${placeholders})
+    ))`,
+    params: [...folderIds, ...folderIds]
+  };
+};
+
+const LIST_COLUMNS = `
+  SELECT c.id, c.common_name, c.serial_number, c.issuer, c.valid_to, c.status, c.uploaded_at,
+    c.folder_id, f.name AS folder_name
+  FROM certificates c
+  LEFT JOIN folders f ON f.id = c.folder_id
+`;
+
+class CertificateStatsService {
+  /**
+   * Certificate counts by status, the status breakdown and the monthly upload trend
+   * @param {Object} options - folderIds to count only the certificates in those folders
+   * @returns {Promise<Object>} { total_certificates, valid_certificates, expired_certificates,
+   *   expiring_soon_certificates, statusBreakdown: [{ status, count }], monthlyTrend: [{ month, count }] }
+   */
+  async getStats({ folderIds = null } = {}) {
+    const db = getDatabase();
+    const scope = folderScope(folderIds);
+
+    const counts = await db.getAsync(`
+      SELECT
+        COUNT(*) as total_certificates,
+        COALESCE(SUM(CASE WHEN c.status = 'VALID' THEN 1 ELSE 0 END), 0) as valid_certificates,
+        COALESCE(SUM(CASE WHEN c.status = 'EXPIRED' THEN 1 ELSE 0 END), 0) as expired_certificates,
+        COALESCE(SUM(CASE WHEN c.status = 'EXPIRING_SOON' THEN 1 ELSE 0 END), 0) as expiring_soon_certificates
+      FROM certificates c
+      WHERE ${scope.sql}
+    `, scope.params);
+
+    // Certificates by status for the chart
+    const statusBreakdown = await db.allAsync(`
+      SELECT c.status, COUNT(*) as count
+      FROM certificates c
+      WHERE ${scope.sql}
+      GROUP BY c.status
+    `, scope.params);
+
+    // Certificates by month for the trend
+    const monthlyTrend = await db.allAsync(`
+      SELECT
+        strftime('%Y-%m', c.uploaded_at) as month,
+        COUNT(*) as count
+      FROM certificates c
+      WHERE c.uploaded_at >= date('now', '-12 months') AND ${scope.sql}
+      GROUP BY month
+      ORDER BY month
+    `, scope.params);
+
+    return { ...counts, statusBreakdown, monthlyTrend };
+  }
+
+  /**
+   * Certificates expiring between now and a number of days from now (revoked ones left out)
+   * @param {Object} options - folderIds, now and days
+   * @returns {Promise<Array<Object>>} Certificate rows with folder_name, soonest first
+   */
+  async getExpiring({ folderIds = null, now = new Date(), days }) {
+    const db = getDatabase();
+    const scope = folderScope(folderIds);
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    return await db.allAsync(`
+      ${LIST_COLUMNS}
+      WHERE c.valid_to > ? AND c.valid_to <= ? AND c.status != 'REVOKED' AND ${scope.sql}
+      ORDER BY c.valid_to
+    `, [now.toISOString(), until.toISOString(), ...scope.params]) || [];
+  }
+
+  /**
+   * Certificates that expired in a period (revoked ones left out)
+   * @param {Object} options - folderIds, since and now
+   * @returns {Promise<Array<Object>>} Certificate rows with folder_name, most recent first
+   */
+  async getExpiredBetween({ folderIds = null, since, now = new Date() }) {
+    const db = getDatabase();
+    const scope = folderScope(folderIds);
+    return await db.allAsync(`
+      ${LIST_COLUMNS}
+      WHERE c.valid_to > ? AND c.valid_to <= ? AND c.status != 'REVOKED' AND ${scope.sql}
+      ORDER BY c.valid_to DESC
+    `, [since.toISOString(), now.toISOString(), ...scope.params]) || [];
+  }
+
+  /**
+   * Certificates uploaded in a period
+   * @param {Object} options - folderIds, since and now
+   * @returns {Promise<Array<Object>>} Certificate rows with folder_name, most recent first
+   */
+  async getUploadedBetween({ folderIds = null, since, now = new Date() }) {
+    const db = getDatabase();
+    const scope = folderScope(folderIds);
+    return await db.allAsync(`
+      ${LIST_COLUMNS}
+      WHERE c.uploaded_at > ? AND c.uploaded_at <= ? AND ${scope.sql}
+      ORDER BY c.uploaded_at DESC
+    `, [since.toISOString(), now.toISOString(), ...scope.params]) || [];
+  }
+}
+
+export default new CertificateStatsService();
@@ -0,0 +1,66 @@
+/**
+ * Certificate Status Service
+ * A certificate's status is worked out from its expiry date when it is stored, so it goes
+ * stale as time passes: a certificate uploaded as VALID would stay VALID after it expired.
+ * The scheduler runs recalculateAll() to bring every stored status up to date, recording
+ * each change as a status_changed event. The EXPIRING_SOON cutoff is the certificate's
+ * effective expiry threshold. REVOKED is left alone; only revocation checks set or clear it.
+ */
+
+import { getDatabase } from '../database/flexible-init.js';
+import { calculateStatus } from '../utils/certificateParser.js';
+import certificateEventService from './certificateEventService.js';
+import expiryThresholdService from './expiryThresholdService.js';
+
+class CertificateStatusService {
+  /**
+   * Recalculate the status of every certificate that is not revoked
+   * @param {Object} options - now (evaluation date), jobRunId (recorded on the events), and
+   *   folderId or certificateId to limit the recalculation, e.g. after a threshold change
+   * @returns {Promise<Object>} { checked, changed, transitions: { 'VALID->EXPIRING_SOON': count } }
+   */
+  async recalculateAll({ now = new Date(), jobRunId = null, folderId = null, certificateId = null } = {}) {
+    const db = getDatabase();
+    let query = "SELECT id, common_name, folder_id, valid_to, status FROM certificates WHERE status != 'REVOKED'";
+    const params = [];
+    if (folderId) {
+      query += ' AND folder_id = ?';
+      params.push(folderId);
+    }
+    if (certificateId) {
+      query += ' AND id = ?';
+      params.push(certificateId);
+    }
+    const certificates = await db.allAsync(query, params) || [];
+    const thresholdsOf = await expiryThresholdService.createResolver();
+
+    const summary = { checked: certificates.length, changed: 0, transitions: {} };
+    for (const certificate of certificates) {
+      const { expiringSoonDays } = thresholdsOf(certificate);
+      const status = calculateStatus(certificate.valid_to, now, expiringSoonDays);
+      if (status === certificate.status) {
+        continue;
+      }
+
+      await db.runAsync('UPDATE certificates SET status = ? WHERE id = ? AND status = ?', [status, certificate.id, certificate.status]);
+      await certificateEventService.recordEvent(certificate.id, 'status_changed', {
+        fromStatus: certificate.status,
+        toStatus: status,
+        details: { commonName: certificate.common_name, folderId: certificate.folder_id, validTo: certificate.valid_to, expiringSoonDays },
+        jobRunId,
+        createdAt: now
+      });
+
+      const transition = `${certificate.status}->${status}`;
+      summary.transitions[transition] = (summary.transitions[transition] || 0) + 1;
+      summary.changed++;
+    }
+
+    if (summary.changed > 0) {
+      console.log('[Status] Certificate statuses updated:', summary.transitions);
+    }
+    return summary;
+  }
+}
+
+export default new CertificateStatusService();
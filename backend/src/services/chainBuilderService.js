@@ -0,0 +1,253 @@
+/**
+ * Chain Builder Service
+ * Assembles certificate chains leaf -> root from certificates we already hold:
+ * issuers are matched on AKI -> SKI (falling back to the issuer name) and only
+ * accepted when their key verifies the signature. Downloading issuers from AIA
+ * caIssuers URLs is an optional, cached last resort. When trust anchors are given
+ * (a trust store), they are searched first and the chain ends at the first anchor.
+ */
+
+import { getDatabase } from '../database/flexible-init.js';
+import {
+  parseCertificate,
+  parsePkcs7,
+  splitPemCertificates,
+  isIssuedBy
+} from '../utils/certificateParser.js';
+import { readResponseBody } from '../utils/responseBody.js';
+
+const MAX_CHAIN_LENGTH = 10;
+const AIA_TIMEOUT = parseInt(process.env.CHAIN_AIA_TIMEOUT_MS) || 5000;
+const AIA_CACHE_TTL = (parseInt(process.env.CHAIN_AIA_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const AIA_MAX_SIZE = 1024 * 1024;
+
+class ChainBuilderService {
+  /**
+   * Build the chain of a certificate, leaf first.
+   * @param {string} leafPem - Certificate to build the chain for
+   * @param {Object} options - candidates (extra PEMs to consider first, e.g. the chain
+   *   uploaded with the certificate), trustAnchors (PEMs of a trust store) and fetchAia
+   *   (download missing issuers from AIA caIssuers URLs; defaults to CHAIN_AIA_FETCH=true)
+   * @returns {Promise<Object>} { chain: [{ pem, subject, issuer, fingerprintSha256, source,
+   *   certificateId }], complete, trustAnchor: { subject, fingerprintSha256 } | null,
+   *   missing: [{ subject, issuer, authorityKeyIdentifier, caIssuersUrls, reason }], pem }
+   */
+  async buildChain(leafPem, { candidates = [], trustAnchors = [], fetchAia = process.env.CHAIN_AIA_FETCH === 'true' } = {}) {
+    const provided = await this.parseCandidates(candidates, 'chain.pem');
+    const anchors = await this.parseCandidates(trustAnchors, 'anchor.pem');
+    const anchorFingerprints = new Set(anchors.map(anchor => anchor.fingerprintSha256));
+
+    let current = { ...(await parseCertificate(Buffer.from(leafPem), 'leaf.pem')), source: 'input', certificateId: null };
+    const chain = [current];
+    const seen = new Set([current.fingerprintSha256]);
+    const missing = [];
+    let complete = false;
+    let trustAnchor = null;
+
+    while (chain.length < MAX_CHAIN_LENGTH) {
+      if (anchorFingerprints.has(current.fingerprintSha256)) {
+        trustAnchor = { subject: current.subject, fingerprintSha256: current.fingerprintSha256 };
+        complete = true;
+        break;
+      }
+      if (isIssuedBy(current.pem, current.pem)) {
+        complete = true;
+        break;
+      }
+
+      const issuer = this.findIssuer(current, anchors, 'trust-store', seen)
+        || this.findIssuer(current, provided, 'provided', seen)
+        || await this.findIssuerInInventory(current, seen)
+        || (fetchAia ? await this.findIssuerViaAia(current, seen) : null);
+
+      if (!issuer) {
+        missing.push({
+          subject: current.subject,
+          issuer: current.issuer,
+          authorityKeyIdentifier: current.authorityKeyIdentifier || null,
+          caIssuersUrls: current.caIssuersUrls || [],
+          reason: fetchAia
+            ? 'Issuer not found in the inventory or at the AIA caIssuers URLs'
+            : 'Issuer not found in the inventory (AIA fetching disabled)'
+        });
+        break;
+      }
+
+      seen.add(issuer.fingerprintSha256);
+      chain.push(issuer);
+      current = issuer;
+    }
+
+    if (!complete && missing.length === 0) {
+      missing.push({
+        subject: current.subject,
+        issuer: current.issuer,
+        authorityKeyIdentifier: current.authorityKeyIdentifier || null,
+        caIssuersUrls: current.caIssuersUrls || [],
+        reason: `Chain is longer than ${MAX_CHAIN_LENGTH} certificates`
+      });
+    }
+
+    console.log(`[Chain Builder] ${chain[0].subject}: ${chain.length} certificate(s), ${complete ? 'complete' : 'incomplete'}`);
+
+    return {
+      chain: chain.map(({ pem, subject, issuer, fingerprintSha256, source, certificateId }) => ({
+        pem, subject, issuer, fingerprintSha256, source, certificateId
+      })),
+      complete,
+      trustAnchor,
+      missing,
+      pem: chain.map(certificate => certificate.pem.trim()).join('\n') + '\n'
+    };
+  }
+
+  /**
+   * Parse every certificate of a list of PEM strings (single certificates or bundles)
+   * @param {Array<string>} pems - PEM content
+   * @param {string} name - File name, for parser logging
+   * @returns {Promise<Array>} Parsed certificates
+   */
+  async parseCandidates(pems, name) {
+    const parsed = [];
+    for (const pem of pems) {
+      for (const block of splitPemCertificates(pem)) {
+        parsed.push(await parseCertificate(Buffer.from(block), name));
+      }
+    }
+    return parsed;
+  }
+
+  /**
+   * Pick the issuer of a certificate out of parsed candidates
+   * @param {Object} certificate - Parsed certificate
+   * @param {Array} candidates - Parsed candidate issuers
+   * @param {string} source - Where the candidates came from, for the chain report
+   * @param {Set} seen - Fingerprints already in the chain
+   * @returns {Object|null} Issuer with its source, or null
+   */
+  findIssuer(certificate, candidates, source, seen) {
+    const byKeyIdentifier = certificate.authorityKeyIdentifier
+      ? candidates.filter(candidate => candidate.subjectKeyIdentifier === certificate.authorityKeyIdentifier)
+      : [];
+    const byName = candidates.filter(candidate => candidate.subject === certificate.issuer);
+
+    const issuer = [...byKeyIdentifier, ...byName].find(candidate =>
+      !seen.has(candidate.fingerprintSha256) && isIssuedBy(certificate.pem, candidate.pem)
+    );
+    return issuer ? { certificateId: null, ...issuer, source } : null;
+  }
+
+  /**
+   * Look for the issuer of a certificate among inventory records
+   * @param {Object} certificate - Parsed certificate
+   * @param {Set} seen - Fingerprints already in the chain
+   * @returns {Promise<Object|null>} Issuer, or null
+   */
+  async findIssuerInInventory(certificate, seen) {
+    const db = getDatabase();
+    const rows = await db.allAsync(
+      'SELECT id, pem_content FROM certificates WHERE (subject_key_identifier = ? OR subject = ?) AND pem_content IS NOT NULL',
+      [certificate.authorityKeyIdentifier || null, certificate.issuer]
+    ) || [];
+
+    for (const row of rows) {
+      if (!isIssuedBy(certificate.pem, row.pem_content)) {
+        continue;
+      }
+      const issuer = await parseCertificate(Buffer.from(row.pem_content), `${row.id}.pem`);
+      if (!seen.has(issuer.fingerprintSha256)) {
+        return { ...issuer, source: 'inventory', certificateId: row.id };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Download the issuer of a certificate from its AIA caIssuers URLs (cached)
+   * @param {Object} certificate - Parsed certificate
+   * @param {Set} seen - Fingerprints already in the chain
+   * @returns {Promise<Object|null>} Issuer, or null
+   */
+  async findIssuerViaAia(certificate, seen) {
+    for (const url of certificate.caIssuersUrls || []) {
+      if (!/^https?:\/\//i.test(url)) {
+        continue;
+      }
+      const { certificates, cached } = await this.getAiaCertificates(url);
+      const issuer = this.findIssuer(certificate, certificates, cached ? 'aia-cache' : 'aia', seen);
+      if (issuer) {
+        return { ...issuer, aiaUrl: url };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Certificates served at an AIA URL, from the cache while it is fresh
+   * @param {string} url - caIssuers URL
+   * @returns {Promise<Object>} { certificates: [parsed], cached }
+   */
+  async getAiaCertificates(url) {
+    const db = getDatabase();
+    const entry = await db.getAsync('SELECT certificates_pem, error, fetched_at FROM aia_certificate_cache WHERE url = ?', [url]);
+
+    if (entry && Date.now() - new Date(entry.fetched_at).getTime() < AIA_CACHE_TTL) {
+      return { certificates: await this.parseAiaContent(Buffer.from(entry.certificates_pem || '')), cached: true };
+    }
+
+    let certificatesPem = null;
+    let fetchError = null;
+    try {
+      console.log('[Chain Builder] Fetching issuer from AIA URL:', url);
+      const response = await fetch(url, { signal: AbortSignal.timeout(AIA_TIMEOUT), redirect: 'follow' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const content = await readResponseBody(response, AIA_MAX_SIZE);
+      const certificates = await this.parseAiaContent(content);
+      if (certificates.length === 0) {
+        throw new Error('Response holds no certificates');
+      }
+      certificatesPem = certificates.map(certificate => certificate.pem.trim()).join('\n') + '\n';
+    } catch (error) {
+      fetchError = error.message;
+      console.warn('[Chain Builder] AIA fetch failed:', url, error.message);
+    }
+
+    await db.runAsync('DELETE FROM aia_certificate_cache WHERE url = ?', [url]);
+    await db.runAsync(
+      'INSERT INTO aia_certificate_cache (url, certificates_pem, error, fetched_at) VALUES (?, ?, ?, ?)',
+      [url, certificatesPem, fetchError, new Date().toISOString()]
+    );
+
+    return { certificates: await this.parseAiaContent(Buffer.from(certificatesPem || '')), cached: false };
+  }
+
+  /**
+   * Parse what an AIA URL serves: a DER or PEM certificate, or a PKCS#7 bundle (.p7c)
+   * @param {Buffer} content - Response body
+   * @returns {Promise<Array>} Parsed certificates; empty if none could be read
+   */
+  async parseAiaContent(content) {
+    if (content.length === 0) {
+      return [];
+    }
+
+    const blocks = splitPemCertificates(content.toString('utf8'));
+    if (blocks.length > 0) {
+      return Promise.all(blocks.map(block => parseCertificate(Buffer.from(block), 'aia.pem')));
+    }
+
+    try {
+      return [await parseCertificate(content, 'aia.cer')];
+    } catch (error) {
+      try {
+        return await parsePkcs7(content, 'aia.p7c');
+      } catch (pkcs7Error) {
+        return [];
+      }
+    }
+  }
+}
+
+export default new ChainBuilderService();
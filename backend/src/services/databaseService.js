@@ -599,7 +599,7 @@ class DatabaseService {
         name: 'Administrator',
         description: 'Full system access',
         permissions: JSON.stringify([
-          'certificates:read', 'certificates:write', 'certificates:delete', 'certificates:renew',
+          'certificates:read', 'certificates:write', 'certificates:delete', 'certificates:renew', 'certificates:download-key',
           'folders:read', 'folders:write', 'folders:delete', 'system:settings', 'notifications:manage'
         ])
       },
@@ -0,0 +1,359 @@
+/**
+ * Digest Service
+ * Periodic expiry digests: certificates expiring in the next days, newly expired and newly
+ * uploaded ones and folder policy violations, grouped by folder. The figures come from the
+ * queries behind /api/metadata/stats, limited to the subscription's folder. Digests go to a
+ * user, an address (through the expiry-digest email template) or a webhook. The
+ * expiry-digest scheduled job sends every subscription whose interval has passed; each
+ * digest reports on the period since the previous one.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import certificateStatsService from './certificateStatsService.js';
+import folderPolicyService from './folderPolicyService.js';
+import mailService from './mailService.js';
+import notificationTemplateService from './notificationTemplateService.js';
+import webhookService from './webhookService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+// A run a little early (the job does not start at the same second each day) still counts
+const SCHEDULE_SLACK = 60 * 60 * 1000;
+
+const withStatus = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const formatSubscription = (row) => ({
+  id: row.id,
+  channel: row.webhook_subscription_id ? 'webhook' : row.user_id ? 'user' : 'email',
+  userId: row.user_id || null,
+  username: row.username || null,
+  email: row.user_id ? row.user_email || null : row.email || null,
+  webhookSubscriptionId: row.webhook_subscription_id || null,
+  webhookName: row.webhook_name || null,
+  folderId: row.folder_id || null,
+  folderName: row.folder_name || null,
+  intervalDays: row.interval_days,
+  daysAhead: row.days_ahead,
+  enabled: Boolean(row.enabled),
+  lastSentAt: row.last_sent_at || null,
+  lastStatus: row.last_status || null,
+  lastError: row.last_error || null,
+  createdBy: row.created_by,
+  createdAt: row.created_at
+});
+
+const SUBSCRIPTION_QUERY = `
+  SELECT d.*, u.username, u.email AS user_email, u.active AS user_active,
+    w.name AS webhook_name, w.enabled AS webhook_enabled, f.name AS folder_name
+  FROM digest_subscriptions d
+  LEFT JOIN users u ON u.id = d.user_id
+  LEFT JOIN webhook_subscriptions w ON w.id = d.webhook_subscription_id
+  LEFT JOIN folders f ON f.id = d.folder_id
+`;
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Plain-text report of a digest, grouped by folder
+ * @param {Object} digest - Output of buildDigest()
+ * @returns {string} Report
+ */
+export const renderReport = (digest) => {
+  const { stats } = digest;
+  const lines = [
+    `Inventory: ${stats.total_certificates} certificates (${stats.valid_certificates} valid, `
+      + `${stats.expiring_soon_certificates} expiring soon, ${stats.expired_certificates} expired)`
+  ];
+
+  if (digest.folders.length === 0) {
+    lines.push('', 'Nothing to report for this period.');
+  }
+  for (const folder of digest.folders) {
+    lines.push('', `== ${folder.folderName} ==`);
+    const section = (title, items, describe) => {
+      if (items.length > 0) {
+        lines.push(`${title} (${items.length}):`, ...items.map(item => `  - ${describe(item)}`));
+      }
+    };
+    section(`Expiring in the next ${digest.daysAhead} days`, folder.expiring,
+      item => `${item.commonName} expires ${day(item.validTo)} (${item.daysRemaining} days)`);
+    section('Expired', folder.expired, item => `${item.commonName} expired ${day(item.validTo)}`);
+    section('Newly uploaded', folder.uploaded, item => `${item.commonName} uploaded ${day(item.uploadedAt)}`);
+    section('Policy violations', folder.violations, item => `${item.commonName}: ${item.violations.join('; ')}`);
+  }
+  return lines.join('\n');
+};
+
+class DigestService {
+  /**
+   * Digest subscriptions, optionally only those of one user
+   * @param {Object} filters - userId
+   * @returns {Promise<Array<Object>>} Subscriptions
+   */
+  async listSubscriptions({ userId = null } = {}) {
+    const db = getDatabase();
+    const rows = userId
+      ? await db.allAsync(`${SUBSCRIPTION_QUERY} WHERE d.user_id = ? ORDER BY d.created_at`, [userId])
+      : await db.allAsync(`${SUBSCRIPTION_QUERY} ORDER BY d.created_at`);
+    return (rows || []).map(formatSubscription);
+  }
+
+  /**
+   * One digest subscription
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object|null>} Subscription, or null if there is none
+   */
+  async getSubscription(id) {
+    const db = getDatabase();
+    const row = await db.getAsync(`${SUBSCRIPTION_QUERY} WHERE d.id = ?`, [id]);
+    return row ? formatSubscription(row) : null;
+  }
+
+  /**
+   * Add a digest subscription
+   * @param {Object} subscription - userId, email or webhookSubscriptionId; folderId (omit for
+   *   every certificate), intervalDays and daysAhead
+   * @param {Object} options - createdBy (user ID)
+   * @returns {Promise<Object>} Created subscription
+   */
+  async addSubscription({ userId = null, email = null, webhookSubscriptionId = null, folderId = null, intervalDays = 7, daysAhead = 30 }, { createdBy = null } = {}) {
+    const db = getDatabase();
+    if ([userId, email, webhookSubscriptionId].filter(Boolean).length !== 1) {
+      throw withStatus('Give one of userId, email or webhookSubscriptionId', 400);
+    }
+    if (userId && !await db.getAsync('SELECT id FROM users WHERE id = ?', [userId])) {
+      throw withStatus('User not found', 404);
+    }
+    if (webhookSubscriptionId && !await db.getAsync('SELECT id FROM webhook_subscriptions WHERE id = ?', [webhookSubscriptionId])) {
+      throw withStatus('Webhook subscription not found', 404);
+    }
+    if (folderId && !await db.getAsync('SELECT id FROM folders WHERE id = ?', [folderId])) {
+      throw withStatus('Folder not found', 404);
+    }
+
+    const address = email ? email.trim().toLowerCase() : null;
+    const [column, value] = userId ? ['user_id', userId] : email ? ['email', address] : ['webhook_subscription_id', webhookSubscriptionId];
+    const duplicate = await db.getAsync(
+      `SELECT id FROM digest_subscriptions WHERE ${column} = ? AND ${folderId ? 'folder_id = ?' : 'folder_id IS NULL'}`,
+      folderId ? [value, folderId] : [value]
+    );
+    if (duplicate) {
+      throw withStatus('This recipient already gets a digest for these certificates', 409);
+    }
+
+    const id = uuidv4();
+    await db.runAsync(`
+      INSERT INTO digest_subscriptions (id, user_id, email, webhook_subscription_id, folder_id, interval_days, days_ahead, enabled, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, userId || null, address, webhookSubscriptionId || null, folderId || null, intervalDays, daysAhead, 1,
+      createdBy ? String(createdBy) : null, new Date().toISOString()
+    ]);
+    console.log(`[Digests] Subscription ${id} added (${column} ${value}, every ${intervalDays} days)`);
+
+    return this.getSubscription(id);
+  }
+
+  /**
+   * Change how often and how far ahead a digest reports, or pause it
+   * @param {string} id - Subscription ID
+   * @param {Object} changes - Any of enabled, intervalDays and daysAhead
+   * @returns {Promise<Object|null>} Updated subscription, or null if there is none
+   */
+  async updateSubscription(id, { enabled, intervalDays, daysAhead }) {
+    const db = getDatabase();
+    const columns = {
+      enabled: enabled === undefined ? undefined : enabled ? 1 : 0,
+      interval_days: intervalDays,
+      days_ahead: daysAhead
+    };
+    const set = Object.entries(columns).filter(([, value]) => value !== undefined);
+    if (set.length > 0) {
+      await db.runAsync(
+        `UPDATE digest_subscriptions SET ${set.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...set.map(([, value]) => value), id]
+      );
+    }
+    return this.getSubscription(id);
+  }
+
+  /**
+   * Remove a digest subscription
+   * @param {string} id - Subscription ID
+   */
+  async removeSubscription(id) {
+    const db = getDatabase();
+    await db.runAsync('DELETE FROM digest_subscriptions WHERE id = ?', [id]);
+    console.log(`[Digests] Subscription ${id} removed`);
+  }
+
+  /**
+   * Gather a digest
+   * @param {Object} options - folderId (null for every certificate), since and now (the
+   *   reported period) and daysAhead
+   * @returns {Promise<Object>} { scope: { folderId, folderName }, periodStart, periodEnd, daysAhead,
+   *   stats, totals: { expiring, expired, uploaded, violations }, folders: [{ folderId, folderName,
+   *   expiring, expired, uploaded, violations }] }
+   */
+  async buildDigest({ folderId = null, since, now = new Date(), daysAhead = 30 }) {
+    const db = getDatabase();
+    const folderIds = folderId ? [folderId] : null;
+    const scopeFolder = folderId ? await db.getAsync('SELECT name FROM folders WHERE id = ?', [folderId]) : null;
+
+    const { statusBreakdown, monthlyTrend, ...stats } = await certificateStatsService.getStats({ folderIds });
+    const expiring = await certificateStatsService.getExpiring({ folderIds, now, days: daysAhead });
+    const expired = await certificateStatsService.getExpiredBetween({ folderIds, since, now });
+    const uploaded = await certificateStatsService.getUploadedBetween({ folderIds, since, now });
+    const violationsReport = await folderPolicyService.getViolationsReport({ folderId });
+
+    const folders = new Map();
+    const folderFor = (id, name) => {
+      const key = id || '';
+      if (!folders.has(key)) {
+        folders.set(key, { folderId: id || null, folderName: name || 'No folder', expiring: [], expired: [], uploaded: [], violations: [] });
+      }
+      return folders.get(key);
+    };
+
+    for (const row of expiring) {
+      folderFor(row.folder_id, row.folder_name).expiring.push({
+        id: row.id,
+        commonName: row.common_name,
+        validTo: row.valid_to,
+        daysRemaining: Math.ceil((new Date(row.valid_to).getTime() - now.getTime()) / DAY)
+      });
+    }
+    for (const row of expired) {
+      folderFor(row.folder_id, row.folder_name).expired.push({ id: row.id, commonName: row.common_name, validTo: row.valid_to });
+    }
+    for (const row of uploaded) {
+      folderFor(row.folder_id, row.folder_name).uploaded.push({ id: row.id, commonName: row.common_name, uploadedAt: row.uploaded_at });
+    }
+    for (const folder of violationsReport.folders) {
+      for (const certificate of folder.certificates) {
+        folderFor(folder.folderId, folder.folderName).violations.push({
+          id: certificate.id,
+          commonName: certificate.commonName,
+          violations: certificate.violations.map(violation => violation.message)
+        });
+      }
+    }
+
+    const grouped = [...folders.values()].sort((a, b) => a.folderName.localeCompare(b.folderName));
+    const count = (key) => grouped.reduce((total, folder) => total + folder[key].length, 0);
+    return {
+      scope: { folderId, folderName: folderId ? scopeFolder?.name || 'Deleted folder' : 'All certificates' },
+      periodStart: since.toISOString(),
+      periodEnd: now.toISOString(),
+      daysAhead,
+      stats,
+      totals: { expiring: count('expiring'), expired: count('expired'), uploaded: count('uploaded'), violations: count('violations') },
+      folders: grouped
+    };
+  }
+
+  /**
+   * Digest of a subscription for the period since its last one, with the email it makes
+   * @param {Object} subscription - Subscription (formatSubscription)
+   * @param {Object} options - now
+   * @returns {Promise<Object>} { digest, subject, text }
+   */
+  async prepare(subscription, { now = new Date() } = {}) {
+    const since = subscription.lastSentAt
+      ? new Date(subscription.lastSentAt)
+      : new Date(now.getTime() - subscription.intervalDays * DAY);
+    const digest = await this.buildDigest({ folderId: subscription.folderId, since, now, daysAhead: subscription.daysAhead });
+
+    const template = await notificationTemplateService.getTemplate('expiry-digest');
+    const message = notificationTemplateService.render(template, {
+      scope: digest.scope.folderName,
+      periodStart: day(digest.periodStart),
+      periodEnd: day(digest.periodEnd),
+      daysAhead: digest.daysAhead,
+      expiringCount: digest.totals.expiring,
+      expiredCount: digest.totals.expired,
+      uploadedCount: digest.totals.uploaded,
+      violationCount: digest.totals.violations,
+      report: renderReport(digest),
+      appUrl: process.env.FRONTEND_URL || ''
+    });
+    return { digest, ...message };
+  }
+
+  /**
+   * Send a subscription's digest now and record the outcome
+   * @param {string} id - Subscription ID
+   * @param {Object} options - now
+   * @returns {Promise<Object>} Updated subscription; lastStatus says whether it was sent
+   */
+  async sendDigest(id, { now = new Date() } = {}) {
+    const db = getDatabase();
+    const row = await db.getAsync(`${SUBSCRIPTION_QUERY} WHERE d.id = ?`, [id]);
+    if (!row) {
+      throw withStatus('Digest subscription not found', 404);
+    }
+    const subscription = formatSubscription(row);
+
+    let error = null;
+    try {
+      const { digest, subject, text } = await this.prepare(subscription, { now });
+      if (subscription.channel === 'webhook') {
+        if (!row.webhook_enabled) {
+          throw new Error('The webhook is paused');
+        }
+        // Failed webhook deliveries are retried by the webhook service
+        await webhookService.sendMessage(subscription.webhookSubscriptionId, 'digest.expiry', {
+          title: subject,
+          text: renderReport(digest),
+          fields: [
+            ['Expiring', digest.totals.expiring],
+            ['Expired', digest.totals.expired],
+            ['Uploaded', digest.totals.uploaded],
+            ['Policy violations', digest.totals.violations]
+          ],
+          data: { digest }
+        });
+      } else {
+        if (!subscription.email || (subscription.channel === 'user' && (row.user_active === 0 || row.user_active === false))) {
+          throw new Error('The user has no active account with an email address');
+        }
+        await mailService.send({ to: subscription.email, subject, text });
+      }
+    } catch (sendError) {
+      error = sendError.message;
+      console.error(`[Digests] Could not send digest ${id}:`, error);
+    }
+
+    // A failed digest keeps its period, so the next one still covers it
+    await db.runAsync(
+      'UPDATE digest_subscriptions SET last_sent_at = ?, last_status = ?, last_error = ? WHERE id = ?',
+      [error ? subscription.lastSentAt : now.toISOString(), error ? 'failed' : 'sent', error, id]
+    );
+    return this.getSubscription(id);
+  }
+
+  /**
+   * Send the digests whose interval has passed
+   * @param {Object} options - now and jobRunId of the scheduled run
+   * @returns {Promise<Object>} { due, sent, failed }
+   */
+  async sendDigests({ now = new Date(), jobRunId = null } = {}) {
+    const db = getDatabase();
+    const rows = await db.allAsync(`${SUBSCRIPTION_QUERY} WHERE d.enabled = 1`) || [];
+    const due = rows.map(formatSubscription).filter(subscription => !subscription.lastSentAt
+      || now.getTime() - new Date(subscription.lastSentAt).getTime() >= subscription.intervalDays * DAY - SCHEDULE_SLACK);
+
+    const summary = { due: due.length, sent: 0, failed: 0 };
+    for (const subscription of due) {
+      const result = await this.sendDigest(subscription.id, { now });
+      summary[result?.lastStatus === 'sent' ? 'sent' : 'failed']++;
+    }
+
+    if (due.length > 0) {
+      console.log(`[Digests] Digests${jobRunId ? ` (run ${jobRunId})` : ''}: ${summary.sent} sent, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+}
+
+export default new DigestService();
@@ -0,0 +1,199 @@
+/**
+ * Expiry Threshold Service
+ * How many days before expiry a certificate becomes EXPIRING_SOON, and on which days
+ * before expiry notifications go out. The global values are part of the system_config
+ * metadata; a folder can override them for the certificates filed in it (by folder_id),
+ * and a certificate can override them for itself. Each value is inherited on its own:
+ * certificate -> folder -> global -> built-in default.
+ */
+
+import { getDatabase } from '../database/flexible-init.js';
+import { calculateStatus } from '../utils/certificateParser.js';
+
+export const DEFAULT_EXPIRY_THRESHOLDS = {
+  expiringSoonDays: 30,
+  notificationDays: [30, 15, 7]
+};
+
+export const OVERRIDE_SCOPES = ['folder', 'certificate'];
+
+const isDayCount = (value) => Number.isInteger(value) && value > 0;
+
+const parseDays = (value) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    const days = JSON.parse(value);
+    return Array.isArray(days) && days.every(isDayCount) ? days : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const formatOverride = (row) => ({
+  scope: row.scope,
+  scopeId: row.scope_id,
+  expiringSoonDays: isDayCount(row.expiring_soon_days) ? row.expiring_soon_days : null,
+  notificationDays: parseDays(row.notification_days),
+  updatedBy: row.updated_by,
+  updatedAt: row.updated_at
+});
+
+// Notification days are kept longest-first, without repeats
+const normalizeDays = (days) => [...new Set(days)].sort((a, b) => b - a);
+
+/**
+ * Merge the levels that apply to a certificate, most specific first
+ * @param {Array<[string, Object|null|undefined]>} levels - [[source, thresholds]]
+ * @returns {Object} { expiringSoonDays, notificationDays, sources: { expiringSoonDays, notificationDays } }
+ */
+function mergeLevels(levels) {
+  const effective = { sources: {} };
+  for (const field of ['expiringSoonDays', 'notificationDays']) {
+    const [source, thresholds] = levels.find(([, level]) => level && level[field] !== null && level[field] !== undefined)
+      || ['default', DEFAULT_EXPIRY_THRESHOLDS];
+    effective[field] = thresholds[field];
+    effective.sources[field] = source;
+  }
+  return effective;
+}
+
+class ExpiryThresholdService {
+  /**
+   * Global thresholds as configured in the system_config metadata; unset values are null
+   * @returns {Promise<Object>} { expiringSoonDays, notificationDays }
+   */
+  async getConfiguredThresholds() {
+    const db = getDatabase();
+    const metadata = await db.getAsync('SELECT value FROM metadata WHERE key = ?', ['system_config']);
+
+    let configured = {};
+    try {
+      configured = (metadata?.value && JSON.parse(metadata.value).expiryThresholds) || {};
+    } catch (error) {
+      console.warn('[Thresholds] Unreadable system_config metadata; using the default thresholds');
+    }
+    return {
+      expiringSoonDays: isDayCount(configured.expiringSoonDays) ? configured.expiringSoonDays : null,
+      notificationDays: Array.isArray(configured.notificationDays) && configured.notificationDays.length > 0
+        && configured.notificationDays.every(isDayCount)
+        ? normalizeDays(configured.notificationDays)
+        : null
+    };
+  }
+
+  /**
+   * Global thresholds, with defaults for unset values
+   * @returns {Promise<Object>} { expiringSoonDays, notificationDays }
+   */
+  async getGlobalThresholds() {
+    const { expiringSoonDays, notificationDays } = mergeLevels([['global', await this.getConfiguredThresholds()]]);
+    return { expiringSoonDays, notificationDays };
+  }
+
+  /**
+   * Override of a folder or certificate
+   * @param {string} scope - folder or certificate
+   * @param {string} scopeId - Folder or certificate ID
+   * @returns {Promise<Object|null>} { scope, scopeId, expiringSoonDays, notificationDays, updatedBy, updatedAt } or null
+   */
+  async getOverride(scope, scopeId) {
+    if (!scopeId) {
+      return null;
+    }
+    const db = getDatabase();
+    const row = await db.getAsync(
+      'SELECT * FROM expiry_threshold_overrides WHERE scope = ? AND scope_id = ?',
+      [scope, scopeId]
+    );
+    return row ? formatOverride(row) : null;
+  }
+
+  /**
+   * Create or replace the override of a folder or certificate
+   * @param {string} scope - folder or certificate
+   * @param {string} scopeId - Folder or certificate ID
+   * @param {Object} thresholds - expiringSoonDays and notificationDays; null inherits
+   * @param {Object} options - userId of the user setting the override
+   * @returns {Promise<Object>} Stored override
+   */
+  async setOverride(scope, scopeId, { expiringSoonDays = null, notificationDays = null }, { userId = null } = {}) {
+    const db = getDatabase();
+
+    await db.runAsync('DELETE FROM expiry_threshold_overrides WHERE scope = ? AND scope_id = ?', [scope, scopeId]);
+    await db.runAsync(`
+      INSERT INTO expiry_threshold_overrides (scope, scope_id, expiring_soon_days, notification_days, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      scope,
+      scopeId,
+      expiringSoonDays || null,
+      notificationDays && notificationDays.length > 0 ? JSON.stringify(normalizeDays(notificationDays)) : null,
+      userId ? String(userId) : null,
+      new Date().toISOString()
+    ]);
+    console.log(`[Thresholds] Expiry thresholds of ${scope} ${scopeId} set`);
+
+    return this.getOverride(scope, scopeId);
+  }
+
+  /**
+   * Remove the override of a folder or certificate
+   * @param {string} scope - folder or certificate
+   * @param {string} scopeId - Folder or certificate ID
+   */
+  async deleteOverride(scope, scopeId) {
+    const db = getDatabase();
+    await db.runAsync('DELETE FROM expiry_threshold_overrides WHERE scope = ? AND scope_id = ?', [scope, scopeId]);
+    console.log(`[Thresholds] Expiry thresholds of ${scope} ${scopeId} removed`);
+  }
+
+  /**
+   * Load the global thresholds and every override once, for working out the thresholds of
+   * many certificates
+   * @returns {Promise<Function>} (certificate { id, folder_id }) => effective thresholds (see mergeLevels)
+   */
+  async createResolver() {
+    const db = getDatabase();
+    const global = await this.getConfiguredThresholds();
+    const rows = await db.allAsync('SELECT * FROM expiry_threshold_overrides') || [];
+
+    const overrides = { folder: new Map(), certificate: new Map() };
+    for (const row of rows) {
+      overrides[row.scope]?.set(row.scope_id, formatOverride(row));
+    }
+
+    return (certificate) => mergeLevels([
+      ['certificate', overrides.certificate.get(certificate.id)],
+      ['folder', overrides.folder.get(certificate.folder_id)],
+      ['global', global]
+    ]);
+  }
+
+  /**
+   * Effective thresholds of one certificate
+   * @param {Object} certificate - { id, folder_id }; id may be null for a certificate not stored yet
+   * @returns {Promise<Object>} { expiringSoonDays, notificationDays, sources }
+   */
+  async getEffectiveThresholds(certificate) {
+    return mergeLevels([
+      ['certificate', await this.getOverride('certificate', certificate.id)],
+      ['folder', await this.getOverride('folder', certificate.folder_id)],
+      ['global', await this.getConfiguredThresholds()]
+    ]);
+  }
+
+  /**
+   * Status of a certificate under its effective thresholds
+   * @param {Object} certificate - { id, folder_id, valid_to }
+   * @param {Date} now - Date to evaluate at
+   * @returns {Promise<string>} VALID, EXPIRING_SOON, EXPIRED or UNKNOWN
+   */
+  async calculateStatus(certificate, now = new Date()) {
+    const { expiringSoonDays } = await this.getEffectiveThresholds(certificate);
+    return calculateStatus(certificate.valid_to, now, expiringSoonDays);
+  }
+}
+
+export default new ExpiryThresholdService();
@@ -0,0 +1,211 @@
+/**
+ * Folder Export Service
+ * Lists the certificates of a folder, optionally through its subfolders, and packs them
+ * into a ZIP archive with a JSON and a CSV manifest, for handing a folder to another team.
+ */
+
+import { X509Certificate } from 'crypto';
+import { getDatabase } from '../database/flexible-init.js';
+import certificateExportService from './certificateExportService.js';
+import certificateImportService from './certificateImportService.js';
+import { createZipArchive } from '../utils/zipArchive.js';
+
+// Certificate-only formats; PKCS#12 needs a key and a password per certificate
+export const ARCHIVE_FORMATS = ['pem', 'der', 'pkcs7', 'fullchain'];
+
+const MANIFEST_COLUMNS = ['common_name', 'subject_alt_names', 'valid_to', 'status', 'fingerprint_sha256', 'folder_path', 'file'];
+
+// Folder names become archive directories: no separators or characters Windows rejects, and
+// no "." or ".." that would point outside the folder's own directory when extracted
+const pathSegment = (name) => {
+  const segment = (name || 'folder').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+  return segment === '.' || segment === '..' ? '_' : segment;
+};
+
+// Quote CSV fields when needed and keep spreadsheet apps from running cell content as formulas
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class FolderExportService {
+  /**
+   * Resolve a folder and, when recursive, its subfolders (parent before children)
+   * @param {string} folderId - Folder ID
+   * @param {Object} options - recursive: walk parent_id links down the tree
+   * @returns {Promise<Array<Object>>} [{ id, name, path }], path joining the names from the exported folder
+   */
+  async getFolderTree(folderId, { recursive = false } = {}) {
+    const db = getDatabase();
+    const folder = await db.getAsync('SELECT id, name FROM folders WHERE id = ?', [folderId]);
+    if (!folder) {
+      const error = new Error('Folder not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const tree = [{ id: folder.id, name: folder.name, path: pathSegment(folder.name) }];
+    const visited = new Set([folder.id]);
+    for (let i = 0; recursive && i < tree.length; i++) {
+      const children = await db.allAsync(
+        'SELECT id, name FROM folders WHERE parent_id = ? ORDER BY name',
+        [tree[i].id]
+      ) || [];
+      for (const child of children.filter(child => !visited.has(child.id))) {
+        visited.add(child.id);
+        tree.push({ id: child.id, name: child.name, path: `${tree[i].path}/${pathSegment(child.name)}` });
+      }
+    }
+    return tree;
+  }
+
+  /**
+   * Certificates listed in a folder, as their own folder or an additional one
+   * @param {string} folderId - Folder ID
+   * @param {Object} options - status and search filters (search matches names and SAN values)
+   * @returns {Promise<Array<Object>>} Certificate rows with folder and uploader names, newest first
+   */
+  async listCertificates(folderId, { status, search } = {}) {
+    const db = getDatabase();
+
+    let query = `
+      SELECT c.*, f.name as folder_name, u.username as uploaded_by_username,
+             (SELECT COUNT(*) FROM certificate_private_keys k WHERE k.certificate_id = c.id) as has_private_key
+      FROM certificates c
+      LEFT JOIN folders f ON c.folder_id = f.id
+      LEFT JOIN users u ON c.uploaded_by = u.id
+      WHERE (c.folder_id = ? OR EXISTS (
+        SELECT 1 FROM certificate_folders cf WHERE cf.certificate_id = c.id AND cf.folder_id = ?
+      ))
+    `;
+    const params = [folderId, folderId];
+
+    if (status) {
+      query += ' AND c.status = ?';
+      params.push(status);
+    }
+
+    if (search) {
+      // Records stored before SANs were extracted have no SAN rows to match yet
+      await certificateImportService.backfillAllCertificateDetails();
+      query += ` AND (c.common_name LIKE ? OR c.issuer LIKE ? OR c.subject LIKE ?
+        OR EXISTS (SELECT 1 FROM certificate_subject_alt_names s WHERE s.certificate_id = c.id AND s.value LIKE ?))`;
+      const searchTerm = `%${search}%`;
+      params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+    }
+
+    query += ' ORDER BY c.uploaded_at DESC';
+
+    return await db.allAsync(query, params) || [];
+  }
+
+  /**
+   * Certificates of a folder tree, each tagged with the path of the folder it was found in.
+   * A certificate listed in several folders of the tree appears once per folder.
+   * @param {string} folderId - Folder ID
+   * @param {Object} options - recursive, plus the listCertificates() filters
+   * @returns {Promise<Array<Object>>} Formatted certificate rows with folder_path
+   */
+  async listFolderTreeCertificates(folderId, { recursive = false, ...filters } = {}) {
+    const certificates = [];
+    for (const folder of await this.getFolderTree(folderId, { recursive })) {
+      for (const certificate of await this.listCertificates(folder.id, filters)) {
+        certificates.push({ ...certificateImportService.formatCertificate(certificate), folder_path: folder.path });
+      }
+    }
+    return certificates;
+  }
+
+  /**
+   * Export a folder as a ZIP archive: one file per certificate under its folder path,
+   * plus manifest.json and manifest.csv (CN, SANs, expiry, fingerprint, folder path, file)
+   * @param {string} folderId - Folder ID
+   * @param {Object} options - format (see ARCHIVE_FORMATS) and recursive
+   * @returns {Promise<Object>} { body, filename, manifest }
+   */
+  async exportFolder(folderId, { format = 'pem', recursive = false } = {}) {
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      const error = new Error(`Unsupported archive format "${format}"; expected one of ${ARCHIVE_FORMATS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const db = getDatabase();
+    const tree = await this.getFolderTree(folderId, { recursive });
+    // The manifest lists SANs from their table, which older records have no rows in yet
+    await certificateImportService.backfillAllCertificateDetails();
+    const certificates = await this.listFolderTreeCertificates(folderId, { recursive });
+
+    const entries = [];
+    const manifestEntries = [];
+    const usedNames = new Set();
+
+    for (const certificate of certificates.filter(certificate => certificate.pem_content)) {
+      const exported = await certificateExportService.exportCertificate(certificate, certificate.pem_content, { format });
+
+      // Certificates sharing a common name get the start of their ID appended
+      let file = `${certificate.folder_path}/${exported.filename}`;
+      if (usedNames.has(file)) {
+        const baseName = certificateExportService.fileBaseName(certificate.common_name);
+        file = `${certificate.folder_path}/${baseName}-${certificate.id.slice(0, 8)}${exported.filename.slice(baseName.length)}`;
+      }
+      usedNames.add(file);
+      entries.push({ name: file, content: exported.body });
+
+      const subjectAltNames = await db.allAsync(
+        'SELECT type, value FROM certificate_subject_alt_names WHERE certificate_id = ? ORDER BY id',
+        [certificate.id]
+      ) || [];
+      manifestEntries.push({
+        id: certificate.id,
+        commonName: certificate.common_name,
+        subjectAltNames: subjectAltNames.map(name => name.value),
+        validTo: certificate.valid_to,
+        status: certificate.status,
+        fingerprintSha256: certificate.fingerprint_sha256
+          || new X509Certificate(certificate.pem_content).fingerprint256.replace(/:/g, '').toLowerCase(),
+        folderPath: certificate.folder_path,
+        file,
+        ...(exported.chainComplete !== undefined ? { chainComplete: exported.chainComplete } : {})
+      });
+    }
+
+    const manifest = {
+      folder: { id: tree[0].id, name: tree[0].name },
+      recursive,
+      format,
+      exportedAt: new Date().toISOString(),
+      folders: tree.map(folder => folder.path),
+      certificates: manifestEntries
+    };
+    const csv = [
+      MANIFEST_COLUMNS.join(','),
+      ...manifestEntries.map(entry => [
+        entry.commonName,
+        entry.subjectAltNames.join(';'),
+        entry.validTo,
+        entry.status,
+        entry.fingerprintSha256,
+        entry.folderPath,
+        entry.file
+      ].map(csvField).join(','))
+    ].join('\r\n') + '\r\n';
+
+    entries.push(
+      { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+      { name: 'manifest.csv', content: csv }
+    );
+    console.log(`[FolderExport] Folder ${folderId} exported: ${manifestEntries.length} certificates from ${tree.length} folder(s) as ${format}`);
+
+    return {
+      body: createZipArchive(entries),
+      filename: `${pathSegment(tree[0].name).replace(/[^A-Za-z0-9._-]/g, '_')}.zip`,
+      manifest
+    };
+  }
+}
+
+export default new FolderExportService();
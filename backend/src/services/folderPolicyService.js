@@ -0,0 +1,194 @@
+/**
+ * Folder Policy Service
+ * Stores the issuance policy of each folder and applies it when certificates are placed
+ * in a folder (upload or move): enforce mode rejects certificates that break the policy,
+ * audit mode lets them in and reports the violations.
+ */
+
+import { getDatabase } from '../database/flexible-init.js';
+import { parseCertificate } from '../utils/certificateParser.js';
+import { evaluatePolicy } from '../utils/issuancePolicy.js';
+
+const parseList = (value) => {
+  if (!value) {
+    return [];
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+};
+
+const formatPolicy = (row) => ({
+  folderId: row.folder_id,
+  mode: row.mode,
+  allowedIssuers: parseList(row.allowed_issuers),
+  minKeySize: row.min_key_size ?? null,
+  allowedAlgorithms: parseList(row.allowed_algorithms),
+  maxValidityDays: row.max_validity_days ?? null,
+  requiredSanDomains: parseList(row.required_san_domains),
+  allowWildcards: row.allow_wildcards === null || row.allow_wildcards === undefined ? null : Boolean(row.allow_wildcards),
+  updatedBy: row.updated_by,
+  updatedAt: row.updated_at
+});
+
+const toJsonList = (list) => (list && list.length > 0 ? JSON.stringify(list) : null);
+
+class FolderPolicyService {
+  /**
+   * Issuance policy of a folder
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<Object|null>} Policy, or null when the folder has none
+   */
+  async getPolicy(folderId) {
+    if (!folderId) {
+      return null;
+    }
+    const db = getDatabase();
+    const row = await db.getAsync('SELECT * FROM folder_policies WHERE folder_id = ?', [folderId]);
+    return row ? formatPolicy(row) : null;
+  }
+
+  /**
+   * Create or replace the issuance policy of a folder
+   * @param {string} folderId - Folder ID
+   * @param {Object} policy - mode and the rules (see evaluatePolicy)
+   * @param {Object} options - userId of the user setting the policy
+   * @returns {Promise<Object>} Stored policy
+   */
+  async setPolicy(folderId, policy, { userId = null } = {}) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    await db.runAsync('DELETE FROM folder_policies WHERE folder_id = ?', [folderId]);
+    await db.runAsync(`
+      INSERT INTO folder_policies (
+        folder_id, mode, allowed_issuers, min_key_size, allowed_algorithms,
+        max_validity_days, required_san_domains, allow_wildcards, updated_by, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      folderId,
+      policy.mode,
+      toJsonList(policy.allowedIssuers),
+      policy.minKeySize || null,
+      toJsonList(policy.allowedAlgorithms),
+      policy.maxValidityDays || null,
+      toJsonList(policy.requiredSanDomains),
+      policy.allowWildcards === null || policy.allowWildcards === undefined ? null : Boolean(policy.allowWildcards),
+      userId ? String(userId) : null,
+      now
+    ]);
+    console.log(`[FolderPolicy] Policy of folder ${folderId} set (${policy.mode} mode)`);
+
+    return this.getPolicy(folderId);
+  }
+
+  /**
+   * Remove the issuance policy of a folder
+   * @param {string} folderId - Folder ID
+   */
+  async deletePolicy(folderId) {
+    const db = getDatabase();
+    await db.runAsync('DELETE FROM folder_policies WHERE folder_id = ?', [folderId]);
+    console.log(`[FolderPolicy] Policy of folder ${folderId} removed`);
+  }
+
+  /**
+   * Check certificates about to be placed in a folder against its policy.
+   * In enforce mode any violation rejects the whole placement with a 422 error carrying
+   * the violations; in audit mode the violations are returned and the placement goes ahead.
+   * @param {string|null} folderId - Destination folder
+   * @param {Array<Object>} certificates - parseCertificate() outputs
+   * @returns {Promise<Array<Object>>} Audit findings: [{ commonName, fingerprintSha256, violations }]
+   */
+  async checkPlacement(folderId, certificates) {
+    const policy = await this.getPolicy(folderId);
+    if (!policy) {
+      return [];
+    }
+
+    const findings = certificates
+      .map(certificate => ({
+        commonName: certificate.commonName,
+        fingerprintSha256: certificate.fingerprintSha256,
+        violations: evaluatePolicy(policy, certificate)
+      }))
+      .filter(finding => finding.violations.length > 0);
+
+    if (findings.length === 0) {
+      return [];
+    }
+
+    if (policy.mode === 'enforce') {
+      const error = new Error(`Certificate violates the issuance policy of this folder: ${findings[0].violations.map(v => v.message).join('; ')}`);
+      error.statusCode = 422;
+      error.policyViolations = findings;
+      throw error;
+    }
+
+    console.warn(`[FolderPolicy] ${findings.length} certificate(s) placed in folder ${folderId} despite policy violations (audit mode)`);
+    return findings;
+  }
+
+  /**
+   * Report the certificates currently in violation of their folder's policy
+   * @param {Object} options - folderId to limit the report to one folder
+   * @returns {Promise<Object>} { generatedAt, summary: { folders, certificates, violating },
+   *   folders: [{ folderId, folderName, mode, certificates: [{ id, commonName, violations }] }] }
+   */
+  async getViolationsReport({ folderId = null } = {}) {
+    const db = getDatabase();
+    const rows = await db.allAsync(`
+      SELECT p.*, f.name as folder_name
+      FROM folder_policies p
+      JOIN folders f ON p.folder_id = f.id
+      ${folderId ? 'WHERE p.folder_id = ?' : ''}
+      ORDER BY f.name
+    `, folderId ? [folderId] : []) || [];
+
+    const folders = [];
+    let checked = 0;
+    for (const row of rows) {
+      const policy = formatPolicy(row);
+      const certificates = [];
+
+      const listed = await db.allAsync(`
+        SELECT c.id, c.common_name, c.pem_content
+        FROM certificates c
+        WHERE (c.folder_id = ? OR EXISTS (
+          SELECT 1 FROM certificate_folders cf WHERE cf.certificate_id = c.id AND cf.folder_id = ?
+        )) AND c.pem_content IS NOT NULL
+        ORDER BY c.common_name
+      `, [row.folder_id, row.folder_id]) || [];
+
+      for (const certificate of listed) {
+        checked++;
+        let violations;
+        try {
+          violations = evaluatePolicy(policy, await parseCertificate(Buffer.from(certificate.pem_content), `${certificate.id}.pem`));
+        } catch (error) {
+          console.warn(`[FolderPolicy] Could not check certificate ${certificate.id}:`, error.message);
+          continue;
+        }
+        if (violations.length > 0) {
+          certificates.push({ id: certificate.id, commonName: certificate.common_name, violations });
+        }
+      }
+
+      folders.push({ folderId: row.folder_id, folderName: row.folder_name, mode: policy.mode, certificates });
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      summary: {
+        folders: folders.length,
+        certificates: checked,
+        violating: folders.reduce((total, folder) => total + folder.certificates.length, 0)
+      },
+      folders
+    };
+  }
+}
+
+export default new FolderPolicyService();
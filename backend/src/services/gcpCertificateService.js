@@ -3,6 +3,7 @@ import { Storage } from '@google-cloud/storage';
 import { v4 as uuidv4 } from 'uuid';
 import { X509Certificate } from '@peculiar/x509';
 import crypto from 'crypto';
+import chainBuilderService from './chainBuilderService.js';
 
 class GCPCertificateService {
   constructor() {
@@ -453,86 +454,19 @@ Content preview: ${asUtf8.substring(0, 100)}...`);
     }
   }
 
+  /**
+   * Build the full chain for a leaf, leaf first, from the inventory (and AIA when
+   * enabled) - see chainBuilderService
+   * @param {string} leafCertPem - Leaf certificate PEM
+   * @returns {Promise<string|null>} Chain PEM, or null if no issuer could be found
+   */
   async buildCertificateChain(leafCertPem) {
     try {
-      // Parse the leaf certificate to get issuer information
-      const cert = new X509Certificate(leafCertPem);
-      const issuerInfo = cert.issuer;
-      
-      console.log('[Chain Builder] Leaf certificate issuer:', issuerInfo);
-      
-      // Extract AIA (Authority Information Access) extension for intermediate cert URL
-      let intermediateUrl = null;
-      try {
-        console.log('[Chain Builder] Looking for AIA extension...');
-        const extensions = cert.extensions || [];
-        console.log('[Chain Builder] Available extensions:', extensions.map(ext => ext.oid));
-        
-        const aiaExtension = extensions.find(ext => ext.oid === '1.3.6.1.5.5.7.1.1');
-        if (aiaExtension) {
-          console.log('[Chain Builder] Found AIA extension');
-          // Parse AIA extension to find CA Issuers URL
-          const aiaString = aiaExtension.toString();
-          console.log('[Chain Builder] AIA content:', aiaString);
-          const urlMatch = aiaString.match(/URI:http[s]?:\/\/[^\s,]+\.cer/i);
-          if (urlMatch) {
-            intermediateUrl = urlMatch[0].replace('URI:', '');
-            console.log('[Chain Builder] Found intermediate certificate URL:', intermediateUrl);
-          } else {
-            console.log('[Chain Builder] No .cer URL found in AIA extension');
-          }
-        } else {
-          console.log('[Chain Builder] No AIA extension found');
-          // Try known Entrust intermediate URL
-          console.log('[Chain Builder] Trying known Entrust intermediate URL...');
-          intermediateUrl = 'http://aia.entrust.net/l1k-chain256.cer';
-        }
-      } catch (aiaError) {
-        console.log('[Chain Builder] Could not parse AIA extension:', aiaError.message);
-        // Fallback to known Entrust intermediate
-        intermediateUrl = 'http://aia.entrust.net/l1k-chain256.cer';
-      }
-      
-      // If we found an intermediate URL, try to download it
-      if (intermediateUrl) {
-        console.log('[Chain Builder] Downloading intermediate certificate...');
-        const response = await fetch(intermediateUrl);
-        if (response.ok) {
-          const intermediateData = await response.arrayBuffer();
-          
-          // Convert DER to PEM if needed
-          let intermediatePem;
-          try {
-            const intermediateCert = new X509Certificate(new Uint8Array(intermediateData));
-            const b64 = Buffer.from(intermediateCert.rawData).toString('base64');
-            const b64Lines = b64.match(/.{1,64}/g).join('\n');
-            intermediatePem = `-----BEGIN CERTIFICATE-----\n${b64Lines}\n-----END CERTIFICATE-----\n`;
-          } catch (derError) {
-            // Maybe it's already PEM format
-            intermediatePem = Buffer.from(intermediateData).toString('utf8');
-          }
-          
-          // Ensure proper formatting for both certificates
-          const cleanLeaf = leafCertPem.trim();
-          const cleanIntermediate = intermediatePem.trim();
-          
-          // GCP Certificate Manager might expect intermediate first, then leaf
-          console.log('[Chain Builder] Trying intermediate + leaf order (GCP standard)...');
-          const fullChain = cleanIntermediate + '\n' + cleanLeaf + '\n';
-          
-          // Note: Standard SSL order is usually leaf + intermediate + root
-          // But GCP might use a different convention
-          console.log('[Chain Builder] Successfully built certificate chain');
-          console.log('[Chain Builder] Full chain length:', fullChain.length);
-          console.log('[Chain Builder] Number of certificates in chain:', (fullChain.match(/-----BEGIN CERTIFICATE-----/g) || []).length);
-          console.log('[Chain Builder] Chain preview (first 150 chars):', fullChain.substring(0, 150));
-          return fullChain;
-        } else {
-          console.log('[Chain Builder] Failed to download intermediate certificate:', response.status);
-        }
+      const result = await chainBuilderService.buildChain(leafCertPem);
+      for (const link of result.missing) {
+        console.log('[Chain Builder] Missing issuer of', link.subject, '-', link.reason);
       }
-      
-      return null;
+      return result.chain.length > 1 ? result.pem : null;
     } catch (error) {
       console.error('[Chain Builder] Error building certificate chain:', error);
       return null;
@@ -0,0 +1,77 @@
+/**
+ * Mail Service
+ * Sends email over SMTP with the server configured through the environment (SMTP_HOST and
+ * friends). Without SMTP_HOST email is disabled and callers are expected to skip sending.
+ * For local testing, point SMTP_HOST/SMTP_PORT at scripts/smtp-sink.js.
+ */
+
+import { buildMessage, extractAddress, sendMail } from '../utils/smtpClient.js';
+
+const DEFAULT_FROM = 'Enterprise Certificate Manager <no-reply@localhost>';
+
+const isTrue = (value) => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+class MailService {
+  /**
+   * SMTP settings from the environment, read on every call so they can change without a restart
+   * @returns {Object} { host, port, secure, startTls, user, password, from, timeout, tls }
+   */
+  getConfig() {
+    const secure = isTrue(process.env.SMTP_SECURE);
+    return {
+      host: process.env.SMTP_HOST || null,
+      port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      startTls: process.env.SMTP_STARTTLS || 'auto',
+      user: process.env.SMTP_USER || null,
+      password: process.env.SMTP_PASSWORD || null,
+      from: process.env.SMTP_FROM || DEFAULT_FROM,
+      timeout: parseInt(process.env.SMTP_TIMEOUT_MS) || 10000,
+      tls: { rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false' }
+    };
+  }
+
+  /**
+   * Whether an SMTP server is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.getConfig().host);
+  }
+
+  /**
+   * SMTP settings safe to show in the UI (no password)
+   * @returns {Object} { configured, host, port, secure, from, authenticated }
+   */
+  describe() {
+    const config = this.getConfig();
+    return {
+      configured: Boolean(config.host),
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      from: config.from,
+      authenticated: Boolean(config.user)
+    };
+  }
+
+  /**
+   * Send one email
+   * @param {Object} message - to (address or array), subject, text, html (optional)
+   * @returns {Promise<Object>} { accepted, rejected, response }
+   */
+  async send({ to, subject, text, html = null }) {
+    const config = this.getConfig();
+    if (!config.host) {
+      const error = new Error('Email is not configured (set SMTP_HOST)');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const recipients = Array.isArray(to) ? to : [to];
+    const message = buildMessage({ from: config.from, to: recipients, subject, text, html });
+    return sendMail(config, { from: extractAddress(config.from), to: recipients.map(extractAddress) }, message);
+  }
+}
+
+export default new MailService();
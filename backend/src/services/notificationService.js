@@ -0,0 +1,311 @@
+/**
+ * Notification Service
+ * Emails recipients when certificates reach their notification thresholds (the notification
+ * days of their effective expiry thresholds). Runs as the expiry-notifications scheduled job.
+ * Recipients are users or plain addresses, for every certificate or one folder's. Each email
+ * is recorded in notification_deliveries, one per certificate, expiry date, threshold and
+ * recipient, so nothing is sent twice; failed sends are retried on the next run.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import expiryThresholdService from './expiryThresholdService.js';
+import mailService from './mailService.js';
+import notificationTemplateService from './notificationTemplateService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const withStatus = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const formatRecipient = (row) => ({
+  id: row.id,
+  type: row.user_id ? 'user' : 'email',
+  userId: row.user_id || null,
+  username: row.username || null,
+  email: row.user_id ? row.user_email || null : row.email,
+  folderId: row.folder_id || null,
+  folderName: row.folder_name || null,
+  enabled: Boolean(row.enabled),
+  createdBy: row.created_by,
+  createdAt: row.created_at
+});
+
+const formatDelivery = (row) => ({
+  id: row.id,
+  certificateId: row.certificate_id,
+  commonName: row.common_name || null,
+  validTo: row.valid_to,
+  thresholdDays: row.threshold_days,
+  recipient: row.recipient,
+  templateKey: row.template_key,
+  subject: row.subject,
+  status: row.status,
+  error: row.error,
+  attempts: row.attempts,
+  jobRunId: row.job_run_id,
+  sentAt: row.sent_at
+});
+
+const RECIPIENT_QUERY = `
+  SELECT r.*, u.username, u.email AS user_email, u.active AS user_active, f.name AS folder_name
+  FROM notification_recipients r
+  LEFT JOIN users u ON u.id = r.user_id
+  LEFT JOIN folders f ON f.id = r.folder_id
+`;
+
+/**
+ * Threshold a certificate is due to be notified for: the smallest notification day count
+ * it has reached. A certificate first seen at 5 days left is notified once, for the 7-day
+ * threshold, rather than for 30, 15 and 7 at once.
+ * @param {number} daysRemaining - Whole days until expiry
+ * @param {Array<number>} notificationDays - Thresholds in days
+ * @returns {number|null} Threshold, or null when none is reached
+ */
+export function dueThreshold(daysRemaining, notificationDays) {
+  const reached = notificationDays.filter(days => daysRemaining <= days);
+  return reached.length > 0 ? Math.min(...reached) : null;
+}
+
+class NotificationService {
+  /**
+   * Recipients, optionally only those of one user
+   * @param {Object} filters - userId
+   * @returns {Promise<Array<Object>>} Recipients
+   */
+  async listRecipients({ userId = null } = {}) {
+    const db = getDatabase();
+    const rows = userId
+      ? await db.allAsync(`${RECIPIENT_QUERY} WHERE r.user_id = ? ORDER BY r.created_at`, [userId])
+      : await db.allAsync(`${RECIPIENT_QUERY} ORDER BY r.created_at`);
+    return (rows || []).map(formatRecipient);
+  }
+
+  /**
+   * One recipient
+   * @param {string} id - Recipient ID
+   * @returns {Promise<Object|null>} Recipient, or null if there is none
+   */
+  async getRecipient(id) {
+    const db = getDatabase();
+    const row = await db.getAsync(`${RECIPIENT_QUERY} WHERE r.id = ?`, [id]);
+    return row ? formatRecipient(row) : null;
+  }
+
+  /**
+   * Add a recipient
+   * @param {Object} recipient - userId or email, and folderId (omit for every certificate)
+   * @param {Object} options - createdBy (user ID)
+   * @returns {Promise<Object>} Created recipient
+   */
+  async addRecipient({ userId = null, email = null, folderId = null }, { createdBy = null } = {}) {
+    const db = getDatabase();
+    if (Boolean(userId) === Boolean(email)) {
+      throw withStatus('Give either a userId or an email address', 400);
+    }
+    if (userId && !await db.getAsync('SELECT id FROM users WHERE id = ?', [userId])) {
+      throw withStatus('User not found', 404);
+    }
+    if (folderId && !await db.getAsync('SELECT id FROM folders WHERE id = ?', [folderId])) {
+      throw withStatus('Folder not found', 404);
+    }
+
+    const address = email ? email.trim().toLowerCase() : null;
+    const duplicate = await db.getAsync(
+      `SELECT id FROM notification_recipients WHERE ${userId ? 'user_id = ?' : 'email = ?'} AND ${folderId ? 'folder_id = ?' : 'folder_id IS NULL'}`,
+      folderId ? [userId || address, folderId] : [userId || address]
+    );
+    if (duplicate) {
+      throw withStatus('This recipient is already notified for these certificates', 409);
+    }
+
+    const id = uuidv4();
+    await db.runAsync(
+      'INSERT INTO notification_recipients (id, user_id, email, folder_id, enabled, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, userId || null, address, folderId || null, 1, createdBy ? String(createdBy) : null, new Date().toISOString()]
+    );
+    console.log(`[Notifications] Recipient ${userId ? `user ${userId}` : address} added${folderId ? ` for folder ${folderId}` : ''}`);
+
+    return this.getRecipient(id);
+  }
+
+  /**
+   * Pause or resume a recipient
+   * @param {string} id - Recipient ID
+   * @param {boolean} enabled - Whether the recipient is emailed
+   * @returns {Promise<Object|null>} Updated recipient, or null if there is none
+   */
+  async setRecipientEnabled(id, enabled) {
+    const db = getDatabase();
+    await db.runAsync('UPDATE notification_recipients SET enabled = ? WHERE id = ?', [enabled ? 1 : 0, id]);
+    return this.getRecipient(id);
+  }
+
+  /**
+   * Remove a recipient
+   * @param {string} id - Recipient ID
+   */
+  async removeRecipient(id) {
+    const db = getDatabase();
+    await db.runAsync('DELETE FROM notification_recipients WHERE id = ?', [id]);
+    console.log(`[Notifications] Recipient ${id} removed`);
+  }
+
+  /**
+   * Sent and failed emails, newest first
+   * @param {Object} filters - certificateId, status and limit (default 100, max 1000)
+   * @returns {Promise<Array<Object>>} Deliveries
+   */
+  async getDeliveries({ certificateId = null, status = null, limit = 100 } = {}) {
+    const db = getDatabase();
+    const conditions = [];
+    const params = [];
+    if (certificateId) {
+      conditions.push('d.certificate_id = ?');
+      params.push(certificateId);
+    }
+    if (status) {
+      conditions.push('d.status = ?');
+      params.push(status);
+    }
+    params.push(Math.min(Math.max(parseInt(limit) || 100, 1), 1000));
+
+    const rows = await db.allAsync(`
+      SELECT d.*, c.common_name
+      FROM notification_deliveries d
+      LEFT JOIN certificates c ON c.id = d.certificate_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY d.sent_at DESC
+      LIMIT ?
+    `, params);
+    return (rows || []).map(formatDelivery);
+  }
+
+  /**
+   * Addresses to notify about a certificate: enabled recipients for every certificate or for
+   * one of the certificate's folders, users without an email or inactive left out
+   * @param {Array<Object>} recipients - Recipient rows (RECIPIENT_QUERY)
+   * @param {Set<string>} folderIds - The certificate's primary and additional folders
+   * @returns {Array<string>} Lowercase addresses, without repeats
+   */
+  addressesFor(recipients, folderIds) {
+    const addresses = recipients
+      .filter(row => row.enabled && (!row.folder_id || folderIds.has(row.folder_id)))
+      .filter(row => !row.user_id || (row.user_email && row.user_active !== 0 && row.user_active !== false))
+      .map(row => (row.user_id ? row.user_email : row.email).toLowerCase());
+    return [...new Set(addresses)];
+  }
+
+  /**
+   * Email every recipient about certificates that reached a notification threshold
+   * @param {Object} options - now (evaluation date) and jobRunId (recorded on the deliveries)
+   * @returns {Promise<Object>} { due, sent, failed, alreadySent } or { skipped: true, reason }
+   */
+  async sendExpiryNotifications({ now = new Date(), jobRunId = null } = {}) {
+    if (!mailService.isConfigured()) {
+      console.warn('[Notifications] SMTP_HOST is not set; expiry notifications skipped');
+      return { skipped: true, reason: 'Email is not configured' };
+    }
+
+    const db = getDatabase();
+    const certificates = await db.allAsync(`
+      SELECT c.id, c.common_name, c.serial_number, c.issuer, c.folder_id, c.valid_to, f.name AS folder_name
+      FROM certificates c
+      LEFT JOIN folders f ON f.id = c.folder_id
+      WHERE c.status NOT IN ('EXPIRED', 'REVOKED') AND c.valid_to > ?
+    `, [now.toISOString()]) || [];
+    const recipients = await db.allAsync(RECIPIENT_QUERY) || [];
+    const memberships = await db.allAsync('SELECT certificate_id, folder_id FROM certificate_folders') || [];
+    const thresholdsOf = await expiryThresholdService.createResolver();
+    const template = await notificationTemplateService.getTemplate('expiry-warning');
+
+    const summary = { due: 0, sent: 0, failed: 0, alreadySent: 0 };
+    for (const certificate of certificates) {
+      const validTo = new Date(certificate.valid_to);
+      const daysRemaining = Math.ceil((validTo.getTime() - now.getTime()) / DAY);
+      const thresholdDays = dueThreshold(daysRemaining, thresholdsOf(certificate).notificationDays);
+      if (thresholdDays === null) {
+        continue;
+      }
+
+      const folderIds = new Set([certificate.folder_id, ...memberships
+        .filter(row => row.certificate_id === certificate.id)
+        .map(row => row.folder_id)]);
+      const addresses = this.addressesFor(recipients, folderIds);
+      if (addresses.length === 0) {
+        continue;
+      }
+      summary.due++;
+
+      const message = notificationTemplateService.render(template, {
+        commonName: certificate.common_name,
+        serialNumber: certificate.serial_number,
+        issuer: certificate.issuer,
+        folderName: certificate.folder_name || 'None',
+        validTo: validTo.toUTCString(),
+        daysRemaining,
+        thresholdDays,
+        certificateId: certificate.id,
+        appUrl: process.env.FRONTEND_URL || ''
+      });
+
+      for (const recipient of addresses) {
+        const previous = await db.getAsync(
+          'SELECT id, status, attempts FROM notification_deliveries WHERE certificate_id = ? AND valid_to = ? AND threshold_days = ? AND recipient = ?',
+          [certificate.id, certificate.valid_to, thresholdDays, recipient]
+        );
+        if (previous?.status === 'sent') {
+          summary.alreadySent++;
+          continue;
+        }
+
+        let error = null;
+        try {
+          await mailService.send({ to: recipient, subject: message.subject, text: message.text });
+          summary.sent++;
+        } catch (sendError) {
+          error = sendError.message;
+          summary.failed++;
+          console.error(`[Notifications] Could not email ${recipient} about ${certificate.common_name}:`, error);
+        }
+
+        const status = error ? 'failed' : 'sent';
+        if (previous) {
+          await db.runAsync(
+            'UPDATE notification_deliveries SET status = ?, error = ?, subject = ?, attempts = ?, job_run_id = ?, sent_at = ? WHERE id = ?',
+            [status, error, message.subject, previous.attempts + 1, jobRunId, now.toISOString(), previous.id]
+          );
+        } else {
+          await db.runAsync(`
+            INSERT INTO notification_deliveries
+              (id, certificate_id, valid_to, threshold_days, recipient, template_key, subject, status, error, attempts, job_run_id, sent_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            uuidv4(), certificate.id, certificate.valid_to, thresholdDays, recipient, template.key,
+            message.subject, status, error, 1, jobRunId, now.toISOString()
+          ]);
+        }
+      }
+    }
+
+    if (summary.sent > 0 || summary.failed > 0) {
+      console.log(`[Notifications] Expiry notifications: ${summary.sent} sent, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+
+  /**
+   * Send a test email, to check the SMTP settings
+   * @param {string} to - Address
+   * @returns {Promise<Object>} { accepted, rejected, response }
+   */
+  async sendTestEmail(to) {
+    const { host, port } = mailService.getConfig();
+    return mailService.send({
+      to,
+      subject: 'Enterprise Certificate Manager test email',
+      text: `This is a test email from Enterprise Certificate Manager, sent through ${host}:${port}.\n\nExpiry notifications will be delivered the same way.`
+    });
+  }
+}
+
+export default new NotificationService();
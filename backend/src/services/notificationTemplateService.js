@@ -0,0 +1,212 @@
+/**
+ * Notification Template Service
+ * Subject and body of the emails the application sends. Each template has built-in text
+ * that administrators can replace; {{placeholder}} markers are filled in when rendering and
+ * only the placeholders a template lists are accepted.
+ */
+
+import { getDatabase } from '../database/flexible-init.js';
+
+export const TEMPLATES = {
+  'expiry-warning': {
+    description: 'Sent when a certificate reaches one of its notification thresholds',
+    placeholders: {
+      commonName: 'Common name of the certificate',
+      serialNumber: 'Serial number',
+      issuer: 'Issuer distinguished name',
+      folderName: 'Folder the certificate is filed in',
+      validTo: 'Expiry date and time (UTC)',
+      daysRemaining: 'Whole days until expiry',
+      thresholdDays: 'Notification threshold that was reached, in days',
+      certificateId: 'Certificate ID',
+      appUrl: 'Address of the application (FRONTEND_URL)'
+    },
+    // Values used to preview the template
+    sample: {
+      commonName: 'www.example.com',
+      serialNumber: '0a1b2c3d4e5f',
+      issuer: 'CN=Example Issuing CA, O=Example Corp',
+      folderName: 'Production',
+      validTo: 'Tue, 30 Sep 2025 23:59:59 GMT',
+      daysRemaining: 14,
+      thresholdDays: 15,
+      certificateId: '00000000-0000-0000-0000-000000000000',
+      appUrl: 'https://certificates.example.com'
+    },
+    subject: 'Certificate expiring: {{commonName}} in {{daysRemaining}} days',
+    body: [
+      'Hello,',
+      '',
+      'The certificate for {{commonName}} expires in {{daysRemaining}} days.',
+      '',
+      'Common Name:   {{commonName}}',
+      'Serial Number: {{serialNumber}}',
+      'Issuer:        {{issuer}}',
+      'Folder:        {{folderName}}',
+      'Expires On:    {{validTo}}',
+      '',
+      'This notice was sent because the certificate is within its {{thresholdDays}}-day warning period.',
+      'Please renew it before it expires.',
+      '',
+      '{{appUrl}}',
+      '',
+      'Enterprise Certificate Manager'
+    ].join('\n')
+  },
+  'expiry-digest': {
+    description: 'Periodic summary of expiring, expired and new certificates and policy violations',
+    placeholders: {
+      scope: 'Folder the digest covers, or "All certificates"',
+      periodStart: 'Start of the reported period (UTC date)',
+      periodEnd: 'End of the reported period (UTC date)',
+      daysAhead: 'Days ahead expiring certificates are listed for',
+      expiringCount: 'Certificates expiring within daysAhead days',
+      expiredCount: 'Certificates that expired during the period',
+      uploadedCount: 'Certificates uploaded during the period',
+      violationCount: 'Certificates violating their folder policy',
+      report: 'The report, grouped by folder',
+      appUrl: 'Address of the application (FRONTEND_URL)'
+    },
+    sample: {
+      scope: 'Production',
+      periodStart: '2025-06-23',
+      periodEnd: '2025-06-30',
+      daysAhead: 30,
+      expiringCount: 1,
+      expiredCount: 0,
+      uploadedCount: 1,
+      violationCount: 0,
+      report: [
+        'Inventory: 12 certificates (10 valid, 1 expiring soon, 1 expired)',
+        '',
+        '== Production ==',
+        'Expiring in the next 30 days (1):',
+        '  - www.example.com expires 2025-07-14 (14 days)',
+        'Newly uploaded (1):',
+        '  - api.example.com uploaded 2025-06-27'
+      ].join('\n'),
+      appUrl: 'https://certificates.example.com'
+    },
+    subject: 'Certificate digest for {{scope}}: {{expiringCount}} expiring, {{expiredCount}} expired',
+    body: [
+      'Hello,',
+      '',
+      'This is the certificate digest for {{scope}} from {{periodStart}} to {{periodEnd}}.',
+      '',
+      '{{report}}',
+      '',
+      '{{appUrl}}',
+      '',
+      'Enterprise Certificate Manager'
+    ].join('\n')
+  }
+};
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+const placeholdersIn = (text) => [...text.matchAll(PLACEHOLDER)].map(match => match[1]);
+
+const notFound = (key) => {
+  const error = new Error(`Unknown notification template: ${key}`);
+  error.statusCode = 404;
+  return error;
+};
+
+class NotificationTemplateService {
+  /**
+   * Every template with its current text
+   * @returns {Promise<Array<Object>>} [{ key, description, placeholders, sample, subject, body, customized, updatedBy, updatedAt }]
+   */
+  async listTemplates() {
+    return Promise.all(Object.keys(TEMPLATES).map(key => this.getTemplate(key)));
+  }
+
+  /**
+   * One template: the edited text if there is one, the built-in text otherwise
+   * @param {string} key - Template key
+   * @returns {Promise<Object>} Template (see listTemplates)
+   */
+  async getTemplate(key) {
+    const template = TEMPLATES[key];
+    if (!template) {
+      throw notFound(key);
+    }
+
+    const db = getDatabase();
+    const row = await db.getAsync('SELECT * FROM notification_templates WHERE template_key = ?', [key]);
+    return {
+      key,
+      description: template.description,
+      placeholders: template.placeholders,
+      sample: template.sample,
+      subject: row ? row.subject : template.subject,
+      body: row ? row.body : template.body,
+      customized: Boolean(row),
+      updatedBy: row?.updated_by || null,
+      updatedAt: row?.updated_at || null
+    };
+  }
+
+  /**
+   * Replace the text of a template
+   * @param {string} key - Template key
+   * @param {Object} text - subject and body
+   * @param {Object} options - userId of the editor
+   * @returns {Promise<Object>} Updated template
+   */
+  async setTemplate(key, { subject, body }, { userId = null } = {}) {
+    const template = TEMPLATES[key];
+    if (!template) {
+      throw notFound(key);
+    }
+
+    const unknown = [...new Set(placeholdersIn(`${subject}\n${body}`))].filter(name => !(name in template.placeholders));
+    if (unknown.length > 0) {
+      const error = new Error(`Unknown placeholders: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const db = getDatabase();
+    await db.runAsync('DELETE FROM notification_templates WHERE template_key = ?', [key]);
+    await db.runAsync(
+      'INSERT INTO notification_templates (template_key, subject, body, updated_by, updated_at) VALUES (?, ?, ?, ?, ?)',
+      [key, subject, body, userId ? String(userId) : null, new Date().toISOString()]
+    );
+    console.log(`[Notifications] Template ${key} updated`);
+
+    return this.getTemplate(key);
+  }
+
+  /**
+   * Go back to the built-in text of a template
+   * @param {string} key - Template key
+   * @returns {Promise<Object>} Template
+   */
+  async resetTemplate(key) {
+    if (!TEMPLATES[key]) {
+      throw notFound(key);
+    }
+    const db = getDatabase();
+    await db.runAsync('DELETE FROM notification_templates WHERE template_key = ?', [key]);
+    console.log(`[Notifications] Template ${key} reset`);
+    return this.getTemplate(key);
+  }
+
+  /**
+   * Fill in a template
+   * @param {Object} template - subject and body, e.g. from getTemplate()
+   * @param {Object} values - Placeholder values; missing ones render as empty text
+   * @returns {Object} { subject, text }
+   */
+  render(template, values) {
+    const fill = (text) => text.replace(PLACEHOLDER, (match, name) => (values[name] ?? '').toString());
+    return {
+      // A subject is a single header line
+      subject: fill(template.subject).replace(/\s*[\r\n]+\s*/g, ' ').trim(),
+      text: fill(template.body)
+    };
+  }
+}
+
+export default new NotificationTemplateService();
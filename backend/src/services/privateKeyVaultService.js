@@ -0,0 +1,276 @@
+/**
+ * Private Key Vault Service
+ * Keeps certificate private keys (and other secrets, such as internal CA keys) out of the
+ * certificates table. Keys are always encrypted (AES-256-GCM) and, when USE_SECRET_MANAGER_KEYS is
+ * enabled, the ciphertext is stored in the configured secret manager with only
+ * a reference kept in the database.
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import SecretManagerService from './secretManagerService.js';
+import { describePublicKey } from '../utils/certificateParser.js';
+
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+
+class PrivateKeyVaultService {
+  constructor() {
+    this.useSecretManager = process.env.USE_SECRET_MANAGER_KEYS === 'true';
+    this.secretManager = null;
+    this.initializationPromise = null;
+  }
+
+  /**
+   * Lazily initialize the secret manager client
+   * @returns {Promise<boolean>} True if the secret manager can be used
+   */
+  async ensureSecretManager() {
+    if (!this.useSecretManager) {
+      return false;
+    }
+
+    if (!this.secretManager) {
+      this.secretManager = new SecretManagerService();
+      this.initializationPromise = this.secretManager.initializeClient().catch((error) => {
+        console.log('⚠️ Secret Manager not available for private keys:', error.message);
+      });
+    }
+
+    await this.initializationPromise;
+    return this.secretManager.isAvailable;
+  }
+
+  /**
+   * Derive the 256-bit encryption key from the configured secret
+   * @returns {Buffer} Encryption key
+   */
+  getEncryptionKey() {
+    const secret = process.env.PRIVATE_KEY_ENCRYPTION_SECRET || 'default-key-change-in-production';
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  /**
+   * Encrypt a PEM private key
+   * @param {string} privateKeyPem - PEM encoded private key
+   * @returns {string} Serialized ciphertext (iv:authTag:data, hex encoded)
+   */
+  encrypt(privateKeyPem) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(privateKeyPem, 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+    return [iv.toString('hex'), authTag.toString('hex'), encrypted.toString('hex')].join(':');
+  }
+
+  /**
+   * Decrypt a value produced by encrypt()
+   * @param {string} payload - Serialized ciphertext
+   * @returns {string} PEM encoded private key
+   */
+  decrypt(payload) {
+    const [ivHex, authTagHex, dataHex] = payload.split(':');
+    const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, this.getEncryptionKey(), Buffer.from(ivHex, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(dataHex, 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Encrypt a secret and, when the secret manager is in use, store the ciphertext there
+   * @param {string} secretName - Name of the secret in the secret manager
+   * @param {string} value - Secret to seal
+   * @param {Object} labels - Secret manager labels (type, description, ...)
+   * @returns {Promise<Object>} { keyReference, encryptedKey }: the secret manager reference, or
+   *   the ciphertext to keep in the database
+   */
+  async sealSecret(secretName, value, labels = {}) {
+    const encrypted = this.encrypt(value);
+
+    if (await this.ensureSecretManager()) {
+      await this.secretManager.createSecret(secretName, encrypted, labels);
+      return { keyReference: `${this.secretManager.provider}-secret:${secretName}`, encryptedKey: null };
+    }
+
+    return { keyReference: null, encryptedKey: encrypted };
+  }
+
+  /**
+   * Read back a secret sealed by sealSecret()
+   * @param {Object} sealed - { keyReference, encryptedKey }
+   * @returns {Promise<string>} The secret
+   */
+  async openSecret({ keyReference, encryptedKey }) {
+    let encrypted = encryptedKey;
+    if (keyReference) {
+      if (!(await this.ensureSecretManager())) {
+        throw new Error('Private key is held in Secret Manager, which is not available');
+      }
+      const [, secretName] = keyReference.split('-secret:');
+      encrypted = await this.secretManager.getSecret(secretName);
+    }
+
+    return this.decrypt(encrypted);
+  }
+
+  /**
+   * Remove a secret sealed by sealSecret() from the secret manager
+   * @param {string|null} keyReference - Secret manager reference (nothing to do when null)
+   */
+  async deleteSecret(keyReference) {
+    if (!keyReference || !(await this.ensureSecretManager())) {
+      return;
+    }
+
+    try {
+      const [, secretName] = keyReference.split('-secret:');
+      await this.secretManager.deleteSecret(secretName);
+    } catch (error) {
+      console.warn('Failed to delete private key secret:', error.message);
+    }
+  }
+
+  /**
+   * Encrypt and store the private key belonging to a certificate
+   * @param {string} certificateId - Certificate ID
+   * @param {string} privateKeyPem - PEM encoded private key
+   * @param {Object} options - Optional userId of the uploader
+   * @returns {Promise<Object>} Stored key metadata (never the key itself)
+   */
+  async storePrivateKey(certificateId, privateKeyPem, { userId = null } = {}) {
+    const db = getDatabase();
+    const keyObject = crypto.createPrivateKey(privateKeyPem);
+    const normalizedPem = keyObject.export({ type: 'pkcs8', format: 'pem' }).toString();
+
+    const { keyReference, encryptedKey } = await this.sealSecret(`certificate-key-${certificateId}`, normalizedPem, {
+      type: 'certificate-private-key',
+      certificateId: certificateId.toString(),
+      description: `Private key for certificate ${certificateId}`
+    });
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    await db.runAsync('DELETE FROM certificate_private_keys WHERE certificate_id = ?', [certificateId]);
+    await db.runAsync(`
+      INSERT INTO certificate_private_keys (
+        id, certificate_id, key_algorithm, key_reference, encrypted_key, created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [id, certificateId, keyObject.asymmetricKeyType, keyReference, encryptedKey, userId, now]);
+
+    console.log(`🔐 Private key vaulted for certificate ${certificateId}`);
+
+    return {
+      id,
+      certificateId,
+      keyAlgorithm: keyObject.asymmetricKeyType,
+      storage: keyReference ? 'secret-manager' : 'database'
+    };
+  }
+
+  /**
+   * Retrieve and decrypt the private key for a certificate
+   * @param {string} certificateId - Certificate ID
+   * @returns {Promise<string|null>} PEM encoded private key, or null if none is held
+   */
+  async getPrivateKey(certificateId) {
+    const db = getDatabase();
+    const record = await db.getAsync(
+      'SELECT key_reference, encrypted_key FROM certificate_private_keys WHERE certificate_id = ?',
+      [certificateId]
+    );
+
+    if (!record) {
+      return null;
+    }
+
+    return this.openSecret({ keyReference: record.key_reference, encryptedKey: record.encrypted_key });
+  }
+
+  /**
+   * Check whether a private key is held for a certificate
+   * @param {string} certificateId - Certificate ID
+   * @returns {Promise<boolean>} True if a key is vaulted
+   */
+  async hasPrivateKey(certificateId) {
+    const db = getDatabase();
+    const record = await db.getAsync(
+      'SELECT id FROM certificate_private_keys WHERE certificate_id = ?',
+      [certificateId]
+    );
+    return Boolean(record);
+  }
+
+  /**
+   * Find the inventory certificates whose public key matches a fingerprint.
+   * Certificates stored before public keys were fingerprinted are backfilled first.
+   * @param {string} publicKeySha256 - SHA-256 of the DER SubjectPublicKeyInfo
+   * @returns {Promise<Array>} Matching certificates (id, common_name)
+   */
+  async findCertificatesForPublicKey(publicKeySha256) {
+    const db = getDatabase();
+
+    const unfingerprinted = await db.allAsync(
+      'SELECT id, pem_content FROM certificates WHERE public_key_sha256 IS NULL AND pem_content IS NOT NULL'
+    ) || [];
+    for (const certificate of unfingerprinted) {
+      try {
+        const spki = new crypto.X509Certificate(certificate.pem_content).publicKey.export({ type: 'spki', format: 'der' });
+        await db.runAsync(
+          'UPDATE certificates SET public_key_sha256 = ? WHERE id = ?',
+          [describePublicKey(spki).publicKeySha256, certificate.id]
+        );
+      } catch (error) {
+        console.warn(`Could not fingerprint public key of certificate ${certificate.id}:`, error.message);
+      }
+    }
+
+    return db.allAsync(
+      'SELECT id, common_name FROM certificates WHERE public_key_sha256 = ?',
+      [publicKeySha256]
+    );
+  }
+
+  /**
+   * Attach an uploaded private key to every certificate issued for it
+   * @param {Object} parsedKey - Output of parsePrivateKey()
+   * @param {Object} options - Optional userId of the uploader
+   * @returns {Promise<Array<string>>} IDs of the certificates the key was stored for
+   */
+  async attachPrivateKey(parsedKey, { userId = null } = {}) {
+    const certificates = await this.findCertificatesForPublicKey(parsedKey.publicKeySha256);
+
+    if (certificates.length === 0) {
+      const error = new Error('The private key does not match any certificate in the inventory.');
+      error.statusCode = 422;
+      throw error;
+    }
+
+    for (const certificate of certificates) {
+      await this.storePrivateKey(certificate.id, parsedKey.privateKeyPem, { userId });
+    }
+
+    return certificates.map(certificate => certificate.id);
+  }
+
+  /**
+   * Remove the private key held for a certificate
+   * @param {string} certificateId - Certificate ID
+   */
+  async deletePrivateKey(certificateId) {
+    const db = getDatabase();
+    const record = await db.getAsync(
+      'SELECT key_reference FROM certificate_private_keys WHERE certificate_id = ?',
+      [certificateId]
+    );
+
+    if (!record) {
+      return;
+    }
+
+    await this.deleteSecret(record.key_reference);
+
+    await db.runAsync('DELETE FROM certificate_private_keys WHERE certificate_id = ?', [certificateId]);
+  }
+}
+
+export default new PrivateKeyVaultService();
@@ -0,0 +1,266 @@
+/**
+ * Revocation Service
+ * Checks whether certificates have been revoked, through the OCSP responders and CRL
+ * distribution points named in the certificate. OCSP is tried first; CRLs are the
+ * fallback. Responses are verified against the issuer (found by the chain builder) and
+ * cached until their nextUpdate. Revoked certificates get status REVOKED.
+ */
+
+import crypto from 'crypto';
+import * as x509 from '@peculiar/x509';
+import { getDatabase } from '../database/flexible-init.js';
+import chainBuilderService from './chainBuilderService.js';
+import certificateEventService from './certificateEventService.js';
+import expiryThresholdService from './expiryThresholdService.js';
+import { parseCertificate } from '../utils/certificateParser.js';
+import { buildOcspRequest, parseOcspResponse, CRL_REASONS } from '../utils/ocsp.js';
+import { readResponseBody } from '../utils/responseBody.js';
+
+const REVOCATION_TIMEOUT = parseInt(process.env.REVOCATION_TIMEOUT_MS) || 5000;
+const REVOCATION_CACHE_TTL = (parseInt(process.env.REVOCATION_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const CRL_MAX_SIZE = (parseInt(process.env.REVOCATION_CRL_MAX_SIZE_MB) || 20) * 1024 * 1024;
+
+const isHttpUrl = (url) => /^https?:\/\//i.test(url);
+
+// Cached entries are fresh until their nextUpdate, and never for longer than the TTL
+const isFresh = (entry) => {
+  const fetchedAt = new Date(entry.fetched_at).getTime();
+  const expiresAt = entry.next_update
+    ? Math.min(new Date(entry.next_update).getTime(), fetchedAt + REVOCATION_CACHE_TTL)
+    : fetchedAt + REVOCATION_CACHE_TTL;
+  return Date.now() < expiresAt;
+};
+
+/**
+ * Download a revocation resource with a timeout and a size limit
+ * @param {string} url - Responder or CRL URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Buffer>} Response body
+ */
+async function download(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REVOCATION_TIMEOUT), redirect: 'follow' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return await readResponseBody(response, CRL_MAX_SIZE);
+}
+
+class RevocationService {
+  /**
+   * Check a certificate with OCSP, then its CRLs, and record the outcome on the record
+   * @param {Object} certificate - Certificate row (id, folder_id, valid_to, pem_content, chain_pem, status)
+   * @param {Object} options - jobRunId of the scheduled run doing the check, if any
+   * @returns {Promise<Object>} { certificateId, status: 'good' | 'revoked' | 'unknown', reason,
+   *   revokedAt, source: 'ocsp' | 'crl' | null, url, checkedAt, errors: [{ url, error }] }
+   */
+  async checkCertificate(certificate, { jobRunId = null } = {}) {
+    const parsed = await parseCertificate(Buffer.from(certificate.pem_content), `${certificate.id}.pem`);
+    const result = {
+      certificateId: certificate.id,
+      status: 'unknown',
+      reason: null,
+      revokedAt: null,
+      source: null,
+      url: null,
+      checkedAt: new Date().toISOString(),
+      errors: []
+    };
+
+    const ocspUrls = (parsed.ocspUrls || []).filter(isHttpUrl);
+    const crlUrls = (parsed.crlDistributionPoints || []).filter(isHttpUrl);
+    if (ocspUrls.length === 0 && crlUrls.length === 0) {
+      result.errors.push({ url: null, error: 'Certificate names no OCSP responder or CRL distribution point' });
+      return this.recordResult(certificate, result, { jobRunId });
+    }
+
+    const { chain } = await chainBuilderService.buildChain(certificate.pem_content, {
+      candidates: certificate.chain_pem ? [certificate.chain_pem] : []
+    });
+    const issuerPem = chain[1]?.pem;
+    if (!issuerPem) {
+      result.errors.push({ url: null, error: 'Issuer certificate not found; revocation responses cannot be verified' });
+      return this.recordResult(certificate, result, { jobRunId });
+    }
+
+    const sources = [
+      ...ocspUrls.map(url => ({ source: 'ocsp', url, check: () => this.checkOcsp(url, certificate.pem_content, issuerPem) })),
+      ...crlUrls.map(url => ({ source: 'crl', url, check: () => this.checkCrl(url, parsed, issuerPem) }))
+    ];
+    for (const { source, url, check } of sources) {
+      try {
+        const outcome = await check();
+        if (outcome.status === 'unknown') {
+          result.errors.push({ url, error: 'Responder does not know this certificate' });
+          continue;
+        }
+        Object.assign(result, { status: outcome.status, reason: outcome.reason, revokedAt: outcome.revokedAt, source, url });
+        break;
+      } catch (error) {
+        console.warn(`[Revocation] ${source.toUpperCase()} check failed for ${certificate.id} at ${url}:`, error.message);
+        result.errors.push({ url, error: error.message });
+      }
+    }
+
+    return this.recordResult(certificate, result, { jobRunId });
+  }
+
+  /**
+   * Query an OCSP responder, or use its cached response
+   * @param {string} url - Responder URL
+   * @param {string} certificatePem - Certificate
+   * @param {string} issuerPem - Its issuer
+   * @returns {Promise<Object>} parseOcspResponse() result
+   */
+  async checkOcsp(url, certificatePem, issuerPem) {
+    const db = getDatabase();
+    const request = buildOcspRequest(certificatePem, issuerPem);
+    // The request is the same every time for a certificate, so it makes a good cache key
+    const cacheKey = `${url}|${crypto.createHash('sha256').update(request).digest('hex')}`;
+
+    const cached = await db.getAsync('SELECT response_der, next_update, fetched_at FROM ocsp_response_cache WHERE cache_key = ?', [cacheKey]);
+    if (cached && isFresh(cached)) {
+      return parseOcspResponse(Buffer.from(cached.response_der, 'base64'), certificatePem, issuerPem);
+    }
+
+    console.log('[Revocation] Querying OCSP responder:', url);
+    const response = await download(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/ocsp-request', Accept: 'application/ocsp-response' },
+      body: request
+    });
+    const outcome = parseOcspResponse(response, certificatePem, issuerPem);
+
+    await db.runAsync('DELETE FROM ocsp_response_cache WHERE cache_key = ?', [cacheKey]);
+    await db.runAsync(
+      'INSERT INTO ocsp_response_cache (cache_key, response_der, next_update, fetched_at) VALUES (?, ?, ?, ?)',
+      [cacheKey, response.toString('base64'), outcome.nextUpdate, new Date().toISOString()]
+    );
+    return outcome;
+  }
+
+  /**
+   * Look a certificate up in a CRL, downloading the CRL unless a fresh copy is cached
+   * @param {string} url - CRL distribution point
+   * @param {Object} certificate - Parsed certificate
+   * @param {string} issuerPem - Its issuer, which must have signed the CRL
+   * @returns {Promise<Object>} { status: 'good' | 'revoked', reason, revokedAt }
+   */
+  async checkCrl(url, certificate, issuerPem) {
+    const db = getDatabase();
+    const issuer = new x509.X509Certificate(issuerPem);
+
+    const cached = await db.getAsync('SELECT crl_der, next_update, fetched_at FROM crl_cache WHERE url = ?', [url]);
+    let crl;
+    if (cached && isFresh(cached)) {
+      crl = new x509.X509Crl(Buffer.from(cached.crl_der, 'base64'));
+    } else {
+      console.log('[Revocation] Downloading CRL:', url);
+      const body = await download(url);
+      // CRLs are usually DER; some servers publish PEM
+      crl = new x509.X509Crl(body.toString('utf8').includes('-----BEGIN X509 CRL-----') ? body.toString('utf8') : body);
+      if (crl.issuer !== issuer.subject) {
+        throw new Error(`CRL is issued by "${crl.issuer}", not by the certificate's issuer`);
+      }
+      if (!(await crl.verify({ publicKey: issuer.publicKey }))) {
+        throw new Error('CRL signature does not verify with the issuer key');
+      }
+
+      await db.runAsync('DELETE FROM crl_cache WHERE url = ?', [url]);
+      await db.runAsync(
+        'INSERT INTO crl_cache (url, crl_der, next_update, fetched_at) VALUES (?, ?, ?, ?)',
+        [url, Buffer.from(crl.rawData).toString('base64'), crl.nextUpdate?.toISOString() || null, new Date().toISOString()]
+      );
+    }
+
+    if (crl.nextUpdate && crl.nextUpdate.getTime() < Date.now()) {
+      throw new Error(`CRL expired at ${crl.nextUpdate.toISOString()}`);
+    }
+
+    const serial = certificate.serialNumber.toLowerCase().replace(/^(00)+(?=[0-9a-f])/, '');
+    const entry = crl.entries.find(candidate => candidate.serialNumber.toLowerCase().replace(/^(00)+(?=[0-9a-f])/, '') === serial);
+    if (!entry || CRL_REASONS[entry.reason] === 'removeFromCRL') {
+      return { status: 'good', reason: null, revokedAt: null };
+    }
+    return {
+      status: 'revoked',
+      reason: CRL_REASONS[entry.reason] || 'unspecified',
+      revokedAt: entry.revocationDate.toISOString()
+    };
+  }
+
+  /**
+   * Store a check outcome on the certificate record. Revoked certificates become REVOKED;
+   * a certificate taken off hold gets its date-based status back. An inconclusive check
+   * keeps the last known revocation status and only records why it failed. Status changes
+   * are recorded as certificate events.
+   * @param {Object} certificate - Certificate row
+   * @param {Object} result - checkCertificate() result
+   * @param {Object} options - jobRunId to record on the event
+   * @returns {Promise<Object>} The result
+   */
+  async recordResult(certificate, result, { jobRunId = null } = {}) {
+    const db = getDatabase();
+
+    if (result.status === 'unknown') {
+      await db.runAsync(
+        "UPDATE certificates SET revocation_status = COALESCE(revocation_status, 'unknown'), revocation_checked_at = ?, revocation_error = ? WHERE id = ?",
+        [result.checkedAt, result.errors.map(error => error.error).join('; ') || null, certificate.id]
+      );
+      return result;
+    }
+
+    let status = certificate.status;
+    if (result.status === 'revoked') {
+      status = 'REVOKED';
+    } else if (certificate.status === 'REVOKED') {
+      status = await expiryThresholdService.calculateStatus(certificate);
+    }
+
+    await db.runAsync(`
+      UPDATE certificates SET
+        revocation_status = ?, revocation_reason = ?, revoked_at = ?, revocation_source = ?,
+        revocation_checked_at = ?, revocation_error = NULL, status = ?
+      WHERE id = ?
+    `, [result.status, result.reason, result.revokedAt, result.source, result.checkedAt, status, certificate.id]);
+
+    if (status !== certificate.status) {
+      console.log(`[Revocation] Certificate ${certificate.id}: ${certificate.status} -> ${status} (${result.reason || 'reinstated'})`);
+      await certificateEventService.recordEvent(certificate.id, 'status_changed', {
+        fromStatus: certificate.status,
+        toStatus: status,
+        details: { reason: result.reason, revokedAt: result.revokedAt, source: result.source, url: result.url },
+        jobRunId
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Check every certificate that is not known to be revoked
+   * @param {Object} options - jobRunId of the scheduled run doing the checks, if any
+   * @returns {Promise<Object>} { checked, good, revoked, unknown }
+   */
+  async checkAll({ jobRunId = null } = {}) {
+    const db = getDatabase();
+    const certificates = await db.allAsync(
+      "SELECT id, folder_id, valid_to, pem_content, chain_pem, status FROM certificates WHERE pem_content IS NOT NULL AND (revocation_status IS NULL OR revocation_status != 'revoked')"
+    ) || [];
+
+    const summary = { checked: 0, good: 0, revoked: 0, unknown: 0 };
+    for (const certificate of certificates) {
+      try {
+        const result = await this.checkCertificate(certificate, { jobRunId });
+        summary[result.status]++;
+      } catch (error) {
+        console.warn(`[Revocation] Could not check certificate ${certificate.id}:`, error.message);
+        summary.unknown++;
+      }
+      summary.checked++;
+    }
+
+    console.log('[Revocation] Revocation check complete:', summary);
+    return summary;
+  }
+}
+
+export default new RevocationService();
@@ -0,0 +1,222 @@
+/**
+ * Scheduler Service
+ * Runs background jobs on node-cron schedules and keeps a history of every run in
+ * scheduled_job_runs. Jobs can also be started by hand through the API; a job never runs
+ * twice at the same time. Schedules are cron expressions set through the environment.
+ */
+
+import cron from 'node-cron';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import certificateStatusService from './certificateStatusService.js';
+import revocationService from './revocationService.js';
+import notificationService from './notificationService.js';
+import digestService from './digestService.js';
+
+const HISTORY_RETENTION = (parseInt(process.env.SCHEDULER_HISTORY_DAYS) || 90) * 24 * 60 * 60 * 1000;
+
+const JOBS = {
+  'status-recalculation': {
+    description: 'Recalculate certificate statuses from their expiry dates and record the changes',
+    schedule: process.env.STATUS_RECALCULATION_CRON || '5 * * * *',
+    runOnStart: true,
+    run: ({ jobRunId }) => certificateStatusService.recalculateAll({ jobRunId })
+  },
+  'revocation-check': {
+    description: 'Check certificates against their OCSP responders and CRLs',
+    schedule: process.env.REVOCATION_CHECK_CRON || '30 3 * * *',
+    runOnStart: false,
+    run: ({ jobRunId }) => revocationService.checkAll({ jobRunId })
+  },
+  'expiry-notifications': {
+    description: 'Email recipients about certificates that reached a notification threshold',
+    schedule: process.env.EXPIRY_NOTIFICATION_CRON || '0 8 * * *',
+    runOnStart: false,
+    run: ({ jobRunId }) => notificationService.sendExpiryNotifications({ jobRunId })
+  },
+  'expiry-digest': {
+    description: 'Send the expiry digests whose interval has passed',
+    schedule: process.env.EXPIRY_DIGEST_CRON || '0 7 * * *',
+    runOnStart: false,
+    run: ({ jobRunId }) => digestService.sendDigests({ jobRunId })
+  }
+};
+
+const formatRun = (row) => {
+  if (!row) {
+    return null;
+  }
+  let summary = null;
+  if (row.summary) {
+    try {
+      summary = JSON.parse(row.summary);
+    } catch (error) {
+      console.warn(`[Scheduler] Unreadable summary stored for run ${row.id}`);
+    }
+  }
+  return {
+    id: row.id,
+    jobName: row.job_name,
+    trigger: row.trigger_type,
+    triggeredBy: row.triggered_by,
+    status: row.status,
+    summary,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+};
+
+class SchedulerService {
+  constructor() {
+    this.tasks = new Map();
+    this.running = new Map();
+  }
+
+  /**
+   * Schedule every job, and run the ones marked runOnStart once now
+   */
+  start() {
+    for (const [name, job] of Object.entries(JOBS)) {
+      if (this.tasks.has(name)) {
+        continue;
+      }
+      if (!cron.validate(job.schedule)) {
+        console.error(`[Scheduler] Invalid cron expression "${job.schedule}" for ${name}; job not scheduled`);
+        continue;
+      }
+
+      this.tasks.set(name, cron.schedule(job.schedule, () => this.runInBackground(name, 'schedule'), {
+        timezone: process.env.SCHEDULER_TIMEZONE || undefined
+      }));
+      console.log(`[Scheduler] Scheduled ${name}: ${job.schedule}`);
+
+      if (job.runOnStart) {
+        this.runInBackground(name, 'startup');
+      }
+    }
+  }
+
+  /**
+   * Stop every scheduled job (runs in progress finish)
+   */
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+  }
+
+  runInBackground(name, trigger) {
+    this.runJob(name, { trigger }).catch(error => {
+      console.warn(`[Scheduler] ${name} was not started:`, error.message);
+    });
+  }
+
+  /**
+   * Run a job now and record the run
+   * @param {string} name - Job name
+   * @param {Object} options - trigger (schedule, startup or manual) and userId for manual runs
+   * @returns {Promise<Object>} The finished run; a failed job is recorded, not thrown
+   */
+  async runJob(name, { trigger = 'manual', userId = null } = {}) {
+    const job = JOBS[name];
+    if (!job) {
+      const error = new Error(`Unknown job: ${name}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (this.running.has(name)) {
+      const error = new Error(`${name} is already running`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const db = getDatabase();
+    const id = uuidv4();
+    this.running.set(name, id);
+    try {
+      const startedAt = new Date();
+      await db.runAsync(
+        'INSERT INTO scheduled_job_runs (id, job_name, trigger_type, triggered_by, status, started_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [id, name, trigger, userId, 'running', startedAt.toISOString()]
+      );
+
+      try {
+        const summary = await job.run({ jobRunId: id });
+        await db.runAsync(
+          'UPDATE scheduled_job_runs SET status = ?, summary = ?, finished_at = ? WHERE id = ?',
+          ['succeeded', JSON.stringify(summary ?? null), new Date().toISOString(), id]
+        );
+      } catch (error) {
+        console.error(`[Scheduler] ${name} failed:`, error.message);
+        await db.runAsync(
+          'UPDATE scheduled_job_runs SET status = ?, error = ?, finished_at = ? WHERE id = ?',
+          ['failed', error.message, new Date().toISOString(), id]
+        );
+      }
+
+      await db.runAsync(
+        'DELETE FROM scheduled_job_runs WHERE job_name = ? AND started_at < ?',
+        [name, new Date(startedAt.getTime() - HISTORY_RETENTION).toISOString()]
+      );
+    } finally {
+      this.running.delete(name);
+    }
+
+    return this.getRun(id);
+  }
+
+  /**
+   * Jobs with their schedule and latest run
+   * @returns {Promise<Array<Object>>} [{ name, description, schedule, scheduled, running, lastRun, lastSuccessAt }]
+   */
+  async listJobs() {
+    const db = getDatabase();
+    return Promise.all(Object.entries(JOBS).map(async ([name, job]) => {
+      const lastRun = await db.getAsync(
+        'SELECT * FROM scheduled_job_runs WHERE job_name = ? ORDER BY started_at DESC LIMIT 1',
+        [name]
+      );
+      const lastSuccess = await db.getAsync(
+        "SELECT finished_at FROM scheduled_job_runs WHERE job_name = ? AND status = 'succeeded' ORDER BY started_at DESC LIMIT 1",
+        [name]
+      );
+      return {
+        name,
+        description: job.description,
+        schedule: job.schedule,
+        scheduled: this.tasks.has(name),
+        running: this.running.has(name),
+        lastRun: formatRun(lastRun),
+        lastSuccessAt: lastSuccess?.finished_at || null
+      };
+    }));
+  }
+
+  /**
+   * Run history, newest first
+   * @param {Object} filters - jobName and limit (default 50, max 500)
+   * @returns {Promise<Array<Object>>} Runs
+   */
+  async getRuns({ jobName, limit = 50 } = {}) {
+    const db = getDatabase();
+    const count = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    const rows = jobName
+      ? await db.allAsync('SELECT * FROM scheduled_job_runs WHERE job_name = ? ORDER BY started_at DESC LIMIT ?', [jobName, count])
+      : await db.allAsync('SELECT * FROM scheduled_job_runs ORDER BY started_at DESC LIMIT ?', [count]);
+    return (rows || []).map(formatRun);
+  }
+
+  /**
+   * One run
+   * @param {string} id - Run ID
+   * @returns {Promise<Object|null>} The run, or null if there is none
+   */
+  async getRun(id) {
+    const db = getDatabase();
+    return formatRun(await db.getAsync('SELECT * FROM scheduled_job_runs WHERE id = ?', [id]));
+  }
+}
+
+export default new SchedulerService();
@@ -0,0 +1,80 @@
+/**
+ * TLS Endpoint Service
+ * Connects to a live TLS endpoint and captures the certificate chain it presents,
+ * so certificates can be imported from a host when no file is at hand.
+ */
+
+import tls from 'tls';
+import net from 'net';
+import { derToPem } from '../utils/certificateParser.js';
+
+const DEFAULT_TIMEOUT = parseInt(process.env.TLS_FETCH_TIMEOUT_MS) || 10000;
+
+class TlsEndpointService {
+  /**
+   * Perform a TLS handshake and return the presented chain, leaf first.
+   * The handshake does not require a trusted chain: expired, self-signed and
+   * privately issued certificates are exactly what the inventory needs to see.
+   * @param {Object} endpoint - host, port (default 443), servername (SNI, defaults to
+   *   host unless it is an IP address) and timeout in milliseconds
+   * @returns {Promise<Object>} { certificates: [PEM], protocol, cipher, authorized, authorizationError }
+   */
+  fetchCertificateChain({ host, port = 443, servername, timeout = DEFAULT_TIMEOUT }) {
+    const sni = servername || (net.isIP(host) ? undefined : host);
+
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        host,
+        port,
+        servername: sni,
+        rejectUnauthorized: false
+      });
+
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(timeout, () => {
+        fail(new Error(`TLS handshake with ${host}:${port} timed out after ${timeout} ms`));
+      });
+
+      socket.once('error', (error) => {
+        fail(new Error(`TLS connection to ${host}:${port} failed: ${error.message}`));
+      });
+
+      socket.once('secureConnect', () => {
+        const certificates = [];
+        const seen = new Set();
+        let current = socket.getPeerCertificate(true);
+
+        // Each certificate links to its issuer; a self-signed root links to itself
+        while (current && current.raw && !seen.has(current.fingerprint256)) {
+          seen.add(current.fingerprint256);
+          certificates.push(derToPem(current.raw));
+          current = current.issuerCertificate;
+        }
+
+        const cipher = socket.getCipher();
+        const result = {
+          certificates,
+          protocol: socket.getProtocol(),
+          cipher: cipher?.name || null,
+          authorized: socket.authorized,
+          authorizationError: socket.authorizationError ? String(socket.authorizationError) : null
+        };
+        socket.end();
+
+        if (certificates.length === 0) {
+          reject(new Error(`${host}:${port} did not present a certificate`));
+          return;
+        }
+
+        console.log(`[TLS] Captured ${certificates.length} certificate(s) from ${host}:${port}`);
+        resolve(result);
+      });
+    });
+  }
+}
+
+export default new TlsEndpointService();
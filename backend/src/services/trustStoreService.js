@@ -0,0 +1,305 @@
+/**
+ * Trust Store Service
+ * Manages named sets of trust anchors (root and intermediate CAs), assigns them to
+ * folders and validates certificates against the trust store of their folder.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import chainBuilderService from './chainBuilderService.js';
+import {
+  parseCertificate,
+  parsePkcs7,
+  parsePemBundle
+} from '../utils/certificateParser.js';
+import { isCertdata, parseCertdata } from '../utils/certdataParser.js';
+
+class TrustStoreService {
+  /**
+   * Read the trust anchors of an uploaded file: a PEM bundle, a PKCS#7 bundle, a single
+   * DER certificate or a Mozilla certdata.txt file
+   * @param {Buffer} buffer - File content
+   * @param {string} filename - Original file name
+   * @param {Object} options - purpose for certdata files (default 'server-auth')
+   * @returns {Promise<Object>} { format, certificates: [parsed], skipped: [{ label, reason }] }
+   */
+  async parseTrustStoreFile(buffer, filename, { purpose = 'server-auth' } = {}) {
+    const content = buffer.toString('utf8');
+
+    if (isCertdata(content)) {
+      const { certificates, skipped } = parseCertdata(content, { purpose });
+      const parsed = [];
+      for (const { label, der } of certificates) {
+        try {
+          parsed.push(await parseCertificate(der, label));
+        } catch (error) {
+          skipped.push({ label, reason: error.message });
+        }
+      }
+      return { format: 'certdata', certificates: parsed, skipped };
+    }
+
+    if (content.includes('-----BEGIN CERTIFICATE-----')) {
+      return { format: 'pem', certificates: await parsePemBundle(buffer, filename), skipped: [] };
+    }
+
+    if (/-----BEGIN (PKCS7|CMS)-----/.test(content) || /\.p7[bc]$/i.test(filename)) {
+      return { format: 'pkcs7', certificates: await parsePkcs7(buffer, filename), skipped: [] };
+    }
+
+    try {
+      return { format: 'der', certificates: [await parseCertificate(buffer, filename)], skipped: [] };
+    } catch (error) {
+      throw new Error('Unsupported trust store file. Expected a PEM bundle, a PKCS#7 bundle, a DER certificate or a Mozilla certdata.txt file.');
+    }
+  }
+
+  /**
+   * List trust stores with their size and the number of folders using them
+   * @returns {Promise<Array>} Trust store rows
+   */
+  async listTrustStores() {
+    const db = getDatabase();
+    return db.allAsync(`
+      SELECT t.*,
+             (SELECT COUNT(*) FROM trust_store_certificates c WHERE c.trust_store_id = t.id) as certificate_count,
+             (SELECT COUNT(*) FROM folders f WHERE f.trust_store_id = t.id) as folder_count
+      FROM trust_stores t
+      ORDER BY t.name
+    `);
+  }
+
+  /**
+   * Load a trust store with its anchors (without PEM) and the folders it is assigned to
+   * @param {string} id - Trust store ID
+   * @returns {Promise<Object|undefined>} Trust store
+   */
+  async getTrustStore(id) {
+    const db = getDatabase();
+    const store = await db.getAsync('SELECT * FROM trust_stores WHERE id = ?', [id]);
+    if (!store) {
+      return undefined;
+    }
+
+    store.certificates = await db.allAsync(`
+      SELECT fingerprint_sha256, common_name, subject, subject_key_identifier, valid_to, added_at
+      FROM trust_store_certificates WHERE trust_store_id = ? ORDER BY common_name
+    `, [id]);
+    store.folders = await db.allAsync('SELECT id, name FROM folders WHERE trust_store_id = ? ORDER BY name', [id]);
+    return store;
+  }
+
+  /**
+   * Create a trust store from parsed anchors
+   * @param {Object} data - name, description, format and certificates (parsed)
+   * @param {Object} options - userId of the creator
+   * @returns {Promise<Object>} { trustStore, added }
+   */
+  async createTrustStore({ name, description = null, format = null, certificates = [] }, { userId = null } = {}) {
+    const db = getDatabase();
+
+    const existing = await db.getAsync('SELECT id FROM trust_stores WHERE name = ?', [name]);
+    if (existing) {
+      const error = new Error(`A trust store named "${name}" already exists`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    await db.runAsync(`
+      INSERT INTO trust_stores (id, name, description, source_format, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [id, name, description, format, userId, now, now]);
+
+    const { added } = await this.importCertificates(id, certificates);
+    console.log(`[Trust Store] Created "${name}" with ${added} anchor(s)`);
+    return { trustStore: await this.getTrustStore(id), added };
+  }
+
+  /**
+   * Add parsed anchors to a trust store, optionally replacing its current content
+   * @param {string} id - Trust store ID
+   * @param {Array} certificates - Parsed certificates
+   * @param {Object} options - replace: remove anchors that are not in the new set
+   * @returns {Promise<Object>} { added, unchanged, removed }
+   */
+  async importCertificates(id, certificates, { replace = false, format = null } = {}) {
+    const db = getDatabase();
+    const current = await db.allAsync('SELECT fingerprint_sha256 FROM trust_store_certificates WHERE trust_store_id = ?', [id]);
+    const existing = new Set(current.map(row => row.fingerprint_sha256));
+    const incoming = new Set();
+    const now = new Date().toISOString();
+    let added = 0;
+
+    for (const certificate of certificates) {
+      if (incoming.has(certificate.fingerprintSha256)) {
+        continue;
+      }
+      incoming.add(certificate.fingerprintSha256);
+      if (existing.has(certificate.fingerprintSha256)) {
+        continue;
+      }
+
+      await db.runAsync(`
+        INSERT INTO trust_store_certificates (
+          trust_store_id, fingerprint_sha256, common_name, subject, subject_key_identifier, valid_to, pem_content, added_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        id,
+        certificate.fingerprintSha256,
+        certificate.commonName,
+        certificate.subject,
+        certificate.subjectKeyIdentifier,
+        certificate.validTo,
+        certificate.pem,
+        now
+      ]);
+      added++;
+    }
+
+    let removed = 0;
+    if (replace) {
+      for (const fingerprint of existing) {
+        if (!incoming.has(fingerprint)) {
+          await db.runAsync('DELETE FROM trust_store_certificates WHERE trust_store_id = ? AND fingerprint_sha256 = ?', [id, fingerprint]);
+          removed++;
+        }
+      }
+    }
+
+    await db.runAsync(
+      'UPDATE trust_stores SET updated_at = ?, source_format = COALESCE(?, source_format) WHERE id = ?',
+      [now, format, id]
+    );
+
+    return { added, unchanged: incoming.size - added, removed };
+  }
+
+  /**
+   * Remove one anchor from a trust store
+   * @param {string} id - Trust store ID
+   * @param {string} fingerprintSha256 - Anchor fingerprint
+   * @returns {Promise<boolean>} False if the store does not hold it
+   */
+  async removeCertificate(id, fingerprintSha256) {
+    const db = getDatabase();
+    const anchor = await db.getAsync(
+      'SELECT fingerprint_sha256 FROM trust_store_certificates WHERE trust_store_id = ? AND fingerprint_sha256 = ?',
+      [id, fingerprintSha256]
+    );
+    if (!anchor) {
+      return false;
+    }
+
+    await db.runAsync('DELETE FROM trust_store_certificates WHERE trust_store_id = ? AND fingerprint_sha256 = ?', [id, fingerprintSha256]);
+    await db.runAsync('UPDATE trust_stores SET updated_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+    return true;
+  }
+
+  /**
+   * Delete a trust store; folders using it are left without one
+   * @param {string} id - Trust store ID
+   */
+  async deleteTrustStore(id) {
+    const db = getDatabase();
+    await db.runAsync('UPDATE folders SET trust_store_id = NULL WHERE trust_store_id = ?', [id]);
+    await db.runAsync('DELETE FROM trust_store_certificates WHERE trust_store_id = ?', [id]);
+    await db.runAsync('DELETE FROM trust_stores WHERE id = ?', [id]);
+    console.log(`[Trust Store] Deleted ${id}`);
+  }
+
+  /**
+   * Compare the anchors of two trust stores
+   * @param {Object} base - Trust store (as returned by getTrustStore)
+   * @param {Object} other - Trust store to compare with
+   * @returns {Object} { base, other, onlyInBase, onlyInOther, common }
+   */
+  diffTrustStores(base, other) {
+    const baseFingerprints = new Set(base.certificates.map(anchor => anchor.fingerprint_sha256));
+    const otherFingerprints = new Set(other.certificates.map(anchor => anchor.fingerprint_sha256));
+
+    return {
+      base: { id: base.id, name: base.name },
+      other: { id: other.id, name: other.name },
+      onlyInBase: base.certificates.filter(anchor => !otherFingerprints.has(anchor.fingerprint_sha256)),
+      onlyInOther: other.certificates.filter(anchor => !baseFingerprints.has(anchor.fingerprint_sha256)),
+      common: base.certificates.filter(anchor => otherFingerprints.has(anchor.fingerprint_sha256)).length
+    };
+  }
+
+  /**
+   * Assign a trust store to a folder, or clear the assignment with null
+   * @param {string} folderId - Folder ID
+   * @param {string|null} trustStoreId - Trust store ID
+   */
+  async assignToFolder(folderId, trustStoreId) {
+    const db = getDatabase();
+    await db.runAsync('UPDATE folders SET trust_store_id = ? WHERE id = ?', [trustStoreId || null, folderId]);
+    console.log(`[Trust Store] Folder ${folderId} now uses trust store ${trustStoreId || '(none)'}`);
+  }
+
+  /**
+   * The trust store assigned to a folder, with the PEM of its anchors
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<Object|null>} { id, name, anchors: [PEM] } or null
+   */
+  async getFolderTrustStore(folderId) {
+    if (!folderId) {
+      return null;
+    }
+
+    const db = getDatabase();
+    const store = await db.getAsync(`
+      SELECT t.id, t.name FROM folders f JOIN trust_stores t ON f.trust_store_id = t.id WHERE f.id = ?
+    `, [folderId]);
+    if (!store) {
+      return null;
+    }
+
+    const anchors = await db.allAsync('SELECT pem_content FROM trust_store_certificates WHERE trust_store_id = ?', [store.id]);
+    return { ...store, anchors: anchors.map(anchor => anchor.pem_content) };
+  }
+
+  /**
+   * Check whether a certificate chains to a trust store
+   * @param {Object} certificate - Certificate row (id, pem_content, chain_pem)
+   * @param {Object|null} trustStore - Output of getFolderTrustStore()
+   * @param {Object} options - fetchAia, passed to the chain builder
+   * @returns {Promise<Object>} { certificateId, trustStore, trusted, trustAnchor, reason, chain, missing }
+   */
+  async validateCertificate(certificate, trustStore, { fetchAia } = {}) {
+    const result = await chainBuilderService.buildChain(certificate.pem_content, {
+      candidates: certificate.chain_pem ? [certificate.chain_pem] : [],
+      trustAnchors: trustStore ? trustStore.anchors : [],
+      ...(fetchAia === undefined ? {} : { fetchAia })
+    });
+
+    const last = result.chain[result.chain.length - 1];
+    let reason;
+    if (!trustStore) {
+      reason = 'No trust store is assigned to the folder';
+    } else if (result.trustAnchor) {
+      reason = `Chains to "${result.trustAnchor.subject}" in trust store "${trustStore.name}"`;
+    } else if (result.complete) {
+      reason = `Chain ends at "${last.subject}", which is not in trust store "${trustStore.name}"`;
+    } else {
+      reason = `Chain is incomplete: ${result.missing[0]?.reason || 'issuer not found'}`;
+    }
+
+    return {
+      certificateId: certificate.id,
+      commonName: certificate.common_name,
+      trustStore: trustStore ? { id: trustStore.id, name: trustStore.name } : null,
+      trusted: trustStore ? Boolean(result.trustAnchor) : null,
+      trustAnchor: result.trustAnchor,
+      reason,
+      chain: result.chain.map(({ subject, fingerprintSha256, source, certificateId }) => ({
+        subject, fingerprintSha256, source, certificateId
+      })),
+      missing: result.missing
+    };
+  }
+}
+
+export default new TrustStoreService();
@@ -0,0 +1,718 @@
+/**
+ * Webhook Service
+ * Posts certificate events to subscribed endpoints as generic JSON, Slack or Teams messages.
+ * Subscriptions choose their events and, optionally, one folder. Every payload is signed
+ * with the subscription's secret: the X-Webhook-Signature header is "t=<unix time>,v1=<hex
+ * HMAC SHA-256 of '<t>.<body>'>". Deliveries are recorded in webhook_deliveries; a failed
+ * delivery is retried with exponential backoff until it succeeds or runs out of attempts,
+ * and any delivery can be sent again by hand.
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/flexible-init.js';
+import privateKeyVaultService from './privateKeyVaultService.js';
+
+export const WEBHOOK_EVENTS = {
+  'certificate.uploaded': 'Certificate added to the inventory',
+  'certificate.deleted': 'Certificate deleted',
+  'certificate.moved': 'Certificate moved to another folder',
+  'certificate.renewed': 'Certificate renewed',
+  'certificate.expiring': 'Certificate entered its expiry warning period',
+  'certificate.expired': 'Certificate expired',
+  'certificate.revoked': 'Certificate revoked'
+};
+
+export const WEBHOOK_FORMATS = ['generic', 'slack', 'teams'];
+
+// Recorded certificate events that are sent, and status changes by the status they reach
+const EVENT_TYPES = {
+  uploaded: 'certificate.uploaded',
+  deleted: 'certificate.deleted',
+  moved: 'certificate.moved',
+  renewed: 'certificate.renewed'
+};
+const STATUS_EVENTS = {
+  EXPIRING_SOON: 'certificate.expiring',
+  EXPIRED: 'certificate.expired',
+  REVOKED: 'certificate.revoked'
+};
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const MAX_ERROR_LENGTH = 500;
+
+const withStatus = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const settings = () => ({
+  maxAttempts: Math.max(parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6, 1),
+  retryBaseMs: (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 60) * 1000,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  pollMs: (parseInt(process.env.WEBHOOK_RETRY_POLL_SECONDS) || 30) * 1000
+});
+
+/**
+ * Webhook event a recorded certificate event is sent as
+ * @param {Object} event - Certificate event (eventType, toStatus)
+ * @returns {string|null} Webhook event name, or null if it is not sent
+ */
+export const webhookEventFor = (event) => {
+  if (event.eventType === 'status_changed') {
+    return STATUS_EVENTS[event.toStatus] || null;
+  }
+  return EVENT_TYPES[event.eventType] || null;
+};
+
+/**
+ * Delay before the next attempt after a failed one: the base delay, doubled per attempt
+ * @param {number} attempts - Attempts made so far
+ * @param {number} baseMs - Delay after the first failure
+ * @returns {number} Milliseconds
+ */
+export const retryDelay = (attempts, baseMs) => baseMs * 2 ** Math.max(attempts - 1, 0);
+
+/**
+ * Signature header value for a body
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Request body as sent
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} "t=<timestamp>,v1=<hex HMAC>"
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Check a signature header, as a receiver would
+ * @param {string} secret - Subscription secret
+ * @param {string} header - X-Webhook-Signature value
+ * @param {string} body - Raw request body
+ * @param {Object} options - toleranceSeconds: how old the timestamp may be (default 300)
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+export const verifySignature = (secret, header, body, { toleranceSeconds = 300, now = Date.now() } = {}) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const describe = (name, certificate, details) => {
+  const label = certificate.commonName || certificate.id || 'Certificate';
+  switch (name) {
+    case 'certificate.uploaded': return `${label} was added to the inventory`;
+    case 'certificate.deleted': return `${label} was deleted`;
+    case 'certificate.moved': return `${label} was moved to ${certificate.folderName || 'no folder'}`;
+    case 'certificate.renewed': return `${label} was renewed`;
+    case 'certificate.expiring': return `${label} expires on ${certificate.validTo}`;
+    case 'certificate.expired': return `${label} expired on ${certificate.validTo}`;
+    case 'certificate.revoked': return `${label} was revoked${details?.reason ? ` (${details.reason})` : ''}`;
+    default: return `${label}: ${name}`;
+  }
+};
+
+const facts = (certificate) => [
+  ['Common Name', certificate.commonName],
+  ['Serial Number', certificate.serialNumber],
+  ['Issuer', certificate.issuer],
+  ['Folder', certificate.folderName],
+  ['Status', certificate.status],
+  ['Expires', certificate.validTo]
+].filter(([, value]) => value);
+
+/**
+ * Body of a delivery in a subscription's format
+ * @param {string} format - generic, slack or teams
+ * @param {Object} message - id, event, occurredAt, certificate and details
+ * @returns {Object} JSON payload
+ */
+export const buildPayload = (format, message) => {
+  const summary = describe(message.event, message.certificate, message.details);
+  const link = process.env.FRONTEND_URL || null;
+
+  if (format === 'slack') {
+    return {
+      text: `[${message.event}] ${summary}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${summary}*\n\`${message.event}\` at ${message.occurredAt}` } },
+        ...(facts(message.certificate).length > 0 ? [{
+          type: 'section',
+          fields: facts(message.certificate).map(([title, value]) => ({ type: 'mrkdwn', text: `*${title}*\n${value}` }))
+        }] : []),
+        ...(link ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `<${link}|Open in Certificate Manager>` }] }] : [])
+      ]
+    };
+  }
+
+  if (format === 'teams') {
+    return {
+      type: 'message',
+      summary,
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', size: 'Medium', weight: 'Bolder', wrap: true, text: summary },
+            { type: 'TextBlock', isSubtle: true, spacing: 'None', wrap: true, text: `${message.event} at ${message.occurredAt}` },
+            { type: 'FactSet', facts: facts(message.certificate).map(([title, value]) => ({ title, value: String(value) })) }
+          ],
+          actions: link ? [{ type: 'Action.OpenUrl', title: 'Open in Certificate Manager', url: link }] : []
+        }
+      }]
+    };
+  }
+
+  return {
+    id: message.id,
+    event: message.event,
+    occurredAt: message.occurredAt,
+    summary,
+    certificate: message.certificate,
+    details: message.details || null
+  };
+};
+
+// Slack rejects section texts over 3000 characters
+const SLACK_TEXT_LIMIT = 3000;
+
+/**
+ * Body of a delivery that is not about one certificate, such as a test ping or a digest
+ * @param {string} format - generic, slack or teams
+ * @param {Object} message - id, event, occurredAt, title, text (plain text), fields
+ *   ([[title, value]]) and data (the generic payload's content)
+ * @returns {Object} JSON payload
+ */
+export const buildMessagePayload = (format, { id, event, occurredAt, title, text = '', fields = [], data = {} }) => {
+  if (format === 'slack') {
+    return {
+      text: title,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${title}*` } },
+        ...(fields.length > 0 ? [{
+          type: 'section',
+          fields: fields.map(([name, value]) => ({ type: 'mrkdwn', text: `*${name}*\n${value}` }))
+        }] : []),
+        ...(text ? [{ type: 'section', text: { type: 'mrkdwn', text: `\`\`\`${text.slice(0, SLACK_TEXT_LIMIT - 6)}\`\`\`` } }] : [])
+      ]
+    };
+  }
+
+  if (format === 'teams') {
+    return {
+      type: 'message',
+      summary: title,
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', size: 'Medium', weight: 'Bolder', wrap: true, text: title },
+            { type: 'FactSet', facts: fields.map(([name, value]) => ({ title: name, value: String(value) })) },
+            ...(text ? [{ type: 'TextBlock', wrap: true, fontType: 'Monospace', text }] : [])
+          ]
+        }
+      }]
+    };
+  }
+
+  return { id, event, occurredAt, summary: title, ...data };
+};
+
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const formatSubscription = (row) => ({
+  id: row.id,
+  name: row.name,
+  url: row.url,
+  format: row.format,
+  events: parseJson(row.events, []),
+  folderId: row.folder_id || null,
+  folderName: row.folder_name || null,
+  enabled: Boolean(row.enabled),
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const formatDelivery = (row) => ({
+  id: row.id,
+  subscriptionId: row.subscription_id,
+  subscriptionName: row.subscription_name || null,
+  eventId: row.event_id,
+  eventType: row.event_type,
+  certificateId: row.certificate_id,
+  payload: parseJson(row.payload, null),
+  status: row.status,
+  attempts: row.attempts,
+  nextAttemptAt: row.next_attempt_at,
+  lastAttemptAt: row.last_attempt_at,
+  responseStatus: row.response_status,
+  error: row.error,
+  redeliveryOf: row.redelivery_of,
+  createdAt: row.created_at,
+  deliveredAt: row.delivered_at
+});
+
+const SUBSCRIPTION_QUERY = `
+  SELECT s.*, f.name AS folder_name
+  FROM webhook_subscriptions s
+  LEFT JOIN folders f ON f.id = s.folder_id
+`;
+
+const DELIVERY_QUERY = `
+  SELECT d.*, s.name AS subscription_name
+  FROM webhook_deliveries d
+  LEFT JOIN webhook_subscriptions s ON s.id = d.subscription_id
+`;
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.inFlight = new Set();
+    // Deliveries being attempted, so a retry run does not send one twice
+    this.sending = new Set();
+  }
+
+  /**
+   * Retry due deliveries every WEBHOOK_RETRY_POLL_SECONDS, including those left over from
+   * before a restart
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    const { pollMs } = settings();
+    this.timer = setInterval(() => {
+      this.retryDue().catch(error => console.error('[Webhooks] Retry run failed:', error.message));
+    }, pollMs);
+    this.timer.unref?.();
+    console.log(`[Webhooks] Retrying failed deliveries every ${pollMs / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Wait for deliveries started in the background to finish
+   */
+  async flush() {
+    while (this.inFlight.size > 0) {
+      await Promise.allSettled([...this.inFlight]);
+    }
+  }
+
+  /**
+   * Every subscription
+   * @returns {Promise<Array<Object>>} Subscriptions (without their secrets)
+   */
+  async listSubscriptions() {
+    const db = getDatabase();
+    const rows = await db.allAsync(`${SUBSCRIPTION_QUERY} ORDER BY s.created_at`) || [];
+    return rows.map(formatSubscription);
+  }
+
+  /**
+   * One subscription
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object|null>} Subscription, or null if there is none
+   */
+  async getSubscription(id) {
+    const db = getDatabase();
+    const row = await db.getAsync(`${SUBSCRIPTION_QUERY} WHERE s.id = ?`, [id]);
+    return row ? formatSubscription(row) : null;
+  }
+
+  async ensureFolder(folderId) {
+    if (!folderId) {
+      return;
+    }
+    const db = getDatabase();
+    if (!await db.getAsync('SELECT id FROM folders WHERE id = ?', [folderId])) {
+      throw withStatus('Folder not found', 404);
+    }
+  }
+
+  /**
+   * Add a subscription
+   * @param {Object} subscription - name, url, format, events, folderId, enabled and secret
+   *   (generated when not given)
+   * @param {Object} options - createdBy
+   * @returns {Promise<Object>} Subscription with its secret, which is not shown again
+   */
+  async createSubscription({ name, url, format = 'generic', events, folderId = null, enabled = true, secret }, { createdBy = null } = {}) {
+    await this.ensureFolder(folderId);
+
+    const db = getDatabase();
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const signingSecret = secret || crypto.randomBytes(32).toString('hex');
+    await db.runAsync(`
+      INSERT INTO webhook_subscriptions (id, name, url, format, encrypted_secret, events, folder_id, enabled, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, name, url, format, privateKeyVaultService.encrypt(signingSecret), JSON.stringify(events),
+      folderId || null, enabled ? 1 : 0, createdBy ? String(createdBy) : null, now, now
+    ]);
+    console.log(`[Webhooks] Subscription ${id} added for ${events.join(', ')}`);
+
+    return { ...await this.getSubscription(id), secret: signingSecret };
+  }
+
+  /**
+   * Change a subscription
+   * @param {string} id - Subscription ID
+   * @param {Object} changes - Any of name, url, format, events, folderId, enabled and secret
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async updateSubscription(id, changes) {
+    const db = getDatabase();
+    if (!await db.getAsync('SELECT id FROM webhook_subscriptions WHERE id = ?', [id])) {
+      throw withStatus('Webhook subscription not found', 404);
+    }
+    if (changes.folderId !== undefined) {
+      await this.ensureFolder(changes.folderId);
+    }
+
+    const columns = {
+      name: changes.name,
+      url: changes.url,
+      format: changes.format,
+      events: changes.events && JSON.stringify(changes.events),
+      folder_id: changes.folderId === undefined ? undefined : changes.folderId || null,
+      enabled: changes.enabled === undefined ? undefined : changes.enabled ? 1 : 0,
+      encrypted_secret: changes.secret && privateKeyVaultService.encrypt(changes.secret)
+    };
+    const set = Object.entries(columns).filter(([, value]) => value !== undefined);
+    await db.runAsync(
+      `UPDATE webhook_subscriptions SET ${[...set.map(([column]) => `${column} = ?`), 'updated_at = ?'].join(', ')} WHERE id = ?`,
+      [...set.map(([, value]) => value), new Date().toISOString(), id]
+    );
+
+    return this.getSubscription(id);
+  }
+
+  /**
+   * Remove a subscription with its delivery log and the digests sent to it
+   * @param {string} id - Subscription ID
+   */
+  async deleteSubscription(id) {
+    const db = getDatabase();
+    await db.runAsync('DELETE FROM digest_subscriptions WHERE webhook_subscription_id = ?', [id]);
+    await db.runAsync('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [id]);
+    await db.runAsync('DELETE FROM webhook_subscriptions WHERE id = ?', [id]);
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {Object} filters - subscriptionId, certificateId, status and limit (default 100, max 1000)
+   * @returns {Promise<Array<Object>>} Deliveries with their payloads
+   */
+  async getDeliveries({ subscriptionId, certificateId, status, limit = 100 } = {}) {
+    const db = getDatabase();
+    const conditions = [];
+    const params = [];
+    if (subscriptionId) {
+      conditions.push('d.subscription_id = ?');
+      params.push(subscriptionId);
+    }
+    if (certificateId) {
+      conditions.push('d.certificate_id = ?');
+      params.push(certificateId);
+    }
+    if (status) {
+      conditions.push('d.status = ?');
+      params.push(status);
+    }
+    params.push(Math.min(Math.max(parseInt(limit) || 100, 1), 1000));
+
+    const rows = await db.allAsync(`
+      ${DELIVERY_QUERY}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY d.created_at DESC
+      LIMIT ?
+    `, params) || [];
+    return rows.map(formatDelivery);
+  }
+
+  /**
+   * One delivery
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} Delivery, or null if there is none
+   */
+  async getDelivery(id) {
+    const db = getDatabase();
+    const row = await db.getAsync(`${DELIVERY_QUERY} WHERE d.id = ?`, [id]);
+    return row ? formatDelivery(row) : null;
+  }
+
+  /**
+   * Queue a recorded certificate event for every matching subscription and start sending.
+   * Never throws: webhooks must not break the action that caused the event.
+   * @param {Object} event - Certificate event, as returned by certificateEventService.recordEvent()
+   * @returns {Promise<Array<string>>} IDs of the queued deliveries
+   */
+  async dispatch(event) {
+    const name = webhookEventFor(event);
+    if (!name) {
+      return [];
+    }
+
+    try {
+      const db = getDatabase();
+      const certificate = await this.describeCertificate(event);
+      const folderIds = [certificate.folderId, event.details?.previousFolderId].filter(Boolean);
+      const subscriptions = (await db.allAsync('SELECT * FROM webhook_subscriptions WHERE enabled = 1') || [])
+        .filter(row => parseJson(row.events, []).includes(name))
+        .filter(row => !row.folder_id || folderIds.includes(row.folder_id));
+
+      const deliveryIds = [];
+      for (const subscription of subscriptions) {
+        const payload = buildPayload(subscription.format, {
+          id: event.id,
+          event: name,
+          occurredAt: event.createdAt,
+          certificate,
+          details: event.details
+        });
+        deliveryIds.push(await this.enqueue(subscription.id, { eventId: event.id, eventType: name, certificateId: event.certificateId, payload }));
+      }
+      deliveryIds.forEach(id => this.deliverInBackground(id));
+      return deliveryIds;
+    } catch (error) {
+      console.error(`[Webhooks] Could not queue ${name} for certificate ${event.certificateId}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Certificate fields for a payload, from the inventory or, for deleted certificates, the
+   * event details
+   */
+  async describeCertificate(event) {
+    const db = getDatabase();
+    const row = await db.getAsync(`
+      SELECT c.id, c.common_name, c.serial_number, c.issuer, c.valid_to, c.status, c.folder_id, f.name AS folder_name
+      FROM certificates c
+      LEFT JOIN folders f ON f.id = c.folder_id
+      WHERE c.id = ?
+    `, [event.certificateId]);
+    const details = event.details || {};
+    const folder = !row && details.folderId
+      ? await db.getAsync('SELECT name FROM folders WHERE id = ?', [details.folderId])
+      : null;
+    return {
+      id: event.certificateId,
+      commonName: row?.common_name ?? details.commonName ?? null,
+      serialNumber: row?.serial_number ?? details.serialNumber ?? null,
+      issuer: row?.issuer ?? details.issuer ?? null,
+      validTo: row?.valid_to ?? details.validTo ?? null,
+      status: event.toStatus || row?.status || null,
+      folderId: row ? row.folder_id || null : details.folderId || null,
+      folderName: row ? row.folder_name || null : folder?.name || null
+    };
+  }
+
+  async enqueue(subscriptionId, { eventId = null, eventType, certificateId = null, payload, redeliveryOf = null }) {
+    const db = getDatabase();
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    await db.runAsync(`
+      INSERT INTO webhook_deliveries (id, subscription_id, event_id, event_type, certificate_id, payload, status, attempts, next_attempt_at, redelivery_of, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [id, subscriptionId, eventId, eventType, certificateId, typeof payload === 'string' ? payload : JSON.stringify(payload), 'pending', 0, now, redeliveryOf, now]);
+    return id;
+  }
+
+  deliverInBackground(id) {
+    const attempt = this.deliver(id)
+      .catch(error => console.error(`[Webhooks] Delivery ${id} failed:`, error.message))
+      .finally(() => this.inFlight.delete(attempt));
+    this.inFlight.add(attempt);
+  }
+
+  /**
+   * Make one attempt at a pending delivery and record the outcome
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} The delivery after the attempt
+   */
+  async deliver(id) {
+    if (this.sending.has(id)) {
+      return this.getDelivery(id);
+    }
+    this.sending.add(id);
+    try {
+      return await this.attempt(id);
+    } finally {
+      this.sending.delete(id);
+    }
+  }
+
+  async attempt(id) {
+    const db = getDatabase();
+    const delivery = await db.getAsync('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    if (!delivery || delivery.status !== 'pending') {
+      return delivery ? formatDelivery(delivery) : null;
+    }
+    const subscription = await db.getAsync('SELECT * FROM webhook_subscriptions WHERE id = ?', [delivery.subscription_id]);
+
+    const { maxAttempts, retryBaseMs, timeoutMs } = settings();
+    const attempts = delivery.attempts + 1;
+    const attemptedAt = new Date();
+    let responseStatus = null;
+    let error = null;
+
+    if (!subscription) {
+      error = 'Subscription was removed';
+    } else {
+      try {
+        const response = await fetch(subscription.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Enterprise-Certificate-Manager-Webhooks/1.0',
+            'X-Webhook-Event': delivery.event_type,
+            'X-Webhook-Delivery': delivery.id,
+            [SIGNATURE_HEADER]: signPayload(privateKeyVaultService.decrypt(subscription.encrypted_secret), delivery.payload)
+          },
+          body: delivery.payload,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        responseStatus = response.status;
+        if (!response.ok) {
+          const text = await response.text().catch(() => '');
+          error = `HTTP ${response.status}${text ? `: ${text}` : ''}`.slice(0, MAX_ERROR_LENGTH);
+        }
+      } catch (requestError) {
+        error = (requestError.name === 'TimeoutError'
+          ? `No response within ${timeoutMs} ms`
+          : requestError.cause?.message || requestError.message).slice(0, MAX_ERROR_LENGTH);
+      }
+    }
+
+    let status = 'succeeded';
+    let nextAttemptAt = null;
+    if (error) {
+      if (subscription && attempts < maxAttempts) {
+        status = 'pending';
+        nextAttemptAt = new Date(attemptedAt.getTime() + retryDelay(attempts, retryBaseMs)).toISOString();
+      } else {
+        status = 'failed';
+      }
+      console.warn(`[Webhooks] Delivery ${id} attempt ${attempts} failed (${error})${nextAttemptAt ? `; retrying at ${nextAttemptAt}` : ''}`);
+    }
+
+    await db.runAsync(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?, response_status = ?, error = ?, delivered_at = ?
+      WHERE id = ?
+    `, [status, attempts, nextAttemptAt, attemptedAt.toISOString(), responseStatus, error, error ? null : attemptedAt.toISOString(), id]);
+
+    return this.getDelivery(id);
+  }
+
+  /**
+   * Attempt every pending delivery whose retry time has come
+   * @param {Object} options - now
+   * @returns {Promise<Object>} { attempted, succeeded }
+   */
+  async retryDue({ now = new Date() } = {}) {
+    const db = getDatabase();
+    const due = await db.allAsync(
+      "SELECT id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT 100",
+      [now.toISOString()]
+    ) || [];
+
+    let succeeded = 0;
+    for (const { id } of due) {
+      const delivery = await this.deliver(id);
+      if (delivery?.status === 'succeeded') {
+        succeeded++;
+      }
+    }
+    return { attempted: due.length, succeeded };
+  }
+
+  /**
+   * Send a delivery again as a new delivery with the same payload
+   * @param {string} id - Delivery to send again
+   * @returns {Promise<Object>} The new delivery after its first attempt
+   */
+  async redeliver(id) {
+    const db = getDatabase();
+    const original = await db.getAsync('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    if (!original) {
+      throw withStatus('Webhook delivery not found', 404);
+    }
+    if (!await db.getAsync('SELECT id FROM webhook_subscriptions WHERE id = ?', [original.subscription_id])) {
+      throw withStatus('Webhook subscription not found', 404);
+    }
+
+    const redeliveryId = await this.enqueue(original.subscription_id, {
+      eventId: original.event_id,
+      eventType: original.event_type,
+      certificateId: original.certificate_id,
+      payload: original.payload,
+      redeliveryOf: original.id
+    });
+    console.log(`[Webhooks] Redelivering ${original.id} as ${redeliveryId}`);
+    return this.deliver(redeliveryId);
+  }
+
+  /**
+   * Send a message that is not about one certificate (see buildMessagePayload), whatever
+   * events the subscription chose. Failed deliveries are retried like any other.
+   * @param {string} id - Subscription ID
+   * @param {string} eventType - Event name, e.g. webhook.ping
+   * @param {Object} message - title, text, fields and data
+   * @returns {Promise<Object>} The delivery after its first attempt
+   */
+  async sendMessage(id, eventType, message) {
+    const db = getDatabase();
+    const subscription = await db.getAsync('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+    if (!subscription) {
+      throw withStatus('Webhook subscription not found', 404);
+    }
+
+    const payload = buildMessagePayload(subscription.format, {
+      id: uuidv4(),
+      event: eventType,
+      occurredAt: new Date().toISOString(),
+      ...message
+    });
+    return this.deliver(await this.enqueue(id, { eventType, payload }));
+  }
+
+  /**
+   * Send a webhook.ping event to a subscription
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object>} The delivery after its first attempt
+   */
+  async sendTest(id) {
+    return this.sendMessage(id, 'webhook.ping', {
+      title: 'Test notification from Enterprise Certificate Manager',
+      data: { subscriptionId: id }
+    });
+  }
+}
+
+export default new WebhookService();
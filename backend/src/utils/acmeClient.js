@@ -0,0 +1,385 @@
+/**
+ * ACME client (RFC 8555)
+ * Talks to an ACME directory (Let's Encrypt, a private ACME CA, or a local Pebble-style test
+ * server) to register an account, place orders, answer challenges, finalize orders with a CSR
+ * and download the issued chain. Requests are JWS signed with the account key (ES256, ES384 or
+ * RS256); the nonce handling follows the RFC, retrying once more on badNonce errors.
+ * Answering challenges is left to the caller (see services/acmeSolvers.js).
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+
+const JOSE_CONTENT_TYPE = 'application/jose+json';
+const BAD_NONCE = 'urn:ietf:params:acme:error:badNonce';
+const MAX_NONCE_RETRIES = 3;
+
+/**
+ * Base64url encode a buffer, string or JSON value
+ * @param {Buffer|string|Object} value - Value to encode (objects are JSON serialized)
+ * @returns {string} Unpadded base64url text
+ */
+export function base64url(value) {
+  const buffer = Buffer.isBuffer(value) ? value
+    : Buffer.from(typeof value === 'string' ? value : JSON.stringify(value));
+  return buffer.toString('base64url');
+}
+
+/**
+ * Public JWK of a key, with only the members used in JWS headers and thumbprints
+ * @param {crypto.KeyObject|string} key - Private or public key (KeyObject or PEM)
+ * @returns {Object} { kty, crv, x, y } for EC keys, { kty, n, e } for RSA keys
+ */
+export function publicJwk(key) {
+  const jwk = crypto.createPublicKey(key).export({ format: 'jwk' });
+  return jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+}
+
+/**
+ * RFC 7638 thumbprint of a public JWK
+ * @param {Object} jwk - Public JWK
+ * @returns {string} Base64url SHA-256 thumbprint
+ */
+export function jwkThumbprint(jwk) {
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  return base64url(crypto.createHash('sha256').update(JSON.stringify(members)).digest());
+}
+
+/**
+ * JWS algorithm for a key
+ * @param {crypto.KeyObject} key - Account key
+ * @returns {string} ES256, ES384 or RS256
+ */
+export function jwsAlgorithm(key) {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  const curve = key.asymmetricKeyDetails?.namedCurve;
+  if (key.asymmetricKeyType === 'ec' && curve === 'prime256v1') {
+    return 'ES256';
+  }
+  if (key.asymmetricKeyType === 'ec' && curve === 'secp384r1') {
+    return 'ES384';
+  }
+  throw new Error('ACME account keys must be RSA, EC P-256 or EC P-384 keys');
+}
+
+const HASHES = { RS256: 'sha256', ES256: 'sha256', ES384: 'sha384', HS256: 'sha256' };
+
+/**
+ * Build a flattened JSON JWS
+ * @param {Object} header - Protected header (alg is filled in from the key)
+ * @param {Object|string} payload - Payload object, or '' for POST-as-GET
+ * @param {crypto.KeyObject} key - Signing key
+ * @returns {Object} { protected, payload, signature }
+ */
+export function signJws(header, payload, key) {
+  const alg = jwsAlgorithm(key);
+  const encodedHeader = base64url({ alg, ...header });
+  const encodedPayload = payload === '' ? '' : base64url(payload);
+  const data = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = crypto.sign(HASHES[alg], data, { key, dsaEncoding: 'ieee-p1363' });
+  return { protected: encodedHeader, payload: encodedPayload, signature: base64url(signature) };
+}
+
+/**
+ * Build the external account binding of a newAccount request (RFC 8555 section 7.3.4)
+ * @param {Object} options - kid and hmacKey (base64url) issued by the CA, url of newAccount
+ *   and the account's public jwk
+ * @returns {Object} Flattened JWS over the account key, MACed with HS256
+ */
+export function externalAccountBinding({ kid, hmacKey, url, jwk }) {
+  const encodedHeader = base64url({ alg: 'HS256', kid, url });
+  const encodedPayload = base64url(jwk);
+  const signature = crypto.createHmac('sha256', Buffer.from(hmacKey, 'base64url'))
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  return { protected: encodedHeader, payload: encodedPayload, signature: base64url(signature) };
+}
+
+/**
+ * Decode and verify a flattened JSON JWS
+ * @param {Object} jws - { protected, payload, signature }
+ * @param {Object} options - key (KeyObject) to verify with; when missing the header's jwk is used
+ * @returns {Object} { header, payload (parsed; '' for POST-as-GET), jwk, valid }
+ */
+export function verifyJws(jws, { key = null } = {}) {
+  const header = JSON.parse(Buffer.from(jws.protected, 'base64url').toString('utf8'));
+  const payload = jws.payload === '' ? '' : JSON.parse(Buffer.from(jws.payload, 'base64url').toString('utf8'));
+  const data = Buffer.from(`${jws.protected}.${jws.payload}`);
+  const signature = Buffer.from(jws.signature, 'base64url');
+
+  let valid = false;
+  if (header.alg === 'HS256') {
+    const expected = key ? crypto.createHmac('sha256', key).update(data).digest() : Buffer.alloc(0);
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (HASHES[header.alg]) {
+    const verifyKey = key || (header.jwk ? crypto.createPublicKey({ key: header.jwk, format: 'jwk' }) : null);
+    valid = Boolean(verifyKey) && crypto.verify(HASHES[header.alg], data, { key: verifyKey, dsaEncoding: 'ieee-p1363' }, signature);
+  }
+
+  return { header, payload, jwk: header.jwk || null, valid };
+}
+
+/**
+ * Error returned by an ACME server (an RFC 7807 problem document)
+ */
+export class AcmeError extends Error {
+  constructor(message, { status = null, type = null, subproblems = [] } = {}) {
+    super(message);
+    this.name = 'AcmeError';
+    this.status = status;
+    this.type = type;
+    this.subproblems = subproblems;
+  }
+}
+
+export class AcmeClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.directoryUrl - ACME directory URL
+   * @param {string|crypto.KeyObject} options.accountKey - Account private key
+   * @param {string} [options.accountUrl] - Account URL (kid) once registered
+   * @param {string} [options.ca] - PEM bundle to trust for an https directory (e.g. Pebble's)
+   * @param {boolean} [options.rejectUnauthorized] - False to skip TLS verification (tests only)
+   * @param {number} [options.timeoutMs] - Per request timeout
+   * @param {number} [options.pollIntervalMs] - Delay between polls when the server sends no Retry-After
+   * @param {number} [options.pollTimeoutMs] - How long to wait for an authorization or order
+   */
+  constructor({
+    directoryUrl,
+    accountKey,
+    accountUrl = null,
+    ca = null,
+    rejectUnauthorized = true,
+    timeoutMs = 30000,
+    pollIntervalMs = 2000,
+    pollTimeoutMs = 5 * 60 * 1000
+  }) {
+    this.directoryUrl = directoryUrl;
+    this.accountKey = typeof accountKey === 'string' ? crypto.createPrivateKey(accountKey) : accountKey;
+    this.accountUrl = accountUrl;
+    this.jwk = publicJwk(this.accountKey);
+    this.tls = { ca: ca || undefined, rejectUnauthorized };
+    this.timeoutMs = timeoutMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.pollTimeoutMs = pollTimeoutMs;
+    this.directory = null;
+    this.nonce = null;
+  }
+
+  /**
+   * Send an HTTP request
+   * @returns {Promise<Object>} { status, headers, body (Buffer) }
+   */
+  request(url, { method = 'GET', headers = {}, body = null } = {}) {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(target, {
+        method,
+        headers: { 'User-Agent': 'enterprise-certificate-manager', ...headers },
+        ...(target.protocol === 'https:' ? this.tls : {})
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          if (res.headers['replay-nonce']) {
+            this.nonce = res.headers['replay-nonce'];
+          }
+          resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) });
+        });
+        res.on('error', reject);
+      });
+      req.setTimeout(this.timeoutMs, () => req.destroy(new Error(`ACME request to ${url} timed out`)));
+      req.on('error', reject);
+      req.end(body || undefined);
+    });
+  }
+
+  /**
+   * Fetch (once) the directory of endpoint URLs
+   * @returns {Promise<Object>} Directory object
+   */
+  async getDirectory() {
+    if (!this.directory) {
+      const response = await this.request(this.directoryUrl);
+      if (response.status !== 200) {
+        throw new AcmeError(`Could not load the ACME directory ${this.directoryUrl} (HTTP ${response.status})`, { status: response.status });
+      }
+      this.directory = JSON.parse(response.body.toString('utf8'));
+    }
+    return this.directory;
+  }
+
+  async getNonce() {
+    if (this.nonce) {
+      const nonce = this.nonce;
+      this.nonce = null;
+      return nonce;
+    }
+    const { newNonce } = await this.getDirectory();
+    await this.request(newNonce, { method: 'HEAD' });
+    if (!this.nonce) {
+      throw new AcmeError('The ACME server did not return a nonce');
+    }
+    return this.getNonce();
+  }
+
+  /**
+   * Send a signed request; kid is used once the account exists, the jwk before that
+   * @param {string} url - Endpoint
+   * @param {Object|string} payload - Payload, or '' for POST-as-GET
+   * @param {Object} options - useJwk to sign with the jwk instead of the account URL
+   * @returns {Promise<Object>} { status, headers, body, data (parsed JSON, if any) }
+   */
+  async post(url, payload, { useJwk = false } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const header = { nonce: await this.getNonce(), url };
+      if (useJwk || !this.accountUrl) {
+        header.jwk = this.jwk;
+      } else {
+        header.kid = this.accountUrl;
+      }
+
+      const response = await this.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': JOSE_CONTENT_TYPE },
+        body: JSON.stringify(signJws(header, payload, this.accountKey))
+      });
+
+      const isJson = /json/.test(response.headers['content-type'] || '');
+      const data = isJson && response.body.length > 0 ? JSON.parse(response.body.toString('utf8')) : null;
+
+      if (response.status >= 400) {
+        if (data?.type === BAD_NONCE && attempt < MAX_NONCE_RETRIES) {
+          continue;
+        }
+        throw new AcmeError(data?.detail || `ACME request to ${url} failed (HTTP ${response.status})`, {
+          status: response.status,
+          type: data?.type || null,
+          subproblems: data?.subproblems || []
+        });
+      }
+      return { ...response, data };
+    }
+  }
+
+  /**
+   * Register the account key, or look up its existing account
+   * @param {Object} options - email, termsOfServiceAgreed and eab ({ kid, hmacKey }) when the
+   *   CA requires external account binding
+   * @returns {Promise<Object>} { url, status, created }
+   */
+  async createAccount({ email = null, termsOfServiceAgreed = true, eab = null } = {}) {
+    const directory = await this.getDirectory();
+    if (directory.meta?.externalAccountRequired && !eab) {
+      throw new AcmeError('This ACME server requires external account binding (EAB kid and HMAC key)');
+    }
+
+    const payload = { termsOfServiceAgreed };
+    if (email) {
+      payload.contact = [`mailto:${email}`];
+    }
+    if (eab) {
+      payload.externalAccountBinding = externalAccountBinding({ ...eab, url: directory.newAccount, jwk: this.jwk });
+    }
+
+    const response = await this.post(directory.newAccount, payload, { useJwk: true });
+    this.accountUrl = response.headers.location;
+    return { url: this.accountUrl, status: response.data?.status || null, created: response.status === 201 };
+  }
+
+  /**
+   * Place an order
+   * @param {Array<Object>} identifiers - [{ type: 'dns'|'ip', value }]
+   * @returns {Promise<Object>} Order object with its url
+   */
+  async createOrder(identifiers) {
+    const { newOrder } = await this.getDirectory();
+    const response = await this.post(newOrder, { identifiers });
+    return { ...response.data, url: response.headers.location };
+  }
+
+  async getAuthorization(url) {
+    const response = await this.post(url, '');
+    return { ...response.data, url };
+  }
+
+  async getOrder(url) {
+    const response = await this.post(url, '');
+    return { ...response.data, url };
+  }
+
+  /**
+   * Tell the server a challenge is ready to be validated
+   * @param {Object} challenge - Challenge object from the authorization
+   * @returns {Promise<Object>} Updated challenge
+   */
+  async completeChallenge(challenge) {
+    const response = await this.post(challenge.url, {});
+    return response.data;
+  }
+
+  /**
+   * Key authorization of a challenge token (RFC 8555 section 8.1)
+   * @param {string} token - Challenge token
+   * @returns {string} token.thumbprint
+   */
+  keyAuthorization(token) {
+    return `${token}.${jwkThumbprint(this.jwk)}`;
+  }
+
+  /**
+   * Poll a resource until it leaves its pending states
+   * @param {string} url - Authorization or order URL
+   * @param {Array<string>} pendingStatuses - Statuses to keep waiting on
+   * @returns {Promise<Object>} The resource in its final status
+   */
+  async waitFor(url, pendingStatuses) {
+    const deadline = Date.now() + this.pollTimeoutMs;
+    for (;;) {
+      const response = await this.post(url, '');
+      if (!pendingStatuses.includes(response.data.status)) {
+        return { ...response.data, url };
+      }
+      if (Date.now() >= deadline) {
+        throw new AcmeError(`Timed out waiting for ${url} (still ${response.data.status})`);
+      }
+      const retryAfter = parseInt(response.headers['retry-after'], 10);
+      const delay = Number.isFinite(retryAfter) ? Math.min(retryAfter * 1000, 30000) : this.pollIntervalMs;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Finalize a ready order with a CSR and wait for the certificate
+   * @param {Object} order - Order (with url and finalize)
+   * @param {Buffer} csrDer - DER encoded CSR for exactly the order's identifiers
+   * @returns {Promise<Object>} The valid order
+   */
+  async finalizeOrder(order, csrDer) {
+    await this.post(order.finalize, { csr: base64url(csrDer) });
+    const finalized = await this.waitFor(order.url, ['ready', 'processing']);
+    if (finalized.status !== 'valid') {
+      throw new AcmeError(finalized.error?.detail || `The order ended ${finalized.status}`, { type: finalized.error?.type });
+    }
+    return finalized;
+  }
+
+  /**
+   * Download the certificate of a valid order
+   * @param {Object} order - Valid order
+   * @returns {Promise<string>} PEM chain, leaf first
+   */
+  async getCertificate(order) {
+    const response = await this.post(order.certificate, '');
+    return response.body.toString('utf8');
+  }
+}
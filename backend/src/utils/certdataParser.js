@@ -0,0 +1,115 @@
+/**
+ * Mozilla certdata.txt parser
+ * Reads the NSS built-in trust list format (as published in mozilla-central and used
+ * by curl's mk-ca-bundle): CKO_CERTIFICATE objects carry the DER certificate and
+ * CKO_NSS_TRUST objects say what each certificate is trusted for.
+ */
+
+import crypto from 'crypto';
+
+const TRUST_ATTRIBUTES = {
+  'server-auth': 'CKA_TRUST_SERVER_AUTH',
+  'email-protection': 'CKA_TRUST_EMAIL_PROTECTION',
+  'code-signing': 'CKA_TRUST_CODE_SIGNING'
+};
+
+export const TRUST_PURPOSES = Object.keys(TRUST_ATTRIBUTES);
+
+/**
+ * Check whether text looks like a certdata.txt file
+ * @param {string} content - File content
+ * @returns {boolean} True when it declares NSS certificate objects
+ */
+export function isCertdata(content) {
+  return /^CKA_CLASS\s+CK_OBJECT_CLASS\s+CKO_/m.test(content);
+}
+
+function decodeOctal(lines) {
+  const bytes = [];
+  for (const line of lines) {
+    for (const match of line.matchAll(/\\([0-7]{3})/g)) {
+      bytes.push(parseInt(match[1], 8));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function readObjects(content) {
+  const objects = [];
+  const lines = content.split(/\r?\n/);
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#') || line === 'BEGINDATA') {
+      continue;
+    }
+
+    const [attribute, type, ...rest] = line.split(/\s+/);
+    let value = rest.join(' ');
+
+    if (type === 'MULTILINE_OCTAL') {
+      const octalLines = [];
+      while (++i < lines.length && lines[i].trim() !== 'END') {
+        octalLines.push(lines[i]);
+      }
+      value = decodeOctal(octalLines);
+    } else if (type === 'UTF8') {
+      value = value.replace(/^"|"$/g, '');
+    }
+
+    // Every object starts with its class
+    if (attribute === 'CKA_CLASS') {
+      current = {};
+      objects.push(current);
+    }
+    if (current) {
+      current[attribute] = value;
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Extract the certificates trusted as issuers for a purpose. Certificates without a
+ * trust record, or whose trust for the purpose is anything but CKT_NSS_TRUSTED_DELEGATOR
+ * (e.g. explicitly distrusted ones), are reported as skipped.
+ * @param {string} content - certdata.txt content
+ * @param {Object} options - purpose: 'server-auth' (default), 'email-protection' or 'code-signing'
+ * @returns {Object} { certificates: [{ label, der }], skipped: [{ label, reason }] }
+ */
+export function parseCertdata(content, { purpose = 'server-auth' } = {}) {
+  const trustAttribute = TRUST_ATTRIBUTES[purpose];
+  if (!trustAttribute) {
+    throw new Error(`Unknown trust purpose "${purpose}"; expected one of ${TRUST_PURPOSES.join(', ')}`);
+  }
+
+  const objects = readObjects(content);
+  const trustBySha1 = new Map();
+  for (const object of objects) {
+    if (object.CKA_CLASS === 'CKO_NSS_TRUST' && Buffer.isBuffer(object.CKA_CERT_SHA1_HASH)) {
+      trustBySha1.set(object.CKA_CERT_SHA1_HASH.toString('hex'), object[trustAttribute]);
+    }
+  }
+
+  const certificates = [];
+  const skipped = [];
+  for (const object of objects) {
+    if (object.CKA_CLASS !== 'CKO_CERTIFICATE' || !Buffer.isBuffer(object.CKA_VALUE)) {
+      continue;
+    }
+
+    const label = object.CKA_LABEL || 'Unnamed certificate';
+    const sha1 = crypto.createHash('sha1').update(object.CKA_VALUE).digest('hex');
+    const trust = trustBySha1.get(sha1);
+
+    if (trust === 'CKT_NSS_TRUSTED_DELEGATOR') {
+      certificates.push({ label, der: object.CKA_VALUE });
+    } else {
+      skipped.push({ label, reason: trust ? `Not trusted for ${purpose} (${trust})` : 'No trust record' });
+    }
+  }
+
+  return { certificates, skipped };
+}
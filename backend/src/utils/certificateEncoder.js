@@ -0,0 +1,169 @@
+/**
+ * Certificate container encoders
+ * Writes PKCS#7 certificate bundles and PKCS#12 key stores from DER certificates.
+ * node-forge's own writers only handle RSA, so the containers are assembled from its
+ * ASN.1 and PBE primitives; certificates are embedded as-is and private keys go
+ * through Node's crypto, which makes EC and Ed25519 material work too.
+ */
+
+import crypto from 'crypto';
+import forge from 'node-forge';
+import { derToPem } from './certificateParser.js';
+
+const { asn1, pki } = forge;
+const { Class, Type } = asn1;
+
+const PBE_ITERATIONS = 2048;
+// Oracle's trustedKeyUsage bag attribute, and the usage keytool writes into it
+const JAVA_TRUSTED_KEY_USAGE = '2.16.840.1.113894.746875.1.1';
+const ANY_EXTENDED_KEY_USAGE = '2.5.29.37.0';
+
+const toBytes = (buffer) => Buffer.from(buffer).toString('binary');
+const fromBytes = (bytes) => Buffer.from(bytes, 'binary');
+
+const sequence = (values) => asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, values);
+const set = (values) => asn1.create(Class.UNIVERSAL, Type.SET, true, values);
+const oid = (id) => asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(id).getBytes());
+const integer = (value) => asn1.create(Class.UNIVERSAL, Type.INTEGER, false, asn1.integerToDer(value).getBytes());
+const octetString = (bytes) => asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, bytes);
+const explicit = (value) => asn1.create(Class.CONTEXT_SPECIFIC, 0, true, [value]);
+const fromDer = (der) => asn1.fromDer(forge.util.createBuffer(toBytes(der)));
+
+// PKCS#7 ContentInfo of type data wrapping the DER encoding of an ASN.1 value
+const dataContentInfo = (value) => sequence([oid(pki.oids.data), explicit(octetString(asn1.toDer(value).getBytes()))]);
+
+/**
+ * Encode certificates as a degenerate PKCS#7 SignedData bundle (.p7b): no content,
+ * no signers, just the certificates
+ * @param {Array<Buffer>} certificateDers - DER certificates, leaf first
+ * @param {Object} options - pem: PEM encode (-----BEGIN PKCS7-----) instead of DER
+ * @returns {Buffer|string} DER bundle, or PEM text
+ */
+export function encodePkcs7(certificateDers, { pem = false } = {}) {
+  const signedData = sequence([
+    integer(1),
+    set([]),
+    sequence([oid(pki.oids.data)]),
+    asn1.create(Class.CONTEXT_SPECIFIC, 0, true, certificateDers.map(fromDer)),
+    set([])
+  ]);
+  const der = fromBytes(asn1.toDer(sequence([oid(pki.oids.signedData), explicit(signedData)])).getBytes());
+  return pem ? derToPem(der, 'PKCS7') : der;
+}
+
+/**
+ * Build a password protected PKCS#12 (.pfx/.p12) store.
+ * The default profile is the one OpenSSL 3 writes (AES-256-CBC with PBKDF2-SHA256 for
+ * the key, HMAC-SHA256 integrity); legacy switches to 3DES and SHA-1 for older Windows
+ * and Java releases. Certificate bags are not encrypted.
+ * @param {Object} contents - privateKeyPem (optional), certificates (DER, leaf first),
+ *   friendlyName of the leaf/key entry, password and legacy
+ * @returns {Buffer} DER encoded PFX
+ */
+export function buildPkcs12({ privateKeyPem = null, certificates, friendlyName = null, password, legacy = false }) {
+  if (!certificates || certificates.length === 0) {
+    throw new Error('A PKCS#12 store needs at least one certificate');
+  }
+  // Only the entry the key belongs to carries the attributes
+  return buildPkcs12Store({
+    entries: [{ privateKeyPem, certificates, friendlyName: privateKeyPem ? friendlyName : null }],
+    password,
+    legacy
+  });
+}
+
+/**
+ * Build a PKCS#12 store holding several entries, as Java and keytool use it.
+ * Key entries pair the key and leaf bags by localKeyId; trusted entries are certificate
+ * bags named by friendlyName and marked with Oracle's trusted key usage attribute,
+ * without which Java ignores them.
+ * @param {Object} contents - entries: [{ certificates (DER, leaf first), privateKeyPem?,
+ *   friendlyName?, trusted? }], password and legacy (see buildPkcs12)
+ * @returns {Buffer} DER encoded PFX
+ */
+export function buildPkcs12Store({ entries, password, legacy = false }) {
+  if (!entries || entries.length === 0 || entries.some(entry => !entry.certificates?.length)) {
+    throw new Error('A PKCS#12 store needs at least one certificate');
+  }
+
+  const certificateBags = [];
+  const keyBags = [];
+  const written = new Set();
+
+  const certificateBag = (der, attributes) => {
+    written.add(crypto.createHash('sha256').update(der).digest('hex'));
+    certificateBags.push(sequence([
+      oid(pki.oids.certBag),
+      explicit(sequence([
+        oid(pki.oids.x509Certificate),
+        explicit(octetString(toBytes(der)))
+      ])),
+      attributes.length > 0 ? set(attributes) : undefined
+    ]));
+  };
+
+  for (const { certificates, privateKeyPem = null, friendlyName = null, trusted = false } of entries) {
+    const attributes = [];
+    if (privateKeyPem) {
+      const localKeyId = crypto.createHash('sha1').update(certificates[0]).digest('binary');
+      attributes.push(sequence([oid(pki.oids.localKeyId), set([octetString(localKeyId)])]));
+    }
+    if (friendlyName) {
+      attributes.push(sequence([
+        oid(pki.oids.friendlyName),
+        set([asn1.create(Class.UNIVERSAL, Type.BMPSTRING, false, friendlyName)])
+      ]));
+    }
+    if (trusted && !privateKeyPem) {
+      attributes.push(sequence([oid(JAVA_TRUSTED_KEY_USAGE), set([oid(ANY_EXTENDED_KEY_USAGE)])]));
+    }
+
+    certificateBag(certificates[0], attributes);
+    // Issuers shared between entries are written once
+    certificates.slice(1)
+      .filter(der => !written.has(crypto.createHash('sha256').update(der).digest('hex')))
+      .forEach(der => certificateBag(der, []));
+
+    if (privateKeyPem) {
+      const privateKeyInfo = fromDer(crypto.createPrivateKey(privateKeyPem).export({ type: 'pkcs8', format: 'der' }));
+      // PBES2 takes the password as UTF-8 bytes; the PKCS#12 KDF (3DES) encodes it itself
+      const encryptedKey = legacy
+        ? pki.encryptPrivateKeyInfo(privateKeyInfo, password, { algorithm: '3des', count: PBE_ITERATIONS })
+        : pki.encryptPrivateKeyInfo(privateKeyInfo, forge.util.encodeUtf8(password), {
+          algorithm: 'aes256',
+          count: PBE_ITERATIONS,
+          prfAlgorithm: 'sha256'
+        });
+      keyBags.push(sequence([oid(pki.oids.pkcs8ShroudedKeyBag), explicit(encryptedKey), set(attributes)]));
+    }
+  }
+
+  const contents = [dataContentInfo(sequence(certificateBags))];
+  if (keyBags.length > 0) {
+    contents.push(dataContentInfo(sequence(keyBags)));
+  }
+
+  const authenticatedSafe = asn1.toDer(sequence(contents)).getBytes();
+
+  const md = legacy ? forge.md.sha1.create() : forge.md.sha256.create();
+  const salt = forge.random.getBytesSync(8);
+  const macKey = pki.pbe.generatePkcs12Key(password, forge.util.createBuffer(salt), 3, PBE_ITERATIONS, md.digestLength, md);
+  const hmac = forge.hmac.create();
+  hmac.start(md, macKey);
+  hmac.update(authenticatedSafe);
+
+  const pfx = sequence([
+    integer(3),
+    sequence([oid(pki.oids.data), explicit(octetString(authenticatedSafe))]),
+    sequence([
+      sequence([
+        sequence([oid(legacy ? pki.oids.sha1 : pki.oids.sha256), asn1.create(Class.UNIVERSAL, Type.NULL, false, '')]),
+        octetString(hmac.digest().getBytes())
+      ]),
+      octetString(salt),
+      integer(PBE_ITERATIONS)
+    ])
+  ]);
+
+  return fromBytes(asn1.toDer(pfx).getBytes());
+}
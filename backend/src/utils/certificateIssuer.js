@@ -0,0 +1,133 @@
+/**
+ * Certificate issuance for the internal CAs
+ * Builds and signs root, intermediate and leaf (server, client, code-signing) certificates
+ * with @peculiar/x509.
+ */
+
+import crypto from 'crypto';
+import * as x509 from '@peculiar/x509';
+import { buildName, importKeyPair, SAN_NAME_TYPES } from './csrGenerator.js';
+
+const { KeyUsageFlags, ExtendedKeyUsage } = x509;
+
+// Validity limits of CA certificates, in days
+export const CA_PROFILES = {
+  root: { defaultValidityDays: 3650, maxValidityDays: 9125 },
+  intermediate: { defaultValidityDays: 1825, maxValidityDays: 3650 }
+};
+
+// Leaf certificate profiles: key usages, allowed SAN types and validity limits (days)
+export const CERTIFICATE_PROFILES = {
+  server: {
+    description: 'TLS server certificate; needs at least one DNS or IP subject alternative name',
+    extendedKeyUsages: [ExtendedKeyUsage.serverAuth],
+    subjectAltNameTypes: ['dns', 'ip'],
+    requiresSubjectAltName: true,
+    defaultValidityDays: 397,
+    maxValidityDays: 397
+  },
+  client: {
+    description: 'TLS client certificate for mutual TLS',
+    extendedKeyUsages: [ExtendedKeyUsage.clientAuth],
+    subjectAltNameTypes: ['dns', 'email', 'uri'],
+    requiresSubjectAltName: false,
+    defaultValidityDays: 365,
+    maxValidityDays: 825
+  },
+  'code-signing': {
+    description: 'Code signing certificate',
+    extendedKeyUsages: [ExtendedKeyUsage.codeSigning],
+    subjectAltNameTypes: [],
+    requiresSubjectAltName: false,
+    defaultValidityDays: 365,
+    maxValidityDays: 1095
+  }
+};
+
+/**
+ * Random positive 128-bit serial number
+ * @returns {string} Hex serial number
+ */
+export function randomSerialNumber() {
+  const bytes = crypto.randomBytes(16);
+  // Clear the sign bit, and keep the first byte non-zero so the DER integer stays 16 bytes
+  bytes[0] = (bytes[0] & 0x7f) || 0x01;
+  return bytes.toString('hex');
+}
+
+/**
+ * Sign a certificate
+ * @param {Object} options
+ * @param {string} options.profile - 'root', 'intermediate' or one of CERTIFICATE_PROFILES
+ * @param {Object} options.subject - Subject fields (see buildName() in csrGenerator.js)
+ * @param {Buffer} options.publicKeyDer - DER SubjectPublicKeyInfo of the subject's key
+ * @param {Array<Object>} [options.subjectAltNames] - [{ type: 'dns'|'ip'|'email'|'uri', value }]
+ * @param {Date} options.notBefore - Start of validity
+ * @param {Date} options.notAfter - End of validity
+ * @param {number|null} [options.pathLength] - Path length constraint of a CA certificate
+ * @param {Object} options.issuer - { certificatePem, privateKeyPem } of the signing CA;
+ *   certificatePem is null for a self-signed root
+ * @returns {Promise<Object>} { pem, der, serialNumber }
+ */
+export async function issueCertificate({
+  profile,
+  subject,
+  publicKeyDer,
+  subjectAltNames = [],
+  notBefore,
+  notAfter,
+  pathLength = null,
+  issuer
+}) {
+  const isCA = Boolean(CA_PROFILES[profile]);
+  const leafProfile = CERTIFICATE_PROFILES[profile];
+  if (!isCA && !leafProfile) {
+    throw new Error(`Unknown certificate profile ${profile}`);
+  }
+
+  const { keys, signingAlgorithm } = await importKeyPair(issuer.privateKeyPem);
+  const issuerCertificate = issuer.certificatePem ? new x509.X509Certificate(issuer.certificatePem) : null;
+  const publicKey = new x509.PublicKey(publicKeyDer);
+  const subjectName = buildName(subject);
+
+  const extensions = [
+    new x509.BasicConstraintsExtension(isCA, isCA && pathLength !== null ? pathLength : undefined, true),
+    await x509.SubjectKeyIdentifierExtension.create(publicKey, false, crypto.webcrypto)
+  ];
+  if (issuerCertificate) {
+    extensions.push(await x509.AuthorityKeyIdentifierExtension.create(issuerCertificate, false, crypto.webcrypto));
+  }
+
+  if (isCA) {
+    extensions.push(new x509.KeyUsagesExtension(KeyUsageFlags.keyCertSign | KeyUsageFlags.cRLSign | KeyUsageFlags.digitalSignature, true));
+  } else {
+    // RSA keys also encrypt TLS key exchanges; code signing only ever signs
+    const isRsa = crypto.createPublicKey({ key: publicKeyDer, format: 'der', type: 'spki' }).asymmetricKeyType === 'rsa';
+    const usages = isRsa && profile !== 'code-signing'
+      ? KeyUsageFlags.digitalSignature | KeyUsageFlags.keyEncipherment
+      : KeyUsageFlags.digitalSignature;
+    extensions.push(new x509.KeyUsagesExtension(usages, true));
+    extensions.push(new x509.ExtendedKeyUsageExtension(leafProfile.extendedKeyUsages, false));
+  }
+
+  if (subjectAltNames.length > 0) {
+    extensions.push(new x509.SubjectAlternativeNameExtension(
+      subjectAltNames.map(name => ({ type: SAN_NAME_TYPES[name.type] || name.type, value: name.value }))
+    ));
+  }
+
+  const serialNumber = randomSerialNumber();
+  const certificate = await x509.X509CertificateGenerator.create({
+    serialNumber,
+    subject: subjectName,
+    issuer: issuerCertificate ? issuerCertificate.subjectName : subjectName,
+    notBefore,
+    notAfter,
+    signingAlgorithm,
+    publicKey,
+    signingKey: keys.privateKey,
+    extensions
+  }, crypto.webcrypto);
+
+  return { pem: certificate.toString('pem'), der: Buffer.from(certificate.rawData), serialNumber };
+}
@@ -0,0 +1,210 @@
+/**
+ * Certificate linter
+ * Checks parsed certificates against the CA/Browser Forum Baseline Requirements for
+ * TLS server certificates and RFC 5280. Rule IDs follow the zlint convention: the
+ * prefix gives the severity (e_ error, w_ warning) and the rest names the check.
+ */
+
+export const LINTER_VERSION = '1';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Ballot SC31: 398 days for certificates issued on or after 2020-09-01
+const MAX_TLS_VALIDITY_DAYS = 398;
+const MAX_TLS_VALIDITY_EFFECTIVE = Date.parse('2020-09-01T00:00:00Z');
+// The only EKU a TLS server certificate may combine with serverAuth
+const EKU_ALLOWED_WITH_SERVER_AUTH = ['serverAuth', 'clientAuth'];
+
+const commonNameOf = (subject) => (subject || '').match(/(?:^|,\s*)CN=([^,]+)/)?.[1]?.trim() || null;
+
+const isSelfSigned = (certificate) => Boolean(certificate.subject) && certificate.subject === certificate.issuer;
+
+// Subscriber TLS server certificate: not a CA, and serverAuth in the EKU (or no EKU at all)
+const isTlsSubscriber = (certificate) => !certificate.isCA
+  && ((certificate.extendedKeyUsage || []).length === 0 || certificate.extendedKeyUsage.includes('serverAuth'));
+
+// Publicly trusted TLS certificates chain to a root program; self-signed ones never do
+const isPublicTlsSubscriber = (certificate) => isTlsSubscriber(certificate) && !isSelfSigned(certificate);
+
+const serialBytes = (certificate) => Buffer.from((certificate.serialNumber || '').replace(/[^0-9a-f]/gi, ''), 'hex');
+
+const dnsNames = (certificate) => (certificate.subjectAltNames || [])
+  .filter(name => name.type === 'dns')
+  .map(name => name.value);
+
+// A wildcard must be the whole left-most label and leave at least two labels (no "*.com")
+const isValidWildcard = (name) => {
+  const labels = name.split('.');
+  return labels[0] === '*' && !labels.slice(1).some(label => label.includes('*')) && labels.length >= 3;
+};
+
+/**
+ * Lint rules: { id, severity, description, reference, applies(certificate), check(certificate) }.
+ * check returns null when the certificate passes, or one message per problem found.
+ */
+export const LINT_RULES = [
+  {
+    id: 'e_rsa_mod_less_than_2048_bits',
+    severity: 'error',
+    description: 'RSA keys must be at least 2048 bits',
+    reference: 'CABF BR 6.1.5',
+    applies: (certificate) => /^RSA/.test(certificate.keyAlgorithm || ''),
+    check: (certificate) => certificate.keySize && certificate.keySize < 2048
+      ? [`RSA key is ${certificate.keySize} bits`]
+      : null
+  },
+  {
+    id: 'e_signature_algorithm_sha1',
+    severity: 'error',
+    description: 'Certificates must not be signed with SHA-1',
+    reference: 'CABF BR 7.1.3.2',
+    // A root's self-signature is never verified, so its hash does not matter
+    applies: (certificate) => !isSelfSigned(certificate),
+    check: (certificate) => /sha-?1(?!\d)/i.test(certificate.signatureAlgorithm || '')
+      ? [`Signed with ${certificate.signatureAlgorithm}`]
+      : null
+  },
+  {
+    id: 'e_tls_server_cert_valid_time_longer_than_398_days',
+    severity: 'error',
+    description: 'Public TLS server certificates issued since 2020-09-01 may be valid for at most 398 days',
+    reference: 'CABF BR 6.3.2',
+    applies: (certificate) => isPublicTlsSubscriber(certificate)
+      && Date.parse(certificate.validFrom) >= MAX_TLS_VALIDITY_EFFECTIVE,
+    check: (certificate) => {
+      // notAfter is inclusive, so a validity period is one second longer than the difference
+      const days = (Date.parse(certificate.validTo) - Date.parse(certificate.validFrom) + 1000) / DAY;
+      return days > MAX_TLS_VALIDITY_DAYS ? [`Valid for ${Math.ceil(days)} days`] : null;
+    }
+  },
+  {
+    id: 'e_ext_san_missing',
+    severity: 'error',
+    description: 'TLS server certificates must carry a subjectAltName extension',
+    reference: 'CABF BR 7.1.2.7.12',
+    applies: isTlsSubscriber,
+    check: (certificate) => (certificate.subjectAltNames || []).length === 0
+      ? ['No subject alternative names']
+      : null
+  },
+  {
+    id: 'e_subject_common_name_not_from_san',
+    severity: 'error',
+    description: 'The subject common name must repeat one of the subject alternative names',
+    reference: 'CABF BR 7.1.4.3',
+    applies: (certificate) => isTlsSubscriber(certificate)
+      && Boolean(commonNameOf(certificate.subject))
+      && (certificate.subjectAltNames || []).length > 0,
+    check: (certificate) => {
+      const commonName = commonNameOf(certificate.subject);
+      const names = (certificate.subjectAltNames || [])
+        .filter(name => name.type === 'dns' || name.type === 'ip')
+        .map(name => name.value.toLowerCase());
+      return names.includes(commonName.toLowerCase())
+        ? null
+        : [`Common name "${commonName}" is not among the subject alternative names`];
+    }
+  },
+  {
+    id: 'e_dnsname_bad_wildcard',
+    severity: 'error',
+    description: 'A wildcard may only be the entire left-most label of a name below a registered domain',
+    reference: 'CABF BR 7.1.2.7.12, RFC 6125 6.4.3',
+    applies: isTlsSubscriber,
+    check: (certificate) => {
+      const names = [...dnsNames(certificate), commonNameOf(certificate.subject)].filter(Boolean);
+      const invalid = [...new Set(names)].filter(name => name.includes('*') && !isValidWildcard(name));
+      return invalid.length > 0 ? invalid.map(name => `Invalid wildcard in "${name}"`) : null;
+    }
+  },
+  {
+    id: 'e_serial_number_not_positive',
+    severity: 'error',
+    description: 'Serial numbers must be positive integers',
+    reference: 'RFC 5280 4.1.2.2',
+    applies: () => true,
+    check: (certificate) => {
+      const serial = serialBytes(certificate);
+      if (serial.length === 0 || serial.every(byte => byte === 0)) {
+        return ['Serial number is zero'];
+      }
+      return serial[0] & 0x80 ? ['Serial number is negative'] : null;
+    }
+  },
+  {
+    id: 'e_serial_number_longer_than_20_octets',
+    severity: 'error',
+    description: 'Serial numbers must not be longer than 20 octets',
+    reference: 'RFC 5280 4.1.2.2',
+    applies: () => true,
+    check: (certificate) => {
+      const length = serialBytes(certificate).length;
+      return length > 20 ? [`Serial number is ${length} octets`] : null;
+    }
+  },
+  {
+    id: 'w_serial_number_low_entropy',
+    severity: 'warning',
+    description: 'Serial numbers should hold at least 64 bits of CSPRNG output',
+    reference: 'CABF BR 7.1',
+    applies: (certificate) => !isSelfSigned(certificate),
+    check: (certificate) => {
+      const serial = serialBytes(certificate);
+      const significant = serial.subarray(serial.findIndex(byte => byte !== 0));
+      const bits = significant.length === 0 ? 0 : (significant.length - 1) * 8 + significant[0].toString(2).length;
+      return bits < 64 ? [`Serial number has only ${bits} bits`] : null;
+    }
+  },
+  {
+    id: 'e_sub_cert_eku_disallowed_combination',
+    severity: 'error',
+    description: 'TLS server certificates may combine serverAuth with clientAuth only',
+    reference: 'CABF BR 7.1.2.7.10',
+    applies: (certificate) => !certificate.isCA && (certificate.extendedKeyUsage || []).includes('serverAuth'),
+    check: (certificate) => {
+      const disallowed = certificate.extendedKeyUsage.filter(usage => !EKU_ALLOWED_WITH_SERVER_AUTH.includes(usage));
+      return disallowed.length > 0 ? [`serverAuth is combined with ${disallowed.join(', ')}`] : null;
+    }
+  }
+];
+
+/**
+ * Lint a parsed certificate
+ * @param {Object} certificate - parseCertificate() output
+ * @returns {Object} { linterVersion, lintedAt, summary: { errors, warnings, passed },
+ *   findings: [{ ruleId, severity, message, description, reference }] }
+ */
+export function lintCertificate(certificate) {
+  const findings = [];
+  let passed = 0;
+
+  for (const rule of LINT_RULES) {
+    if (!rule.applies(certificate)) {
+      continue;
+    }
+    const messages = rule.check(certificate);
+    if (!messages) {
+      passed++;
+      continue;
+    }
+    for (const message of messages) {
+      findings.push({
+        ruleId: rule.id,
+        severity: rule.severity,
+        message,
+        description: rule.description,
+        reference: rule.reference
+      });
+    }
+  }
+
+  return {
+    linterVersion: LINTER_VERSION,
+    lintedAt: new Date().toISOString(),
+    summary: {
+      errors: findings.filter(finding => finding.severity === 'error').length,
+      warnings: findings.filter(finding => finding.severity === 'warning').length,
+      passed
+    },
+    findings
+  };
+}
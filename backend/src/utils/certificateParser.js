@@ -1,12 +1,69 @@
-import { X509Certificate } from '@peculiar/x509';
+import {
+  X509Certificate,
+  X509Certificates,
+  Pkcs10CertificateRequest,
+  SubjectAlternativeNameExtension,
+  SubjectKeyIdentifierExtension,
+  AuthorityKeyIdentifierExtension,
+  KeyUsagesExtension,
+  KeyUsageFlags,
+  ExtendedKeyUsageExtension,
+  BasicConstraintsExtension,
+  CRLDistributionPointsExtension,
+  AuthorityInfoAccessExtension,
+  CertificatePolicyExtension
+} from '@peculiar/x509';
+import crypto from 'crypto';
+import forge from 'node-forge';
+import { detectJavaKeyStore, readJavaKeyStore } from './javaKeyStore.js';
+
+const KEY_ALGORITHM_NAMES = { rsa: 'RSA', 'rsa-pss': 'RSA-PSS', ec: 'EC', ed25519: 'Ed25519', ed448: 'Ed448' };
+const ED_KEY_SIZES = { ed25519: 256, ed448: 456 };
+const EC_CURVES = {
+  prime256v1: { name: 'P-256', size: 256 },
+  secp384r1: { name: 'P-384', size: 384 },
+  secp521r1: { name: 'P-521', size: 521 }
+};
+
+const EXTENDED_KEY_USAGE_NAMES = {
+  '1.3.6.1.5.5.7.3.1': 'serverAuth',
+  '1.3.6.1.5.5.7.3.2': 'clientAuth',
+  '1.3.6.1.5.5.7.3.3': 'codeSigning',
+  '1.3.6.1.5.5.7.3.4': 'emailProtection',
+  '1.3.6.1.5.5.7.3.8': 'timeStamping',
+  '1.3.6.1.5.5.7.3.9': 'OCSPSigning',
+  '2.5.29.37.0': 'anyExtendedKeyUsage'
+};
+const SAN_TYPES = { dns: 'dns', ip: 'ip', email: 'email', url: 'uri' };
+
+/**
+ * Wrap DER bytes in a PEM envelope
+ * @param {Buffer|ArrayBuffer} der - DER encoded data
+ * @param {string} label - PEM label
+ * @returns {string} PEM string
+ */
+export function derToPem(der, label = 'CERTIFICATE') {
+  const b64 = Buffer.from(der).toString('base64');
+  const b64Lines = b64.match(/.{1,64}/g).join('\n');
+  return `-----BEGIN ${label}-----\n${b64Lines}\n-----END ${label}-----\n`;
+}
+
+/**
+ * Split PEM text into its individual CERTIFICATE blocks
+ * @param {string} content - PEM text, possibly holding several certificates
+ * @returns {Array<string>} One PEM string per certificate, in file order
+ */
+export function splitPemCertificates(content) {
+  return content.match(/-----BEGIN CERTIFICATE-----[\s\S]*?-----END CERTIFICATE-----/g) || [];
+}
 
 export async function parseCertificate(fileContent, originalName = "") {
   try {
     let der;
     const contentStr = fileContent.toString('utf8');
     if (contentStr.includes('-----BEGIN CERTIFICATE-----')) {
-      // PEM: strip header/footer and decode base64
-      let pem = contentStr
+      // PEM: take the first block, strip header/footer and decode base64
+      let pem = (splitPemCertificates(contentStr)[0] || contentStr)
       .replace(/-----BEGIN CERTIFICATE-----/, '')
       .replace(/-----END CERTIFICATE-----/, '')
         .replace(/\r?\n|\r/g, '');
@@ -54,6 +111,14 @@ export async function parseCertificate(fileContent, originalName = "") {
       algorithm: cert.publicKey?.algorithm?.name || 'Unknown',
       serialNumber: cert.serialNumber,
       status: calculateStatus(cert.notAfter),
+      fingerprintSha256: crypto.createHash('sha256').update(Buffer.from(cert.rawData)).digest('hex'),
+      fingerprintSha1: crypto.createHash('sha1').update(Buffer.from(cert.rawData)).digest('hex'),
+      ...describePublicKey(cert.publicKey.rawData),
+      signatureAlgorithm: formatSignatureAlgorithm(cert.signatureAlgorithm),
+      ...extractExtensions(cert),
+      subjectKeyIdentifier: cert.getExtension(SubjectKeyIdentifierExtension)?.keyId || null,
+      authorityKeyIdentifier: cert.getExtension(AuthorityKeyIdentifierExtension)?.keyId || null,
+      pem: derToPem(cert.rawData),
     };
   } catch (error) {
     console.error(`[parseCertificate] Error parsing certificate (${originalName}):`, error);
@@ -61,14 +126,480 @@ export async function parseCertificate(fileContent, originalName = "") {
   }
 }
 
-function calculateStatus(validTo) {
+/**
+ * Unpack a PKCS#12 (.pfx/.p12) container.
+ * The certificate matching the private key is the leaf; the remaining
+ * certificates are returned, issuer order, as its chain.
+ * @param {Buffer} fileContent - DER encoded PFX
+ * @param {string} password - Container password (empty string when unprotected)
+ * @param {string} originalName - File name, for logging
+ * @returns {Promise<Object>} { certificate, chain, privateKey }
+ */
+export async function parsePkcs12(fileContent, password = '', originalName = '') {
+  const { certBags, keyBags } = openPkcs12(fileContent, password, originalName);
+  const certificateDers = certBags.map(bag => bag.der);
+
+  if (certificateDers.length === 0) {
+    throw new Error('Invalid PKCS#12 file: the container holds no certificates.');
+  }
+
+  const privateKey = keyBags.length > 0 ? keyBags[0].privateKey : null;
+
+  const leafIndex = findLeafIndex(certificateDers, privateKey);
+  const leafDer = certificateDers[leafIndex];
+  const chainDers = orderChain(leafDer, certificateDers.filter((_, index) => index !== leafIndex));
+
+  return {
+    certificate: await parseCertificate(leafDer, originalName),
+    chain: await Promise.all(chainDers.map(der => parseCertificate(der, originalName))),
+    privateKey
+  };
+}
+
+/**
+ * Unpack a Java keystore, JKS or PKCS#12, into one entry per alias: key entries with
+ * their certificate chain and private key, and trusted certificate entries.
+ * In a PKCS#12 store a key's certificate is found by localKeyId; other certificates
+ * carrying a friendlyName (an alias) are trusted entries.
+ * @param {Buffer} fileContent - Keystore file
+ * @param {string} password - Store password
+ * @param {string} originalName - File name, for logging
+ * @param {Object} options - keyPassword, when JKS keys use a password of their own
+ * @returns {Promise<Object>} { format: 'jks' | 'pkcs12', entries: [{ alias,
+ *   type: 'private-key' | 'trusted-certificate', certificate, chain, privateKey, error }] }
+ */
+export async function parseKeyStore(fileContent, password = '', originalName = '', { keyPassword } = {}) {
+  let format = detectJavaKeyStore(fileContent);
+  let entries;
+  if (format) {
+    try {
+      entries = readJavaKeyStore(fileContent, password, { keyPassword });
+    } catch (error) {
+      console.error(`[parseKeyStore] Error opening Java keystore (${originalName}):`, error.message);
+      throw error;
+    }
+  } else {
+    format = 'pkcs12';
+    entries = readPkcs12Entries(fileContent, password, originalName);
+  }
+
+  if (entries.length === 0) {
+    throw new Error('The keystore holds no entries.');
+  }
+
+  return {
+    format,
+    entries: await Promise.all(entries.map(async ({ alias, type, certificates, privateKeyPem, error }) => {
+      const [leafDer, ...issuerDers] = certificates;
+      return {
+        alias,
+        type,
+        certificate: await parseCertificate(leafDer, `${originalName}#${alias}`),
+        chain: await Promise.all(orderChain(leafDer, issuerDers).map(der => parseCertificate(der, `${originalName}#${alias}`))),
+        privateKey: privateKeyPem || null,
+        error: error || null
+      };
+    }))
+  };
+}
+
+/**
+ * Unpack a PKCS#7 SignedData bundle (.p7b/.p7c), PEM or DER encoded.
+ * @param {Buffer} fileContent - Bundle content
+ * @param {string} originalName - File name, for logging
+ * @returns {Promise<Array>} Parsed certificates in bundle order
+ */
+export async function parsePkcs7(fileContent, originalName = '') {
+  let certificates;
+  try {
+    let der = fileContent;
+    const contentStr = fileContent.toString('utf8');
+    const pemMatch = contentStr.match(/-----BEGIN (?:PKCS7|CMS)-----([\s\S]*?)-----END (?:PKCS7|CMS)-----/);
+    if (pemMatch) {
+      der = Buffer.from(pemMatch[1].replace(/\s+/g, ''), 'base64');
+    }
+    certificates = new X509Certificates(der);
+  } catch (error) {
+    console.error(`[parsePkcs7] Error parsing PKCS#7 bundle (${originalName}):`, error.message);
+    throw new Error('Invalid or unsupported PKCS#7 file. Expected a PEM or DER encoded SignedData bundle (.p7b/.p7c).');
+  }
+
+  if (certificates.length === 0) {
+    throw new Error('Invalid PKCS#7 file: the bundle holds no certificates.');
+  }
+
+  return Promise.all(certificates.map(cert => parseCertificate(Buffer.from(cert.rawData), originalName)));
+}
+
+/**
+ * Parse every certificate of a multi-certificate PEM file (e.g. fullchain.pem, .ca-bundle)
+ * @param {Buffer} fileContent - PEM content
+ * @param {string} originalName - File name, for logging
+ * @returns {Promise<Array>} Parsed certificates in file order
+ */
+export async function parsePemBundle(fileContent, originalName = '') {
+  const blocks = splitPemCertificates(fileContent.toString('utf8'));
+  if (blocks.length === 0) {
+    throw new Error('Invalid PEM bundle: no certificates found.');
+  }
+  return Promise.all(blocks.map(block => parseCertificate(Buffer.from(block), originalName)));
+}
+
+/**
+ * Parse a PKCS#10 certificate signing request (.csr), PEM or DER encoded
+ * @param {Buffer} fileContent - CSR content
+ * @param {string} originalName - File name, for logging
+ * @returns {Promise<Object>} Subject, SANs, key details and whether the self-signature verifies
+ */
+export async function parseCertificateRequest(fileContent, originalName = '') {
+  let csr;
+  try {
+    const contentStr = fileContent.toString('utf8');
+    const pemMatch = contentStr.match(/-----BEGIN (?:NEW )?CERTIFICATE REQUEST-----([\s\S]*?)-----END (?:NEW )?CERTIFICATE REQUEST-----/);
+    const der = pemMatch ? Buffer.from(pemMatch[1].replace(/\s+/g, ''), 'base64') : fileContent;
+    csr = new Pkcs10CertificateRequest(der);
+  } catch (error) {
+    console.error(`[parseCertificateRequest] Error parsing CSR (${originalName}):`, error.message);
+    throw new Error('Invalid or unsupported certificate signing request. Expected a PEM or DER encoded PKCS#10 request (.csr).');
+  }
+
+  const subjectAltNames = extractSubjectAltNames(csr.extensions);
+
+  let signatureValid = false;
+  try {
+    signatureValid = await csr.verify();
+  } catch (error) {
+    console.warn(`[parseCertificateRequest] Could not verify CSR signature (${originalName}):`, error.message);
+  }
+
+  const commonNameMatch = csr.subject.match(/CN=([^,]+)/);
+
+  return {
+    commonName: commonNameMatch ? commonNameMatch[1].trim() : (subjectAltNames[0]?.value || 'Unknown'),
+    subject: csr.subject,
+    subjectAltNames,
+    signatureAlgorithm: formatSignatureAlgorithm(csr.signatureAlgorithm),
+    signatureValid,
+    ...describePublicKey(csr.publicKey.rawData),
+    pem: derToPem(csr.rawData, 'CERTIFICATE REQUEST'),
+  };
+}
+
+/**
+ * Read a private key file (.key): PEM (PKCS#8, PKCS#1, SEC1, optionally encrypted) or DER
+ * @param {Buffer} fileContent - Key content
+ * @param {string} password - Passphrase for encrypted keys
+ * @param {string} originalName - File name, for logging
+ * @returns {Object} PKCS#8 PEM plus the key details of its public half
+ */
+export function parsePrivateKey(fileContent, password = '', originalName = '') {
+  const contentStr = fileContent.toString('utf8');
+  const isPem = contentStr.includes('PRIVATE KEY-----');
+  if (isPem && !/-----BEGIN (?:RSA |EC |ENCRYPTED )?PRIVATE KEY-----/.test(contentStr)) {
+    throw new Error('Invalid or unsupported private key. Expected a PEM or DER encoded RSA, EC or Ed25519 key.');
+  }
+
+  if (isPem && !password && /ENCRYPTED/.test(contentStr)) {
+    throw new Error('Unable to read private key: the key is encrypted and requires a password.');
+  }
+
+  const attempts = isPem
+    ? [{ key: contentStr, format: 'pem' }]
+    : ['pkcs8', 'pkcs1', 'sec1'].map(type => ({ key: fileContent, format: 'der', type }));
+
+  let keyObject;
+  let lastError;
+  for (const attempt of attempts) {
+    try {
+      keyObject = crypto.createPrivateKey({ ...attempt, passphrase: password || undefined });
+      break;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  if (!keyObject) {
+    console.error(`[parsePrivateKey] Error reading private key (${originalName}):`, lastError?.message);
+    if (password && /decrypt|passphrase/i.test(lastError?.message || '')) {
+      throw new Error('Unable to read private key: the password is incorrect.');
+    }
+    throw new Error('Invalid or unsupported private key. Expected a PEM or DER encoded RSA, EC or Ed25519 key.');
+  }
+
+  const spki = crypto.createPublicKey(keyObject).export({ type: 'spki', format: 'der' });
+
+  return {
+    privateKeyPem: keyObject.export({ type: 'pkcs8', format: 'pem' }).toString(),
+    ...describePublicKey(spki)
+  };
+}
+
+/**
+ * Describe a SubjectPublicKeyInfo: algorithm, size, curve and a fingerprint used to
+ * match certificates, requests and private keys that share the same key pair
+ * @param {ArrayBuffer|Buffer} spkiDer - DER encoded SubjectPublicKeyInfo
+ * @returns {Object} { keyAlgorithm, keySize, keyCurve, publicKeySha256 }
+ */
+export function describePublicKey(spkiDer) {
+  const der = Buffer.from(spkiDer);
+  const publicKeySha256 = crypto.createHash('sha256').update(der).digest('hex');
+
+  try {
+    const keyObject = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+    const details = keyObject.asymmetricKeyDetails || {};
+    const curve = EC_CURVES[details.namedCurve];
+
+    return {
+      keyAlgorithm: KEY_ALGORITHM_NAMES[keyObject.asymmetricKeyType] || keyObject.asymmetricKeyType,
+      keySize: details.modulusLength || curve?.size || ED_KEY_SIZES[keyObject.asymmetricKeyType] || null,
+      keyCurve: curve?.name || details.namedCurve || null,
+      publicKeySha256
+    };
+  } catch (error) {
+    return { keyAlgorithm: 'Unknown', keySize: null, keyCurve: null, publicKeySha256 };
+  }
+}
+
+/**
+ * Pull the searchable/auditable X.509 extensions out of a certificate
+ * @param {X509Certificate} cert - Parsed certificate
+ * @returns {Object} SANs, key usages, basic constraints, revocation and policy details
+ */
+function extractExtensions(cert) {
+  const keyUsage = cert.getExtension(KeyUsagesExtension);
+  const extendedKeyUsage = cert.getExtension(ExtendedKeyUsageExtension);
+  const basicConstraints = cert.getExtension(BasicConstraintsExtension);
+  const crlDistributionPoints = cert.getExtension(CRLDistributionPointsExtension);
+  const authorityInfoAccess = cert.getExtension(AuthorityInfoAccessExtension);
+  const certificatePolicies = cert.getExtension(CertificatePolicyExtension);
+
+  const uris = names => (names || []).filter(name => name.type === 'url').map(name => name.value);
+
+  return {
+    subjectAltNames: extractSubjectAltNames(cert.extensions),
+    keyUsage: keyUsage
+      ? Object.keys(KeyUsageFlags).filter(flag => isNaN(flag) && (keyUsage.usages & KeyUsageFlags[flag]))
+      : [],
+    extendedKeyUsage: extendedKeyUsage
+      ? Array.from(extendedKeyUsage.usages, usage => EXTENDED_KEY_USAGE_NAMES[usage] || usage)
+      : [],
+    isCA: basicConstraints ? Boolean(basicConstraints.ca) : false,
+    pathLength: basicConstraints?.pathLength ?? null,
+    crlDistributionPoints: Array.from(crlDistributionPoints?.distributionPoints || [])
+      .flatMap(point => point.distributionPoint?.fullName || [])
+      .map(name => name.uniformResourceIdentifier)
+      .filter(Boolean),
+    ocspUrls: uris(authorityInfoAccess?.ocsp),
+    caIssuersUrls: uris(authorityInfoAccess?.caIssuers),
+    certificatePolicies: certificatePolicies ? Array.from(certificatePolicies.policies) : []
+  };
+}
+
+/**
+ * Collect subject alternative names from every SAN extension present
+ * @param {Array} extensions - Certificate or CSR extensions
+ * @returns {Array<Object>} { type: 'dns'|'ip'|'email'|'uri'|..., value }
+ */
+function extractSubjectAltNames(extensions) {
+  return Array.from(extensions)
+    .filter(extension => extension instanceof SubjectAlternativeNameExtension)
+    .flatMap(extension => extension.names.items)
+    .map(name => ({ type: SAN_TYPES[name.type] || name.type, value: name.value }));
+}
+
+/**
+ * Name a WebCrypto signature algorithm the way OpenSSL does
+ * @param {Object} algorithm - { name, hash: { name } }
+ * @returns {string} e.g. 'sha256WithRSAEncryption', 'ecdsa-with-SHA384', 'Ed25519'
+ */
+function formatSignatureAlgorithm(algorithm) {
+  if (!algorithm?.name) {
+    return 'Unknown';
+  }
+  const hash = algorithm.hash?.name?.replace('-', '');
+  switch (algorithm.name) {
+    case 'RSASSA-PKCS1-v1_5':
+      return hash ? `${hash.toLowerCase()}WithRSAEncryption` : 'rsaEncryption';
+    case 'ECDSA':
+      return hash ? `ecdsa-with-${hash}` : 'ecdsa';
+    case 'RSA-PSS':
+      return 'rsassaPss';
+    default:
+      return algorithm.name;
+  }
+}
+
+/**
+ * Check whether a certificate was issued (and signed) by another
+ * @param {string|Buffer} certificatePem - Subject certificate
+ * @param {string|Buffer} issuerPem - Candidate issuer certificate
+ * @returns {boolean} True if the issuer's name matches and its key verifies the signature
+ */
+export function isIssuedBy(certificatePem, issuerPem) {
+  try {
+    const cert = new crypto.X509Certificate(certificatePem);
+    const issuer = new crypto.X509Certificate(issuerPem);
+    return cert.checkIssued(issuer) && cert.verify(issuer.publicKey);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Open a PKCS#12 container and decode its bags
+ * @returns {Object} { certBags: [{ der, friendlyName, localKeyId }], keyBags: [{ privateKey, friendlyName, localKeyId }] }
+ */
+function openPkcs12(fileContent, password, originalName) {
+  let p12;
+  try {
+    const p12Asn1 = forge.asn1.fromDer(forge.util.createBuffer(fileContent.toString('binary')));
+    p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, false, password || '');
+  } catch (error) {
+    console.error(`[parsePkcs12] Error opening PKCS#12 container (${originalName}):`, error.message);
+    if (/password|mac|decrypt/i.test(error.message)) {
+      throw new Error('Unable to open PKCS#12 file: the password is incorrect.');
+    }
+    throw new Error('Invalid or unsupported PKCS#12 file. Expected a DER encoded .pfx/.p12 container.');
+  }
+
+  const attribute = (bag, name) => bag.attributes?.[name]?.[0] || null;
+
+  const certBags = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || []).map(bag => {
+    const asn1 = bag.cert ? forge.pki.certificateToAsn1(bag.cert) : bag.asn1;
+    return {
+      der: Buffer.from(forge.asn1.toDer(asn1).getBytes(), 'binary'),
+      friendlyName: attribute(bag, 'friendlyName'),
+      localKeyId: attribute(bag, 'localKeyId')
+    };
+  });
+
+  const keyBags = [
+    ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+  ].map(bag => {
+    const keyInfo = bag.key
+      ? forge.pki.wrapRsaPrivateKey(forge.pki.privateKeyToAsn1(bag.key))
+      : bag.asn1;
+    return {
+      privateKey: forge.pki.privateKeyInfoToPem(keyInfo),
+      friendlyName: attribute(bag, 'friendlyName'),
+      localKeyId: attribute(bag, 'localKeyId')
+    };
+  });
+
+  return { certBags, keyBags };
+}
+
+/**
+ * Split a PKCS#12 store into keystore entries (see parseKeyStore)
+ */
+function readPkcs12Entries(fileContent, password, originalName) {
+  const { certBags, keyBags } = openPkcs12(fileContent, password, originalName);
+  const leaves = new Set();
+  const entries = [];
+
+  keyBags.forEach((keyBag, index) => {
+    let leaf = keyBag.localKeyId ? certBags.find(bag => bag.localKeyId === keyBag.localKeyId) : null;
+    if (!leaf) {
+      const privateKey = crypto.createPrivateKey(keyBag.privateKey);
+      leaf = certBags.find(bag => new crypto.X509Certificate(bag.der).checkPrivateKey(privateKey));
+    }
+    if (!leaf) {
+      return;
+    }
+    leaves.add(leaf);
+    entries.push({
+      alias: keyBag.friendlyName || leaf.friendlyName || `key-${index + 1}`,
+      type: 'private-key',
+      leaf,
+      privateKeyPem: keyBag.privateKey
+    });
+  });
+
+  // Issuers of each key's certificate form its chain
+  for (const entry of entries) {
+    const chain = [];
+    let current = new crypto.X509Certificate(entry.leaf.der);
+    for (;;) {
+      const issuer = certBags.find(bag => !leaves.has(bag) && !chain.includes(bag.der)
+        && current.checkIssued(new crypto.X509Certificate(bag.der))
+        && new crypto.X509Certificate(bag.der).fingerprint256 !== current.fingerprint256);
+      if (!issuer) {
+        break;
+      }
+      chain.push(issuer.der);
+      current = new crypto.X509Certificate(issuer.der);
+    }
+    entry.certificates = [entry.leaf.der, ...chain];
+    delete entry.leaf;
+  }
+
+  // Named certificates are trusted entries; a store without keys is a truststore
+  certBags.forEach((bag, index) => {
+    if (!leaves.has(bag) && (bag.friendlyName || keyBags.length === 0)) {
+      entries.push({ alias: bag.friendlyName || `certificate-${index + 1}`, type: 'trusted-certificate', certificates: [bag.der] });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Pick the leaf out of a set of certificates: the one matching the private
+ * key, else the first that is not a CA, else the first one.
+ */
+function findLeafIndex(certificateDers, privateKeyPem) {
+  const certificates = certificateDers.map(der => new crypto.X509Certificate(der));
+
+  if (privateKeyPem) {
+    const privateKey = crypto.createPrivateKey(privateKeyPem);
+    const matchIndex = certificates.findIndex(cert => cert.checkPrivateKey(privateKey));
+    if (matchIndex !== -1) {
+      return matchIndex;
+    }
+  }
+
+  const endEntityIndex = certificates.findIndex(cert => !cert.ca);
+  return endEntityIndex !== -1 ? endEntityIndex : 0;
+}
+
+/**
+ * Order issuer certificates so each one issued the previous, starting at the leaf.
+ * Certificates that are not part of the path are appended at the end.
+ */
+function orderChain(leafDer, issuerDers) {
+  const remaining = issuerDers.map(der => ({ der, cert: new crypto.X509Certificate(der) }));
+  const ordered = [];
+  let current = new crypto.X509Certificate(leafDer);
+
+  while (remaining.length > 0) {
+    const issuerIndex = remaining.findIndex(({ cert }) => current.checkIssued(cert) && cert.fingerprint256 !== current.fingerprint256);
+    if (issuerIndex === -1) {
+      break;
+    }
+    const [issuer] = remaining.splice(issuerIndex, 1);
+    ordered.push(issuer.der);
+    current = issuer.cert;
+  }
+
+  return [...ordered, ...remaining.map(({ der }) => der)];
+}
+
+/**
+ * Status of a certificate on a given day, from its expiry date. Parsing uses the default
+ * threshold; stored certificates get the one that applies to them (see expiryThresholdService).
+ * @param {string|Date} validTo - notAfter
+ * @param {Date} now - Date to evaluate at (defaults to now)
+ * @param {number} expiringSoonDays - Days before expiry the certificate is EXPIRING_SOON
+ * @returns {string} VALID, EXPIRING_SOON, EXPIRED or UNKNOWN
+ */
+export function calculateStatus(validTo, now = new Date(), expiringSoonDays = 30) {
   if (!validTo) return 'UNKNOWN';
-  const now = new Date();
   const expiryDate = new Date(validTo);
   const daysUntilExpiry = Math.ceil((expiryDate - now) / (1000 * 60 * 60 * 24));
   if (expiryDate < now) {
     return 'EXPIRED';
-  } else if (daysUntilExpiry <= 30) {
+  } else if (daysUntilExpiry <= expiringSoonDays) {
     return 'EXPIRING_SOON';
   } else {
     return 'VALID';
@@ -0,0 +1,196 @@
+/**
+ * Key pair and CSR generation
+ * Generates private keys of the supported types and signs PKCS#10 requests with them, for ACME
+ * renewals (a new key, or the vaulted key of the certificate being renewed), the internal CAs and
+ * CSRs generated on request.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import * as x509 from '@peculiar/x509';
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+const { subtle } = crypto.webcrypto;
+
+export const KEY_TYPES = {
+  'rsa-2048': { type: 'rsa', options: { modulusLength: 2048 } },
+  'rsa-3072': { type: 'rsa', options: { modulusLength: 3072 } },
+  'rsa-4096': { type: 'rsa', options: { modulusLength: 4096 } },
+  'ec-p256': { type: 'ec', options: { namedCurve: 'P-256' } },
+  'ec-p384': { type: 'ec', options: { namedCurve: 'P-384' } },
+  'ed25519': { type: 'ed25519', options: {} }
+};
+
+// Public ACME CAs do not issue certificates for Ed25519 keys
+export const ACME_KEY_TYPES = Object.keys(KEY_TYPES).filter(keyType => keyType !== 'ed25519');
+
+const CURVES = { prime256v1: 'P-256', secp384r1: 'P-384' };
+// SAN types as the parser reports them, to @peculiar/x509 GeneralName types
+export const SAN_NAME_TYPES = { dns: 'dns', ip: 'ip', email: 'email', uri: 'url' };
+
+// Subject fields in the order their attributes are encoded
+const SUBJECT_ATTRIBUTES = {
+  country: 'C',
+  state: 'ST',
+  locality: 'L',
+  organization: 'O',
+  organizationalUnit: 'OU',
+  commonName: 'CN'
+};
+
+// Extended key usage names as the parser reports them
+const EXTENDED_KEY_USAGES = {
+  serverAuth: x509.ExtendedKeyUsage.serverAuth,
+  clientAuth: x509.ExtendedKeyUsage.clientAuth,
+  codeSigning: x509.ExtendedKeyUsage.codeSigning,
+  emailProtection: x509.ExtendedKeyUsage.emailProtection,
+  timeStamping: x509.ExtendedKeyUsage.timeStamping,
+  OCSPSigning: x509.ExtendedKeyUsage.ocspSigning
+};
+
+export const KEY_USAGE_NAMES = Object.keys(x509.KeyUsageFlags).filter(flag => isNaN(flag));
+export const EXTENDED_KEY_USAGE_NAMES = Object.keys(EXTENDED_KEY_USAGES);
+
+/**
+ * Distinguished name for subject fields
+ * @param {Object} subject - commonName and optionally organization, organizationalUnit,
+ *   locality, state and country
+ * @returns {x509.Name} Name
+ */
+export function buildName(subject) {
+  return new x509.Name(Object.entries(SUBJECT_ATTRIBUTES)
+    .filter(([field]) => subject[field])
+    .map(([field, type]) => ({ [type]: [String(subject[field])] })));
+}
+
+/**
+ * Generate a private key
+ * @param {string} keyType - One of KEY_TYPES
+ * @returns {Promise<string>} PKCS#8 PEM private key
+ */
+export async function generatePrivateKey(keyType) {
+  const definition = KEY_TYPES[keyType];
+  if (!definition) {
+    throw new Error(`Unsupported key type ${keyType}; expected one of ${Object.keys(KEY_TYPES).join(', ')}`);
+  }
+  const { privateKey } = await generateKeyPair(definition.type, {
+    ...definition.options,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  return privateKey;
+}
+
+/**
+ * Key type of an existing private key
+ * @param {string} privateKeyPem - PEM private key
+ * @returns {string|null} One of KEY_TYPES, or null if it is of another kind
+ */
+export function keyTypeOf(privateKeyPem) {
+  const key = crypto.createPrivateKey(privateKeyPem);
+  const details = key.asymmetricKeyDetails || {};
+  if (key.asymmetricKeyType === 'rsa') {
+    return KEY_TYPES[`rsa-${details.modulusLength}`] ? `rsa-${details.modulusLength}` : null;
+  }
+  if (key.asymmetricKeyType === 'ec' && CURVES[details.namedCurve]) {
+    return `ec-${CURVES[details.namedCurve].replace('-', '').toLowerCase()}`;
+  }
+  return key.asymmetricKeyType === 'ed25519' ? 'ed25519' : null;
+}
+
+/**
+ * Key type of the key a certificate (or request) has, to generate the same kind on renewal
+ * @param {Object} certificate - Row with key_algorithm, key_size and key_curve
+ * @returns {string|null} One of KEY_TYPES
+ */
+export function keyTypeOfCertificate(certificate) {
+  if (certificate.key_algorithm === 'RSA' && KEY_TYPES[`rsa-${certificate.key_size}`]) {
+    return `rsa-${certificate.key_size}`;
+  }
+  if (certificate.key_algorithm === 'EC' && ['P-256', 'P-384'].includes(certificate.key_curve)) {
+    return `ec-${certificate.key_curve.replace('-', '').toLowerCase()}`;
+  }
+  return certificate.key_algorithm === 'Ed25519' ? 'ed25519' : null;
+}
+
+/**
+ * WebCrypto key pair and signing algorithm for a PEM private key
+ * @param {string} privateKeyPem - PEM private key (RSA, EC P-256/P-384 or Ed25519)
+ * @returns {Promise<Object>} { keys: CryptoKeyPair, signingAlgorithm }
+ */
+export async function importKeyPair(privateKeyPem) {
+  const keyObject = crypto.createPrivateKey(privateKeyPem);
+  const pkcs8 = keyObject.export({ type: 'pkcs8', format: 'der' });
+  const spki = crypto.createPublicKey(keyObject).export({ type: 'spki', format: 'der' });
+
+  let algorithm;
+  let signingAlgorithm;
+  if (keyObject.asymmetricKeyType === 'rsa') {
+    algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+    signingAlgorithm = algorithm;
+  } else if (keyObject.asymmetricKeyType === 'ec' && CURVES[keyObject.asymmetricKeyDetails.namedCurve]) {
+    const namedCurve = CURVES[keyObject.asymmetricKeyDetails.namedCurve];
+    algorithm = { name: 'ECDSA', namedCurve };
+    signingAlgorithm = { name: 'ECDSA', hash: namedCurve === 'P-384' ? 'SHA-384' : 'SHA-256' };
+  } else if (keyObject.asymmetricKeyType === 'ed25519') {
+    algorithm = { name: 'Ed25519' };
+    signingAlgorithm = algorithm;
+  } else {
+    throw new Error('Only RSA, EC P-256, EC P-384 and Ed25519 keys can sign');
+  }
+
+  return {
+    keys: {
+      privateKey: await subtle.importKey('pkcs8', pkcs8, algorithm, false, ['sign']),
+      publicKey: await subtle.importKey('spki', spki, algorithm, true, ['verify'])
+    },
+    signingAlgorithm
+  };
+}
+
+/**
+ * Create a PKCS#10 certificate signing request
+ * @param {Object} options
+ * @param {string} options.privateKeyPem - Key to sign with (its public half goes in the CSR)
+ * @param {string} [options.commonName] - Subject CN, when there is no subject
+ * @param {Object|x509.Name} [options.subject] - Subject fields (see buildName()), or the name
+ *   of an existing certificate
+ * @param {Array<Object>} [options.subjectAltNames] - [{ type: 'dns'|'ip'|'email'|'uri', value }]
+ * @param {Array<string>} [options.keyUsage] - KEY_USAGE_NAMES to request
+ * @param {Array<string>} [options.extendedKeyUsage] - EXTENDED_KEY_USAGE_NAMES to request
+ * @returns {Promise<Object>} { pem, der }
+ */
+export async function createCsr({
+  privateKeyPem,
+  commonName = null,
+  subject = null,
+  subjectAltNames = [],
+  keyUsage = [],
+  extendedKeyUsage = []
+}) {
+  const { keys, signingAlgorithm } = await importKeyPair(privateKeyPem);
+  const name = subject instanceof x509.Name ? subject : buildName(subject || { commonName });
+
+  const extensions = [];
+  if (keyUsage.length > 0) {
+    const usages = keyUsage.reduce((flags, usage) => flags | x509.KeyUsageFlags[usage], 0);
+    extensions.push(new x509.KeyUsagesExtension(usages, true));
+  }
+  if (extendedKeyUsage.length > 0) {
+    extensions.push(new x509.ExtendedKeyUsageExtension(extendedKeyUsage.map(usage => EXTENDED_KEY_USAGES[usage]), false));
+  }
+  if (subjectAltNames.length > 0) {
+    extensions.push(new x509.SubjectAlternativeNameExtension(
+      subjectAltNames.map(name => ({ type: SAN_NAME_TYPES[name.type] || name.type, value: name.value }))
+    ));
+  }
+
+  const csr = await x509.Pkcs10CertificateRequestGenerator.create({
+    name,
+    keys,
+    signingAlgorithm,
+    extensions
+  }, crypto.webcrypto);
+
+  return { pem: csr.toString('pem'), der: Buffer.from(csr.rawData) };
+}
@@ -0,0 +1,91 @@
+/**
+ * Folder issuance policy evaluation
+ * Checks a parsed certificate against the rules a folder places on what it may hold:
+ * allowed issuers, minimum key size, allowed key algorithms, maximum validity, the
+ * domains SANs must belong to and whether wildcards are allowed. Unset rules are skipped.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const commonNameOf = (name) => (name || '').match(/(?:^|,\s*)CN=([^,]+)/)?.[1]?.trim() || null;
+
+// DN comparison that ignores case and the spacing around separators
+const normalizeName = (name) => (name || '').split(/\s*,\s*/).map(part => part.trim().toLowerCase()).join(',');
+
+const dnsNames = (certificate) => (certificate.subjectAltNames || [])
+  .filter(name => name.type === 'dns')
+  .map(name => name.value.toLowerCase());
+
+// A name is within a domain when it is the domain or below it; *.a.example.com is below example.com
+const isWithinDomain = (name, domain) => {
+  const host = name.replace(/^\*\./, '');
+  const suffix = domain.toLowerCase().replace(/^\./, '');
+  return host === suffix || host.endsWith(`.${suffix}`);
+};
+
+/**
+ * Check a certificate against an issuance policy
+ * @param {Object} policy - { allowedIssuers: [DN or issuer CN], minKeySize (RSA/DSA bits),
+ *   allowedAlgorithms: [key algorithm or curve, e.g. 'RSA', 'EC', 'P-256'], maxValidityDays,
+ *   requiredSanDomains: [domains every DNS SAN must fall under], allowWildcards }
+ * @param {Object} certificate - parseCertificate() output
+ * @returns {Array<Object>} [{ rule, message }], empty when the certificate complies
+ */
+export function evaluatePolicy(policy, certificate) {
+  const violations = [];
+  const violation = (rule, message) => violations.push({ rule, message });
+
+  if (policy.allowedIssuers?.length > 0) {
+    const issuer = normalizeName(certificate.issuer);
+    const issuerCommonName = (commonNameOf(certificate.issuer) || '').toLowerCase();
+    const allowed = policy.allowedIssuers.some(entry => {
+      const normalized = normalizeName(entry);
+      return normalized === issuer || normalized === issuerCommonName;
+    });
+    if (!allowed) {
+      violation('allowedIssuers', `Issuer "${certificate.issuer}" is not an allowed issuer`);
+    }
+  }
+
+  // EC and EdDSA key strength is set by the curve, which allowedAlgorithms covers
+  if (policy.minKeySize && /^(RSA|DSA)/.test(certificate.keyAlgorithm || '')
+    && (!certificate.keySize || certificate.keySize < policy.minKeySize)) {
+    violation('minKeySize', `${certificate.keyAlgorithm} key is ${certificate.keySize || 'of unknown size'} bits; at least ${policy.minKeySize} required`);
+  }
+
+  if (policy.allowedAlgorithms?.length > 0) {
+    const allowed = policy.allowedAlgorithms.map(algorithm => algorithm.toLowerCase());
+    const candidates = [certificate.keyAlgorithm, certificate.keyCurve].filter(Boolean).map(value => value.toLowerCase());
+    if (!candidates.some(candidate => allowed.includes(candidate))) {
+      const description = certificate.keyCurve ? `${certificate.keyAlgorithm} ${certificate.keyCurve}` : certificate.keyAlgorithm;
+      violation('allowedAlgorithms', `Key algorithm ${description} is not allowed`);
+    }
+  }
+
+  if (policy.maxValidityDays && certificate.validFrom && certificate.validTo) {
+    // notAfter is inclusive, so a validity period is one second longer than the difference
+    const days = (Date.parse(certificate.validTo) - Date.parse(certificate.validFrom) + 1000) / DAY;
+    if (days > policy.maxValidityDays) {
+      violation('maxValidityDays', `Valid for ${Math.ceil(days)} days; at most ${policy.maxValidityDays} allowed`);
+    }
+  }
+
+  if (policy.requiredSanDomains?.length > 0) {
+    const names = dnsNames(certificate);
+    if (names.length === 0) {
+      violation('requiredSanDomains', 'No DNS subject alternative names');
+    }
+    for (const name of names.filter(name => !policy.requiredSanDomains.some(domain => isWithinDomain(name, domain)))) {
+      violation('requiredSanDomains', `"${name}" is outside ${policy.requiredSanDomains.join(', ')}`);
+    }
+  }
+
+  if (policy.allowWildcards === false) {
+    const names = [...new Set([...dnsNames(certificate), (certificate.commonName || '').toLowerCase()])];
+    for (const name of names.filter(name => name.includes('*'))) {
+      violation('allowWildcards', `Wildcard name "${name}" is not allowed`);
+    }
+  }
+
+  return violations;
+}
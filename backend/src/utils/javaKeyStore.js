@@ -0,0 +1,274 @@
+/**
+ * Java KeyStore (JKS) reader and writer
+ * Implements the Sun JKS file format: big-endian entries followed by a SHA-1 integrity
+ * digest keyed with the store password, and private keys protected by Sun's
+ * proprietary KeyProtector (SHA-1 keystream XOR, OID 1.3.6.1.4.1.42.2.17.1.1).
+ * JCEKS stores are recognised but not read: their secret key entries are serialized
+ * Java objects; convert them with keytool -importkeystore -deststoretype pkcs12.
+ */
+
+import crypto from 'crypto';
+import forge from 'node-forge';
+
+const JKS_MAGIC = 0xfeedfeed;
+const JCEKS_MAGIC = 0xcececece;
+const JKS_VERSION = 2;
+
+const PRIVATE_KEY_ENTRY = 1;
+const TRUSTED_CERTIFICATE_ENTRY = 2;
+
+const KEY_PROTECTOR_OID = '1.3.6.1.4.1.42.2.17.1.1';
+const INTEGRITY_SALT = Buffer.from('Mighty Aphrodite', 'utf8');
+const DIGEST_LENGTH = 20;
+
+// Java hashes passwords as UTF-16BE chars
+const passwordBytes = (password) => {
+  const bytes = Buffer.alloc(password.length * 2);
+  for (let i = 0; i < password.length; i++) {
+    bytes.writeUInt16BE(password.charCodeAt(i), i * 2);
+  }
+  return bytes;
+};
+
+const sha1 = (...parts) => {
+  const hash = crypto.createHash('sha1');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+};
+
+const keystream = (password, salt, length) => {
+  const stream = [];
+  let digest = salt;
+  let size = 0;
+  while (size < length) {
+    digest = sha1(passwordBytes(password), digest);
+    stream.push(digest);
+    size += digest.length;
+  }
+  return Buffer.concat(stream).subarray(0, length);
+};
+
+const xor = (data, stream) => Buffer.from(data.map((byte, index) => byte ^ stream[index]));
+
+/**
+ * Check whether a buffer is a JKS or JCEKS store
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} 'jks', 'jceks' or null
+ */
+export function detectJavaKeyStore(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) {
+    return null;
+  }
+  const magic = buffer.readUInt32BE(0);
+  if (magic === JKS_MAGIC) return 'jks';
+  if (magic === JCEKS_MAGIC) return 'jceks';
+  return null;
+}
+
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  take(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('Invalid Java keystore: unexpected end of file');
+    }
+    const slice = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  uint32() {
+    return this.take(4).readUInt32BE(0);
+  }
+
+  utf() {
+    return this.take(this.take(2).readUInt16BE(0)).toString('utf8');
+  }
+
+  certificate() {
+    const type = this.utf();
+    if (type !== 'X.509') {
+      throw new Error(`Unsupported certificate type "${type}" in Java keystore`);
+    }
+    return Buffer.from(this.take(this.uint32()));
+  }
+}
+
+/**
+ * Recover a private key protected by the Sun KeyProtector
+ * @param {Buffer} encryptedPrivateKeyInfo - DER EncryptedPrivateKeyInfo
+ * @param {string} password - Key password
+ * @returns {string} PKCS#8 PEM
+ */
+function recoverPrivateKey(encryptedPrivateKeyInfo, password) {
+  const info = forge.asn1.fromDer(forge.util.createBuffer(encryptedPrivateKeyInfo.toString('binary')));
+  const algorithm = forge.asn1.derToOid(info.value[0].value[0].value);
+  if (algorithm !== KEY_PROTECTOR_OID) {
+    throw new Error(`Unsupported key protection algorithm ${algorithm}`);
+  }
+
+  const protectedKey = Buffer.from(info.value[1].value, 'binary');
+  const salt = protectedKey.subarray(0, DIGEST_LENGTH);
+  const encrypted = protectedKey.subarray(DIGEST_LENGTH, protectedKey.length - DIGEST_LENGTH);
+  const checksum = protectedKey.subarray(protectedKey.length - DIGEST_LENGTH);
+
+  const plain = xor(encrypted, keystream(password, salt, encrypted.length));
+  if (!sha1(passwordBytes(password), plain).equals(checksum)) {
+    throw new Error('the key password is incorrect');
+  }
+
+  return crypto.createPrivateKey({ key: plain, format: 'der', type: 'pkcs8' }).export({ type: 'pkcs8', format: 'pem' });
+}
+
+/**
+ * Protect a private key with the Sun KeyProtector
+ * @param {string} privateKeyPem - Private key
+ * @param {string} password - Key password
+ * @returns {Buffer} DER EncryptedPrivateKeyInfo
+ */
+function protectPrivateKey(privateKeyPem, password) {
+  const plain = crypto.createPrivateKey(privateKeyPem).export({ type: 'pkcs8', format: 'der' });
+  const salt = crypto.randomBytes(DIGEST_LENGTH);
+  const protectedKey = Buffer.concat([
+    salt,
+    xor(plain, keystream(password, salt, plain.length)),
+    sha1(passwordBytes(password), plain)
+  ]);
+
+  const { asn1 } = forge;
+  const info = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(KEY_PROTECTOR_OID).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, protectedKey.toString('binary'))
+  ]);
+  return Buffer.from(asn1.toDer(info).getBytes(), 'binary');
+}
+
+/**
+ * Read the entries of a JKS store. The store password is checked against the
+ * integrity digest; a key whose password differs is returned with an error instead
+ * of failing the whole store.
+ * @param {Buffer} buffer - JKS file
+ * @param {string} password - Store password
+ * @param {Object} options - keyPassword (defaults to the store password)
+ * @returns {Array<Object>} [{ alias, type: 'private-key' | 'trusted-certificate', createdAt,
+ *   certificates: [DER] (leaf first), privateKeyPem?, error? }]
+ */
+export function readJavaKeyStore(buffer, password, { keyPassword } = {}) {
+  const format = detectJavaKeyStore(buffer);
+  if (format === 'jceks') {
+    throw new Error('JCEKS keystores are not supported. Convert the store with keytool -importkeystore -deststoretype pkcs12.');
+  }
+  if (format !== 'jks') {
+    throw new Error('Invalid Java keystore: missing JKS header');
+  }
+  if (!password) {
+    throw new Error('A store password is required to open a Java keystore.');
+  }
+
+  const body = buffer.subarray(0, buffer.length - DIGEST_LENGTH);
+  const digest = buffer.subarray(buffer.length - DIGEST_LENGTH);
+  if (buffer.length < 12 + DIGEST_LENGTH || !sha1(passwordBytes(password), INTEGRITY_SALT, body).equals(digest)) {
+    throw new Error('Unable to open Java keystore: the password is incorrect or the file is corrupt.');
+  }
+
+  const reader = new Reader(body);
+  reader.uint32();
+  const version = reader.uint32();
+  if (version !== 1 && version !== 2) {
+    throw new Error(`Unsupported JKS version ${version}`);
+  }
+
+  const entries = [];
+  const count = reader.uint32();
+  for (let i = 0; i < count; i++) {
+    const tag = reader.uint32();
+    const alias = reader.utf();
+    const createdAt = new Date(Number(reader.take(8).readBigUInt64BE(0))).toISOString();
+
+    if (tag === PRIVATE_KEY_ENTRY) {
+      const encryptedKey = reader.take(reader.uint32());
+      const chainLength = reader.uint32();
+      const certificates = [];
+      for (let j = 0; j < chainLength; j++) {
+        certificates.push(version === 2 ? reader.certificate() : Buffer.from(reader.take(reader.uint32())));
+      }
+
+      const entry = { alias, type: 'private-key', createdAt, certificates };
+      try {
+        entry.privateKeyPem = recoverPrivateKey(encryptedKey, keyPassword || password);
+      } catch (error) {
+        entry.error = `Unable to recover the private key: ${error.message}`;
+      }
+      entries.push(entry);
+    } else if (tag === TRUSTED_CERTIFICATE_ENTRY) {
+      const certificate = version === 2 ? reader.certificate() : Buffer.from(reader.take(reader.uint32()));
+      entries.push({ alias, type: 'trusted-certificate', createdAt, certificates: [certificate] });
+    } else {
+      throw new Error(`Unsupported Java keystore entry type ${tag}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Write a JKS store
+ * @param {Array<Object>} entries - [{ alias, certificates: [DER] (leaf first), privateKeyPem? }];
+ *   entries with a key become key entries, the others trusted certificate entries
+ * @param {string} password - Store password, also used for the keys (as keytool does)
+ * @returns {Buffer} JKS file
+ */
+export function writeJavaKeyStore(entries, password) {
+  if (!password) {
+    throw new Error('A store password is required to write a Java keystore.');
+  }
+
+  const chunks = [];
+  const uint32 = (value) => {
+    const chunk = Buffer.alloc(4);
+    chunk.writeUInt32BE(value);
+    chunks.push(chunk);
+  };
+  const utf = (value) => {
+    const bytes = Buffer.from(value, 'utf8');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length);
+    chunks.push(length, bytes);
+  };
+  const certificate = (der) => {
+    utf('X.509');
+    uint32(der.length);
+    chunks.push(der);
+  };
+
+  uint32(JKS_MAGIC);
+  uint32(JKS_VERSION);
+  uint32(entries.length);
+
+  for (const entry of entries) {
+    uint32(entry.privateKeyPem ? PRIVATE_KEY_ENTRY : TRUSTED_CERTIFICATE_ENTRY);
+    utf(entry.alias);
+    const timestamp = Buffer.alloc(8);
+    timestamp.writeBigUInt64BE(BigInt(Date.now()));
+    chunks.push(timestamp);
+
+    if (entry.privateKeyPem) {
+      const protectedKey = protectPrivateKey(entry.privateKeyPem, password);
+      uint32(protectedKey.length);
+      chunks.push(protectedKey);
+      uint32(entry.certificates.length);
+      entry.certificates.forEach(certificate);
+    } else {
+      certificate(entry.certificates[0]);
+    }
+  }
+
+  const body = Buffer.concat(chunks);
+  return Buffer.concat([body, sha1(passwordBytes(password), INTEGRITY_SALT, body)]);
+}
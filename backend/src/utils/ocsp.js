@@ -0,0 +1,230 @@
+/**
+ * OCSP (RFC 6960) request encoder and response reader
+ * Requests carry a single CertID (SHA-1 hashes of the issuer name and key, as every
+ * responder supports) and no nonce, so responses can be cached until their nextUpdate.
+ * Responses are only trusted when signed by the issuer itself or by a responder
+ * certificate the issuer delegated OCSP signing to (id-kp-OCSPSigning).
+ */
+
+import crypto from 'crypto';
+import forge from 'node-forge';
+
+const { asn1 } = forge;
+const { Class, Type } = asn1;
+
+const OCSP_BASIC = '1.3.6.1.5.5.7.48.1.1';
+const OCSP_SIGNING = '1.3.6.1.5.5.7.3.9';
+const SHA1 = '1.3.14.3.2.26';
+
+const HASH_ALGORITHMS = {
+  [SHA1]: 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+// Signature algorithm OID -> digest for crypto.verify (null: the key type implies it)
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.5': 'sha1',
+  '1.2.840.113549.1.1.11': 'sha256',
+  '1.2.840.113549.1.1.12': 'sha384',
+  '1.2.840.113549.1.1.13': 'sha512',
+  '1.2.840.10045.4.1': 'sha1',
+  '1.2.840.10045.4.3.2': 'sha256',
+  '1.2.840.10045.4.3.3': 'sha384',
+  '1.2.840.10045.4.3.4': 'sha512',
+  '1.3.101.112': null,
+  '1.3.101.113': null
+};
+
+const RESPONSE_STATUSES = ['successful', 'malformedRequest', 'internalError', 'tryLater', undefined, 'sigRequired', 'unauthorized'];
+
+export const CRL_REASONS = [
+  'unspecified', 'keyCompromise', 'cACompromise', 'affiliationChanged', 'superseded',
+  'cessationOfOperation', 'certificateHold', undefined, 'removeFromCRL', 'privilegeWithdrawn', 'aACompromise'
+];
+
+const toBytes = (buffer) => Buffer.from(buffer).toString('binary');
+const fromBytes = (bytes) => Buffer.from(bytes, 'binary');
+const fromDer = (der) => asn1.fromDer(forge.util.createBuffer(toBytes(der)), { decodeBitStrings: false });
+const hash = (algorithm, bytes) => crypto.createHash(algorithm).update(fromBytes(bytes)).digest('binary');
+
+const isContext = (node, tag) => node && node.tagClass === Class.CONTEXT_SPECIFIC && node.type === tag;
+
+/**
+ * Raw bytes of the first element inside a DER SEQUENCE; signatures cover the encoding
+ * exactly as received, so it is sliced rather than re-encoded
+ * @param {Buffer} der - DER SEQUENCE
+ * @returns {Buffer} First element, header included
+ */
+function firstElement(der) {
+  const headerLength = (offset) => (der[offset + 1] < 0x80 ? 2 : 2 + (der[offset + 1] & 0x7f));
+  const contentLength = (offset) => {
+    if (der[offset + 1] < 0x80) {
+      return der[offset + 1];
+    }
+    return der.subarray(offset + 2, offset + headerLength(offset)).reduce((length, byte) => length * 256 + byte, 0);
+  };
+  const start = headerLength(0);
+  return der.subarray(start, start + headerLength(start) + contentLength(start));
+}
+
+/**
+ * Fields of a certificate that OCSP identifies it or its issuer by
+ * @param {string} pem - Certificate
+ * @returns {Object} { serial (INTEGER node), subjectDer, publicKeyBytes }
+ */
+function certificateFields(pem) {
+  const certificate = new crypto.X509Certificate(pem);
+  const tbs = fromDer(certificate.raw).value[0];
+  const offset = isContext(tbs.value[0], 0) ? 1 : 0;
+  const spki = fromDer(certificate.publicKey.export({ type: 'spki', format: 'der' }));
+
+  return {
+    serial: tbs.value[offset],
+    subjectDer: asn1.toDer(tbs.value[offset + 4]).getBytes(),
+    // BIT STRING contents without the unused-bits byte
+    publicKeyBytes: spki.value[1].value.slice(1)
+  };
+}
+
+/**
+ * Encode an OCSP request for one certificate
+ * @param {string} certificatePem - Certificate to check
+ * @param {string} issuerPem - Its issuer
+ * @returns {Buffer} DER OCSPRequest
+ */
+export function buildOcspRequest(certificatePem, issuerPem) {
+  const { serial } = certificateFields(certificatePem);
+  const issuer = certificateFields(issuerPem);
+
+  const certId = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+    asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(SHA1).getBytes()),
+      asn1.create(Class.UNIVERSAL, Type.NULL, false, '')
+    ]),
+    asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, hash('sha1', issuer.subjectDer)),
+    asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, hash('sha1', issuer.publicKeyBytes)),
+    asn1.copy(serial)
+  ]);
+
+  const request = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+    asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+        asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [certId])
+      ])
+    ])
+  ]);
+  return fromBytes(asn1.toDer(request).getBytes());
+}
+
+/**
+ * Check that a BasicOCSPResponse was signed by the issuer or its delegated responder
+ * @param {Buffer} basicDer - DER BasicOCSPResponse
+ * @param {Object} basic - Its parsed ASN.1
+ * @param {string} issuerPem - Issuer of the certificate being checked
+ * @returns {string} 'issuer' or 'delegated'
+ */
+function verifyResponseSignature(basicDer, basic, issuerPem) {
+  const algorithm = asn1.derToOid(basic.value[1].value[0].value);
+  if (!(algorithm in SIGNATURE_ALGORITHMS)) {
+    throw new Error(`Unsupported OCSP signature algorithm ${algorithm}`);
+  }
+  const digest = SIGNATURE_ALGORITHMS[algorithm];
+  const signature = fromBytes(basic.value[2].value.slice(1));
+  const tbs = firstElement(basicDer);
+
+  const issuer = new crypto.X509Certificate(issuerPem);
+  if (crypto.verify(digest, tbs, issuer.publicKey, signature)) {
+    return 'issuer';
+  }
+
+  // Delegated responder: issued by the issuer for OCSP signing, and its key made the signature
+  const included = isContext(basic.value[3], 0) ? basic.value[3].value[0].value : [];
+  for (const node of included) {
+    const responder = new crypto.X509Certificate(fromBytes(asn1.toDer(node).getBytes()));
+    const delegated = responder.checkIssued(issuer)
+      && responder.verify(issuer.publicKey)
+      && (responder.keyUsage || []).includes(OCSP_SIGNING);
+    if (delegated && crypto.verify(digest, tbs, responder.publicKey, signature)) {
+      return 'delegated';
+    }
+  }
+
+  throw new Error('OCSP response signature is not from the issuer or an authorized responder');
+}
+
+/**
+ * Read an OCSP response for a certificate
+ * @param {Buffer} der - DER OCSPResponse
+ * @param {string} certificatePem - Certificate that was checked
+ * @param {string} issuerPem - Its issuer
+ * @returns {Object} { status: 'good' | 'revoked' | 'unknown', revokedAt, reason, thisUpdate,
+ *   nextUpdate, producedAt, signer: 'issuer' | 'delegated' }
+ */
+export function parseOcspResponse(der, certificatePem, issuerPem) {
+  const response = fromDer(der);
+  const responseStatus = asn1.derToInteger(response.value[0].value);
+  if (responseStatus !== 0) {
+    throw new Error(`OCSP responder returned ${RESPONSE_STATUSES[responseStatus] || `status ${responseStatus}`}`);
+  }
+
+  const responseBytes = response.value[1]?.value[0];
+  if (!responseBytes || asn1.derToOid(responseBytes.value[0].value) !== OCSP_BASIC) {
+    throw new Error('OCSP response is not a basic response');
+  }
+
+  const basicDer = fromBytes(responseBytes.value[1].value);
+  const basic = fromDer(basicDer);
+  const signer = verifyResponseSignature(basicDer, basic, issuerPem);
+
+  const responseData = basic.value[0].value;
+  const offset = isContext(responseData[0], 0) ? 1 : 0;
+  const producedAt = asn1.generalizedTimeToDate(responseData[offset + 1].value);
+
+  const { serial } = certificateFields(certificatePem);
+  const issuer = certificateFields(issuerPem);
+  const single = responseData[offset + 2].value.find(candidate => {
+    const [hashAlgorithm, nameHash, keyHash, serialNumber] = candidate.value[0].value;
+    const algorithm = HASH_ALGORITHMS[asn1.derToOid(hashAlgorithm.value[0].value)];
+    return algorithm
+      && serialNumber.value === serial.value
+      && nameHash.value === hash(algorithm, issuer.subjectDer)
+      && keyHash.value === hash(algorithm, issuer.publicKeyBytes);
+  });
+  if (!single) {
+    throw new Error('OCSP response does not cover this certificate');
+  }
+
+  const [, certStatus, thisUpdate, ...optional] = single.value;
+  const nextUpdate = optional.find(node => isContext(node, 0));
+  const result = {
+    status: 'unknown',
+    revokedAt: null,
+    reason: null,
+    thisUpdate: asn1.generalizedTimeToDate(thisUpdate.value).toISOString(),
+    nextUpdate: nextUpdate ? asn1.generalizedTimeToDate(nextUpdate.value[0].value).toISOString() : null,
+    producedAt: producedAt.toISOString(),
+    signer
+  };
+
+  if (isContext(certStatus, 0)) {
+    result.status = 'good';
+  } else if (isContext(certStatus, 1)) {
+    const [revocationTime, revocationReason] = certStatus.value;
+    result.status = 'revoked';
+    result.revokedAt = asn1.generalizedTimeToDate(revocationTime.value).toISOString();
+    result.reason = revocationReason
+      ? CRL_REASONS[asn1.derToInteger(revocationReason.value[0].value)] || 'unspecified'
+      : 'unspecified';
+  }
+
+  if (Date.parse(result.thisUpdate) > Date.now() + 5 * 60 * 1000) {
+    throw new Error('OCSP response is not yet valid');
+  }
+  if (result.nextUpdate && Date.parse(result.nextUpdate) < Date.now()) {
+    throw new Error('OCSP response has expired');
+  }
+
+  return result;
+}
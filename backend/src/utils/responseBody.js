@@ -0,0 +1,41 @@
+/**
+ * Size-limited HTTP response bodies
+ * For fetch() responses from servers named in certificates (CRLs, OCSP responders, AIA
+ * issuers): the declared Content-Length is checked first, then the body is read as a stream
+ * and dropped as soon as it passes the limit, so an oversized response is never buffered.
+ */
+
+const tooLarge = () => new Error('Response is too large');
+
+/**
+ * Read a response body of at most maxSize bytes
+ * @param {Response} response - fetch() response
+ * @param {number} maxSize - Largest body accepted, in bytes
+ * @returns {Promise<Buffer>} Body
+ */
+export async function readResponseBody(response, maxSize) {
+  if (Number(response.headers.get('content-length')) > maxSize) {
+    await response.body?.cancel().catch(() => {});
+    throw tooLarge();
+  }
+  if (!response.body) {
+    return Buffer.alloc(0);
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    size += value.length;
+    if (size > maxSize) {
+      await reader.cancel().catch(() => {});
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, size);
+}
@@ -0,0 +1,270 @@
+/**
+ * Minimal SMTP client (RFC 5321) for sending notification emails
+ * Speaks EHLO, STARTTLS (RFC 3207), AUTH PLAIN/LOGIN (RFC 4954), MAIL, RCPT and DATA over
+ * one connection per message. Messages are built as single-part text/plain (optionally
+ * multipart/alternative with HTML) in UTF-8, base64 encoded so no server extension is needed.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+
+/**
+ * Error carrying the SMTP reply code, when the server sent one
+ */
+export class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
+const CRLF = '\r\n';
+
+const encodeBase64Lines = (text) => Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&' + CRLF);
+
+// RFC 2047 encoded-word for header values that are not plain ASCII
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+// Bare address from "Name <address>" or "address"
+export const extractAddress = (mailbox) => {
+  const match = /<([^>]+)>\s*$/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+};
+
+/**
+ * Build an RFC 5322 message
+ * @param {Object} message - from, to (array), subject, text, html (optional), headers (optional)
+ * @returns {string} Message with CRLF line endings
+ */
+export function buildMessage({ from, to, subject, text, html = null, headers = {} }) {
+  const domain = extractAddress(from).split('@')[1] || os.hostname();
+  const lines = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeader(String(value))}`)
+  ];
+
+  const textPart = ['Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64', '', encodeBase64Lines(text)];
+  if (!html) {
+    return [...lines, ...textPart].join(CRLF);
+  }
+
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...lines,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...textPart,
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBase64Lines(html),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+}
+
+/**
+ * One SMTP session: reads replies line by line and hands each complete (possibly
+ * multiline) reply to the command waiting for it
+ */
+class SmtpSession {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.pending = [];
+    this.replies = [];
+    this.lines = [];
+    this.buffer = '';
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout, () => this.fail(new SmtpError('SMTP server timed out')));
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('error', (error) => this.fail(new SmtpError(error.message)));
+    socket.on('close', () => this.fail(new SmtpError('SMTP connection closed unexpectedly')));
+  }
+
+  // Stop listening on the plain socket before it is wrapped in TLS
+  detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+    this.socket.setTimeout(0);
+    return this.socket;
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+      // "250-..." continues the reply, "250 ..." ends it
+      if (!/^\d{3}-/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines.map(l => l.slice(4)) };
+        this.lines = [];
+        const waiting = this.pending.shift();
+        if (waiting) {
+          waiting.resolve(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    for (const waiting of this.pending.splice(0)) {
+      waiting.reject(this.error);
+    }
+  }
+
+  read() {
+    if (this.replies.length > 0) {
+      return Promise.resolve(this.replies.shift());
+    }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => this.pending.push({ resolve, reject }));
+  }
+
+  /**
+   * Send a command and wait for its reply
+   * @param {string|null} command - Command line, or null to only read (the greeting)
+   * @param {Array<number>} expected - Acceptable reply codes
+   * @param {string} label - Command name for error messages (hides credentials)
+   * @returns {Promise<Object>} { code, lines }
+   */
+  async command(command, expected, label = command) {
+    if (command !== null) {
+      this.socket.write(command + CRLF);
+    }
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${label || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+}
+
+const connect = (options, secure, timeout) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host: options.host, port: options.port, servername: options.host, ...options.tls })
+    : net.connect({ host: options.host, port: options.port });
+  const timer = setTimeout(() => {
+    socket.destroy();
+    reject(new SmtpError(`Could not connect to ${options.host}:${options.port} within ${timeout} ms`));
+  }, timeout);
+  socket.once(secure ? 'secureConnect' : 'connect', () => {
+    clearTimeout(timer);
+    socket.removeAllListeners('error');
+    resolve(socket);
+  });
+  socket.once('error', (error) => {
+    clearTimeout(timer);
+    reject(new SmtpError(`Could not connect to ${options.host}:${options.port}: ${error.message}`));
+  });
+});
+
+const upgradeToTls = (socket, options) => new Promise((resolve, reject) => {
+  const secured = tls.connect({ socket, servername: options.host, ...options.tls }, () => resolve(secured));
+  secured.once('error', (error) => reject(new SmtpError(`STARTTLS failed: ${error.message}`)));
+});
+
+const extensionsOf = (reply) => reply.lines.slice(1).map(line => line.toUpperCase());
+
+/**
+ * Send one message
+ * @param {Object} options - host, port, secure (implicit TLS), startTls ('auto', 'always' or
+ *   'never'), user, password, tls (extra tls.connect options), timeout (ms), name (EHLO name)
+ * @param {Object} envelope - from (address) and to (array of addresses)
+ * @param {string} message - Complete message, e.g. from buildMessage()
+ * @returns {Promise<Object>} { accepted, response } - recipients the server took and its final reply
+ */
+export async function sendMail(options, { from, to }, message) {
+  const timeout = options.timeout || 10000;
+  const secure = Boolean(options.secure);
+  const startTls = options.startTls || 'auto';
+  const name = options.name || os.hostname();
+
+  const session = new SmtpSession(await connect(options, secure, timeout), timeout);
+  try {
+    await session.command(null, [220], 'greeting');
+    let ehlo = await session.command(`EHLO ${name}`, [250], 'EHLO');
+
+    if (!secure && startTls !== 'never') {
+      const offered = extensionsOf(ehlo).some(ext => ext === 'STARTTLS');
+      if (offered) {
+        await session.command('STARTTLS', [220], 'STARTTLS');
+        session.attach(await upgradeToTls(session.detach(), options));
+        ehlo = await session.command(`EHLO ${name}`, [250], 'EHLO');
+      } else if (startTls === 'always') {
+        throw new SmtpError('SMTP server does not offer STARTTLS');
+      }
+    }
+
+    if (options.user) {
+      const auth = extensionsOf(ehlo).find(ext => ext.startsWith('AUTH')) || '';
+      if (auth.includes('PLAIN')) {
+        const credentials = Buffer.from(`\0${options.user}\0${options.password || ''}`, 'utf8').toString('base64');
+        await session.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN');
+      } else if (auth.includes('LOGIN')) {
+        await session.command('AUTH LOGIN', [334], 'AUTH LOGIN');
+        await session.command(Buffer.from(options.user, 'utf8').toString('base64'), [334], 'AUTH LOGIN username');
+        await session.command(Buffer.from(options.password || '', 'utf8').toString('base64'), [235], 'AUTH LOGIN password');
+      } else {
+        throw new SmtpError('SMTP server does not offer AUTH PLAIN or LOGIN');
+      }
+    }
+
+    await session.command(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+    const accepted = [];
+    const rejected = [];
+    for (const recipient of to) {
+      try {
+        await session.command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+        accepted.push(recipient);
+      } catch (error) {
+        if (!(error instanceof SmtpError) || !error.code) {
+          throw error;
+        }
+        rejected.push({ recipient, error: error.message });
+      }
+    }
+    if (accepted.length === 0) {
+      throw new SmtpError(`Every recipient was rejected: ${rejected.map(r => r.error).join('; ')}`);
+    }
+
+    await session.command('DATA', [354], 'DATA');
+    // Dot-stuffing: a line starting with "." gets another one
+    const body = message.replace(/\r?\n/g, CRLF).replace(/^\./gm, '..');
+    const reply = await session.command(`${body}${body.endsWith(CRLF) ? '' : CRLF}.`, [250], 'message');
+
+    await session.command('QUIT', [221], 'QUIT').catch(() => {});
+    return { accepted, rejected, response: `${reply.code} ${reply.lines.join(' ')}` };
+  } finally {
+    session.close();
+  }
+}
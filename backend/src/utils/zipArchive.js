@@ -0,0 +1,245 @@
+/**
+ * ZIP archive reader and writer
+ * Minimal implementation for the archives used to bulk-upload and export certificates:
+ * stored and deflated entries only, no encryption, no ZIP64. Built on zlib so no extra
+ * dependency is needed.
+ */
+
+import zlib from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const FLAG_UTF8_NAME = 0x800;
+const VERSION = 20;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as stored in ZIP headers
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Check whether a buffer starts like a ZIP archive
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} True for a ZIP local file header signature
+ */
+export function isZipArchive(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of at most 65535 bytes
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('Invalid ZIP archive: end of central directory not found');
+}
+
+/**
+ * Read the file entries of a ZIP archive. Directories and macOS metadata are left out;
+ * an entry that cannot be extracted is returned with an error instead of its content.
+ * Archives whose entries share or overlap their data, or that expand to more than
+ * maxTotalSize bytes, are rejected as a whole.
+ * @param {Buffer} buffer - ZIP archive
+ * @param {Object} options - maxEntries, maxEntrySize and maxTotalSize (uncompressed bytes) limits
+ * @returns {Array<Object>} [{ name, buffer } | { name, error }]
+ */
+export function readZipEntries(buffer, {
+  maxEntries = 1000,
+  maxEntrySize = 10 * 1024 * 1024,
+  maxTotalSize = 100 * 1024 * 1024
+} = {}) {
+  if (buffer.length < 22) {
+    throw new Error('Invalid ZIP archive: file is too short');
+  }
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+  if (entryCount > maxEntries) {
+    throw new Error(`ZIP archive has ${entryCount} entries; at most ${maxEntries} are allowed`);
+  }
+
+  const entries = [];
+  const dataRanges = [];
+  let totalSize = 0;
+  let offset = directoryOffset;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Invalid ZIP archive: corrupt central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const expectedCrc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const baseName = name.split('/').pop();
+    if (name.endsWith('/') || name.startsWith('__MACOSX/') || baseName.startsWith('.')) {
+      continue;
+    }
+
+    let range;
+    try {
+      if (flags & 0x1) {
+        throw new Error('Encrypted ZIP entries are not supported');
+      }
+      if (size > maxEntrySize) {
+        throw new Error(`Entry is too large (${size} bytes)`);
+      }
+      if (localHeaderOffset + 30 > buffer.length || buffer.readUInt32LE(localHeaderOffset) !== LOCAL_FILE_HEADER) {
+        throw new Error('Corrupt local file header');
+      }
+
+      const dataOffset = localHeaderOffset + 30
+        + buffer.readUInt16LE(localHeaderOffset + 26)
+        + buffer.readUInt16LE(localHeaderOffset + 28);
+      if (dataOffset + compressedSize > buffer.length) {
+        throw new Error('Entry data runs past the end of the archive');
+      }
+      range = { start: localHeaderOffset, dataStart: dataOffset, end: dataOffset + compressedSize };
+    } catch (error) {
+      entries.push({ name, error: error.message });
+      continue;
+    }
+
+    // Entries pointing at the same data would let a small archive expand many times over
+    if (dataRanges.some(other => range.start < other.end && other.start < range.end)) {
+      throw new Error('Invalid ZIP archive: entries share or overlap their data');
+    }
+    dataRanges.push(range);
+
+    // Extracted sizes must match the headers, so this bounds everything that is inflated
+    totalSize += size;
+    if (totalSize > maxTotalSize) {
+      throw new Error(`ZIP archive expands to more than ${maxTotalSize} bytes`);
+    }
+
+    try {
+      const data = buffer.subarray(range.dataStart, range.end);
+      let content;
+      if (method === METHOD_STORED) {
+        content = Buffer.from(data);
+      } else if (method === METHOD_DEFLATED) {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+      } else {
+        throw new Error(`Unsupported compression method ${method}`);
+      }
+
+      if (content.length !== size || crc32(content) !== expectedCrc) {
+        throw new Error('Entry is corrupt (size or CRC mismatch)');
+      }
+
+      entries.push({ name, buffer: content });
+    } catch (error) {
+      entries.push({ name, error: error.message });
+    }
+  }
+
+  return entries;
+}
+
+// MS-DOS date and time fields of a ZIP header (local time, two second resolution)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Build a ZIP archive
+ * @param {Array<Object>} entries - [{ name, content (string or Buffer) }]; names use '/' for folders
+ * @param {Object} options - deflate: compress entries (default true) and modifiedAt (Date) for every entry
+ * @returns {Buffer} ZIP archive
+ */
+export function createZipArchive(entries, { deflate = true, modifiedAt = new Date() } = {}) {
+  const localParts = [];
+  const centralParts = [];
+  const { time, date } = dosDateTime(modifiedAt);
+  let offset = 0;
+
+  if (entries.length >= 0xffff) {
+    throw new Error('ZIP archives are limited to 65534 entries');
+  }
+
+  for (const { name, content } of entries) {
+    const data = Buffer.from(content);
+    const stored = deflate ? zlib.deflateRawSync(data) : data;
+    const fileName = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(FLAG_UTF8_NAME, 6);
+    local.writeUInt16LE(deflate ? METHOD_DEFLATED : METHOD_STORED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_ENTRY, 0);
+    central.writeUInt16LE(VERSION, 4);
+    central.writeUInt16LE(VERSION, 6);
+    central.writeUInt16LE(FLAG_UTF8_NAME, 8);
+    central.writeUInt16LE(deflate ? METHOD_DEFLATED : METHOD_STORED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, stored);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
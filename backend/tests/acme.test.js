@@ -0,0 +1,150 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockAcmeService = {
+  listAccounts: jest.fn(),
+  getAccount: jest.fn(),
+  createAccount: jest.fn(),
+  updateAccount: jest.fn(),
+  deleteAccount: jest.fn(),
+  findAccountRow: jest.fn(),
+  renewCertificate: jest.fn(),
+  getOrders: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb,
+  getDatabaseProvider: () => 'sqlite',
+  getPasswordService: () => ({}),
+  getDatabaseHealth: async () => ({ status: 'healthy', provider: 'sqlite', connected: true }),
+  migration: {},
+  initializeDatabase: async () => {}
+}));
+jest.unstable_mockModule('../src/services/gcpCertificateService.js', () => ({
+  default: {}
+}));
+jest.unstable_mockModule('../src/services/acmeService.js', () => ({
+  default: mockAcmeService,
+  KEY_POLICIES: ['new', 'reuse']
+}));
+
+// index.js starts listening on import; use an ephemeral port so suites can run side by side
+process.env.PORT = '0';
+const { default: app } = await import('../src/index.js');
+const { getSolver } = await import('../src/services/acmeSolvers.js');
+
+describe('ACME API', () => {
+  let authToken;
+  let permissions;
+
+  beforeAll(() => {
+    authToken = jwt.sign({ id: 1, username: 'testuser', role: 'admin' }, process.env.JWT_SECRET || 'test-secret');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    permissions = ['system:settings'];
+    mockDb.getAsync.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users')) return { id: 1, username: 'testuser', email: 'test@example.com', role: 'admin', active: 1 };
+      if (sql.includes('FROM roles')) return { id: 'admin', permissions: JSON.stringify(permissions) };
+      if (sql.includes('FROM certificates WHERE id = ?')) return { id: 'cert-1', folder_id: 'folder-web', renewal_count: 0 };
+      return undefined;
+    });
+  });
+
+  it('should list options to everyone but keep accounts to administrators', async () => {
+    permissions = ['certificates:read'];
+
+    const options = await request(app)
+      .get('/api/acme/options')
+      .set('Authorization', `Bearer ${authToken}`);
+    const accounts = await request(app)
+      .get('/api/acme/accounts')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(options.status).toBe(200);
+    expect(options.body.solvers.map(solver => solver.name)).toEqual(['http-01', 'http-01-webroot', 'dns-01-webhook']);
+    expect(options.body.keyTypes).toContain('ec-p256');
+    expect(accounts.status).toBe(403);
+    expect(mockAcmeService.listAccounts).not.toHaveBeenCalled();
+  });
+
+  it('should validate and create accounts', async () => {
+    mockAcmeService.createAccount.mockResolvedValue({ id: 'a1', folderId: 'folder-web' });
+
+    const created = await request(app)
+      .post('/api/acme/accounts')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ folderId: 'folder-web', directoryUrl: 'https://acme.example.com/directory', eabKid: 'kid', eabHmacKey: 'c2VjcmV0' });
+    const invalid = await request(app)
+      .post('/api/acme/accounts')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ directoryUrl: 'https://acme.example.com/directory', eabKid: 'kid' });
+
+    expect(created.status).toBe(201);
+    expect(mockAcmeService.createAccount).toHaveBeenCalledWith({
+      folderId: 'folder-web',
+      directoryUrl: 'https://acme.example.com/directory',
+      eabKid: 'kid',
+      eabHmacKey: 'c2VjcmV0',
+      solver: 'http-01',
+      solverConfig: {},
+      keyPolicy: 'new',
+      enabled: true
+    }, { createdBy: 1 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details[0]).toContain('contains [eabKid] without its required peers [eabHmacKey]');
+  });
+
+  it('should renew through the folder\'s ACME account', async () => {
+    permissions = ['certificates:write'];
+    mockAcmeService.findAccountRow.mockResolvedValue({ id: 'a1' });
+    mockAcmeService.renewCertificate.mockResolvedValueOnce({ certificate: { id: 'cert-1', renewal_count: 1 }, version: 2, order: { status: 'valid' } });
+    mockAcmeService.renewCertificate.mockRejectedValueOnce(Object.assign(new Error('ACME renewal failed: rate limited'), { statusCode: 502 }));
+
+    const renewed = await request(app)
+      .post('/api/certificates/cert-1/renew')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ reuseKey: true });
+    const failed = await request(app)
+      .post('/api/certificates/cert-1/renew')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(renewed.status).toBe(200);
+    expect(renewed.body.version).toBe(2);
+    expect(mockAcmeService.findAccountRow).toHaveBeenCalledWith('folder-web');
+    expect(mockAcmeService.renewCertificate).toHaveBeenCalledWith('cert-1', { reuseKey: true, userId: 1 });
+    expect(failed.status).toBe(502);
+    expect(failed.body.error).toBe('ACME renewal failed: rate limited');
+  });
+
+  it('should refuse renewals without write permission', async () => {
+    permissions = ['certificates:read'];
+
+    const res = await request(app)
+      .post('/api/certificates/cert-1/renew')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(403);
+    expect(mockAcmeService.renewCertificate).not.toHaveBeenCalled();
+  });
+
+  it('should serve pending http-01 challenge responses without authentication', async () => {
+    await getSolver('http-01').present({ token: 'token-1', keyAuthorization: 'token-1.thumbprint' });
+
+    const pending = await request(app).get('/.well-known/acme-challenge/token-1');
+    await getSolver('http-01').cleanup({ token: 'token-1' });
+    const done = await request(app).get('/.well-known/acme-challenge/token-1');
+
+    expect(pending.status).toBe(200);
+    expect(pending.text).toBe('token-1.thumbprint');
+    expect(done.status).toBe(404);
+  });
+});
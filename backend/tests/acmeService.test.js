@@ -0,0 +1,256 @@
+/**
+ * ACME Service Tests
+ * Tests for registering ACME accounts (with external account binding) and renewing
+ * certificates against a local Pebble-style ACME server, answering http-01 challenges from
+ * the backend's challenge route and dns-01 challenges with a pluggable solver
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import express from 'express';
+import { jest } from '@jest/globals';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockCertificateImportService = {
+  storeCertificateVersion: jest.fn(),
+  getCertificateRecord: jest.fn()
+};
+const mockCertificateEventService = {
+  recordEvent: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+jest.unstable_mockModule('../src/services/certificateImportService.js', () => ({
+  default: mockCertificateImportService
+}));
+jest.unstable_mockModule('../src/services/certificateEventService.js', () => ({
+  default: mockCertificateEventService
+}));
+
+const { default: acmeService } = await import('../src/services/acmeService.js');
+const { registerSolver, unregisterSolver } = await import('../src/services/acmeSolvers.js');
+const { default: privateKeyVaultService } = await import('../src/services/privateKeyVaultService.js');
+const { default: acmeChallengeRoutes } = await import('../src/routes/acmeChallenges.js');
+const { startAcmeTestServer } = await import('./helpers/acmeTestServer.js');
+const { generatePrivateKey } = await import('../src/utils/csrGenerator.js');
+const { describePublicKey } = await import('../src/utils/certificateParser.js');
+
+const EAB_KID = 'kid-1';
+const EAB_HMAC_KEY = crypto.randomBytes(32).toString('base64url');
+
+const publicKeySha256 = pem => describePublicKey(crypto.createPublicKey(pem).export({ type: 'spki', format: 'der' })).publicKeySha256;
+
+describe('ACME Service', () => {
+  let acmeServer;
+  let challengeServer;
+  let txtRecords;
+  let accounts;
+  let orders;
+  let certificate;
+
+  beforeAll(async () => {
+    // The backend's http-01 route, where the test CA fetches challenge responses
+    const app = express();
+    app.use('/.well-known/acme-challenge', acmeChallengeRoutes);
+    challengeServer = http.createServer(app);
+    await new Promise(resolve => challengeServer.listen(0, '127.0.0.1', resolve));
+
+    txtRecords = new Map();
+    acmeServer = await startAcmeTestServer({
+      eab: { [EAB_KID]: EAB_HMAC_KEY },
+      httpPort: challengeServer.address().port,
+      resolveHost: () => '127.0.0.1',
+      resolveTxt: async name => txtRecords.get(name) || []
+    });
+
+    registerSolver('dns-01-test', {
+      type: 'dns-01',
+      async present({ dnsName, dnsValue }) {
+        txtRecords.set(dnsName, [...(txtRecords.get(dnsName) || []), dnsValue]);
+      },
+      async cleanup({ dnsName }) {
+        txtRecords.delete(dnsName);
+      }
+    });
+  });
+
+  afterAll(async () => {
+    unregisterSolver('dns-01-test');
+    await acmeServer.close();
+    await new Promise(resolve => challengeServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ACME_POLL_INTERVAL_MS = '20';
+    accounts = [];
+    orders = [];
+    certificate = {
+      id: 'cert-1',
+      common_name: 'www.example.com',
+      folder_id: 'folder-web',
+      status: 'EXPIRING_SOON',
+      serial_number: '01',
+      key_algorithm: 'EC',
+      key_curve: 'P-256',
+      renewal_count: 0
+    };
+
+    mockDb.getAsync.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM certificates WHERE id = ?')) return certificate;
+      if (sql.includes('FROM folders WHERE id = ?')) return { id: params[0] };
+      if (sql.includes('SELECT id FROM acme_accounts')) return undefined;
+      if (sql.includes('folder_id = ? AND enabled = 1')) return accounts.find(row => row.folder_id === params[0] && row.enabled);
+      if (sql.includes('folder_id IS NULL AND enabled = 1')) return accounts.find(row => !row.folder_id && row.enabled);
+      if (sql.includes('FROM acme_accounts')) return accounts.find(row => row.id === params[0]);
+      if (sql.includes('FROM acme_orders WHERE id = ?')) return orders.find(row => row.id === params[0]);
+      return undefined;
+    });
+    mockDb.allAsync.mockResolvedValue([]);
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO acme_accounts')) {
+        const [id, folder_id, directory_url, email, eab_kid, encrypted_eab_hmac_key, encrypted_account_key,
+          solver, encrypted_solver_config, key_policy, key_type, enabled] = params;
+        accounts.push({ id, folder_id, directory_url, email, eab_kid, encrypted_eab_hmac_key, encrypted_account_key, solver, encrypted_solver_config, key_policy, key_type, enabled });
+      } else if (sql.startsWith('UPDATE acme_accounts SET account_url')) {
+        accounts.find(row => row.id === params[2]).account_url = params[0];
+      } else if (sql.startsWith('DELETE FROM acme_accounts')) {
+        accounts = accounts.filter(row => row.id !== params[0]);
+      } else if (sql.includes('INSERT INTO acme_orders')) {
+        const [id, certificate_id, account_id, identifiers, solver, key_reused] = params;
+        orders.push({ id, certificate_id, account_id, status: 'pending', identifiers, solver, key_reused });
+      } else if (sql.includes("UPDATE acme_orders SET status = 'valid'")) {
+        Object.assign(orders.find(row => row.id === params[1]), { status: 'valid' });
+      } else if (sql.includes("UPDATE acme_orders SET status = 'invalid'")) {
+        Object.assign(orders.find(row => row.id === params[3]), { status: 'invalid', error: params[1] });
+      }
+    });
+
+    mockCertificateImportService.storeCertificateVersion.mockResolvedValue(2);
+    // SANs come from the import service, which backfills them for older records
+    mockCertificateImportService.getCertificateRecord.mockResolvedValue({
+      ...certificate,
+      status: 'VALID',
+      serial_number: '02',
+      renewal_count: 1,
+      subject_alt_names: [{ type: 'dns', value: 'www.example.com' }, { type: 'dns', value: 'example.com' }]
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.ACME_POLL_INTERVAL_MS;
+  });
+
+  const addAccount = (fields = {}) => acmeService.createAccount({
+    folderId: 'folder-web',
+    directoryUrl: acmeServer.url,
+    email: 'pki@example.com',
+    eabKid: EAB_KID,
+    eabHmacKey: EAB_HMAC_KEY,
+    ...fields
+  }, { createdBy: 1 });
+
+  it('should register accounts bound to an external account and refuse bad bindings', async () => {
+    const account = await addAccount({ solverConfig: { url: 'https://dns.example.com/hook', token: 'dns-secret' } });
+
+    expect(account.accountUrl).toMatch(/\/my-account\//);
+    expect(account.hasEabHmacKey).toBe(true);
+    expect(account.solverConfig).toEqual({ url: 'https://dns.example.com/hook', token: '********' });
+    expect([...acmeServer.accounts.values()].map(registered => registered.externalAccountId)).toContain(EAB_KID);
+
+    await expect(addAccount({ folderId: 'folder-other', eabHmacKey: crypto.randomBytes(32).toString('base64url') }))
+      .rejects.toMatchObject({ statusCode: 502, message: expect.stringContaining('external account binding is not valid') });
+    expect(accounts).toHaveLength(1);
+  });
+
+  it('should renew over http-01 with a new key and store the result as a new version', async () => {
+    await addAccount();
+
+    const result = await acmeService.renewCertificate('cert-1', { userId: 1 });
+
+    expect(result.version).toBe(2);
+    expect(result.order).toMatchObject({ status: 'valid', keyReused: false, identifiers: [{ type: 'dns', value: 'www.example.com' }, { type: 'dns', value: 'example.com' }] });
+
+    const [renewedFrom, certificateData, { chain, privateKey }] = mockCertificateImportService.storeCertificateVersion.mock.calls[0];
+    expect(renewedFrom).toBe(certificate);
+    expect(certificateData.commonName).toBe('www.example.com');
+    expect(certificateData.issuer).toBe('CN=ACME Test Intermediate');
+    expect(certificateData.subjectAltNames).toEqual([{ type: 'dns', value: 'www.example.com' }, { type: 'dns', value: 'example.com' }]);
+    expect(chain.map(issuer => issuer.pem)).toEqual([acmeServer.intermediatePem]);
+    expect(certificateData.keyCurve).toBe('P-256');
+    expect(publicKeySha256(privateKey)).toBe(certificateData.publicKeySha256);
+
+    expect(mockCertificateEventService.recordEvent).toHaveBeenCalledWith('cert-1', 'renewed', expect.objectContaining({
+      fromStatus: 'EXPIRING_SOON',
+      toStatus: 'VALID',
+      details: expect.objectContaining({ method: 'acme', version: 2, keyReused: false, previousSerialNumber: '01' })
+    }));
+  });
+
+  it('should renew over dns-01 through a registered solver reusing the vaulted key', async () => {
+    await addAccount({ folderId: null, solver: 'dns-01-test', keyPolicy: 'reuse' });
+    const existingKey = await generatePrivateKey('ec-p256');
+    const getPrivateKey = jest.spyOn(privateKeyVaultService, 'getPrivateKey').mockResolvedValue(existingKey);
+
+    const result = await acmeService.renewCertificate('cert-1', { userId: 1 });
+
+    const [, certificateData, { privateKey }] = mockCertificateImportService.storeCertificateVersion.mock.calls[0];
+    expect(privateKey).toBeNull();
+    expect(certificateData.publicKeySha256).toBe(publicKeySha256(existingKey));
+    expect(result.order).toMatchObject({ status: 'valid', solver: 'dns-01-test', keyReused: true });
+    expect(txtRecords.size).toBe(0);
+    getPrivateKey.mockRestore();
+  });
+
+  it('should record failed validations and leave the record alone', async () => {
+    // Written to a directory no web server serves, so the CA gets a 404
+    const webroot = fs.mkdtempSync(path.join(os.tmpdir(), 'acme-webroot-'));
+    await addAccount({ solver: 'http-01-webroot', solverConfig: { webroot } });
+
+    await expect(acmeService.renewCertificate('cert-1', { userId: 1 }))
+      .rejects.toMatchObject({ statusCode: 502, message: expect.stringContaining('http-01 validation of www.example.com failed: HTTP 404') });
+
+    expect(orders[0]).toMatchObject({ status: 'invalid', error: expect.stringContaining('HTTP 404') });
+    expect(mockCertificateImportService.storeCertificateVersion).not.toHaveBeenCalled();
+    expect(fs.readdirSync(path.join(webroot, '.well-known', 'acme-challenge'))).toEqual([]);
+    fs.rmSync(webroot, { recursive: true, force: true });
+
+    await expect(acmeService.renewCertificate('cert-1', { reuseKey: true }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'No private key is held for this certificate to reuse' });
+  });
+
+  it('should refuse to renew certificates whose names cannot be read', async () => {
+    await addAccount();
+    certificate.pem_content = '-----BEGIN CERTIFICATE-----\nUNREADABLE\n-----END CERTIFICATE-----\n';
+    mockCertificateImportService.getCertificateRecord.mockResolvedValue({ ...certificate, fingerprint_sha1: null, subject_alt_names: [] });
+
+    await expect(acmeService.renewCertificate('cert-1', { userId: 1 }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'The names of the current certificate could not be read; renew it manually' });
+    expect(orders).toEqual([]);
+  });
+
+  it('should refuse challenge tokens that are not base64url before presenting them', async () => {
+    const solver = { type: 'http-01', present: jest.fn(), cleanup: jest.fn() };
+    const client = {
+      getAuthorization: async () => ({
+        status: 'pending',
+        identifier: { value: 'www.example.com' },
+        challenges: [{ type: 'http-01', token: '../../etc/cron.d/job', url: 'https://acme.example.com/chall/1' }]
+      }),
+      keyAuthorization: token => `${token}.thumbprint`
+    };
+
+    await expect(acmeService.authorize(client, { authorizations: ['https://acme.example.com/authz/1'] }, solver, {}))
+      .rejects.toMatchObject({ statusCode: 502, message: 'The ACME server sent an invalid http-01 challenge token for www.example.com' });
+    expect(solver.present).not.toHaveBeenCalled();
+  });
+});
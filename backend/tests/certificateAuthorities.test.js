@@ -0,0 +1,140 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockCertificateAuthorityService = {
+  listAuthorities: jest.fn(),
+  getAuthority: jest.fn(),
+  createAuthority: jest.fn(),
+  updateAuthority: jest.fn(),
+  deleteAuthority: jest.fn(),
+  issue: jest.fn(),
+  listIssuedCertificates: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb,
+  getDatabaseProvider: () => 'sqlite',
+  getPasswordService: () => ({}),
+  getDatabaseHealth: async () => ({ status: 'healthy', provider: 'sqlite', connected: true }),
+  migration: {},
+  initializeDatabase: async () => {}
+}));
+jest.unstable_mockModule('../src/services/gcpCertificateService.js', () => ({
+  default: {}
+}));
+jest.unstable_mockModule('../src/services/certificateAuthorityService.js', () => ({
+  default: mockCertificateAuthorityService,
+  CA_TYPES: ['root', 'intermediate']
+}));
+
+// index.js starts listening on import; use an ephemeral port so suites can run side by side
+process.env.PORT = '0';
+const { default: app } = await import('../src/index.js');
+
+describe('Certificate Authorities API', () => {
+  let authToken;
+  let permissions;
+
+  beforeAll(() => {
+    authToken = jwt.sign({ id: 1, username: 'testuser', role: 'admin' }, process.env.JWT_SECRET || 'test-secret');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    permissions = ['system:settings', 'certificates:write'];
+    mockDb.getAsync.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users')) return { id: 1, username: 'testuser', email: 'test@example.com', role: 'admin', active: 1 };
+      if (sql.includes('FROM roles')) return { id: 'admin', permissions: JSON.stringify(permissions) };
+      if (sql.includes('FROM certificates WHERE id = ?')) return { id: 'cert-ca', common_name: 'Example Root CA' };
+      if (sql.includes('FROM certificate_authorities WHERE certificate_id = ?')) return { name: 'Example Root' };
+      return undefined;
+    });
+  });
+
+  it('should list profiles to everyone but leave creating CAs to administrators', async () => {
+    permissions = ['certificates:read', 'certificates:write'];
+
+    const profiles = await request(app)
+      .get('/api/certificate-authorities/profiles')
+      .set('Authorization', `Bearer ${authToken}`);
+    const created = await request(app)
+      .post('/api/certificate-authorities')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Example Root', type: 'root', subject: { commonName: 'Example Root CA' } });
+
+    expect(profiles.status).toBe(200);
+    expect(profiles.body.profiles.map(profile => profile.name)).toEqual(['server', 'client', 'code-signing']);
+    expect(profiles.body.caTypes).toEqual(['root', 'intermediate']);
+    expect(created.status).toBe(403);
+    expect(mockCertificateAuthorityService.createAuthority).not.toHaveBeenCalled();
+  });
+
+  it('should validate and create CAs', async () => {
+    mockCertificateAuthorityService.createAuthority.mockResolvedValue({ id: 'ca-2', type: 'intermediate' });
+
+    const created = await request(app)
+      .post('/api/certificate-authorities')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Example Issuing', type: 'intermediate', parentId: 'ca-1', subject: { commonName: 'Example Issuing CA', country: 'us' } });
+    const orphan = await request(app)
+      .post('/api/certificate-authorities')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Orphan', type: 'intermediate', subject: { commonName: 'Orphan CA' } });
+
+    expect(created.status).toBe(201);
+    expect(mockCertificateAuthorityService.createAuthority).toHaveBeenCalledWith({
+      name: 'Example Issuing',
+      type: 'intermediate',
+      parentId: 'ca-1',
+      subject: { commonName: 'Example Issuing CA', country: 'US' }
+    }, { userId: 1 });
+    expect(orphan.status).toBe(400);
+    expect(orphan.body.details).toEqual(['"parentId" is required']);
+  });
+
+  it('should issue certificates and pass on policy violations', async () => {
+    mockCertificateAuthorityService.issue.mockResolvedValueOnce({ certificate: { id: 'cert-1' }, policyViolations: [] });
+    mockCertificateAuthorityService.issue.mockRejectedValueOnce(Object.assign(
+      new Error('Certificate violates the issuance policy of this folder: key too small'),
+      { statusCode: 422, policyViolations: [{ commonName: 'www.example.com' }] }
+    ));
+
+    const issued = await request(app)
+      .post('/api/certificate-authorities/ca-1/issue')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ profile: 'server', subject: { commonName: 'www.example.com' }, keyType: 'ec-p256' });
+    const refused = await request(app)
+      .post('/api/certificate-authorities/ca-1/issue')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ profile: 'server', subject: { commonName: 'www.example.com' }, folderId: 'folder-web' });
+    const invalid = await request(app)
+      .post('/api/certificate-authorities/ca-1/issue')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ profile: 'server', keyType: 'ec-p256', csr: '-----BEGIN CERTIFICATE REQUEST-----' });
+
+    expect(issued.status).toBe(201);
+    expect(issued.body).toEqual({ id: 'cert-1' });
+    expect(mockCertificateAuthorityService.issue).toHaveBeenCalledWith('ca-1', {
+      profile: 'server', subject: { commonName: 'www.example.com' }, keyType: 'ec-p256'
+    }, { userId: 1 });
+    expect(refused.status).toBe(422);
+    expect(refused.body.policyViolations).toHaveLength(1);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should keep CA certificates in the inventory while the CA exists', async () => {
+    const response = await request(app)
+      .delete('/api/certificates/cert-ca')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('This is the certificate of the internal CA "Example Root"; delete the CA first');
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Certificate Authority Service Tests
+ * Tests for creating internal root and intermediate CAs with vaulted keys, and issuing
+ * server, client and code-signing certificates from them into the inventory
+ */
+
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { createCertificateRequest } from './helpers/pki.js';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockCertificateImportService = {
+  createCertificateRecord: jest.fn(),
+  linkIssuers: jest.fn(),
+  getCertificateRecord: jest.fn(),
+  deleteCertificateRecord: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+jest.unstable_mockModule('../src/services/certificateImportService.js', () => ({
+  default: mockCertificateImportService
+}));
+
+const { default: certificateAuthorityService } = await import('../src/services/certificateAuthorityService.js');
+const { default: privateKeyVaultService } = await import('../src/services/privateKeyVaultService.js');
+const { parseCertificate } = await import('../src/utils/certificateParser.js');
+
+const spkiOf = key => crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+
+describe('Certificate Authority Service', () => {
+  let authorities;
+  let certificates;
+  let requests;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authorities = [];
+    certificates = new Map();
+    requests = new Map();
+
+    const joined = ca => ca && {
+      ...ca,
+      ...certificates.get(ca.certificate_id),
+      id: ca.id,
+      parent_name: authorities.find(parent => parent.id === ca.parent_id)?.name || null
+    };
+
+    mockDb.getAsync.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('WHERE ca.id = ?')) return joined(authorities.find(ca => ca.id === params[0]));
+      if (sql.includes('FROM certificate_authorities WHERE name = ?')) return authorities.find(ca => ca.name === params[0]);
+      if (sql.includes('FROM certificate_authorities WHERE parent_id = ?')) return authorities.find(ca => ca.parent_id === params[0]);
+      if (sql.includes('FROM folders WHERE id = ?')) return params[0] === 'missing' ? undefined : { id: params[0] };
+      if (sql.includes('FROM certificate_requests r')) return requests.get(params[0]);
+      return undefined;
+    });
+    mockDb.allAsync.mockResolvedValue([]);
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO certificate_authorities')) {
+        const [id, name, type, parent_id, certificate_id, key_type, key_reference, encrypted_key, path_length] = params;
+        authorities.push({ id, name, type, parent_id, certificate_id, key_type, key_reference, encrypted_key, path_length, enabled: 1 });
+      } else if (sql.startsWith('UPDATE certificate_authorities SET name')) {
+        Object.assign(authorities.find(ca => ca.id === params[3]), { name: params[0], enabled: params[1] });
+      } else if (sql.startsWith('DELETE FROM certificate_authorities')) {
+        authorities = authorities.filter(ca => ca.id !== params[0]);
+      }
+    });
+
+    mockCertificateImportService.createCertificateRecord.mockImplementation(async (certificateData, { folderId, certificatePem }) => {
+      const id = `cert-${certificates.size + 1}`;
+      certificates.set(id, {
+        id,
+        common_name: certificateData.commonName,
+        subject: certificateData.subject,
+        serial_number: certificateData.serialNumber,
+        valid_from: certificateData.validFrom,
+        valid_to: certificateData.validTo,
+        status: 'VALID',
+        folder_id: folderId,
+        pem_content: certificatePem
+      });
+      return id;
+    });
+    mockCertificateImportService.getCertificateRecord.mockImplementation(async id => certificates.get(id));
+  });
+
+  const createRoot = (fields = {}) => certificateAuthorityService.createAuthority({
+    name: 'Example Root',
+    type: 'root',
+    subject: { commonName: 'Example Root CA', organization: 'Example', country: 'US' },
+    pathLength: 1,
+    ...fields
+  }, { userId: 1 });
+
+  const createIntermediate = async (fields = {}) => certificateAuthorityService.createAuthority({
+    name: 'Example Issuing',
+    type: 'intermediate',
+    parentId: (await createRoot()).id,
+    subject: { commonName: 'Example Issuing CA', organization: 'Example' },
+    keyType: 'ec-p256',
+    ...fields
+  }, { userId: 1 });
+
+  const pemOf = id => certificates.get(authorities.find(ca => ca.id === id).certificate_id).pem_content;
+
+  it('should create a root and an intermediate with their keys sealed outside the inventory', async () => {
+    const intermediate = await createIntermediate();
+    const [root] = authorities;
+
+    expect(intermediate).toMatchObject({ type: 'intermediate', parentName: 'Example Root', pathLength: 0, keyType: 'ec-p256', keyStorage: 'database' });
+    const [rootCall, intermediateCall] = mockCertificateImportService.createCertificateRecord.mock.calls;
+    expect(rootCall[1]).toMatchObject({ chain: [], source: { type: 'internal-ca', location: 'Example Root' } });
+    expect(rootCall[1].privateKey).toBeUndefined();
+    expect(intermediateCall[1].privateKey).toBeUndefined();
+    expect(mockCertificateImportService.linkIssuers).toHaveBeenCalledWith([intermediate.certificateId]);
+
+    // The keys only exist encrypted, and belong to the CA certificates
+    expect(root.encrypted_key).not.toContain('PRIVATE KEY');
+    const rootKey = await privateKeyVaultService.openSecret({ keyReference: root.key_reference, encryptedKey: root.encrypted_key });
+    const rootCertificate = new crypto.X509Certificate(pemOf(root.id));
+    expect(rootCertificate.publicKey.export({ type: 'spki', format: 'der' })).toEqual(spkiOf(rootKey));
+    expect(rootCertificate.verify(rootCertificate.publicKey)).toBe(true);
+    expect(rootCertificate.subject).toBe('C=US\nO=Example\nCN=Example Root CA');
+
+    const parsed = await parseCertificate(Buffer.from(pemOf(intermediate.id)));
+    expect(parsed).toMatchObject({ isCA: true, pathLength: 0, keyCurve: 'P-256' });
+    expect(parsed.keyUsage).toEqual(expect.arrayContaining(['keyCertSign', 'cRLSign']));
+    expect(new crypto.X509Certificate(pemOf(intermediate.id)).verify(rootCertificate.publicKey)).toBe(true);
+
+    await expect(certificateAuthorityService.createAuthority({
+      name: 'Too Deep', type: 'intermediate', parentId: intermediate.id, subject: { commonName: 'Too Deep CA' }
+    })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('path length of 0') });
+    await expect(createRoot()).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should remove the key and certificate of a CA that could not be stored', async () => {
+    // As with a secret manager, where the sealed key lives outside the database row
+    const sealSecret = jest.spyOn(privateKeyVaultService, 'sealSecret')
+      .mockResolvedValue({ keyReference: 'gcp-secret:ca-key-test', encryptedKey: null });
+    const deleteSecret = jest.spyOn(privateKeyVaultService, 'deleteSecret').mockResolvedValue();
+    const defaultRunAsync = mockDb.runAsync.getMockImplementation();
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO certificate_authorities')) throw new Error('SQLITE_FULL: database or disk is full');
+      return defaultRunAsync(sql, params);
+    });
+
+    await expect(createRoot()).rejects.toThrow('SQLITE_FULL');
+
+    expect(mockCertificateImportService.deleteCertificateRecord).toHaveBeenCalledWith({ id: 'cert-1' });
+    expect(deleteSecret).toHaveBeenCalledWith('gcp-secret:ca-key-test');
+    expect(authorities).toEqual([]);
+    sealSecret.mockRestore();
+    deleteSecret.mockRestore();
+  });
+
+  it('should issue server certificates for a new vaulted key with the intermediate as chain', async () => {
+    const intermediate = await createIntermediate();
+
+    const { certificate, policyViolations } = await certificateAuthorityService.issue(intermediate.id, {
+      profile: 'server',
+      subject: { commonName: 'www.example.com' },
+      subjectAltNames: [{ type: 'dns', value: 'example.com' }],
+      keyType: 'rsa-2048',
+      folderId: 'folder-web'
+    }, { userId: 1 });
+
+    expect(policyViolations).toEqual([]);
+    const [certificateData, options] = mockCertificateImportService.createCertificateRecord.mock.calls[2];
+    expect(certificate.id).toBe('cert-3');
+    expect(certificateData).toMatchObject({
+      commonName: 'www.example.com',
+      isCA: false,
+      extendedKeyUsage: ['serverAuth'],
+      keyUsage: ['digitalSignature', 'keyEncipherment'],
+      subjectAltNames: [{ type: 'dns', value: 'www.example.com' }, { type: 'dns', value: 'example.com' }]
+    });
+    expect(options).toMatchObject({ folderId: 'folder-web', source: { type: 'internal-ca', details: { certificateAuthorityId: intermediate.id, profile: 'server' } } });
+    expect(options.chain.map(issuer => issuer.pem)).toEqual([pemOf(intermediate.id)]);
+    expect(spkiOf(options.privateKey)).toEqual(new crypto.X509Certificate(certificateData.pem).publicKey.export({ type: 'spki', format: 'der' }));
+    expect(new crypto.X509Certificate(certificateData.pem).verify(new crypto.X509Certificate(pemOf(intermediate.id)).publicKey)).toBe(true);
+
+    const validityDays = (new Date(certificateData.validTo) - new Date(certificateData.validFrom)) / (24 * 60 * 60 * 1000);
+    expect(Math.round(validityDays)).toBe(397);
+  });
+
+  it('should issue client certificates for pending requests, keeping the key with its owner', async () => {
+    const intermediate = await createIntermediate();
+    const request = await createCertificateRequest({ subject: 'CN=alice', keyType: 'ec' });
+    requests.set('req-1', { id: 'req-1', status: 'PENDING', pem_content: request.pem });
+
+    await certificateAuthorityService.issue(intermediate.id, {
+      profile: 'client',
+      subjectAltNames: [{ type: 'email', value: 'alice@example.com' }],
+      certificateRequestId: 'req-1'
+    });
+
+    const [certificateData, options] = mockCertificateImportService.createCertificateRecord.mock.calls[2];
+    expect(options.privateKey).toBeNull();
+    expect(certificateData).toMatchObject({
+      commonName: 'alice',
+      extendedKeyUsage: ['clientAuth'],
+      keyUsage: ['digitalSignature'],
+      subjectAltNames: [{ type: 'email', value: 'alice@example.com' }]
+    });
+    expect(Buffer.from(new crypto.X509Certificate(certificateData.pem).publicKey.export({ type: 'spki', format: 'der' })))
+      .toEqual(Buffer.from(request.request.publicKey.rawData));
+  });
+
+  it('should enforce profiles and refuse to issue from disabled CAs', async () => {
+    const intermediate = await createIntermediate();
+
+    await expect(certificateAuthorityService.issue(intermediate.id, {
+      profile: 'code-signing',
+      subject: { commonName: 'Example Release Signing' },
+      subjectAltNames: [{ type: 'dns', value: 'example.com' }]
+    })).rejects.toMatchObject({ statusCode: 400, message: 'code-signing certificates cannot have dns subject alternative names' });
+    await expect(certificateAuthorityService.issue(intermediate.id, {
+      profile: 'server', subject: { commonName: 'Internal Service' }
+    })).rejects.toMatchObject({ statusCode: 400, message: 'server certificates need at least one dns or ip name' });
+    await expect(certificateAuthorityService.issue(intermediate.id, {
+      profile: 'server', subject: { commonName: 'www.example.com' }, validityDays: 800
+    })).rejects.toMatchObject({ statusCode: 400, message: 'server certificates are valid for at most 397 days' });
+
+    await certificateAuthorityService.updateAuthority(intermediate.id, { enabled: false });
+    await expect(certificateAuthorityService.issue(intermediate.id, {
+      profile: 'code-signing', subject: { commonName: 'Example Release Signing' }
+    })).rejects.toMatchObject({ statusCode: 409, message: 'Certificate authority "Example Issuing" is disabled' });
+    expect(mockCertificateImportService.createCertificateRecord).toHaveBeenCalledTimes(2);
+  });
+
+  it('should refuse to issue into unknown folders', async () => {
+    const intermediate = await createIntermediate();
+
+    await expect(certificateAuthorityService.issue(intermediate.id, {
+      profile: 'server', subject: { commonName: 'www.example.com' }, folderId: 'missing'
+    })).rejects.toMatchObject({ statusCode: 404, message: 'Folder not found' });
+    expect(mockCertificateImportService.createCertificateRecord).toHaveBeenCalledTimes(2);
+  });
+
+  it('should report a CA whose certificate is gone rather than calling it expired', async () => {
+    const intermediate = await createIntermediate();
+    certificates.delete(authorities.find(ca => ca.id === intermediate.id).certificate_id);
+
+    await expect(certificateAuthorityService.issue(intermediate.id, {
+      profile: 'code-signing', subject: { commonName: 'Example Release Signing' }
+    })).rejects.toMatchObject({ statusCode: 409, message: 'The certificate of certificate authority "Example Issuing" is missing from the inventory' });
+  });
+
+  it('should only delete CAs without subordinate CAs', async () => {
+    const intermediate = await createIntermediate();
+    const rootId = intermediate.parentId;
+
+    await expect(certificateAuthorityService.deleteAuthority(rootId)).rejects.toMatchObject({ statusCode: 409 });
+    await certificateAuthorityService.deleteAuthority(intermediate.id);
+    await certificateAuthorityService.deleteAuthority(rootId);
+
+    expect(authorities).toEqual([]);
+    expect(certificates.size).toBe(2);
+  });
+});
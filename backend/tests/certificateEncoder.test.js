@@ -0,0 +1,83 @@
+/**
+ * Certificate Encoder Tests
+ * Tests for PKCS#7 bundle and PKCS#12 store encoding
+ */
+
+import { createChain } from './helpers/pki.js';
+import { buildPkcs12, buildPkcs12Store, encodePkcs7 } from '../src/utils/certificateEncoder.js';
+import { parseKeyStore, parsePkcs12, parsePkcs7 } from '../src/utils/certificateParser.js';
+
+describe('Certificate Encoder', () => {
+  let rsa;
+  let ec;
+
+  beforeAll(async () => {
+    rsa = await createChain({ commonName: 'export.example.com' });
+    ec = await createChain({ commonName: 'export-ec.example.com', keyType: 'ec' });
+  });
+
+  it('should encode a PKCS#7 bundle in DER and PEM', async () => {
+    const der = encodePkcs7([ec.leaf.der, ec.intermediate.der]);
+    const pem = encodePkcs7([ec.leaf.der, ec.intermediate.der], { pem: true });
+
+    expect(pem).toMatch(/^-----BEGIN PKCS7-----/);
+    for (const bundle of [der, Buffer.from(pem)]) {
+      const certificates = await parsePkcs7(bundle, 'bundle.p7b');
+      expect(certificates.map(certificate => certificate.commonName)).toEqual(['export-ec.example.com', 'Test Intermediate CA']);
+    }
+  });
+
+  it.each([false, true])('should build a PKCS#12 store that opens with its password (legacy: %s)', async (legacy) => {
+    const pfx = buildPkcs12({
+      privateKeyPem: rsa.leaf.privateKeyPem,
+      certificates: [rsa.leaf.der, rsa.intermediate.der, rsa.root.der],
+      friendlyName: 'export.example.com',
+      password: 'changeit',
+      legacy
+    });
+
+    const store = await parsePkcs12(pfx, 'changeit', 'export.pfx');
+    expect(store.certificate.commonName).toBe('export.example.com');
+    expect(store.chain.map(certificate => certificate.commonName)).toEqual(['Test Intermediate CA', 'Test Root CA']);
+    expect(store.privateKey).toContain('PRIVATE KEY');
+
+    await expect(parsePkcs12(pfx, 'wrong', 'export.pfx')).rejects.toThrow(/password is incorrect/);
+  });
+
+  it('should store EC keys, which node-forge cannot write itself', () => {
+    const pfx = buildPkcs12({
+      privateKeyPem: ec.leaf.privateKeyPem,
+      certificates: [ec.leaf.der],
+      password: 'changeit'
+    });
+    expect(pfx[0]).toBe(0x30);
+    expect(pfx.includes(ec.leaf.der)).toBe(true);
+  });
+
+  it('should refuse to build a store without certificates', () => {
+    expect(() => buildPkcs12({ certificates: [], password: 'changeit' })).toThrow(/at least one certificate/);
+  });
+
+  it('should build a multi-entry PKCS#12 keystore that reads back alias by alias', async () => {
+    const store = buildPkcs12Store({
+      entries: [
+        { privateKeyPem: rsa.leaf.privateKeyPem, certificates: [rsa.leaf.der, rsa.intermediate.der], friendlyName: 'server' },
+        { certificates: [rsa.root.der], friendlyName: 'root', trusted: true },
+        { certificates: [ec.root.der], friendlyName: 'ec-root', trusted: true }
+      ],
+      password: 'changeit'
+    });
+
+    const { format, entries } = await parseKeyStore(store, 'changeit', 'store.p12');
+    expect(format).toBe('pkcs12');
+    expect(entries.map(entry => [entry.alias, entry.type])).toEqual([
+      ['server', 'private-key'],
+      ['root', 'trusted-certificate'],
+      ['ec-root', 'trusted-certificate']
+    ]);
+    expect(entries[0].certificate.commonName).toBe('export.example.com');
+    expect(entries[0].chain.map(certificate => certificate.commonName)).toEqual(['Test Intermediate CA', 'Test Root CA']);
+    expect(entries[0].privateKey).toMatch(/BEGIN PRIVATE KEY/);
+    expect(entries[2].privateKey).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Certificate Linter Tests
+ * Tests for the CA/Browser Forum Baseline Requirements lint rules
+ */
+
+import { lintCertificate, LINT_RULES } from '../src/utils/certificateLinter.js';
+import { parseCertificate } from '../src/utils/certificateParser.js';
+import { createChain } from './helpers/pki.js';
+
+// A subscriber TLS certificate that passes every rule
+const compliant = (overrides = {}) => ({
+  commonName: 'www.example.com',
+  subject: 'CN=www.example.com, O=Example',
+  issuer: 'CN=Example Issuing CA, O=Example',
+  validFrom: '2025-01-01T00:00:00.000Z',
+  validTo: '2026-01-01T23:59:59.000Z',
+  serialNumber: '4f3a9c1e7b2d608a51c3e9f0',
+  keyAlgorithm: 'RSA',
+  keySize: 2048,
+  signatureAlgorithm: 'sha256WithRSAEncryption',
+  subjectAltNames: [{ type: 'dns', value: 'www.example.com' }, { type: 'dns', value: 'example.com' }],
+  extendedKeyUsage: ['serverAuth', 'clientAuth'],
+  isCA: false,
+  ...overrides
+});
+
+const ruleIds = (certificate) => lintCertificate(certificate).findings.map(finding => finding.ruleId);
+
+describe('Certificate Linter', () => {
+  it('should pass a compliant TLS certificate', () => {
+    const result = lintCertificate(compliant());
+
+    expect(result.findings).toEqual([]);
+    expect(result.summary).toEqual({ errors: 0, warnings: 0, passed: LINT_RULES.length });
+  });
+
+  it.each([
+    ['e_rsa_mod_less_than_2048_bits', { keySize: 1024 }],
+    ['e_signature_algorithm_sha1', { signatureAlgorithm: 'sha1WithRSAEncryption' }],
+    ['e_signature_algorithm_sha1', { keyAlgorithm: 'EC', keySize: 256, signatureAlgorithm: 'ecdsa-with-SHA1' }],
+    ['e_tls_server_cert_valid_time_longer_than_398_days', { validTo: '2026-02-03T00:00:00.000Z' }],
+    ['e_ext_san_missing', { subjectAltNames: [] }],
+    ['e_subject_common_name_not_from_san', { subject: 'CN=legacy.example.com' }],
+    ['e_dnsname_bad_wildcard', { subjectAltNames: [{ type: 'dns', value: 'www.*.example.com' }], subject: 'CN=www.*.example.com' }],
+    ['e_dnsname_bad_wildcard', { subjectAltNames: [{ type: 'dns', value: 'w*.example.com' }], subject: 'CN=w*.example.com' }],
+    ['e_dnsname_bad_wildcard', { subjectAltNames: [{ type: 'dns', value: '*.com' }], subject: 'CN=*.com' }],
+    ['e_serial_number_not_positive', { serialNumber: '8f3a9c1e7b2d608a51c3e9f0' }],
+    ['e_serial_number_longer_than_20_octets', { serialNumber: '4f'.repeat(21) }],
+    ['w_serial_number_low_entropy', { serialNumber: '1001' }],
+    ['e_sub_cert_eku_disallowed_combination', { extendedKeyUsage: ['serverAuth', 'codeSigning'] }],
+    ['e_sub_cert_eku_disallowed_combination', { extendedKeyUsage: ['serverAuth', 'anyExtendedKeyUsage'] }]
+  ])('should flag %s', (ruleId, overrides) => {
+    expect(ruleIds(compliant(overrides))).toEqual([ruleId]);
+  });
+
+  it('should flag a zero serial number', () => {
+    expect(ruleIds(compliant({ serialNumber: '00' }))).toEqual(['e_serial_number_not_positive', 'w_serial_number_low_entropy']);
+  });
+
+  it('should report severity, message and reference for each finding', () => {
+    const result = lintCertificate(compliant({ keySize: 1024, serialNumber: '1001' }));
+
+    expect(result.summary).toMatchObject({ errors: 1, warnings: 1 });
+    expect(result.findings[0]).toEqual({
+      ruleId: 'e_rsa_mod_less_than_2048_bits',
+      severity: 'error',
+      message: 'RSA key is 1024 bits',
+      description: 'RSA keys must be at least 2048 bits',
+      reference: 'CABF BR 6.1.5'
+    });
+    expect(result.findings[1].severity).toBe('warning');
+  });
+
+  it('should accept a wildcard as the whole left-most label', () => {
+    expect(ruleIds(compliant({
+      subject: 'CN=*.example.com',
+      subjectAltNames: [{ type: 'dns', value: '*.example.com' }, { type: 'dns', value: 'example.com' }]
+    }))).toEqual([]);
+  });
+
+  it('should leave subscriber rules out for CA and private certificates', () => {
+    const root = compliant({ subject: 'CN=Root', issuer: 'CN=Root', isCA: true, subjectAltNames: [], extendedKeyUsage: [], signatureAlgorithm: 'sha1WithRSAEncryption', serialNumber: '01' });
+    const selfSigned = compliant({ issuer: 'CN=www.example.com, O=Example', validTo: '2035-01-01T00:00:00.000Z' });
+
+    expect(ruleIds(root)).toEqual([]);
+    expect(ruleIds(selfSigned)).toEqual([]);
+    // The validity limit applies to certificates issued from 2020-09-01 on
+    expect(ruleIds(compliant({ validFrom: '2020-03-01T00:00:00.000Z', validTo: '2022-03-01T00:00:00.000Z' }))).toEqual([]);
+  });
+
+  it('should lint parsed certificates', async () => {
+    const chain = await createChain({ commonName: 'lint.example.com' });
+
+    const result = lintCertificate(await parseCertificate(Buffer.from(chain.leaf.pem), 'leaf.pem'));
+
+    expect(result.summary.errors).toBe(0);
+  });
+});
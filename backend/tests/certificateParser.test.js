@@ -0,0 +1,275 @@
+/**
+ * Certificate Parser Tests
+ * Tests for PEM/DER and container format parsing
+ */
+
+import crypto from 'crypto';
+import * as x509 from '@peculiar/x509';
+import {
+  parseCertificate,
+  parseKeyStore,
+  parsePkcs12,
+  parsePkcs7,
+  parsePemBundle,
+  parseCertificateRequest,
+  parsePrivateKey,
+  isIssuedBy
+} from '../src/utils/certificateParser.js';
+import { writeJavaKeyStore } from '../src/utils/javaKeyStore.js';
+import { createChain, createPkcs12, createPkcs7, createCertificateRequest, issueCertificate } from './helpers/pki.js';
+
+describe('Certificate Parser', () => {
+  let chain;
+
+  beforeAll(async () => {
+    chain = await createChain({ commonName: 'pfx.example.com' });
+  });
+
+  describe('parseCertificate', () => {
+    it('should parse a PEM certificate', async () => {
+      const result = await parseCertificate(Buffer.from(chain.leaf.pem), 'leaf.pem');
+      expect(result.commonName).toBe('pfx.example.com');
+      expect(result.status).toBe('VALID');
+      expect(result.pem.trim()).toBe(chain.leaf.pem.trim());
+    });
+
+    it('should parse a DER certificate', async () => {
+      const result = await parseCertificate(chain.leaf.der, 'leaf.der');
+      expect(result.commonName).toBe('pfx.example.com');
+      expect(result.issuer).toContain('Test Intermediate CA');
+    });
+
+    it('should extract X.509 extensions, key details and fingerprints', async () => {
+      const cert = await issueCertificate({
+        subject: 'CN=ext.example.com',
+        issuer: chain.intermediate,
+        keyType: 'ec',
+        dnsNames: ['ext.example.com'],
+        extensions: [
+          new x509.SubjectAlternativeNameExtension([
+            { type: 'ip', value: '10.0.0.1' },
+            { type: 'email', value: 'ops@example.com' },
+            { type: 'url', value: 'https://ext.example.com/' }
+          ]),
+          new x509.ExtendedKeyUsageExtension([x509.ExtendedKeyUsage.serverAuth, x509.ExtendedKeyUsage.clientAuth]),
+          new x509.CRLDistributionPointsExtension(['http://crl.example.com/intermediate.crl']),
+          new x509.AuthorityInfoAccessExtension({
+            ocsp: ['http://ocsp.example.com'],
+            caIssuers: ['http://ca.example.com/intermediate.crt']
+          }),
+          new x509.CertificatePolicyExtension(['2.23.140.1.2.1'])
+        ]
+      });
+
+      const result = await parseCertificate(cert.der, 'ext.der');
+
+      expect(result.subjectAltNames).toEqual([
+        { type: 'dns', value: 'ext.example.com' },
+        { type: 'ip', value: '10.0.0.1' },
+        { type: 'email', value: 'ops@example.com' },
+        { type: 'uri', value: 'https://ext.example.com/' }
+      ]);
+      expect(result.keyUsage).toEqual(['digitalSignature', 'keyEncipherment']);
+      expect(result.extendedKeyUsage).toEqual(['serverAuth', 'clientAuth']);
+      expect(result.isCA).toBe(false);
+      expect(result.keyAlgorithm).toBe('EC');
+      expect(result.keyCurve).toBe('P-256');
+      expect(result.keySize).toBe(256);
+      expect(result.signatureAlgorithm).toBe('sha256WithRSAEncryption');
+      expect(result.fingerprintSha1).toBe(crypto.createHash('sha1').update(cert.der).digest('hex'));
+      expect(result.crlDistributionPoints).toEqual(['http://crl.example.com/intermediate.crl']);
+      expect(result.ocspUrls).toEqual(['http://ocsp.example.com']);
+      expect(result.caIssuersUrls).toEqual(['http://ca.example.com/intermediate.crt']);
+      expect(result.certificatePolicies).toEqual(['2.23.140.1.2.1']);
+    });
+
+    it('should report basic constraints of CA certificates', async () => {
+      const result = await parseCertificate(chain.intermediate.der, 'intermediate.der');
+      expect(result.isCA).toBe(true);
+      expect(result.pathLength).toBe(1);
+      expect(result.keyUsage).toEqual(['keyCertSign', 'cRLSign']);
+    });
+
+    it('should reject content that is not a certificate', async () => {
+      await expect(parseCertificate(Buffer.from('not a certificate'), 'bad.crt'))
+        .rejects.toThrow(/invalid or unsupported/i);
+    });
+  });
+
+  describe('parsePkcs12', () => {
+    it('should extract leaf, chain and private key', async () => {
+      const pfx = createPkcs12(chain.leaf, [chain.root, chain.intermediate], 'secret');
+
+      const result = await parsePkcs12(pfx, 'secret', 'bundle.pfx');
+
+      expect(result.certificate.commonName).toBe('pfx.example.com');
+      expect(result.certificate.pem.trim()).toBe(chain.leaf.pem.trim());
+      expect(result.chain.map(c => c.commonName)).toEqual(['Test Intermediate CA', 'Test Root CA']);
+
+      const leaf = new crypto.X509Certificate(chain.leaf.pem);
+      expect(leaf.checkPrivateKey(crypto.createPrivateKey(result.privateKey))).toBe(true);
+    });
+
+    it('should reject an incorrect password', async () => {
+      const pfx = createPkcs12(chain.leaf, [chain.intermediate], 'secret');
+      await expect(parsePkcs12(pfx, 'wrong', 'bundle.pfx')).rejects.toThrow(/password is incorrect/i);
+    });
+
+    it('should reject a file that is not PKCS#12', async () => {
+      await expect(parsePkcs12(chain.leaf.der, '', 'leaf.p12')).rejects.toThrow(/PKCS#12/);
+    });
+  });
+
+  describe('parseKeyStore', () => {
+    it('should return one entry per alias of a JKS store', async () => {
+      const jks = writeJavaKeyStore([
+        { alias: 'tomcat', certificates: [chain.leaf.der, chain.intermediate.der, chain.root.der], privateKeyPem: chain.leaf.privateKeyPem },
+        { alias: 'corporate-root', certificates: [chain.root.der] }
+      ], 'changeit');
+
+      const result = await parseKeyStore(jks, 'changeit', 'server.jks');
+
+      expect(result.format).toBe('jks');
+      expect(result.entries).toHaveLength(2);
+      expect(result.entries[0]).toMatchObject({ alias: 'tomcat', type: 'private-key', error: null });
+      expect(result.entries[0].certificate.commonName).toBe('pfx.example.com');
+      expect(result.entries[0].chain.map(c => c.commonName)).toEqual(['Test Intermediate CA', 'Test Root CA']);
+      expect(result.entries[1]).toMatchObject({ alias: 'corporate-root', type: 'trusted-certificate', privateKey: null });
+    });
+
+    it('should read a PKCS#12 keystore and pair the key with its certificate', async () => {
+      const pfx = createPkcs12(chain.leaf, [chain.intermediate], 'secret');
+
+      const result = await parseKeyStore(pfx, 'secret', 'server.keystore');
+
+      expect(result.format).toBe('pkcs12');
+      expect(result.entries.map(entry => entry.type)).toEqual(['private-key']);
+      expect(result.entries[0].certificate.commonName).toBe('pfx.example.com');
+      expect(result.entries[0].chain.map(c => c.commonName)).toEqual(['Test Intermediate CA']);
+    });
+  });
+
+  describe('parsePkcs7', () => {
+    it('should return every certificate of a DER bundle', async () => {
+      const p7b = createPkcs7([chain.leaf, chain.intermediate, chain.root]);
+
+      const result = await parsePkcs7(p7b, 'bundle.p7b');
+
+      expect(result.map(c => c.commonName)).toEqual(['pfx.example.com', 'Test Intermediate CA', 'Test Root CA']);
+      expect(result[0].fingerprintSha256).toBe(
+        crypto.createHash('sha256').update(chain.leaf.der).digest('hex')
+      );
+    });
+
+    it('should accept a PEM encoded bundle', async () => {
+      const p7b = createPkcs7([chain.leaf, chain.intermediate], 'pem');
+      const result = await parsePkcs7(p7b, 'bundle.p7c');
+      expect(result).toHaveLength(2);
+    });
+
+    it('should reject a file that is not PKCS#7', async () => {
+      await expect(parsePkcs7(Buffer.from(chain.leaf.pem), 'leaf.p7b')).rejects.toThrow(/PKCS#7/);
+    });
+  });
+
+  describe('parsePemBundle', () => {
+    it('should return every certificate of a fullchain PEM with key identifiers', async () => {
+      const fullchain = Buffer.from([chain.leaf.pem, chain.intermediate.pem, chain.root.pem].join('\n'));
+
+      const [leaf, intermediate, root] = await parsePemBundle(fullchain, 'fullchain.pem');
+
+      expect([leaf.commonName, intermediate.commonName, root.commonName])
+        .toEqual(['pfx.example.com', 'Test Intermediate CA', 'Test Root CA']);
+      expect(leaf.authorityKeyIdentifier).toBe(intermediate.subjectKeyIdentifier);
+      expect(intermediate.authorityKeyIdentifier).toBe(root.subjectKeyIdentifier);
+      expect(root.authorityKeyIdentifier).toBeNull();
+    });
+
+    it('should reject text without certificates', async () => {
+      await expect(parsePemBundle(Buffer.from('nothing here'), 'empty.pem')).rejects.toThrow(/no certificates/);
+    });
+  });
+
+  describe('parseCertificateRequest', () => {
+    it('should parse subject, SANs, key and signature of a PEM CSR', async () => {
+      const csr = await createCertificateRequest({
+        subject: 'CN=csr.example.com, O=Test',
+        keyType: 'ec',
+        dnsNames: ['csr.example.com', 'www.csr.example.com']
+      });
+
+      const result = await parseCertificateRequest(Buffer.from(csr.pem), 'request.csr');
+
+      expect(result.commonName).toBe('csr.example.com');
+      expect(result.subjectAltNames).toEqual([
+        { type: 'dns', value: 'csr.example.com' },
+        { type: 'dns', value: 'www.csr.example.com' }
+      ]);
+      expect(result.keyAlgorithm).toBe('EC');
+      expect(result.keySize).toBe(256);
+      expect(result.keyCurve).toBe('P-256');
+      expect(result.signatureValid).toBe(true);
+    });
+
+    it('should give a certificate and its CSR the same public key fingerprint', async () => {
+      const csr = await createCertificateRequest({ subject: 'CN=match.example.com' });
+      const cert = await issueCertificate({ subject: 'CN=match.example.com', issuer: chain.intermediate, keys: csr.keys });
+
+      const request = await parseCertificateRequest(csr.der, 'request.csr');
+      const certificate = await parseCertificate(cert.der, 'match.der');
+
+      expect(request.keyAlgorithm).toBe('RSA');
+      expect(request.keySize).toBe(2048);
+      expect(certificate.publicKeySha256).toBe(request.publicKeySha256);
+    });
+
+    it('should reject a file that is not a CSR', async () => {
+      await expect(parseCertificateRequest(Buffer.from(chain.leaf.pem), 'leaf.csr'))
+        .rejects.toThrow(/certificate signing request/);
+    });
+  });
+
+  describe('parsePrivateKey', () => {
+    it('should fingerprint the public half like the matching certificate', async () => {
+      const certificate = await parseCertificate(chain.leaf.der, 'leaf.der');
+
+      const result = parsePrivateKey(Buffer.from(chain.leaf.privateKeyPem), '', 'leaf.key');
+
+      expect(result.keyAlgorithm).toBe('RSA');
+      expect(result.keySize).toBe(2048);
+      expect(result.publicKeySha256).toBe(certificate.publicKeySha256);
+      expect(result.privateKeyPem).toContain('BEGIN PRIVATE KEY');
+    });
+
+    it('should open encrypted keys with the password', () => {
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' });
+      const encrypted = Buffer.from(privateKey.export({
+        type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase: 'secret'
+      }));
+
+      expect(parsePrivateKey(encrypted, 'secret').keyCurve).toBe('P-384');
+      expect(() => parsePrivateKey(encrypted, 'wrong')).toThrow(/password is incorrect/);
+      expect(() => parsePrivateKey(encrypted)).toThrow(/requires a password/);
+    });
+
+    it('should read DER PKCS#1 keys', () => {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      expect(parsePrivateKey(privateKey.export({ type: 'pkcs1', format: 'der' })).keyAlgorithm).toBe('RSA');
+    });
+
+    it('should reject a file that is not a private key', () => {
+      expect(() => parsePrivateKey(Buffer.from(chain.leaf.pem), '', 'leaf.key')).toThrow(/private key/);
+    });
+  });
+
+  describe('isIssuedBy', () => {
+    it('should verify the issuing certificate', () => {
+      expect(isIssuedBy(chain.leaf.pem, chain.intermediate.pem)).toBe(true);
+      expect(isIssuedBy(chain.intermediate.pem, chain.root.pem)).toBe(true);
+    });
+
+    it('should reject a certificate that did not sign it', () => {
+      expect(isIssuedBy(chain.leaf.pem, chain.root.pem)).toBe(false);
+    });
+  });
+});
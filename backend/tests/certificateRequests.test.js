@@ -0,0 +1,246 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import * as x509 from '@peculiar/x509';
+import { jest } from '@jest/globals';
+import { createCertificateRequest, issueCertificate } from './helpers/pki.js';
+
+// Mock dependencies
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb,
+  getDatabaseProvider: () => 'sqlite',
+  getPasswordService: () => ({}),
+  getDatabaseHealth: async () => ({ status: 'healthy', provider: 'sqlite', connected: true }),
+  migration: {},
+  initializeDatabase: async () => {}
+}));
+jest.unstable_mockModule('../src/services/gcpCertificateService.js', () => ({
+  default: {}
+}));
+
+// index.js starts listening on import; use an ephemeral port so suites can run side by side
+process.env.PORT = '0';
+const { default: app } = await import('../src/index.js');
+const { default: certificateRequestService } = await import('../src/services/certificateRequestService.js');
+const { default: privateKeyVaultService } = await import('../src/services/privateKeyVaultService.js');
+
+describe('Certificate Requests API', () => {
+  let authToken;
+  let storedRequest;
+
+  beforeAll(() => {
+    authToken = jwt.sign({ id: 1, username: 'testuser', role: 'admin' }, process.env.JWT_SECRET || 'test-secret');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storedRequest = null;
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO certificate_requests')) {
+        storedRequest = {
+          id: params[0],
+          common_name: params[1],
+          subject_alt_names: params[3],
+          key_algorithm: params[4],
+          signature_valid: params[8],
+          pem_content: params[10],
+          status: params[11],
+          folder_id: params[12],
+          key_reference: params[16],
+          encrypted_key: params[17],
+          renewal_of: params[18]
+        };
+      }
+    });
+    mockDb.getAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM users')) return { id: 1, username: 'testuser', role: 'admin', active: 1 };
+      if (sql.includes('FROM roles')) return { id: 'admin', permissions: '["certificates:write","certificates:delete"]' };
+      if (sql.includes('FROM certificate_requests r')) return storedRequest && storedRequest.id === params[0] ? storedRequest : undefined;
+      return undefined;
+    });
+    mockDb.allAsync.mockResolvedValue([]);
+  });
+
+  it('should parse and store an uploaded CSR as pending', async () => {
+    const csr = await createCertificateRequest({ subject: 'CN=csr.example.com', dnsNames: ['csr.example.com'] });
+
+    const res = await request(app)
+      .post('/api/certificate-requests')
+      .set('Authorization', `Bearer ${authToken}`)
+      .attach('request', Buffer.from(csr.pem), 'request.csr');
+
+    expect(res.status).toBe(201);
+    expect(res.body.common_name).toBe('csr.example.com');
+    expect(res.body.status).toBe('PENDING');
+    expect(res.body.signature_valid).toBe(true);
+    expect(res.body.subject_alt_names).toEqual([{ type: 'dns', value: 'csr.example.com' }]);
+  });
+
+  it('should reject a file that is not a CSR', async () => {
+    const res = await request(app)
+      .post('/api/certificate-requests')
+      .set('Authorization', `Bearer ${authToken}`)
+      .attach('request', Buffer.from('not a csr'), 'request.csr');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/certificate signing request/);
+  });
+
+  it('should list requests filtered by status', async () => {
+    mockDb.allAsync.mockResolvedValue([{ id: 'r1', subject_alt_names: '[]', signature_valid: 1, status: 'PENDING' }]);
+
+    const res = await request(app)
+      .get('/api/certificate-requests?status=PENDING')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    const [sql, params] = mockDb.allAsync.mock.calls.find(([query]) => query.includes('FROM certificate_requests'));
+    expect(sql).toContain('r.status = ?');
+    expect(params).toEqual(['PENDING']);
+  });
+
+  it('should return 404 for an unknown request', async () => {
+    const res = await request(app)
+      .get('/api/certificate-requests/missing')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  describe('CSR generation', () => {
+    it('should generate a key pair and CSR, keeping the key sealed with the request', async () => {
+      const res = await request(app)
+        .post('/api/certificate-requests/generate')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          subject: { commonName: 'api.example.com', organization: 'Example', country: 'us' },
+          subjectAltNames: [{ type: 'dns', value: 'api.example.com' }, { type: 'ip', value: '10.0.0.5' }],
+          keyType: 'ed25519',
+          keyUsage: ['digitalSignature'],
+          extendedKeyUsage: ['serverAuth', 'clientAuth']
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ common_name: 'api.example.com', key_algorithm: 'Ed25519', status: 'PENDING', signature_valid: true, has_private_key: true });
+      expect(res.body.encrypted_key).toBeUndefined();
+      expect(res.body.subject_alt_names).toEqual([{ type: 'dns', value: 'api.example.com' }, { type: 'ip', value: '10.0.0.5' }]);
+
+      const csr = new x509.Pkcs10CertificateRequest(res.body.pem_content);
+      expect(csr.subject).toBe('C=US, O=Example, CN=api.example.com');
+      expect(csr.extensions.find(extension => extension instanceof x509.KeyUsagesExtension).usages).toBe(x509.KeyUsageFlags.digitalSignature);
+      expect(csr.extensions.find(extension => extension instanceof x509.ExtendedKeyUsageExtension).usages).toEqual([x509.ExtendedKeyUsage.serverAuth, x509.ExtendedKeyUsage.clientAuth]);
+
+      // The sealed key is the one the CSR was signed with
+      expect(storedRequest.encrypted_key).not.toContain('PRIVATE KEY');
+      const privateKey = await privateKeyVaultService.openSecret({ keyReference: storedRequest.key_reference, encryptedKey: storedRequest.encrypted_key });
+      expect(crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' })).toEqual(Buffer.from(csr.publicKey.rawData));
+    });
+
+    it('should copy the subject, SANs, key type and folder of a certificate for a renewal CSR', async () => {
+      const existing = await issueCertificate({ subject: 'CN=shop.example.com, O=Example, C=US', keyType: 'ec', dnsNames: ['shop.example.com', 'www.shop.example.com'] });
+      const defaultGetAsync = mockDb.getAsync.getMockImplementation();
+      mockDb.getAsync.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM certificates WHERE id = ?')) {
+          if (params[0] === 'cert-1') {
+            return { id: 'cert-1', pem_content: existing.pem, key_algorithm: 'EC', key_size: 256, key_curve: 'P-256', folder_id: 'folder-web' };
+          }
+          return params[0] === 'cert-3' ? { id: 'cert-3', pem_content: null, folder_id: null } : undefined;
+        }
+        if (sql.includes('FROM folders WHERE id = ?')) return { id: params[0] };
+        return defaultGetAsync(sql, params);
+      });
+      // Records stored before SANs were extracted have no SAN rows; the names come from the PEM
+      mockDb.allAsync.mockResolvedValue([]);
+
+      const renewal = await request(app)
+        .post('/api/certificate-requests/generate')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ certificateId: 'cert-1' });
+      const missing = await request(app)
+        .post('/api/certificate-requests/generate')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ certificateId: 'cert-2' });
+      const withoutPem = await request(app)
+        .post('/api/certificate-requests/generate')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ certificateId: 'cert-3' });
+      const overridden = await request(app)
+        .post('/api/certificate-requests/generate')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ certificateId: 'cert-1', subject: { commonName: 'other.example.com' } });
+
+      expect(renewal.status).toBe(201);
+      const csr = new x509.Pkcs10CertificateRequest(renewal.body.pem_content);
+      expect(csr.subject).toBe(existing.certificate.subject);
+      expect(renewal.body.subject_alt_names).toEqual([{ type: 'dns', value: 'shop.example.com' }, { type: 'dns', value: 'www.shop.example.com' }]);
+      expect(renewal.body).toMatchObject({ key_algorithm: 'EC', folder_id: 'folder-web', renewal_of: 'cert-1' });
+      expect(Buffer.from(csr.publicKey.rawData)).not.toEqual(Buffer.from(existing.certificate.publicKey.rawData));
+      expect(missing.status).toBe(404);
+      expect(withoutPem.status).toBe(422);
+      expect(overridden.status).toBe(400);
+    });
+
+    it('should refuse CSRs without any name', async () => {
+      const res = await request(app)
+        .post('/api/certificate-requests/generate')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ subject: { organization: 'Example' }, keyType: 'ec-p256' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('A CSR needs a common name or at least one subject alternative name');
+      expect(mockDb.runAsync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linkCertificate', () => {
+    it('should mark the pending request with the same public key as issued', async () => {
+      mockDb.getAsync.mockResolvedValue({ id: 'csr-id' });
+
+      const linked = await certificateRequestService.linkCertificate('cert-id', 'pk-fingerprint');
+
+      expect(linked).toBe('csr-id');
+      expect(mockDb.getAsync.mock.calls[0][1]).toEqual(['pk-fingerprint']);
+      expect(mockDb.runAsync).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE certificate_requests'),
+        ['ISSUED', 'cert-id', expect.any(String), 'csr-id']
+      );
+      expect(mockDb.runAsync).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE certificates SET certificate_request_id'),
+        ['csr-id', 'cert-id']
+      );
+    });
+
+    it('should move the key generated with the request to the certificate', async () => {
+      const { privateKeyPem } = await issueCertificate({ subject: 'CN=api.example.com', keyType: 'ec' });
+      const sealed = await privateKeyVaultService.sealSecret('certificate-request-key-csr-id', privateKeyPem);
+      mockDb.getAsync.mockImplementation(async (sql) => (sql.includes('FROM certificate_requests')
+        ? { id: 'csr-id', key_reference: sealed.keyReference, encrypted_key: sealed.encryptedKey }
+        : undefined));
+
+      await certificateRequestService.linkCertificate('cert-id', 'pk-fingerprint');
+
+      const [, params] = mockDb.runAsync.mock.calls.find(([sql]) => sql.includes('INSERT INTO certificate_private_keys'));
+      expect(params[1]).toBe('cert-id');
+      const movedKey = await privateKeyVaultService.openSecret({ keyReference: params[3], encryptedKey: params[4] });
+      expect(movedKey.trim()).toBe(privateKeyPem.trim());
+      expect(mockDb.runAsync).toHaveBeenCalledWith(
+        expect.stringContaining('SET key_reference = NULL, encrypted_key = NULL'),
+        ['csr-id']
+      );
+    });
+
+    it('should leave certificates without a pending request alone', async () => {
+      mockDb.getAsync.mockResolvedValue(undefined);
+
+      expect(await certificateRequestService.linkCertificate('cert-id', 'pk-fingerprint')).toBeNull();
+      expect(mockDb.runAsync).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Chain Builder Service Tests
+ * Tests for offline chain assembly from the inventory, trust anchors and cached AIA fetching
+ */
+
+import http from 'http';
+import * as x509 from '@peculiar/x509';
+import { jest } from '@jest/globals';
+import { issueCertificate } from './helpers/pki.js';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+
+const { default: chainBuilderService } = await import('../src/services/chainBuilderService.js');
+const { parseCertificate } = await import('../src/utils/certificateParser.js');
+
+describe('Chain Builder Service', () => {
+  let root;
+  let intermediate;
+  let impostor;
+  let leaf;
+  let aiaLeaf;
+  let server;
+  let aiaHits;
+  let inventory;
+  let aiaCache;
+
+  const toRow = async (id, certificate) => {
+    const parsed = await parseCertificate(Buffer.from(certificate.pem), `${id}.pem`);
+    return { id, pem_content: certificate.pem, subject: parsed.subject, subject_key_identifier: parsed.subjectKeyIdentifier };
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      aiaHits += 1;
+      if (req.url === '/intermediate.cer') {
+        res.end(intermediate.der);
+      } else if (req.url === '/endless.cer') {
+        // No Content-Length and no end: only the size limit stops the download
+        const chunk = Buffer.alloc(64 * 1024);
+        const send = () => {
+          while (!res.destroyed && res.write(chunk));
+          if (!res.destroyed) res.once('drain', send);
+        };
+        send();
+      } else {
+        res.statusCode = 404;
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const aiaUrl = `http://127.0.0.1:${server.address().port}/intermediate.cer`;
+
+    root = await issueCertificate({ subject: 'CN=Chain Root CA', isCA: true });
+    intermediate = await issueCertificate({ subject: 'CN=Chain Intermediate CA', issuer: root, isCA: true });
+    // Same name as the real intermediate, different key: must never be accepted as issuer
+    impostor = await issueCertificate({ subject: 'CN=Chain Intermediate CA', isCA: true });
+    leaf = await issueCertificate({ subject: 'CN=chain.example.com', issuer: intermediate, dnsNames: ['chain.example.com'] });
+    aiaLeaf = await issueCertificate({
+      subject: 'CN=aia.example.com',
+      issuer: intermediate,
+      extensions: [new x509.AuthorityInfoAccessExtension({ caIssuers: [new x509.GeneralName('url', aiaUrl)] })]
+    });
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    aiaHits = 0;
+    inventory = [];
+    aiaCache = {};
+    mockDb.allAsync.mockImplementation(async (sql, [keyIdentifier, subject]) =>
+      inventory.filter(row => row.subject_key_identifier === keyIdentifier || row.subject === subject)
+    );
+    mockDb.getAsync.mockImplementation(async (sql, [url]) => aiaCache[url]);
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.startsWith('INSERT INTO aia_certificate_cache')) {
+        const [url, certificatesPem, error, fetchedAt] = params;
+        aiaCache[url] = { certificates_pem: certificatesPem, error, fetched_at: fetchedAt };
+      }
+    });
+  });
+
+  it('should build leaf -> root from inventory records, verifying signatures', async () => {
+    inventory = [await toRow('impostor-id', impostor), await toRow('intermediate-id', intermediate), await toRow('root-id', root)];
+
+    const result = await chainBuilderService.buildChain(leaf.pem);
+
+    expect(result.complete).toBe(true);
+    expect(result.missing).toEqual([]);
+    expect(result.chain.map(link => link.subject)).toEqual(['CN=chain.example.com', 'CN=Chain Intermediate CA', 'CN=Chain Root CA']);
+    expect(result.chain.map(link => link.certificateId)).toEqual([null, 'intermediate-id', 'root-id']);
+    expect(result.chain.map(link => link.source)).toEqual(['input', 'inventory', 'inventory']);
+    expect(result.pem.match(/BEGIN CERTIFICATE/g)).toHaveLength(3);
+  });
+
+  it('should report the missing link when an issuer is not held', async () => {
+    inventory = [await toRow('impostor-id', impostor), await toRow('intermediate-id', intermediate)];
+
+    const result = await chainBuilderService.buildChain(leaf.pem, { fetchAia: false });
+
+    expect(result.complete).toBe(false);
+    expect(result.chain).toHaveLength(2);
+    expect(result.missing).toEqual([expect.objectContaining({
+      subject: 'CN=Chain Intermediate CA',
+      issuer: 'CN=Chain Root CA',
+      reason: expect.stringMatching(/AIA fetching disabled/)
+    })]);
+  });
+
+  it('should prefer candidates supplied with the certificate', async () => {
+    inventory = [await toRow('root-id', root)];
+
+    const result = await chainBuilderService.buildChain(leaf.pem, { candidates: [intermediate.pem] });
+
+    expect(result.complete).toBe(true);
+    expect(result.chain.map(link => link.source)).toEqual(['input', 'provided', 'inventory']);
+  });
+
+  it('should fetch missing issuers from AIA only when enabled, and cache them', async () => {
+    inventory = [await toRow('root-id', root)];
+
+    const offline = await chainBuilderService.buildChain(aiaLeaf.pem, { fetchAia: false });
+    expect(offline.complete).toBe(false);
+    expect(offline.missing[0].caIssuersUrls).toHaveLength(1);
+    expect(aiaHits).toBe(0);
+
+    const fetched = await chainBuilderService.buildChain(aiaLeaf.pem, { fetchAia: true });
+    expect(fetched.complete).toBe(true);
+    expect(fetched.chain.map(link => link.source)).toEqual(['input', 'aia', 'inventory']);
+
+    const cached = await chainBuilderService.buildChain(aiaLeaf.pem, { fetchAia: true });
+    expect(cached.chain.map(link => link.source)).toEqual(['input', 'aia-cache', 'inventory']);
+    expect(aiaHits).toBe(1);
+  });
+
+  it('should stop downloading AIA responses that pass the size limit', async () => {
+    const url = `http://127.0.0.1:${server.address().port}/endless.cer`;
+
+    const result = await chainBuilderService.getAiaCertificates(url);
+
+    expect(result).toEqual({ certificates: [], cached: false });
+    expect(aiaCache[url]).toMatchObject({ certificates_pem: null, error: 'Response is too large' });
+  });
+
+  it('should stop at a trust anchor, searching the trust store first', async () => {
+    inventory = [await toRow('intermediate-id', intermediate), await toRow('root-id', root)];
+
+    const result = await chainBuilderService.buildChain(leaf.pem, { trustAnchors: [intermediate.pem] });
+
+    expect(result.complete).toBe(true);
+    expect(result.chain.map(link => link.source)).toEqual(['input', 'trust-store']);
+    expect(result.trustAnchor).toEqual({ subject: 'CN=Chain Intermediate CA', fingerprintSha256: expect.any(String) });
+  });
+
+  it('should treat a self-signed certificate as a complete chain', async () => {
+    const result = await chainBuilderService.buildChain(root.pem);
+    expect(result.complete).toBe(true);
+    expect(result.chain).toHaveLength(1);
+    expect(mockDb.allAsync).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Digest Service Tests
+ * Tests for gathering expiry digests per folder from the statistics queries and sending
+ * them by email (through a local SMTP sink) or webhook when their interval has passed
+ */
+
+import { jest } from '@jest/globals';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockFolderPolicyService = {
+  getViolationsReport: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+jest.unstable_mockModule('../src/services/folderPolicyService.js', () => ({
+  default: mockFolderPolicyService
+}));
+
+const { default: digestService } = await import('../src/services/digestService.js');
+const { default: webhookService } = await import('../src/services/webhookService.js');
+const { startSmtpSink } = await import('./helpers/smtpSink.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Digest Service', () => {
+  const now = new Date('2025-07-01T07:00:00Z');
+  let sink;
+  let certificates;
+  let subscriptions;
+
+  const certificate = (id, folderId, { expiresIn, uploadedAgo = 100, status = 'VALID' }) => ({
+    id,
+    common_name: `${id}.example.com`,
+    folder_id: folderId,
+    folder_name: folderId === 'folder-prod' ? 'Production' : 'Staging',
+    valid_to: new Date(now.getTime() + expiresIn * DAY).toISOString(),
+    uploaded_at: new Date(now.getTime() - uploadedAgo * DAY).toISOString(),
+    status
+  });
+
+  const inFolders = (folderIds) => certificates.filter(row => folderIds.length === 0 || folderIds.includes(row.folder_id));
+
+  beforeAll(async () => {
+    sink = await startSmtpSink();
+  });
+
+  afterAll(async () => {
+    await sink.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sink.messages.length = 0;
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(sink.port);
+
+    certificates = [
+      certificate('soon', 'folder-prod', { expiresIn: 10, status: 'EXPIRING_SOON' }),
+      certificate('lapsed', 'folder-prod', { expiresIn: -2, status: 'EXPIRED' }),
+      certificate('fresh', 'folder-prod', { expiresIn: 300, uploadedAgo: 3 }),
+      certificate('staging', 'folder-staging', { expiresIn: 5, status: 'EXPIRING_SOON' }),
+      certificate('revoked', 'folder-staging', { expiresIn: 20, status: 'REVOKED' })
+    ];
+    subscriptions = [
+      { id: 'd1', user_id: 7, user_email: 'manager@example.com', user_active: 1, folder_id: 'folder-prod', folder_name: 'Production', interval_days: 7, days_ahead: 30, enabled: 1, last_sent_at: new Date(now.getTime() - 7 * DAY).toISOString() },
+      { id: 'd2', email: 'pki@example.com', folder_id: null, interval_days: 7, days_ahead: 30, enabled: 1, last_sent_at: new Date(now.getTime() - 2 * DAY).toISOString() }
+    ];
+    mockFolderPolicyService.getViolationsReport.mockResolvedValue({
+      folders: [{
+        folderId: 'folder-prod',
+        folderName: 'Production',
+        certificates: [{ id: 'fresh', commonName: 'fresh.example.com', violations: [{ message: 'RSA keys must be at least 3072 bits' }] }]
+      }]
+    });
+
+    mockDb.getAsync.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('COUNT(*) as total_certificates')) {
+        const rows = inFolders(params.slice(0, params.length / 2));
+        const count = status => rows.filter(row => row.status === status).length;
+        return {
+          total_certificates: rows.length,
+          valid_certificates: count('VALID'),
+          expired_certificates: count('EXPIRED'),
+          expiring_soon_certificates: count('EXPIRING_SOON')
+        };
+      }
+      if (sql.includes('FROM digest_subscriptions d')) return subscriptions.find(row => row.id === params[0]);
+      if (sql.includes('FROM folders')) return { name: params[0] === 'folder-prod' ? 'Production' : 'Staging' };
+      return undefined;
+    });
+    mockDb.allAsync.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM digest_subscriptions d')) return subscriptions.filter(row => row.enabled);
+      if (sql.includes('GROUP BY') || sql.includes('FROM notification_templates')) return [];
+      if (sql.includes('FROM certificates c')) {
+        const [from, to, ...scope] = params;
+        const field = sql.includes('c.uploaded_at >') ? 'uploaded_at' : 'valid_to';
+        return inFolders(scope.slice(0, scope.length / 2))
+          .filter(row => row[field] > from && row[field] <= to)
+          .filter(row => field === 'uploaded_at' || row.status !== 'REVOKED');
+      }
+      return [];
+    });
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.startsWith('UPDATE digest_subscriptions SET last_sent_at')) {
+        Object.assign(subscriptions.find(row => row.id === params[3]), { last_sent_at: params[0], last_status: params[1], last_error: params[2] });
+      }
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+  });
+
+  it('should gather the digest of a folder grouped by folder', async () => {
+    const digest = await digestService.buildDigest({ folderId: 'folder-prod', since: new Date(now.getTime() - 7 * DAY), now, daysAhead: 30 });
+
+    expect(digest.scope).toEqual({ folderId: 'folder-prod', folderName: 'Production' });
+    expect(digest.stats).toEqual({ total_certificates: 3, valid_certificates: 1, expired_certificates: 1, expiring_soon_certificates: 1 });
+    expect(digest.totals).toEqual({ expiring: 1, expired: 1, uploaded: 1, violations: 1 });
+    expect(digest.folders).toHaveLength(1);
+    expect(digest.folders[0]).toMatchObject({
+      folderName: 'Production',
+      expiring: [{ id: 'soon', daysRemaining: 10 }],
+      expired: [{ id: 'lapsed' }],
+      uploaded: [{ id: 'fresh' }],
+      violations: [{ id: 'fresh', violations: ['RSA keys must be at least 3072 bits'] }]
+    });
+    expect(mockFolderPolicyService.getViolationsReport).toHaveBeenCalledWith({ folderId: 'folder-prod' });
+  });
+
+  it('should email the digests that are due, covering the period since the last one', async () => {
+    const summary = await digestService.sendDigests({ now });
+
+    expect(summary).toEqual({ due: 1, sent: 1, failed: 0 });
+    expect(sink.messages).toHaveLength(1);
+    const [message] = sink.messages;
+    expect(message.to).toEqual(['manager@example.com']);
+    expect(message.headers.subject).toBe('Certificate digest for Production: 1 expiring, 1 expired');
+    expect(message.text).toContain('from 2025-06-24 to 2025-07-01');
+    expect(message.text).toContain('Inventory: 3 certificates (1 valid, 1 expiring soon, 1 expired)');
+    expect(message.text).toContain('== Production ==\nExpiring in the next 30 days (1):\n  - soon.example.com expires 2025-07-11 (10 days)');
+    expect(message.text).not.toContain('staging.example.com');
+    expect(subscriptions[0]).toMatchObject({ last_sent_at: now.toISOString(), last_status: 'sent', last_error: null });
+
+    expect(await digestService.sendDigests({ now: new Date(now.getTime() + DAY) })).toEqual({ due: 0, sent: 0, failed: 0 });
+  });
+
+  it('should post digests to webhooks and keep the period of failed ones', async () => {
+    const previous = subscriptions[1].last_sent_at;
+    subscriptions = [{ ...subscriptions[1], email: null, webhook_subscription_id: 'w1', webhook_enabled: 1, last_sent_at: null }];
+    const sendMessage = jest.spyOn(webhookService, 'sendMessage').mockResolvedValue({ status: 'succeeded' });
+
+    await digestService.sendDigest('d2', { now });
+
+    const [webhookId, eventType, message] = sendMessage.mock.calls[0];
+    expect([webhookId, eventType]).toEqual(['w1', 'digest.expiry']);
+    expect(message.title).toBe('Certificate digest for All certificates: 2 expiring, 1 expired');
+    expect(message.fields).toContainEqual(['Policy violations', 1]);
+    expect(message.data.digest.folders.map(folder => folder.folderName)).toEqual(['Production', 'Staging']);
+    expect(subscriptions[0].last_status).toBe('sent');
+
+    subscriptions[0].last_sent_at = previous;
+    subscriptions[0].webhook_enabled = 0;
+    await digestService.sendDigest('d2', { now: new Date(now.getTime() + 7 * DAY) });
+    expect(subscriptions[0]).toMatchObject({ last_sent_at: previous, last_status: 'failed', last_error: 'The webhook is paused' });
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+    sendMessage.mockRestore();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Expiry Threshold Service Tests
+ * Tests for global, folder and certificate thresholds and the statuses worked out from them
+ */
+
+import { jest } from '@jest/globals';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+
+const { default: expiryThresholdService, DEFAULT_EXPIRY_THRESHOLDS } = await import('../src/services/expiryThresholdService.js');
+const { default: certificateStatusService } = await import('../src/services/certificateStatusService.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Expiry Threshold Service', () => {
+  const now = new Date('2025-07-01T12:00:00Z');
+  let systemConfig;
+  let overrides;
+  let certificates;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    systemConfig = { tempFolder: { path: '/tmp' } };
+    overrides = [];
+    certificates = [];
+
+    mockDb.getAsync.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM metadata')) {
+        return { value: JSON.stringify(systemConfig) };
+      }
+      if (sql.includes('FROM expiry_threshold_overrides')) {
+        return overrides.find(row => row.scope === params[0] && row.scope_id === params[1]);
+      }
+      return undefined;
+    });
+    mockDb.allAsync.mockImplementation(async (sql) => {
+      if (sql.includes('FROM expiry_threshold_overrides')) {
+        return overrides;
+      }
+      if (sql.includes('FROM certificates')) {
+        return certificates.map(row => ({ ...row }));
+      }
+      return [];
+    });
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.startsWith('DELETE FROM expiry_threshold_overrides')) {
+        overrides = overrides.filter(row => !(row.scope === params[0] && row.scope_id === params[1]));
+      } else if (sql.includes('INSERT INTO expiry_threshold_overrides')) {
+        const [scope, scopeId, expiringSoonDays, notificationDays, updatedBy, updatedAt] = params;
+        overrides.push({
+          scope, scope_id: scopeId, expiring_soon_days: expiringSoonDays,
+          notification_days: notificationDays, updated_by: updatedBy, updated_at: updatedAt
+        });
+      } else if (sql.startsWith('UPDATE certificates SET status')) {
+        const row = certificates.find(c => c.id === params[1] && c.status === params[2]);
+        if (row) row.status = params[0];
+      }
+    });
+  });
+
+  it('should use the built-in defaults when nothing is configured', async () => {
+    const effective = await expiryThresholdService.getEffectiveThresholds({ id: 'cert-1', folder_id: 'folder-1' });
+
+    expect(effective).toEqual({
+      ...DEFAULT_EXPIRY_THRESHOLDS,
+      sources: { expiringSoonDays: 'default', notificationDays: 'default' }
+    });
+  });
+
+  it('should let certificate overrides win over folder overrides, and both over the global settings', async () => {
+    systemConfig.expiryThresholds = { expiringSoonDays: 45, notificationDays: [45, 10] };
+    await expiryThresholdService.setOverride('folder', 'folder-1', { expiringSoonDays: 90, notificationDays: [60, 90, 60] });
+    await expiryThresholdService.setOverride('certificate', 'cert-1', { expiringSoonDays: 7 }, { userId: 3 });
+
+    const resolve = await expiryThresholdService.createResolver();
+
+    expect(resolve({ id: 'cert-1', folder_id: 'folder-1' })).toEqual({
+      expiringSoonDays: 7,
+      notificationDays: [90, 60],
+      sources: { expiringSoonDays: 'certificate', notificationDays: 'folder' }
+    });
+    expect(resolve({ id: 'cert-2', folder_id: 'folder-1' })).toMatchObject({ expiringSoonDays: 90, notificationDays: [90, 60] });
+    expect(resolve({ id: 'cert-3', folder_id: null })).toEqual({
+      expiringSoonDays: 45,
+      notificationDays: [45, 10],
+      sources: { expiringSoonDays: 'global', notificationDays: 'global' }
+    });
+    expect(await expiryThresholdService.getOverride('certificate', 'cert-1')).toMatchObject({
+      expiringSoonDays: 7,
+      notificationDays: null,
+      updatedBy: '3'
+    });
+  });
+
+  it('should go back to inheriting once an override is removed', async () => {
+    await expiryThresholdService.setOverride('folder', 'folder-1', { expiringSoonDays: 90 });
+    await expiryThresholdService.deleteOverride('folder', 'folder-1');
+
+    expect(await expiryThresholdService.getOverride('folder', 'folder-1')).toBeNull();
+    expect(await expiryThresholdService.getEffectiveThresholds({ id: 'cert-1', folder_id: 'folder-1' }))
+      .toMatchObject({ expiringSoonDays: 30, sources: { expiringSoonDays: 'default' } });
+  });
+
+  it('should work out statuses from the effective threshold', async () => {
+    const validTo = new Date(now.getTime() + 20 * DAY).toISOString();
+    systemConfig.expiryThresholds = { expiringSoonDays: 14 };
+    await expiryThresholdService.setOverride('folder', 'strict', { expiringSoonDays: 60 });
+
+    expect(await expiryThresholdService.calculateStatus({ id: null, folder_id: null, valid_to: validTo }, now)).toBe('VALID');
+    expect(await expiryThresholdService.calculateStatus({ id: null, folder_id: 'strict', valid_to: validTo }, now)).toBe('EXPIRING_SOON');
+  });
+
+  it('should recalculate stored statuses with each certificate\'s threshold', async () => {
+    const validTo = new Date(now.getTime() + 20 * DAY).toISOString();
+    certificates = [
+      { id: 'relaxed', common_name: 'relaxed.example.com', folder_id: 'folder-1', valid_to: validTo, status: 'EXPIRING_SOON' },
+      { id: 'strict', common_name: 'strict.example.com', folder_id: 'folder-1', valid_to: validTo, status: 'VALID' }
+    ];
+    await expiryThresholdService.setOverride('folder', 'folder-1', { expiringSoonDays: 7 });
+    await expiryThresholdService.setOverride('certificate', 'strict', { expiringSoonDays: 90 });
+
+    const summary = await certificateStatusService.recalculateAll({ now });
+
+    expect(summary.transitions).toEqual({ 'EXPIRING_SOON->VALID': 1, 'VALID->EXPIRING_SOON': 1 });
+    expect(Object.fromEntries(certificates.map(row => [row.id, row.status]))).toEqual({ relaxed: 'VALID', strict: 'EXPIRING_SOON' });
+  });
+});
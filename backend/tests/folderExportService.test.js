@@ -0,0 +1,160 @@
+/**
+ * Folder Export Service Tests
+ * Tests for listing folder trees and exporting them as ZIP archives with a manifest
+ */
+
+import { jest } from '@jest/globals';
+import { issueCertificate } from './helpers/pki.js';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockChainBuilder = {
+  buildChain: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+jest.unstable_mockModule('../src/services/gcpCertificateService.js', () => ({
+  default: {}
+}));
+jest.unstable_mockModule('../src/services/chainBuilderService.js', () => ({
+  default: mockChainBuilder
+}));
+
+const { default: folderExportService } = await import('../src/services/folderExportService.js');
+const { readZipEntries } = await import('../src/utils/zipArchive.js');
+
+describe('Folder Export Service', () => {
+  let web;
+  let api;
+  let internal;
+  let folders;
+  let certificates;
+
+  beforeAll(async () => {
+    web = await issueCertificate({ subject: 'CN=www.example.com', dnsNames: ['www.example.com', 'example.com'] });
+    api = await issueCertificate({ subject: 'CN=api.example.com', dnsNames: ['api.example.com'] });
+    internal = await issueCertificate({ subject: 'CN==cmd|calc, "internal"' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    folders = [
+      { id: 'team', name: 'Team', parent_id: null },
+      { id: 'prod', name: 'Prod/EU', parent_id: 'team' },
+      { id: 'legacy', name: 'Legacy', parent_id: 'prod' }
+    ];
+    certificates = {
+      team: [{ id: 'c-web', common_name: 'www.example.com', valid_to: '2026-01-01T00:00:00Z', status: 'VALID', fingerprint_sha256: 'aa', pem_content: web.pem }],
+      prod: [
+        { id: 'c-api-1', common_name: 'api.example.com', valid_to: '2026-02-01T00:00:00Z', status: 'VALID', fingerprint_sha256: 'bb', pem_content: api.pem },
+        { id: 'c-api-2', common_name: 'api.example.com', valid_to: '2026-03-01T00:00:00Z', status: 'VALID', fingerprint_sha256: null, pem_content: api.pem }
+      ],
+      legacy: [{ id: 'c-int', common_name: '=cmd|calc, "internal"', valid_to: '2025-01-01T00:00:00Z', status: 'EXPIRED', fingerprint_sha256: 'dd', pem_content: internal.pem }]
+    };
+
+    mockDb.getAsync.mockImplementation(async (sql, [id]) => folders.find(folder => folder.id === id));
+    mockDb.allAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('WHERE parent_id = ?')) return folders.filter(folder => folder.parent_id === params[0]);
+      if (sql.includes('FROM certificates c')) return certificates[params[0]] || [];
+      if (sql.includes('FROM certificate_subject_alt_names')) {
+        return params[0] === 'c-web' ? [{ type: 'DNS', value: 'www.example.com' }, { type: 'DNS', value: 'example.com' }] : [];
+      }
+      return [];
+    });
+  });
+
+  it('should walk subfolders only when recursive', async () => {
+    const flat = await folderExportService.listFolderTreeCertificates('team');
+    const tree = await folderExportService.listFolderTreeCertificates('team', { recursive: true });
+
+    expect(flat.map(certificate => certificate.id)).toEqual(['c-web']);
+    expect(tree.map(certificate => [certificate.id, certificate.folder_path])).toEqual([
+      ['c-web', 'Team'],
+      ['c-api-1', 'Team/Prod_EU'],
+      ['c-api-2', 'Team/Prod_EU'],
+      ['c-int', 'Team/Prod_EU/Legacy']
+    ]);
+  });
+
+  it('should not let folder names climb out of their directory', async () => {
+    folders[1].name = '..';
+    folders[2].name = '.';
+
+    const tree = await folderExportService.listFolderTreeCertificates('team', { recursive: true });
+
+    expect(tree.map(certificate => certificate.folder_path)).toEqual(['Team', 'Team/_', 'Team/_', 'Team/_/_']);
+  });
+
+  it('should export certificates under their folder paths with JSON and CSV manifests', async () => {
+    const archive = await folderExportService.exportFolder('team', { format: 'der', recursive: true });
+
+    expect(archive.filename).toBe('Team.zip');
+    const entries = Object.fromEntries(readZipEntries(archive.body).map(entry => [entry.name, entry.buffer]));
+    expect(Object.keys(entries)).toEqual([
+      'Team/www.example.com.cer',
+      'Team/Prod_EU/api.example.com.cer',
+      'Team/Prod_EU/api.example.com-c-api-2.cer',
+      'Team/Prod_EU/Legacy/_cmd_calc___internal_.cer',
+      'manifest.json',
+      'manifest.csv'
+    ]);
+    expect(entries['Team/www.example.com.cer'].equals(web.der)).toBe(true);
+
+    const manifest = JSON.parse(entries['manifest.json'].toString());
+    expect(manifest).toMatchObject({ folder: { id: 'team', name: 'Team' }, recursive: true, format: 'der' });
+    expect(manifest.certificates[0]).toMatchObject({
+      commonName: 'www.example.com',
+      subjectAltNames: ['www.example.com', 'example.com'],
+      validTo: '2026-01-01T00:00:00Z',
+      fingerprintSha256: 'aa',
+      folderPath: 'Team'
+    });
+    // Records without a stored fingerprint get it computed from the PEM
+    expect(manifest.certificates[2].fingerprintSha256).toMatch(/^[0-9a-f]{64}$/);
+
+    const csv = entries['manifest.csv'].toString().split('\r\n');
+    expect(csv[0]).toBe('common_name,subject_alt_names,valid_to,status,fingerprint_sha256,folder_path,file');
+    expect(csv[1]).toBe('www.example.com,www.example.com;example.com,2026-01-01T00:00:00Z,VALID,aa,Team,Team/www.example.com.cer');
+    expect(csv[4]).toMatch(/^"'=cmd\|calc, ""internal""",/);
+  });
+
+  it('should backfill the SANs of older records before searching and exporting', async () => {
+    // c-api-1 was stored before SANs were extracted, so it has no SAN rows until backfilled
+    const subjectAltNames = {};
+    const defaultAllAsync = mockDb.allAsync.getMockImplementation();
+    mockDb.allAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('fingerprint_sha1 IS NULL')) {
+        return subjectAltNames['c-api-1'] ? [] : [{ id: 'c-api-1', pem_content: api.pem }];
+      }
+      if (sql.includes('FROM certificate_subject_alt_names')) return subjectAltNames[params[0]] || [];
+      return defaultAllAsync(sql, params);
+    });
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO certificate_subject_alt_names')) {
+        subjectAltNames[params[0]] = [...(subjectAltNames[params[0]] || []), { type: params[1], value: params[2] }];
+      }
+    });
+
+    await folderExportService.listCertificates('prod', { search: 'api.example' });
+    const [searchSql] = mockDb.allAsync.mock.calls.find(([sql]) => sql.includes('FROM certificates c'));
+    expect(searchSql).toContain('certificate_subject_alt_names');
+    expect(subjectAltNames['c-api-1']).toEqual([{ type: 'dns', value: 'api.example.com' }]);
+
+    const archive = await folderExportService.exportFolder('prod');
+    const manifest = JSON.parse(readZipEntries(archive.body).find(entry => entry.name === 'manifest.json').buffer.toString());
+    expect(manifest.certificates[0]).toMatchObject({ id: 'c-api-1', subjectAltNames: ['api.example.com'] });
+  });
+
+  it('should reject formats that need a private key', async () => {
+    await expect(folderExportService.exportFolder('team', { format: 'pkcs12' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should report unknown folders', async () => {
+    await expect(folderExportService.exportFolder('missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -1,6 +1,8 @@
 import request from 'supertest';
 import jwt from 'jsonwebtoken';
 import { jest } from '@jest/globals';
+import { issueCertificate } from './helpers/pki.js';
+import { readZipEntries } from '../src/utils/zipArchive.js';
 
 const mockDb = {
   runAsync: jest.fn(),
@@ -95,4 +97,148 @@ describe('Folder Management API', () => {
       .send({ parentId: 'parent' });
     expect(res.status).toBe(200);
   });
+
+  describe('Folder issuance policies', () => {
+    let policies;
+    let wildcard;
+
+    beforeAll(async () => {
+      wildcard = await issueCertificate({ subject: 'CN=*.team.example.com', dnsNames: ['*.team.example.com'] });
+    });
+
+    beforeEach(() => {
+      policies = {};
+      mockDb.getAsync.mockReset();
+      mockDb.allAsync.mockReset();
+      mockDb.runAsync.mockReset();
+      mockDb.getAsync.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM users')) return { id: 1, username: 'testuser', role: 'admin', active: 1 };
+        if (sql.includes('FROM roles')) return { id: 'admin', permissions: '["folders:read","folders:write"]' };
+        if (sql.includes('FROM folder_policies')) return policies[params[0]];
+        if (sql.includes('FROM folders WHERE id = ?')) return params[0] === 'team' ? { id: 'team' } : undefined;
+        return undefined;
+      });
+      mockDb.runAsync.mockImplementation(async (sql, params) => {
+        if (sql.includes('INSERT INTO folder_policies')) {
+          const [folderId, mode, allowedIssuers, minKeySize, allowedAlgorithms, maxValidityDays, requiredSanDomains, allowWildcards] = params;
+          policies[folderId] = {
+            folder_id: folderId,
+            mode,
+            allowed_issuers: allowedIssuers,
+            min_key_size: minKeySize,
+            allowed_algorithms: allowedAlgorithms,
+            max_validity_days: maxValidityDays,
+            required_san_domains: requiredSanDomains,
+            allow_wildcards: allowWildcards
+          };
+        }
+        return {};
+      });
+      mockDb.allAsync.mockImplementation(async (sql) => {
+        if (sql.includes('FROM folder_policies')) return Object.values(policies).map(policy => ({ ...policy, folder_name: 'Team' }));
+        if (sql.includes('FROM certificates c')) return [{ id: 'c-1', common_name: '*.team.example.com', pem_content: wildcard.pem }];
+        return [];
+      });
+    });
+
+    it('should store a policy and validate it', async () => {
+      const saved = await request(app)
+        .put('/api/folders/team/policy')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ mode: 'enforce', minKeySize: 2048, requiredSanDomains: ['example.com'], allowWildcards: false });
+      const invalid = await request(app)
+        .put('/api/folders/team/policy')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ mode: 'block' });
+      const missing = await request(app)
+        .put('/api/folders/missing/policy')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ mode: 'audit' });
+
+      expect(saved.status).toBe(200);
+      expect(saved.body).toMatchObject({
+        folderId: 'team',
+        mode: 'enforce',
+        allowedIssuers: [],
+        minKeySize: 2048,
+        requiredSanDomains: ['example.com'],
+        allowWildcards: false
+      });
+      expect(invalid.status).toBe(400);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should report certificates that break their folder policy', async () => {
+      policies.team = { folder_id: 'team', mode: 'audit', allow_wildcards: 0, max_validity_days: 398 };
+
+      const res = await request(app)
+        .get('/api/folders/policy-violations')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toEqual({ folders: 1, certificates: 1, violating: 1 });
+      expect(res.body.folders[0]).toMatchObject({
+        folderId: 'team',
+        mode: 'audit',
+        certificates: [{ id: 'c-1', violations: [{ rule: 'allowWildcards', message: 'Wildcard name "*.team.example.com" is not allowed' }] }]
+      });
+    });
+  });
+
+  describe('Folder export', () => {
+    let certificate;
+
+    beforeAll(async () => {
+      certificate = await issueCertificate({ subject: 'CN=handover.example.com' });
+    });
+
+    beforeEach(() => {
+      // Drop values queued by earlier tests so lookups go through the implementations below
+      mockDb.getAsync.mockReset();
+      mockDb.allAsync.mockReset();
+      mockDb.getAsync.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM users')) return { id: 1, username: 'testuser', role: 'admin', active: 1 };
+        if (sql.includes('FROM roles')) return { id: 'admin', permissions: '["folders:read"]' };
+        if (sql.includes('FROM folders WHERE id = ?')) return params[0] === 'team' ? { id: 'team', name: 'Team' } : undefined;
+        return undefined;
+      });
+      mockDb.allAsync.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM certificates c') && params[0] === 'team') {
+          return [{ id: 'c-1', common_name: 'handover.example.com', valid_to: '2026-01-01T00:00:00Z', status: 'VALID', fingerprint_sha256: 'aa', pem_content: certificate.pem }];
+        }
+        return [];
+      });
+    });
+
+    it('should download the folder as a ZIP with a manifest', async () => {
+      const res = await request(app)
+        .get('/api/folders/team/export?recursive=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('application/zip');
+      expect(res.headers['content-disposition']).toContain('Team.zip');
+      expect(readZipEntries(res.body).map(entry => entry.name)).toEqual([
+        'Team/handover.example.com.pem', 'manifest.json', 'manifest.csv'
+      ]);
+    });
+
+    it('should reject unsupported formats and unknown folders', async () => {
+      const badFormat = await request(app)
+        .get('/api/folders/team/export?format=pkcs12')
+        .set('Authorization', `Bearer ${authToken}`);
+      const missing = await request(app)
+        .get('/api/folders/missing/export')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(badFormat.status).toBe(400);
+      expect(missing.status).toBe(404);
+    });
+  });
 }); 
\ No newline at end of file
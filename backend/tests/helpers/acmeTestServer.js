@@ -0,0 +1,517 @@
+/**
+ * Local ACME test server
+ * A small in-memory ACME CA in the style of Pebble, for trying out ACME renewals in development
+ * (scripts/acme-test-server.js) and for tests. It serves plain HTTP, verifies every JWS, nonce
+ * and URL, can require external account binding, validates http-01 and dns-01 challenges (or
+ * accepts every one, like PEBBLE_VA_ALWAYS_VALID) and issues certificates from a throwaway
+ * root and intermediate. Nothing is persisted.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import dns from 'dns';
+import * as x509 from '@peculiar/x509';
+import { verifyJws, jwkThumbprint } from '../../src/utils/acmeClient.js';
+import { derToPem } from '../../src/utils/certificateParser.js';
+
+const { webcrypto } = crypto;
+const ERROR_PREFIX = 'urn:ietf:params:acme:error:';
+const SIGNING_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const DAY = 24 * 60 * 60 * 1000;
+
+const randomId = () => crypto.randomBytes(12).toString('base64url');
+const randomSerial = () => {
+  const bytes = crypto.randomBytes(16);
+  bytes[0] &= 0x7f;
+  return bytes.toString('hex');
+};
+
+class Problem extends Error {
+  constructor(status, type, detail) {
+    super(detail);
+    this.status = status;
+    this.type = `${ERROR_PREFIX}${type}`;
+  }
+}
+
+/**
+ * Create the issuing hierarchy
+ * @returns {Promise<Object>} { root, intermediate, intermediateKeys }
+ */
+async function createCertificateAuthority() {
+  const notBefore = new Date(Date.now() - DAY);
+  const notAfter = new Date(Date.now() + 5 * 365 * DAY);
+  const rootKeys = await webcrypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+  const intermediateKeys = await webcrypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+  const caUsages = x509.KeyUsageFlags.keyCertSign | x509.KeyUsageFlags.cRLSign;
+
+  const root = await x509.X509CertificateGenerator.createSelfSigned({
+    serialNumber: randomSerial(),
+    name: 'CN=ACME Test Root',
+    notBefore,
+    notAfter,
+    keys: rootKeys,
+    signingAlgorithm: SIGNING_ALGORITHM,
+    extensions: [
+      new x509.BasicConstraintsExtension(true, undefined, true),
+      new x509.KeyUsagesExtension(caUsages, true),
+      await x509.SubjectKeyIdentifierExtension.create(rootKeys.publicKey, false, webcrypto)
+    ]
+  }, webcrypto);
+
+  const intermediate = await x509.X509CertificateGenerator.create({
+    serialNumber: randomSerial(),
+    subject: 'CN=ACME Test Intermediate',
+    issuer: root.subject,
+    notBefore,
+    notAfter,
+    publicKey: intermediateKeys.publicKey,
+    signingKey: rootKeys.privateKey,
+    signingAlgorithm: SIGNING_ALGORITHM,
+    extensions: [
+      new x509.BasicConstraintsExtension(true, 0, true),
+      new x509.KeyUsagesExtension(caUsages, true),
+      await x509.SubjectKeyIdentifierExtension.create(intermediateKeys.publicKey, false, webcrypto),
+      await x509.AuthorityKeyIdentifierExtension.create(root, false, webcrypto)
+    ]
+  }, webcrypto);
+
+  return { root, intermediate, intermediateKeys };
+}
+
+/**
+ * Fetch an http-01 response the way a validation authority does
+ * @returns {Promise<string>} Response body
+ */
+function fetchHttpChallenge({ address, port, identifier, token }) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({
+      host: address,
+      port,
+      path: `/.well-known/acme-challenge/${token}`,
+      headers: { Host: identifier }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => (res.statusCode === 200
+        ? resolve(Buffer.concat(chunks).toString('utf8').trim())
+        : reject(new Error(`HTTP ${res.statusCode} from ${identifier}`))));
+    });
+    req.setTimeout(5000, () => req.destroy(new Error(`Timed out connecting to ${identifier}`)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start an ACME test server
+ * @param {Object} options
+ * @param {number} [options.port] - Port (0 for any free port)
+ * @param {string} [options.host] - Address to listen on
+ * @param {Object} [options.eab] - { kid: base64url HMAC key } of the external accounts it
+ *   accepts; when given, new accounts must be bound to one of them
+ * @param {boolean} [options.alwaysValid] - Accept every challenge without checking it
+ * @param {number} [options.httpPort] - Port http-01 validations connect to
+ * @param {Function} [options.resolveHost] - (identifier) => address to connect to for http-01
+ * @param {Function} [options.resolveTxt] - async (name) => [TXT values] for dns-01
+ * @param {number} [options.validityDays] - Lifetime of issued certificates
+ * @returns {Promise<Object>} { url (directory URL), port, rootPem, accounts, orders, close() }
+ */
+export async function startAcmeTestServer({
+  port = 0,
+  host = '127.0.0.1',
+  eab = null,
+  alwaysValid = false,
+  httpPort = 80,
+  resolveHost = identifier => identifier,
+  resolveTxt = async name => (await dns.promises.resolveTxt(name)).map(chunks => chunks.join('')),
+  validityDays = 90
+} = {}) {
+  const ca = await createCertificateAuthority();
+  const nonces = new Set();
+  const accounts = new Map();
+  const orders = new Map();
+  const authorizations = new Map();
+  const challenges = new Map();
+  const certificates = new Map();
+  let baseUrl = null;
+
+  const directory = () => ({
+    newNonce: `${baseUrl}/nonce-plz`,
+    newAccount: `${baseUrl}/sign-me-up`,
+    newOrder: `${baseUrl}/order-plz`,
+    meta: { termsOfService: `${baseUrl}/terms`, externalAccountRequired: Boolean(eab) }
+  });
+
+  const newNonce = () => {
+    const nonce = randomId();
+    nonces.add(nonce);
+    return nonce;
+  };
+
+  const accountJson = account => ({ status: account.status, contact: account.contact, orders: `${baseUrl}/list-orderz/${account.id}` });
+  const orderJson = order => ({
+    status: order.status,
+    expires: order.expires,
+    identifiers: order.identifiers,
+    authorizations: order.authorizationIds.map(id => `${baseUrl}/authZ/${id}`),
+    finalize: `${baseUrl}/finalize-order/${order.id}`,
+    ...(order.certificateId ? { certificate: `${baseUrl}/certZ/${order.certificateId}` } : {}),
+    ...(order.error ? { error: order.error } : {})
+  });
+  const challengeJson = challenge => ({
+    type: challenge.type,
+    url: `${baseUrl}/chalZ/${challenge.id}`,
+    token: challenge.token,
+    status: challenge.status,
+    ...(challenge.validated ? { validated: challenge.validated } : {}),
+    ...(challenge.error ? { error: challenge.error } : {})
+  });
+  const authorizationJson = authorization => ({
+    status: authorization.status,
+    expires: authorization.expires,
+    identifier: authorization.identifier,
+    challenges: authorization.challengeIds.map(id => challengeJson(challenges.get(id))),
+    ...(authorization.wildcard ? { wildcard: true } : {})
+  });
+
+  const updateOrders = () => {
+    for (const order of orders.values()) {
+      if (order.status !== 'pending') {
+        continue;
+      }
+      const statuses = order.authorizationIds.map(id => authorizations.get(id).status);
+      if (statuses.includes('invalid')) {
+        order.status = 'invalid';
+        order.error = { type: `${ERROR_PREFIX}unauthorized`, detail: 'An authorization failed' };
+      } else if (statuses.every(status => status === 'valid')) {
+        order.status = 'ready';
+      }
+    }
+  };
+
+  const validate = async (challenge, authorization, account) => {
+    const keyAuthorization = `${challenge.token}.${jwkThumbprint(account.jwk)}`;
+    const identifier = authorization.identifier.value;
+    try {
+      if (!alwaysValid && challenge.type === 'http-01') {
+        const body = await fetchHttpChallenge({ address: await resolveHost(identifier), port: httpPort, identifier, token: challenge.token });
+        if (body !== keyAuthorization) {
+          throw new Error(`The key authorization from ${identifier} does not match`);
+        }
+      } else if (!alwaysValid && challenge.type === 'dns-01') {
+        const expected = crypto.createHash('sha256').update(keyAuthorization).digest('base64url');
+        const records = await resolveTxt(`_acme-challenge.${identifier}`);
+        if (!records.includes(expected)) {
+          throw new Error(`No TXT record for _acme-challenge.${identifier} has the expected value`);
+        }
+      }
+      challenge.status = 'valid';
+      challenge.validated = new Date().toISOString();
+      authorization.status = 'valid';
+    } catch (error) {
+      challenge.status = 'invalid';
+      challenge.error = { type: `${ERROR_PREFIX}${challenge.type === 'dns-01' ? 'dns' : 'connection'}`, detail: error.message };
+      authorization.status = 'invalid';
+    }
+    updateOrders();
+  };
+
+  const issue = async (order, csrDer) => {
+    let csr;
+    try {
+      csr = new x509.Pkcs10CertificateRequest(csrDer);
+    } catch (error) {
+      throw new Problem(400, 'badCSR', 'The CSR could not be parsed');
+    }
+    if (!await csr.verify(webcrypto)) {
+      throw new Problem(400, 'badCSR', 'The CSR signature does not verify');
+    }
+
+    const names = csr.extensions
+      .filter(extension => extension instanceof x509.SubjectAlternativeNameExtension)
+      .flatMap(extension => extension.names.items)
+      .map(name => `${name.type}:${name.value.toLowerCase()}`);
+    const commonName = /CN=([^,]+)/.exec(csr.subject)?.[1];
+    if (commonName) {
+      names.push(`dns:${commonName.toLowerCase()}`);
+    }
+    const expected = order.identifiers.map(identifier => `${identifier.type}:${identifier.value.toLowerCase()}`);
+    const requested = [...new Set(names)];
+    if (requested.length !== expected.length || requested.some(name => !expected.includes(name))) {
+      throw new Problem(400, 'badCSR', `The CSR names ${requested.join(', ')} instead of the order's ${expected.join(', ')}`);
+    }
+
+    const leaf = await x509.X509CertificateGenerator.create({
+      serialNumber: randomSerial(),
+      subject: commonName ? `CN=${commonName}` : '',
+      issuer: ca.intermediate.subject,
+      notBefore: new Date(Date.now() - 60 * 1000),
+      notAfter: new Date(Date.now() + validityDays * DAY),
+      publicKey: csr.publicKey,
+      signingKey: ca.intermediateKeys.privateKey,
+      signingAlgorithm: SIGNING_ALGORITHM,
+      extensions: [
+        new x509.SubjectAlternativeNameExtension(order.identifiers.map(identifier => ({ type: identifier.type, value: identifier.value }))),
+        new x509.BasicConstraintsExtension(false, undefined, true),
+        new x509.KeyUsagesExtension(x509.KeyUsageFlags.digitalSignature | x509.KeyUsageFlags.keyEncipherment, true),
+        new x509.ExtendedKeyUsageExtension([x509.ExtendedKeyUsage.serverAuth]),
+        await x509.AuthorityKeyIdentifierExtension.create(ca.intermediate, false, webcrypto)
+      ]
+    }, webcrypto);
+
+    const certificateId = randomId();
+    certificates.set(certificateId, derToPem(leaf.rawData) + derToPem(ca.intermediate.rawData));
+    order.certificateId = certificateId;
+    order.status = 'valid';
+  };
+
+  /**
+   * Verify a signed request
+   * @returns {Object} { header, payload, account (null for newAccount with a jwk) }
+   */
+  const authenticate = (req, body) => {
+    let jws;
+    try {
+      jws = JSON.parse(body);
+    } catch (error) {
+      throw new Problem(400, 'malformed', 'The request body is not a JWS');
+    }
+    let header;
+    try {
+      header = JSON.parse(Buffer.from(jws.protected, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Problem(400, 'malformed', 'The JWS protected header cannot be decoded');
+    }
+    if (!nonces.delete(header.nonce)) {
+      throw new Problem(400, 'badNonce', 'The nonce is unknown or was already used');
+    }
+    if (header.url !== `${baseUrl}${req.url}`) {
+      throw new Problem(401, 'unauthorized', `The JWS url ${header.url} does not match ${baseUrl}${req.url}`);
+    }
+    if (header.jwk && header.kid) {
+      throw new Problem(400, 'malformed', 'The JWS has both a jwk and a kid');
+    }
+
+    let account = null;
+    let key;
+    if (header.kid) {
+      account = [...accounts.values()].find(candidate => candidate.url === header.kid);
+      if (!account) {
+        throw new Problem(400, 'accountDoesNotExist', `No account ${header.kid}`);
+      }
+      key = account.key;
+    } else if (header.jwk) {
+      key = crypto.createPublicKey({ key: header.jwk, format: 'jwk' });
+    } else {
+      throw new Problem(400, 'malformed', 'The JWS has neither a jwk nor a kid');
+    }
+
+    const verified = verifyJws(jws, { key });
+    if (!verified.valid) {
+      throw new Problem(400, 'malformed', 'The JWS signature does not verify');
+    }
+    return { header, payload: verified.payload, account, jwk: header.jwk || null };
+  };
+
+  const newAccount = ({ payload, jwk }) => {
+    if (!jwk) {
+      throw new Problem(400, 'malformed', 'newAccount requests must be signed with a jwk');
+    }
+    const thumbprint = jwkThumbprint(jwk);
+    const existing = [...accounts.values()].find(account => account.thumbprint === thumbprint);
+    if (existing) {
+      return { status: 200, location: existing.url, body: accountJson(existing) };
+    }
+    if (payload.onlyReturnExisting) {
+      throw new Problem(400, 'accountDoesNotExist', 'No account exists for this key');
+    }
+
+    let externalAccountId = null;
+    if (eab) {
+      const binding = payload.externalAccountBinding;
+      if (!binding) {
+        throw new Problem(401, 'externalAccountRequired', 'An external account binding is required');
+      }
+      const bindingHeader = JSON.parse(Buffer.from(binding.protected, 'base64url').toString('utf8'));
+      const hmacKey = eab[bindingHeader.kid];
+      const verified = hmacKey && verifyJws(binding, { key: Buffer.from(hmacKey, 'base64url') });
+      if (!verified?.valid || bindingHeader.url !== directory().newAccount || jwkThumbprint(verified.payload) !== thumbprint) {
+        throw new Problem(401, 'unauthorized', 'The external account binding is not valid');
+      }
+      externalAccountId = bindingHeader.kid;
+    }
+
+    const id = randomId();
+    const account = {
+      id,
+      url: `${baseUrl}/my-account/${id}`,
+      jwk,
+      key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+      thumbprint,
+      contact: payload.contact || [],
+      status: 'valid',
+      externalAccountId
+    };
+    accounts.set(id, account);
+    return { status: 201, location: account.url, body: accountJson(account) };
+  };
+
+  const newOrder = ({ payload, account }) => {
+    const identifiers = payload.identifiers || [];
+    if (identifiers.length === 0 || identifiers.some(identifier => !['dns', 'ip'].includes(identifier.type) || !identifier.value)) {
+      throw new Problem(400, 'rejectedIdentifier', 'Orders must name DNS or IP identifiers');
+    }
+    const expires = new Date(Date.now() + 7 * DAY).toISOString();
+    const authorizationIds = identifiers.map(identifier => {
+      const wildcard = identifier.value.startsWith('*.');
+      const types = wildcard ? ['dns-01'] : identifier.type === 'ip' ? ['http-01'] : ['http-01', 'dns-01'];
+      const challengeIds = types.map(type => {
+        const challenge = { id: randomId(), type, token: randomId(), status: 'pending' };
+        challenges.set(challenge.id, challenge);
+        return challenge.id;
+      });
+      const authorization = {
+        id: randomId(),
+        accountId: account.id,
+        identifier: { type: identifier.type, value: wildcard ? identifier.value.slice(2) : identifier.value },
+        wildcard,
+        status: 'pending',
+        expires,
+        challengeIds
+      };
+      for (const challengeId of challengeIds) {
+        challenges.get(challengeId).authorizationId = authorization.id;
+      }
+      authorizations.set(authorization.id, authorization);
+      return authorization.id;
+    });
+
+    const order = { id: randomId(), accountId: account.id, status: 'pending', expires, identifiers, authorizationIds };
+    orders.set(order.id, order);
+    return { status: 201, location: `${baseUrl}/my-order/${order.id}`, body: orderJson(order) };
+  };
+
+  const owned = (resource, account) => {
+    if (!resource || resource.accountId !== account.id) {
+      throw new Problem(404, 'malformed', 'No such resource for this account');
+    }
+    return resource;
+  };
+
+  const handlePost = async (req, body) => {
+    const request = authenticate(req, body);
+    const [, resource, id] = req.url.split('/');
+    if (resource === 'sign-me-up') {
+      return newAccount(request);
+    }
+    if (!request.account) {
+      throw new Problem(400, 'malformed', 'Requests other than newAccount must be signed with a kid');
+    }
+
+    switch (resource) {
+      case 'my-account':
+        if (id !== request.account.id) {
+          throw new Problem(403, 'unauthorized', 'Accounts can only be read with their own key');
+        }
+        return { status: 200, body: accountJson(request.account) };
+      case 'order-plz':
+        return newOrder(request);
+      case 'my-order':
+        return { status: 200, body: orderJson(owned(orders.get(id), request.account)) };
+      case 'authZ':
+        return { status: 200, body: authorizationJson(owned(authorizations.get(id), request.account)) };
+      case 'chalZ': {
+        const challenge = challenges.get(id);
+        const authorization = owned(challenge && authorizations.get(challenge.authorizationId), request.account);
+        if (request.payload !== '' && challenge.status === 'pending') {
+          challenge.status = 'processing';
+          setImmediate(() => validate(challenge, authorization, request.account));
+        }
+        return { status: 200, body: challengeJson(challenge), link: `<${baseUrl}/authZ/${authorization.id}>;rel="up"` };
+      }
+      case 'finalize-order': {
+        const order = owned(orders.get(id), request.account);
+        if (order.status !== 'ready') {
+          throw new Problem(403, 'orderNotReady', `The order is ${order.status}`);
+        }
+        order.status = 'processing';
+        try {
+          await issue(order, Buffer.from(request.payload.csr || '', 'base64url'));
+        } catch (error) {
+          order.status = 'ready';
+          throw error;
+        }
+        return { status: 200, location: `${baseUrl}/my-order/${order.id}`, body: orderJson(order) };
+      }
+      case 'certZ': {
+        const pem = certificates.get(id);
+        const order = [...orders.values()].find(candidate => candidate.certificateId === id);
+        owned(pem && order, request.account);
+        return { status: 200, contentType: 'application/pem-certificate-chain', raw: pem };
+      }
+      default:
+        throw new Problem(404, 'malformed', `Unknown resource ${req.url}`);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      res.setHeader('Replay-Nonce', newNonce());
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Link', `<${baseUrl}/dir>;rel="index"`);
+      try {
+        if (req.url === '/dir' && req.method === 'GET') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(directory()));
+          return;
+        }
+        if (req.url === '/nonce-plz' && (req.method === 'HEAD' || req.method === 'GET')) {
+          res.writeHead(req.method === 'HEAD' ? 200 : 204);
+          res.end();
+          return;
+        }
+        if (req.method !== 'POST') {
+          throw new Problem(405, 'malformed', `${req.method} is not allowed; use POST-as-GET`);
+        }
+
+        const result = await handlePost(req, Buffer.concat(chunks).toString('utf8'));
+        const headers = { 'Content-Type': result.contentType || 'application/json' };
+        if (result.location) {
+          headers.Location = result.location;
+        }
+        if (result.link) {
+          headers.Link = [res.getHeader('Link'), result.link];
+        }
+        res.writeHead(result.status, headers);
+        res.end(result.raw ?? JSON.stringify(result.body));
+      } catch (error) {
+        const problem = error instanceof Problem ? error : new Problem(500, 'serverInternal', error.message);
+        res.writeHead(problem.status, { 'Content-Type': 'application/problem+json' });
+        res.end(JSON.stringify({ type: problem.type, detail: problem.message, status: problem.status }));
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  baseUrl = `http://${host}:${address.port}`;
+
+  return {
+    url: `${baseUrl}/dir`,
+    port: address.port,
+    rootPem: derToPem(ca.root.rawData),
+    intermediatePem: derToPem(ca.intermediate.rawData),
+    accounts,
+    orders,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    })
+  };
+}
@@ -0,0 +1,273 @@
+/**
+ * Test PKI helpers
+ * Builds throwaway CA hierarchies with @peculiar/x509 for parser and route tests
+ */
+
+import crypto, { webcrypto } from 'crypto';
+import * as x509 from '@peculiar/x509';
+import forge from 'node-forge';
+
+x509.cryptoProvider.set(webcrypto);
+
+const RSA_ALGORITHM = {
+  name: 'RSASSA-PKCS1-v1_5',
+  hash: 'SHA-256',
+  publicExponent: new Uint8Array([1, 0, 1]),
+  modulusLength: 2048
+};
+
+const EC_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let serialCounter = 1;
+
+function nextSerial() {
+  serialCounter += 1;
+  return `01${serialCounter.toString(16).padStart(14, '0')}`;
+}
+
+/**
+ * Generate a key pair for test certificates
+ * @param {String} type - 'rsa' or 'ec'
+ * @returns {Promise<CryptoKeyPair>}
+ */
+export async function generateKeys(type = 'rsa') {
+  const algorithm = type === 'ec' ? EC_ALGORITHM : RSA_ALGORITHM;
+  return webcrypto.subtle.generateKey(algorithm, true, ['sign', 'verify']);
+}
+
+/**
+ * Issue a test certificate
+ * @param {Object} options - Subject, issuer, keys and extension options
+ * @returns {Promise<Object>} Certificate, keys and PEM encodings
+ */
+export async function issueCertificate({
+  subject,
+  issuer = null,
+  keys = null,
+  keyType = 'rsa',
+  isCA = false,
+  dnsNames = [],
+  notBefore = new Date(Date.now() - DAY),
+  notAfter = new Date(Date.now() + 365 * DAY),
+  extensions = []
+}) {
+  const certificateKeys = keys || await generateKeys(keyType);
+  const signingKey = issuer ? issuer.keys.privateKey : certificateKeys.privateKey;
+  const signingAlgorithm = signingKey.algorithm.name === 'ECDSA' ? EC_ALGORITHM : RSA_ALGORITHM;
+
+  const certificateExtensions = [
+    new x509.BasicConstraintsExtension(isCA, isCA ? 1 : undefined, true),
+    new x509.KeyUsagesExtension(
+      isCA
+        ? x509.KeyUsageFlags.keyCertSign | x509.KeyUsageFlags.cRLSign
+        : x509.KeyUsageFlags.digitalSignature | x509.KeyUsageFlags.keyEncipherment,
+      true
+    ),
+    await x509.SubjectKeyIdentifierExtension.create(certificateKeys.publicKey)
+  ];
+  if (issuer) {
+    certificateExtensions.push(await x509.AuthorityKeyIdentifierExtension.create(issuer.certificate));
+  }
+  if (dnsNames.length > 0) {
+    certificateExtensions.push(new x509.SubjectAlternativeNameExtension(
+      dnsNames.map(value => ({ type: 'dns', value }))
+    ));
+  }
+  certificateExtensions.push(...extensions);
+
+  const certificate = await x509.X509CertificateGenerator.create({
+    serialNumber: nextSerial(),
+    subject,
+    issuer: issuer ? issuer.certificate.subject : subject,
+    notBefore,
+    notAfter,
+    signingAlgorithm,
+    publicKey: certificateKeys.publicKey,
+    signingKey,
+    extensions: certificateExtensions
+  });
+
+  const pkcs8 = await webcrypto.subtle.exportKey('pkcs8', certificateKeys.privateKey);
+
+  return {
+    certificate,
+    keys: certificateKeys,
+    pem: certificate.toString('pem'),
+    der: Buffer.from(certificate.rawData),
+    privateKeyPem: x509.PemConverter.encode(pkcs8, 'PRIVATE KEY')
+  };
+}
+
+/**
+ * Build a root -> intermediate -> leaf chain
+ * @param {Object} options - Leaf common name and key type
+ * @returns {Promise<Object>} root, intermediate and leaf certificates
+ */
+export async function createChain({ commonName = 'www.example.com', keyType = 'rsa' } = {}) {
+  const root = await issueCertificate({ subject: 'CN=Test Root CA, O=Test', keyType, isCA: true });
+  const intermediate = await issueCertificate({
+    subject: 'CN=Test Intermediate CA, O=Test',
+    issuer: root,
+    keyType,
+    isCA: true
+  });
+  const leaf = await issueCertificate({
+    subject: `CN=${commonName}, O=Test`,
+    issuer: intermediate,
+    keyType,
+    dnsNames: [commonName]
+  });
+
+  return { root, intermediate, leaf };
+}
+
+/**
+ * Pack a leaf, its chain and its RSA key into a PKCS#12 container
+ * @param {Object} leaf - Leaf from issueCertificate
+ * @param {Array} chain - Issuer certificates from issueCertificate
+ * @param {String} password - Container password
+ * @returns {Buffer} DER encoded PFX
+ */
+export function createPkcs12(leaf, chain, password) {
+  const privateKey = forge.pki.privateKeyFromPem(leaf.privateKeyPem);
+  const certificates = [leaf, ...chain].map(entry => forge.pki.certificateFromPem(entry.pem));
+  const p12Asn1 = forge.pkcs12.toPkcs12Asn1(privateKey, certificates, password, { algorithm: '3des' });
+  return Buffer.from(forge.asn1.toDer(p12Asn1).getBytes(), 'binary');
+}
+
+/**
+ * Pack certificates into a PKCS#7 (.p7b) bundle
+ * @param {Array} certificates - Certificates from issueCertificate
+ * @param {String} format - 'der' or 'pem'
+ * @returns {Buffer} Encoded bundle
+ */
+export function createPkcs7(certificates, format = 'der') {
+  const bundle = new x509.X509Certificates(certificates.map(entry => entry.certificate));
+  return format === 'pem' ? Buffer.from(bundle.export('pem')) : Buffer.from(bundle.export('raw'));
+}
+
+/**
+ * Create a PKCS#10 certificate signing request
+ * @param {Object} options - Subject, key pair (generated when omitted) and SAN DNS names
+ * @returns {Promise<Object>} Request, keys and encodings
+ */
+export async function createCertificateRequest({ subject, keys = null, keyType = 'rsa', dnsNames = [] }) {
+  const requestKeys = keys || await generateKeys(keyType);
+  const signingAlgorithm = requestKeys.privateKey.algorithm.name === 'ECDSA' ? EC_ALGORITHM : RSA_ALGORITHM;
+  const extensions = dnsNames.length > 0
+    ? [new x509.SubjectAlternativeNameExtension(dnsNames.map(value => ({ type: 'dns', value })))]
+    : [];
+
+  const request = await x509.Pkcs10CertificateRequestGenerator.create({
+    name: subject,
+    keys: requestKeys,
+    signingAlgorithm,
+    extensions
+  });
+
+  return {
+    request,
+    keys: requestKeys,
+    pem: request.toString('pem'),
+    der: Buffer.from(request.rawData)
+  };
+}
+
+/**
+ * Issue a CRL
+ * @param {Object} options - issuer (from issueCertificate), revoked: [{ certificate, reason, revocationDate }]
+ *   and nextUpdate
+ * @returns {Promise<Object>} CRL and its DER and PEM encodings
+ */
+export async function createCrl({ issuer, revoked = [], nextUpdate = new Date(Date.now() + DAY) }) {
+  const crl = await x509.X509CrlGenerator.create({
+    issuer: issuer.certificate.subject,
+    thisUpdate: new Date(Date.now() - 60 * 1000),
+    nextUpdate,
+    entries: revoked.map(({ certificate, reason = x509.X509CrlReason.unspecified, revocationDate = new Date(Date.now() - DAY) }) => ({
+      serialNumber: certificate.certificate.serialNumber,
+      revocationDate,
+      reason
+    })),
+    signingAlgorithm: issuer.keys.privateKey.algorithm.name === 'ECDSA' ? EC_ALGORITHM : RSA_ALGORITHM,
+    signingKey: issuer.keys.privateKey
+  });
+  return { crl, der: Buffer.from(crl.rawData), pem: crl.toString('pem') };
+}
+
+/**
+ * Answer an OCSP request the way a responder would
+ * @param {Object} options - request (DER OCSPRequest as received), signer (issuer or a delegated
+ *   responder from issueCertificate), status ('good', 'revoked' or 'unknown'), reason (CRLReason
+ *   code), revokedAt and nextUpdate
+ * @returns {Buffer} DER OCSPResponse
+ */
+export function createOcspResponse({
+  request,
+  signer,
+  status = 'good',
+  reason = null,
+  revokedAt = new Date(Date.now() - DAY),
+  nextUpdate = new Date(Date.now() + DAY)
+}) {
+  const { asn1 } = forge;
+  const { Class, Type } = asn1;
+  const time = (date) => asn1.create(Class.UNIVERSAL, Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(date));
+  const explicit = (tag, value) => asn1.create(Class.CONTEXT_SPECIFIC, tag, true, [value]);
+
+  // The request's first CertID is echoed back
+  const certId = asn1.fromDer(forge.util.createBuffer(request.toString('binary'))).value[0].value[0].value[0].value[0];
+
+  let certStatus = asn1.create(Class.CONTEXT_SPECIFIC, status === 'good' ? 0 : 2, false, '');
+  if (status === 'revoked') {
+    certStatus = asn1.create(Class.CONTEXT_SPECIFIC, 1, true, [
+      time(revokedAt),
+      ...(reason !== null ? [explicit(0, asn1.create(Class.UNIVERSAL, Type.ENUMERATED, false, String.fromCharCode(reason)))] : [])
+    ]);
+  }
+
+  const signerCertificate = new crypto.X509Certificate(signer.pem);
+  const keyHash = crypto.createHash('sha1')
+    .update(asn1.fromDer(forge.util.createBuffer(signerCertificate.publicKey.export({ type: 'spki', format: 'der' }).toString('binary')), { decodeBitStrings: false })
+      .value[1].value.slice(1), 'binary')
+    .digest('binary');
+
+  const responseData = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+    explicit(2, asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, keyHash)),
+    time(new Date()),
+    asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+        certId,
+        certStatus,
+        time(new Date(Date.now() - 60 * 1000)),
+        explicit(0, time(nextUpdate))
+      ])
+    ])
+  ]);
+  const tbs = Buffer.from(asn1.toDer(responseData).getBytes(), 'binary');
+  const isEc = signer.keys.privateKey.algorithm.name === 'ECDSA';
+  const signature = crypto.sign('sha256', tbs, signer.privateKeyPem);
+
+  const basic = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+    responseData,
+    asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(isEc ? '1.2.840.10045.4.3.2' : '1.2.840.113549.1.1.11').getBytes()),
+      ...(isEc ? [] : [asn1.create(Class.UNIVERSAL, Type.NULL, false, '')])
+    ]),
+    asn1.create(Class.UNIVERSAL, Type.BITSTRING, false, `\x00${signature.toString('binary')}`),
+    explicit(0, asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      asn1.fromDer(forge.util.createBuffer(signer.der.toString('binary')))
+    ]))
+  ]);
+
+  const response = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+    asn1.create(Class.UNIVERSAL, Type.ENUMERATED, false, '\x00'),
+    explicit(0, asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer('1.3.6.1.5.5.7.48.1.1').getBytes()),
+      asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, asn1.toDer(basic).getBytes())
+    ]))
+  ]);
+  return Buffer.from(asn1.toDer(response).getBytes(), 'binary');
+}
@@ -0,0 +1,192 @@
+/**
+ * Local SMTP sink
+ * An SMTP server that accepts every message and keeps it instead of delivering it, for
+ * trying out notifications in development (scripts/smtp-sink.js) and for tests. It accepts
+ * any AUTH PLAIN/LOGIN credentials and does not offer STARTTLS.
+ */
+
+import net from 'net';
+
+const CRLF = '\r\n';
+
+/**
+ * Decode the text parts of a message built by smtpClient.buildMessage (base64 bodies)
+ * @param {string} raw - Message as received
+ * @returns {Object} { headers: { lowercase name: value }, text, html }
+ */
+export function parseMessage(raw) {
+  const [head, ...rest] = raw.split(/\r?\n\r?\n/);
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim()
+        .replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (match, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+    }
+  }
+
+  const body = rest.join(CRLF + CRLF);
+  const decodePart = (part) => {
+    const [partHead, ...partBody] = part.split(/\r?\n\r?\n/);
+    const content = partBody.join(CRLF + CRLF);
+    return /base64/i.test(partHead) ? Buffer.from(content.replace(/\s+/g, ''), 'base64').toString('utf8') : content;
+  };
+
+  const boundary = /boundary="([^"]+)"/.exec(headers['content-type'] || '')?.[1];
+  if (!boundary) {
+    const text = /base64/i.test(headers['content-transfer-encoding'] || '')
+      ? Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')
+      : body;
+    return { headers, text, html: null };
+  }
+
+  const parts = body.split(`--${boundary}`).slice(1, -1).map(part => part.replace(/^\r?\n/, ''));
+  const find = (type) => parts.find(part => part.toLowerCase().startsWith(`content-type: ${type}`));
+  return {
+    headers,
+    text: find('text/plain') ? decodePart(find('text/plain')) : null,
+    html: find('text/html') ? decodePart(find('text/html')) : null
+  };
+}
+
+/**
+ * Start an SMTP sink
+ * @param {Object} options - port (0 for any free port), host, onMessage(message) callback
+ * @returns {Promise<Object>} { port, messages, close() } - messages holds
+ *   { from, to, raw, headers, text, html, user, receivedAt }
+ */
+export function startSmtpSink({ port = 0, host = '127.0.0.1', onMessage = null } = {}) {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => socket.destroy());
+    socket.setEncoding('utf8');
+
+    let envelope = { from: null, to: [], user: null };
+    let mode = 'command';
+    let data = [];
+    let buffer = '';
+    const reply = (line) => socket.write(line + CRLF);
+
+    const handleCommand = (line) => {
+      const [verb] = line.split(' ');
+      const argument = line.slice(verb.length).trim();
+      switch (verb.toUpperCase()) {
+        case 'EHLO':
+          reply('250-localhost');
+          reply('250-8BITMIME');
+          reply('250 AUTH PLAIN LOGIN');
+          break;
+        case 'HELO':
+          reply('250 localhost');
+          break;
+        case 'AUTH': {
+          const [mechanism, initial] = argument.split(' ');
+          if (mechanism.toUpperCase() === 'PLAIN' && initial) {
+            envelope.user = Buffer.from(initial, 'base64').toString('utf8').split('\0')[1] || null;
+            reply('235 2.7.0 Authentication successful');
+          } else if (mechanism.toUpperCase() === 'LOGIN') {
+            mode = 'login-user';
+            reply('334 VXNlcm5hbWU6');
+          } else {
+            reply('504 5.5.4 Unrecognized authentication type');
+          }
+          break;
+        }
+        case 'MAIL':
+          envelope.from = /<([^>]*)>/.exec(argument)?.[1] ?? '';
+          envelope.to = [];
+          reply('250 2.1.0 OK');
+          break;
+        case 'RCPT':
+          if (envelope.from === null) {
+            reply('503 5.5.1 MAIL first');
+            break;
+          }
+          envelope.to.push(/<([^>]*)>/.exec(argument)?.[1] ?? argument);
+          reply('250 2.1.5 OK');
+          break;
+        case 'DATA':
+          if (envelope.to.length === 0) {
+            reply('503 5.5.1 RCPT first');
+            break;
+          }
+          mode = 'data';
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'RSET':
+          envelope = { from: null, to: [], user: envelope.user };
+          reply('250 2.0.0 OK');
+          break;
+        case 'NOOP':
+          reply('250 2.0.0 OK');
+          break;
+        case 'QUIT':
+          reply('221 2.0.0 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 5.5.2 Command not implemented');
+      }
+    };
+
+    const handleLine = (line) => {
+      if (mode === 'data') {
+        if (line !== '.') {
+          data.push(line.startsWith('.') ? line.slice(1) : line);
+          return;
+        }
+        const raw = data.join(CRLF);
+        const message = { from: envelope.from, to: envelope.to, user: envelope.user, raw, ...parseMessage(raw), receivedAt: new Date() };
+        messages.push(message);
+        if (onMessage) {
+          onMessage(message);
+        }
+        envelope = { from: null, to: [], user: envelope.user };
+        mode = 'command';
+        reply('250 2.0.0 Message accepted');
+      } else if (mode === 'login-user') {
+        envelope.user = Buffer.from(line, 'base64').toString('utf8');
+        mode = 'login-password';
+        reply('334 UGFzc3dvcmQ6');
+      } else if (mode === 'login-password') {
+        mode = 'command';
+        reply('235 2.7.0 Authentication successful');
+      } else {
+        handleCommand(line);
+      }
+    };
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+        handleLine(line);
+      }
+    });
+
+    reply('220 localhost SMTP sink ready');
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => {
+          for (const socket of sockets) {
+            socket.destroy();
+          }
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Issuance Policy Tests
+ * Tests for the folder issuance policy rules
+ */
+
+import { evaluatePolicy } from '../src/utils/issuancePolicy.js';
+import { parseCertificate } from '../src/utils/certificateParser.js';
+import { issueCertificate } from './helpers/pki.js';
+
+const certificate = (overrides = {}) => ({
+  commonName: 'api.corp.example.com',
+  issuer: 'CN=Corp Issuing CA, O=Example',
+  validFrom: '2025-01-01T00:00:00.000Z',
+  validTo: '2025-12-31T23:59:59.000Z',
+  keyAlgorithm: 'RSA',
+  keySize: 2048,
+  keyCurve: null,
+  subjectAltNames: [{ type: 'dns', value: 'api.corp.example.com' }],
+  ...overrides
+});
+
+const rules = (policy, overrides) => evaluatePolicy(policy, certificate(overrides)).map(violation => violation.rule);
+
+describe('Issuance Policy', () => {
+  it('should pass a certificate that meets every rule', () => {
+    const policy = {
+      allowedIssuers: ['Corp Issuing CA'],
+      minKeySize: 2048,
+      allowedAlgorithms: ['RSA', 'P-256'],
+      maxValidityDays: 398,
+      requiredSanDomains: ['corp.example.com'],
+      allowWildcards: false
+    };
+
+    expect(evaluatePolicy(policy, certificate())).toEqual([]);
+    expect(evaluatePolicy({}, certificate({ keySize: 1024 }))).toEqual([]);
+  });
+
+  it('should match allowed issuers by DN or common name', () => {
+    expect(rules({ allowedIssuers: ['cn=corp issuing ca,o=example'] })).toEqual([]);
+    expect(rules({ allowedIssuers: ['Other CA'] })).toEqual(['allowedIssuers']);
+  });
+
+  it('should apply the minimum key size to RSA keys only', () => {
+    expect(rules({ minKeySize: 3072 })).toEqual(['minKeySize']);
+    expect(rules({ minKeySize: 3072 }, { keyAlgorithm: 'EC', keySize: 256, keyCurve: 'P-256' })).toEqual([]);
+  });
+
+  it('should match allowed algorithms by key type or curve', () => {
+    const ec384 = { keyAlgorithm: 'EC', keySize: 384, keyCurve: 'P-384' };
+
+    expect(rules({ allowedAlgorithms: ['EC'] }, ec384)).toEqual([]);
+    expect(rules({ allowedAlgorithms: ['P-256'] }, ec384)).toEqual(['allowedAlgorithms']);
+    expect(rules({ allowedAlgorithms: ['ec'] })).toEqual(['allowedAlgorithms']);
+  });
+
+  it('should limit the validity period', () => {
+    expect(rules({ maxValidityDays: 365 })).toEqual([]);
+    expect(rules({ maxValidityDays: 90 })).toEqual(['maxValidityDays']);
+  });
+
+  it('should require every DNS name to be within the required domains', () => {
+    const policy = { requiredSanDomains: ['corp.example.com'] };
+
+    expect(rules(policy, { subjectAltNames: [{ type: 'dns', value: '*.api.corp.example.com' }] })).toEqual([]);
+    expect(rules(policy, { subjectAltNames: [{ type: 'dns', value: 'notcorp.example.com' }] })).toEqual(['requiredSanDomains']);
+    expect(rules(policy, { subjectAltNames: [] })).toEqual(['requiredSanDomains']);
+  });
+
+  it('should reject wildcards only when they are disallowed', () => {
+    const wildcard = { commonName: '*.corp.example.com', subjectAltNames: [{ type: 'dns', value: '*.corp.example.com' }] };
+
+    expect(evaluatePolicy({ allowWildcards: false }, certificate(wildcard))).toEqual([
+      { rule: 'allowWildcards', message: 'Wildcard name "*.corp.example.com" is not allowed' }
+    ]);
+    expect(rules({ allowWildcards: true }, wildcard)).toEqual([]);
+    expect(rules({ allowWildcards: null }, wildcard)).toEqual([]);
+  });
+
+  it('should check parsed certificates', async () => {
+    const issued = await issueCertificate({ subject: 'CN=shop.example.net', keyType: 'ec', dnsNames: ['shop.example.net'] });
+    const parsed = await parseCertificate(Buffer.from(issued.pem), 'shop.pem');
+
+    expect(evaluatePolicy({ allowedAlgorithms: ['P-256'], requiredSanDomains: ['example.net'], maxValidityDays: 398 }, parsed)).toEqual([]);
+    expect(evaluatePolicy({ allowedAlgorithms: ['RSA'] }, parsed).map(violation => violation.rule)).toEqual(['allowedAlgorithms']);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Java KeyStore Tests
+ * Tests for reading and writing JKS stores
+ */
+
+import crypto from 'crypto';
+import { createChain } from './helpers/pki.js';
+import { detectJavaKeyStore, readJavaKeyStore, writeJavaKeyStore } from '../src/utils/javaKeyStore.js';
+
+describe('Java KeyStore', () => {
+  let chain;
+
+  beforeAll(async () => {
+    chain = await createChain({ commonName: 'jks.example.com', keyType: 'ec' });
+  });
+
+  const writeStore = (password = 'changeit') => writeJavaKeyStore([
+    { alias: 'server', certificates: [chain.leaf.der, chain.intermediate.der], privateKeyPem: chain.leaf.privateKeyPem },
+    { alias: 'root', certificates: [chain.root.der] }
+  ], password);
+
+  it('should read back the key and trusted entries it writes', () => {
+    const store = writeStore();
+
+    expect(detectJavaKeyStore(store)).toBe('jks');
+    const entries = readJavaKeyStore(store, 'changeit');
+
+    expect(entries.map(entry => [entry.alias, entry.type])).toEqual([['server', 'private-key'], ['root', 'trusted-certificate']]);
+    expect(entries[0].certificates).toEqual([chain.leaf.der, chain.intermediate.der]);
+    expect(entries[1].certificates).toEqual([chain.root.der]);
+    const recovered = crypto.createPublicKey(entries[0].privateKeyPem).export({ type: 'spki', format: 'der' });
+    const expected = crypto.createPublicKey(chain.leaf.privateKeyPem).export({ type: 'spki', format: 'der' });
+    expect(recovered.equals(expected)).toBe(true);
+  });
+
+  it('should reject a wrong store password', () => {
+    expect(() => readJavaKeyStore(writeStore(), 'wrong')).toThrow(/password is incorrect/);
+  });
+
+  it('should report keys protected by a different key password without failing the store', () => {
+    const entries = readJavaKeyStore(writeStore(), 'changeit', { keyPassword: 'other' });
+
+    expect(entries[0].privateKeyPem).toBeUndefined();
+    expect(entries[0].error).toMatch(/key password is incorrect/);
+    expect(entries[1].certificates).toEqual([chain.root.der]);
+  });
+
+  it('should point JCEKS stores to keytool', () => {
+    const jceks = Buffer.from('cececece0000000200000000', 'hex');
+
+    expect(detectJavaKeyStore(jceks)).toBe('jceks');
+    expect(() => readJavaKeyStore(jceks, 'changeit')).toThrow(/JCEKS keystores are not supported/);
+  });
+});
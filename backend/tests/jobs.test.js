@@ -0,0 +1,123 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockScheduler = {
+  listJobs: jest.fn(),
+  getRuns: jest.fn(),
+  getRun: jest.fn(),
+  runJob: jest.fn(),
+  start: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb,
+  getDatabaseProvider: () => 'sqlite',
+  getPasswordService: () => ({}),
+  getDatabaseHealth: async () => ({ status: 'healthy', provider: 'sqlite', connected: true }),
+  migration: {},
+  initializeDatabase: async () => {}
+}));
+jest.unstable_mockModule('../src/services/gcpCertificateService.js', () => ({
+  default: {}
+}));
+jest.unstable_mockModule('../src/services/schedulerService.js', () => ({
+  default: mockScheduler
+}));
+
+// index.js starts listening on import; use an ephemeral port so suites can run side by side
+process.env.PORT = '0';
+const { default: app } = await import('../src/index.js');
+
+describe('Scheduled Jobs API', () => {
+  let authToken;
+  let permissions;
+
+  const run = {
+    id: 'run-1',
+    jobName: 'status-recalculation',
+    trigger: 'manual',
+    triggeredBy: 1,
+    status: 'succeeded',
+    summary: { checked: 4, changed: 1, transitions: { 'VALID->EXPIRING_SOON': 1 } },
+    error: null,
+    startedAt: '2025-07-01T12:00:00.000Z',
+    finishedAt: '2025-07-01T12:00:01.000Z'
+  };
+
+  beforeAll(() => {
+    authToken = jwt.sign({ id: 1, username: 'testuser', role: 'admin' }, process.env.JWT_SECRET || 'test-secret');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    permissions = ['system:settings'];
+    mockDb.getAsync.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users')) return { id: 1, username: 'testuser', role: 'admin', active: 1 };
+      if (sql.includes('FROM roles')) return { id: 'admin', permissions: JSON.stringify(permissions) };
+      return undefined;
+    });
+  });
+
+  it('should list jobs and their run history', async () => {
+    mockScheduler.listJobs.mockResolvedValue([{ name: 'status-recalculation', schedule: '5 * * * *', lastRun: run }]);
+    mockScheduler.getRuns.mockResolvedValue([run]);
+
+    const jobs = await request(app)
+      .get('/api/jobs')
+      .set('Authorization', `Bearer ${authToken}`);
+    const runs = await request(app)
+      .get('/api/jobs/runs?job=status-recalculation&limit=10')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(jobs.status).toBe(200);
+    expect(jobs.body[0].lastRun.id).toBe('run-1');
+    expect(runs.body).toEqual([run]);
+    expect(mockScheduler.getRuns).toHaveBeenCalledWith({ jobName: 'status-recalculation', limit: '10' });
+  });
+
+  it('should run a job on demand', async () => {
+    mockScheduler.runJob.mockResolvedValue(run);
+
+    const res = await request(app)
+      .post('/api/jobs/status-recalculation/run')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(run);
+    expect(mockScheduler.runJob).toHaveBeenCalledWith('status-recalculation', { trigger: 'manual', userId: 1 });
+  });
+
+  it('should answer 409 while the job is running and 404 for unknown jobs', async () => {
+    mockScheduler.runJob
+      .mockRejectedValueOnce(Object.assign(new Error('status-recalculation is already running'), { statusCode: 409 }))
+      .mockRejectedValueOnce(Object.assign(new Error('Unknown job: nope'), { statusCode: 404 }));
+
+    const busy = await request(app)
+      .post('/api/jobs/status-recalculation/run')
+      .set('Authorization', `Bearer ${authToken}`);
+    const unknown = await request(app)
+      .post('/api/jobs/nope/run')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(busy.status).toBe(409);
+    expect(unknown.status).toBe(404);
+  });
+
+  it('should not let users without system settings permission run jobs', async () => {
+    permissions = ['certificates:read'];
+
+    const res = await request(app)
+      .post('/api/jobs/status-recalculation/run')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(403);
+    expect(mockScheduler.runJob).not.toHaveBeenCalled();
+  });
+});
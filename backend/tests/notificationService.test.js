@@ -0,0 +1,217 @@
+/**
+ * Notification Service Tests
+ * Tests for emailing expiry notifications through a local SMTP sink, once per
+ * certificate, threshold and recipient
+ */
+
+import { jest } from '@jest/globals';
+import net from 'net';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+
+const { default: notificationService, dueThreshold } = await import('../src/services/notificationService.js');
+const { default: notificationTemplateService } = await import('../src/services/notificationTemplateService.js');
+const { startSmtpSink } = await import('./helpers/smtpSink.js');
+const { sendMail, buildMessage } = await import('../src/utils/smtpClient.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A port nothing listens on, for failed sends
+const closedPort = () => new Promise(resolve => {
+  const server = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+describe('Notification Service', () => {
+  const now = new Date('2025-07-01T12:00:00Z');
+  let sink;
+  let certificates;
+  let recipients;
+  let deliveries;
+  let overrides;
+  let templates;
+
+  const certificate = (id, daysLeft, folderId = 'folder-prod') => ({
+    id,
+    common_name: `${id}.example.com`,
+    serial_number: `serial-${id}`,
+    issuer: 'CN=Test CA',
+    folder_id: folderId,
+    folder_name: folderId === 'folder-prod' ? 'Production' : 'Staging',
+    valid_to: new Date(now.getTime() + daysLeft * DAY - 60 * 1000).toISOString()
+  });
+
+  beforeAll(async () => {
+    sink = await startSmtpSink();
+  });
+
+  afterAll(async () => {
+    await sink.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sink.messages.length = 0;
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(sink.port);
+    process.env.SMTP_FROM = 'Certificates <certs@example.com>';
+
+    certificates = [
+      certificate('soon', 10),
+      certificate('later', 100),
+      certificate('staging', 5, 'folder-staging')
+    ];
+    recipients = [
+      { id: 'r1', user_id: 7, user_email: 'Alice@Example.com', user_active: 1, email: null, folder_id: null, enabled: 1 },
+      { id: 'r2', user_id: null, email: 'prod-team@example.com', folder_id: 'folder-prod', enabled: 1 },
+      { id: 'r3', user_id: null, email: 'muted@example.com', folder_id: null, enabled: 0 },
+      { id: 'r4', user_id: 8, user_email: 'gone@example.com', user_active: 0, email: null, folder_id: null, enabled: 1 }
+    ];
+    deliveries = [];
+    overrides = [];
+    templates = [];
+
+    mockDb.getAsync.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM notification_deliveries')) {
+        const [certificateId, validTo, thresholdDays, recipient] = params;
+        return deliveries.find(row => row.certificate_id === certificateId && row.valid_to === validTo
+          && row.threshold_days === thresholdDays && row.recipient === recipient);
+      }
+      if (sql.includes('FROM notification_templates')) {
+        return templates.find(row => row.template_key === params[0]);
+      }
+      return undefined;
+    });
+    mockDb.allAsync.mockImplementation(async (sql) => {
+      if (sql.includes('FROM certificates c')) return certificates;
+      if (sql.includes('FROM notification_recipients r')) return recipients;
+      if (sql.includes('FROM expiry_threshold_overrides')) return overrides;
+      return [];
+    });
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO notification_deliveries')) {
+        const [id, certificateId, validTo, thresholdDays, recipient, templateKey, subject, status, error, attempts] = params;
+        deliveries.push({
+          id, certificate_id: certificateId, valid_to: validTo, threshold_days: thresholdDays, recipient,
+          template_key: templateKey, subject, status, error, attempts
+        });
+      } else if (sql.startsWith('UPDATE notification_deliveries')) {
+        const row = deliveries.find(delivery => delivery.id === params[6]);
+        Object.assign(row, { status: params[0], error: params[1], attempts: params[3] });
+      } else if (sql.startsWith('DELETE FROM notification_templates')) {
+        templates = templates.filter(row => row.template_key !== params[0]);
+      } else if (sql.startsWith('INSERT INTO notification_templates')) {
+        const [key, subject, body] = params;
+        templates.push({ template_key: key, subject, body });
+      }
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    delete process.env.SMTP_FROM;
+  });
+
+  it('should pick the smallest notification threshold reached', () => {
+    expect(dueThreshold(10, [30, 15, 7])).toBe(15);
+    expect(dueThreshold(5, [30, 15, 7])).toBe(7);
+    expect(dueThreshold(31, [30, 15, 7])).toBeNull();
+  });
+
+  it('should email each recipient once per certificate and threshold', async () => {
+    const first = await notificationService.sendExpiryNotifications({ now, jobRunId: 'run-1' });
+
+    expect(first).toEqual({ due: 2, sent: 3, failed: 0, alreadySent: 0 });
+    const sent = sink.messages.map(message => [message.to[0], message.headers.subject]).sort();
+    expect(sent).toEqual([
+      ['alice@example.com', 'Certificate expiring: soon.example.com in 10 days'],
+      ['alice@example.com', 'Certificate expiring: staging.example.com in 5 days'],
+      ['prod-team@example.com', 'Certificate expiring: soon.example.com in 10 days']
+    ]);
+    const message = sink.messages.find(m => m.to[0] === 'prod-team@example.com');
+    expect(message.from).toBe('certs@example.com');
+    expect(message.text).toContain('Folder:        Production');
+    expect(message.text).toContain('within its 15-day warning period');
+    expect(deliveries.map(row => [row.certificate_id, row.threshold_days, row.status])).toEqual(expect.arrayContaining([
+      ['soon', 15, 'sent'], ['staging', 7, 'sent']
+    ]));
+
+    const second = await notificationService.sendExpiryNotifications({ now, jobRunId: 'run-2' });
+    expect(second).toEqual({ due: 2, sent: 0, failed: 0, alreadySent: 3 });
+    expect(sink.messages).toHaveLength(3);
+  });
+
+  it('should use the notification days of the effective expiry thresholds', async () => {
+    recipients = [recipients[1]];
+    overrides = [{ scope: 'certificate', scope_id: 'later', expiring_soon_days: null, notification_days: '[120]' }];
+
+    const summary = await notificationService.sendExpiryNotifications({ now });
+
+    expect(summary.sent).toBe(2);
+    expect(deliveries.map(row => [row.certificate_id, row.threshold_days]).sort()).toEqual([['later', 120], ['soon', 15]]);
+  });
+
+  it('should record failed sends and retry them on the next run', async () => {
+    recipients = [recipients[1]];
+    certificates = [certificates[0]];
+    process.env.SMTP_PORT = String(await closedPort());
+
+    const failed = await notificationService.sendExpiryNotifications({ now });
+    expect(failed).toEqual({ due: 1, sent: 0, failed: 1, alreadySent: 0 });
+    expect(deliveries[0]).toMatchObject({ status: 'failed', error: expect.stringContaining('Could not connect') });
+
+    process.env.SMTP_PORT = String(sink.port);
+    const retried = await notificationService.sendExpiryNotifications({ now });
+    expect(retried).toEqual({ due: 1, sent: 1, failed: 0, alreadySent: 0 });
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0]).toMatchObject({ status: 'sent', error: null, attempts: 2 });
+  });
+
+  it('should skip sending when SMTP is not configured', async () => {
+    delete process.env.SMTP_HOST;
+
+    expect(await notificationService.sendExpiryNotifications({ now })).toEqual({ skipped: true, reason: 'Email is not configured' });
+    expect(sink.messages).toHaveLength(0);
+  });
+
+  it('should send with an edited template and refuse unknown placeholders', async () => {
+    recipients = [recipients[1]];
+    certificates = [certificates[0]];
+    await notificationTemplateService.setTemplate('expiry-warning', {
+      subject: '[{{folderName}}] {{commonName}} expires {{ validTo }}',
+      body: 'Renew {{commonName}} ({{daysRemaining}} days left).'
+    });
+
+    await notificationService.sendExpiryNotifications({ now });
+
+    expect(sink.messages[0].headers.subject).toBe(`[Production] soon.example.com expires ${new Date(certificates[0].valid_to).toUTCString()}`);
+    expect(sink.messages[0].text).toBe('Renew soon.example.com (10 days left).');
+    await expect(notificationTemplateService.setTemplate('expiry-warning', { subject: '{{owner}}', body: 'x' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Unknown placeholders: {{owner}}' });
+  });
+
+  it('should authenticate and keep lines starting with a dot intact', async () => {
+    const message = buildMessage({ from: 'certs@example.com', to: ['ops@example.com'], subject: 'Zertifikat läuft ab', text: '.hidden\nÜbersicht' });
+
+    const result = await sendMail(
+      { host: '127.0.0.1', port: sink.port, user: 'mailer', password: 'secret' },
+      { from: 'certs@example.com', to: ['ops@example.com'] },
+      message
+    );
+
+    expect(result.accepted).toEqual(['ops@example.com']);
+    expect(sink.messages[0]).toMatchObject({ user: 'mailer', text: '.hidden\nÜbersicht' });
+    expect(sink.messages[0].headers.subject).toBe('Zertifikat läuft ab');
+  });
+});
@@ -0,0 +1,198 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockNotificationService = {
+  listRecipients: jest.fn(),
+  getRecipient: jest.fn(),
+  addRecipient: jest.fn(),
+  setRecipientEnabled: jest.fn(),
+  removeRecipient: jest.fn(),
+  getDeliveries: jest.fn(),
+  sendTestEmail: jest.fn()
+};
+const mockDigestService = {
+  listSubscriptions: jest.fn(),
+  getSubscription: jest.fn(),
+  addSubscription: jest.fn(),
+  updateSubscription: jest.fn(),
+  removeSubscription: jest.fn(),
+  prepare: jest.fn(),
+  sendDigest: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb,
+  getDatabaseProvider: () => 'sqlite',
+  getPasswordService: () => ({}),
+  getDatabaseHealth: async () => ({ status: 'healthy', provider: 'sqlite', connected: true }),
+  migration: {},
+  initializeDatabase: async () => {}
+}));
+jest.unstable_mockModule('../src/services/gcpCertificateService.js', () => ({
+  default: {}
+}));
+jest.unstable_mockModule('../src/services/notificationService.js', () => ({
+  default: mockNotificationService
+}));
+jest.unstable_mockModule('../src/services/digestService.js', () => ({
+  default: mockDigestService
+}));
+
+// index.js starts listening on import; use an ephemeral port so suites can run side by side
+process.env.PORT = '0';
+const { default: app } = await import('../src/index.js');
+
+describe('Notifications API', () => {
+  let authToken;
+  let permissions;
+
+  const recipient = {
+    id: 'r1',
+    type: 'user',
+    userId: 1,
+    username: 'testuser',
+    email: 'test@example.com',
+    folderId: null,
+    folderName: null,
+    enabled: true
+  };
+
+  beforeAll(() => {
+    authToken = jwt.sign({ id: 1, username: 'testuser', role: 'admin' }, process.env.JWT_SECRET || 'test-secret');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    permissions = ['certificates:read'];
+    mockDb.getAsync.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users')) return { id: 1, username: 'testuser', email: 'test@example.com', role: 'admin', active: 1 };
+      if (sql.includes('FROM roles')) return { id: 'admin', permissions: JSON.stringify(permissions) };
+      return undefined;
+    });
+  });
+
+  it('should let users subscribe themselves but not others', async () => {
+    mockNotificationService.addRecipient.mockResolvedValue(recipient);
+
+    const own = await request(app)
+      .post('/api/notifications/recipients')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ userId: 1, folderId: 'folder-1' });
+    const other = await request(app)
+      .post('/api/notifications/recipients')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ email: 'team@example.com' });
+
+    expect(own.status).toBe(201);
+    expect(mockNotificationService.addRecipient).toHaveBeenCalledWith({ userId: 1, folderId: 'folder-1' }, { createdBy: 1 });
+    expect(other.status).toBe(403);
+    expect(mockNotificationService.addRecipient).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let administrators add addresses and only list their own recipients to others', async () => {
+    mockNotificationService.listRecipients.mockResolvedValue([recipient]);
+    mockNotificationService.addRecipient.mockResolvedValue({ ...recipient, type: 'email', userId: null, email: 'team@example.com' });
+
+    await request(app)
+      .get('/api/notifications/recipients')
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(mockNotificationService.listRecipients).toHaveBeenLastCalledWith({ userId: 1 });
+
+    permissions = ['system:settings'];
+    const added = await request(app)
+      .post('/api/notifications/recipients')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ email: 'team@example.com' });
+    const invalid = await request(app)
+      .post('/api/notifications/recipients')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ userId: 2, email: 'team@example.com' });
+    await request(app)
+      .get('/api/notifications/recipients')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(added.status).toBe(201);
+    expect(invalid.status).toBe(400);
+    expect(mockNotificationService.listRecipients).toHaveBeenLastCalledWith({});
+  });
+
+  it('should not let users remove recipients of others', async () => {
+    mockNotificationService.getRecipient.mockResolvedValue({ ...recipient, userId: 2 });
+
+    const res = await request(app)
+      .delete('/api/notifications/recipients/r1')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(404);
+    expect(mockNotificationService.removeRecipient).not.toHaveBeenCalled();
+  });
+
+  it('should let users manage their own digests only', async () => {
+    const digest = { id: 'd1', channel: 'user', userId: 1, folderId: null, intervalDays: 7, daysAhead: 30, enabled: true };
+    mockDigestService.addSubscription.mockResolvedValue(digest);
+    mockDigestService.getSubscription.mockResolvedValue({ ...digest, userId: 2 });
+
+    const own = await request(app)
+      .post('/api/notifications/digests')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ userId: 1, intervalDays: 14 });
+    const webhook = await request(app)
+      .post('/api/notifications/digests')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ webhookSubscriptionId: 'w1' });
+    const othersDigest = await request(app)
+      .post('/api/notifications/digests/d1/send')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(own.status).toBe(201);
+    expect(mockDigestService.addSubscription).toHaveBeenCalledWith(
+      { userId: 1, folderId: null, intervalDays: 14, daysAhead: 30 },
+      { createdBy: 1 }
+    );
+    expect(webhook.status).toBe(403);
+    expect(othersDigest.status).toBe(404);
+    expect(mockDigestService.sendDigest).not.toHaveBeenCalled();
+  });
+
+  it('should preview template edits and reject unknown placeholders', async () => {
+    permissions = ['system:settings'];
+
+    const preview = await request(app)
+      .post('/api/notifications/templates/expiry-warning/preview')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ subject: '{{commonName}} expires in {{daysRemaining}} days' });
+    const invalid = await request(app)
+      .put('/api/notifications/templates/expiry-warning')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ subject: 'Expiring: {{owner}}', body: 'Renew it' });
+    const unknown = await request(app)
+      .get('/api/notifications/templates/nope')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(preview.status).toBe(200);
+    expect(preview.body.subject).toBe('www.example.com expires in 14 days');
+    expect(preview.body.text).toContain('Common Name:   www.example.com');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Unknown placeholders: {{owner}}');
+    expect(unknown.status).toBe(404);
+  });
+
+  it('should send test emails to the caller by default', async () => {
+    permissions = ['system:settings'];
+    mockNotificationService.sendTestEmail.mockResolvedValue({ accepted: ['test@example.com'], rejected: [], response: '250 OK' });
+
+    const res = await request(app)
+      .post('/api/notifications/test')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(200);
+    expect(mockNotificationService.sendTestEmail).toHaveBeenCalledWith('test@example.com');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Private Key Vault Service Tests
+ * Tests for key encryption and public-key matching against the inventory
+ */
+
+import { jest } from '@jest/globals';
+import { createChain } from './helpers/pki.js';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+
+const { default: privateKeyVaultService } = await import('../src/services/privateKeyVaultService.js');
+const { parsePrivateKey } = await import('../src/utils/certificateParser.js');
+
+describe('Private Key Vault Service', () => {
+  let chain;
+
+  beforeAll(async () => {
+    chain = await createChain({ commonName: 'vault.example.com' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.runAsync.mockResolvedValue();
+  });
+
+  it('should round-trip keys through encryption', () => {
+    const encrypted = privateKeyVaultService.encrypt(chain.leaf.privateKeyPem);
+    expect(encrypted).not.toContain('PRIVATE KEY');
+    expect(privateKeyVaultService.decrypt(encrypted)).toBe(chain.leaf.privateKeyPem);
+  });
+
+  describe('attachPrivateKey', () => {
+    it('should store the key for every certificate with the same public key', async () => {
+      mockDb.allAsync.mockImplementation(async (sql) => {
+        if (sql.includes('public_key_sha256 IS NULL')) return [];
+        return [{ id: 'cert-1', common_name: 'vault.example.com' }];
+      });
+      const parsedKey = parsePrivateKey(Buffer.from(chain.leaf.privateKeyPem));
+
+      const certificateIds = await privateKeyVaultService.attachPrivateKey(parsedKey, { userId: 7 });
+
+      expect(certificateIds).toEqual(['cert-1']);
+      const insert = mockDb.runAsync.mock.calls.find(([sql]) => sql.includes('INSERT INTO certificate_private_keys'));
+      expect(insert[1][1]).toBe('cert-1');
+      expect(insert[1][4]).not.toContain('PRIVATE KEY');
+      expect(insert[1][5]).toBe(7);
+    });
+
+    it('should fingerprint certificates stored before public keys were recorded', async () => {
+      mockDb.allAsync.mockImplementation(async (sql) => {
+        if (sql.includes('public_key_sha256 IS NULL')) return [{ id: 'legacy', pem_content: chain.leaf.pem }];
+        return [];
+      });
+      const parsedKey = parsePrivateKey(Buffer.from(chain.leaf.privateKeyPem));
+
+      await expect(privateKeyVaultService.attachPrivateKey(parsedKey)).rejects.toMatchObject({ statusCode: 422 });
+      expect(mockDb.runAsync).toHaveBeenCalledWith(
+        'UPDATE certificates SET public_key_sha256 = ? WHERE id = ?',
+        [parsedKey.publicKeySha256, 'legacy']
+      );
+    });
+  });
+});
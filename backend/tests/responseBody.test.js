@@ -0,0 +1,56 @@
+/**
+ * Response Body Tests
+ * Tests for reading size-limited bodies from fetch() responses
+ */
+
+import { readResponseBody } from '../src/utils/responseBody.js';
+
+// A body of chunkCount chunks that records how many were pulled and whether it was cancelled
+const streamedBody = (chunkCount, chunkSize) => {
+  const state = { pulled: 0, cancelled: false };
+  const stream = new ReadableStream({
+    pull(controller) {
+      if (state.pulled === chunkCount) {
+        controller.close();
+        return;
+      }
+      state.pulled++;
+      controller.enqueue(new Uint8Array(chunkSize).fill(0x41));
+    },
+    cancel() {
+      state.cancelled = true;
+    }
+  });
+  return { stream, state };
+};
+
+describe('Response body', () => {
+  it('should read bodies up to the limit', async () => {
+    const { stream } = streamedBody(4, 256);
+
+    const body = await readResponseBody(new Response(stream), 1024);
+
+    expect(body).toEqual(Buffer.alloc(1024, 0x41));
+  });
+
+  it('should refuse a declared Content-Length over the limit without reading the body', async () => {
+    const { stream, state } = streamedBody(4, 256);
+    const response = new Response(stream, { headers: { 'Content-Length': '1048576' } });
+
+    await expect(readResponseBody(response, 1024)).rejects.toThrow('Response is too large');
+    expect(state.pulled).toBeLessThanOrEqual(1);
+    expect(state.cancelled).toBe(true);
+  });
+
+  it('should stop reading once an undeclared body passes the limit', async () => {
+    const { stream, state } = streamedBody(1000, 256);
+
+    await expect(readResponseBody(new Response(stream), 1024)).rejects.toThrow('Response is too large');
+    expect(state.pulled).toBeLessThan(10);
+    expect(state.cancelled).toBe(true);
+  });
+
+  it('should read empty bodies', async () => {
+    expect(await readResponseBody(new Response(null, { status: 204 }), 1024)).toEqual(Buffer.alloc(0));
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Revocation Service Tests
+ * Tests for OCSP and CRL checking against local stub responders
+ */
+
+import http from 'http';
+import * as x509 from '@peculiar/x509';
+import { jest } from '@jest/globals';
+import { issueCertificate, createCrl, createOcspResponse } from './helpers/pki.js';
+
+process.env.REVOCATION_TIMEOUT_MS = '300';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockChainBuilder = {
+  buildChain: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+jest.unstable_mockModule('../src/services/chainBuilderService.js', () => ({
+  default: mockChainBuilder
+}));
+
+const { default: revocationService } = await import('../src/services/revocationService.js');
+
+describe('Revocation Service', () => {
+  let issuer;
+  let responder;
+  let otherCa;
+  let server;
+  let baseUrl;
+  let hits;
+  let ocsp;
+  let crl;
+  let cache;
+
+  // Leaf pointing at the stub server's OCSP and CRL paths
+  const issueLeaf = (subject, { ocspPath = '/ocsp', crlPath = '/ca.crl' } = {}) => issueCertificate({
+    subject,
+    issuer,
+    extensions: [
+      ...(ocspPath ? [new x509.AuthorityInfoAccessExtension({ ocsp: [new x509.GeneralName('url', `${baseUrl}${ocspPath}`)] })] : []),
+      ...(crlPath ? [new x509.CRLDistributionPointsExtension([`${baseUrl}${crlPath}`])] : [])
+    ]
+  });
+  const toRow = (id, certificate, status = 'VALID') => ({
+    id,
+    folder_id: null,
+    valid_to: new x509.X509Certificate(certificate.pem).notAfter.toISOString(),
+    pem_content: certificate.pem,
+    chain_pem: null,
+    status
+  });
+  const recordedUpdate = () => mockDb.runAsync.mock.calls.find(([sql]) => sql.includes('UPDATE certificates SET'));
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      hits[req.url] = (hits[req.url] || 0) + 1;
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        if (req.url === '/ocsp' && ocsp) {
+          res.setHeader('Content-Type', 'application/ocsp-response');
+          res.end(createOcspResponse({ request: Buffer.concat(chunks), ...ocsp }));
+        } else if (req.url === '/ca.crl' && crl) {
+          res.end(crl);
+        } else if (req.url === '/huge.crl') {
+          // Declares far more than the CRL size limit and never finishes sending it
+          res.writeHead(200, { 'Content-Length': String(1024 * 1024 * 1024) });
+          res.write(Buffer.alloc(1024));
+        } else if (req.url === '/slow') {
+          setTimeout(() => res.end(), 2000).unref();
+        } else {
+          res.statusCode = req.url === '/ocsp' ? 500 : 404;
+          res.end();
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    issuer = await issueCertificate({ subject: 'CN=Revocation Test CA', isCA: true });
+    otherCa = await issueCertificate({ subject: 'CN=Revocation Test CA', isCA: true });
+    responder = await issueCertificate({
+      subject: 'CN=Revocation Test OCSP Responder',
+      issuer,
+      extensions: [new x509.ExtendedKeyUsageExtension(['1.3.6.1.5.5.7.3.9'])]
+    });
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    hits = {};
+    ocsp = null;
+    crl = null;
+    cache = {};
+    mockChainBuilder.buildChain.mockImplementation(async (pem) => ({
+      chain: [{ pem }, { pem: issuer.pem }],
+      complete: true
+    }));
+    mockDb.getAsync.mockImplementation(async (sql, [key]) => cache[key]);
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.startsWith('INSERT INTO ocsp_response_cache') || sql.startsWith('INSERT INTO crl_cache')) {
+        const [key, der, nextUpdate, fetchedAt] = params;
+        cache[key] = { response_der: der, crl_der: der, next_update: nextUpdate, fetched_at: fetchedAt };
+      }
+    });
+  });
+
+  it('should record a good OCSP status and cache the response', async () => {
+    const leaf = await issueLeaf('CN=good.example.com');
+    ocsp = { signer: issuer, status: 'good' };
+
+    const first = await revocationService.checkCertificate(toRow('c-good', leaf));
+    const second = await revocationService.checkCertificate(toRow('c-good', leaf));
+
+    expect(first).toMatchObject({ status: 'good', source: 'ocsp', url: `${baseUrl}/ocsp`, errors: [] });
+    expect(second.status).toBe('good');
+    expect(hits['/ocsp']).toBe(1);
+    expect(recordedUpdate()[1]).toEqual(['good', null, null, 'ocsp', first.checkedAt, 'VALID', 'c-good']);
+  });
+
+  it('should mark certificates revoked through a delegated OCSP responder as REVOKED', async () => {
+    const leaf = await issueLeaf('CN=revoked.example.com');
+    const revokedAt = new Date('2025-03-01T12:00:00Z');
+    ocsp = { signer: responder, status: 'revoked', reason: 1, revokedAt };
+
+    const result = await revocationService.checkCertificate(toRow('c-revoked', leaf, 'EXPIRING_SOON'));
+
+    expect(result).toMatchObject({ status: 'revoked', reason: 'keyCompromise', revokedAt: revokedAt.toISOString(), source: 'ocsp' });
+    expect(recordedUpdate()[1]).toEqual(['revoked', 'keyCompromise', revokedAt.toISOString(), 'ocsp', result.checkedAt, 'REVOKED', 'c-revoked']);
+  });
+
+  it('should reject OCSP responses signed by another key', async () => {
+    const leaf = await issueLeaf('CN=forged.example.com', { crlPath: null });
+    ocsp = { signer: otherCa, status: 'revoked' };
+
+    const result = await revocationService.checkCertificate(toRow('c-forged', leaf));
+
+    expect(result.status).toBe('unknown');
+    expect(result.errors[0].error).toMatch(/not from the issuer or an authorized responder/);
+    expect(mockDb.runAsync).toHaveBeenCalledWith(expect.stringContaining("COALESCE(revocation_status, 'unknown')"), expect.any(Array));
+  });
+
+  it('should fall back to the CRL when the OCSP responder fails', async () => {
+    const leaf = await issueLeaf('CN=crl.example.com');
+    crl = (await createCrl({ issuer, revoked: [{ certificate: leaf, reason: x509.X509CrlReason.superseded }] })).der;
+
+    const result = await revocationService.checkCertificate(toRow('c-crl', leaf));
+    await revocationService.checkCertificate(toRow('c-crl', leaf));
+
+    expect(result).toMatchObject({ status: 'revoked', reason: 'superseded', source: 'crl', url: `${baseUrl}/ca.crl` });
+    expect(result.errors).toEqual([{ url: `${baseUrl}/ocsp`, error: 'HTTP 500' }]);
+    expect(hits['/ca.crl']).toBe(1);
+  });
+
+  it('should treat certificates missing from the CRL as good and reinstate held ones', async () => {
+    const leaf = await issueLeaf('CN=held.example.com', { ocspPath: null });
+    crl = (await createCrl({ issuer })).pem;
+
+    const result = await revocationService.checkCertificate(toRow('c-held', leaf, 'REVOKED'));
+
+    expect(result).toMatchObject({ status: 'good', source: 'crl' });
+    expect(recordedUpdate()[1][5]).toBe('VALID');
+  });
+
+  it('should reject CRLs that the issuer did not sign', async () => {
+    const leaf = await issueLeaf('CN=badcrl.example.com', { ocspPath: null });
+    crl = (await createCrl({ issuer: otherCa, revoked: [{ certificate: leaf }] })).der;
+
+    const result = await revocationService.checkCertificate(toRow('c-badcrl', leaf));
+
+    expect(result.status).toBe('unknown');
+    expect(result.errors[0].error).toBe('CRL signature does not verify with the issuer key');
+  });
+
+  it('should refuse CRLs larger than the size limit without downloading them', async () => {
+    const leaf = await issueLeaf('CN=huge.example.com', { ocspPath: null, crlPath: '/huge.crl' });
+
+    const result = await revocationService.checkCertificate(toRow('c-huge', leaf));
+
+    expect(result.status).toBe('unknown');
+    expect(result.errors).toEqual([{ url: `${baseUrl}/huge.crl`, error: 'Response is too large' }]);
+  });
+
+  it('should give up on responders that do not answer in time', async () => {
+    const leaf = await issueLeaf('CN=slow.example.com', { ocspPath: '/slow', crlPath: null });
+
+    const started = Date.now();
+    const result = await revocationService.checkCertificate(toRow('c-slow', leaf));
+
+    expect(result.status).toBe('unknown');
+    expect(result.errors).toHaveLength(1);
+    expect(Date.now() - started).toBeLessThan(1500);
+  });
+
+  it('should report certificates without revocation information as unknown', async () => {
+    const leaf = await issueLeaf('CN=none.example.com', { ocspPath: null, crlPath: null });
+
+    const result = await revocationService.checkCertificate(toRow('c-none', leaf));
+
+    expect(result.status).toBe('unknown');
+    expect(result.errors[0].error).toBe('Certificate names no OCSP responder or CRL distribution point');
+    expect(mockChainBuilder.buildChain).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Scheduler Service Tests
+ * Tests for scheduled status recalculation, status change events and job run history
+ */
+
+import { jest } from '@jest/globals';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockCron = {
+  schedule: jest.fn(),
+  validate: jest.fn()
+};
+const mockRevocationService = {
+  checkAll: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+jest.unstable_mockModule('node-cron', () => ({
+  default: mockCron
+}));
+jest.unstable_mockModule('../src/services/revocationService.js', () => ({
+  default: mockRevocationService
+}));
+
+const { default: schedulerService } = await import('../src/services/schedulerService.js');
+const { default: certificateStatusService } = await import('../src/services/certificateStatusService.js');
+const { default: certificateEventService } = await import('../src/services/certificateEventService.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Scheduler Service', () => {
+  const now = new Date('2025-07-01T12:00:00Z');
+  let certificates;
+  let events;
+  let runs;
+
+  const certificate = (id, status, daysLeft) => ({
+    id,
+    common_name: `${id}.example.com`,
+    folder_id: 'folder-1',
+    valid_to: new Date(now.getTime() + daysLeft * DAY).toISOString(),
+    status
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    events = [];
+    runs = [];
+    certificates = [
+      certificate('fresh', 'VALID', 200),
+      certificate('soon', 'VALID', 10),
+      certificate('lapsed', 'EXPIRING_SOON', -1),
+      certificate('old', 'VALID', -400),
+      certificate('revoked', 'REVOKED', -5)
+    ];
+
+    mockCron.validate.mockReturnValue(true);
+    mockCron.schedule.mockImplementation(() => ({ stop: jest.fn() }));
+    mockDb.allAsync.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM certificates')) {
+        return certificates.filter(row => row.status !== 'REVOKED').map(row => ({ ...row }));
+      }
+      if (sql.includes('FROM certificate_events')) {
+        return events
+          .filter(row => !sql.includes('e.certificate_id = ?') || row.certificate_id === params[0])
+          .map(row => ({ ...row, common_name: certificates.find(c => c.id === row.certificate_id)?.common_name }))
+          .reverse();
+      }
+      if (sql.includes('FROM scheduled_job_runs')) {
+        return runs.filter(run => !sql.includes('job_name = ?') || run.job_name === params[0]).reverse();
+      }
+      return [];
+    });
+    mockDb.getAsync.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM scheduled_job_runs WHERE id = ?')) {
+        return runs.find(run => run.id === params[0]);
+      }
+      return undefined;
+    });
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.startsWith('UPDATE certificates SET status')) {
+        const row = certificates.find(c => c.id === params[1] && c.status === params[2]);
+        if (row) row.status = params[0];
+      } else if (sql.includes('INSERT INTO certificate_events')) {
+        const [id, certificateId, eventType, fromStatus, toStatus, details, jobRunId, createdAt] = params;
+        events.push({
+          id, certificate_id: certificateId, event_type: eventType, from_status: fromStatus,
+          to_status: toStatus, details, job_run_id: jobRunId, created_at: createdAt
+        });
+      } else if (sql.startsWith('INSERT INTO scheduled_job_runs')) {
+        const [id, jobName, trigger, triggeredBy, status, startedAt] = params;
+        runs.push({ id, job_name: jobName, trigger_type: trigger, triggered_by: triggeredBy, status, started_at: startedAt });
+      } else if (sql.startsWith('UPDATE scheduled_job_runs')) {
+        const run = runs.find(row => row.id === params[3]);
+        Object.assign(run, { status: params[0], finished_at: params[2] }, params[0] === 'failed' ? { error: params[1] } : { summary: params[1] });
+      }
+    });
+  });
+
+  afterEach(() => {
+    schedulerService.stop();
+  });
+
+  it('should move certificates along VALID -> EXPIRING_SOON -> EXPIRED and record each change', async () => {
+    const summary = await certificateStatusService.recalculateAll({ now, jobRunId: 'run-1' });
+
+    expect(summary).toEqual({
+      checked: 4,
+      changed: 3,
+      transitions: { 'VALID->EXPIRING_SOON': 1, 'EXPIRING_SOON->EXPIRED': 1, 'VALID->EXPIRED': 1 }
+    });
+    expect(Object.fromEntries(certificates.map(row => [row.id, row.status]))).toEqual({
+      fresh: 'VALID', soon: 'EXPIRING_SOON', lapsed: 'EXPIRED', old: 'EXPIRED', revoked: 'REVOKED'
+    });
+
+    const soonEvents = await certificateEventService.getEvents({ certificateId: 'soon' });
+    expect(soonEvents).toEqual([expect.objectContaining({
+      certificateId: 'soon',
+      commonName: 'soon.example.com',
+      eventType: 'status_changed',
+      fromStatus: 'VALID',
+      toStatus: 'EXPIRING_SOON',
+      jobRunId: 'run-1',
+      createdAt: now.toISOString(),
+      details: expect.objectContaining({ folderId: 'folder-1' })
+    })]);
+  });
+
+  it('should record nothing when statuses are already current', async () => {
+    await certificateStatusService.recalculateAll({ now });
+    const summary = await certificateStatusService.recalculateAll({ now });
+
+    expect(summary).toEqual({ checked: 4, changed: 0, transitions: {} });
+    expect(events).toHaveLength(3);
+  });
+
+  it('should keep a history of runs with their summary', async () => {
+    const run = await schedulerService.runJob('status-recalculation', { userId: 7 });
+
+    expect(run).toMatchObject({
+      jobName: 'status-recalculation',
+      trigger: 'manual',
+      triggeredBy: 7,
+      status: 'succeeded',
+      summary: expect.objectContaining({ changed: expect.any(Number) })
+    });
+    expect(run.finishedAt).toBeTruthy();
+    expect(events.every(event => event.job_run_id === run.id)).toBe(true);
+    expect(await schedulerService.getRuns({ jobName: 'status-recalculation' })).toEqual([run]);
+    expect(mockDb.runAsync).toHaveBeenCalledWith(
+      'DELETE FROM scheduled_job_runs WHERE job_name = ? AND started_at < ?',
+      ['status-recalculation', expect.any(String)]
+    );
+  });
+
+  it('should record failed runs instead of throwing', async () => {
+    mockRevocationService.checkAll.mockRejectedValueOnce(new Error('database is locked'));
+
+    const run = await schedulerService.runJob('revocation-check');
+
+    expect(run).toMatchObject({ status: 'failed', error: 'database is locked', summary: null });
+    expect(mockRevocationService.checkAll).toHaveBeenCalledWith({ jobRunId: run.id });
+  });
+
+  it('should refuse unknown jobs and runs of a job that is still running', async () => {
+    let finish;
+    mockRevocationService.checkAll.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    const first = schedulerService.runJob('revocation-check');
+    await expect(schedulerService.runJob('revocation-check')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(schedulerService.runJob('nope')).rejects.toMatchObject({ statusCode: 404 });
+
+    finish({ checked: 0, good: 0, revoked: 0, unknown: 0 });
+    expect((await first).status).toBe('succeeded');
+  });
+
+  it('should schedule every job and recalculate statuses at startup', async () => {
+    schedulerService.start();
+
+    expect(mockCron.schedule).toHaveBeenCalledTimes(4);
+    expect(mockCron.schedule).toHaveBeenCalledWith('5 * * * *', expect.any(Function), expect.any(Object));
+    await new Promise(resolve => setImmediate(resolve));
+    await new Promise(resolve => setImmediate(resolve));
+
+    const jobs = await schedulerService.listJobs();
+    expect(jobs.map(job => [job.name, job.scheduled])).toEqual([
+      ['status-recalculation', true], ['revocation-check', true], ['expiry-notifications', true], ['expiry-digest', true]
+    ]);
+    expect(runs.map(run => [run.job_name, run.trigger_type])).toEqual([['status-recalculation', 'startup']]);
+    expect(mockRevocationService.checkAll).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * TLS Endpoint Service Tests
+ * Captures certificate chains from local TLS servers
+ */
+
+import tls from 'tls';
+import net from 'net';
+import tlsEndpointService from '../src/services/tlsEndpointService.js';
+import { createChain } from './helpers/pki.js';
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = server => new Promise(resolve => server.close(() => resolve()));
+
+describe('TLS endpoint service', () => {
+  let chain;
+  let server;
+  let port;
+  let requestedServername;
+
+  beforeAll(async () => {
+    chain = await createChain({ commonName: 'tls.example.com' });
+    server = tls.createServer({
+      key: chain.leaf.privateKeyPem,
+      cert: [chain.leaf.pem, chain.intermediate.pem].join('\n'),
+      SNICallback: (servername, callback) => {
+        requestedServername = servername;
+        callback(null, null);
+      }
+    }, socket => socket.end());
+    port = await listen(server);
+  });
+
+  afterAll(async () => {
+    await close(server);
+  });
+
+  beforeEach(() => {
+    requestedServername = undefined;
+  });
+
+  it('should capture the presented chain, leaf first', async () => {
+    const result = await tlsEndpointService.fetchCertificateChain({ host: '127.0.0.1', port });
+
+    expect(result.certificates).toHaveLength(2);
+    expect(result.certificates[0].trim()).toBe(chain.leaf.pem.trim());
+    expect(result.certificates[1].trim()).toBe(chain.intermediate.pem.trim());
+    expect(result.authorized).toBe(false);
+    expect(result.protocol).toMatch(/^TLSv1\.[23]$/);
+  });
+
+  it('should send the requested SNI name', async () => {
+    await tlsEndpointService.fetchCertificateChain({ host: '127.0.0.1', port, servername: 'tls.example.com' });
+    expect(requestedServername).toBe('tls.example.com');
+  });
+
+  it('should not send an IP address as SNI', async () => {
+    await tlsEndpointService.fetchCertificateChain({ host: '127.0.0.1', port });
+    expect(requestedServername).toBeUndefined();
+  });
+
+  it('should time out when the endpoint never completes the handshake', async () => {
+    const sockets = [];
+    const silent = net.createServer(socket => sockets.push(socket));
+    const silentPort = await listen(silent);
+    try {
+      await expect(tlsEndpointService.fetchCertificateChain({ host: '127.0.0.1', port: silentPort, timeout: 200 }))
+        .rejects.toThrow(/timed out after 200 ms/);
+    } finally {
+      sockets.forEach(socket => socket.destroy());
+      await close(silent);
+    }
+  });
+
+  it('should report connection failures', async () => {
+    const unused = net.createServer();
+    const unusedPort = await listen(unused);
+    await close(unused);
+
+    await expect(tlsEndpointService.fetchCertificateChain({ host: '127.0.0.1', port: unusedPort }))
+      .rejects.toThrow(/TLS connection to 127\.0\.0\.1:\d+ failed/);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Trust Store Service Tests
+ * Tests for trust store file parsing (PEM and Mozilla certdata.txt), import, diff and
+ * validation of certificates against a store
+ */
+
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { issueCertificate } from './helpers/pki.js';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+
+const { default: trustStoreService } = await import('../src/services/trustStoreService.js');
+
+const toOctal = (buffer) => {
+  const lines = [];
+  for (let i = 0; i < buffer.length; i += 16) {
+    lines.push([...buffer.subarray(i, i + 16)].map(byte => '\\' + byte.toString(8).padStart(3, '0')).join(''));
+  }
+  return lines.join('\n');
+};
+
+const certdataObjects = ({ label, der, serverAuth }) => {
+  const sha1 = crypto.createHash('sha1').update(der).digest();
+  const objects = [
+    `CKA_CLASS CK_OBJECT_CLASS CKO_CERTIFICATE\nCKA_TOKEN CK_BBOOL CK_TRUE\nCKA_LABEL UTF8 "${label}"\nCKA_VALUE MULTILINE_OCTAL\n${toOctal(der)}\nEND`
+  ];
+  if (serverAuth) {
+    objects.push(`CKA_CLASS CK_OBJECT_CLASS CKO_NSS_TRUST\nCKA_LABEL UTF8 "${label}"\nCKA_CERT_SHA1_HASH MULTILINE_OCTAL\n${toOctal(sha1)}\nEND\nCKA_TRUST_SERVER_AUTH CK_TRUST ${serverAuth}\nCKA_TRUST_EMAIL_PROTECTION CK_TRUST CKT_NSS_MUST_VERIFY_TRUST`);
+  }
+  return objects.join('\n\n');
+};
+
+describe('Trust Store Service', () => {
+  let root;
+  let otherRoot;
+  let intermediate;
+  let leaf;
+
+  beforeAll(async () => {
+    root = await issueCertificate({ subject: 'CN=Trusted Root CA', isCA: true });
+    otherRoot = await issueCertificate({ subject: 'CN=Other Root CA', isCA: true });
+    intermediate = await issueCertificate({ subject: 'CN=Trusted Intermediate CA', issuer: root, isCA: true });
+    leaf = await issueCertificate({ subject: 'CN=trusted.example.com', issuer: intermediate, dnsNames: ['trusted.example.com'] });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.allAsync.mockResolvedValue([]);
+    mockDb.getAsync.mockResolvedValue(undefined);
+    mockDb.runAsync.mockResolvedValue({});
+  });
+
+  describe('parseTrustStoreFile', () => {
+    it('should read every certificate of a PEM bundle', async () => {
+      const bundle = Buffer.from([root.pem, otherRoot.pem].join('\n'));
+
+      const result = await trustStoreService.parseTrustStoreFile(bundle, 'roots.pem');
+
+      expect(result.format).toBe('pem');
+      expect(result.certificates.map(certificate => certificate.subject)).toEqual(['CN=Trusted Root CA', 'CN=Other Root CA']);
+      expect(result.skipped).toEqual([]);
+    });
+
+    it('should keep only certificates trusted for the purpose in a certdata.txt file', async () => {
+      const distrusted = await issueCertificate({ subject: 'CN=Distrusted Root CA', isCA: true });
+      const certdata = [
+        '# This Source Code Form is subject to the terms of the Mozilla Public License',
+        'BEGINDATA',
+        certdataObjects({ label: 'Trusted Root CA', der: root.der, serverAuth: 'CKT_NSS_TRUSTED_DELEGATOR' }),
+        certdataObjects({ label: 'Distrusted Root CA', der: distrusted.der, serverAuth: 'CKT_NSS_NOT_TRUSTED' }),
+        certdataObjects({ label: 'Untracked Root CA', der: otherRoot.der })
+      ].join('\n\n');
+
+      const result = await trustStoreService.parseTrustStoreFile(Buffer.from(certdata), 'certdata.txt');
+
+      expect(result.format).toBe('certdata');
+      expect(result.certificates.map(certificate => certificate.subject)).toEqual(['CN=Trusted Root CA']);
+      expect(result.skipped).toEqual([
+        { label: 'Distrusted Root CA', reason: 'Not trusted for server-auth (CKT_NSS_NOT_TRUSTED)' },
+        { label: 'Untracked Root CA', reason: 'No trust record' }
+      ]);
+    });
+
+    it('should reject files that hold no certificates', async () => {
+      await expect(trustStoreService.parseTrustStoreFile(Buffer.from('not a trust store'), 'roots.txt'))
+        .rejects.toThrow(/Unsupported trust store file/);
+    });
+  });
+
+  it('should add new anchors and drop missing ones on replace', async () => {
+    const { certificates } = await trustStoreService.parseTrustStoreFile(Buffer.from([root.pem, intermediate.pem].join('\n')), 'roots.pem');
+    mockDb.allAsync.mockResolvedValueOnce([
+      { fingerprint_sha256: certificates[0].fingerprintSha256 },
+      { fingerprint_sha256: 'stale-fingerprint' }
+    ]);
+
+    const result = await trustStoreService.importCertificates('store-1', certificates, { replace: true });
+
+    expect(result).toEqual({ added: 1, unchanged: 1, removed: 1 });
+    const inserts = mockDb.runAsync.mock.calls.filter(([sql]) => sql.includes('INSERT INTO trust_store_certificates'));
+    expect(inserts).toHaveLength(1);
+    expect(inserts[0][1][1]).toBe(certificates[1].fingerprintSha256);
+    expect(mockDb.runAsync).toHaveBeenCalledWith(
+      'DELETE FROM trust_store_certificates WHERE trust_store_id = ? AND fingerprint_sha256 = ?',
+      ['store-1', 'stale-fingerprint']
+    );
+  });
+
+  it('should diff the anchors of two trust stores', () => {
+    const anchor = (fingerprint) => ({ fingerprint_sha256: fingerprint, common_name: fingerprint });
+    const diff = trustStoreService.diffTrustStores(
+      { id: 'a', name: 'Public Web', certificates: [anchor('1'), anchor('2')] },
+      { id: 'b', name: 'Corporate', certificates: [anchor('2'), anchor('3')] }
+    );
+
+    expect(diff.onlyInBase.map(entry => entry.fingerprint_sha256)).toEqual(['1']);
+    expect(diff.onlyInOther.map(entry => entry.fingerprint_sha256)).toEqual(['3']);
+    expect(diff.common).toBe(1);
+    expect(diff.base).toEqual({ id: 'a', name: 'Public Web' });
+  });
+
+  describe('validateCertificate', () => {
+    const certificateRow = () => ({ id: 'cert-1', common_name: 'trusted.example.com', pem_content: leaf.pem, chain_pem: intermediate.pem });
+
+    it('should report a certificate that chains to an anchor of the store', async () => {
+      const store = { id: 'store-1', name: 'Corporate', anchors: [root.pem] };
+
+      const result = await trustStoreService.validateCertificate(certificateRow(), store, { fetchAia: false });
+
+      expect(result.trusted).toBe(true);
+      expect(result.trustAnchor.subject).toBe('CN=Trusted Root CA');
+      expect(result.chain.map(link => link.source)).toEqual(['input', 'provided', 'trust-store']);
+      expect(result.reason).toMatch(/Chains to "CN=Trusted Root CA" in trust store "Corporate"/);
+    });
+
+    it('should report a certificate whose root is not in the store', async () => {
+      const store = { id: 'store-2', name: 'Public Web', anchors: [otherRoot.pem] };
+      mockDb.allAsync.mockImplementation(async (sql, [, subject]) =>
+        subject === 'CN=Trusted Root CA' ? [{ id: 'root-id', pem_content: root.pem }] : []
+      );
+
+      const result = await trustStoreService.validateCertificate(certificateRow(), store, { fetchAia: false });
+
+      expect(result.trusted).toBe(false);
+      expect(result.trustAnchor).toBeNull();
+      expect(result.reason).toMatch(/ends at "CN=Trusted Root CA", which is not in trust store "Public Web"/);
+    });
+
+    it('should leave trust undecided when the folder has no store', async () => {
+      const result = await trustStoreService.validateCertificate(certificateRow(), null, { fetchAia: false });
+
+      expect(result.trusted).toBeNull();
+      expect(result.trustStore).toBeNull();
+      expect(result.reason).toBe('No trust store is assigned to the folder');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+import { issueCertificate } from './helpers/pki.js';
+
+// Mock dependencies
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb,
+  getDatabaseProvider: () => 'sqlite',
+  getPasswordService: () => ({}),
+  getDatabaseHealth: async () => ({ status: 'healthy', provider: 'sqlite', connected: true }),
+  migration: {},
+  initializeDatabase: async () => {}
+}));
+jest.unstable_mockModule('../src/services/gcpCertificateService.js', () => ({
+  default: {}
+}));
+
+// index.js starts listening on import; use an ephemeral port so suites can run side by side
+process.env.PORT = '0';
+const { default: app } = await import('../src/index.js');
+
+describe('Trust Stores API', () => {
+  let authToken;
+  let root;
+  let stores;
+  let anchors;
+  let folders;
+
+  beforeAll(async () => {
+    authToken = jwt.sign({ id: 1, username: 'testuser', role: 'admin' }, process.env.JWT_SECRET || 'test-secret');
+    root = await issueCertificate({ subject: 'CN=API Root CA', isCA: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stores = {};
+    anchors = [];
+    folders = { 'folder-1': { id: 'folder-1', name: 'Web', trust_store_id: null } };
+
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO trust_stores')) {
+        stores[params[0]] = { id: params[0], name: params[1], description: params[2], source_format: params[3] };
+      } else if (sql.includes('INSERT INTO trust_store_certificates')) {
+        anchors.push({ trust_store_id: params[0], fingerprint_sha256: params[1], common_name: params[2] });
+      } else if (sql.startsWith('UPDATE folders SET trust_store_id = ? WHERE id = ?')) {
+        folders[params[1]].trust_store_id = params[0];
+      }
+    });
+    mockDb.getAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM users')) return { id: 1, username: 'testuser', role: 'admin', active: 1 };
+      if (sql.includes('FROM roles')) return { id: 'admin', permissions: '["system:settings","folders:write"]' };
+      if (sql.includes('FROM trust_stores WHERE name = ?')) return Object.values(stores).find(store => store.name === params[0]);
+      if (sql.includes('FROM trust_stores WHERE id = ?')) return stores[params[0]];
+      if (sql.includes('FROM folders WHERE id = ?')) return folders[params[0]];
+      return undefined;
+    });
+    mockDb.allAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM trust_store_certificates WHERE trust_store_id = ?')) {
+        return anchors.filter(anchor => anchor.trust_store_id === params[0]);
+      }
+      return [];
+    });
+  });
+
+  it('should create a trust store from a PEM bundle', async () => {
+    const res = await request(app)
+      .post('/api/trust-stores')
+      .set('Authorization', `Bearer ${authToken}`)
+      .field('name', 'Corporate Internal')
+      .attach('bundle', Buffer.from(root.pem), 'roots.pem');
+
+    expect(res.status).toBe(201);
+    expect(res.body.added).toBe(1);
+    expect(res.body.trustStore.name).toBe('Corporate Internal');
+    expect(res.body.trustStore.source_format).toBe('pem');
+    expect(res.body.trustStore.certificates).toEqual([expect.objectContaining({ common_name: 'API Root CA' })]);
+  });
+
+  it('should reject a second trust store with the same name', async () => {
+    stores['store-1'] = { id: 'store-1', name: 'Corporate Internal' };
+
+    const res = await request(app)
+      .post('/api/trust-stores')
+      .set('Authorization', `Bearer ${authToken}`)
+      .field('name', 'Corporate Internal')
+      .attach('bundle', Buffer.from(root.pem), 'roots.pem');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/already exists/);
+  });
+
+  it('should reject a file without certificates', async () => {
+    const res = await request(app)
+      .post('/api/trust-stores')
+      .set('Authorization', `Bearer ${authToken}`)
+      .field('name', 'Empty')
+      .attach('bundle', Buffer.from('nothing to see'), 'roots.txt');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Unsupported trust store file/);
+  });
+
+  it('should assign a trust store to a folder', async () => {
+    stores['store-1'] = { id: 'store-1', name: 'Corporate Internal' };
+
+    const res = await request(app)
+      .put('/api/folders/folder-1/trust-store')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ trustStoreId: 'store-1' });
+
+    expect(res.status).toBe(200);
+    expect(folders['folder-1'].trust_store_id).toBe('store-1');
+  });
+
+  it('should refuse to assign an unknown trust store', async () => {
+    const res = await request(app)
+      .put('/api/folders/folder-1/trust-store')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ trustStoreId: 'missing' });
+
+    expect(res.status).toBe(400);
+    expect(folders['folder-1'].trust_store_id).toBeNull();
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Webhook Service Tests
+ * Tests for posting signed certificate events to a local receiver, folder scoping, the
+ * Slack and Teams formats, retries with backoff and redelivery
+ */
+
+import { jest } from '@jest/globals';
+import http from 'http';
+
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb
+}));
+
+const { default: webhookService, verifySignature, retryDelay } = await import('../src/services/webhookService.js');
+const { default: certificateEventService } = await import('../src/services/certificateEventService.js');
+
+describe('Webhook Service', () => {
+  let receiver;
+  let url;
+  let requests;
+  let responseStatus;
+  let subscriptions;
+  let deliveries;
+
+  const certificate = {
+    id: 'cert-1',
+    common_name: 'www.example.com',
+    serial_number: '01ab',
+    issuer: 'CN=Test CA',
+    valid_to: '2025-08-01T00:00:00.000Z',
+    status: 'VALID',
+    folder_id: 'folder-prod',
+    folder_name: 'Production'
+  };
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ path: req.url, headers: req.headers, body });
+        res.writeHead(responseStatus, { 'Content-Type': 'text/plain' });
+        res.end(responseStatus === 200 ? 'ok' : 'unavailable');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    requests = [];
+    responseStatus = 200;
+    subscriptions = [];
+    deliveries = [];
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    delete process.env.WEBHOOK_RETRY_BASE_SECONDS;
+
+    mockDb.getAsync.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM certificates c')) return params[0] === certificate.id ? certificate : undefined;
+      if (sql.includes('FROM folders')) return { id: params[0], name: 'Production' };
+      if (sql.includes('FROM webhook_subscriptions')) return subscriptions.find(row => row.id === params[0]);
+      if (sql.includes('FROM webhook_deliveries')) return deliveries.find(row => row.id === params[0]);
+      return undefined;
+    });
+    mockDb.allAsync.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM webhook_subscriptions WHERE enabled = 1')) return subscriptions.filter(row => row.enabled);
+      if (sql.includes("status = 'pending' AND next_attempt_at <= ?")) {
+        return deliveries.filter(row => row.status === 'pending' && row.next_attempt_at <= params[0]);
+      }
+      return [];
+    });
+    mockDb.runAsync.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO webhook_subscriptions')) {
+        const [id, name, subscriptionUrl, format, encryptedSecret, events, folderId, enabled] = params;
+        subscriptions.push({ id, name, url: subscriptionUrl, format, encrypted_secret: encryptedSecret, events, folder_id: folderId, enabled });
+      } else if (sql.includes('INSERT INTO webhook_deliveries')) {
+        const [id, subscriptionId, eventId, eventType, certificateId, payload, status, attempts, nextAttemptAt, redeliveryOf] = params;
+        deliveries.push({
+          id, subscription_id: subscriptionId, event_id: eventId, event_type: eventType, certificate_id: certificateId,
+          payload, status, attempts, next_attempt_at: nextAttemptAt, redelivery_of: redeliveryOf
+        });
+      } else if (sql.includes('UPDATE webhook_deliveries')) {
+        const [status, attempts, nextAttemptAt, lastAttemptAt, statusCode, error, deliveredAt, id] = params;
+        Object.assign(deliveries.find(row => row.id === id), {
+          status, attempts, next_attempt_at: nextAttemptAt, last_attempt_at: lastAttemptAt,
+          response_status: statusCode, error, delivered_at: deliveredAt
+        });
+      }
+    });
+  });
+
+  const subscribe = (fields) => webhookService.createSubscription({
+    name: 'Receiver',
+    url: `${url}/${fields.format || 'generic'}`,
+    events: ['certificate.uploaded', 'certificate.moved', 'certificate.expiring'],
+    ...fields
+  });
+
+  const record = async (eventType, options) => {
+    await certificateEventService.recordEvent(certificate.id, eventType, options);
+    await webhookService.flush();
+  };
+
+  it('should post signed generic payloads to subscriptions of the event', async () => {
+    const { secret } = await subscribe({});
+    await subscribe({ events: ['certificate.deleted'] });
+
+    await record('uploaded', { toStatus: 'VALID', details: { folderId: 'folder-prod', source: 'upload' } });
+
+    expect(requests).toHaveLength(1);
+    const [request] = requests;
+    expect(request.headers['x-webhook-event']).toBe('certificate.uploaded');
+    expect(request.headers['x-webhook-delivery']).toBe(deliveries[0].id);
+    expect(verifySignature(secret, request.headers['x-webhook-signature'], request.body)).toBe(true);
+    expect(verifySignature('another-secret-value', request.headers['x-webhook-signature'], request.body)).toBe(false);
+    expect(JSON.parse(request.body)).toMatchObject({
+      event: 'certificate.uploaded',
+      summary: 'www.example.com was added to the inventory',
+      certificate: { id: 'cert-1', commonName: 'www.example.com', folderName: 'Production', status: 'VALID' },
+      details: { source: 'upload' }
+    });
+    expect(deliveries[0]).toMatchObject({ status: 'succeeded', attempts: 1, response_status: 200, error: null });
+  });
+
+  it('should only send events of certificates in or leaving the folder of a folder subscription', async () => {
+    await subscribe({ folderId: 'folder-staging' });
+
+    await record('uploaded', { details: { folderId: 'folder-prod' } });
+    expect(requests).toHaveLength(0);
+
+    await record('moved', { details: { folderId: 'folder-prod', previousFolderId: 'folder-staging' } });
+    expect(requests.map(request => request.headers['x-webhook-event'])).toEqual(['certificate.moved']);
+  });
+
+  it('should send status changes as expiring, expired and revoked events', async () => {
+    await subscribe({});
+
+    await record('status_changed', { fromStatus: 'EXPIRING_SOON', toStatus: 'VALID' });
+    await record('status_changed', { fromStatus: 'VALID', toStatus: 'EXPIRING_SOON' });
+
+    expect(requests).toHaveLength(1);
+    expect(JSON.parse(requests[0].body).summary).toBe('www.example.com expires on 2025-08-01T00:00:00.000Z');
+  });
+
+  it('should format Slack and Teams messages', async () => {
+    await subscribe({ format: 'slack' });
+    await subscribe({ format: 'teams' });
+
+    await record('status_changed', { fromStatus: 'VALID', toStatus: 'EXPIRING_SOON' });
+
+    const slack = JSON.parse(requests.find(request => request.path === '/slack').body);
+    expect(slack.text).toBe('[certificate.expiring] www.example.com expires on 2025-08-01T00:00:00.000Z');
+    expect(slack.blocks[1].fields).toContainEqual({ type: 'mrkdwn', text: '*Folder*\nProduction' });
+
+    const teams = JSON.parse(requests.find(request => request.path === '/teams').body);
+    expect(teams.type).toBe('message');
+    expect(teams.attachments[0].contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(teams.attachments[0].content.body[2].facts).toContainEqual({ title: 'Status', value: 'EXPIRING_SOON' });
+  });
+
+  it('should retry failed deliveries with exponential backoff until attempts run out', async () => {
+    process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+    process.env.WEBHOOK_RETRY_BASE_SECONDS = '60';
+    expect([1, 2, 3].map(attempts => retryDelay(attempts, 60000))).toEqual([60000, 120000, 240000]);
+    await subscribe({});
+    responseStatus = 503;
+
+    await record('uploaded', {});
+    const [delivery] = deliveries;
+    const firstAttempt = new Date(delivery.last_attempt_at).getTime();
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, response_status: 503, error: 'HTTP 503: unavailable' });
+    expect(new Date(delivery.next_attempt_at).getTime() - firstAttempt).toBe(60000);
+
+    expect(await webhookService.retryDue({ now: new Date(firstAttempt + 30000) })).toEqual({ attempted: 0, succeeded: 0 });
+    await webhookService.retryDue({ now: new Date(firstAttempt + 60000) });
+    expect(delivery.attempts).toBe(2);
+    expect(new Date(delivery.next_attempt_at).getTime() - new Date(delivery.last_attempt_at).getTime()).toBe(120000);
+
+    await webhookService.retryDue({ now: new Date(firstAttempt + 24 * 60 * 60 * 1000) });
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 3, next_attempt_at: null });
+    expect(requests).toHaveLength(3);
+  });
+
+  it('should redeliver the same payload as a new delivery', async () => {
+    await subscribe({});
+    responseStatus = 500;
+    process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+    await record('uploaded', {});
+    expect(deliveries[0].status).toBe('failed');
+
+    responseStatus = 200;
+    const redelivery = await webhookService.redeliver(deliveries[0].id);
+
+    expect(redelivery).toMatchObject({ status: 'succeeded', redeliveryOf: deliveries[0].id, eventType: 'certificate.uploaded' });
+    expect(requests[1].body).toBe(requests[0].body);
+    expect(requests[1].headers['x-webhook-delivery']).toBe(redelivery.id);
+    await expect(webhookService.redeliver('missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
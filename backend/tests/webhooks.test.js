@@ -0,0 +1,128 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+const mockDb = {
+  runAsync: jest.fn(),
+  getAsync: jest.fn(),
+  allAsync: jest.fn()
+};
+const mockWebhookService = {
+  listSubscriptions: jest.fn(),
+  getSubscription: jest.fn(),
+  createSubscription: jest.fn(),
+  updateSubscription: jest.fn(),
+  deleteSubscription: jest.fn(),
+  sendTest: jest.fn(),
+  getDeliveries: jest.fn(),
+  getDelivery: jest.fn(),
+  redeliver: jest.fn(),
+  dispatch: jest.fn(),
+  start: jest.fn()
+};
+
+jest.unstable_mockModule('../src/database/flexible-init.js', () => ({
+  getDatabase: () => mockDb,
+  getDatabaseProvider: () => 'sqlite',
+  getPasswordService: () => ({}),
+  getDatabaseHealth: async () => ({ status: 'healthy', provider: 'sqlite', connected: true }),
+  migration: {},
+  initializeDatabase: async () => {}
+}));
+jest.unstable_mockModule('../src/services/gcpCertificateService.js', () => ({
+  default: {}
+}));
+jest.unstable_mockModule('../src/services/webhookService.js', () => ({
+  default: mockWebhookService,
+  WEBHOOK_EVENTS: { 'certificate.expiring': 'Certificate entered its expiry warning period' },
+  WEBHOOK_FORMATS: ['generic', 'slack', 'teams']
+}));
+
+// index.js starts listening on import; use an ephemeral port so suites can run side by side
+process.env.PORT = '0';
+const { default: app } = await import('../src/index.js');
+
+describe('Webhooks API', () => {
+  let authToken;
+  let permissions;
+
+  const subscription = {
+    id: 'w1',
+    name: 'Ops channel',
+    url: 'https://hooks.example.com/ops',
+    format: 'slack',
+    events: ['certificate.expiring'],
+    folderId: null,
+    enabled: true
+  };
+
+  beforeAll(() => {
+    authToken = jwt.sign({ id: 1, username: 'testuser', role: 'admin' }, process.env.JWT_SECRET || 'test-secret');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    permissions = ['system:settings'];
+    mockDb.getAsync.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users')) return { id: 1, username: 'testuser', email: 'test@example.com', role: 'admin', active: 1 };
+      if (sql.includes('FROM roles')) return { id: 'admin', permissions: JSON.stringify(permissions) };
+      return undefined;
+    });
+  });
+
+  it('should list events to everyone but keep subscriptions to administrators', async () => {
+    permissions = ['certificates:read'];
+
+    const events = await request(app)
+      .get('/api/webhooks/events')
+      .set('Authorization', `Bearer ${authToken}`);
+    const subscriptions = await request(app)
+      .get('/api/webhooks/subscriptions')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(events.status).toBe(200);
+    expect(events.body.formats).toEqual(['generic', 'slack', 'teams']);
+    expect(subscriptions.status).toBe(403);
+    expect(mockWebhookService.listSubscriptions).not.toHaveBeenCalled();
+  });
+
+  it('should validate and create subscriptions', async () => {
+    mockWebhookService.createSubscription.mockResolvedValue({ ...subscription, secret: 'generated-secret' });
+
+    const created = await request(app)
+      .post('/api/webhooks/subscriptions')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Ops channel', url: 'https://hooks.example.com/ops', format: 'slack', events: ['certificate.expiring'] });
+    const invalid = await request(app)
+      .post('/api/webhooks/subscriptions')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Ops', url: 'https://hooks.example.com', events: ['certificate.renamed'] });
+
+    expect(created.status).toBe(201);
+    expect(created.body.secret).toBe('generated-secret');
+    expect(mockWebhookService.createSubscription).toHaveBeenCalledWith(
+      { name: 'Ops channel', url: 'https://hooks.example.com/ops', format: 'slack', events: ['certificate.expiring'], folderId: null, enabled: true },
+      { createdBy: 1 }
+    );
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details[0]).toContain('"events[0]" must be one of');
+  });
+
+  it('should redeliver deliveries and report unknown ones', async () => {
+    mockWebhookService.redeliver.mockResolvedValueOnce({ id: 'd2', status: 'succeeded', redeliveryOf: 'd1' });
+    mockWebhookService.redeliver.mockRejectedValueOnce(Object.assign(new Error('Webhook delivery not found'), { statusCode: 404 }));
+
+    const redelivered = await request(app)
+      .post('/api/webhooks/deliveries/d1/redeliver')
+      .set('Authorization', `Bearer ${authToken}`);
+    const missing = await request(app)
+      .post('/api/webhooks/deliveries/nope/redeliver')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(redelivered.status).toBe(201);
+    expect(redelivered.body.redeliveryOf).toBe('d1');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error).toBe('Webhook delivery not found');
+  });
+});
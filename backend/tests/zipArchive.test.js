@@ -0,0 +1,95 @@
+/**
+ * ZIP Archive Tests
+ * Tests for reading bulk-upload archives and writing export archives
+ */
+
+import { readZipEntries, isZipArchive, createZipArchive } from '../src/utils/zipArchive.js';
+
+describe('ZIP archive', () => {
+  it('should read deflated and stored entries', () => {
+    const pem = '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n';
+    for (const deflate of [true, false]) {
+      const archive = createZipArchive([
+        { name: 'certs/a.pem', content: pem },
+        { name: 'b.der', content: Buffer.from([0x30, 0x82, 0x01]) }
+      ], { deflate });
+
+      expect(isZipArchive(archive)).toBe(true);
+      const entries = readZipEntries(archive);
+      expect(entries.map(entry => entry.name)).toEqual(['certs/a.pem', 'b.der']);
+      expect(entries[0].buffer.toString()).toBe(pem);
+      expect(entries[1].buffer).toEqual(Buffer.from([0x30, 0x82, 0x01]));
+    }
+  });
+
+  it('should leave out directories and macOS metadata', () => {
+    const archive = createZipArchive([
+      { name: 'certs/', content: '' },
+      { name: '__MACOSX/certs/._a.pem', content: 'meta' },
+      { name: 'certs/.DS_Store', content: 'meta' },
+      { name: 'certs/a.pem', content: 'pem' }
+    ]);
+
+    expect(readZipEntries(archive).map(entry => entry.name)).toEqual(['certs/a.pem']);
+  });
+
+  it('should report oversized and corrupt entries instead of failing the archive', () => {
+    const archive = createZipArchive([
+      { name: 'big.pem', content: 'x'.repeat(2048) },
+      { name: 'ok.pem', content: 'ok' }
+    ], { deflate: false });
+    archive.write('y', 30 + 'big.pem'.length); // Corrupt the first entry's data
+
+    const entries = readZipEntries(archive, { maxEntrySize: 1024 });
+    expect(entries[0]).toEqual({ name: 'big.pem', error: expect.stringMatching(/too large/) });
+    expect(entries[1].buffer.toString()).toBe('ok');
+
+    const corrupt = readZipEntries(archive);
+    expect(corrupt[0].error).toMatch(/CRC mismatch/);
+  });
+
+  it('should reject files that are not ZIP archives', () => {
+    expect(isZipArchive(Buffer.from('-----BEGIN CERTIFICATE-----'))).toBe(false);
+    expect(() => readZipEntries(Buffer.alloc(64))).toThrow(/end of central directory/);
+  });
+
+  it('should enforce the entry count limit', () => {
+    const archive = createZipArchive([{ name: 'a.pem', content: 'a' }, { name: 'b.pem', content: 'b' }]);
+    expect(() => readZipEntries(archive, { maxEntries: 1 })).toThrow(/at most 1/);
+  });
+
+  it('should reject archives that expand beyond the total size limit', () => {
+    const archive = createZipArchive([
+      { name: 'a.pem', content: 'a'.repeat(600) },
+      { name: 'b.pem', content: 'b'.repeat(600) }
+    ]);
+
+    expect(readZipEntries(archive, { maxTotalSize: 1200 })).toHaveLength(2);
+    expect(() => readZipEntries(archive, { maxTotalSize: 1000 })).toThrow(/expands to more than 1000 bytes/);
+  });
+
+  it('should reject archives whose entries share or overlap their data', () => {
+    const inner = createZipArchive([{ name: 'b.pem', content: 'b' }], { deflate: false });
+    const entries = [{ name: 'a.pem', content: inner.subarray(0, 30 + 'b.pem'.length + 1) }, { name: 'b.pem', content: 'b' }];
+    const shared = createZipArchive(entries, { deflate: false });
+    const overlapping = createZipArchive(entries, { deflate: false });
+    // Point the second entry at the first entry's local header, or at the copy of its own header inside the first entry's data
+    const secondEntry = archive => archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    shared.writeUInt32LE(0, secondEntry(shared) + 42);
+    overlapping.writeUInt32LE(30 + 'a.pem'.length, secondEntry(overlapping) + 42);
+
+    expect(() => readZipEntries(shared)).toThrow(/share or overlap/);
+    expect(() => readZipEntries(overlapping)).toThrow(/share or overlap/);
+  });
+
+  it('should write UTF-8 names and the modification time', () => {
+    const modifiedAt = new Date(2025, 6, 14, 9, 30, 42);
+    const archive = createZipArchive([{ name: 'Zertifikate/Müller GmbH.pem', content: 'pem' }], { modifiedAt });
+
+    expect(readZipEntries(archive)).toEqual([{ name: 'Zertifikate/Müller GmbH.pem', buffer: Buffer.from('pem') }]);
+    // DOS time and date of the central directory entry
+    const central = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    expect(archive.readUInt16LE(central + 12)).toBe((9 << 11) | (30 << 5) | 21);
+    expect(archive.readUInt16LE(central + 14)).toBe((45 << 9) | (7 << 5) | 14);
+  });
+});
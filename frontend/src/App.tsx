@@ -8,6 +8,8 @@ import Modal from './components/Modal';
 import UploadCertificateForm from './components/UploadCertificateForm';
 import ViewCertificateDataModal from './components/ViewCertificateDataModal';
 import NotificationSettingsModal from './components/NotificationSettingsModal';
+import CertificateAuthorityPanel from './components/CertificateAuthorityPanel';
+import GenerateCsrForm from './components/GenerateCsrForm';
 import { AISettingsModal } from './components/AISettingsModal';
 import FolderPanel from './components/FolderPanel';
 import CreateEditFolderModal from './components/modals/CreateEditFolderModal';
@@ -20,7 +22,7 @@ import OAuthSuccess from './components/OAuthSuccess';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import ProtectedRoute from './components/ProtectedRoute';
 
-import { Certificate, NotificationMessage, CertificateStatus, NotificationSettings, Folder } from './types';
+import { Certificate, NotificationMessage, Folder, DuplicateUploadAction, BulkUploadReport, CertificateRequest } from './types';
 import { 
   getCertificates, 
   renewCertificate as apiRenewCertificate, 
@@ -34,11 +36,10 @@ import {
   assignCertificateToFolder as apiAssignCertificateToFolder
 } from './services/certificateService';
 import { apiService } from './services/apiService';
-import { loadNotificationSettings, saveNotificationSettings } from './services/notificationSettingsService';
 import { initializeAuth, getCurrentUser } from './services/authService';
 import { loadMetadata, getDefaultFolder } from './services/metadataService';
 import { notificationService } from './services/notificationService';
-import { ICONS, DEFAULT_NOTIFICATION_SETTINGS, ALL_CERTIFICATES_FOLDER_ID } from './constants';
+import { ICONS, ALL_CERTIFICATES_FOLDER_ID } from './constants';
 
 const isAuthenticated = () => !!localStorage.getItem('authToken');
 
@@ -60,10 +61,9 @@ const MainApp: React.FC = () => {
   const [renewingCertId, setRenewingCertId] = useState<string | null>(null);
   const [isDeleteConfirmModalOpen, setIsDeleteConfirmModalOpen] = useState<boolean>(false);
   const [certToDelete, setCertToDelete] = useState<Certificate | null>(null);
-  const [notificationSettings, setNotificationSettings] = useState<NotificationSettings>(DEFAULT_NOTIFICATION_SETTINGS);
   const [isNotificationSettingsModalOpen, setIsNotificationSettingsModalOpen] = useState<boolean>(false);
-  const [notifiedForExpiry, setNotifiedForExpiry] = useState<Record<string, boolean>>({});
-  const notifiedForExpiryRef = React.useRef(notifiedForExpiry);
+  const [isCertificateAuthoritiesModalOpen, setIsCertificateAuthoritiesModalOpen] = useState<boolean>(false);
+  const [isGenerateCsrModalOpen, setIsGenerateCsrModalOpen] = useState<boolean>(false);
   const [isCreateEditFolderModalOpen, setIsCreateEditFolderModalOpen] = useState<boolean>(false);
   const [folderToEdit, setFolderToEdit] = useState<Folder | null>(null);
   const [parentFolderForCreation, setParentFolderForCreation] = useState<string | null>(null);
@@ -97,61 +97,6 @@ const MainApp: React.FC = () => {
     setNotifications(prev => prev.filter(n => n.id !== id));
   };
 
-  const sendSimulatedEmail = useCallback((recipient: string, subject: string, body: string) => {
-    console.groupCollapsed(`%cSimulating Email to: ${recipient}`, 'color: #0ea5e9; font-weight: bold;');
-    console.log(`To: ${recipient}`);
-    console.log(`Subject: ${subject}`);
-    console.log(`Body:\n${body}`);
-    console.groupEnd();
-    addNotification(`Simulated Email: "${subject}" to ${recipient}`, 'info');
-  }, [addNotification]);
-
-  useEffect(() => {
-    notifiedForExpiryRef.current = notifiedForExpiry;
-  }, [notifiedForExpiry]);
-
-  const checkAndSendExpiryNotifications = useCallback((certs: Certificate[], settings: NotificationSettings) => {
-    if (!settings.notificationsEnabled || !settings.recipientEmail) return;
-    const now = new Date();
-    let updatedNotifiedForExpiry = { ...(notifiedForExpiryRef.current ?? {}) };
-    let emailSentThisCycle = false;
-
-    certs.forEach(cert => {
-      const validToDate = new Date(cert.validTo);
-      if (cert.status === CertificateStatus.EXPIRED) return; 
-
-      settings.thresholds.forEach(threshold => {
-        const notificationKey = `${cert.id}_${threshold}`;
-        const thresholdDate = new Date(validToDate);
-        thresholdDate.setDate(validToDate.getDate() - threshold);
-
-        if (now >= thresholdDate && now < validToDate && !updatedNotifiedForExpiry[notificationKey]) {
-          const daysRemaining = Math.ceil((validToDate.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
-          const subject = `Certificate Expiry Warning: ${cert.commonName} (~${daysRemaining} days remaining)`;
-          const body = 
-`Dear Admin,
-This is a notification that the certificate for ${cert.commonName} is due to expire soon.
-Common Name: ${cert.commonName}
-Serial Number: ${cert.serialNumber}
-Expires On: ${validToDate.toUTCString()}
-Days Remaining: Approximately ${daysRemaining}
-This notification was triggered because it is within the ${threshold}-day warning period.
-Please take action to renew this certificate.
-Regards,
-Enterprise Certificate Manager (Simulated Email System)`;
-          sendSimulatedEmail(settings.recipientEmail, subject, body);
-          updatedNotifiedForExpiry[notificationKey] = true;
-          emailSentThisCycle = true;
-        }
-      });
-    });
-
-    if (emailSentThisCycle) {
-      setNotifiedForExpiry(updatedNotifiedForExpiry);
-      localStorage.setItem('notifiedForExpiry', JSON.stringify(updatedNotifiedForExpiry));
-    }
-  }, [sendSimulatedEmail]);
-
   // Initialize system metadata and authentication (no user fetch here)
   useEffect(() => {
     const initializeSystem = async () => {
@@ -210,11 +155,32 @@ Enterprise Certificate Manager (Simulated Email System)`;
       updatedAt: cert.updated_at,
       renewalCount: cert.renewal_count || 0,
       isTemp: cert.is_temp,
+      hasPrivateKey: Boolean(cert.has_private_key),
+      subjectAltNames: cert.subject_alt_names,
+      keyAlgorithm: cert.key_algorithm,
+      keySize: cert.key_size,
+      keyCurve: cert.key_curve,
+      signatureAlgorithm: cert.signature_algorithm,
+      isCA: Boolean(cert.is_ca),
+      keyUsage: cert.key_usage,
+      extendedKeyUsage: cert.extended_key_usage,
+      fingerprintSha1: cert.fingerprint_sha1,
+      fingerprintSha256: cert.fingerprint_sha256,
+      subjectKeyIdentifier: cert.subject_key_identifier,
+      authorityKeyIdentifier: cert.authority_key_identifier,
+      crlDistributionPoints: cert.crl_distribution_points,
+      ocspUrls: cert.ocsp_urls,
+      caIssuersUrls: cert.ca_issuers_urls,
+      certificatePolicies: cert.certificate_policies,
+      additionalFolders: cert.additional_folders,
+      sourceType: cert.source_type,
+      sourceLocation: cert.source_location,
+      expiryThresholds: cert.expiry_thresholds,
       // Add any other fields as needed
     };
   }
 
-  const fetchAllData = useCallback(async (currentSettings: NotificationSettings) => {
+  const fetchAllData = useCallback(async () => {
     if (!isSystemInitialized) return;
 
     setIsLoadingCerts(true);
@@ -225,7 +191,6 @@ Enterprise Certificate Manager (Simulated Email System)`;
       const certsData = certsDataRaw.map(mapCertificateApiToFrontend);
       setAllCertificates(certsData);
       setFolders(foldersData);
-      checkAndSendExpiryNotifications(certsData, currentSettings);
     } catch (err: any) {
       const errorMsg = err.message || 'Failed to load initial data.';
       setErrorCerts(errorMsg);
@@ -235,19 +200,14 @@ Enterprise Certificate Manager (Simulated Email System)`;
       setIsLoadingCerts(false);
       setIsLoadingFolders(false);
     }
-  }, [addNotification, checkAndSendExpiryNotifications, isSystemInitialized]);
+  }, [addNotification, isSystemInitialized]);
 
   useEffect(() => {
     if (!isSystemInitialized) return;
-
-    const settings = loadNotificationSettings();
-    setNotificationSettings(settings);
-    const storedNotified = localStorage.getItem('notifiedForExpiry');
-    if (storedNotified) {
-      try { setNotifiedForExpiry(JSON.parse(storedNotified)); } 
-      catch(e) { console.error("Error parsing stored notifiedForExpiry", e); setNotifiedForExpiry({});}
-    }
-    fetchAllData(settings);
+    // Expiry emails are sent by the server; drop what the old in-browser simulation kept
+    localStorage.removeItem('notifiedForExpiry');
+    localStorage.removeItem('notificationSettings');
+    fetchAllData();
   }, [fetchAllData, isSystemInitialized]);
 
   // Filter certificates based on selectedFolderId
@@ -255,7 +215,10 @@ Enterprise Certificate Manager (Simulated Email System)`;
     if (selectedFolderId === ALL_CERTIFICATES_FOLDER_ID) {
       setFilteredCertificates(allCertificates);
     } else {
-      setFilteredCertificates(allCertificates.filter(cert => cert.folderId === selectedFolderId));
+      setFilteredCertificates(allCertificates.filter(cert =>
+        cert.folderId === selectedFolderId ||
+        Boolean(cert.additionalFolders?.some(folder => folder.id === selectedFolderId))
+      ));
     }
   }, [allCertificates, selectedFolderId]);
 
@@ -265,8 +228,7 @@ Enterprise Certificate Manager (Simulated Email System)`;
     
     // Refresh data when user changes
     if (isSystemInitialized) {
-      const settings = loadNotificationSettings();
-      fetchAllData(settings);
+      fetchAllData();
     }
   }, [fetchAllData, isSystemInitialized]);
 
@@ -281,16 +243,17 @@ Enterprise Certificate Manager (Simulated Email System)`;
         setAllCertificates(prevCerts =>
           prevCerts.map(c => (c.id === id ? updatedCert : c))
         );
-        addNotification(`Certificate renewed successfully. Updated at ${new Date(updatedCert.updatedAt || '').toLocaleString()}`, 'success');
+        addNotification(renewalResponse.version
+          ? `${renewalResponse.message}.`
+          : `Certificate renewed successfully. Updated at ${new Date(updatedCert.updatedAt || '').toLocaleString()}`, 'success');
       } else {
         addNotification(`Certificate renewal initiated.`, 'success');
         
         // Optionally refetch all certificates to get updated data
-        const settings = loadNotificationSettings();
-        fetchAllData(settings);
+        fetchAllData();
       }
-    } catch (err) {
-      addNotification('An error occurred while renewing certificate.', 'error');
+    } catch (err: any) {
+      addNotification(err.response?.data?.error || 'An error occurred while renewing certificate.', 'error');
     } finally {
       setRenewingCertId(null);
     }
@@ -342,29 +305,103 @@ Enterprise Certificate Manager (Simulated Email System)`;
     }
   };
   
-  const handleViewDetails = (certificate: Certificate) => {
+  const handleViewDetails = async (certificate: Certificate) => {
     setSelectedCertificate(certificate);
     setViewModalMode('view');
     setIsViewModalOpen(true);
+    // List rows omit SANs; load the full record for the details view
+    try {
+      const detailed = mapCertificateApiToFrontend(await apiService.getCertificate(certificate.id));
+      setSelectedCertificate(current => (current && current.id === detailed.id ? detailed : current));
+    } catch (error) {
+      console.warn('Failed to load certificate details:', error);
+    }
   };
 
-  const handleUploadCertificateFile = async (file: File, folderId: string | null): Promise<void> => {
+  const handleUploadCertificateFile = async (
+    file: File,
+    folderId: string | null,
+    password?: string,
+    onDuplicate?: DuplicateUploadAction
+  ): Promise<void> => {
     if (!file) {
         addNotification('No file selected for upload.', 'error');
         throw new Error('No file selected.');
             }
             try {
       console.log('file:', file, 'isFile:', file instanceof File);
-      const newCertificateApi = await apiAddCertificate(file, folderId || undefined); // Pass File directly
-      const newCertificate = mapCertificateApiToFrontend(newCertificateApi);
+      const uploadResult: any = await apiAddCertificate(file, folderId || undefined, password, onDuplicate); // Pass File directly
+      // The certificate was already held; with onDuplicate=attach it is now listed in this folder too
+      if (uploadResult.duplicate) {
+        const existing = mapCertificateApiToFrontend(uploadResult.certificate);
+        setAllCertificates(prevCerts => prevCerts.map(cert => (cert.id === existing.id ? existing : cert)));
+        addNotification(`${existing.commonName} (from ${file.name}): ${uploadResult.message}.`, 'info');
+        setIsUploadModalOpen(false);
+        return;
+      }
+      // Private keys are attached to the certificates they match
+      if (uploadResult.matchedCertificates) {
+        const matchedIds = uploadResult.matchedCertificates.map((cert: any) => cert.id);
+        setAllCertificates(prevCerts =>
+          prevCerts.map(cert => (matchedIds.includes(cert.id) ? { ...cert, hasPrivateKey: true } : cert))
+        );
+        addNotification(`Private key from ${file.name} attached to ${matchedIds.length} certificate(s).`, 'success');
+        setIsUploadModalOpen(false);
+        return;
+      }
+      // CSRs are kept in the pending-requests list, not the certificate inventory
+      if (uploadResult.certificateRequest) {
+        addNotification(`Certificate request for ${uploadResult.certificateRequest.common_name} (from ${file.name}) saved as pending.`, 'success');
+        setIsUploadModalOpen(false);
+        return;
+      }
+      // Bundles (PKCS#7, fullchain PEM) come back as { created, skipped } rather than a single certificate
+      const isBundle = Array.isArray(uploadResult.created);
+      const newCertificates = (isBundle ? uploadResult.created : [uploadResult]).map(mapCertificateApiToFrontend);
                 setAllCertificates(prevCerts => 
-                  [newCertificate, ...prevCerts].sort((a,b) => new Date(b.validTo).getTime() - new Date(a.validTo).getTime())
+                  [...newCertificates, ...prevCerts].sort((a,b) => new Date(b.validTo).getTime() - new Date(a.validTo).getTime())
                 );
-                addNotification(`Certificate ${newCertificate.commonName} (from ${file.name}) added successfully.`, 'success');
+                if (isBundle) {
+                  const skippedCount = uploadResult.skipped.length;
+                  addNotification(
+                    `${newCertificates.length} certificate(s) added from ${file.name}` +
+                      (skippedCount > 0 ? `, ${skippedCount} already in inventory and skipped.` : '.'),
+                    newCertificates.length > 0 ? 'success' : 'info'
+                  );
+                } else {
+                  addNotification(`Certificate ${newCertificates[0].commonName} (from ${file.name}) added successfully.`, 'success');
+                }
                 setIsUploadModalOpen(false);
-      checkAndSendExpiryNotifications([newCertificate, ...allCertificates], notificationSettings);
             } catch (err: any) {
-                addNotification(err.message || `Failed to add certificate from ${file.name}.`, 'error');
+      // Duplicate of a held certificate: offer to list the existing record in this folder instead
+      if (err.response?.status === 409 && folderId && !onDuplicate) {
+        const attach = window.confirm(`${err.response.data.error}. Add the existing certificate to this folder instead?`);
+        if (attach) {
+          return handleUploadCertificateFile(file, folderId, password, 'attach');
+        }
+      }
+                addNotification(err.response?.data?.error || err.message || `Failed to add certificate from ${file.name}.`, 'error');
+      throw err;
+    }
+  };
+
+  const handleBulkUploadCertificateFiles = async (
+    files: File[],
+    folderId: string | null,
+    password?: string
+  ): Promise<BulkUploadReport> => {
+    try {
+      // Duplicates are listed in the target folder rather than failing the batch
+      const report = await apiService.bulkUploadCertificates(files, folderId || undefined, password, folderId ? 'attach' : undefined);
+      const { created, duplicate, failed } = report.summary;
+      addNotification(
+        `Bulk upload: ${created} created, ${duplicate} already in inventory, ${failed} failed.`,
+        failed > 0 ? 'warning' : 'success'
+      );
+      fetchAllData();
+      return report;
+    } catch (err: any) {
+      addNotification(err.response?.data?.error || err.message || 'Bulk upload failed.', 'error');
       throw err;
     }
   };
@@ -381,7 +418,6 @@ Enterprise Certificate Manager (Simulated Email System)`;
         const certIdToDelete = certToDelete.id;
         setAllCertificates(prevCerts => prevCerts.filter(c => c.id !== certIdToDelete));
         addNotification(`Certificate ${certToDelete.commonName} deleted.`, 'success');
-        checkAndSendExpiryNotifications(allCertificates.filter(c => c.id !== certIdToDelete), notificationSettings);
     } catch (err) {
       addNotification(`Error deleting cert ${certToDelete.commonName}.`, 'error');
     } finally {
@@ -390,12 +426,23 @@ Enterprise Certificate Manager (Simulated Email System)`;
     }
   };
 
-  const handleSaveNotificationSettings = (newSettings: NotificationSettings) => {
-    saveNotificationSettings(newSettings);
-    setNotificationSettings(newSettings);
+  const handleSaveNotificationSettings = () => {
     addNotification('Notification settings saved.', 'success');
     setIsNotificationSettingsModalOpen(false);
-    checkAndSendExpiryNotifications(allCertificates, newSettings);
+    // Reload so statuses and notification days reflect any change to the expiry thresholds
+    fetchAllData();
+  };
+
+  const handleCertificateIssued = (certificate: any) => {
+    const violations = certificate.policyViolations?.length
+      ? ` (${certificate.policyViolations.length} folder policy warning${certificate.policyViolations.length === 1 ? '' : 's'})`
+      : '';
+    addNotification(`Certificate "${certificate.common_name}" issued${violations}.`, 'success');
+    fetchAllData();
+  };
+
+  const handleCsrGenerated = (request: CertificateRequest) => {
+    addNotification(`CSR for "${request.common_name}" generated; its private key is vaulted.`, 'success');
   };
 
   // Folder Handlers
@@ -573,6 +620,8 @@ Enterprise Certificate Manager (Simulated Email System)`;
         onUserChange={handleUserChange}
         onGeminiChatClick={() => setIsGeminiChatOpen(true)}
         onAISettingsClick={() => setIsAISettingsModalOpen(true)}
+        onCertificateAuthoritiesClick={() => setIsCertificateAuthoritiesModalOpen(true)}
+        onGenerateCsrClick={() => setIsGenerateCsrModalOpen(true)}
       />
       <NotificationArea notifications={notifications} onDismissNotification={dismissNotification} />
       
@@ -624,6 +673,7 @@ Enterprise Certificate Manager (Simulated Email System)`;
       <Modal isOpen={isUploadModalOpen} onClose={() => setIsUploadModalOpen(false)} title="Upload Certificate File" size="lg">
         <UploadCertificateForm
           onSubmit={handleUploadCertificateFile}
+          onBulkSubmit={handleBulkUploadCertificateFiles}
           onCancel={() => setIsUploadModalOpen(false)}
           folders={folders}
         />
@@ -644,12 +694,30 @@ Enterprise Certificate Manager (Simulated Email System)`;
         size="lg"
       >
         <NotificationSettingsModal 
-          currentSettings={notificationSettings}
+          folders={folders}
           onSave={handleSaveNotificationSettings}
           onClose={() => setIsNotificationSettingsModalOpen(false)}
         />
       </Modal>
 
+      <Modal
+        isOpen={isCertificateAuthoritiesModalOpen}
+        onClose={() => setIsCertificateAuthoritiesModalOpen(false)}
+        title="Internal Certificate Authorities"
+        size="xl"
+      >
+        <CertificateAuthorityPanel folders={folders} onIssued={handleCertificateIssued} />
+      </Modal>
+
+      <Modal
+        isOpen={isGenerateCsrModalOpen}
+        onClose={() => setIsGenerateCsrModalOpen(false)}
+        title="Generate Key Pair and CSR"
+        size="lg"
+      >
+        <GenerateCsrForm folders={folders} certificates={allCertificates} onGenerated={handleCsrGenerated} />
+      </Modal>
+
       <Modal isOpen={isDeleteConfirmModalOpen} onClose={() => { setIsDeleteConfirmModalOpen(false); setCertToDelete(null); }} title="Confirm Deletion" size="md">
         {certToDelete && (
           <div className="text-slate-700 dark:text-slate-200">
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AcmeAccount, AcmeOptions, Folder } from '../types';
+import { apiService } from '../services/apiService';
+
+interface AcmeSettingsProps {
+  folders: Folder[];
+}
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-sky-500 focus:border-sky-500 sm:text-sm dark:bg-slate-700 dark:text-slate-100';
+const smallButtonClassName = 'px-3 py-1.5 text-xs font-medium text-slate-700 dark:text-slate-200 bg-slate-100 dark:bg-slate-600 hover:bg-slate-200 dark:hover:bg-slate-500 rounded-md disabled:opacity-50';
+
+const KEY_POLICY_LABELS: Record<AcmeAccount['keyPolicy'], string> = {
+  new: 'New key on every renewal',
+  reuse: 'Reuse the vaulted key'
+};
+
+// Settings the built-in solvers read; other solvers are configured on the server
+const SOLVER_FIELDS: Record<string, { name: string; placeholder: string; type?: string }[]> = {
+  'http-01-webroot': [{ name: 'webroot', placeholder: 'Web root, e.g. /var/www/html' }],
+  'dns-01-webhook': [
+    { name: 'url', placeholder: 'https://dns-hook.example.com/acme', type: 'url' },
+    { name: 'token', placeholder: 'Bearer token (optional)', type: 'password' },
+    { name: 'propagationSeconds', placeholder: 'Propagation wait in seconds (default 60)', type: 'number' }
+  ]
+};
+
+const errorMessage = (error: any, fallback: string) => error.response?.data?.error || error.response?.data?.message || fallback;
+
+// ACME accounts certificates are renewed through, one per folder plus a default, for administrators
+const AcmeSettings: React.FC<AcmeSettingsProps> = ({ folders }) => {
+  const [options, setOptions] = useState<AcmeOptions | null>(null);
+  const [accounts, setAccounts] = useState<AcmeAccount[]>([]);
+  const [folderId, setFolderId] = useState('');
+  const [directoryUrl, setDirectoryUrl] = useState('');
+  const [email, setEmail] = useState('');
+  const [eabKid, setEabKid] = useState('');
+  const [eabHmacKey, setEabHmacKey] = useState('');
+  const [solver, setSolver] = useState('http-01');
+  const [solverConfig, setSolverConfig] = useState<Record<string, string>>({});
+  const [keyPolicy, setKeyPolicy] = useState<AcmeAccount['keyPolicy']>('new');
+  const [keyType, setKeyType] = useState('');
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      setAccounts(await apiService.getAcmeAccounts());
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to load ACME accounts.'));
+    }
+  }, []);
+
+  useEffect(() => {
+    apiService.getAcmeOptions().then(setOptions).catch(err => console.error('Failed to load ACME options:', err));
+    load();
+  }, [load]);
+
+  const runAction = async (action: () => Promise<unknown>, fallback: string) => {
+    setError(null);
+    try {
+      await action();
+      await load();
+    } catch (err: any) {
+      setError(errorMessage(err, fallback));
+    }
+  };
+
+  const handleAdd = async () => {
+    setIsRegistering(true);
+    await runAction(async () => {
+      const config: Record<string, unknown> = {};
+      (SOLVER_FIELDS[solver] || []).forEach(field => {
+        const value = solverConfig[field.name]?.trim();
+        if (value) config[field.name] = field.type === 'number' ? Number(value) : value;
+      });
+      // Registers the account with the CA, so this can take a few seconds
+      await apiService.createAcmeAccount({
+        folderId: folderId || null,
+        directoryUrl: directoryUrl.trim(),
+        email: email.trim() || null,
+        eabKid: eabKid.trim() || null,
+        eabHmacKey: eabHmacKey.trim() || null,
+        solver,
+        solverConfig: config,
+        keyPolicy,
+        keyType: keyType || null
+      });
+      setDirectoryUrl('');
+      setEabKid('');
+      setEabHmacKey('');
+      setSolverConfig({});
+    }, 'Failed to add ACME account.');
+    setIsRegistering(false);
+  };
+
+  const scopeLabel = (account: AcmeAccount) => account.folderName || (account.folderId ? 'Deleted folder' : 'Default');
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">ACME Renewal</h4>
+      <p className="text-xs text-slate-500 dark:text-slate-400">
+        Certificates in a folder with an ACME account, or any folder when a default account exists, are renewed through that CA.
+        The replaced certificate is kept as a previous version of the record.
+      </p>
+
+      {accounts.length > 0 ? (
+        <ul className="divide-y divide-slate-200 dark:divide-slate-700">
+          {accounts.map(account => (
+            <li key={account.id} className="flex items-center justify-between py-1.5 text-sm text-slate-700 dark:text-slate-300">
+              <span className={`break-all ${account.enabled ? '' : 'opacity-50'}`}>
+                {scopeLabel(account)}: {account.directoryUrl}{' '}
+                <span className="text-xs text-slate-500 dark:text-slate-400">
+                  ({account.solver}, {KEY_POLICY_LABELS[account.keyPolicy].toLowerCase()}
+                  {account.eabKid && `, EAB ${account.eabKid}`}
+                  {!account.accountUrl && ', not registered'})
+                </span>
+              </span>
+              <span className="space-x-2 whitespace-nowrap">
+                <button
+                  type="button"
+                  onClick={() => runAction(() => apiService.updateAcmeAccount(account.id, { enabled: !account.enabled }), 'Failed to update ACME account.')}
+                  className={smallButtonClassName}
+                >
+                  {account.enabled ? 'Disable' : 'Enable'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => runAction(() => apiService.deleteAcmeAccount(account.id), 'Failed to remove ACME account.')}
+                  className={smallButtonClassName}
+                >
+                  Remove
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-slate-500 dark:text-slate-400">No ACME accounts; renewals go through the certificate's GCP record.</p>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <select value={folderId} onChange={(e) => setFolderId(e.target.value)} className={inputClassName}>
+          <option value="">Default (folders without an account)</option>
+          {folders.map(folder => <option key={folder.id} value={folder.id}>{folder.name}</option>)}
+        </select>
+        <input type="url" value={directoryUrl} onChange={(e) => setDirectoryUrl(e.target.value)} placeholder="Directory URL, e.g. https://acme.example.com/directory" className={inputClassName} />
+        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Contact email (optional)" className={inputClassName} />
+        <select value={solver} onChange={(e) => { setSolver(e.target.value); setSolverConfig({}); }} className={inputClassName}>
+          {(options?.solvers || [{ name: 'http-01', type: 'http-01', description: '' }]).map(option => (
+            <option key={option.name} value={option.name} title={option.description}>{option.name}</option>
+          ))}
+        </select>
+        <input type="text" value={eabKid} onChange={(e) => setEabKid(e.target.value)} placeholder="EAB key ID (if the CA requires it)" className={inputClassName} />
+        <input type="password" value={eabHmacKey} onChange={(e) => setEabHmacKey(e.target.value)} placeholder="EAB HMAC key (base64url)" className={inputClassName} />
+        {(SOLVER_FIELDS[solver] || []).map(field => (
+          <input
+            key={field.name}
+            type={field.type || 'text'}
+            value={solverConfig[field.name] || ''}
+            onChange={(e) => setSolverConfig(current => ({ ...current, [field.name]: e.target.value }))}
+            placeholder={field.placeholder}
+            className={inputClassName}
+          />
+        ))}
+        <select value={keyPolicy} onChange={(e) => setKeyPolicy(e.target.value as AcmeAccount['keyPolicy'])} className={inputClassName}>
+          {Object.entries(KEY_POLICY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <select value={keyType} onChange={(e) => setKeyType(e.target.value)} className={inputClassName} disabled={keyPolicy === 'reuse'}>
+          <option value="">Same key type as the certificate</option>
+          {(options?.keyTypes || []).map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+      </div>
+      <button
+        type="button"
+        onClick={handleAdd}
+        disabled={!directoryUrl.trim() || Boolean(eabKid.trim()) !== Boolean(eabHmacKey.trim()) || isRegistering}
+        className={smallButtonClassName}
+      >
+        {isRegistering ? 'Registering...' : 'Add ACME Account'}
+      </button>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default AcmeSettings;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CertificateAuthority, CertificateIssueInput, CertificateProfile, CertificateProfileName, Folder } from '../types';
+import { apiService } from '../services/apiService';
+import { getCurrentUser } from '../services/authService';
+
+interface CertificateAuthorityPanelProps {
+  folders: Folder[];
+  onIssued: (certificate: any) => void;
+}
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-sky-500 focus:border-sky-500 sm:text-sm dark:bg-slate-700 dark:text-slate-100';
+const smallButtonClassName = 'px-3 py-1.5 text-xs font-medium text-slate-700 dark:text-slate-200 bg-slate-100 dark:bg-slate-600 hover:bg-slate-200 dark:hover:bg-slate-500 rounded-md disabled:opacity-50';
+
+const errorMessage = (error: any, fallback: string) => error.response?.data?.error || error.response?.data?.message || fallback;
+
+// "www.example.com, 10.0.0.1, alice@example.com" -> typed subject alternative names
+const parseSubjectAltNames = (text: string): NonNullable<CertificateIssueInput['subjectAltNames']> => text
+  .split(/[\s,]+/)
+  .filter(Boolean)
+  .map(value => {
+    if (value.includes('://')) return { type: 'uri' as const, value };
+    if (value.includes('@')) return { type: 'email' as const, value };
+    if (/^[\d.]+$/.test(value) || value.includes(':')) return { type: 'ip' as const, value };
+    return { type: 'dns' as const, value };
+  });
+
+// Internal CAs: creating roots and intermediates (administrators) and issuing certificates from them
+const CertificateAuthorityPanel: React.FC<CertificateAuthorityPanelProps> = ({ folders, onIssued }) => {
+  const [permissions, setPermissions] = useState<string[]>([]);
+  const [authorities, setAuthorities] = useState<CertificateAuthority[]>([]);
+  const [profiles, setProfiles] = useState<CertificateProfile[]>([]);
+  const [keyTypes, setKeyTypes] = useState<string[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  // New CA
+  const [caName, setCaName] = useState('');
+  const [caType, setCaType] = useState<CertificateAuthority['type']>('root');
+  const [caParentId, setCaParentId] = useState('');
+  const [caCommonName, setCaCommonName] = useState('');
+  const [caOrganization, setCaOrganization] = useState('');
+  const [caCountry, setCaCountry] = useState('');
+  const [caKeyType, setCaKeyType] = useState('ec-p384');
+  const [caValidityDays, setCaValidityDays] = useState('');
+  const [caPathLength, setCaPathLength] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+
+  // Certificate to issue
+  const [issuerId, setIssuerId] = useState('');
+  const [profile, setProfile] = useState<CertificateProfileName>('server');
+  const [commonName, setCommonName] = useState('');
+  const [subjectAltNames, setSubjectAltNames] = useState('');
+  const [keySource, setKeySource] = useState<'generate' | 'csr'>('generate');
+  const [keyType, setKeyType] = useState('ec-p256');
+  const [csr, setCsr] = useState('');
+  const [validityDays, setValidityDays] = useState('');
+  const [folderId, setFolderId] = useState('');
+  const [isIssuing, setIsIssuing] = useState(false);
+
+  const isAdmin = permissions.includes('system:settings');
+  const canIssue = permissions.includes('certificates:write');
+  const selectedProfile = profiles.find(p => p.name === profile);
+  const issuers = authorities.filter(authority => authority.enabled);
+
+  const load = useCallback(async () => {
+    try {
+      setAuthorities(await apiService.getCertificateAuthorities());
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to load certificate authorities.'));
+    }
+  }, []);
+
+  useEffect(() => {
+    getCurrentUser().then(current => setPermissions((current as any)?.permissions || [])).catch(() => setPermissions([]));
+    apiService.getCertificateProfiles()
+      .then(result => {
+        setProfiles(result.profiles);
+        setKeyTypes(result.keyTypes);
+      })
+      .catch(err => console.error('Failed to load certificate profiles:', err));
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!authorities.some(authority => authority.enabled && authority.id === issuerId)) {
+      setIssuerId(authorities.find(authority => authority.enabled)?.id || '');
+    }
+  }, [authorities, issuerId]);
+
+  const runAction = async (action: () => Promise<unknown>, fallback: string) => {
+    setError(null);
+    try {
+      await action();
+      await load();
+    } catch (err: any) {
+      setError(errorMessage(err, fallback));
+    }
+  };
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    await runAction(async () => {
+      await apiService.createCertificateAuthority({
+        name: caName.trim(),
+        type: caType,
+        ...(caType === 'intermediate' ? { parentId: caParentId } : {}),
+        subject: {
+          commonName: caCommonName.trim(),
+          ...(caOrganization.trim() ? { organization: caOrganization.trim() } : {}),
+          ...(caCountry.trim() ? { country: caCountry.trim() } : {})
+        },
+        keyType: caKeyType,
+        ...(caValidityDays ? { validityDays: Number(caValidityDays) } : {}),
+        ...(caPathLength !== '' ? { pathLength: Number(caPathLength) } : {})
+      });
+      setCaName('');
+      setCaCommonName('');
+    }, 'Failed to create certificate authority.');
+    setIsCreating(false);
+  };
+
+  const handleIssue = async () => {
+    setIsIssuing(true);
+    await runAction(async () => {
+      const names = parseSubjectAltNames(subjectAltNames);
+      const certificate = await apiService.issueCertificate(issuerId, {
+        profile,
+        ...(commonName.trim() ? { subject: { commonName: commonName.trim() } } : {}),
+        ...(names.length > 0 ? { subjectAltNames: names } : {}),
+        ...(keySource === 'csr' ? { csr: csr.trim() } : { keyType }),
+        ...(validityDays ? { validityDays: Number(validityDays) } : {}),
+        folderId: folderId || null
+      });
+      onIssued(certificate);
+      setCommonName('');
+      setSubjectAltNames('');
+      setCsr('');
+    }, 'Failed to issue certificate.');
+    setIsIssuing(false);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-3">
+        <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Certificate Authorities</h4>
+        {authorities.length > 0 ? (
+          <ul className="divide-y divide-slate-200 dark:divide-slate-700">
+            {authorities.map(authority => (
+              <li key={authority.id} className="flex items-center justify-between py-1.5 text-sm text-slate-700 dark:text-slate-300">
+                <span className={authority.enabled ? '' : 'opacity-50'}>
+                  {authority.name}{' '}
+                  <span className="text-xs text-slate-500 dark:text-slate-400">
+                    ({authority.type === 'root' ? 'root' : `intermediate under ${authority.parentName || 'a deleted CA'}`}, {authority.keyType},
+                    {' '}valid to {new Date(authority.validTo).toLocaleDateString()}, {authority.issuedCount} issued)
+                  </span>
+                </span>
+                {isAdmin && (
+                  <span className="space-x-2 whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => runAction(() => apiService.updateCertificateAuthority(authority.id, { enabled: !authority.enabled }), 'Failed to update certificate authority.')}
+                      className={smallButtonClassName}
+                    >
+                      {authority.enabled ? 'Disable' : 'Enable'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => runAction(() => apiService.deleteCertificateAuthority(authority.id), 'Failed to delete certificate authority.')}
+                      className={smallButtonClassName}
+                      title="Destroys the CA key; its certificate and the certificates it issued stay in the inventory"
+                    >
+                      Delete
+                    </button>
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-slate-500 dark:text-slate-400">No internal CAs.</p>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">New CA</h4>
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            The CA certificate is added to the inventory; its private key is kept in the secret store.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <input type="text" value={caName} onChange={(e) => setCaName(e.target.value)} placeholder="Name, e.g. Corp Issuing CA" className={inputClassName} />
+            <select value={caType} onChange={(e) => setCaType(e.target.value as CertificateAuthority['type'])} className={inputClassName}>
+              <option value="root">Root (self-signed)</option>
+              <option value="intermediate">Intermediate</option>
+            </select>
+            {caType === 'intermediate' && (
+              <select value={caParentId} onChange={(e) => setCaParentId(e.target.value)} className={inputClassName}>
+                <option value="">Signed by...</option>
+                {issuers.map(authority => <option key={authority.id} value={authority.id}>{authority.name}</option>)}
+              </select>
+            )}
+            <input type="text" value={caCommonName} onChange={(e) => setCaCommonName(e.target.value)} placeholder="Common name" className={inputClassName} />
+            <input type="text" value={caOrganization} onChange={(e) => setCaOrganization(e.target.value)} placeholder="Organization (optional)" className={inputClassName} />
+            <input type="text" value={caCountry} onChange={(e) => setCaCountry(e.target.value)} placeholder="Country code (optional)" maxLength={2} className={inputClassName} />
+            <select value={caKeyType} onChange={(e) => setCaKeyType(e.target.value)} className={inputClassName}>
+              {keyTypes.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+            <input type="number" min={1} value={caValidityDays} onChange={(e) => setCaValidityDays(e.target.value)} placeholder={`Validity in days (default ${caType === 'root' ? 3650 : 1825})`} className={inputClassName} />
+            <input type="number" min={0} value={caPathLength} onChange={(e) => setCaPathLength(e.target.value)} placeholder="Path length (optional)" className={inputClassName} />
+          </div>
+          <button
+            type="button"
+            onClick={handleCreate}
+            disabled={!caName.trim() || !caCommonName.trim() || (caType === 'intermediate' && !caParentId) || isCreating}
+            className={smallButtonClassName}
+          >
+            {isCreating ? 'Creating...' : 'Create CA'}
+          </button>
+        </div>
+      )}
+
+      {canIssue && issuers.length > 0 && (
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Issue Certificate</h4>
+          {selectedProfile && <p className="text-xs text-slate-500 dark:text-slate-400">{selectedProfile.description}.</p>}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <select value={issuerId} onChange={(e) => setIssuerId(e.target.value)} className={inputClassName}>
+              {issuers.map(authority => <option key={authority.id} value={authority.id}>{authority.name}</option>)}
+            </select>
+            <select value={profile} onChange={(e) => setProfile(e.target.value as CertificateProfileName)} className={inputClassName}>
+              {profiles.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+            </select>
+            <input type="text" value={commonName} onChange={(e) => setCommonName(e.target.value)} placeholder="Common name" className={inputClassName} />
+            <input
+              type="text"
+              value={subjectAltNames}
+              onChange={(e) => setSubjectAltNames(e.target.value)}
+              placeholder={selectedProfile?.subjectAltNameTypes.length ? `SANs (${selectedProfile.subjectAltNameTypes.join(', ')}), comma separated` : 'No SANs for this profile'}
+              disabled={selectedProfile?.subjectAltNameTypes.length === 0}
+              className={inputClassName}
+            />
+            <select value={keySource} onChange={(e) => setKeySource(e.target.value as 'generate' | 'csr')} className={inputClassName}>
+              <option value="generate">Generate a key (kept in the vault)</option>
+              <option value="csr">Sign a CSR</option>
+            </select>
+            {keySource === 'generate' ? (
+              <select value={keyType} onChange={(e) => setKeyType(e.target.value)} className={inputClassName}>
+                {keyTypes.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            ) : (
+              <div />
+            )}
+            <input
+              type="number"
+              min={1}
+              max={selectedProfile?.maxValidityDays}
+              value={validityDays}
+              onChange={(e) => setValidityDays(e.target.value)}
+              placeholder={selectedProfile ? `Validity in days (default ${selectedProfile.defaultValidityDays}, at most ${selectedProfile.maxValidityDays})` : 'Validity in days'}
+              className={inputClassName}
+            />
+            <select value={folderId} onChange={(e) => setFolderId(e.target.value)} className={inputClassName}>
+              <option value="">No folder</option>
+              {folders.map(folder => <option key={folder.id} value={folder.id}>{folder.name}</option>)}
+            </select>
+          </div>
+          {keySource === 'csr' && (
+            <textarea
+              value={csr}
+              onChange={(e) => setCsr(e.target.value)}
+              rows={6}
+              placeholder="-----BEGIN CERTIFICATE REQUEST-----"
+              className={`${inputClassName} font-mono`}
+            />
+          )}
+          <button
+            type="button"
+            onClick={handleIssue}
+            disabled={!issuerId || (!commonName.trim() && !subjectAltNames.trim() && keySource === 'generate') || (keySource === 'csr' && !csr.trim()) || isIssuing}
+            className={smallButtonClassName}
+          >
+            {isIssuing ? 'Issuing...' : 'Issue Certificate'}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default CertificateAuthorityPanel;
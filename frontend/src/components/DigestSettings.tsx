@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { DigestSubscription, Folder, WebhookSubscription } from '../types';
+import { apiService } from '../services/apiService';
+
+interface DigestSettingsProps {
+  folders: Folder[];
+  userId: number | null;
+  isAdmin: boolean;
+}
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-sky-500 focus:border-sky-500 sm:text-sm dark:bg-slate-700 dark:text-slate-100';
+const smallButtonClassName = 'px-3 py-1.5 text-xs font-medium text-slate-700 dark:text-slate-200 bg-slate-100 dark:bg-slate-600 hover:bg-slate-200 dark:hover:bg-slate-500 rounded-md disabled:opacity-50';
+
+const errorMessage = (error: any, fallback: string) => error.response?.data?.error || error.response?.data?.message || fallback;
+
+// Periodic expiry digests: your own, and for administrators addresses and webhooks too
+const DigestSettings: React.FC<DigestSettingsProps> = ({ folders, userId, isAdmin }) => {
+  const [digests, setDigests] = useState<DigestSubscription[]>([]);
+  const [webhooks, setWebhooks] = useState<WebhookSubscription[]>([]);
+  const [target, setTarget] = useState('me'); // 'me', 'email' or a webhook subscription ID
+  const [email, setEmail] = useState('');
+  const [folderId, setFolderId] = useState('');
+  const [intervalDays, setIntervalDays] = useState('7');
+  const [daysAhead, setDaysAhead] = useState('30');
+  const [preview, setPreview] = useState<{ subject: string; text: string } | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      setDigests(await apiService.getDigestSubscriptions());
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to load digests.'));
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    apiService.getWebhookSubscriptions().then(setWebhooks).catch(err => console.error('Failed to load webhooks:', err));
+  }, [isAdmin]);
+
+  const runAction = async (action: () => Promise<unknown>, fallback: string) => {
+    setError(null);
+    try {
+      await action();
+      await load();
+    } catch (err: any) {
+      setError(errorMessage(err, fallback));
+    }
+  };
+
+  const handleAdd = () => runAction(async () => {
+    const interval = Number(intervalDays);
+    const ahead = Number(daysAhead);
+    if (!Number.isInteger(interval) || interval < 1 || !Number.isInteger(ahead) || ahead < 1) {
+      throw new Error('Enter whole numbers of days.');
+    }
+    const recipient = target === 'me'
+      ? { userId: userId ?? undefined }
+      : target === 'email' ? { email: email.trim() } : { webhookSubscriptionId: target };
+    await apiService.addDigestSubscription({ ...recipient, folderId: folderId || null, intervalDays: interval, daysAhead: ahead });
+    setEmail('');
+  }, 'Failed to add digest.');
+
+  const handlePreview = async (digest: DigestSubscription) => {
+    setError(null);
+    try {
+      setPreview(await apiService.previewDigest(digest.id));
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to preview the digest.'));
+    }
+  };
+
+  const recipientLabel = (digest: DigestSubscription) => {
+    if (digest.channel === 'webhook') return `Webhook: ${digest.webhookName || 'removed'}`;
+    if (digest.channel === 'user') return digest.userId === userId ? 'Me' : `${digest.username} <${digest.email}>`;
+    return digest.email || '';
+  };
+
+  const statusLabel = (digest: DigestSubscription) => {
+    if (!digest.lastStatus) return 'not sent yet';
+    if (digest.lastStatus === 'failed') return `failed: ${digest.lastError}`;
+    return `last sent ${new Date(digest.lastSentAt as string).toLocaleDateString()}`;
+  };
+
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Expiry Digests</h4>
+      <p className="text-xs text-slate-500 dark:text-slate-400">
+        A summary of expiring, newly expired and newly uploaded certificates and policy violations, grouped by folder.
+      </p>
+      {digests.length > 0 ? (
+        <ul className="divide-y divide-slate-200 dark:divide-slate-700">
+          {digests.map(digest => (
+            <li key={digest.id} className="flex items-center justify-between py-1.5 text-sm text-slate-700 dark:text-slate-300">
+              <span className={digest.enabled ? '' : 'opacity-50'}>
+                {recipientLabel(digest)}{' '}
+                <span className="text-xs text-slate-500 dark:text-slate-400">
+                  ({digest.folderName || (digest.folderId ? 'Deleted folder' : 'All certificates')}, every {digest.intervalDays} days, {statusLabel(digest)})
+                </span>
+              </span>
+              <span className="space-x-2 whitespace-nowrap">
+                <button type="button" onClick={() => handlePreview(digest)} className={smallButtonClassName}>Preview</button>
+                <button type="button" onClick={() => runAction(() => apiService.sendDigestNow(digest.id), 'Failed to send the digest.')} className={smallButtonClassName}>
+                  Send Now
+                </button>
+                <button
+                  type="button"
+                  onClick={() => runAction(() => apiService.updateDigestSubscription(digest.id, { enabled: !digest.enabled }), 'Failed to update digest.')}
+                  className={smallButtonClassName}
+                >
+                  {digest.enabled ? 'Pause' : 'Resume'}
+                </button>
+                <button type="button" onClick={() => runAction(() => apiService.removeDigestSubscription(digest.id), 'Failed to remove digest.')} className={smallButtonClassName}>
+                  Remove
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-slate-500 dark:text-slate-400">No digests.</p>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 items-end">
+        <select value={target} onChange={(e) => setTarget(e.target.value)} className={inputClassName} aria-label="Send to">
+          <option value="me">Me</option>
+          {isAdmin && <option value="email">Email address</option>}
+          {isAdmin && webhooks.map(webhook => <option key={webhook.id} value={webhook.id}>Webhook: {webhook.name}</option>)}
+        </select>
+        <select value={folderId} onChange={(e) => setFolderId(e.target.value)} className={inputClassName} aria-label="Folder">
+          <option value="">All certificates</option>
+          {folders.map(folder => <option key={folder.id} value={folder.id}>{folder.name}</option>)}
+        </select>
+        <label className="text-xs text-slate-600 dark:text-slate-400">
+          Every (days)
+          <input type="number" min={1} value={intervalDays} onChange={(e) => setIntervalDays(e.target.value)} className={inputClassName} />
+        </label>
+        <label className="text-xs text-slate-600 dark:text-slate-400">
+          Expiring within (days)
+          <input type="number" min={1} value={daysAhead} onChange={(e) => setDaysAhead(e.target.value)} className={inputClassName} />
+        </label>
+      </div>
+      {target === 'email' && (
+        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="e.g., pki-managers@example.com" className={inputClassName} />
+      )}
+      <button
+        type="button"
+        onClick={handleAdd}
+        disabled={(target === 'me' && !userId) || (target === 'email' && !email.trim())}
+        className={smallButtonClassName}
+      >
+        Add Digest
+      </button>
+
+      {preview && (
+        <div className="p-3 bg-slate-50 dark:bg-slate-800 rounded-md text-xs text-slate-700 dark:text-slate-300">
+          <p className="font-semibold">{preview.subject}</p>
+          <pre className="mt-2 whitespace-pre-wrap font-mono">{preview.text}</pre>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default DigestSettings;
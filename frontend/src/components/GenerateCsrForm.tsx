@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { Certificate, CertificateRequest, CertificateRequestGenerateInput, CertificateRequestOptions, Folder } from '../types';
+import { apiService } from '../services/apiService';
+
+interface GenerateCsrFormProps {
+  folders: Folder[];
+  certificates: Certificate[];
+  onGenerated: (request: CertificateRequest) => void;
+}
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-sky-500 focus:border-sky-500 sm:text-sm dark:bg-slate-700 dark:text-slate-100';
+const smallButtonClassName = 'px-3 py-1.5 text-xs font-medium text-slate-700 dark:text-slate-200 bg-slate-100 dark:bg-slate-600 hover:bg-slate-200 dark:hover:bg-slate-500 rounded-md disabled:opacity-50';
+
+const errorMessage = (error: any, fallback: string) => {
+  const data = error.response?.data;
+  return data?.details ? `${data.error}: ${data.details.join(', ')}` : data?.error || fallback;
+};
+
+// "www.example.com, 10.0.0.1, alice@example.com" -> typed subject alternative names
+const parseSubjectAltNames = (text: string): NonNullable<CertificateRequestGenerateInput['subjectAltNames']> => text
+  .split(/[\s,]+/)
+  .filter(Boolean)
+  .map(value => {
+    if (value.includes('://')) return { type: 'uri' as const, value };
+    if (value.includes('@')) return { type: 'email' as const, value };
+    if (/^[\d.]+$/.test(value) || value.includes(':')) return { type: 'ip' as const, value };
+    return { type: 'dns' as const, value };
+  });
+
+// Key pair and CSR generated on the server; the private key never leaves the vault
+const GenerateCsrForm: React.FC<GenerateCsrFormProps> = ({ folders, certificates, onGenerated }) => {
+  const [options, setOptions] = useState<CertificateRequestOptions>({ keyTypes: [], keyUsages: [], extendedKeyUsages: [] });
+  const [renewalOf, setRenewalOf] = useState('');
+  const [commonName, setCommonName] = useState('');
+  const [organization, setOrganization] = useState('');
+  const [organizationalUnit, setOrganizationalUnit] = useState('');
+  const [locality, setLocality] = useState('');
+  const [state, setState] = useState('');
+  const [country, setCountry] = useState('');
+  const [subjectAltNames, setSubjectAltNames] = useState('');
+  const [keyType, setKeyType] = useState('ec-p256');
+  const [keyUsage, setKeyUsage] = useState<string[]>(['digitalSignature']);
+  const [extendedKeyUsage, setExtendedKeyUsage] = useState<string[]>(['serverAuth']);
+  const [folderId, setFolderId] = useState('');
+  const [generated, setGenerated] = useState<CertificateRequest | null>(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    apiService.getCertificateRequestOptions()
+      .then(setOptions)
+      .catch(err => console.error('Failed to load CSR options:', err));
+  }, []);
+
+  const toggle = (list: string[], value: string) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+  const handleRenewalChange = (certificateId: string) => {
+    setRenewalOf(certificateId);
+    // A renewal keeps the certificate's key type and folder unless chosen otherwise
+    setKeyType(certificateId ? '' : 'ec-p256');
+  };
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    setError(null);
+    try {
+      const names = parseSubjectAltNames(subjectAltNames);
+      const subject = Object.fromEntries(Object.entries({ commonName, organization, organizationalUnit, locality, state, country })
+        .map(([field, value]) => [field, value.trim()])
+        .filter(([, value]) => value)) as CertificateRequestGenerateInput['subject'];
+      const request = await apiService.generateCertificateRequest({
+        ...(renewalOf ? { certificateId: renewalOf } : { subject, ...(names.length > 0 ? { subjectAltNames: names } : {}) }),
+        ...(keyType ? { keyType } : {}),
+        keyUsage,
+        extendedKeyUsage,
+        ...(folderId ? { folderId } : {})
+      });
+      setGenerated(request);
+      onGenerated(request);
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to generate the CSR.'));
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const handleDownload = () => {
+    if (!generated?.pem_content) return;
+    const blob = new Blob([generated.pem_content], { type: 'application/pkcs10' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${generated.common_name.replace(/[^a-zA-Z0-9.-]/g, '_')}.csr`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+
+  if (generated) {
+    return (
+      <div className="space-y-3">
+        <p className="text-sm text-slate-700 dark:text-slate-300">
+          CSR for <strong>{generated.common_name}</strong> ({generated.key_algorithm}
+          {generated.key_curve ? ` ${generated.key_curve}` : generated.key_size ? ` ${generated.key_size}` : ''}).
+        </p>
+        <p className="text-xs text-slate-500 dark:text-slate-400">
+          The private key is kept in the vault and is attached to the certificate once it is uploaded or issued for this request.
+        </p>
+        <textarea readOnly value={generated.pem_content} rows={12} className={`${inputClassName} font-mono`} />
+        <div className="space-x-2">
+          <button type="button" onClick={handleDownload} className={smallButtonClassName}>Download CSR</button>
+          <button type="button" onClick={() => navigator.clipboard?.writeText(generated.pem_content || '')} className={smallButtonClassName}>Copy</button>
+          <button type="button" onClick={() => setGenerated(null)} className={smallButtonClassName}>Generate Another</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Renewal of</label>
+        <select value={renewalOf} onChange={(e) => handleRenewalChange(e.target.value)} className={inputClassName}>
+          <option value="">Nothing (new subject)</option>
+          {[...certificates]
+            .sort((a, b) => a.commonName.localeCompare(b.commonName))
+            .map(certificate => (
+              <option key={certificate.id} value={certificate.id}>
+                {certificate.commonName} (expires {new Date(certificate.validTo).toLocaleDateString()})
+              </option>
+            ))}
+        </select>
+        {renewalOf && (
+          <p className="mt-1 text-xs text-slate-500 dark:text-slate-400">The subject and SANs are copied from this certificate.</p>
+        )}
+      </div>
+
+      {!renewalOf && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <input type="text" value={commonName} onChange={(e) => setCommonName(e.target.value)} placeholder="Common name" className={inputClassName} />
+          <input type="text" value={organization} onChange={(e) => setOrganization(e.target.value)} placeholder="Organization" className={inputClassName} />
+          <input type="text" value={organizationalUnit} onChange={(e) => setOrganizationalUnit(e.target.value)} placeholder="Organizational unit" className={inputClassName} />
+          <input type="text" value={locality} onChange={(e) => setLocality(e.target.value)} placeholder="Locality" className={inputClassName} />
+          <input type="text" value={state} onChange={(e) => setState(e.target.value)} placeholder="State" className={inputClassName} />
+          <input type="text" value={country} onChange={(e) => setCountry(e.target.value)} placeholder="Country code" maxLength={2} className={inputClassName} />
+          <input
+            type="text"
+            value={subjectAltNames}
+            onChange={(e) => setSubjectAltNames(e.target.value)}
+            placeholder="SANs: DNS names, IPs, emails or URIs, comma separated"
+            className={`${inputClassName} sm:col-span-2`}
+          />
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <select value={keyType} onChange={(e) => setKeyType(e.target.value)} className={inputClassName}>
+          {renewalOf && <option value="">Same key type as the certificate</option>}
+          {options.keyTypes.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <select value={folderId} onChange={(e) => setFolderId(e.target.value)} className={inputClassName}>
+          <option value="">{renewalOf ? 'Same folder as the certificate' : 'No folder'}</option>
+          {folders.map(folder => <option key={folder.id} value={folder.id}>{folder.name}</option>)}
+        </select>
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-slate-700 dark:text-slate-300">Key usage</span>
+        <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+          {options.keyUsages.map(usage => (
+            <label key={usage} className="flex items-center space-x-1 text-xs text-slate-700 dark:text-slate-300">
+              <input type="checkbox" checked={keyUsage.includes(usage)} onChange={() => setKeyUsage(toggle(keyUsage, usage))} />
+              <span>{usage}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-slate-700 dark:text-slate-300">Extended key usage</span>
+        <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+          {options.extendedKeyUsages.map(usage => (
+            <label key={usage} className="flex items-center space-x-1 text-xs text-slate-700 dark:text-slate-300">
+              <input type="checkbox" checked={extendedKeyUsage.includes(usage)} onChange={() => setExtendedKeyUsage(toggle(extendedKeyUsage, usage))} />
+              <span>{usage}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <button
+        type="button"
+        onClick={handleGenerate}
+        disabled={(!renewalOf && !commonName.trim() && !subjectAltNames.trim()) || isGenerating}
+        className={smallButtonClassName}
+      >
+        {isGenerating ? 'Generating...' : 'Generate Key Pair and CSR'}
+      </button>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default GenerateCsrForm;
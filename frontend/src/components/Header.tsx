@@ -9,11 +9,13 @@ interface HeaderProps {
   onUserChange?: () => void;
   onGeminiChatClick?: () => void;
   onAISettingsClick?: () => void;
+  onCertificateAuthoritiesClick?: () => void;
+  onGenerateCsrClick?: () => void;
 }
 
 const isAuthenticated = !!localStorage.getItem('token');
 
-const Header: React.FC<HeaderProps> = ({ onUploadClick, onSettingsClick, onUserChange, onGeminiChatClick, onAISettingsClick }) => {
+const Header: React.FC<HeaderProps> = ({ onUploadClick, onSettingsClick, onUserChange, onGeminiChatClick, onAISettingsClick, onCertificateAuthoritiesClick, onGenerateCsrClick }) => {
   return (
     <header className="bg-white dark:bg-slate-800 shadow-sm border-b border-slate-200 dark:border-slate-700">
       <div className="container mx-auto px-4 md:px-6 lg:px-8">
@@ -38,6 +40,26 @@ const Header: React.FC<HeaderProps> = ({ onUploadClick, onSettingsClick, onUserC
             >
               Upload Certificate
             </button>
+
+            {onCertificateAuthoritiesClick && (
+              <button
+                onClick={onCertificateAuthoritiesClick}
+                className="px-4 py-2 text-sm font-medium text-slate-700 dark:text-slate-200 bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-slate-500 transition-colors"
+                title="Internal Certificate Authorities"
+              >
+                Issue Certificate
+              </button>
+            )}
+
+            {onGenerateCsrClick && (
+              <button
+                onClick={onGenerateCsrClick}
+                className="px-4 py-2 text-sm font-medium text-slate-700 dark:text-slate-200 bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-slate-500 transition-colors"
+                title="Generate a key pair and certificate signing request"
+              >
+                Generate CSR
+              </button>
+            )}
             
             {onGeminiChatClick && (
               <button
@@ -1,109 +1,360 @@
 /// <reference types="vite/client" />
 
-import React, { useState, useEffect } from 'react';
-import { NotificationSettings } from '../types';
-import { AVAILABLE_NOTIFICATION_THRESHOLDS, DEFAULT_NOTIFICATION_SETTINGS } from '../constants';
+import React, { useState, useEffect, useCallback } from 'react';
+import { ExpiryThresholds, Folder, NotificationRecipient, NotificationTemplate, SmtpSettings } from '../types';
+import { DEFAULT_EXPIRY_THRESHOLDS } from '../constants';
+import { apiService } from '../services/apiService';
+import { getCurrentUser } from '../services/authService';
+import WebhookSettings from './WebhookSettings';
+import DigestSettings from './DigestSettings';
+import AcmeSettings from './AcmeSettings';
 
 interface NotificationSettingsModalProps {
-  currentSettings: NotificationSettings;
-  onSave: (settings: NotificationSettings) => void;
+  folders: Folder[];
+  onSave: () => void;
   onClose: () => void;
 }
 
-const NotificationSettingsModal: React.FC<NotificationSettingsModalProps> = ({ currentSettings, onSave, onClose }) => {
-  const [recipientEmail, setRecipientEmail] = useState(currentSettings.recipientEmail);
-  const [selectedThresholds, setSelectedThresholds] = useState<number[]>(currentSettings.thresholds);
-  const [notificationsEnabled, setNotificationsEnabled] = useState<boolean>(currentSettings.notificationsEnabled);
+const EXPIRY_TEMPLATE_KEY = 'expiry-warning';
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-sky-500 focus:border-sky-500 sm:text-sm dark:bg-slate-700 dark:text-slate-100 disabled:opacity-70';
+const smallButtonClassName = 'px-3 py-1.5 text-xs font-medium text-slate-700 dark:text-slate-200 bg-slate-100 dark:bg-slate-600 hover:bg-slate-200 dark:hover:bg-slate-500 rounded-md disabled:opacity-50';
+
+const errorMessage = (error: any, fallback: string) => error.response?.data?.error || error.response?.data?.message || fallback;
+
+const NotificationSettingsModal: React.FC<NotificationSettingsModalProps> = ({ folders, onSave, onClose }) => {
+  const [user, setUser] = useState<{ id: number; email: string; permissions?: string[] } | null>(null);
+  const [recipients, setRecipients] = useState<NotificationRecipient[]>([]);
+  const [subscribeFolderId, setSubscribeFolderId] = useState<string>('');
+  const [newEmail, setNewEmail] = useState('');
+  const [newEmailFolderId, setNewEmailFolderId] = useState<string>('');
+  // Global expiry thresholds (server-side); folders and certificates can override them
+  const [globalThresholds, setGlobalThresholds] = useState<ExpiryThresholds>(DEFAULT_EXPIRY_THRESHOLDS);
+  const [expiringSoonDays, setExpiringSoonDays] = useState<string>(String(DEFAULT_EXPIRY_THRESHOLDS.expiringSoonDays));
+  const [notificationDays, setNotificationDays] = useState<string>(DEFAULT_EXPIRY_THRESHOLDS.notificationDays.join(', '));
+  const [template, setTemplate] = useState<NotificationTemplate | null>(null);
+  const [templateSubject, setTemplateSubject] = useState('');
+  const [templateBody, setTemplateBody] = useState('');
+  const [preview, setPreview] = useState<{ subject: string; text: string } | null>(null);
+  const [smtp, setSmtp] = useState<SmtpSettings | null>(null);
+  const [testResult, setTestResult] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isAdmin = Boolean(user?.permissions?.includes('system:settings'));
+
+  const loadRecipients = useCallback(async () => {
+    try {
+      setRecipients(await apiService.getNotificationRecipients());
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to load notification recipients.'));
+    }
+  }, []);
+
+  const applyTemplate = (loaded: NotificationTemplate) => {
+    setTemplate(loaded);
+    setTemplateSubject(loaded.subject);
+    setTemplateBody(loaded.body);
+    setPreview(null);
+  };
 
   useEffect(() => {
-    setRecipientEmail(currentSettings.recipientEmail);
-    setSelectedThresholds(currentSettings.thresholds);
-    setNotificationsEnabled(currentSettings.notificationsEnabled);
-  }, [currentSettings]);
-
-  const handleThresholdChange = (threshold: number) => {
-    setSelectedThresholds(prev =>
-      prev.includes(threshold) ? prev.filter(t => t !== threshold) : [...prev, threshold].sort((a,b) => a-b)
-    );
+    getCurrentUser().then(current => setUser(current as any)).catch(() => setUser(null));
+    loadRecipients();
+    apiService.getMetadata()
+      .then(metadata => {
+        if (metadata?.expiryThresholds) {
+          setGlobalThresholds(metadata.expiryThresholds);
+          setExpiringSoonDays(String(metadata.expiryThresholds.expiringSoonDays));
+          setNotificationDays(metadata.expiryThresholds.notificationDays.join(', '));
+        }
+      })
+      .catch(err => console.error('Failed to load expiry thresholds:', err));
+  }, [loadRecipients]);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    apiService.getNotificationTemplates()
+      .then(templates => {
+        const expiryTemplate = templates.find(t => t.key === EXPIRY_TEMPLATE_KEY);
+        if (expiryTemplate) applyTemplate(expiryTemplate);
+      })
+      .catch(err => console.error('Failed to load notification templates:', err));
+    apiService.getSmtpSettings().then(setSmtp).catch(err => console.error('Failed to load SMTP settings:', err));
+  }, [isAdmin]);
+
+  const myRecipients = recipients.filter(r => user && r.userId === user.id);
+  const otherRecipients = recipients.filter(r => !user || r.userId !== user.id);
+  const scopeLabel = (recipient: NotificationRecipient) => recipient.folderName || (recipient.folderId ? 'Deleted folder' : 'All certificates');
+
+  const runAction = async (action: () => Promise<unknown>, fallback: string) => {
+    setError(null);
+    try {
+      await action();
+      await loadRecipients();
+    } catch (err: any) {
+      setError(errorMessage(err, fallback));
+    }
+  };
+
+  const handleSubscribe = () => user && runAction(
+    () => apiService.addNotificationRecipient({ userId: user.id, folderId: subscribeFolderId || null }),
+    'Failed to subscribe.'
+  );
+
+  const handleAddEmail = () => runAction(async () => {
+    await apiService.addNotificationRecipient({ email: newEmail.trim(), folderId: newEmailFolderId || null });
+    setNewEmail('');
+  }, 'Failed to add recipient.');
+
+  const handleToggle = (recipient: NotificationRecipient) => runAction(
+    () => apiService.setNotificationRecipientEnabled(recipient.id, !recipient.enabled),
+    'Failed to update recipient.'
+  );
+
+  const handleRemove = (recipient: NotificationRecipient) => runAction(
+    () => apiService.removeNotificationRecipient(recipient.id),
+    'Failed to remove recipient.'
+  );
+
+  const handlePreview = async () => {
+    setError(null);
+    try {
+      setPreview(await apiService.previewNotificationTemplate(EXPIRY_TEMPLATE_KEY, { subject: templateSubject, body: templateBody }));
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to preview the template.'));
+    }
+  };
+
+  const handleResetTemplate = async () => {
+    setError(null);
+    try {
+      applyTemplate(await apiService.resetNotificationTemplate(EXPIRY_TEMPLATE_KEY));
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to reset the template.'));
+    }
+  };
+
+  const handleTestEmail = async () => {
+    setError(null);
+    setTestResult(null);
+    try {
+      const result = await apiService.sendTestEmail();
+      setTestResult(`Test email accepted for ${result.accepted.join(', ')}.`);
+    } catch (err: any) {
+      setError(errorMessage(err, 'Test email failed.'));
+    }
   };
 
-  const handleSubmit = (e: React.FormEvent) => {
+  const parseThresholds = (): (ExpiryThresholds & { notificationDays: number[] }) | null => {
+    const soon = Number(expiringSoonDays);
+    const days = notificationDays.split(',').map(day => day.trim()).filter(Boolean).map(Number);
+    if (!Number.isInteger(soon) || soon < 1 || days.some(day => !Number.isInteger(day) || day < 1)) {
+      return null;
+    }
+    return { expiringSoonDays: soon, notificationDays: days };
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    onSave({
-      recipientEmail,
-      thresholds: selectedThresholds,
-      notificationsEnabled,
-    });
+    setError(null);
+    if (!isAdmin) {
+      onSave();
+      return;
+    }
+
+    const thresholds = parseThresholds();
+    if (!thresholds) {
+      setError('Enter whole numbers of days, e.g. 30 and "30, 15, 7".');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const thresholdsChanged = thresholds.expiringSoonDays !== globalThresholds.expiringSoonDays
+        || thresholds.notificationDays.join() !== (globalThresholds.notificationDays || []).join();
+      if (thresholdsChanged) {
+        setGlobalThresholds(await apiService.updateExpiryThresholds(thresholds));
+      }
+      if (template && (templateSubject !== template.subject || templateBody !== template.body)) {
+        applyTemplate(await apiService.updateNotificationTemplate(EXPIRY_TEMPLATE_KEY, { subject: templateSubject, body: templateBody }));
+      }
+      onSave();
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to save notification settings.'));
+    } finally {
+      setIsSaving(false);
+    }
   };
 
+  const folderOptions = (
+    <>
+      <option value="">All certificates</option>
+      {folders.map(folder => <option key={folder.id} value={folder.id}>{folder.name}</option>)}
+    </>
+  );
+
+  const recipientRow = (recipient: NotificationRecipient, label: string) => (
+    <li key={recipient.id} className="flex items-center justify-between py-1.5 text-sm text-slate-700 dark:text-slate-300">
+      <span className={recipient.enabled ? '' : 'opacity-50'}>
+        {label} <span className="text-xs text-slate-500 dark:text-slate-400">({scopeLabel(recipient)})</span>
+      </span>
+      <span className="space-x-2">
+        <button type="button" onClick={() => handleToggle(recipient)} className={smallButtonClassName}>
+          {recipient.enabled ? 'Pause' : 'Resume'}
+        </button>
+        <button type="button" onClick={() => handleRemove(recipient)} className={smallButtonClassName}>Remove</button>
+      </span>
+    </li>
+  );
+
   return (
     <form onSubmit={handleSubmit} className="space-y-6">
-      <div>
-        <label htmlFor="notificationsEnabled" className="flex items-center space-x-2 cursor-pointer">
-          <input
-            type="checkbox"
-            id="notificationsEnabled"
-            checked={notificationsEnabled}
-            onChange={(e) => setNotificationsEnabled(e.target.checked)}
-            className="h-4 w-4 text-sky-600 border-slate-300 rounded focus:ring-sky-500"
-          />
-          <span className="text-sm font-medium text-slate-700 dark:text-slate-300">Enable Email Notifications (Simulated)</span>
-        </label>
-         <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
-            If enabled, the application will simulate sending emails by logging to the console and showing an in-app toast.
-          </p>
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">My Expiry Emails</h4>
+        <p className="text-xs text-slate-500 dark:text-slate-400">
+          The server emails {user?.email || 'your account address'} when certificates reach their notification thresholds.
+        </p>
+        {myRecipients.length > 0 ? (
+          <ul className="divide-y divide-slate-200 dark:divide-slate-700">
+            {myRecipients.map(recipient => recipientRow(recipient, recipient.email || 'Me'))}
+          </ul>
+        ) : (
+          <p className="text-sm text-slate-500 dark:text-slate-400">You are not subscribed.</p>
+        )}
+        <div className="flex items-end space-x-2">
+          <select value={subscribeFolderId} onChange={(e) => setSubscribeFolderId(e.target.value)} className={inputClassName}>
+            {folderOptions}
+          </select>
+          <button type="button" onClick={handleSubscribe} disabled={!user} className={smallButtonClassName}>Subscribe</button>
+        </div>
       </div>
 
-      <div className={!notificationsEnabled ? 'opacity-50' : ''}>
-        <div>
-          <label htmlFor="recipientEmail" className="block text-sm font-medium text-slate-700 dark:text-slate-300">
-            Recipient Email Address (for simulation)
-          </label>
-          <input
-            type="email"
-            id="recipientEmail"
-            value={recipientEmail}
-            onChange={(e) => setRecipientEmail(e.target.value)}
-            className="mt-1 block w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-sky-500 focus:border-sky-500 sm:text-sm dark:bg-slate-700 dark:text-slate-100 disabled:opacity-70"
-            placeholder="e.g., admin@example.com"
-            disabled={!notificationsEnabled}
-            required={notificationsEnabled}
-          />
+      {isAdmin && (
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Other Recipients</h4>
+          {otherRecipients.length > 0 ? (
+            <ul className="divide-y divide-slate-200 dark:divide-slate-700">
+              {otherRecipients.map(recipient => recipientRow(
+                recipient,
+                recipient.type === 'user' ? `${recipient.username} <${recipient.email}>` : recipient.email || ''
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-slate-500 dark:text-slate-400">No other recipients.</p>
+          )}
+          <div className="flex items-end space-x-2">
+            <input
+              type="email"
+              value={newEmail}
+              onChange={(e) => setNewEmail(e.target.value)}
+              placeholder="e.g., pki-team@example.com"
+              className={inputClassName}
+            />
+            <select value={newEmailFolderId} onChange={(e) => setNewEmailFolderId(e.target.value)} className={inputClassName}>
+              {folderOptions}
+            </select>
+            <button type="button" onClick={handleAddEmail} disabled={!newEmail.trim()} className={smallButtonClassName}>Add</button>
+          </div>
         </div>
+      )}
+
+      <DigestSettings folders={folders} userId={user?.id ?? null} isAdmin={isAdmin} />
 
-        <div>
-          <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">
-            Notify Days Before Expiry (select multiple)
-          </label>
-          <div className="mt-2 grid grid-cols-3 sm:grid-cols-4 gap-2">
-            {AVAILABLE_NOTIFICATION_THRESHOLDS.map(threshold => (
-              <label
-                key={threshold}
-                className={`flex items-center space-x-2 p-2 border rounded-md cursor-pointer transition-colors
-                  ${selectedThresholds.includes(threshold) ? 'bg-sky-100 dark:bg-sky-700 border-sky-500 dark:border-sky-400' : 'border-slate-300 dark:border-slate-600 hover:bg-slate-50 dark:hover:bg-slate-700'}
-                  ${!notificationsEnabled ? 'opacity-70 cursor-not-allowed' : ''}
-                `}
-              >
-                <input
-                  type="checkbox"
-                  checked={selectedThresholds.includes(threshold)}
-                  onChange={() => handleThresholdChange(threshold)}
-                  disabled={!notificationsEnabled}
-                  className="h-4 w-4 text-sky-600 border-slate-300 rounded focus:ring-sky-500"
-                />
-                <span className="text-sm text-slate-700 dark:text-slate-300">{threshold} days</span>
-              </label>
-            ))}
+      <div className="space-y-3">
+        <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Default Expiry Thresholds</h4>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label htmlFor="expiringSoonDays" className="block text-sm font-medium text-slate-700 dark:text-slate-300">
+              Expiring Soon (days before expiry)
+            </label>
+            <input
+              type="number"
+              id="expiringSoonDays"
+              min={1}
+              value={expiringSoonDays}
+              onChange={(e) => setExpiringSoonDays(e.target.value)}
+              className={inputClassName}
+              disabled={!isAdmin}
+            />
+          </div>
+          <div>
+            <label htmlFor="notificationDays" className="block text-sm font-medium text-slate-700 dark:text-slate-300">
+              Notify Days Before Expiry
+            </label>
+            <input
+              type="text"
+              id="notificationDays"
+              value={notificationDays}
+              onChange={(e) => setNotificationDays(e.target.value)}
+              className={inputClassName}
+              placeholder="e.g., 30, 15, 7"
+              disabled={!isAdmin}
+            />
           </div>
-           <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
-            A simulated email will be triggered when a certificate is within these many days of expiring.
-          </p>
         </div>
+        <p className="text-xs text-slate-500 dark:text-slate-400">
+          Apply to every certificate unless its folder or the certificate itself overrides them.
+          {!isAdmin && ' Changing them requires the system settings permission.'}
+        </p>
       </div>
-      
-      <div className="border-t dark:border-slate-700 pt-4 text-xs text-slate-500 dark:text-slate-400">
-        <strong>Note:</strong> Email sending is simulated. Actual emails are not sent from this frontend application. Notifications will appear as console logs and in-app messages.
-      </div>
+
+      {isAdmin && template && (
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">
+            Expiry Email Template {template.customized && <span className="text-xs font-normal text-slate-500">(customized)</span>}
+          </h4>
+          <input
+            type="text"
+            value={templateSubject}
+            onChange={(e) => setTemplateSubject(e.target.value)}
+            className={inputClassName}
+            aria-label="Subject"
+          />
+          <textarea
+            value={templateBody}
+            onChange={(e) => setTemplateBody(e.target.value)}
+            rows={8}
+            className={`${inputClassName} font-mono`}
+            aria-label="Body"
+          />
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            Placeholders: {Object.keys(template.placeholders).map(name => `{{${name}}}`).join(', ')}
+          </p>
+          <div className="space-x-2">
+            <button type="button" onClick={handlePreview} className={smallButtonClassName}>Preview</button>
+            {template.customized && (
+              <button type="button" onClick={handleResetTemplate} className={smallButtonClassName}>Reset to Default</button>
+            )}
+          </div>
+          {preview && (
+            <div className="p-3 bg-slate-50 dark:bg-slate-800 rounded-md text-xs text-slate-700 dark:text-slate-300">
+              <p className="font-semibold">{preview.subject}</p>
+              <pre className="mt-2 whitespace-pre-wrap font-mono">{preview.text}</pre>
+            </div>
+          )}
+        </div>
+      )}
+
+      {isAdmin && <WebhookSettings folders={folders} />}
+
+      {isAdmin && <AcmeSettings folders={folders} />}
+
+      {isAdmin && smtp && (
+        <div className="border-t dark:border-slate-700 pt-4 text-xs text-slate-500 dark:text-slate-400 space-y-2">
+          {smtp.configured ? (
+            <p>Sending through {smtp.host}:{smtp.port}{smtp.secure ? ' (TLS)' : ''} as {smtp.from}.</p>
+          ) : (
+            <p><strong>Email is not configured.</strong> Set SMTP_HOST on the server (scripts/smtp-sink.js runs a local sink for testing).</p>
+          )}
+          <button type="button" onClick={handleTestEmail} disabled={!smtp.configured} className={smallButtonClassName}>
+            Send Test Email
+          </button>
+          {testResult && <p className="text-green-600 dark:text-green-400">{testResult}</p>}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
 
       <div className="flex justify-end space-x-3 pt-2">
         <button
@@ -115,6 +366,7 @@ const NotificationSettingsModal: React.FC<NotificationSettingsModalProps> = ({ c
         </button>
         <button
           type="submit"
+          disabled={isSaving}
           className="px-4 py-2 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-sky-500 transition"
         >
           Save Settings
@@ -124,4 +376,4 @@ const NotificationSettingsModal: React.FC<NotificationSettingsModalProps> = ({ c
   );
 };
 
-export default NotificationSettingsModal; 
\ No newline at end of file
+export default NotificationSettingsModal;
@@ -1,45 +1,81 @@
 /// <reference types="vite/client" />
 import React, { useState, useRef } from 'react';
 import { ICONS } from '../constants'; 
-import { Folder } from '../types';
+import { BulkUploadReport, Folder } from '../types';
 
 interface UploadCertificateFormProps {
-  onSubmit: (file: File, folderId: string | null) => Promise<void>;
+  onSubmit: (file: File, folderId: string | null, password?: string) => Promise<void>;
+  // Several files or a ZIP archive; without it the form takes a single file
+  onBulkSubmit?: (files: File[], folderId: string | null, password?: string) => Promise<BulkUploadReport>;
   onCancel: () => void;
   folders: Folder[];
 }
 
-const UploadCertificateForm: React.FC<UploadCertificateFormProps> = ({ onSubmit, onCancel, folders }) => {
-  const [selectedFile, setSelectedFile] = useState<File | null>(null);
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const isPkcs12File = (file: File | null): boolean => !!file && /\.(pfx|p12)$/i.test(file.name);
+const isPrivateKeyFile = (file: File | null): boolean => !!file && /\.key$/i.test(file.name);
+const isKeyStoreFile = (file: File | null): boolean => !!file && /\.(jks|keystore|truststore|ks)$/i.test(file.name);
+const isZipFile = (file: File | null): boolean => !!file && /\.zip$/i.test(file.name);
+const acceptsPassword = (file: File | null): boolean => isPkcs12File(file) || isPrivateKeyFile(file) || isKeyStoreFile(file);
+
+const STATUS_STYLES: Record<string, string> = {
+  created: 'text-emerald-600 dark:text-emerald-400',
+  duplicate: 'text-amber-600 dark:text-amber-400',
+  failed: 'text-red-600 dark:text-red-400'
+};
+
+const UploadCertificateForm: React.FC<UploadCertificateFormProps> = ({ onSubmit, onBulkSubmit, onCancel, folders }) => {
+  const [selectedFiles, setSelectedFiles] = useState<File[]>([]);
   const [selectedFolderId, setSelectedFolderId] = useState<string | null>(null);
+  const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [isUploading, setIsUploading] = useState<boolean>(false);
+  const [bulkReport, setBulkReport] = useState<BulkUploadReport | null>(null);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
-  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      if (file.size > 5 * 1024 * 1024) {
-        setSelectedFile(null);
-        setError('File is too large. Maximum size is 5MB.');
-        return;
-      }
-      setSelectedFile(file);
-      setError('');
+  const selectedFile = selectedFiles.length === 1 ? selectedFiles[0] : null;
+  const isBulk = selectedFiles.length > 1 || isZipFile(selectedFile);
+  const showPassword = isBulk || acceptsPassword(selectedFile);
+
+  const selectFiles = (fileList: FileList | null | undefined) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    const chosen = onBulkSubmit ? files : files.slice(0, 1);
+    const tooLarge = chosen.find(file => file.size > MAX_FILE_SIZE);
+    if (tooLarge) {
+      setSelectedFiles([]);
+      setError(chosen.length > 1
+        ? `${tooLarge.name} is too large. Maximum size is 5MB per file.`
+        : 'File is too large. Maximum size is 5MB.');
+      return;
     }
+    setSelectedFiles(chosen);
+    setBulkReport(null);
+    setError('');
+  };
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    selectFiles(e.target.files);
   };
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    if (!selectedFile) {
+    if (selectedFiles.length === 0) {
       setError('Please select a certificate file to upload.');
       return;
     }
     setError('');
     setIsUploading(true);
     try {
-      console.log('selectedFile:', selectedFile, 'isFile:', selectedFile instanceof File);
-      await onSubmit(selectedFile, selectedFolderId);
+      if (isBulk && onBulkSubmit) {
+        setBulkReport(await onBulkSubmit(selectedFiles, selectedFolderId, password || undefined));
+        setSelectedFiles([]);
+      } else if (selectedFile && acceptsPassword(selectedFile)) {
+        await onSubmit(selectedFile, selectedFolderId, password);
+      } else if (selectedFile) {
+        await onSubmit(selectedFile, selectedFolderId);
+      }
     } catch (submitError: any) {
       console.error("Upload submission error:", submitError);
     } finally {
@@ -56,16 +92,7 @@ const UploadCertificateForm: React.FC<UploadCertificateFormProps> = ({ onSubmit,
     e.preventDefault();
     e.stopPropagation();
     if (isUploading) return;
-    const file = e.dataTransfer.files?.[0];
-    if (file) {
-      if (file.size > 5 * 1024 * 1024) {
-        setSelectedFile(null);
-        setError('File is too large. Maximum size is 5MB.');
-        return;
-      }
-      setSelectedFile(file);
-      setError('');
-    }
+    selectFiles(e.dataTransfer.files);
   };
 
   const handleDragOver = (e: React.DragEvent<HTMLDivElement>) => {
@@ -94,7 +121,7 @@ const UploadCertificateForm: React.FC<UploadCertificateFormProps> = ({ onSubmit,
             </svg>
             <div className="flex text-sm text-slate-600 dark:text-slate-400">
               <span className={`relative rounded-md font-medium text-sky-600 dark:text-sky-400 ${!isUploading ? 'hover:text-sky-500 dark:hover:text-sky-300 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-sky-500' : ''}`}>
-                Upload a file
+                {onBulkSubmit ? 'Upload files' : 'Upload a file'}
               </span>
               <input 
                 ref={fileInputRef} 
@@ -103,13 +130,14 @@ const UploadCertificateForm: React.FC<UploadCertificateFormProps> = ({ onSubmit,
                 type="file" 
                 className="sr-only" 
                 onChange={handleFileChange} 
-                accept=".pem,.crt,.cer,.der,application/x-x509-ca-cert,application/pkix-cert,application/x-pem-file"
+                multiple={!!onBulkSubmit}
+                accept={`.pem,.crt,.cer,.der,.pfx,.p12,.p7b,.p7c,.ca-bundle,.csr,.key,.jks,.keystore,.truststore,.ks${onBulkSubmit ? ',.zip' : ''},application/x-x509-ca-cert,application/pkix-cert,application/x-pem-file,application/x-pkcs12`}
                 disabled={isUploading} 
               />
               <p className="pl-1">or drag and drop</p>
             </div>
             <p className="text-xs text-slate-500 dark:text-slate-500">
-              PEM, CRT, CER, DER files. Max 5MB.
+              PEM, CRT, CER, DER, PFX/P12, P7B, CSR and KEY files{onBulkSubmit ? ', or ZIP archives of them' : ''}. Max 5MB{onBulkSubmit ? ' per file' : ''}.
             </p>
           </div>
         </div>
@@ -118,8 +146,68 @@ const UploadCertificateForm: React.FC<UploadCertificateFormProps> = ({ onSubmit,
             Selected file: <strong className="font-medium">{selectedFile.name}</strong> ({(selectedFile.size / 1024).toFixed(2)} KB)
           </p>
         )}
+        {selectedFiles.length > 1 && (
+          <div className="mt-2 text-sm text-slate-600 dark:text-slate-300">
+            <p>Selected <strong className="font-medium">{selectedFiles.length} files</strong>:</p>
+            <ul className="mt-1 max-h-32 overflow-y-auto text-xs list-disc list-inside">
+              {selectedFiles.map(file => <li key={file.name}>{file.name}</li>)}
+            </ul>
+          </div>
+        )}
       </div>
 
+      {bulkReport && (
+        <div className="text-sm">
+          <p className="font-medium text-slate-700 dark:text-slate-200">
+            {bulkReport.summary.created} created, {bulkReport.summary.duplicate} already in inventory, {bulkReport.summary.failed} failed
+          </p>
+          <ul className="mt-2 max-h-48 overflow-y-auto divide-y divide-slate-200 dark:divide-slate-700 text-xs">
+            {bulkReport.results.map((result, index) => (
+              <li key={`${result.file}-${index}`} className="py-1 flex justify-between gap-3">
+                <span className="break-all text-slate-700 dark:text-slate-300">{result.file}</span>
+                <span className={`shrink-0 ${STATUS_STYLES[result.status]}`}>
+                  {result.status}{result.reason ? `: ${result.reason}` : ''}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {showPassword && (
+        <div>
+          <label htmlFor="pfxPassword" className="block text-sm font-medium text-slate-700 dark:text-slate-300">
+            {isBulk
+              ? 'Password for PFX/P12, Keystore and Key Files'
+              : isPrivateKeyFile(selectedFile)
+              ? 'Private Key Password'
+              : isKeyStoreFile(selectedFile)
+              ? 'Keystore Password'
+              : 'PFX/P12 Password'}
+          </label>
+          <input
+            id="pfxPassword"
+            name="pfxPassword"
+            type="password"
+            autoComplete="off"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={isUploading}
+            placeholder="Leave empty if the file is not password protected"
+            className="mt-1 block w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-sky-500 focus:border-sky-500 sm:text-sm dark:bg-slate-700 dark:text-slate-100"
+          />
+          <p className="mt-1 text-xs text-slate-500 dark:text-slate-400">
+            {isBulk
+              ? 'Used for every password-protected file in the upload. Keys are attached to the certificates they match.'
+              : isPrivateKeyFile(selectedFile)
+              ? 'The key is attached to the inventory certificates it matches and stored encrypted in the key vault.'
+              : isKeyStoreFile(selectedFile)
+              ? 'Every alias becomes its own certificate; keys of key entries are stored encrypted in the key vault.'
+              : 'The private key is stored encrypted in the key vault, never with the certificate.'}
+          </p>
+        </div>
+      )}
+
       <div>
         <label htmlFor="folderSelect" className="block text-sm font-medium text-slate-700 dark:text-slate-300">
           Assign to Folder (Optional)
@@ -146,11 +234,11 @@ const UploadCertificateForm: React.FC<UploadCertificateFormProps> = ({ onSubmit,
           disabled={isUploading}
           className="px-4 py-2 text-sm font-medium text-slate-700 dark:text-slate-300 bg-slate-100 dark:bg-slate-600 hover:bg-slate-200 dark:hover:bg-slate-500 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-slate-500 transition disabled:opacity-50"
         >
-          Cancel
+          {bulkReport ? 'Close' : 'Cancel'}
         </button>
         <button 
           type="submit"
-          disabled={!selectedFile || isUploading}
+          disabled={selectedFiles.length === 0 || isUploading}
           className="px-4 py-2 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-sky-500 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center min-w-[120px]"
         >
           {isUploading ? (
@@ -161,7 +249,7 @@ const UploadCertificateForm: React.FC<UploadCertificateFormProps> = ({ onSubmit,
           ) : (
             <>
               {ICONS.upload}
-              <span className="ml-2">Upload File</span>
+              <span className="ml-2">{selectedFiles.length > 1 ? `Upload ${selectedFiles.length} Files` : 'Upload File'}</span>
             </>
           )}
         </button>
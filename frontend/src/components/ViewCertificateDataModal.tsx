@@ -1,8 +1,10 @@
 /// <reference types="vite/client" />
 
-import React, { useState } from 'react';
-import { Certificate } from '../types';
+import React, { useEffect, useState } from 'react';
+import { Certificate, CertificateChainReport, CertificateExportFormat, CertificateEvent, CertificateLintResult, CertificateRevocation, CertificateTrustValidation, CertificateVersion } from '../types';
 import { ICONS } from '../constants';
+import { apiService } from '../services/apiService';
+import { canDownloadPrivateKey } from '../services/authService';
 
 interface ViewCertificateDataModalProps {
   certificate: Certificate | null;
@@ -19,6 +21,69 @@ const DetailItem: React.FC<{ label: string; value: string | undefined }> = ({ la
 
 const ViewCertificateDataModal: React.FC<ViewCertificateDataModalProps> = ({ certificate, onClose, mode }) => {
   const [pemCopied, setPemCopied] = useState(false);
+  const [keyDownloadError, setKeyDownloadError] = useState<string | null>(null);
+  const [chainReport, setChainReport] = useState<CertificateChainReport | null>(null);
+  const [chainError, setChainError] = useState<string | null>(null);
+  const [isBuildingChain, setIsBuildingChain] = useState(false);
+  const [trustValidation, setTrustValidation] = useState<CertificateTrustValidation | null>(null);
+  const [exportFormat, setExportFormat] = useState<CertificateExportFormat>('pem');
+  const [exportPassword, setExportPassword] = useState('');
+  const [exportLegacy, setExportLegacy] = useState(false);
+  const [exportError, setExportError] = useState<string | null>(null);
+  const [lintResult, setLintResult] = useState<CertificateLintResult | null>(null);
+  const [lintError, setLintError] = useState<string | null>(null);
+  const [isLinting, setIsLinting] = useState(false);
+  const [revocation, setRevocation] = useState<CertificateRevocation | null>(null);
+  const [revocationError, setRevocationError] = useState<string | null>(null);
+  const [isCheckingRevocation, setIsCheckingRevocation] = useState(false);
+  const [statusEvents, setStatusEvents] = useState<CertificateEvent[]>([]);
+  const [versions, setVersions] = useState<CertificateVersion[]>([]);
+
+  // Stored lint result of the certificate being viewed
+  useEffect(() => {
+    setLintResult(null);
+    setLintError(null);
+    if (!certificate || mode !== 'view') return;
+    let cancelled = false;
+    apiService.getCertificateLint(certificate.id)
+      .then(result => { if (!cancelled) setLintResult(result); })
+      .catch((err: any) => { if (!cancelled) setLintError(err.response?.data?.error || err.message || 'Failed to load lint results.'); });
+    return () => { cancelled = true; };
+  }, [certificate?.id, mode]);
+
+  // Status changes recorded by the scheduler and revocation checks
+  useEffect(() => {
+    setStatusEvents([]);
+    if (!certificate || mode !== 'view') return;
+    let cancelled = false;
+    apiService.getCertificateEvents(certificate.id, { type: 'status_changed', limit: 20 })
+      .then(events => { if (!cancelled) setStatusEvents(events); })
+      .catch((err: any) => console.error('Failed to load certificate events:', err));
+    return () => { cancelled = true; };
+  }, [certificate?.id, mode]);
+
+  // Certificates the record held before it was renewed
+  useEffect(() => {
+    setVersions([]);
+    if (!certificate || mode !== 'view' || !certificate.renewalCount) return;
+    let cancelled = false;
+    apiService.getCertificateVersions(certificate.id)
+      .then(result => { if (!cancelled) setVersions(result.versions); })
+      .catch((err: any) => console.error('Failed to load certificate versions:', err));
+    return () => { cancelled = true; };
+  }, [certificate?.id, certificate?.renewalCount, mode]);
+
+  // Latest revocation check of the certificate being viewed
+  useEffect(() => {
+    setRevocation(null);
+    setRevocationError(null);
+    if (!certificate || mode !== 'view') return;
+    let cancelled = false;
+    apiService.getCertificateRevocation(certificate.id)
+      .then(result => { if (!cancelled) setRevocation(result); })
+      .catch((err: any) => { if (!cancelled) setRevocationError(err.response?.data?.error || err.message || 'Failed to load revocation status.'); });
+    return () => { cancelled = true; };
+  }, [certificate?.id, mode]);
   
   if (!certificate) return null;
 
@@ -33,6 +98,83 @@ const ViewCertificateDataModal: React.FC<ViewCertificateDataModalProps> = ({ cer
     }
   };
 
+  const handleDownloadPrivateKey = async () => {
+    setKeyDownloadError(null);
+    try {
+      await apiService.downloadPrivateKeyFile(certificate.id);
+    } catch (err: any) {
+      setKeyDownloadError(err.message || 'Failed to download private key.');
+    }
+  };
+
+  const handleExport = async () => {
+    setExportError(null);
+    if (exportFormat === 'pkcs12' && !exportPassword) {
+      setExportError('Enter a password to protect the PKCS#12 file.');
+      return;
+    }
+    try {
+      await apiService.downloadCertificateFile(certificate.id, undefined, {
+        format: exportFormat,
+        password: exportFormat === 'pkcs12' ? exportPassword : undefined,
+        legacy: exportFormat === 'pkcs12' && exportLegacy
+      });
+    } catch (err: any) {
+      // Blob responses carry the JSON error body as a Blob
+      const body = err.response?.data instanceof Blob ? JSON.parse(await err.response.data.text()) : err.response?.data;
+      setExportError(body?.error || body?.message || err.message || 'Failed to export certificate.');
+    }
+  };
+
+  const handleBuildChain = async (fetchAia: boolean) => {
+    setChainError(null);
+    setIsBuildingChain(true);
+    try {
+      setChainReport(await apiService.getCertificateChain(certificate.id, fetchAia));
+    } catch (err: any) {
+      setChainError(err.response?.data?.error || err.message || 'Failed to build certificate chain.');
+    } finally {
+      setIsBuildingChain(false);
+    }
+  };
+
+  const handleValidateTrust = async () => {
+    setChainError(null);
+    setIsBuildingChain(true);
+    try {
+      setTrustValidation(await apiService.validateCertificateTrust(certificate.id));
+    } catch (err: any) {
+      setChainError(err.response?.data?.error || err.message || 'Failed to validate certificate.');
+    } finally {
+      setIsBuildingChain(false);
+    }
+  };
+
+  const handleLint = async () => {
+    setLintError(null);
+    setIsLinting(true);
+    try {
+      setLintResult(await apiService.lintCertificate(certificate.id));
+    } catch (err: any) {
+      setLintError(err.response?.data?.error || err.message || 'Failed to lint certificate.');
+    } finally {
+      setIsLinting(false);
+    }
+  };
+
+  const handleCheckRevocation = async () => {
+    setRevocationError(null);
+    setIsCheckingRevocation(true);
+    try {
+      await apiService.checkCertificateRevocation(certificate.id);
+      setRevocation(await apiService.getCertificateRevocation(certificate.id));
+    } catch (err: any) {
+      setRevocationError(err.response?.data?.error || err.message || 'Failed to check revocation.');
+    } finally {
+      setIsCheckingRevocation(false);
+    }
+  };
+
   const handleDownloadPem = () => {
     if (certificate.pem) {
       // Create blob with PEM content
@@ -57,6 +199,14 @@ const ViewCertificateDataModal: React.FC<ViewCertificateDataModalProps> = ({ cer
     }
   };
   
+  const listValue = (values?: string[]) => (values && values.length ? values.join(', ') : undefined);
+
+  const keyDescription = certificate.keyAlgorithm
+    ? [certificate.keyAlgorithm, certificate.keySize ? `${certificate.keySize} bits` : null, certificate.keyCurve]
+        .filter(Boolean)
+        .join(' / ')
+    : undefined;
+
   const title = mode === 'download' ? `Certificate PEM: ${certificate.commonName}` : `Certificate Details: ${certificate.commonName}`;
 
   return (
@@ -70,7 +220,239 @@ const ViewCertificateDataModal: React.FC<ViewCertificateDataModalProps> = ({ cer
             <DetailItem label="Valid From" value={new Date(certificate.validFrom).toUTCString()} />
             <DetailItem label="Valid To" value={new Date(certificate.validTo).toUTCString()} />
             <DetailItem label="Status" value={certificate.status} />
+            {certificate.expiryThresholds && (
+                <DetailItem
+                    label="Expiry Thresholds"
+                    value={`Expiring soon at ${certificate.expiryThresholds.expiringSoonDays} days (${certificate.expiryThresholds.sources.expiringSoonDays}); `
+                        + `notify at ${certificate.expiryThresholds.notificationDays.join(', ')} days (${certificate.expiryThresholds.sources.notificationDays})`}
+                />
+            )}
+            {certificate.sourceType && (
+                <DetailItem
+                    label="Source"
+                    value={`${certificate.sourceType === 'tls-endpoint' ? 'TLS endpoint' : 'Upload'}: ${certificate.sourceLocation || 'N/A'}`}
+                />
+            )}
+            <DetailItem
+                label="Subject Alt Names"
+                value={listValue(certificate.subjectAltNames?.map(san => `${san.type.toUpperCase()}:${san.value}`))}
+            />
+            <DetailItem label="Public Key" value={keyDescription} />
+            <DetailItem label="Signature Algorithm" value={certificate.signatureAlgorithm} />
+            <DetailItem label="CA Certificate" value={certificate.isCA ? 'Yes' : 'No'} />
+            <DetailItem label="Key Usage" value={listValue(certificate.keyUsage)} />
+            <DetailItem label="Extended Key Usage" value={listValue(certificate.extendedKeyUsage)} />
+            <DetailItem label="SHA-256 Fingerprint" value={certificate.fingerprintSha256} />
+            <DetailItem label="SHA-1 Fingerprint" value={certificate.fingerprintSha1} />
+            <DetailItem label="Subject Key ID" value={certificate.subjectKeyIdentifier || undefined} />
+            <DetailItem label="Authority Key ID" value={certificate.authorityKeyIdentifier || undefined} />
+            <DetailItem label="CRL Distribution Points" value={listValue(certificate.crlDistributionPoints)} />
+            <DetailItem label="OCSP Responders" value={listValue(certificate.ocspUrls)} />
+            <DetailItem label="CA Issuers" value={listValue(certificate.caIssuersUrls)} />
+            <DetailItem label="Certificate Policies" value={listValue(certificate.certificatePolicies)} />
+            {certificate.additionalFolders && certificate.additionalFolders.length > 0 && (
+                <DetailItem label="Also In Folders" value={certificate.additionalFolders.map(folder => folder.name).join(', ')} />
+            )}
+            <DetailItem label="Private Key" value={certificate.hasPrivateKey ? 'Held in key vault' : 'Not held'} />
+            {certificate.hasPrivateKey && canDownloadPrivateKey() && (
+                <div className="py-2">
+                    <button
+                        onClick={handleDownloadPrivateKey}
+                        className="px-3 py-1.5 text-sm bg-amber-100 dark:bg-amber-800 hover:bg-amber-200 dark:hover:bg-amber-700 rounded text-amber-700 dark:text-amber-200 transition"
+                    >
+                        Download Private Key
+                    </button>
+                    {keyDownloadError && (
+                        <p className="mt-1 text-xs text-red-600 dark:text-red-400">{keyDownloadError}</p>
+                    )}
+                </div>
+            )}
             
+            {/* Export in the format the consumer expects */}
+            {mode === 'view' && (
+                <div className="py-3">
+                    <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200 mb-2">Export</h4>
+                    <div className="flex flex-wrap items-center gap-2">
+                        <select
+                            value={exportFormat}
+                            onChange={e => setExportFormat(e.target.value as CertificateExportFormat)}
+                            className="px-2 py-1.5 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-200"
+                        >
+                            <option value="pem">PEM (certificate)</option>
+                            <option value="der">DER (.cer)</option>
+                            <option value="fullchain">Full chain PEM (nginx, Apache)</option>
+                            <option value="chain">Chain only PEM (intermediates)</option>
+                            <option value="pkcs7">PKCS#7 (.p7b)</option>
+                            {certificate.hasPrivateKey && canDownloadPrivateKey() && (
+                                <option value="pkcs12">PKCS#12 with private key (.pfx)</option>
+                            )}
+                        </select>
+                        {exportFormat === 'pkcs12' && (
+                            <>
+                                <input
+                                    type="password"
+                                    value={exportPassword}
+                                    onChange={e => setExportPassword(e.target.value)}
+                                    placeholder="PKCS#12 password"
+                                    autoComplete="new-password"
+                                    className="px-2 py-1.5 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-200"
+                                />
+                                <label className="flex items-center text-xs text-slate-600 dark:text-slate-300">
+                                    <input
+                                        type="checkbox"
+                                        checked={exportLegacy}
+                                        onChange={e => setExportLegacy(e.target.checked)}
+                                        className="mr-1"
+                                    />
+                                    Legacy encryption (older Windows/Java)
+                                </label>
+                            </>
+                        )}
+                        <button
+                            onClick={handleExport}
+                            className="px-3 py-1.5 text-sm bg-emerald-100 dark:bg-emerald-800 hover:bg-emerald-200 dark:hover:bg-emerald-700 rounded text-emerald-700 dark:text-emerald-200 transition"
+                        >
+                            Export
+                        </button>
+                    </div>
+                    {exportError && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{exportError}</p>}
+                </div>
+            )}
+
+            {/* Chain built from the inventory */}
+            {mode === 'view' && (
+                <div className="py-3">
+                    <div className="flex items-center justify-between mb-2">
+                        <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200">Certificate Chain</h4>
+                        <div className="space-x-2">
+                            <button
+                                onClick={() => handleBuildChain(false)}
+                                disabled={isBuildingChain}
+                                className="px-3 py-1.5 text-sm bg-slate-200 dark:bg-slate-700 hover:bg-slate-300 dark:hover:bg-slate-600 rounded text-slate-700 dark:text-slate-200 transition disabled:opacity-50"
+                            >
+                                Build Chain
+                            </button>
+                            <button
+                                onClick={() => handleBuildChain(true)}
+                                disabled={isBuildingChain}
+                                title="Download missing issuers from the AIA URLs in the certificates"
+                                className="px-3 py-1.5 text-sm bg-slate-200 dark:bg-slate-700 hover:bg-slate-300 dark:hover:bg-slate-600 rounded text-slate-700 dark:text-slate-200 transition disabled:opacity-50"
+                            >
+                                Build with AIA
+                            </button>
+                            <button
+                                onClick={handleValidateTrust}
+                                disabled={isBuildingChain}
+                                title="Check whether the certificate chains to its folder's trust store"
+                                className="px-3 py-1.5 text-sm bg-slate-200 dark:bg-slate-700 hover:bg-slate-300 dark:hover:bg-slate-600 rounded text-slate-700 dark:text-slate-200 transition disabled:opacity-50"
+                            >
+                                Validate Trust
+                            </button>
+                        </div>
+                    </div>
+                    {chainError && <p className="text-xs text-red-600 dark:text-red-400">{chainError}</p>}
+                    {trustValidation && (
+                        <p className={`text-sm mb-2 ${trustValidation.trusted ? 'text-emerald-600 dark:text-emerald-400' : trustValidation.trusted === false ? 'text-red-600 dark:text-red-400' : 'text-slate-500 dark:text-slate-400'}`}>
+                            {trustValidation.trusted ? 'Trusted' : trustValidation.trusted === false ? 'Not trusted' : 'Trust not checked'}: {trustValidation.reason}
+                        </p>
+                    )}
+                    {chainReport && (
+                        <div className="bg-slate-50 dark:bg-slate-700/50 rounded-md p-3 text-sm space-y-1">
+                            <p className={chainReport.complete ? 'text-emerald-600 dark:text-emerald-400' : 'text-amber-600 dark:text-amber-400'}>
+                                {chainReport.complete ? 'Complete chain to a root' : 'Incomplete chain'}
+                            </p>
+                            <ol className="list-decimal list-inside text-slate-700 dark:text-slate-300">
+                                {chainReport.chain.map(link => (
+                                    <li key={link.fingerprintSha256} className="break-all">
+                                        {link.subject} <span className="text-xs text-slate-500 dark:text-slate-400">({link.source})</span>
+                                    </li>
+                                ))}
+                            </ol>
+                            {chainReport.missing.map(link => (
+                                <p key={link.subject} className="text-xs text-red-600 dark:text-red-400 break-all">
+                                    Missing issuer "{link.issuer}" of {link.subject}: {link.reason}
+                                </p>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* CA/Browser Forum Baseline Requirements lint */}
+            {mode === 'view' && (
+                <div className="py-3">
+                    <div className="flex items-center justify-between mb-2">
+                        <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200">Baseline Requirements Lint</h4>
+                        <button
+                            onClick={handleLint}
+                            disabled={isLinting}
+                            className="px-3 py-1.5 text-sm bg-slate-200 dark:bg-slate-700 hover:bg-slate-300 dark:hover:bg-slate-600 rounded text-slate-700 dark:text-slate-200 transition disabled:opacity-50"
+                        >
+                            {isLinting ? 'Linting...' : lintResult ? 'Lint Again' : 'Lint'}
+                        </button>
+                    </div>
+                    {lintError && <p className="text-xs text-red-600 dark:text-red-400">{lintError}</p>}
+                    {!lintResult && !lintError && (
+                        <p className="text-sm text-slate-500 dark:text-slate-400">Not linted yet.</p>
+                    )}
+                    {lintResult && (
+                        <div className="bg-slate-50 dark:bg-slate-700/50 rounded-md p-3 text-sm space-y-1">
+                            <p className={lintResult.summary.errors > 0 ? 'text-red-600 dark:text-red-400' : lintResult.summary.warnings > 0 ? 'text-amber-600 dark:text-amber-400' : 'text-emerald-600 dark:text-emerald-400'}>
+                                {lintResult.summary.errors} error(s), {lintResult.summary.warnings} warning(s), {lintResult.summary.passed} check(s) passed
+                                <span className="ml-2 text-xs text-slate-500 dark:text-slate-400">{new Date(lintResult.lintedAt).toUTCString()}</span>
+                            </p>
+                            <ul className="space-y-1">
+                                {lintResult.findings.map((finding, index) => (
+                                    <li key={`${finding.ruleId}-${index}`} className="break-all">
+                                        <span className={`text-xs font-semibold uppercase mr-2 ${finding.severity === 'error' ? 'text-red-600 dark:text-red-400' : 'text-amber-600 dark:text-amber-400'}`}>
+                                            {finding.severity}
+                                        </span>
+                                        <span className="text-slate-700 dark:text-slate-300">{finding.message}</span>
+                                        <span className="block text-xs text-slate-500 dark:text-slate-400">
+                                            {finding.ruleId} · {finding.description} ({finding.reference})
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* OCSP/CRL revocation status */}
+            {mode === 'view' && (
+                <div className="py-3">
+                    <div className="flex items-center justify-between mb-2">
+                        <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200">Revocation</h4>
+                        <button
+                            onClick={handleCheckRevocation}
+                            disabled={isCheckingRevocation}
+                            className="px-3 py-1.5 text-sm bg-slate-200 dark:bg-slate-700 hover:bg-slate-300 dark:hover:bg-slate-600 rounded text-slate-700 dark:text-slate-200 transition disabled:opacity-50"
+                        >
+                            {isCheckingRevocation ? 'Checking...' : 'Check Now'}
+                        </button>
+                    </div>
+                    {revocationError && <p className="text-xs text-red-600 dark:text-red-400">{revocationError}</p>}
+                    {revocation && !revocation.status && (
+                        <p className="text-sm text-slate-500 dark:text-slate-400">Not checked yet.</p>
+                    )}
+                    {revocation?.status && (
+                        <div className="bg-slate-50 dark:bg-slate-700/50 rounded-md p-3 text-sm space-y-1">
+                            <p className={revocation.status === 'revoked' ? 'text-red-600 dark:text-red-400' : revocation.status === 'good' ? 'text-emerald-600 dark:text-emerald-400' : 'text-amber-600 dark:text-amber-400'}>
+                                {revocation.status === 'revoked'
+                                    ? `Revoked${revocation.revokedAt ? ` on ${new Date(revocation.revokedAt).toUTCString()}` : ''} (${revocation.reason})`
+                                    : revocation.status === 'good' ? 'Not revoked' : 'Status unknown'}
+                                {revocation.source && <span className="ml-2 text-xs text-slate-500 dark:text-slate-400">via {revocation.source.toUpperCase()}</span>}
+                            </p>
+                            {revocation.error && <p className="text-xs text-amber-600 dark:text-amber-400 break-all">{revocation.error}</p>}
+                            {revocation.checkedAt && (
+                                <p className="text-xs text-slate-500 dark:text-slate-400">Checked {new Date(revocation.checkedAt).toUTCString()}</p>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Certificate Management Metadata */}
             <div className="py-3">
                 <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200 mb-2">Certificate Timeline</h4>
@@ -90,6 +472,20 @@ const ViewCertificateDataModal: React.FC<ViewCertificateDataModalProps> = ({ cer
                     {certificate.uploadedBy && (
                         <DetailItem label="Uploaded By" value={certificate.uploadedBy} />
                     )}
+                    {versions.map(version => (
+                        <DetailItem
+                            key={version.id}
+                            label={`Version ${version.version}`}
+                            value={`Serial ${version.serial_number ?? 'N/A'}, valid to ${version.valid_to ? new Date(version.valid_to).toUTCString() : 'N/A'} (replaced ${new Date(version.replaced_at).toUTCString()})`}
+                        />
+                    ))}
+                    {statusEvents.map(event => (
+                        <DetailItem
+                            key={event.id}
+                            label="Status Changed"
+                            value={`${event.fromStatus ?? 'None'} → ${event.toStatus ?? 'None'} (${new Date(event.createdAt).toUTCString()})`}
+                        />
+                    ))}
                 </div>
             </div>
         </dl>
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Folder, WebhookDelivery, WebhookEventName, WebhookFormat, WebhookSubscription } from '../types';
+import { apiService } from '../services/apiService';
+
+interface WebhookSettingsProps {
+  folders: Folder[];
+}
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-sky-500 focus:border-sky-500 sm:text-sm dark:bg-slate-700 dark:text-slate-100';
+const smallButtonClassName = 'px-3 py-1.5 text-xs font-medium text-slate-700 dark:text-slate-200 bg-slate-100 dark:bg-slate-600 hover:bg-slate-200 dark:hover:bg-slate-500 rounded-md disabled:opacity-50';
+
+const FORMAT_LABELS: Record<WebhookFormat, string> = {
+  generic: 'JSON',
+  slack: 'Slack',
+  teams: 'Microsoft Teams'
+};
+
+const DELIVERY_STATUS_CLASSES: Record<WebhookDelivery['status'], string> = {
+  succeeded: 'text-green-600 dark:text-green-400',
+  pending: 'text-amber-600 dark:text-amber-400',
+  failed: 'text-red-600 dark:text-red-400'
+};
+
+const errorMessage = (error: any, fallback: string) => error.response?.data?.error || error.response?.data?.message || fallback;
+
+// Webhook subscriptions and their recent deliveries, for administrators
+const WebhookSettings: React.FC<WebhookSettingsProps> = ({ folders }) => {
+  const [events, setEvents] = useState<{ name: WebhookEventName; description: string }[]>([]);
+  const [subscriptions, setSubscriptions] = useState<WebhookSubscription[]>([]);
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [name, setName] = useState('');
+  const [url, setUrl] = useState('');
+  const [format, setFormat] = useState<WebhookFormat>('generic');
+  const [folderId, setFolderId] = useState('');
+  const [selectedEvents, setSelectedEvents] = useState<WebhookEventName[]>(['certificate.expiring', 'certificate.expired', 'certificate.revoked']);
+  const [newSecret, setNewSecret] = useState<{ name: string; secret: string } | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [loadedSubscriptions, loadedDeliveries] = await Promise.all([
+        apiService.getWebhookSubscriptions(),
+        apiService.getWebhookDeliveries({ limit: 20 })
+      ]);
+      setSubscriptions(loadedSubscriptions);
+      setDeliveries(loadedDeliveries);
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to load webhooks.'));
+    }
+  }, []);
+
+  useEffect(() => {
+    apiService.getWebhookEvents().then(result => setEvents(result.events)).catch(err => console.error('Failed to load webhook events:', err));
+    load();
+  }, [load]);
+
+  const runAction = async (action: () => Promise<unknown>, fallback: string) => {
+    setError(null);
+    try {
+      await action();
+      await load();
+    } catch (err: any) {
+      setError(errorMessage(err, fallback));
+    }
+  };
+
+  const toggleEvent = (event: WebhookEventName) => setSelectedEvents(current =>
+    current.includes(event) ? current.filter(e => e !== event) : [...current, event]
+  );
+
+  const handleAdd = () => runAction(async () => {
+    const created = await apiService.createWebhookSubscription({
+      name: name.trim(),
+      url: url.trim(),
+      format,
+      events: selectedEvents,
+      folderId: folderId || null
+    });
+    if (created.secret) setNewSecret({ name: created.name, secret: created.secret });
+    setName('');
+    setUrl('');
+  }, 'Failed to add webhook.');
+
+  const scopeLabel = (subscription: WebhookSubscription) => subscription.folderName || (subscription.folderId ? 'Deleted folder' : 'All certificates');
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Webhooks</h4>
+      <p className="text-xs text-slate-500 dark:text-slate-400">
+        Certificate events are posted to these endpoints, signed in the X-Webhook-Signature header. Failed deliveries are retried with increasing delays.
+      </p>
+
+      {subscriptions.length > 0 ? (
+        <ul className="divide-y divide-slate-200 dark:divide-slate-700">
+          {subscriptions.map(subscription => (
+            <li key={subscription.id} className="flex items-center justify-between py-1.5 text-sm text-slate-700 dark:text-slate-300">
+              <span className={subscription.enabled ? '' : 'opacity-50'}>
+                {subscription.name}{' '}
+                <span className="text-xs text-slate-500 dark:text-slate-400">
+                  ({FORMAT_LABELS[subscription.format]}, {scopeLabel(subscription)}, {subscription.events.length} event{subscription.events.length === 1 ? '' : 's'})
+                </span>
+              </span>
+              <span className="space-x-2 whitespace-nowrap">
+                <button
+                  type="button"
+                  onClick={() => runAction(() => apiService.testWebhookSubscription(subscription.id), 'Test delivery failed.')}
+                  className={smallButtonClassName}
+                >
+                  Test
+                </button>
+                <button
+                  type="button"
+                  onClick={() => runAction(() => apiService.updateWebhookSubscription(subscription.id, { enabled: !subscription.enabled }), 'Failed to update webhook.')}
+                  className={smallButtonClassName}
+                >
+                  {subscription.enabled ? 'Pause' : 'Resume'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => runAction(() => apiService.deleteWebhookSubscription(subscription.id), 'Failed to remove webhook.')}
+                  className={smallButtonClassName}
+                >
+                  Remove
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-slate-500 dark:text-slate-400">No webhooks.</p>
+      )}
+
+      {newSecret && (
+        <div className="p-3 bg-amber-50 dark:bg-slate-800 rounded-md text-xs text-slate-700 dark:text-slate-300">
+          Signing secret for {newSecret.name} (shown once): <code className="break-all">{newSecret.secret}</code>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Name, e.g. PKI channel" className={inputClassName} />
+        <input type="url" value={url} onChange={(e) => setUrl(e.target.value)} placeholder="https://hooks.example.com/..." className={inputClassName} />
+        <select value={format} onChange={(e) => setFormat(e.target.value as WebhookFormat)} className={inputClassName}>
+          {Object.entries(FORMAT_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <select value={folderId} onChange={(e) => setFolderId(e.target.value)} className={inputClassName}>
+          <option value="">All certificates</option>
+          {folders.map(folder => <option key={folder.id} value={folder.id}>{folder.name}</option>)}
+        </select>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+        {events.map(event => (
+          <label key={event.name} className="flex items-center space-x-2 text-xs text-slate-700 dark:text-slate-300" title={event.description}>
+            <input type="checkbox" checked={selectedEvents.includes(event.name)} onChange={() => toggleEvent(event.name)} />
+            <span>{event.name}</span>
+          </label>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={handleAdd}
+        disabled={!name.trim() || !url.trim() || selectedEvents.length === 0}
+        className={smallButtonClassName}
+      >
+        Add Webhook
+      </button>
+
+      {deliveries.length > 0 && (
+        <div className="space-y-1">
+          <h5 className="text-xs font-semibold text-slate-600 dark:text-slate-400">Recent Deliveries</h5>
+          <ul className="divide-y divide-slate-200 dark:divide-slate-700 text-xs text-slate-700 dark:text-slate-300">
+            {deliveries.map(delivery => (
+              <li key={delivery.id} className="flex items-center justify-between py-1">
+                <span>
+                  <span className={DELIVERY_STATUS_CLASSES[delivery.status]}>{delivery.status}</span>{' '}
+                  {delivery.eventType} to {delivery.subscriptionName || 'removed webhook'}, {new Date(delivery.createdAt).toLocaleString()}
+                  {delivery.error && <span className="text-slate-500 dark:text-slate-400"> ({delivery.error}, attempt {delivery.attempts})</span>}
+                </span>
+                {delivery.status !== 'pending' && delivery.subscriptionName && (
+                  <button
+                    type="button"
+                    onClick={() => runAction(() => apiService.redeliverWebhook(delivery.id), 'Redelivery failed.')}
+                    className={smallButtonClassName}
+                  >
+                    Redeliver
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default WebhookSettings;
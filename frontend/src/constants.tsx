@@ -1,6 +1,5 @@
 
 import React from 'react';
-import { NotificationSettings } from './types';
 
 export const APP_TITLE = "Enterprise Certificate Manager";
 
@@ -111,12 +110,10 @@ export const ICONS = {
 
 export const EXPIRY_SOON_DAYS = 30;
 
-export const DEFAULT_NOTIFICATION_SETTINGS: NotificationSettings = {
-  recipientEmail: 'admin@example.com',
-  thresholds: [7, 15, 30], // Default days before expiry to notify
-  notificationsEnabled: true,
+// Built-in expiry thresholds, used until the global settings are changed (matches the backend)
+export const DEFAULT_EXPIRY_THRESHOLDS = {
+  expiringSoonDays: EXPIRY_SOON_DAYS,
+  notificationDays: [30, 15, 7],
 };
 
-export const AVAILABLE_NOTIFICATION_THRESHOLDS = [3, 5, 7, 10, 15, 30, 60, 90];
-
 export const ALL_CERTIFICATES_FOLDER_ID = 'all_certs_folder_id_special_value';
@@ -1,6 +1,58 @@
 import axios, { AxiosInstance, AxiosResponse, AxiosError, InternalAxiosRequestConfig } from 'axios';
 // import { mockApiService } from './mockApiService';
-import type { Certificate, Folder, User, Role } from '../types';
+import type {
+  AcmeAccount,
+  AcmeAccountInput,
+  AcmeOptions,
+  AcmeOrder,
+  BulkUploadReport,
+  Certificate,
+  CertificateBundleUploadResult,
+  CertificateChainReport,
+  CertificateExportOptions,
+  CertificateLintResult,
+  CertificateRevocation,
+  CertificateRevocationCheck,
+  CertificateAuthority,
+  CertificateAuthorityInput,
+  CertificateEvent,
+  CertificateIssueInput,
+  CertificateRequestGenerateInput,
+  CertificateRequestOptions,
+  CertificateProfile,
+  CertificateVersion,
+  DigestSubscription,
+  ExpiryThresholds,
+  ExpiryThresholdSettings,
+  NotificationDelivery,
+  NotificationRecipient,
+  NotificationTemplate,
+  SmtpSettings,
+  WebhookDelivery,
+  WebhookEventName,
+  WebhookFormat,
+  WebhookSubscription,
+  WebhookSubscriptionInput,
+  ScheduledJob,
+  ScheduledJobRun,
+  FolderArchiveOptions,
+  FolderPolicy,
+  PolicyViolationsReport,
+  KeyStoreExportOptions,
+  KeyStoreUploadResult,
+  CertificateRequest,
+  CertificateTrustValidation,
+  DuplicateCertificateGroup,
+  DuplicateCertificateUploadResult,
+  DuplicateUploadAction,
+  EndpointImportResult,
+  Folder,
+  TrustStore,
+  TrustStoreDiff,
+  TrustStoreImportResult,
+  User,
+  Role
+} from '../types';
 
 // Vite env types for import.meta.env
 /// <reference types="vite/client" />
@@ -52,12 +104,66 @@ export interface ApiService {
   // Certificates
   getCertificates(params?: { folderId?: string; status?: string; search?: string }): Promise<Certificate[]>;
   getCertificate(id: string): Promise<Certificate>;
-  uploadCertificate(file: File, folderId?: string): Promise<Certificate>;
+  uploadCertificate(
+    file: File,
+    folderId?: string,
+    password?: string,
+    onDuplicate?: DuplicateUploadAction
+  ): Promise<
+    | Certificate
+    | CertificateBundleUploadResult
+    | KeyStoreUploadResult
+    | DuplicateCertificateUploadResult
+    | { certificateRequest: CertificateRequest }
+    | { privateKey: any; matchedCertificates: any[] }
+  >;
+  bulkUploadCertificates(
+    files: File[],
+    folderId?: string,
+    password?: string,
+    onDuplicate?: DuplicateUploadAction
+  ): Promise<BulkUploadReport>;
+  importCertificateFromEndpoint(params: {
+    host: string;
+    port?: number;
+    servername?: string;
+    folderId?: string;
+    onDuplicate?: DuplicateUploadAction;
+  }): Promise<EndpointImportResult>;
+  getCertificateChain(id: string, fetchAia?: boolean): Promise<CertificateChainReport>;
+  validateCertificateTrust(id: string): Promise<CertificateTrustValidation>;
+  getCertificateLint(id: string): Promise<CertificateLintResult | null>;
+  lintCertificate(id: string): Promise<CertificateLintResult>;
+  getCertificateRevocation(id: string): Promise<CertificateRevocation>;
+  checkCertificateRevocation(id: string): Promise<CertificateRevocationCheck>;
+  checkAllRevocations(): Promise<{ checked: number; good: number; revoked: number; unknown: number }>;
+  getCertificateEvents(id?: string, options?: { type?: string; since?: string; limit?: number }): Promise<CertificateEvent[]>;
+  getScheduledJobs(): Promise<ScheduledJob[]>;
+  getScheduledJobRuns(jobName?: string, limit?: number): Promise<ScheduledJobRun[]>;
+  runScheduledJob(jobName: string): Promise<ScheduledJobRun>;
+  getCertificateExpiryThresholds(id: string): Promise<ExpiryThresholdSettings>;
+  setCertificateExpiryThresholds(id: string, thresholds: ExpiryThresholds): Promise<ExpiryThresholdSettings>;
+  deleteCertificateExpiryThresholds(id: string): Promise<{ message: string }>;
   deleteCertificate(id: string): Promise<{ message: string }>;
-  renewCertificate(id: string): Promise<{ message: string }>;
+  renewCertificate(id: string, options?: { reuseKey?: boolean }): Promise<{ message: string; certificate?: any; version?: number; order?: AcmeOrder }>;
+  getCertificateVersions(id: string): Promise<{ currentVersion: number; versions: CertificateVersion[] }>;
+  getCertificateRenewals(id: string): Promise<AcmeOrder[]>;
   downloadCertificate(id: string): Promise<string>;
-  downloadCertificateFile(id: string, filename?: string): Promise<string>;
+  downloadCertificateFile(id: string, filename?: string, options?: CertificateExportOptions): Promise<string>;
+  downloadPrivateKeyFile(id: string, filename?: string): Promise<string>;
+  exportKeyStore(options: KeyStoreExportOptions): Promise<string>;
   assignCertificateToFolder(certificateId: string, folderId: string | null): Promise<Certificate>;
+  getDuplicateCertificates(): Promise<DuplicateCertificateGroup[]>;
+  mergeDuplicateCertificates(
+    fingerprintSha256: string,
+    keepId?: string
+  ): Promise<{ message: string; certificate: any; mergedCertificateIds: string[] }>;
+
+  // Certificate requests (CSRs)
+  getCertificateRequests(params?: { status?: string; folderId?: string }): Promise<CertificateRequest[]>;
+  deleteCertificateRequest(id: string): Promise<{ message: string }>;
+  getCertificateRequestOptions(): Promise<CertificateRequestOptions>;
+  generateCertificateRequest(request: CertificateRequestGenerateInput): Promise<CertificateRequest>;
   
   // Folders
   getFolders(params?: { type?: string }): Promise<Folder[]>;
@@ -65,6 +171,30 @@ export interface ApiService {
   updateFolder(id: string, data: any): Promise<Folder>;
   deleteFolder(id: string): Promise<{ message: string }>;
   moveFolder(folderId: string, parentId: string | null): Promise<Folder>;
+  assignFolderTrustStore(folderId: string, trustStoreId: string | null): Promise<{ folderId: string; trustStoreId: string | null }>;
+  getFolderValidation(folderId: string): Promise<{
+    folderId: string;
+    trustStore: { id: string; name: string } | null;
+    summary: { total: number; trusted: number; untrusted: number };
+    results: CertificateTrustValidation[];
+  }>;
+  exportFolderArchive(folderId: string, options?: FolderArchiveOptions): Promise<string>;
+  getFolderPolicy(folderId: string): Promise<FolderPolicy | null>;
+  setFolderPolicy(folderId: string, policy: FolderPolicy): Promise<FolderPolicy>;
+  deleteFolderPolicy(folderId: string): Promise<{ message: string }>;
+  getPolicyViolations(folderId?: string): Promise<PolicyViolationsReport>;
+  getFolderExpiryThresholds(folderId: string): Promise<ExpiryThresholdSettings>;
+  setFolderExpiryThresholds(folderId: string, thresholds: ExpiryThresholds): Promise<ExpiryThresholdSettings>;
+  deleteFolderExpiryThresholds(folderId: string): Promise<{ message: string }>;
+
+  // Trust stores
+  getTrustStores(): Promise<TrustStore[]>;
+  getTrustStore(id: string): Promise<TrustStore>;
+  createTrustStore(file: File, name: string, description?: string, purpose?: string): Promise<TrustStoreImportResult & { trustStore: TrustStore }>;
+  importTrustStoreCertificates(id: string, file: File, replace?: boolean, purpose?: string): Promise<TrustStoreImportResult>;
+  removeTrustStoreCertificate(id: string, fingerprintSha256: string): Promise<{ message: string }>;
+  deleteTrustStore(id: string): Promise<{ message: string; unassignedFolders: number }>;
+  diffTrustStores(id: string, otherId: string): Promise<TrustStoreDiff>;
   
   // Users
   getUsers(): Promise<User[]>;
@@ -72,6 +202,52 @@ export interface ApiService {
   
   // Metadata
   getMetadata(): Promise<any>;
+  updateExpiryThresholds(thresholds: ExpiryThresholds): Promise<ExpiryThresholds>;
+
+  // Email notifications
+  getNotificationRecipients(): Promise<NotificationRecipient[]>;
+  addNotificationRecipient(recipient: { userId?: number; email?: string; folderId?: string | null }): Promise<NotificationRecipient>;
+  setNotificationRecipientEnabled(id: string, enabled: boolean): Promise<NotificationRecipient>;
+  removeNotificationRecipient(id: string): Promise<{ message: string }>;
+  getNotificationTemplates(): Promise<NotificationTemplate[]>;
+  updateNotificationTemplate(key: string, template: { subject: string; body: string }): Promise<NotificationTemplate>;
+  resetNotificationTemplate(key: string): Promise<NotificationTemplate>;
+  previewNotificationTemplate(key: string, template?: { subject?: string; body?: string }): Promise<{ subject: string; text: string }>;
+  getNotificationDeliveries(options?: { certificateId?: string; status?: 'sent' | 'failed'; limit?: number }): Promise<NotificationDelivery[]>;
+  getSmtpSettings(): Promise<SmtpSettings>;
+  sendTestEmail(to?: string): Promise<{ accepted: string[]; rejected: { recipient: string; error: string }[]; response: string }>;
+  getDigestSubscriptions(): Promise<DigestSubscription[]>;
+  addDigestSubscription(subscription: { userId?: number; email?: string; webhookSubscriptionId?: string; folderId?: string | null; intervalDays?: number; daysAhead?: number }): Promise<DigestSubscription>;
+  updateDigestSubscription(id: string, changes: { enabled?: boolean; intervalDays?: number; daysAhead?: number }): Promise<DigestSubscription>;
+  removeDigestSubscription(id: string): Promise<{ message: string }>;
+  previewDigest(id: string): Promise<{ subject: string; text: string; digest: unknown }>;
+  sendDigestNow(id: string): Promise<DigestSubscription>;
+
+  // Webhooks
+  getWebhookEvents(): Promise<{ events: { name: WebhookEventName; description: string }[]; formats: WebhookFormat[] }>;
+  getWebhookSubscriptions(): Promise<WebhookSubscription[]>;
+  createWebhookSubscription(subscription: WebhookSubscriptionInput): Promise<WebhookSubscription>;
+  updateWebhookSubscription(id: string, changes: Partial<WebhookSubscriptionInput>): Promise<WebhookSubscription>;
+  deleteWebhookSubscription(id: string): Promise<{ message: string }>;
+  testWebhookSubscription(id: string): Promise<WebhookDelivery>;
+  getWebhookDeliveries(options?: { subscriptionId?: string; certificateId?: string; status?: WebhookDelivery['status']; limit?: number }): Promise<WebhookDelivery[]>;
+  redeliverWebhook(deliveryId: string): Promise<WebhookDelivery>;
+
+  // ACME
+  getAcmeOptions(): Promise<AcmeOptions>;
+  getAcmeAccounts(): Promise<AcmeAccount[]>;
+  createAcmeAccount(account: AcmeAccountInput): Promise<AcmeAccount>;
+  updateAcmeAccount(id: string, changes: Partial<AcmeAccountInput>): Promise<AcmeAccount>;
+  deleteAcmeAccount(id: string): Promise<{ message: string }>;
+
+  // Internal CAs
+  getCertificateProfiles(): Promise<{ profiles: CertificateProfile[]; caTypes: CertificateAuthority['type'][]; keyTypes: string[] }>;
+  getCertificateAuthorities(): Promise<CertificateAuthority[]>;
+  createCertificateAuthority(authority: CertificateAuthorityInput): Promise<CertificateAuthority>;
+  updateCertificateAuthority(id: string, changes: { name?: string; enabled?: boolean }): Promise<CertificateAuthority>;
+  deleteCertificateAuthority(id: string): Promise<{ message: string }>;
+  issueCertificate(authorityId: string, request: CertificateIssueInput): Promise<any>;
+  getIssuedCertificates(authorityId: string): Promise<any[]>;
   getStats(): Promise<any>;
   
   // Gemini AI
@@ -117,24 +293,147 @@ class RealApiService implements ApiService {
     return response.data;
   }
 
-  async uploadCertificate(file: File, folderId?: string) {
+  async uploadCertificate(file: File, folderId?: string, password?: string, onDuplicate?: DuplicateUploadAction) {
     const formData = new FormData();
     formData.append('certificate', file);
     if (folderId) {
       formData.append('folderId', folderId);
     }
+    if (password !== undefined) {
+      formData.append('password', password);
+    }
+    if (onDuplicate) {
+      formData.append('onDuplicate', onDuplicate);
+    }
 
     const response = await this.client.post('/certificates', formData);
     return response.data;
   }
 
+  async bulkUploadCertificates(files: File[], folderId?: string, password?: string, onDuplicate?: DuplicateUploadAction) {
+    const formData = new FormData();
+    files.forEach(file => formData.append('certificates', file));
+    if (folderId) {
+      formData.append('folderId', folderId);
+    }
+    if (password) {
+      formData.append('password', password);
+    }
+    if (onDuplicate) {
+      formData.append('onDuplicate', onDuplicate);
+    }
+
+    const response = await this.client.post('/certificates/bulk', formData);
+    return response.data;
+  }
+
+  async importCertificateFromEndpoint(params: {
+    host: string;
+    port?: number;
+    servername?: string;
+    folderId?: string;
+    onDuplicate?: DuplicateUploadAction;
+  }) {
+    const response = await this.client.post('/certificates/import-endpoint', params);
+    return response.data;
+  }
+
+  async getCertificateChain(id: string, fetchAia?: boolean) {
+    const params = fetchAia === undefined ? undefined : { fetchAia: String(fetchAia) };
+    const response = await this.client.get(`/certificates/${id}/chain`, { params });
+    return response.data;
+  }
+
+  async validateCertificateTrust(id: string) {
+    const response = await this.client.get(`/certificates/${id}/validation`);
+    return response.data;
+  }
+
+  async getCertificateLint(id: string) {
+    try {
+      const response = await this.client.get(`/certificates/${id}/lint`);
+      return response.data;
+    } catch (error: any) {
+      // Certificates stored before linting existed have no result yet
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async lintCertificate(id: string) {
+    const response = await this.client.post(`/certificates/${id}/lint`);
+    return response.data;
+  }
+
+  async getCertificateRevocation(id: string) {
+    const response = await this.client.get(`/certificates/${id}/revocation`);
+    return response.data;
+  }
+
+  async checkCertificateRevocation(id: string) {
+    const response = await this.client.post(`/certificates/${id}/revocation`);
+    return response.data;
+  }
+
+  async checkAllRevocations() {
+    const response = await this.client.post('/certificates/revocation/check');
+    return response.data;
+  }
+
+  async getCertificateEvents(id?: string, options: { type?: string; since?: string; limit?: number } = {}) {
+    const response = await this.client.get(id ? `/certificates/${id}/events` : '/certificates/events', { params: options });
+    return response.data;
+  }
+
+  async getCertificateExpiryThresholds(id: string) {
+    const response = await this.client.get(`/certificates/${id}/expiry-thresholds`);
+    return response.data;
+  }
+
+  async setCertificateExpiryThresholds(id: string, thresholds: ExpiryThresholds) {
+    const response = await this.client.put(`/certificates/${id}/expiry-thresholds`, thresholds);
+    return response.data;
+  }
+
+  async deleteCertificateExpiryThresholds(id: string) {
+    const response = await this.client.delete(`/certificates/${id}/expiry-thresholds`);
+    return response.data;
+  }
+
+  async getScheduledJobs() {
+    const response = await this.client.get('/jobs');
+    return response.data;
+  }
+
+  async getScheduledJobRuns(jobName?: string, limit?: number) {
+    const response = await this.client.get('/jobs/runs', { params: { job: jobName, limit } });
+    return response.data;
+  }
+
+  async runScheduledJob(jobName: string) {
+    const response = await this.client.post(`/jobs/${jobName}/run`);
+    return response.data;
+  }
+
   async deleteCertificate(id: string) {
     const response = await this.client.delete(`/certificates/${id}`);
     return response.data;
   }
 
-  async renewCertificate(id: string) {
-    const response = await this.client.post(`/certificates/${id}/renew`);
+  async renewCertificate(id: string, options: { reuseKey?: boolean } = {}) {
+    const response = await this.client.post(`/certificates/${id}/renew`, options);
+    return response.data;
+  }
+
+  async getCertificateVersions(id: string) {
+    const response = await this.client.get(`/certificates/${id}/versions`);
+    return response.data;
+  }
+
+  async getCertificateRenewals(id: string) {
+    const response = await this.client.get(`/certificates/${id}/renewals`);
     return response.data;
   }
 
@@ -145,9 +444,16 @@ class RealApiService implements ApiService {
     return response.data;
   }
 
-  async downloadCertificateFile(id: string, filename?: string) {
+  async downloadCertificateFile(id: string, filename?: string, options: CertificateExportOptions = {}) {
+    const { format, password, legacy } = options;
     const response = await this.client.get(`/certificates/${id}/download`, {
       responseType: 'blob',
+      params: {
+        ...(format ? { format } : {}),
+        ...(legacy ? { legacy: 'true' } : {})
+      },
+      // Sent as a header so the store password never ends up in access logs
+      headers: password ? { 'X-Export-Password': password } : undefined
     });
     
     // Create download link
@@ -180,11 +486,88 @@ class RealApiService implements ApiService {
     return downloadFilename;
   }
 
+  async downloadPrivateKeyFile(id: string, filename?: string) {
+    const response = await this.client.get(`/certificates/${id}/private-key`, {
+      responseType: 'blob',
+    });
+
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+
+    let downloadFilename = filename;
+    if (!downloadFilename) {
+      const contentDisposition = response.headers['content-disposition'];
+      const matches = contentDisposition ? /filename="([^"]*)"/.exec(contentDisposition) : null;
+      downloadFilename = matches?.[1] || 'private.key';
+    }
+
+    link.download = downloadFilename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+
+    return downloadFilename;
+  }
+
+  async exportKeyStore(options: KeyStoreExportOptions) {
+    const response = await this.client.post('/certificates/export/keystore', options, {
+      responseType: 'blob',
+    });
+
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+
+    const contentDisposition = response.headers['content-disposition'];
+    const matches = contentDisposition ? /filename="([^"]*)"/.exec(contentDisposition) : null;
+    const downloadFilename = matches?.[1] || (options.format === 'jks' ? 'truststore.jks' : 'truststore.p12');
+
+    link.download = downloadFilename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+
+    return downloadFilename;
+  }
+
   async assignCertificateToFolder(certificateId: string, folderId: string | null) {
     const response = await this.client.patch(`/certificates/${certificateId}/folder`, { folderId });
     return response.data;
   }
 
+  async getDuplicateCertificates() {
+    const response = await this.client.get('/certificates/duplicates');
+    return response.data;
+  }
+
+  async mergeDuplicateCertificates(fingerprintSha256: string, keepId?: string) {
+    const response = await this.client.post('/certificates/duplicates/merge', { fingerprintSha256, keepId });
+    return response.data;
+  }
+
+  async getCertificateRequests(params?: { status?: string; folderId?: string }) {
+    const response = await this.client.get('/certificate-requests', { params });
+    return response.data;
+  }
+
+  async deleteCertificateRequest(id: string) {
+    const response = await this.client.delete(`/certificate-requests/${id}`);
+    return response.data;
+  }
+
+  async getCertificateRequestOptions() {
+    const response = await this.client.get('/certificate-requests/options');
+    return response.data;
+  }
+
+  async generateCertificateRequest(request: CertificateRequestGenerateInput) {
+    const response = await this.client.post('/certificate-requests/generate', request);
+    return response.data;
+  }
+
   async getFolders(params?: { type?: string }) {
     const response = await this.client.get('/folders', { params });
     return response.data;
@@ -221,6 +604,141 @@ class RealApiService implements ApiService {
     return response.data;
   }
 
+  async assignFolderTrustStore(folderId: string, trustStoreId: string | null) {
+    const response = await this.client.put(`/folders/${folderId}/trust-store`, { trustStoreId });
+    return response.data;
+  }
+
+  async getFolderValidation(folderId: string) {
+    const response = await this.client.get(`/folders/${folderId}/validation`);
+    return response.data;
+  }
+
+  async getFolderPolicy(folderId: string) {
+    try {
+      const response = await this.client.get(`/folders/${folderId}/policy`);
+      return response.data;
+    } catch (error: any) {
+      // Folders without a policy accept any certificate
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async setFolderPolicy(folderId: string, policy: FolderPolicy) {
+    const { folderId: _folderId, updatedBy, updatedAt, ...rules } = policy;
+    const response = await this.client.put(`/folders/${folderId}/policy`, rules);
+    return response.data;
+  }
+
+  async deleteFolderPolicy(folderId: string) {
+    const response = await this.client.delete(`/folders/${folderId}/policy`);
+    return response.data;
+  }
+
+  async getFolderExpiryThresholds(folderId: string) {
+    const response = await this.client.get(`/folders/${folderId}/expiry-thresholds`);
+    return response.data;
+  }
+
+  async setFolderExpiryThresholds(folderId: string, thresholds: ExpiryThresholds) {
+    const response = await this.client.put(`/folders/${folderId}/expiry-thresholds`, thresholds);
+    return response.data;
+  }
+
+  async deleteFolderExpiryThresholds(folderId: string) {
+    const response = await this.client.delete(`/folders/${folderId}/expiry-thresholds`);
+    return response.data;
+  }
+
+  async getPolicyViolations(folderId?: string) {
+    const response = await this.client.get('/folders/policy-violations', { params: folderId ? { folderId } : {} });
+    return response.data;
+  }
+
+  async exportFolderArchive(folderId: string, options: FolderArchiveOptions = {}) {
+    const { format, recursive } = options;
+    const response = await this.client.get(`/folders/${folderId}/export`, {
+      responseType: 'blob',
+      params: {
+        ...(format ? { format } : {}),
+        ...(recursive ? { recursive: 'true' } : {})
+      }
+    });
+
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+
+    const contentDisposition = response.headers['content-disposition'];
+    const matches = contentDisposition ? /filename="([^"]*)"/.exec(contentDisposition) : null;
+    const downloadFilename = matches?.[1] || 'folder.zip';
+
+    link.download = downloadFilename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+
+    return downloadFilename;
+  }
+
+  async getTrustStores() {
+    const response = await this.client.get('/trust-stores');
+    return response.data;
+  }
+
+  async getTrustStore(id: string) {
+    const response = await this.client.get(`/trust-stores/${id}`);
+    return response.data;
+  }
+
+  async createTrustStore(file: File, name: string, description?: string, purpose?: string) {
+    const formData = new FormData();
+    formData.append('bundle', file);
+    formData.append('name', name);
+    if (description) {
+      formData.append('description', description);
+    }
+    if (purpose) {
+      formData.append('purpose', purpose);
+    }
+
+    const response = await this.client.post('/trust-stores', formData);
+    return response.data;
+  }
+
+  async importTrustStoreCertificates(id: string, file: File, replace?: boolean, purpose?: string) {
+    const formData = new FormData();
+    formData.append('bundle', file);
+    if (replace !== undefined) {
+      formData.append('replace', String(replace));
+    }
+    if (purpose) {
+      formData.append('purpose', purpose);
+    }
+
+    const response = await this.client.post(`/trust-stores/${id}/certificates`, formData);
+    return response.data;
+  }
+
+  async removeTrustStoreCertificate(id: string, fingerprintSha256: string) {
+    const response = await this.client.delete(`/trust-stores/${id}/certificates/${fingerprintSha256}`);
+    return response.data;
+  }
+
+  async deleteTrustStore(id: string) {
+    const response = await this.client.delete(`/trust-stores/${id}`);
+    return response.data;
+  }
+
+  async diffTrustStores(id: string, otherId: string) {
+    const response = await this.client.get(`/trust-stores/${id}/diff/${otherId}`);
+    return response.data;
+  }
+
   async getUsers() {
     const response = await this.client.get('/users');
     return response.data;
@@ -236,6 +754,196 @@ class RealApiService implements ApiService {
     return response.data;
   }
 
+  async updateExpiryThresholds(thresholds: ExpiryThresholds) {
+    const response = await this.client.put('/metadata', { expiryThresholds: thresholds });
+    return response.data.expiryThresholds;
+  }
+
+  async getNotificationRecipients() {
+    const response = await this.client.get('/notifications/recipients');
+    return response.data;
+  }
+
+  async addNotificationRecipient(recipient: { userId?: number; email?: string; folderId?: string | null }) {
+    const response = await this.client.post('/notifications/recipients', recipient);
+    return response.data;
+  }
+
+  async setNotificationRecipientEnabled(id: string, enabled: boolean) {
+    const response = await this.client.patch(`/notifications/recipients/${id}`, { enabled });
+    return response.data;
+  }
+
+  async removeNotificationRecipient(id: string) {
+    const response = await this.client.delete(`/notifications/recipients/${id}`);
+    return response.data;
+  }
+
+  async getNotificationTemplates() {
+    const response = await this.client.get('/notifications/templates');
+    return response.data;
+  }
+
+  async updateNotificationTemplate(key: string, template: { subject: string; body: string }) {
+    const response = await this.client.put(`/notifications/templates/${key}`, template);
+    return response.data;
+  }
+
+  async resetNotificationTemplate(key: string) {
+    const response = await this.client.delete(`/notifications/templates/${key}`);
+    return response.data;
+  }
+
+  async previewNotificationTemplate(key: string, template: { subject?: string; body?: string } = {}) {
+    const response = await this.client.post(`/notifications/templates/${key}/preview`, template);
+    return response.data;
+  }
+
+  async getNotificationDeliveries(options: { certificateId?: string; status?: 'sent' | 'failed'; limit?: number } = {}) {
+    const response = await this.client.get('/notifications/deliveries', { params: options });
+    return response.data;
+  }
+
+  async getSmtpSettings() {
+    const response = await this.client.get('/notifications/smtp');
+    return response.data;
+  }
+
+  async sendTestEmail(to?: string) {
+    const response = await this.client.post('/notifications/test', to ? { to } : {});
+    return response.data;
+  }
+
+  async getDigestSubscriptions() {
+    const response = await this.client.get('/notifications/digests');
+    return response.data;
+  }
+
+  async addDigestSubscription(subscription: { userId?: number; email?: string; webhookSubscriptionId?: string; folderId?: string | null; intervalDays?: number; daysAhead?: number }) {
+    const response = await this.client.post('/notifications/digests', subscription);
+    return response.data;
+  }
+
+  async updateDigestSubscription(id: string, changes: { enabled?: boolean; intervalDays?: number; daysAhead?: number }) {
+    const response = await this.client.patch(`/notifications/digests/${id}`, changes);
+    return response.data;
+  }
+
+  async removeDigestSubscription(id: string) {
+    const response = await this.client.delete(`/notifications/digests/${id}`);
+    return response.data;
+  }
+
+  async previewDigest(id: string) {
+    const response = await this.client.get(`/notifications/digests/${id}/preview`);
+    return response.data;
+  }
+
+  async sendDigestNow(id: string) {
+    const response = await this.client.post(`/notifications/digests/${id}/send`);
+    return response.data;
+  }
+
+  async getWebhookEvents() {
+    const response = await this.client.get('/webhooks/events');
+    return response.data;
+  }
+
+  async getWebhookSubscriptions() {
+    const response = await this.client.get('/webhooks/subscriptions');
+    return response.data;
+  }
+
+  async createWebhookSubscription(subscription: WebhookSubscriptionInput) {
+    const response = await this.client.post('/webhooks/subscriptions', subscription);
+    return response.data;
+  }
+
+  async updateWebhookSubscription(id: string, changes: Partial<WebhookSubscriptionInput>) {
+    const response = await this.client.patch(`/webhooks/subscriptions/${id}`, changes);
+    return response.data;
+  }
+
+  async deleteWebhookSubscription(id: string) {
+    const response = await this.client.delete(`/webhooks/subscriptions/${id}`);
+    return response.data;
+  }
+
+  async testWebhookSubscription(id: string) {
+    const response = await this.client.post(`/webhooks/subscriptions/${id}/test`);
+    return response.data;
+  }
+
+  async getWebhookDeliveries(options: { subscriptionId?: string; certificateId?: string; status?: WebhookDelivery['status']; limit?: number } = {}) {
+    const response = await this.client.get('/webhooks/deliveries', { params: options });
+    return response.data;
+  }
+
+  async redeliverWebhook(deliveryId: string) {
+    const response = await this.client.post(`/webhooks/deliveries/${deliveryId}/redeliver`);
+    return response.data;
+  }
+
+  async getAcmeOptions() {
+    const response = await this.client.get('/acme/options');
+    return response.data;
+  }
+
+  async getAcmeAccounts() {
+    const response = await this.client.get('/acme/accounts');
+    return response.data;
+  }
+
+  async createAcmeAccount(account: AcmeAccountInput) {
+    const response = await this.client.post('/acme/accounts', account);
+    return response.data;
+  }
+
+  async updateAcmeAccount(id: string, changes: Partial<AcmeAccountInput>) {
+    const response = await this.client.patch(`/acme/accounts/${id}`, changes);
+    return response.data;
+  }
+
+  async deleteAcmeAccount(id: string) {
+    const response = await this.client.delete(`/acme/accounts/${id}`);
+    return response.data;
+  }
+
+  async getCertificateProfiles() {
+    const response = await this.client.get('/certificate-authorities/profiles');
+    return response.data;
+  }
+
+  async getCertificateAuthorities() {
+    const response = await this.client.get('/certificate-authorities');
+    return response.data;
+  }
+
+  async createCertificateAuthority(authority: CertificateAuthorityInput) {
+    const response = await this.client.post('/certificate-authorities', authority);
+    return response.data;
+  }
+
+  async updateCertificateAuthority(id: string, changes: { name?: string; enabled?: boolean }) {
+    const response = await this.client.patch(`/certificate-authorities/${id}`, changes);
+    return response.data;
+  }
+
+  async deleteCertificateAuthority(id: string) {
+    const response = await this.client.delete(`/certificate-authorities/${id}`);
+    return response.data;
+  }
+
+  async issueCertificate(authorityId: string, request: CertificateIssueInput) {
+    const response = await this.client.post(`/certificate-authorities/${authorityId}/issue`, request);
+    return response.data;
+  }
+
+  async getIssuedCertificates(authorityId: string) {
+    const response = await this.client.get(`/certificate-authorities/${authorityId}/certificates`);
+    return response.data;
+  }
+
   async getStats() {
     const response = await this.client.get('/metadata/stats');
     return response.data;
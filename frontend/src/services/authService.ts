@@ -136,6 +136,10 @@ export const canRenewCertificate = (): boolean => {
   return checkPermission('certificates:renew');
 };
 
+export const canDownloadPrivateKey = (): boolean => {
+  return checkPermission('certificates:download-key');
+};
+
 export const canManageFolders = (): boolean => {
   return checkPermission('folders:write');
 };
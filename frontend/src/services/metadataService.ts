@@ -66,6 +66,7 @@ export const getDefaultMetadata = (): MetadataConfig => {
               "certificates:write",
               "certificates:delete",
               "certificates:renew",
+              "certificates:download-key",
               "folders:read",
               "folders:write",
               "folders:delete",
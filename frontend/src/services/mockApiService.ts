@@ -132,6 +132,7 @@ const mockRoles: Role[] = [
       'certificates:write',
       'certificates:delete',
       'certificates:renew',
+      'certificates:download-key',
       'folders:read',
       'folders:write',
       'folders:delete',
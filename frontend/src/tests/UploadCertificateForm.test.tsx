@@ -47,6 +47,33 @@ describe('UploadCertificateForm', () => {
     await waitFor(() => expect(mockOnSubmit).toHaveBeenCalledWith(file, 'f2'));
   });
 
+  it('sends several files to onBulkSubmit and shows the per-file report', async () => {
+    const mockOnBulkSubmit = vi.fn().mockResolvedValue({
+      summary: { total: 2, created: 1, duplicate: 0, failed: 1 },
+      results: [
+        { file: 'a.crt', status: 'created' },
+        { file: 'b.txt', status: 'failed', reason: 'Unsupported file type' }
+      ]
+    });
+    render(
+      <UploadCertificateForm
+        onSubmit={mockOnSubmit}
+        onBulkSubmit={mockOnBulkSubmit}
+        onCancel={mockOnCancel}
+        folders={folders}
+      />
+    );
+    const files = [new File(['a'], 'a.crt'), new File(['b'], 'b.crt')];
+    const input = screen.getByLabelText('Certificate File').parentElement!.querySelector('input[type="file"]')!;
+    await userEvent.upload(input, files);
+    fireEvent.change(screen.getByLabelText('Assign to Folder (Optional)'), { target: { value: 'f1' } });
+    fireEvent.submit(screen.getByRole('form'));
+
+    await waitFor(() => expect(mockOnBulkSubmit).toHaveBeenCalledWith(files, 'f1', undefined));
+    expect(mockOnSubmit).not.toHaveBeenCalled();
+    expect(await screen.findByText(/failed: Unsupported file type/)).toBeInTheDocument();
+  });
+
   it('calls onCancel when cancel button is clicked', () => {
     render(<UploadCertificateForm onSubmit={mockOnSubmit} onCancel={mockOnCancel} folders={folders} />);
     fireEvent.click(screen.getByText('Cancel'));
@@ -22,6 +22,358 @@ export interface Certificate {
   updatedAt?: string; // ISO Date string - Last renewal/update time
   renewalCount?: number; // Number of times certificate has been renewed
   isTemp?: boolean; // Indicates if certificate is in temp folder
+  hasPrivateKey?: boolean; // A matching private key is held in the key vault
+  // Parsed X.509 details
+  subjectAltNames?: SubjectAltName[];
+  keyAlgorithm?: string;
+  keySize?: number | null;
+  keyCurve?: string | null;
+  signatureAlgorithm?: string;
+  isCA?: boolean;
+  keyUsage?: string[];
+  extendedKeyUsage?: string[];
+  fingerprintSha1?: string;
+  fingerprintSha256?: string;
+  subjectKeyIdentifier?: string | null;
+  authorityKeyIdentifier?: string | null;
+  crlDistributionPoints?: string[];
+  ocspUrls?: string[];
+  caIssuersUrls?: string[];
+  certificatePolicies?: string[];
+  additionalFolders?: { id: string; name: string }[]; // Folders listing this certificate besides folderId
+  sourceType?: 'upload' | 'tls-endpoint' | string; // Where the certificate came from
+  sourceLocation?: string; // Uploaded file name or host:port
+  expiryThresholds?: EffectiveExpiryThresholds; // Thresholds in force for this certificate
+}
+
+export interface SubjectAltName {
+  type: string; // dns, ip, email, uri
+  value: string;
+}
+
+// Response of a bundle upload (PKCS#7 or multi-certificate PEM): one record per new certificate
+export interface CertificateBundleUploadResult {
+  message: string;
+  created: any[]; // Raw API certificate rows
+  skipped: {
+    commonName: string;
+    fingerprintSha256: string;
+    existingCertificateId: string;
+    attachedToFolder?: boolean;
+    reason: string;
+  }[];
+}
+
+// Per-file outcome of a bulk upload (files and ZIP entries)
+export interface BulkUploadResult {
+  file: string; // File name; ZIP entries as archive.zip/path/in/archive
+  status: 'created' | 'duplicate' | 'failed';
+  kind?: 'certificate' | 'bundle' | 'private-key' | 'certificate-request';
+  certificateIds?: string[];
+  existingCertificateId?: string;
+  attachedToFolder?: boolean;
+  certificateRequestId?: string;
+  duplicates?: CertificateBundleUploadResult['skipped'];
+  reason?: string; // Why the file failed
+}
+
+export interface BulkUploadReport {
+  summary: { total: number; created: number; duplicate: number; failed: number };
+  results: BulkUploadResult[];
+}
+
+// Result of importing the chain presented by a TLS endpoint
+export interface EndpointImportResult {
+  message: string;
+  source: {
+    type: 'tls-endpoint';
+    location: string; // host:port
+    details: {
+      host: string;
+      port: number;
+      servername: string | null;
+      protocol: string | null;
+      cipher: string | null;
+      authorized: boolean;
+      authorizationError: string | null;
+    };
+  };
+  created: any[]; // Raw API certificate rows
+  skipped: CertificateBundleUploadResult['skipped'];
+}
+
+// Formats offered by GET /certificates/:id/download
+export type CertificateExportFormat = 'pem' | 'der' | 'pkcs7' | 'fullchain' | 'chain' | 'pkcs12';
+
+export interface CertificateExportOptions {
+  format?: CertificateExportFormat;
+  password?: string; // PKCS#12 store password
+  legacy?: boolean; // PKCS#12 with 3DES/SHA-1 for older Windows and Java releases
+}
+
+// CA/Browser Forum Baseline Requirements lint run (GET/POST /certificates/:id/lint)
+export interface CertificateLintFinding {
+  ruleId: string; // zlint style: e_ error, w_ warning
+  severity: 'error' | 'warning';
+  message: string;
+  description: string;
+  reference: string; // e.g. 'CABF BR 6.3.2'
+}
+
+export interface CertificateLintResult {
+  certificateId: string;
+  linterVersion: string;
+  lintedAt: string;
+  summary: { errors: number; warnings: number; passed: number };
+  findings: CertificateLintFinding[];
+}
+
+// Status as the backend stores it (the CertificateStatus enum holds display labels)
+export type StoredCertificateStatus = 'VALID' | 'EXPIRING_SOON' | 'EXPIRED' | 'REVOKED' | 'UNKNOWN';
+
+// OCSP/CRL revocation check (POST /certificates/:id/revocation)
+export type RevocationStatus = 'good' | 'revoked' | 'unknown';
+
+export interface CertificateRevocationCheck {
+  certificateId: string;
+  status: RevocationStatus;
+  reason: string | null; // RFC 5280 CRLReason, e.g. 'keyCompromise'
+  revokedAt: string | null;
+  source: 'ocsp' | 'crl' | null;
+  url: string | null; // Responder or CRL that answered
+  checkedAt: string;
+  errors: { url: string | null; error: string }[];
+}
+
+// Outcome of the latest check stored on the record (GET /certificates/:id/revocation)
+export interface CertificateRevocation {
+  certificateId: string;
+  certificateStatus: StoredCertificateStatus;
+  status: RevocationStatus | null; // null until first checked
+  reason: string | null;
+  revokedAt: string | null;
+  source: 'ocsp' | 'crl' | null;
+  checkedAt: string | null;
+  error: string | null; // Why the latest check was inconclusive
+}
+
+// Entry in a certificate's event log (GET /certificates/events, /certificates/:id/events)
+export interface CertificateEvent {
+  id: string;
+  certificateId: string;
+  commonName: string | null; // null once the certificate is deleted
+  eventType: 'status_changed' | 'uploaded' | 'deleted' | 'moved' | 'renewed';
+  fromStatus: StoredCertificateStatus | null;
+  toStatus: StoredCertificateStatus | null;
+  details: Record<string, unknown> | null;
+  jobRunId: string | null; // Scheduled job run that caused the event
+  createdAt: string;
+}
+
+// Background job runs (GET /jobs, /jobs/runs; POST /jobs/:name/run)
+export interface ScheduledJobRun {
+  id: string;
+  jobName: string;
+  trigger: 'schedule' | 'startup' | 'manual';
+  triggeredBy: number | null;
+  status: 'running' | 'succeeded' | 'failed';
+  summary: Record<string, unknown> | null;
+  error: string | null;
+  startedAt: string;
+  finishedAt: string | null;
+}
+
+export interface ScheduledJob {
+  name: string; // e.g. 'status-recalculation', 'revocation-check'
+  description: string;
+  schedule: string; // Cron expression
+  scheduled: boolean;
+  running: boolean;
+  lastRun: ScheduledJobRun | null;
+  lastSuccessAt: string | null;
+}
+
+// Days before expiry a certificate becomes EXPIRING_SOON, and days before expiry to notify.
+// Set globally (metadata settings) and overridable per folder and per certificate; null inherits.
+export interface ExpiryThresholds {
+  expiringSoonDays: number | null;
+  notificationDays: number[] | null;
+}
+
+export type ExpiryThresholdSource = 'certificate' | 'folder' | 'global' | 'default';
+
+export interface EffectiveExpiryThresholds {
+  expiringSoonDays: number;
+  notificationDays: number[];
+  sources: { expiringSoonDays: ExpiryThresholdSource; notificationDays: ExpiryThresholdSource };
+}
+
+export interface ExpiryThresholdOverride extends ExpiryThresholds {
+  scope: 'folder' | 'certificate';
+  scopeId: string;
+  updatedBy: string | null;
+  updatedAt: string;
+}
+
+// GET/PUT /folders/:id/expiry-thresholds and /certificates/:id/expiry-thresholds
+export interface ExpiryThresholdSettings {
+  override: ExpiryThresholdOverride | null;
+  effective: EffectiveExpiryThresholds;
+  recalculated?: { checked: number; changed: number }; // Statuses updated after a change
+}
+
+// ZIP of a folder's certificates with manifest.json and manifest.csv (GET /folders/:id/export)
+export interface FolderArchiveOptions {
+  format?: Extract<CertificateExportFormat, 'pem' | 'der' | 'pkcs7' | 'fullchain'>;
+  recursive?: boolean; // Include subfolders, each under its own directory
+}
+
+// Issuance policy of a folder (PUT /folders/:id/policy); empty or null rules are not checked
+export interface FolderPolicy {
+  folderId?: string;
+  mode: 'enforce' | 'audit'; // enforce rejects uploads and moves, audit only reports
+  allowedIssuers: string[]; // Issuer DN or issuer CN
+  minKeySize: number | null; // RSA/DSA bits
+  allowedAlgorithms: string[]; // Key algorithm or curve: RSA, EC, Ed25519, P-256...
+  maxValidityDays: number | null;
+  requiredSanDomains: string[]; // Every DNS SAN must be within one of these
+  allowWildcards: boolean | null;
+  updatedBy?: string | null;
+  updatedAt?: string;
+}
+
+export interface FolderPolicyViolation {
+  rule: keyof Omit<FolderPolicy, 'folderId' | 'mode' | 'updatedBy' | 'updatedAt'>;
+  message: string;
+}
+
+// Returned as policyViolations by uploads and moves into an audit-mode folder, and by 422 errors in enforce mode
+export interface PolicyPlacementFinding {
+  commonName: string;
+  fingerprintSha256: string;
+  violations: FolderPolicyViolation[];
+}
+
+// GET /folders/policy-violations
+export interface PolicyViolationsReport {
+  generatedAt: string;
+  summary: { folders: number; certificates: number; violating: number };
+  folders: Array<{
+    folderId: string;
+    folderName: string;
+    mode: FolderPolicy['mode'];
+    certificates: Array<{ id: string; commonName: string; violations: FolderPolicyViolation[] }>;
+  }>;
+}
+
+// Java truststore/keystore built by POST /certificates/export/keystore
+export interface KeyStoreExportOptions {
+  certificateIds?: string[];
+  folderId?: string; // Instead of certificateIds: every certificate listed in the folder
+  kind?: 'truststore' | 'keystore'; // keystore: certificates with a vaulted key become key entries
+  format?: 'jks' | 'pkcs12';
+  password: string;
+  legacy?: boolean; // PKCS#12 with 3DES/SHA-1 for Java 8 and older
+}
+
+// Upload of a Java keystore: one record per alias
+export interface KeyStoreUploadResult {
+  message: string;
+  format: 'jks' | 'pkcs12';
+  created: any[]; // Raw API certificate rows, with alias (and warning when the key could not be recovered)
+  skipped: {
+    alias: string;
+    commonName: string;
+    existingCertificateId: string;
+    attachedToFolder: boolean;
+    reason: string;
+  }[];
+}
+
+// Chain built from the inventory (leaf -> root), with any links that could not be found
+export interface CertificateChainReport {
+  certificateId: string;
+  chain: {
+    pem: string;
+    subject: string;
+    issuer: string;
+    fingerprintSha256: string;
+    source: 'input' | 'provided' | 'trust-store' | 'inventory' | 'aia' | 'aia-cache' | string;
+    certificateId: string | null;
+  }[];
+  complete: boolean;
+  trustAnchor: { subject: string; fingerprintSha256: string } | null;
+  missing: {
+    subject: string;
+    issuer: string;
+    authorityKeyIdentifier: string | null;
+    caIssuersUrls: string[];
+    reason: string;
+  }[];
+  pem: string;
+}
+
+// What to do when an uploaded certificate is already in the inventory
+export type DuplicateUploadAction = 'reject' | 'attach';
+
+// Upload of a certificate that is already held, with onDuplicate=attach
+export interface DuplicateCertificateUploadResult {
+  message: string;
+  duplicate: true;
+  attachedToFolder: boolean;
+  certificate: any; // Raw API certificate row of the existing record
+}
+
+// Certificates stored more than once (admin duplicates report)
+export interface DuplicateCertificateGroup {
+  fingerprintSha256: string;
+  commonName: string;
+  certificates: {
+    id: string;
+    common_name: string;
+    folder_id: string | null;
+    folder_name: string | null;
+    uploaded_at: string;
+    uploaded_by_username: string | null;
+    has_private_key: number;
+  }[];
+}
+
+// Pending certificate signing request (snake_case, as returned by the API)
+export interface CertificateRequest {
+  id: string;
+  common_name: string;
+  subject: string;
+  subject_alt_names: { type: string; value: string }[];
+  key_algorithm: string;
+  key_size: number | null;
+  key_curve: string | null;
+  signature_algorithm: string;
+  signature_valid: boolean;
+  status: 'PENDING' | 'ISSUED';
+  certificate_id: string | null;
+  folder_id: string | null;
+  uploaded_at: string;
+  pem_content?: string;
+  has_private_key?: boolean; // Key generated with the request, vaulted until its certificate arrives
+  renewal_of?: string | null; // Certificate a renewal CSR copied its subject and SANs from
+}
+
+// Key pair and CSR to generate (POST /certificate-requests/generate)
+export interface CertificateRequestGenerateInput {
+  certificateId?: string; // Renewal: copy the subject and SANs of this certificate
+  subject?: CertificateSubjectInput;
+  subjectAltNames?: { type: 'dns' | 'ip' | 'email' | 'uri'; value: string }[];
+  keyType?: string;
+  keyUsage?: string[];
+  extendedKeyUsage?: string[];
+  folderId?: string | null;
+}
+
+export interface CertificateRequestOptions {
+  keyTypes: string[];
+  keyUsages: string[];
+  extendedKeyUsages: string[];
 }
 
 export interface Folder {
@@ -37,6 +389,58 @@ export interface Folder {
     users: string[];
   };
   parentId?: string | null;
+  trustStoreId?: string | null;
+}
+
+// A named set of trust anchors (root and intermediate CAs), as returned by the API
+export interface TrustStore {
+  id: string;
+  name: string;
+  description: string | null;
+  source_format: 'pem' | 'pkcs7' | 'der' | 'certdata' | null;
+  created_at: string;
+  updated_at: string;
+  certificate_count?: number;
+  folder_count?: number;
+  certificates?: TrustStoreCertificate[];
+  folders?: { id: string; name: string }[];
+}
+
+export interface TrustStoreCertificate {
+  fingerprint_sha256: string;
+  common_name: string;
+  subject: string;
+  subject_key_identifier: string | null;
+  valid_to: string | null;
+  added_at: string;
+}
+
+export interface TrustStoreImportResult {
+  added: number;
+  unchanged?: number;
+  removed?: number;
+  skipped: { label: string; reason: string }[];
+}
+
+export interface TrustStoreDiff {
+  base: { id: string; name: string };
+  other: { id: string; name: string };
+  onlyInBase: TrustStoreCertificate[];
+  onlyInOther: TrustStoreCertificate[];
+  common: number;
+}
+
+// Whether a certificate chains to the trust store of its folder (trusted is null when no store is assigned)
+export interface CertificateTrustValidation {
+  certificateId: string;
+  commonName: string;
+  folderId?: string | null;
+  trustStore: { id: string; name: string } | null;
+  trusted: boolean | null;
+  trustAnchor: { subject: string; fingerprintSha256: string } | null;
+  reason: string;
+  chain: { subject: string; fingerprintSha256: string; source: string; certificateId: string | null }[];
+  missing: CertificateChainReport['missing'];
 }
 
 export interface Role {
@@ -131,10 +535,280 @@ export interface AIChatMessage {
   text: string;
 }
 
-export interface NotificationSettings {
-  recipientEmail: string;
-  thresholds: number[]; // e.g., [5, 10, 30]
-  notificationsEnabled: boolean;
+// Who the server emails about expiring certificates (GET/POST /notifications/recipients)
+export interface NotificationRecipient {
+  id: string;
+  type: 'user' | 'email';
+  userId: number | null;
+  username: string | null;
+  email: string | null; // The user's account email for user recipients
+  folderId: string | null; // null: every certificate
+  folderName: string | null;
+  enabled: boolean;
+  createdBy: string | null;
+  createdAt: string;
+}
+
+// Editable email template (GET/PUT /notifications/templates/:key)
+export interface NotificationTemplate {
+  key: string; // e.g. 'expiry-warning'
+  description: string;
+  placeholders: Record<string, string>; // {{name}} -> description
+  sample: Record<string, string | number>; // Values used for previews
+  subject: string;
+  body: string;
+  customized: boolean; // false while the built-in text is used
+  updatedBy: string | null;
+  updatedAt: string | null;
+}
+
+// One notification email (GET /notifications/deliveries)
+export interface NotificationDelivery {
+  id: string;
+  certificateId: string;
+  commonName: string | null;
+  validTo: string;
+  thresholdDays: number;
+  recipient: string;
+  templateKey: string;
+  subject: string | null;
+  status: 'sent' | 'failed';
+  error: string | null;
+  attempts: number;
+  jobRunId: string | null;
+  sentAt: string;
+}
+
+// SMTP server the backend sends through (GET /notifications/smtp)
+export interface SmtpSettings {
+  configured: boolean;
+  host: string | null;
+  port: number;
+  secure: boolean;
+  from: string;
+  authenticated: boolean;
+}
+
+// Periodic expiry digest (GET/POST /notifications/digests)
+export interface DigestSubscription {
+  id: string;
+  channel: 'user' | 'email' | 'webhook';
+  userId: number | null;
+  username: string | null;
+  email: string | null; // The user's account email for user digests
+  webhookSubscriptionId: string | null;
+  webhookName: string | null;
+  folderId: string | null; // null: every certificate
+  folderName: string | null;
+  intervalDays: number;
+  daysAhead: number; // Certificates expiring within this many days are listed
+  enabled: boolean;
+  lastSentAt: string | null; // Start of the period the next digest reports on
+  lastStatus: 'sent' | 'failed' | null;
+  lastError: string | null;
+  createdBy: string | null;
+  createdAt: string;
+}
+
+// Certificate events webhooks can subscribe to (GET /webhooks/events)
+export type WebhookEventName =
+  | 'certificate.uploaded'
+  | 'certificate.deleted'
+  | 'certificate.moved'
+  | 'certificate.renewed'
+  | 'certificate.expiring'
+  | 'certificate.expired'
+  | 'certificate.revoked';
+
+export type WebhookFormat = 'generic' | 'slack' | 'teams';
+
+// Endpoint that receives certificate events (GET/POST/PATCH /webhooks/subscriptions)
+export interface WebhookSubscription {
+  id: string;
+  name: string;
+  url: string;
+  format: WebhookFormat;
+  events: WebhookEventName[];
+  folderId: string | null; // null: every certificate
+  folderName: string | null;
+  enabled: boolean;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+  secret?: string; // HMAC signing secret, only returned when the subscription is created
+}
+
+export interface WebhookSubscriptionInput {
+  name: string;
+  url: string;
+  format?: WebhookFormat;
+  events: WebhookEventName[];
+  folderId?: string | null;
+  enabled?: boolean;
+  secret?: string; // Generated by the server when left out
+}
+
+// One webhook delivery with its payload (GET /webhooks/deliveries)
+export interface WebhookDelivery {
+  id: string;
+  subscriptionId: string;
+  subscriptionName: string | null;
+  eventId: string | null;
+  eventType: WebhookEventName | 'webhook.ping';
+  certificateId: string | null;
+  payload: unknown;
+  status: 'pending' | 'succeeded' | 'failed'; // pending: waiting for a retry
+  attempts: number;
+  nextAttemptAt: string | null;
+  lastAttemptAt: string | null;
+  responseStatus: number | null;
+  error: string | null;
+  redeliveryOf: string | null;
+  createdAt: string;
+  deliveredAt: string | null;
+}
+
+// ACME account certificates are renewed through (GET/POST/PATCH /acme/accounts)
+export interface AcmeAccount {
+  id: string;
+  folderId: string | null; // null: the default account for folders without their own
+  folderName: string | null;
+  directoryUrl: string;
+  email: string | null;
+  eabKid: string | null;
+  hasEabHmacKey: boolean;
+  accountUrl: string | null; // null until the CA has registered the account
+  solver: string;
+  solverConfig: Record<string, unknown>; // Secrets come back as '********'
+  keyPolicy: 'new' | 'reuse';
+  keyType: string | null; // null: the same kind of key the certificate has
+  enabled: boolean;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface AcmeAccountInput {
+  folderId?: string | null;
+  directoryUrl: string;
+  email?: string | null;
+  eabKid?: string | null;
+  eabHmacKey?: string | null; // base64url
+  solver?: string;
+  solverConfig?: Record<string, unknown>;
+  keyPolicy?: 'new' | 'reuse';
+  keyType?: string | null;
+  enabled?: boolean;
+}
+
+// Challenge solvers, key policies and key types (GET /acme/options)
+export interface AcmeOptions {
+  solvers: { name: string; type: 'http-01' | 'dns-01'; description: string }[];
+  keyPolicies: ('new' | 'reuse')[];
+  keyTypes: string[];
+}
+
+// One ACME renewal attempt (GET /certificates/:id/renewals)
+export interface AcmeOrder {
+  id: string;
+  certificateId: string;
+  accountId: string;
+  status: 'pending' | 'valid' | 'invalid';
+  identifiers: { type: 'dns' | 'ip'; value: string }[];
+  orderUrl: string | null;
+  solver: string;
+  keyReused: boolean;
+  error: string | null;
+  createdBy: string | null;
+  startedAt: string;
+  finishedAt: string | null;
+}
+
+// Certificate a record held before it was renewed (snake_case, as returned by the API)
+export interface CertificateVersion {
+  id: string;
+  version: number;
+  common_name: string | null;
+  issuer: string | null;
+  serial_number: string | null;
+  valid_from: string | null;
+  valid_to: string | null;
+  fingerprint_sha256: string | null;
+  public_key_sha256: string | null;
+  pem_content: string;
+  chain_pem: string | null;
+  replaced_at: string;
+  replaced_by: string | null;
+  has_private_key: boolean;
+}
+
+// Internal certificate authority (GET/POST/PATCH /certificate-authorities)
+export interface CertificateAuthority {
+  id: string;
+  name: string;
+  type: 'root' | 'intermediate';
+  parentId: string | null;
+  parentName: string | null;
+  certificateId: string; // Inventory record of the CA certificate
+  commonName: string;
+  subject: string;
+  serialNumber: string;
+  validFrom: string;
+  validTo: string;
+  status: string;
+  folderId: string | null;
+  keyType: string;
+  keyStorage: 'secret-manager' | 'database'; // Where the sealed CA key is kept
+  pathLength: number | null;
+  enabled: boolean;
+  issuedCount: number;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CertificateSubjectInput {
+  commonName?: string;
+  organization?: string;
+  organizationalUnit?: string;
+  locality?: string;
+  state?: string;
+  country?: string; // Two-letter code
+}
+
+export interface CertificateAuthorityInput {
+  name: string;
+  type: 'root' | 'intermediate';
+  parentId?: string; // Required for intermediates
+  subject: CertificateSubjectInput;
+  keyType?: string;
+  validityDays?: number;
+  pathLength?: number | null;
+  folderId?: string | null;
+}
+
+export type CertificateProfileName = 'server' | 'client' | 'code-signing';
+
+// Leaf certificate profile (GET /certificate-authorities/profiles)
+export interface CertificateProfile {
+  name: CertificateProfileName;
+  description: string;
+  subjectAltNameTypes: ('dns' | 'ip' | 'email' | 'uri')[];
+  requiresSubjectAltName: boolean;
+  defaultValidityDays: number;
+  maxValidityDays: number;
+}
+
+// Certificate to issue from an internal CA: for a new key (keyType) or a CSR
+export interface CertificateIssueInput {
+  profile: CertificateProfileName;
+  subject?: CertificateSubjectInput;
+  subjectAltNames?: { type: 'dns' | 'ip' | 'email' | 'uri'; value: string }[];
+  validityDays?: number;
+  keyType?: string;
+  csr?: string;
+  certificateRequestId?: string;
+  folderId?: string | null;
 }
 
 export interface AuthContext {